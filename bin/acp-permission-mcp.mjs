@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+/**
+ * Permission-prompt MCP server launched by claude-code sessions on the
+ * companion's permission bridge. See src/acp-permission-mcp.mjs.
+ */
+
+import { runAcpPermissionMcpServer } from '../src/acp-permission-mcp.mjs'
+
+await runAcpPermissionMcpServer()
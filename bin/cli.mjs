@@ -16,6 +16,7 @@
  *   trapezohe-companion register            Register Chrome Native Messaging host
  *   trapezohe-companion unregister         Remove Native Messaging host registration
  *   trapezohe-companion bootstrap          One-shot setup for non-technical users
+ *   trapezohe-companion export-run <runId> Write a run's transcript as Markdown and JSONL
  */
 
 import { fork, execFile } from 'node:child_process'
@@ -46,11 +47,17 @@ import {
   normalizePermissionPolicy,
   PERMISSION_MODE_WORKSPACE,
   PERMISSION_MODE_FULL,
+  PERMISSION_MODE_SUPERVISED,
 } from '../src/permission-policy.mjs'
+import { normalizeMcpPolicy } from '../src/mcp-policy.mjs'
+import { configureAcpAgentAdapters } from '../src/acp-adapters.mjs'
+import { configureAcpConcurrency } from '../src/acp-scheduler.mjs'
 import { loadCronStore } from '../src/cron-store.mjs'
 import { startCronScheduler, stopCronScheduler } from '../src/cron-scheduler.mjs'
+import { startAutomationTriggers, stopAutomationTriggers } from '../src/automation-triggers.mjs'
 import { loadRunStore, flushRunStore } from '../src/run-store.mjs'
 import { flushApprovalStore } from '../src/approval-store.mjs'
+import { renderRunExportJsonl, renderRunExportMarkdown } from '../src/run-export.mjs'
 import {
   NATIVE_HOST_NAMES,
   getConfiguredExtensionIds,
@@ -172,6 +179,8 @@ async function main() {
       return handleSelfCheck()
     case 'repair':
       return handleRepair()
+    case 'export-run':
+      return handleExportRun()
     default:
       printHelp()
       process.exit(command === '--help' || command === '-h' ? 0 : 1)
@@ -340,7 +349,10 @@ async function handleStart() {
   }
 
   const mcpManager = new McpManager(config.mcpServers)
+  configureAcpAgentAdapters(config.acpAdapters)
+  configureAcpConcurrency(config.acpConcurrency)
   let currentPermissionPolicy = normalizePermissionPolicy(config.permissionPolicy)
+  let currentMcpPolicy = normalizeMcpPolicy(config.mcpPolicy)
   const hooks = {}
   const server = createCompanionServer({
     token,
@@ -355,6 +367,12 @@ async function handleStart() {
       config.permissionPolicy = currentPermissionPolicy
       await saveConfig(config)
     },
+    getMcpPolicy: () => currentMcpPolicy,
+    setMcpPolicy: async (nextPolicy) => {
+      currentMcpPolicy = normalizeMcpPolicy(nextPolicy)
+      config.mcpPolicy = currentMcpPolicy
+      await saveConfig(config)
+    },
     setMcpServerConfig: async (name, nextServerConfig) => {
       const updated = await updateMcpServerConfig(name, nextServerConfig)
       config.mcpServers = updated.mcpServers
@@ -377,6 +395,7 @@ async function handleStart() {
     shuttingDown = true
     console.log('\n[trapezohe-companion] Shutting down...')
     stopCronScheduler()
+    stopAutomationTriggers()
     try {
       await flushRunStore()
     } catch (err) {
@@ -442,7 +461,7 @@ async function handleStart() {
     console.log(`  Token:      ${token}`)
     console.log(`  Config:     ${getConfigPath()}`)
     console.log(`  Mode:       ${currentPermissionPolicy.mode}`)
-    if (currentPermissionPolicy.mode === PERMISSION_MODE_WORKSPACE) {
+    if (currentPermissionPolicy.mode !== PERMISSION_MODE_FULL) {
       if (currentPermissionPolicy.workspaceRoots.length > 0) {
         console.log(`  Workspace:  ${currentPermissionPolicy.workspaceRoots.join(', ')}`)
       } else {
@@ -476,6 +495,7 @@ async function handleStart() {
     try {
       await loadCronStore()
       startCronScheduler()
+      startAutomationTriggers({ getPermissionPolicy: () => currentPermissionPolicy })
     } catch (err) {
       console.error(`  Cron:       Failed to start scheduler: ${err.message}`)
     }
@@ -571,7 +591,7 @@ async function handleStatus() {
   console.log(`[trapezohe-companion] Status: running (PID: ${state.pid})${correction}`)
   console.log(`  Port:       ${config.port}`)
   console.log(`  Mode:       ${policy.mode}`)
-  if (policy.mode === PERMISSION_MODE_WORKSPACE) {
+  if (policy.mode !== PERMISSION_MODE_FULL) {
     console.log(`  Workspace:  ${policy.workspaceRoots.join(', ') || '(not configured)'}`)
   }
 
@@ -646,6 +666,63 @@ async function handleDoctor() {
   }
 }
 
+async function fetchRunExport(config, token, runId) {
+  const res = await fetch(`http://127.0.0.1:${config.port}/api/runtime/runs/${encodeURIComponent(runId)}/export`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(10_000),
+  })
+  if (res.status === 404) return null
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}))
+    throw new Error(body.error || `Export failed with HTTP ${res.status}.`)
+  }
+  return res.json()
+}
+
+async function handleExportRun() {
+  const runId = flags[0] && !flags[0].startsWith('--') ? flags[0] : ''
+  const format = getFlagValue('--format')
+  if (!runId || (format && format !== 'markdown' && format !== 'jsonl')) {
+    console.error('[trapezohe-companion] Usage: export-run <runId> [--out <dir>] [--format markdown|jsonl] [--stdout]')
+    process.exit(1)
+    return
+  }
+
+  const config = await loadConfig()
+  const token = resolveToken(config)
+  const state = await inspectDaemonState(config, token)
+  if (state.state !== 'running') {
+    console.error('[trapezohe-companion] The companion is not running. Start it with "trapezohe-companion start -d" first.')
+    process.exit(1)
+    return
+  }
+
+  const bundle = await fetchRunExport(config, token, runId)
+  if (!bundle) {
+    console.error(`[trapezohe-companion] Run not found: ${runId}`)
+    process.exit(1)
+    return
+  }
+
+  const outputs = [
+    ['markdown', 'md', renderRunExportMarkdown],
+    ['jsonl', 'jsonl', renderRunExportJsonl],
+  ].filter(([name]) => !format || name === format)
+  if (hasFlag('--stdout')) {
+    process.stdout.write(outputs[0][2](bundle))
+    return
+  }
+
+  const outDir = path.resolve(getFlagValue('--out') || process.cwd())
+  await fs.mkdir(outDir, { recursive: true })
+  console.log(`[trapezohe-companion] Exported run ${runId}:`)
+  for (const [, extension, render] of outputs) {
+    const target = path.join(outDir, `run-${runId.replace(/[^A-Za-z0-9._-]/g, '_')}.${extension}`)
+    await fs.writeFile(target, render(bundle), { mode: 0o600 })
+    console.log(`  ${target}`)
+  }
+}
+
 async function handleInit() {
   const result = await initConfig()
   if (result.created) {
@@ -683,16 +760,18 @@ async function handlePolicy() {
   }
 
   const requestedMode = String(flags[0] || '').trim().toLowerCase()
-  if (requestedMode !== PERMISSION_MODE_FULL && requestedMode !== PERMISSION_MODE_WORKSPACE) {
-    console.error('[trapezohe-companion] Invalid mode. Use: full | workspace')
+  if (![PERMISSION_MODE_FULL, PERMISSION_MODE_WORKSPACE, PERMISSION_MODE_SUPERVISED].includes(requestedMode)) {
+    console.error('[trapezohe-companion] Invalid mode. Use: full | workspace | supervised')
     process.exit(1)
     return
   }
 
-  const requestedRoots = requestedMode === PERMISSION_MODE_WORKSPACE ? flags.slice(1) : []
+  const requestedRoots = requestedMode === PERMISSION_MODE_FULL ? [] : flags.slice(1)
   const nextPolicy = normalizePermissionPolicy({
     mode: requestedMode,
     workspaceRoots: requestedRoots,
+    approvalTimeoutMs: config.permissionPolicy?.approvalTimeoutMs,
+    commandRules: config.permissionPolicy?.commandRules,
   })
 
   if (nextPolicy.mode === PERMISSION_MODE_WORKSPACE && nextPolicy.workspaceRoots.length === 0) {
@@ -706,7 +785,7 @@ async function handlePolicy() {
   await saveConfig(config)
 
   console.log(`[trapezohe-companion] Permission mode updated: ${nextPolicy.mode}`)
-  if (nextPolicy.mode === PERMISSION_MODE_WORKSPACE) {
+  if (nextPolicy.workspaceRoots.length > 0) {
     console.log(`  Workspace roots: ${nextPolicy.workspaceRoots.join(', ')}`)
   }
 }
@@ -1248,6 +1327,7 @@ Commands:
   self-check            Run diagnostics and list suggested repairs
   repair <action>       Repair config or native host registration
   bootstrap            One-shot setup + start (non-interactive friendly)
+  export-run <runId>   Write a run's redacted transcript (Markdown + JSONL)
   register             Register Chrome Native Messaging host for the built-in Ghast extension
   unregister           Remove Native Messaging host registration
 
@@ -1261,11 +1341,13 @@ Examples:
   trapezohe-companion policy        # Print current policy JSON
   trapezohe-companion policy full
   trapezohe-companion policy workspace ~/trapezohe-workspace
+  trapezohe-companion policy supervised ~/trapezohe-workspace
   trapezohe-companion self-check --json
   trapezohe-companion repair repair_config
   trapezohe-companion repair register_native_host
   trapezohe-companion bootstrap --mode workspace --workspace ~/trapezohe-workspace
   trapezohe-companion register  # Register native host for the built-in Ghast extension
+  trapezohe-companion export-run run_123 --out ./exports
 
 Config: ~/.trapezohe/companion.json
 Docs:   https://github.com/Trapezohe/companion_service
@@ -0,0 +1,405 @@
+/**
+ * ACP agent adapter registry.
+ *
+ * An adapter tells the ACP session manager how to drive one coding CLI:
+ *
+ *   {
+ *     type: 'gemini',                  // the session's agentType
+ *     label: 'Gemini CLI',
+ *     buildCommand({ prompt, agentSessionId, resumeSessionId, forkSession, permissionPolicy }) → argv | null,
+ *     outputFormat: 'gemini',          // a parser from acp-events.mjs, or 'text'
+ *     parseLine(parsed, session, rawLine) → events,  // optional, overrides outputFormat
+ *     authEnvKeys: [...],              // imported from the login shell when unset
+ *     runtimeMarkerEnvKeys: [...],     // stripped so a nested CLI starts clean
+ *     prepareEnv(env, { explicitEnv }),   // optional, adjusts the spawn env in place
+ *     checkAuth(env) → { blocking, missingKeys, message? },
+ *     pinSessionId: false,             // companion assigns `agentSessionId` per session
+ *     supportsResume: false,           // restored sessions pass `resumeSessionId`
+ *     supportsFork: false,             // a resume can branch off (`forkSession`) without
+ *                                      // touching the resumed conversation
+ *     protocol: 'stdout',              // or 'acp': JSON-RPC Agent Client Protocol (acp-native.mjs)
+ *     permissionBridge: null,          // 'mcp' or 'acp' when tool permissions can be routed
+ *                                      // through the companion (acp-permissions.mjs), or
+ *                                      // 'sandbox' when buildCommand enforces the session's
+ *                                      // `sandbox: { writePolicy, cwd }` itself
+ *   }
+ *
+ * claude-code, codex, gemini, aider, opencode, acp-native, claude-api and raw
+ * are built in. More adapters can be declared under `acpAdapters` in
+ * companion.json:
+ *
+ *   {
+ *     "my-agent": {
+ *       "command": ["my-agent", "--json", "{prompt}"],
+ *       "outputFormat": "claude-api",
+ *       "resumeArgs": ["--resume", "{sessionId}"],
+ *       "authEnvKeys": ["MY_AGENT_API_KEY"],
+ *       "requireAuthEnv": true
+ *     }
+ *   }
+ *
+ * The prompt replaces a `{prompt}` element, or is appended when there is none.
+ * Entries with `"protocol": "acp"` start an ACP-native agent with `command`
+ * as is; prompts then travel over JSON-RPC.
+ */
+
+import {
+  buildClaudeCodeCommand,
+  buildCodexCommand,
+  getBuiltinAgentEnvHooks,
+} from './acp-auth.mjs'
+import { ACP_OUTPUT_FORMATS } from './acp-events.mjs'
+import { createStrictFail, isPlainObject } from './normalize.mjs'
+
+const ADAPTER_TYPE_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/
+export const ACP_ADAPTER_PROTOCOLS = ['stdout', 'acp']
+const PROMPT_PLACEHOLDER = '{prompt}'
+const SESSION_ID_PLACEHOLDER = '{sessionId}'
+
+const fail = createStrictFail('acp-adapters')
+
+function normalizeStringList(value) {
+  return Array.isArray(value)
+    ? value.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim())
+    : []
+}
+
+const BUILTIN_ADAPTERS = [
+  {
+    type: 'claude-code',
+    label: 'Claude Code',
+    ...getBuiltinAgentEnvHooks('claude-code'),
+    buildCommand: buildClaudeCodeCommand,
+    outputFormat: 'claude-code',
+    pinSessionId: true,
+    supportsResume: true,
+    supportsFork: true,
+    permissionBridge: 'mcp',
+  },
+  {
+    type: 'codex',
+    label: 'Codex CLI',
+    ...getBuiltinAgentEnvHooks('codex'),
+    buildCommand: buildCodexCommand,
+    outputFormat: 'codex',
+    supportsResume: true,
+    permissionBridge: 'sandbox',
+  },
+  {
+    type: 'gemini',
+    label: 'Gemini CLI',
+    authEnvKeys: ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_CLOUD_PROJECT', 'GOOGLE_CLOUD_LOCATION', 'GOOGLE_GENAI_USE_VERTEXAI'],
+    runtimeMarkerEnvKeys: ['GEMINI_CLI'],
+    buildCommand: ({ prompt } = {}) => [
+      'gemini',
+      '--output-format', 'stream-json',
+      '--yolo',
+      ...(prompt ? ['--prompt', prompt] : []),
+    ],
+    outputFormat: 'gemini',
+  },
+  {
+    type: 'aider',
+    label: 'Aider',
+    authEnvKeys: ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'OPENAI_API_BASE', 'GEMINI_API_KEY', 'DEEPSEEK_API_KEY', 'OPENROUTER_API_KEY'],
+    buildCommand: ({ prompt } = {}) => [
+      'aider',
+      '--yes-always',
+      '--no-pretty',
+      '--no-stream',
+      '--no-check-update',
+      '--no-auto-commits',
+      ...(prompt ? ['--message', prompt] : []),
+    ],
+    outputFormat: 'text',
+  },
+  {
+    type: 'opencode',
+    label: 'OpenCode',
+    authEnvKeys: ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'GEMINI_API_KEY'],
+    runtimeMarkerEnvKeys: ['OPENCODE'],
+    buildCommand: ({ prompt, resumeSessionId } = {}) => [
+      'opencode', 'run',
+      '--format', 'json',
+      ...(resumeSessionId ? ['--session', resumeSessionId] : []),
+      ...(prompt ? [prompt] : []),
+    ],
+    outputFormat: 'opencode',
+    supportsResume: true,
+  },
+  {
+    // Any agent speaking the Agent Client Protocol; the session supplies the
+    // agent command, e.g. ["gemini", "--experimental-acp"].
+    type: 'acp-native',
+    label: 'ACP agent (JSON-RPC)',
+    protocol: 'acp',
+    supportsResume: true,
+  },
+  {
+    type: 'claude-api',
+    label: 'Claude API stream',
+    outputFormat: 'claude-api',
+  },
+  {
+    type: 'raw',
+    label: 'Raw command',
+    outputFormat: 'claude-api',
+  },
+]
+
+const adapters = new Map()
+const configuredTypes = new Set()
+
+function toAdapter(input) {
+  if (!isPlainObject(input)) throw new Error('ACP adapter must be an object.')
+  const type = typeof input.type === 'string' ? input.type.trim().toLowerCase() : ''
+  if (!ADAPTER_TYPE_RE.test(type)) {
+    throw new Error(`Invalid ACP adapter type "${input.type}". Use lowercase letters, digits, ".", "_" or "-".`)
+  }
+  for (const hook of ['buildCommand', 'parseLine', 'prepareEnv', 'checkAuth']) {
+    if (input[hook] !== undefined && typeof input[hook] !== 'function') {
+      throw new Error(`ACP adapter "${type}": ${hook} must be a function.`)
+    }
+  }
+  const outputFormat = input.outputFormat === undefined ? 'claude-api' : input.outputFormat
+  if (!ACP_OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`ACP adapter "${type}": outputFormat must be one of: ${ACP_OUTPUT_FORMATS.join(', ')}.`)
+  }
+  const protocol = input.protocol === undefined ? 'stdout' : input.protocol
+  if (!ACP_ADAPTER_PROTOCOLS.includes(protocol)) {
+    throw new Error(`ACP adapter "${type}": protocol must be one of: ${ACP_ADAPTER_PROTOCOLS.join(', ')}.`)
+  }
+  const permissionBridge = protocol === 'acp'
+    ? 'acp'
+    : (input.permissionBridge === 'mcp' || input.permissionBridge === 'sandbox' ? input.permissionBridge : null)
+  return Object.freeze({
+    ...input,
+    type,
+    label: typeof input.label === 'string' && input.label.trim() ? input.label.trim() : type,
+    outputFormat,
+    protocol,
+    authEnvKeys: normalizeStringList(input.authEnvKeys),
+    runtimeMarkerEnvKeys: normalizeStringList(input.runtimeMarkerEnvKeys),
+    pinSessionId: input.pinSessionId === true,
+    supportsResume: input.supportsResume === true,
+    supportsFork: input.supportsFork === true,
+    permissionBridge,
+  })
+}
+
+for (const builtin of BUILTIN_ADAPTERS) {
+  const adapter = toAdapter(builtin)
+  adapters.set(adapter.type, adapter)
+}
+
+function isBuiltinType(type) {
+  return BUILTIN_ADAPTERS.some((builtin) => builtin.type === type)
+}
+
+/**
+ * Register (or replace) an adapter. Built-in adapters cannot be replaced.
+ * @returns {object} the registered adapter
+ */
+export function registerAcpAgentAdapter(input) {
+  const adapter = toAdapter(input)
+  if (isBuiltinType(adapter.type)) {
+    throw new Error(`ACP adapter "${adapter.type}" is built in and cannot be replaced.`)
+  }
+  adapters.set(adapter.type, adapter)
+  return adapter
+}
+
+export function unregisterAcpAgentAdapter(type) {
+  const key = String(type || '').trim().toLowerCase()
+  if (isBuiltinType(key)) return false
+  configuredTypes.delete(key)
+  return adapters.delete(key)
+}
+
+export function getAcpAgentAdapter(type) {
+  return adapters.get(String(type || '').trim().toLowerCase()) || null
+}
+
+/** The adapter for `type`, falling back to `raw` for unknown agent types. */
+export function resolveAcpAgentAdapter(type) {
+  return getAcpAgentAdapter(type) || adapters.get('raw')
+}
+
+/**
+ * Agent types that can run without an explicit command; these are the ones
+ * scheduled automations may use.
+ */
+export function isCommandCapableAcpAgentType(type) {
+  return typeof getAcpAgentAdapter(type)?.buildCommand === 'function'
+}
+
+export function listAcpAgentAdapters() {
+  return Array.from(adapters.values()).map((adapter) => ({
+    type: adapter.type,
+    label: adapter.label,
+    builtin: isBuiltinType(adapter.type),
+    configured: configuredTypes.has(adapter.type),
+    defaultCommand: typeof adapter.buildCommand === 'function',
+    outputFormat: adapter.outputFormat,
+    protocol: adapter.protocol,
+    authEnvKeys: adapter.authEnvKeys,
+    pinSessionId: adapter.pinSessionId,
+    supportsResume: adapter.supportsResume,
+    supportsFork: adapter.supportsFork,
+    permissionBridge: adapter.permissionBridge,
+  }))
+}
+
+/** Whether sessions of `type` can route tool permissions through the companion. */
+export function supportsAcpPermissionBridge(type) {
+  return Boolean(getAcpAgentAdapter(type)?.permissionBridge)
+}
+
+/** Default argv for a session of `type`, or null when it needs an explicit command. */
+export function resolveAcpAgentCommand(type, options = {}) {
+  const adapter = getAcpAgentAdapter(type)
+  if (typeof adapter?.buildCommand !== 'function') return null
+  return adapter.buildCommand(options)
+}
+
+// ── companion.json `acpAdapters` ──
+
+function normalizeArgv(value, label, strict, { required = false } = {}) {
+  if (value === undefined && !required) return []
+  const argv = Array.isArray(value) ? value : null
+  if (!argv || argv.length === 0 || argv.some((item) => typeof item !== 'string' || !item.trim())) {
+    fail(strict, `${label} must be a non-empty array of strings.`)
+    return null
+  }
+  return argv.map((item) => item.trim())
+}
+
+/**
+ * Normalize a raw `acpAdapters` object. With `strict`, invalid entries throw;
+ * otherwise they are dropped with a warning so a hand-edited config never
+ * stops the companion from starting.
+ */
+export function normalizeAcpAdapterConfig(input = {}, { strict = false } = {}) {
+  if (!isPlainObject(input)) {
+    if (input !== undefined && input !== null) fail(strict, 'acpAdapters must be an object.')
+    return {}
+  }
+  const normalized = {}
+  for (const [rawType, raw] of Object.entries(input)) {
+    const type = rawType.trim().toLowerCase()
+    const label = `acpAdapters.${rawType}`
+    if (!ADAPTER_TYPE_RE.test(type)) {
+      fail(strict, `${label}: invalid adapter type.`)
+      continue
+    }
+    if (isBuiltinType(type)) {
+      fail(strict, `${label}: "${type}" is a built-in adapter.`)
+      continue
+    }
+    if (!isPlainObject(raw)) {
+      fail(strict, `${label} must be an object.`)
+      continue
+    }
+    const command = normalizeArgv(raw.command, `${label}.command`, strict, { required: true })
+    if (!command) continue
+    const resumeArgs = normalizeArgv(raw.resumeArgs, `${label}.resumeArgs`, strict)
+    if (!resumeArgs) continue
+    if (resumeArgs.length > 0 && !resumeArgs.includes(SESSION_ID_PLACEHOLDER)) {
+      fail(strict, `${label}.resumeArgs must contain "${SESSION_ID_PLACEHOLDER}".`)
+      continue
+    }
+    const outputFormat = raw.outputFormat === undefined ? 'text' : raw.outputFormat
+    if (!ACP_OUTPUT_FORMATS.includes(outputFormat)) {
+      fail(strict, `${label}.outputFormat must be one of: ${ACP_OUTPUT_FORMATS.join(', ')}.`)
+      continue
+    }
+    const protocol = raw.protocol === undefined ? 'stdout' : raw.protocol
+    if (!ACP_ADAPTER_PROTOCOLS.includes(protocol)) {
+      fail(strict, `${label}.protocol must be one of: ${ACP_ADAPTER_PROTOCOLS.join(', ')}.`)
+      continue
+    }
+    if (protocol === 'acp' && (command.includes(PROMPT_PLACEHOLDER) || resumeArgs.length > 0)) {
+      fail(strict, `${label}: ACP-native adapters take prompts over JSON-RPC and resume with session/load; drop "{prompt}" and resumeArgs.`)
+      continue
+    }
+    const authEnvKeys = normalizeStringList(raw.authEnvKeys)
+    normalized[type] = {
+      ...(typeof raw.label === 'string' && raw.label.trim() ? { label: raw.label.trim() } : {}),
+      command,
+      outputFormat,
+      ...(protocol === 'acp' ? { protocol } : {}),
+      ...(resumeArgs.length > 0 ? { resumeArgs } : {}),
+      ...(authEnvKeys.length > 0 ? { authEnvKeys } : {}),
+      ...(raw.requireAuthEnv === true && authEnvKeys.length > 0 ? { requireAuthEnv: true } : {}),
+      ...(normalizeStringList(raw.runtimeMarkerEnvKeys).length > 0
+        ? { runtimeMarkerEnvKeys: normalizeStringList(raw.runtimeMarkerEnvKeys) }
+        : {}),
+    }
+  }
+  return normalized
+}
+
+function compileConfiguredAdapter(type, config) {
+  const acpProtocol = config.protocol === 'acp'
+  return {
+    type,
+    label: config.label,
+    outputFormat: config.outputFormat,
+    protocol: config.protocol,
+    authEnvKeys: config.authEnvKeys,
+    runtimeMarkerEnvKeys: config.runtimeMarkerEnvKeys,
+    supportsResume: acpProtocol || Boolean(config.resumeArgs),
+    buildCommand: ({ prompt, resumeSessionId } = {}) => {
+      if (acpProtocol) return [...config.command]
+      const resume = resumeSessionId && config.resumeArgs
+        ? config.resumeArgs.map((arg) => (arg === SESSION_ID_PLACEHOLDER ? resumeSessionId : arg))
+        : []
+      const argv = []
+      let promptPlaced = false
+      for (const arg of config.command) {
+        if (arg === PROMPT_PLACEHOLDER) {
+          argv.push(...resume)
+          if (prompt) argv.push(prompt)
+          promptPlaced = true
+        } else {
+          argv.push(arg)
+        }
+      }
+      if (!promptPlaced) {
+        argv.push(...resume)
+        if (prompt) argv.push(prompt)
+      }
+      return argv
+    },
+    ...(config.requireAuthEnv
+      ? {
+          checkAuth: (env) => {
+            if (config.authEnvKeys.some((key) => typeof env[key] === 'string' && env[key].trim())) {
+              return { blocking: false, missingKeys: [] }
+            }
+            return {
+              blocking: true,
+              missingKeys: [config.authEnvKeys.join(' or ')],
+              message: `Missing auth env for ${type}: set ${config.authEnvKeys.join(' or ')}.`,
+            }
+          },
+        }
+      : {}),
+  }
+}
+
+/**
+ * Replace the adapters declared in companion.json. Adapters registered from
+ * code are left alone.
+ * @returns {string[]} the configured adapter types
+ */
+export function configureAcpAgentAdapters(config = {}) {
+  const normalized = normalizeAcpAdapterConfig(config)
+  for (const type of configuredTypes) adapters.delete(type)
+  configuredTypes.clear()
+  for (const [type, entry] of Object.entries(normalized)) {
+    registerAcpAgentAdapter(compileConfiguredAdapter(type, entry))
+    configuredTypes.add(type)
+  }
+  return Array.from(configuredTypes)
+}
@@ -0,0 +1,240 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  configureAcpAgentAdapters,
+  getAcpAgentAdapter,
+  isCommandCapableAcpAgentType,
+  listAcpAgentAdapters,
+  normalizeAcpAdapterConfig,
+  registerAcpAgentAdapter,
+  resolveAcpAgentAdapter,
+  resolveAcpAgentCommand,
+  unregisterAcpAgentAdapter,
+} from './acp-adapters.mjs'
+import { prepareAgentSpawnEnvironment } from './acp-auth.mjs'
+import { parseAgentLine } from './acp-events.mjs'
+import { normalizeAutomationSpec } from './automation-spec.mjs'
+import {
+  cleanupAllAcpSessions,
+  createAcpSession,
+  enqueuePrompt,
+  getAcpSessionById,
+  listAcpEvents,
+} from './acp-session.mjs'
+
+// ACP sessions are persisted to acp-sessions.json; keep that out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'acp-adapters-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function fakeSession(agentType) {
+  return { sessionId: 's1', agentType, currentTurnId: 't1', toolCallsById: new Map() }
+}
+
+test('built-in adapters cover gemini, aider and opencode alongside claude-code and codex', () => {
+  const types = listAcpAgentAdapters().map((adapter) => adapter.type)
+  for (const type of ['claude-code', 'codex', 'gemini', 'aider', 'opencode', 'claude-api', 'raw']) {
+    assert.ok(types.includes(type), `missing ${type}`)
+  }
+
+  assert.deepEqual(
+    resolveAcpAgentCommand('gemini', { prompt: 'fix it' }),
+    ['gemini', '--output-format', 'stream-json', '--yolo', '--prompt', 'fix it'],
+  )
+  const aider = resolveAcpAgentCommand('aider', { prompt: 'fix it' })
+  assert.equal(aider[0], 'aider')
+  assert.deepEqual(aider.slice(-2), ['--message', 'fix it'])
+  assert.deepEqual(
+    resolveAcpAgentCommand('opencode', { prompt: 'fix it', resumeSessionId: 'ses_1' }),
+    ['opencode', 'run', '--format', 'json', '--session', 'ses_1', 'fix it'],
+  )
+  assert.equal(resolveAcpAgentCommand('raw', { prompt: 'x' }), null)
+  assert.equal(resolveAcpAgentAdapter('unknown-agent').type, 'raw')
+  assert.equal(getAcpAgentAdapter('claude-code').pinSessionId, true)
+  assert.equal(getAcpAgentAdapter('opencode').supportsResume, true)
+})
+
+test('registerAcpAgentAdapter validates hooks and protects built-ins', (t) => {
+  t.after(() => unregisterAcpAgentAdapter('custom-agent'))
+
+  assert.throws(() => registerAcpAgentAdapter({ type: 'codex' }), /built in/)
+  assert.throws(() => registerAcpAgentAdapter({ type: 'Bad Type' }), /Invalid ACP adapter type/)
+  assert.throws(() => registerAcpAgentAdapter({ type: 'custom-agent', buildCommand: 'nope' }), /buildCommand must be a function/)
+  assert.throws(() => registerAcpAgentAdapter({ type: 'custom-agent', outputFormat: 'xml' }), /outputFormat/)
+
+  const adapter = registerAcpAgentAdapter({
+    type: 'Custom-Agent',
+    buildCommand: ({ prompt }) => ['custom', prompt],
+    parseLine: (parsed, session) => [{ type: 'text_delta', turnId: session.currentTurnId, text: parsed.say }],
+  })
+  assert.equal(adapter.type, 'custom-agent')
+  assert.deepEqual(resolveAcpAgentCommand('custom-agent', { prompt: 'hi' }), ['custom', 'hi'])
+  assert.deepEqual(
+    parseAgentLine('{"say":"hello"}', fakeSession('custom-agent'), adapter),
+    [{ type: 'text_delta', turnId: 't1', text: 'hello' }],
+  )
+  assert.equal(unregisterAcpAgentAdapter('custom-agent'), true)
+  assert.equal(unregisterAcpAgentAdapter('codex'), false)
+})
+
+test('parseAgentLine understands gemini, opencode and plain text output', () => {
+  const gemini = getAcpAgentAdapter('gemini')
+  const geminiSession = fakeSession('gemini')
+  const init = parseAgentLine(JSON.stringify({ type: 'init', session_id: 'g-1', model: 'gemini-2.5-pro' }), geminiSession, gemini)
+  assert.equal(geminiSession.runtimeSessionId, 'g-1')
+  assert.ok(init.some((event) => event.statusCode === 'runtime_session_id'))
+  assert.deepEqual(
+    parseAgentLine(JSON.stringify({ type: 'message', role: 'assistant', content: 'Hi', delta: true }), geminiSession, gemini),
+    [{ type: 'text_delta', turnId: 't1', text: 'Hi' }],
+  )
+  assert.deepEqual(parseAgentLine(JSON.stringify({ type: 'message', role: 'user', content: 'prompt' }), geminiSession, gemini), [])
+  const [toolCall] = parseAgentLine(
+    JSON.stringify({ type: 'tool_use', tool_name: 'read_file', tool_id: 'tool-1', parameters: { file_path: 'a.txt' } }),
+    geminiSession,
+    gemini,
+  )
+  assert.equal(toolCall.type, 'tool_call')
+  assert.equal(toolCall.tool, 'read_file')
+  const [toolError] = parseAgentLine(
+    JSON.stringify({ type: 'tool_result', tool_id: 'tool-1', status: 'error', error: { message: 'Permission denied' } }),
+    geminiSession,
+    gemini,
+  )
+  assert.equal(toolError.statusCode, 'tool_permission_error')
+  assert.match(toolError.text, /read_file failed/)
+  const [done] = parseAgentLine(JSON.stringify({ type: 'result', status: 'success', stats: { total_tokens: 10 } }), geminiSession, gemini)
+  assert.equal(done.type, 'done')
+  assert.deepEqual(done.usage, { total_tokens: 10 })
+
+  const opencode = getAcpAgentAdapter('opencode')
+  const opencodeSession = fakeSession('opencode')
+  const text = parseAgentLine(
+    JSON.stringify({ type: 'text', sessionID: 'ses_1', part: { type: 'text', text: 'Done.' } }),
+    opencodeSession,
+    opencode,
+  )
+  assert.equal(opencodeSession.runtimeSessionId, 'ses_1')
+  assert.deepEqual(text.map((event) => event.type), ['status', 'text_delta'])
+  const [bash] = parseAgentLine(
+    JSON.stringify({ type: 'tool_use', sessionID: 'ses_1', part: { tool: 'bash', callID: 'c1', state: { status: 'completed', input: { command: 'ls' } } } }),
+    opencodeSession,
+    opencode,
+  )
+  assert.equal(bash.type, 'tool_call')
+  assert.equal(bash.input, '{"command":"ls"}')
+  assert.deepEqual(parseAgentLine(JSON.stringify({ type: 'step_finish', sessionID: 'ses_1', part: { reason: 'tool-calls' } }), opencodeSession, opencode), [])
+  const [finished] = parseAgentLine(JSON.stringify({ type: 'step_finish', sessionID: 'ses_1', part: { reason: 'stop' } }), opencodeSession, opencode)
+  assert.equal(finished.type, 'done')
+
+  assert.deepEqual(
+    parseAgentLine('  Applied edit to a.txt', fakeSession('aider'), getAcpAgentAdapter('aider')),
+    [{ type: 'text_delta', turnId: 't1', text: '  Applied edit to a.txt\n' }],
+  )
+})
+
+test('normalizeAcpAdapterConfig validates config entries', () => {
+  assert.throws(() => normalizeAcpAdapterConfig({ codex: { command: ['x'] } }, { strict: true }), /built-in adapter/)
+  assert.throws(() => normalizeAcpAdapterConfig({ mine: { command: [] } }, { strict: true }), /command must be a non-empty array/)
+  assert.throws(
+    () => normalizeAcpAdapterConfig({ mine: { command: ['mine'], resumeArgs: ['--resume'] } }, { strict: true }),
+    /resumeArgs must contain/,
+  )
+  assert.throws(
+    () => normalizeAcpAdapterConfig({ mine: { command: ['mine'], outputFormat: 'yaml' } }, { strict: true }),
+    /outputFormat must be one of/,
+  )
+
+  const normalized = normalizeAcpAdapterConfig({
+    Mine: { command: ['mine', '--json'], outputFormat: 'claude-api', authEnvKeys: ['MINE_KEY', ''], requireAuthEnv: true },
+    broken: { command: 'mine' },
+  })
+  assert.deepEqual(normalized, {
+    mine: { command: ['mine', '--json'], outputFormat: 'claude-api', authEnvKeys: ['MINE_KEY'], requireAuthEnv: true },
+  })
+})
+
+test('configured adapters build commands, gate auth and are accepted by automation specs', (t) => {
+  t.after(() => configureAcpAgentAdapters({}))
+
+  const types = configureAcpAgentAdapters({
+    'my-agent': {
+      command: ['my-agent', '--json', '{prompt}', '--verbose'],
+      outputFormat: 'claude-api',
+      resumeArgs: ['--resume', '{sessionId}'],
+      authEnvKeys: ['MY_AGENT_KEY'],
+      requireAuthEnv: true,
+    },
+  })
+  assert.deepEqual(types, ['my-agent'])
+  assert.deepEqual(
+    resolveAcpAgentCommand('my-agent', { prompt: 'hello', resumeSessionId: 'abc' }),
+    ['my-agent', '--json', '--resume', 'abc', 'hello', '--verbose'],
+  )
+  assert.deepEqual(resolveAcpAgentCommand('my-agent', {}), ['my-agent', '--json', '--verbose'])
+  const listed = listAcpAgentAdapters().find((adapter) => adapter.type === 'my-agent')
+  assert.equal(listed.configured, true)
+  assert.equal(listed.supportsResume, true)
+
+  const blocked = prepareAgentSpawnEnvironment({
+    baseEnv: { PATH: '/usr/bin' },
+    agentType: 'my-agent',
+    adapter: getAcpAgentAdapter('my-agent'),
+  })
+  assert.equal(blocked.authCheck.blocking, true)
+  assert.match(blocked.authCheck.message, /MY_AGENT_KEY/)
+  const allowed = prepareAgentSpawnEnvironment({
+    baseEnv: { PATH: '/usr/bin' },
+    agentType: 'my-agent',
+    adapter: getAcpAgentAdapter('my-agent'),
+    explicitEnv: { MY_AGENT_KEY: 'secret' },
+  })
+  assert.equal(allowed.authCheck.blocking, false)
+
+  assert.equal(isCommandCapableAcpAgentType('my-agent'), true)
+  assert.equal(isCommandCapableAcpAgentType('raw'), false)
+  const spec = normalizeAutomationSpec({ executor: 'companion_acp', agentType: 'my-agent', sessionTarget: 'isolated' })
+  assert.equal(spec.agentType, 'my-agent')
+  assert.equal(spec.supported, true)
+  assert.equal(normalizeAutomationSpec({ executor: 'companion_acp', agentType: 'gemini' }).agentType, 'gemini')
+  assert.equal(normalizeAutomationSpec({ executor: 'companion_acp', agentType: 'raw' }).agentType, null)
+
+  // Reconfiguring drops adapters that are no longer declared.
+  configureAcpAgentAdapters({})
+  assert.equal(getAcpAgentAdapter('my-agent'), null)
+  assert.equal(normalizeAutomationSpec({ executor: 'companion_acp', agentType: 'my-agent' }).agentType, null)
+})
+
+test('ACP sessions run configured text adapters end to end', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => {
+    cleanupAllAcpSessions()
+    configureAcpAgentAdapters({})
+  })
+  configureAcpAgentAdapters({
+    'echo-agent': {
+      command: [process.execPath, '-e', 'console.log(`echo: ${process.argv[1]}`)', '{prompt}'],
+    },
+  })
+
+  const { sessionId } = createAcpSession({ agentType: 'echo-agent', cwd: process.cwd(), timeoutMs: 5_000 })
+  await enqueuePrompt(sessionId, { prompt: 'ping' })
+  const deadline = Date.now() + 5_000
+  while (Date.now() < deadline && getAcpSessionById(sessionId)?.state !== 'done') await delay(25)
+
+  assert.equal(getAcpSessionById(sessionId).state, 'done')
+  const { events } = listAcpEvents(sessionId, { after: 0, limit: 100 })
+  assert.ok(events.some((event) => event.type === 'text_delta' && event.text === 'echo: ping\n'))
+})
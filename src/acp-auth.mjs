@@ -1,8 +1,9 @@
 import { spawnSync } from 'node:child_process'
 import { readdirSync, existsSync, mkdirSync, copyFileSync, cpSync, statSync } from 'node:fs'
-import { join, dirname, delimiter as PATH_DELIMITER } from 'node:path'
+import { homedir } from 'node:os'
+import { join, dirname, resolve as resolvePath, delimiter as PATH_DELIMITER } from 'node:path'
 
-import { PERMISSION_MODE_FULL, normalizePermissionPolicy } from './permission-policy.mjs'
+import { PERMISSION_MODE_FULL, isPathWithinRoots, normalizePermissionPolicy } from './permission-policy.mjs'
 
 const CLAUDE_HELP_PROBE_TIMEOUT_MS = Number(process.env.TRAPEZOHE_CLAUDE_HELP_PROBE_TIMEOUT_MS || 1_500)
 const CODEX_SAFE_REASONING_EFFORT = 'high'
@@ -23,7 +24,7 @@ export const AGENT_AUTH_ENV_KEYS = {
   codex: ['CRS_OAI_KEY', 'OPENAI_API_KEY', 'OPENAI_BASE_URL'],
 }
 
-const AGENT_RUNTIME_MARKER_ENV_KEYS = {
+export const AGENT_RUNTIME_MARKER_ENV_KEYS = {
   'claude-code': [
     'CLAUDECODE',
     'CLAUDE_CODE_ENTRYPOINT',
@@ -341,8 +342,7 @@ function bootstrapCodexRuntimeHome(baseEnv = {}) {
   return runtimeHome
 }
 
-function stripAgentRuntimeMarkers(env, agentType) {
-  const keys = AGENT_RUNTIME_MARKER_ENV_KEYS[agentType] || []
+function stripAgentRuntimeMarkers(env, keys = []) {
   for (const key of keys) {
     delete env[key]
   }
@@ -351,7 +351,7 @@ function stripAgentRuntimeMarkers(env, agentType) {
 export function prepareAgentEnvironment(baseEnv, agentType) {
   const agentEnv = { ...baseEnv }
   if (shouldSanitizeInheritedAgentEnv()) {
-    stripAgentRuntimeMarkers(agentEnv, agentType)
+    stripAgentRuntimeMarkers(agentEnv, AGENT_RUNTIME_MARKER_ENV_KEYS[agentType])
     if (agentType === 'claude-code' && shouldUseLegacyAuthRewrite()) {
       if (hasNonEmptyString(agentEnv.CRS_OAI_KEY)) {
         agentEnv.ANTHROPIC_API_KEY = agentEnv.CRS_OAI_KEY
@@ -371,15 +371,58 @@ export function prepareAgentEnvironment(baseEnv, agentType) {
   return agentEnv
 }
 
+/** Codex runs against an isolated CODEX_HOME seeded from the user's ~/.codex. */
+export function prepareCodexSpawnEnv(env) {
+  const isolatedCodexHome = bootstrapCodexRuntimeHome(env)
+  if (isolatedCodexHome) {
+    env.CODEX_HOME = isolatedCodexHome
+  }
+}
+
+export function prepareClaudeCodeSpawnEnv(env, { explicitEnv = null } = {}) {
+  if (!shouldUseLegacyAuthRewrite()) return
+  if (!explicitEnv?.ANTHROPIC_AUTH_TOKEN) {
+    delete env.ANTHROPIC_AUTH_TOKEN
+  }
+  normalizeClaudeAuthEnv(env)
+}
+
+const BUILTIN_AGENT_ENV_HOOKS = {
+  'claude-code': {
+    authEnvKeys: AGENT_AUTH_ENV_KEYS['claude-code'],
+    runtimeMarkerEnvKeys: AGENT_RUNTIME_MARKER_ENV_KEYS['claude-code'],
+    prepareEnv: prepareClaudeCodeSpawnEnv,
+    checkAuth: (env) => resolveAgentAuthCheck('claude-code', env),
+  },
+  codex: {
+    authEnvKeys: AGENT_AUTH_ENV_KEYS.codex,
+    runtimeMarkerEnvKeys: AGENT_RUNTIME_MARKER_ENV_KEYS.codex,
+    prepareEnv: prepareCodexSpawnEnv,
+    checkAuth: (env) => resolveAgentAuthCheck('codex', env),
+  },
+}
+
+/** Env hooks of a built-in agent type, shaped like an ACP adapter's. */
+export function getBuiltinAgentEnvHooks(agentType) {
+  return BUILTIN_AGENT_ENV_HOOKS[agentType] || null
+}
+
+/**
+ * Build the env for an agent child. `options.adapter` supplies the
+ * agent-specific parts (auth keys to import from the login shell, runtime
+ * markers to strip, `prepareEnv` and `checkAuth`); without it the built-in
+ * hooks for `options.agentType` are used.
+ */
 export function prepareAgentSpawnEnvironment(options = {}) {
   const agentType = String(options.agentType || '').toLowerCase()
+  const hooks = options.adapter || BUILTIN_AGENT_ENV_HOOKS[agentType] || {}
   const explicitEnv = options.explicitEnv && typeof options.explicitEnv === 'object'
     ? options.explicitEnv
     : null
   const agentEnv = { ...(options.baseEnv || process.env) }
 
   if (options.alwaysStripRuntimeMarkers !== false) {
-    stripAgentRuntimeMarkers(agentEnv, agentType)
+    stripAgentRuntimeMarkers(agentEnv, hooks.runtimeMarkerEnvKeys)
   }
 
   if (
@@ -394,7 +437,7 @@ export function prepareAgentSpawnEnvironment(options = {}) {
     delete agentEnv.ANTHROPIC_AUTH_TOKEN
   }
 
-  const shellAuthEnv = getShellEnvValues(AGENT_AUTH_ENV_KEYS[agentType] || [])
+  const shellAuthEnv = getShellEnvValues(hooks.authEnvKeys || [])
   for (const [key, value] of Object.entries(shellAuthEnv)) {
     if (hasNonEmptyString(agentEnv[key])) continue
     agentEnv[key] = value
@@ -407,55 +450,124 @@ export function prepareAgentSpawnEnvironment(options = {}) {
     }
   }
 
-  if (agentType === 'codex') {
-    const isolatedCodexHome = bootstrapCodexRuntimeHome(agentEnv)
-    if (isolatedCodexHome) {
-      agentEnv.CODEX_HOME = isolatedCodexHome
-    }
-  }
-
   agentEnv.PATH = buildAgentPath(agentEnv.PATH, {
     homeDir: agentEnv.HOME || process.env.HOME,
   })
 
-  if (agentType === 'claude-code' && shouldUseLegacyAuthRewrite()) {
-    if (!explicitEnv?.ANTHROPIC_AUTH_TOKEN) {
-      delete agentEnv.ANTHROPIC_AUTH_TOKEN
-    }
-    normalizeClaudeAuthEnv(agentEnv)
+  if (typeof hooks.prepareEnv === 'function') {
+    hooks.prepareEnv(agentEnv, { explicitEnv })
   }
 
   return {
     env: agentEnv,
-    authCheck: resolveAgentAuthCheck(agentType, agentEnv),
+    authCheck: typeof hooks.checkAuth === 'function'
+      ? hooks.checkAuth(agentEnv)
+      : { blocking: false, missingKeys: [] },
   }
 }
 
+/**
+ * `permissionPromptTool` ({ toolName, mcpConfigPath }) puts the session on the
+ * companion's permission bridge: Claude asks that MCP tool for each tool use.
+ * Permission checks are only skipped with an explicit `skipPermissions`;
+ * otherwise Claude's own non-interactive checks apply. `forkSession` makes a resume branch off
+ * into a new conversation instead of continuing the resumed one.
+ */
+export function buildClaudeCodeCommand({ prompt, agentSessionId, resumeSessionId, forkSession, permissionPromptTool, skipPermissions = false } = {}) {
+  return [
+    'claude',
+    '--print',
+    '--output-format', 'stream-json',
+    '--verbose',
+    ...(permissionPromptTool
+      ? [
+          '--permission-prompt-tool', permissionPromptTool.toolName,
+          '--mcp-config', permissionPromptTool.mcpConfigPath,
+        ]
+      : (skipPermissions ? ['--dangerously-skip-permissions'] : [])),
+    '--disallowedTools', 'AskUserQuestion',
+    ...(!permissionPromptTool && supportsClaudeNonInteractivePermissionsFlag() ? ['--non-interactive-permissions', 'fail'] : []),
+    // A session restored after a companion restart continues the stored
+    // conversation instead of claiming a fresh id.
+    ...(resumeSessionId
+      ? ['--resume', resumeSessionId, ...(forkSession ? ['--fork-session'] : [])]
+      : (agentSessionId ? ['--session-id', agentSessionId] : [])),
+    ...(prompt ? [prompt] : []),
+  ]
+}
+
+// Codex cannot ask the companion about each tool use, so a bridged session
+// runs in Codex's own sandbox with approvals off. Writes are confined to
+// `allowedPaths` (temp dirs excluded); when the session cwd is not under one
+// of them, Codex would be able to write there too, so it runs read-only.
+function buildCodexSandboxArgs({ writePolicy, cwd } = {}) {
+  const base = cwd || process.cwd()
+  const allowedPaths = writePolicy?.mode === 'allowlist' && Array.isArray(writePolicy.allowedPaths)
+    ? writePolicy.allowedPaths
+      .filter((entry) => typeof entry === 'string' && entry.trim())
+      .map((entry) => {
+        const trimmed = entry.trim()
+        if (trimmed === '~') return homedir()
+        return resolvePath(base, trimmed.startsWith('~/') ? join(homedir(), trimmed.slice(2)) : trimmed)
+      })
+    : []
+  const writable = allowedPaths.length > 0 && isPathWithinRoots(resolvePath(base), allowedPaths)
+  return [
+    '--sandbox', writable ? 'workspace-write' : 'read-only',
+    ...(writable
+      ? [
+          '-c', `sandbox_workspace_write.writable_roots=${JSON.stringify(allowedPaths)}`,
+          '-c', 'sandbox_workspace_write.exclude_slash_tmp=true',
+          '-c', 'sandbox_workspace_write.exclude_tmpdir_env_var=true',
+        ]
+      : []),
+    '-c', 'approval_policy="never"',
+  ]
+}
+
+/**
+ * `resumeSessionId` continues a stored Codex thread (`codex exec resume`).
+ * `sandbox` ({ writePolicy, cwd }) puts the session on the permission bridge:
+ * Codex enforces the write policy in its own sandbox. The sandbox is only
+ * bypassed with an explicit `skipPermissions`; otherwise Codex's defaults apply.
+ */
+export function buildCodexCommand({ prompt, permissionPolicy, resumeSessionId, sandbox, skipPermissions = false } = {}) {
+  return [
+    'codex', 'exec',
+    '--json',
+    ...(sandbox
+      ? buildCodexSandboxArgs(sandbox)
+      : (skipPermissions ? ['--dangerously-bypass-approvals-and-sandbox'] : [])),
+    ...(shouldSkipCodexGitRepoCheck(permissionPolicy) ? ['--skip-git-repo-check'] : []),
+    '-c', `model_reasoning_effort=${CODEX_SAFE_REASONING_EFFORT}`,
+    ...(resumeSessionId ? ['resume', resumeSessionId] : []),
+    ...(prompt ? [prompt] : []),
+  ]
+}
+
+/**
+ * Default command for the built-in claude-code and codex agents. Other agent
+ * types are resolved through the adapter registry in acp-adapters.mjs.
+ */
 export function resolveAgentDefaultCommand(agentType, prompt, agentSessionId, options = {}) {
   const type = String(agentType || '').toLowerCase()
   if (type === 'claude-code') {
-    const command = [
-      'claude',
-      '--print',
-      '--output-format', 'stream-json',
-      '--verbose',
-      '--dangerously-skip-permissions',
-      '--disallowedTools', 'AskUserQuestion',
-      ...(supportsClaudeNonInteractivePermissionsFlag() ? ['--non-interactive-permissions', 'fail'] : []),
-      ...(agentSessionId ? ['--session-id', agentSessionId] : []),
-      ...(prompt ? [prompt] : []),
-    ]
-    return command
+    return buildClaudeCodeCommand({
+      prompt,
+      agentSessionId,
+      resumeSessionId: options.resumeSessionId,
+      forkSession: options.forkSession,
+      skipPermissions: options.skipPermissions,
+    })
   }
   if (type === 'codex') {
-    return [
-      'codex', 'exec',
-      '--json',
-      '--dangerously-bypass-approvals-and-sandbox',
-      ...(shouldSkipCodexGitRepoCheck(options.permissionPolicy) ? ['--skip-git-repo-check'] : []),
-      '-c', `model_reasoning_effort=${CODEX_SAFE_REASONING_EFFORT}`,
-      ...(prompt ? [prompt] : []),
-    ]
+    return buildCodexCommand({
+      prompt,
+      permissionPolicy: options.permissionPolicy,
+      resumeSessionId: options.resumeSessionId,
+      sandbox: options.sandbox,
+      skipPermissions: options.skipPermissions,
+    })
   }
   return null
 }
@@ -1,3 +1,5 @@
+import { addTokenUsage, extractAgentTokenUsage } from './token-usage.mjs'
+
 function now() {
   return Date.now()
 }
@@ -226,11 +228,15 @@ function parseClaudeCodeLine(parsed, session) {
       })
       session.terminalEmitted = true
     } else {
+      const tokenUsage = extractAgentTokenUsage(parsed.usage, 'anthropic', { costUsd: parsed.total_cost_usd })
+        || session.pendingTokenUsage
+      session.pendingTokenUsage = null
       events.push({
         type: 'done',
         turnId: session.currentTurnId,
         stopReason: parsed.stop_reason || 'end_turn',
         result: parsed.result || undefined,
+        ...(tokenUsage ? { tokenUsage } : {}),
       })
       session.terminalEmitted = true
     }
@@ -304,6 +310,11 @@ function parseCodexLine(parsed, session) {
   const events = []
   const type = parsed.type || ''
 
+  if (type === 'thread.started') {
+    rememberRuntimeSessionId(session, 'codex', parsed.thread_id, events)
+    if (events.length > 0) return events
+  }
+
   if (type === 'item.completed' && parsed.item) {
     const itemType = parsed.item.type || ''
     if (itemType === 'agent_message' || itemType === 'message') {
@@ -347,11 +358,13 @@ function parseCodexLine(parsed, session) {
   }
 
   if (type === 'turn.completed') {
+    const tokenUsage = extractAgentTokenUsage(parsed.usage, 'openai')
     events.push({
       type: 'done',
       turnId: session.currentTurnId,
       stopReason: 'end_turn',
       usage: parsed.usage || undefined,
+      ...(tokenUsage ? { tokenUsage } : {}),
     })
     session.terminalEmitted = true
     return events
@@ -425,11 +438,26 @@ function parseClaudeApiLine(parsed, session, rawLine) {
     return events
   }
 
+  // message_start carries input usage and message_delta the running output
+  // count; both are folded into the done event at message_stop. The lines
+  // themselves still fall through to status below.
+  if (type === 'message_start' && parsed.message?.usage) {
+    session.pendingTokenUsage = extractAgentTokenUsage(parsed.message.usage, 'anthropic')
+  } else if (type === 'message_delta' && parsed.usage) {
+    const delta = extractAgentTokenUsage(parsed.usage, 'anthropic')
+    session.pendingTokenUsage = session.pendingTokenUsage && delta
+      ? { ...session.pendingTokenUsage, outputTokens: delta.outputTokens }
+      : (session.pendingTokenUsage || delta)
+  }
+
   if (type === 'message_stop') {
+    const tokenUsage = session.pendingTokenUsage
+    session.pendingTokenUsage = null
     events.push({
       type: 'done',
       turnId: session.currentTurnId,
       stopReason: parsed.message?.stop_reason || 'end_turn',
+      ...(tokenUsage ? { tokenUsage } : {}),
     })
     session.terminalEmitted = true
     return events
@@ -456,11 +484,15 @@ function parseClaudeApiLine(parsed, session, rawLine) {
       })
       session.terminalEmitted = true
     } else {
+      const tokenUsage = extractAgentTokenUsage(parsed.usage, 'anthropic', { costUsd: parsed.total_cost_usd })
+        || session.pendingTokenUsage
+      session.pendingTokenUsage = null
       events.push({
         type: 'done',
         turnId: session.currentTurnId,
         stopReason: parsed.stop_reason || 'end_turn',
         result: parsed.result || undefined,
+        ...(tokenUsage ? { tokenUsage } : {}),
       })
       session.terminalEmitted = true
     }
@@ -492,10 +524,325 @@ function parseClaudeApiLine(parsed, session, rawLine) {
   return events
 }
 
-export function parseAgentLine(line, session) {
+function rememberRuntimeSessionId(session, agentLabel, value, events) {
+  if (!hasNonEmptyString(value)) return
+  const runtimeSessionId = String(value).trim()
+  if (session.runtimeSessionId === runtimeSessionId) return
+  session.runtimeSessionId = runtimeSessionId
+  events.push({
+    type: 'status',
+    turnId: session.currentTurnId,
+    statusCode: 'runtime_session_id',
+    text: `[${agentLabel}] session_id=${runtimeSessionId}`,
+  })
+}
+
+function parseGeminiLine(parsed, session) {
+  const events = []
+  const type = parsed.type || ''
+
+  if (type === 'init') {
+    events.push({
+      type: 'status',
+      turnId: session.currentTurnId,
+      text: `[gemini] initialized (model=${parsed.model || 'unknown'})`,
+    })
+    rememberRuntimeSessionId(session, 'gemini', parsed.session_id, events)
+    return events
+  }
+
+  if (type === 'message') {
+    if (parsed.role === 'assistant' && hasNonEmptyString(parsed.content)) {
+      events.push({ type: 'text_delta', turnId: session.currentTurnId, text: parsed.content })
+    }
+    return events
+  }
+
+  if (type === 'tool_use') {
+    const toolCallId = parsed.tool_id || ''
+    rememberToolCall(session, toolCallId, parsed.tool_name || '', parsed.parameters || {})
+    events.push({
+      type: 'tool_call',
+      turnId: session.currentTurnId,
+      toolCallId,
+      tool: parsed.tool_name || '',
+      input: JSON.stringify(parsed.parameters || {}),
+    })
+    return events
+  }
+
+  if (type === 'tool_result') {
+    const call = session.toolCallsById?.get(String(parsed.tool_id || '').trim())
+    const failed = parsed.status === 'error'
+    const detail = normalizeStatusText(parsed.error?.message || (typeof parsed.output === 'string' ? parsed.output : ''))
+    rememberToolResult(session, {
+      tool: call?.tool,
+      targetSummary: call?.targetSummary,
+      resultSummary: failed ? `error: ${clipDiagnosticText(detail, 80)}` : clipDiagnosticText(detail, 80),
+    })
+    if (failed) {
+      events.push({
+        type: 'status',
+        turnId: session.currentTurnId,
+        statusCode: isPermissionRelatedText(detail) ? 'tool_permission_error' : 'tool_error',
+        text: `[gemini] ${call?.tool || 'tool'} failed: ${detail || 'unknown error'}`,
+      })
+    }
+    return events
+  }
+
+  if (type === 'error') {
+    events.push({
+      type: 'status',
+      turnId: session.currentTurnId,
+      text: `[gemini] ${parsed.severity || 'error'}: ${normalizeStatusText(parsed.message) || 'unknown'}`,
+    })
+    return events
+  }
+
+  if (type === 'result') {
+    if (parsed.status === 'error') {
+      events.push({
+        type: 'error',
+        turnId: session.currentTurnId,
+        code: 'agent_error',
+        message: parsed.error?.message || 'Gemini CLI returned an error',
+      })
+    } else {
+      const tokenUsage = extractAgentTokenUsage(parsed.stats, 'gemini')
+      events.push({
+        type: 'done',
+        turnId: session.currentTurnId,
+        stopReason: 'end_turn',
+        usage: parsed.stats || undefined,
+        ...(tokenUsage ? { tokenUsage } : {}),
+      })
+    }
+    session.terminalEmitted = true
+    return events
+  }
+
+  events.push({
+    type: 'status',
+    turnId: session.currentTurnId,
+    text: `[gemini] ${type || 'update'}`,
+  })
+  return events
+}
+
+function parseOpenCodeLine(parsed, session) {
+  const events = []
+  const type = parsed.type || ''
+  const part = parsed.part && typeof parsed.part === 'object' ? parsed.part : {}
+  rememberRuntimeSessionId(session, 'opencode', parsed.sessionID, events)
+
+  if (type === 'text') {
+    if (hasNonEmptyString(part.text)) {
+      events.push({ type: 'text_delta', turnId: session.currentTurnId, text: part.text })
+    }
+    return events
+  }
+
+  if (type === 'tool_use') {
+    const state = part.state && typeof part.state === 'object' ? part.state : {}
+    const toolCallId = part.callID || part.id || ''
+    rememberToolCall(session, toolCallId, part.tool || '', state.input || {})
+    events.push({
+      type: 'tool_call',
+      turnId: session.currentTurnId,
+      toolCallId,
+      tool: part.tool || '',
+      input: JSON.stringify(state.input || {}),
+    })
+    if (state.status === 'error') {
+      const detail = normalizeStatusText(state.error)
+      events.push({
+        type: 'status',
+        turnId: session.currentTurnId,
+        statusCode: isPermissionRelatedText(detail) ? 'tool_permission_error' : 'tool_error',
+        text: `[opencode] ${part.tool || 'tool'} failed: ${detail || 'unknown error'}`,
+      })
+    }
+    return events
+  }
+
+  if (type === 'step_finish') {
+    // Every step reports its own tokens and cost; the turn is their sum.
+    const stepUsage = extractAgentTokenUsage(part.tokens, 'opencode', { costUsd: part.cost })
+    if (stepUsage) {
+      const summed = addTokenUsage(session.pendingTokenUsage, stepUsage)
+      session.pendingTokenUsage = { ...summed, turns: 1 }
+    }
+    if (part.reason === 'stop') {
+      const tokenUsage = session.pendingTokenUsage
+      session.pendingTokenUsage = null
+      events.push({
+        type: 'done',
+        turnId: session.currentTurnId,
+        stopReason: 'end_turn',
+        usage: part.tokens || undefined,
+        ...(tokenUsage ? { tokenUsage } : {}),
+      })
+      session.terminalEmitted = true
+    }
+    return events
+  }
+
+  if (type === 'error') {
+    events.push({
+      type: 'error',
+      turnId: session.currentTurnId,
+      code: 'agent_error',
+      message: parsed.error?.data?.message || parsed.error?.message || parsed.error?.name || JSON.stringify(parsed),
+    })
+    session.terminalEmitted = true
+    return events
+  }
+
+  if (type !== 'step_start') {
+    events.push({
+      type: 'status',
+      turnId: session.currentTurnId,
+      text: `[opencode] ${type || 'update'}`,
+    })
+  }
+  return events
+}
+
+function extractAcpContentText(content) {
+  const blocks = Array.isArray(content) ? content : [content]
+  const chunks = []
+  for (const block of blocks) {
+    if (!block || typeof block !== 'object') continue
+    // Tool call content wraps blocks as { type: 'content', content: {...} }.
+    const inner = block.type === 'content' && block.content ? block.content : block
+    if (inner.type === 'text' && hasNonEmptyString(inner.text)) chunks.push(inner.text.trim())
+  }
+  return normalizeStatusText(chunks.join(' '))
+}
+
+/**
+ * Map one Agent Client Protocol `session/update` notification onto ACP
+ * session events (see acp-native.mjs).
+ */
+export function parseAcpSessionUpdate(update, session) {
+  const events = []
+  const kind = update?.sessionUpdate || ''
+  const turnId = session.currentTurnId
+
+  if (kind === 'agent_message_chunk') {
+    if (update.content?.type === 'text') {
+      if (hasNonEmptyString(update.content.text)) {
+        events.push({ type: 'text_delta', turnId, text: update.content.text })
+      }
+    } else if (update.content?.type) {
+      events.push({ type: 'status', turnId, text: `[acp] agent sent ${update.content.type} content` })
+    }
+    return events
+  }
+
+  if (kind === 'agent_thought_chunk') {
+    const nowTs = now()
+    const lastThinkingAt = Number(session.lastThinkingStatusAt || 0)
+    if (!lastThinkingAt || (nowTs - lastThinkingAt) >= 10_000) {
+      events.push({ type: 'status', turnId, text: '[acp] thinking...', statusCode: 'model_thinking' })
+      session.lastThinkingStatusAt = nowTs
+    }
+    return events
+  }
+
+  if (kind === 'tool_call') {
+    const toolCallId = update.toolCallId || ''
+    const tool = update.title || update.kind || 'tool'
+    rememberToolCall(session, toolCallId, tool, update.rawInput || {})
+    events.push({
+      type: 'tool_call',
+      turnId,
+      toolCallId,
+      tool,
+      input: JSON.stringify(update.rawInput || {}),
+    })
+    return events
+  }
+
+  if (kind === 'tool_call_update') {
+    if (update.status !== 'completed' && update.status !== 'failed') return events
+    const call = session.toolCallsById?.get(String(update.toolCallId || '').trim())
+    const detail = extractAcpContentText(update.content)
+    const failed = update.status === 'failed'
+    rememberToolResult(session, {
+      tool: call?.tool,
+      targetSummary: call?.targetSummary,
+      resultSummary: failed ? `error ${clipDiagnosticText(detail, 80)}` : clipDiagnosticText(detail, 80),
+    })
+    if (failed) {
+      events.push({
+        type: 'status',
+        turnId,
+        statusCode: isPermissionRelatedText(detail) ? 'tool_permission_error' : 'tool_error',
+        text: `[acp] ${call?.tool || update.title || 'tool'} failed${detail ? `: ${detail}` : ''}`,
+      })
+    }
+    return events
+  }
+
+  if (kind === 'plan') {
+    const entries = Array.isArray(update.entries) ? update.entries : []
+    const completed = entries.filter((entry) => entry?.status === 'completed').length
+    const active = entries.find((entry) => entry?.status === 'in_progress')
+    events.push({
+      type: 'status',
+      turnId,
+      statusCode: 'plan',
+      text: `[acp] plan ${completed}/${entries.length}${active?.content ? `: ${clipDiagnosticText(active.content, 96)}` : ''}`,
+    })
+    return events
+  }
+
+  if (kind === 'user_message_chunk' || kind === 'available_commands_update') return events
+
+  if (kind === 'current_mode_update') {
+    events.push({ type: 'status', turnId, text: `[acp] mode=${update.currentModeId || 'unknown'}` })
+    return events
+  }
+
+  events.push({ type: 'status', turnId, text: `[acp] ${kind || 'update'}` })
+  return events
+}
+
+/**
+ * JSON line parsers by output format. Adapters pick one with `outputFormat`;
+ * the `text` format has no parser: every stdout line is assistant text.
+ */
+const JSON_LINE_PARSERS = {
+  'claude-code': parseClaudeCodeLine,
+  codex: parseCodexLine,
+  'claude-api': parseClaudeApiLine,
+  gemini: parseGeminiLine,
+  opencode: parseOpenCodeLine,
+}
+
+export const ACP_OUTPUT_FORMATS = [...Object.keys(JSON_LINE_PARSERS), 'text']
+
+/**
+ * Parse one stdout line. `adapter` (see acp-adapters.mjs) supplies either a
+ * `parseLine(parsed, session, rawLine)` function or an `outputFormat`; without
+ * one the session's agentType is used as the format, and unknown formats are
+ * read as Claude API stream events.
+ */
+export function parseAgentLine(line, session, adapter = null) {
   const trimmed = line.trim()
   if (!trimmed) return []
 
+  const format = adapter?.outputFormat || (session.agentType || 'raw').toLowerCase()
+  if (format === 'text' && typeof adapter?.parseLine !== 'function') {
+    return [{
+      type: 'text_delta',
+      turnId: session.currentTurnId,
+      text: `${line.trimEnd()}\n`,
+    }]
+  }
+
   let parsed
   try {
     parsed = JSON.parse(trimmed)
@@ -507,10 +854,9 @@ export function parseAgentLine(line, session) {
     }]
   }
 
-  const agentType = (session.agentType || 'raw').toLowerCase()
-  if (agentType === 'claude-code') return parseClaudeCodeLine(parsed, session)
-  if (agentType === 'codex') return parseCodexLine(parsed, session)
-  return parseClaudeApiLine(parsed, session, trimmed)
+  if (typeof adapter?.parseLine === 'function') return adapter.parseLine(parsed, session, trimmed)
+  const parse = JSON_LINE_PARSERS[format] || parseClaudeApiLine
+  return parse(parsed, session, trimmed)
 }
 
 export function synthesizeTerminalEvent(session, reason) {
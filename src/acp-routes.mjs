@@ -12,15 +12,32 @@ import {
   enqueuePrompt,
   enqueueSteer,
   cancelAcpSession,
+  resetAcpSession,
+  forkAcpSession,
   listAcpEvents,
+  findAcpSessionIdByPermissionToken,
+  requestAcpToolPermission,
+  revertAcpTurnDiff,
 } from './acp-session.mjs'
+import { getWorkspaceDiff, listWorkspaceDiffs } from './workspace-diff-store.mjs'
+import { listAcpAgentAdapters } from './acp-adapters.mjs'
+import { openEventStream, resolveEventStreamCursor } from './event-stream.mjs'
 
 // Path patterns
 const ACP_SESSION_ID_RE = /^\/api\/acp\/sessions\/([^/]+)$/
 const ACP_SESSION_PROMPT_RE = /^\/api\/acp\/sessions\/([^/]+)\/prompt$/
 const ACP_SESSION_STEER_RE = /^\/api\/acp\/sessions\/([^/]+)\/steer$/
 const ACP_SESSION_CANCEL_RE = /^\/api\/acp\/sessions\/([^/]+)\/cancel$/
+const ACP_SESSION_RESET_RE = /^\/api\/acp\/sessions\/([^/]+)\/reset$/
+const ACP_SESSION_FORK_RE = /^\/api\/acp\/sessions\/([^/]+)\/fork$/
 const ACP_SESSION_EVENTS_RE = /^\/api\/acp\/sessions\/([^/]+)\/events$/
+const ACP_SESSION_EVENTS_STREAM_RE = /^\/api\/acp\/sessions\/([^/]+)\/events\/stream$/
+const ACP_SESSION_DIFFS_RE = /^\/api\/acp\/sessions\/([^/]+)\/diffs$/
+const ACP_DIFF_ID_RE = /^\/api\/acp\/diffs\/([^/]+)$/
+const ACP_DIFF_REVERT_RE = /^\/api\/acp\/diffs\/([^/]+)\/revert$/
+
+// Sessions in these states emit again only after an explicit reset, so their streams end once drained.
+const ACP_STREAM_FINAL_STATES = new Set(['error', 'timeout', 'cancelled'])
 
 /**
  * Handle ACP requests. Returns true if handled, false otherwise.
@@ -31,6 +48,30 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
   // Only handle /api/acp/* paths
   if (!pathname.startsWith('/api/acp/')) return false
 
+  // POST /api/acp/permission-bridge — permission prompts from a bridged agent.
+  // Authorized by the session's own bridge token, never the companion token,
+  // so the agent cannot reach the rest of the API.
+  if (req.method === 'POST' && pathname === '/api/acp/permission-bridge') {
+    const header = String(req.headers.authorization || '')
+    const bridgeToken = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : ''
+    const sessionId = findAcpSessionIdByPermissionToken(bridgeToken)
+    if (!sessionId) {
+      sendJson(res, 401, { error: 'Unknown permission bridge token.' })
+      return true
+    }
+    try {
+      const body = await readJsonBody(req)
+      const verdict = await requestAcpToolPermission(sessionId, {
+        toolName: body.toolName,
+        input: body.input,
+      })
+      sendJson(res, 200, verdict)
+    } catch (err) {
+      sendJson(res, 400, { error: err.message || 'Invalid request.' })
+    }
+    return true
+  }
+
   // Auth check for all ACP endpoints
   const auth = authorize(req)
   if (!auth.ok) {
@@ -50,6 +91,9 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
         timeoutMs: body.timeoutMs,
         origin: body.origin,
         inputProvenance: body.inputProvenance,
+        permissionBridge: typeof body.permissionBridge === 'boolean' ? body.permissionBridge : undefined,
+        writePolicy: body.writePolicy,
+        workspaceDiffs: body.workspaceDiffs === true,
         permissionPolicy: typeof ctx.getPermissionPolicy === 'function' ? ctx.getPermissionPolicy() : undefined,
       })
       if (typeof ctx.createAcpRun === 'function') {
@@ -62,6 +106,12 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
       return true
     }
 
+    // GET /api/acp/agents — registered agent adapters
+    if (req.method === 'GET' && pathname === '/api/acp/agents') {
+      sendJson(res, 200, { agents: listAcpAgentAdapters() })
+      return true
+    }
+
     // GET /api/acp/sessions — list sessions
     if (req.method === 'GET' && pathname === '/api/acp/sessions') {
       const result = listAcpSessions({
@@ -86,6 +136,7 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
         cwd: body.cwd,
         env: body.env,
         origin: body.origin,
+        priority: body.priority,
         inputProvenance: body.inputProvenance,
         permissionPolicy: typeof ctx.getPermissionPolicy === 'function' ? ctx.getPermissionPolicy() : undefined,
       })
@@ -93,7 +144,13 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
       if (session && typeof ctx.syncAcpRunIngress === 'function') {
         await ctx.syncAcpRunIngress(session, ack?.turnId)
       }
-      sendJson(res, 200, { ok: true, sessionId, turnId: ack?.turnId, runId: session?.runId || null })
+      sendJson(res, 200, {
+        ok: true,
+        sessionId,
+        turnId: ack?.turnId,
+        runId: session?.runId || null,
+        ...(ack?.queued ? { queued: true, queuePosition: ack.queuePosition } : {}),
+      })
       return true
     }
 
@@ -120,6 +177,60 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
       return true
     }
 
+    // POST /api/acp/sessions/:id/reset — reopen a finished or failed session
+    const resetMatch = pathname.match(ACP_SESSION_RESET_RE)
+    if (req.method === 'POST' && resetMatch) {
+      try {
+        sendJson(res, 200, resetAcpSession(decodeURIComponent(resetMatch[1])))
+      } catch (err) {
+        if (err.code === 'not_found') sendJson(res, 404, { error: err.message })
+        else if (err.code === 'session_running' || err.code === 'invalid_state') {
+          sendJson(res, 409, { error: err.message, code: err.code })
+        } else throw err
+      }
+      return true
+    }
+
+    // POST /api/acp/sessions/:id/fork — new session continuing the conversation as of a turn
+    const forkMatch = pathname.match(ACP_SESSION_FORK_RE)
+    if (req.method === 'POST' && forkMatch) {
+      const body = await readJsonBody(req)
+      let fork
+      try {
+        fork = forkAcpSession(decodeURIComponent(forkMatch[1]), {
+          turnId: typeof body.turnId === 'string' ? body.turnId : '',
+        })
+      } catch (err) {
+        if (err.code === 'not_found') sendJson(res, 404, { error: err.message })
+        else if (err.code === 'session_running') sendJson(res, 409, { error: err.message, code: err.code })
+        else throw err
+        return true
+      }
+      if (typeof ctx.createAcpRun === 'function') {
+        const run = await ctx.createAcpRun(fork)
+        if (run?.runId) {
+          attachAcpSessionRunId(fork.sessionId, run.runId)
+        }
+      }
+      let turnId = null
+      if (typeof body.prompt === 'string' && body.prompt) {
+        const ack = await enqueuePrompt(fork.sessionId, {
+          prompt: body.prompt,
+          timeoutMs: body.timeoutMs,
+          origin: body.origin,
+          inputProvenance: body.inputProvenance,
+          permissionPolicy: typeof ctx.getPermissionPolicy === 'function' ? ctx.getPermissionPolicy() : undefined,
+        })
+        turnId = ack?.turnId || null
+        const session = getAcpSessionById(fork.sessionId)
+        if (session && typeof ctx.syncAcpRunIngress === 'function') {
+          await ctx.syncAcpRunIngress(session, turnId)
+        }
+      }
+      sendJson(res, 200, { ...getAcpSessionById(fork.sessionId), turnId })
+      return true
+    }
+
     // GET /api/acp/sessions/:id/events
     const eventsMatch = pathname.match(ACP_SESSION_EVENTS_RE)
     if (req.method === 'GET' && eventsMatch) {
@@ -132,6 +243,82 @@ export async function handleAcpRequest(req, res, url, pathname, ctx) {
       return true
     }
 
+    // GET /api/acp/sessions/:id/events/stream — SSE feed of the same events
+    const eventsStreamMatch = pathname.match(ACP_SESSION_EVENTS_STREAM_RE)
+    if (req.method === 'GET' && eventsStreamMatch) {
+      const sessionId = decodeURIComponent(eventsStreamMatch[1])
+      if (!getAcpSessionById(sessionId)) {
+        sendJson(res, 404, { error: 'ACP session not found.' })
+        return true
+      }
+      openEventStream(req, res, {
+        after: resolveEventStreamCursor(req, url),
+        eventName: 'acp',
+        registry: ctx.eventStreams,
+        fetchPage: (after, limit) => listAcpEvents(sessionId, { after, limit }),
+        isComplete: () => {
+          const session = getAcpSessionById(sessionId)
+          return !session || ACP_STREAM_FINAL_STATES.has(session.state)
+        },
+      })
+      return true
+    }
+
+    // GET /api/acp/sessions/:id/diffs — workspace diffs of the session's turns
+    const sessionDiffsMatch = pathname.match(ACP_SESSION_DIFFS_RE)
+    if (req.method === 'GET' && sessionDiffsMatch) {
+      const diffs = await listWorkspaceDiffs({
+        sessionId: decodeURIComponent(sessionDiffsMatch[1]),
+        limit: url.searchParams.get('limit'),
+      })
+      sendJson(res, 200, { diffs })
+      return true
+    }
+
+    // GET /api/acp/diffs?runId=&sessionId= — workspace diffs, newest first
+    if (req.method === 'GET' && pathname === '/api/acp/diffs') {
+      const diffs = await listWorkspaceDiffs({
+        runId: url.searchParams.get('runId') || '',
+        sessionId: url.searchParams.get('sessionId') || '',
+        limit: url.searchParams.get('limit'),
+      })
+      sendJson(res, 200, { diffs })
+      return true
+    }
+
+    // GET /api/acp/diffs/:artifactId — one diff; ?format=patch returns the raw patch
+    const diffMatch = pathname.match(ACP_DIFF_ID_RE)
+    if (req.method === 'GET' && diffMatch) {
+      const record = await getWorkspaceDiff(decodeURIComponent(diffMatch[1]))
+      if (!record) {
+        sendJson(res, 404, { error: 'Workspace diff not found.' })
+        return true
+      }
+      if (url.searchParams.get('format') === 'patch') {
+        res.writeHead(200, { 'content-type': 'text/x-diff; charset=utf-8' })
+        res.end(record.diff)
+        return true
+      }
+      sendJson(res, 200, record)
+      return true
+    }
+
+    // POST /api/acp/diffs/:artifactId/revert — restore the turn's pre-turn files
+    const revertMatch = pathname.match(ACP_DIFF_REVERT_RE)
+    if (req.method === 'POST' && revertMatch) {
+      const body = await readJsonBody(req)
+      try {
+        const result = await revertAcpTurnDiff(decodeURIComponent(revertMatch[1]), { force: body.force === true })
+        sendJson(res, 200, { ok: true, ...result })
+      } catch (err) {
+        if (err.code === 'not_found') sendJson(res, 404, { error: err.message })
+        else if (err.code === 'session_running' || err.code === 'workspace_conflict') {
+          sendJson(res, 409, { error: err.message, code: err.code, ...(err.paths ? { paths: err.paths } : {}) })
+        } else throw err
+      }
+      return true
+    }
+
     // GET /api/acp/sessions/:id — session status
     const sessionMatch = pathname.match(ACP_SESSION_ID_RE)
     if (req.method === 'GET' && sessionMatch) {
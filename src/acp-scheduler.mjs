@@ -0,0 +1,228 @@
+/**
+ * Concurrency slots for ACP agent turns.
+ *
+ * A turn holds a slot from the moment its agent is started until the turn
+ * reaches a terminal state. A global cap and optional per-agent-type caps
+ * bound how many turns run at once; a turn that finds no free slot waits in
+ * a queue ordered by priority (interactive, then automation, then retry),
+ * first come first served within a priority. A waiting turn whose agent type
+ * is at its own cap does not hold back turns of other types.
+ *
+ * Limits come from `acpConcurrency` in companion.json:
+ *   "acpConcurrency": { "maxConcurrent": 4, "perAgent": { "claude-code": 2 } }
+ * TRAPEZOHE_ACP_MAX_CONCURRENT overrides the global cap.
+ */
+
+import { createStrictFail, isPlainObject } from './normalize.mjs'
+
+export const ACP_TURN_PRIORITIES = ['interactive', 'automation', 'retry']
+
+const DEFAULT_MAX_CONCURRENT = 4
+const MAX_CONCURRENT_LIMIT = 64
+const RECENT_WAIT_SAMPLES = 50
+const fail = createStrictFail('acp-scheduler')
+
+let limits = resolveLimits({})
+const running = new Map()
+let queue = []
+let nextSequence = 1
+let recentWaits = []
+
+function normalizeCap(value) {
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_CONCURRENT_LIMIT) return null
+  return parsed
+}
+
+/**
+ * Normalize a raw `acpConcurrency` object. With `strict`, invalid entries
+ * throw; otherwise they are dropped with a warning.
+ * @returns {{ maxConcurrent?: number, perAgent: Record<string, number> }}
+ */
+export function normalizeAcpConcurrencyConfig(input = {}, { strict = false } = {}) {
+  if (!isPlainObject(input)) {
+    if (input !== undefined && input !== null) fail(strict, 'acpConcurrency must be an object.')
+    return { perAgent: {} }
+  }
+  const normalized = { perAgent: {} }
+  if (input.maxConcurrent !== undefined) {
+    const cap = normalizeCap(input.maxConcurrent)
+    if (cap) normalized.maxConcurrent = cap
+    else fail(strict, `acpConcurrency.maxConcurrent must be an integer between 1 and ${MAX_CONCURRENT_LIMIT}.`)
+  }
+  if (input.perAgent !== undefined && !isPlainObject(input.perAgent)) {
+    fail(strict, 'acpConcurrency.perAgent must be an object.')
+  } else {
+    for (const [rawType, value] of Object.entries(input.perAgent || {})) {
+      const type = rawType.trim().toLowerCase()
+      const cap = normalizeCap(value)
+      if (!type || !cap) {
+        fail(strict, `acpConcurrency.perAgent.${rawType} must be an integer between 1 and ${MAX_CONCURRENT_LIMIT}.`)
+        continue
+      }
+      normalized.perAgent[type] = cap
+    }
+  }
+  return normalized
+}
+
+function resolveLimits(config) {
+  const normalized = normalizeAcpConcurrencyConfig(config)
+  const envCap = normalizeCap(process.env.TRAPEZOHE_ACP_MAX_CONCURRENT)
+  return {
+    maxConcurrent: envCap || normalized.maxConcurrent || DEFAULT_MAX_CONCURRENT,
+    perAgent: normalized.perAgent,
+  }
+}
+
+/**
+ * Apply the `acpConcurrency` limits. Raising a limit starts waiting turns
+ * right away; lowering one never stops running turns.
+ */
+export function configureAcpConcurrency(config = {}) {
+  limits = resolveLimits(config)
+  drain()
+  return getAcpConcurrencyLimits()
+}
+
+export function getAcpConcurrencyLimits() {
+  return { maxConcurrent: limits.maxConcurrent, perAgent: { ...limits.perAgent } }
+}
+
+/**
+ * The queue priority of a turn: an explicit priority wins, automation
+ * turns default to `automation`, everything else is `interactive`.
+ */
+export function resolveAcpTurnPriority(priority, origin) {
+  if (ACP_TURN_PRIORITIES.includes(priority)) return priority
+  return origin === 'automation' ? 'automation' : 'interactive'
+}
+
+function runningCount(agentType) {
+  let count = 0
+  for (const type of running.values()) {
+    if (type === agentType) count += 1
+  }
+  return count
+}
+
+function hasFreeSlot(agentType) {
+  if (running.size >= limits.maxConcurrent) return false
+  const agentCap = limits.perAgent[agentType]
+  return !agentCap || runningCount(agentType) < agentCap
+}
+
+function compareEntries(a, b) {
+  const byPriority = ACP_TURN_PRIORITIES.indexOf(a.priority) - ACP_TURN_PRIORITIES.indexOf(b.priority)
+  return byPriority || a.sequence - b.sequence
+}
+
+function recordWait(waitMs) {
+  recentWaits.push(waitMs)
+  if (recentWaits.length > RECENT_WAIT_SAMPLES) recentWaits = recentWaits.slice(-RECENT_WAIT_SAMPLES)
+}
+
+function drain(immediateSessionId = null) {
+  const granted = []
+  for (const entry of [...queue]) {
+    if (running.size >= limits.maxConcurrent) break
+    if (!hasFreeSlot(entry.agentType)) continue
+    queue = queue.filter((item) => item !== entry)
+    running.set(entry.sessionId, entry.agentType)
+    if (entry.sessionId !== immediateSessionId) granted.push(entry)
+  }
+  for (const entry of granted) {
+    recordWait(Date.now() - entry.enqueuedAt)
+    try {
+      entry.start()
+    } catch (err) {
+      console.warn(`[acp-scheduler] Failed to start queued turn for ${entry.sessionId}: ${err.message}`)
+      releaseAcpTurnSlot(entry.sessionId)
+    }
+  }
+}
+
+/**
+ * Take a slot for a session's next turn. When one is free the slot is held
+ * and `{ granted: true }` returned; otherwise the turn is queued and
+ * `start` is called once a slot is handed to it.
+ * @param {{ sessionId: string, agentType: string, priority: string, start: () => void }} input
+ * @returns {{ granted: true } | { granted: false, position: number }}
+ */
+export function acquireAcpTurnSlot({ sessionId, agentType, priority, start }) {
+  if (running.has(sessionId)) return { granted: true }
+  queue = queue.filter((entry) => entry.sessionId !== sessionId)
+  queue.push({
+    sessionId,
+    agentType,
+    priority: resolveAcpTurnPriority(priority),
+    start,
+    enqueuedAt: Date.now(),
+    sequence: nextSequence++,
+  })
+  queue.sort(compareEntries)
+  // Turns already waiting ahead of this one get the free slots first.
+  drain(sessionId)
+  if (running.has(sessionId)) return { granted: true }
+  return { granted: false, position: getAcpTurnQueueEntry(sessionId).position }
+}
+
+/**
+ * Give up a session's slot, or its place in the queue, and hand free slots
+ * to waiting turns. Safe to call more than once.
+ * @returns {boolean} whether the session held a slot or a queue entry
+ */
+export function releaseAcpTurnSlot(sessionId) {
+  const wasRunning = running.delete(sessionId)
+  const queuedBefore = queue.length
+  queue = queue.filter((entry) => entry.sessionId !== sessionId)
+  const released = wasRunning || queue.length !== queuedBefore
+  if (released) drain()
+  return released
+}
+
+/** The session's place in the queue (1-based), or null when it is not waiting. */
+export function getAcpTurnQueueEntry(sessionId) {
+  const index = queue.findIndex((entry) => entry.sessionId === sessionId)
+  if (index < 0) return null
+  const entry = queue[index]
+  return {
+    position: index + 1,
+    priority: entry.priority,
+    enqueuedAt: entry.enqueuedAt,
+    waitMs: Date.now() - entry.enqueuedAt,
+  }
+}
+
+/** Slot usage, queue depth and wait times for diagnostics. */
+export function getAcpSchedulerStats() {
+  const currentTime = Date.now()
+  const runningByAgent = {}
+  for (const type of running.values()) runningByAgent[type] = (runningByAgent[type] || 0) + 1
+  const queuedByPriority = Object.fromEntries(ACP_TURN_PRIORITIES.map((priority) => [priority, 0]))
+  for (const entry of queue) queuedByPriority[entry.priority] += 1
+  return {
+    ...getAcpConcurrencyLimits(),
+    running: running.size,
+    runningByAgent,
+    queued: queue.length,
+    queuedByPriority,
+    oldestQueuedWaitMs: queue.length > 0
+      ? Math.max(...queue.map((entry) => currentTime - entry.enqueuedAt))
+      : 0,
+    recentWaits: {
+      count: recentWaits.length,
+      avgMs: recentWaits.length > 0
+        ? Math.round(recentWaits.reduce((sum, waitMs) => sum + waitMs, 0) / recentWaits.length)
+        : 0,
+      maxMs: recentWaits.length > 0 ? Math.max(...recentWaits) : 0,
+    },
+  }
+}
+
+/** Drop every slot and waiting turn without starting anything (shutdown and tests). */
+export function resetAcpScheduler() {
+  running.clear()
+  queue = []
+  recentWaits = []
+}
@@ -0,0 +1,102 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  acquireAcpTurnSlot,
+  configureAcpConcurrency,
+  getAcpSchedulerStats,
+  getAcpTurnQueueEntry,
+  normalizeAcpConcurrencyConfig,
+  releaseAcpTurnSlot,
+  resetAcpScheduler,
+  resolveAcpTurnPriority,
+} from './acp-scheduler.mjs'
+
+function useLimits(t, config) {
+  resetAcpScheduler()
+  configureAcpConcurrency(config)
+  t.after(() => {
+    resetAcpScheduler()
+    configureAcpConcurrency({})
+  })
+}
+
+test('normalizeAcpConcurrencyConfig keeps valid caps and drops or rejects the rest', () => {
+  assert.deepEqual(
+    normalizeAcpConcurrencyConfig({ maxConcurrent: 3, perAgent: { 'Claude-Code': 1, codex: 0, opencode: 'two' } }),
+    { maxConcurrent: 3, perAgent: { 'claude-code': 1 } },
+  )
+  assert.deepEqual(normalizeAcpConcurrencyConfig(null), { perAgent: {} })
+  assert.throws(() => normalizeAcpConcurrencyConfig({ maxConcurrent: 0 }, { strict: true }), /maxConcurrent/)
+  assert.throws(() => normalizeAcpConcurrencyConfig({ perAgent: [] }, { strict: true }), /perAgent must be an object/)
+})
+
+test('resolveAcpTurnPriority prefers an explicit priority and defaults by origin', () => {
+  assert.equal(resolveAcpTurnPriority('retry', 'automation'), 'retry')
+  assert.equal(resolveAcpTurnPriority(undefined, 'automation'), 'automation')
+  assert.equal(resolveAcpTurnPriority('urgent', 'sidepanel'), 'interactive')
+  assert.equal(resolveAcpTurnPriority(), 'interactive')
+})
+
+test('queued turns start by priority, then in arrival order', (t) => {
+  useLimits(t, { maxConcurrent: 1 })
+  const started = []
+  const request = (sessionId, priority) => acquireAcpTurnSlot({
+    sessionId,
+    agentType: 'raw',
+    priority,
+    start: () => started.push(sessionId),
+  })
+
+  assert.deepEqual(request('first', 'automation'), { granted: true })
+  assert.deepEqual(request('retry-1', 'retry'), { granted: false, position: 1 })
+  assert.deepEqual(request('auto-1', 'automation'), { granted: false, position: 1 })
+  assert.deepEqual(request('chat-1', 'interactive'), { granted: false, position: 1 })
+  assert.deepEqual(request('chat-2', 'interactive'), { granted: false, position: 2 })
+  assert.equal(getAcpTurnQueueEntry('retry-1').position, 4)
+
+  const stats = getAcpSchedulerStats()
+  assert.equal(stats.running, 1)
+  assert.equal(stats.queued, 4)
+  assert.deepEqual(stats.queuedByPriority, { interactive: 2, automation: 1, retry: 1 })
+
+  for (const sessionId of ['first', 'chat-1', 'chat-2', 'auto-1']) releaseAcpTurnSlot(sessionId)
+  assert.deepEqual(started, ['chat-1', 'chat-2', 'auto-1', 'retry-1'])
+  assert.equal(getAcpSchedulerStats().recentWaits.count, 4)
+
+  // Giving up a place in the queue never starts the turn.
+  request('chat-3', 'interactive')
+  assert.equal(releaseAcpTurnSlot('chat-3'), true)
+  releaseAcpTurnSlot('retry-1')
+  assert.deepEqual(started, ['chat-1', 'chat-2', 'auto-1', 'retry-1'])
+  assert.equal(releaseAcpTurnSlot('retry-1'), false)
+})
+
+test('per-agent caps queue only their own agent type', (t) => {
+  useLimits(t, { maxConcurrent: 3, perAgent: { codex: 1 } })
+  const started = []
+  const request = (sessionId, agentType) => acquireAcpTurnSlot({
+    sessionId,
+    agentType,
+    priority: 'interactive',
+    start: () => started.push(sessionId),
+  })
+
+  assert.equal(request('codex-1', 'codex').granted, true)
+  assert.equal(request('codex-2', 'codex').granted, false)
+  assert.equal(request('claude-1', 'claude-code').granted, true)
+  assert.equal(request('claude-2', 'claude-code').granted, true)
+  assert.equal(request('claude-3', 'claude-code').granted, false)
+  assert.deepEqual(getAcpSchedulerStats().runningByAgent, { codex: 1, 'claude-code': 2 })
+
+  // A free global slot goes to the claude turn while codex is still at its cap.
+  releaseAcpTurnSlot('claude-1')
+  assert.deepEqual(started, ['claude-3'])
+  releaseAcpTurnSlot('codex-1')
+  assert.deepEqual(started, ['claude-3', 'codex-2'])
+
+  // Raising the global cap hands out the new slots immediately.
+  request('claude-4', 'claude-code')
+  configureAcpConcurrency({ maxConcurrent: 4, perAgent: { codex: 1 } })
+  assert.deepEqual(started, ['claude-3', 'codex-2', 'claude-4'])
+})
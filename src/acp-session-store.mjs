@@ -0,0 +1,151 @@
+/**
+ * Persistent mirror of ACP sessions and their recent events.
+ *
+ * acp-session.mjs keeps the live state in memory; this module writes a
+ * bounded snapshot of it to ~/.trapezohe/acp-sessions.json so sessions and
+ * their event history survive a companion restart. Child processes and
+ * per-session env are never persisted.
+ */
+
+import path from 'node:path'
+import { getConfigDir, ensureConfigDir } from './config.mjs'
+import { createFileBackedStore } from './file-backed-store.mjs'
+
+const FILE_MODE = 0o600
+const WRITE_DEBOUNCE_MS = 250
+export const MAX_PERSISTED_ACP_SESSIONS = Number(process.env.TRAPEZOHE_ACP_PERSISTED_SESSIONS || 200)
+export const MAX_PERSISTED_ACP_EVENTS_PER_SESSION = Number(process.env.TRAPEZOHE_ACP_PERSISTED_EVENTS || 500)
+
+const ACP_SESSIONS_FILE = () => path.join(getConfigDir(), 'acp-sessions.json')
+const ACP_SESSIONS_BACKUP_FILE = () => path.join(getConfigDir(), 'acp-sessions.json.bak')
+
+const PERSISTED_SESSION_FIELDS = [
+  'sessionId',
+  'agentType',
+  'state',
+  'cwd',
+  'command',
+  'origin',
+  'inputProvenance',
+  'timeoutMs',
+  'permissionBridge',
+  'writePolicy',
+  'workspaceDiffs',
+  'createdAt',
+  'startedAt',
+  'finishedAt',
+  'currentTurnId',
+  'runId',
+  'runtimeSessionId',
+  'agentSessionId',
+  'resumeSessionId',
+  'interruptedAt',
+  'transcript',
+  'forkedFrom',
+  'forkPreamble',
+  'forkSession',
+]
+
+/**
+ * @typedef {{
+ *   sessions: Array<Record<string, unknown>>,
+ *   events: Record<string, Array<Record<string, unknown>>>,
+ *   nextCursor: number,
+ * }} AcpSessionSnapshot
+ */
+
+function emptySnapshot() {
+  return { sessions: [], events: {}, nextCursor: 1 }
+}
+
+function parseSnapshot(raw) {
+  const parsed = JSON.parse(raw)
+  const sessions = Array.isArray(parsed.sessions)
+    ? parsed.sessions.filter((entry) => typeof entry?.sessionId === 'string' && entry.sessionId.trim())
+    : []
+  const events = {}
+  if (parsed.events && typeof parsed.events === 'object') {
+    for (const session of sessions) {
+      const list = parsed.events[session.sessionId]
+      events[session.sessionId] = Array.isArray(list)
+        ? list.filter((event) => Number.isFinite(Number(event?.cursor)))
+        : []
+    }
+  }
+  const nextCursor = Number(parsed.nextCursor)
+  return {
+    sessions,
+    events,
+    nextCursor: Number.isFinite(nextCursor) && nextCursor > 0 ? Math.floor(nextCursor) : 1,
+  }
+}
+
+const storage = createFileBackedStore({
+  label: 'acp-session-store',
+  primaryPath: ACP_SESSIONS_FILE,
+  backupPath: ACP_SESSIONS_BACKUP_FILE,
+  debounceMs: WRITE_DEBOUNCE_MS,
+  fileMode: FILE_MODE,
+  ensureDir: ensureConfigDir,
+  fallbackState: emptySnapshot,
+  parse: parseSnapshot,
+  logger: console,
+  messages: {
+    primaryCorrupted: (err) => `Failed to load: ${err.message}`,
+  },
+})
+
+/** Pick the persistable fields of a live session object. */
+export function toPersistedAcpSession(session) {
+  const persisted = {}
+  for (const field of PERSISTED_SESSION_FIELDS) {
+    const value = session[field]
+    if (value !== undefined && value !== null) persisted[field] = value
+  }
+  return persisted
+}
+
+/**
+ * Build a bounded snapshot: the most recent sessions, each with the tail of
+ * its event buffer.
+ * @param {Iterable<object>} sessions live session objects
+ * @param {Map<string, object[]>} eventBuffers
+ * @param {number} nextCursor
+ * @returns {AcpSessionSnapshot}
+ */
+export function buildAcpSessionSnapshot(sessions, eventBuffers, nextCursor) {
+  const kept = Array.from(sessions)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, MAX_PERSISTED_ACP_SESSIONS)
+  const events = {}
+  for (const session of kept) {
+    events[session.sessionId] = (eventBuffers.get(session.sessionId) || []).slice(-MAX_PERSISTED_ACP_EVENTS_PER_SESSION)
+  }
+  return {
+    sessions: kept.map(toPersistedAcpSession),
+    events,
+    nextCursor,
+  }
+}
+
+/** @returns {Promise<AcpSessionSnapshot>} */
+export async function loadAcpSessionStore() {
+  const loaded = await storage.load()
+  return loaded.state || emptySnapshot()
+}
+
+/** Debounced write; `getSnapshot` is called when the write happens. */
+export function scheduleAcpSessionPersist(getSnapshot) {
+  storage.schedulePersist(getSnapshot)
+}
+
+/** Write pending changes now; pass `snapshot` to persist that exact state. */
+export async function flushAcpSessionStore(snapshot) {
+  await storage.flush(snapshot)
+}
+
+export async function clearAcpSessionStoreForTests() {
+  await storage.flush()
+  storage.reset()
+  await storage.persistSnapshot(emptySnapshot())
+}
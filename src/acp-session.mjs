@@ -5,7 +5,10 @@
  * actor-queue serialization, and cancel-bypass for AI agent sessions.
  */
 
-import { randomBytes, randomUUID } from 'node:crypto'
+import { randomBytes, randomUUID, timingSafeEqual } from 'node:crypto'
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { applyAcpSessionState, setAcpSessionTransitionHook } from './acp-lifecycle.mjs'
 import { spawnAgentChild as spawnAgentChildFromProcess } from './acp-process.mjs'
 import {
@@ -22,8 +25,38 @@ import {
   buildAgentPath as buildAgentPathFromAuth,
   normalizeClaudeAuthEnv as normalizeClaudeAuthEnvFromAuth,
   resolveAgentAuthCheck as resolveAgentAuthCheckFromAuth,
-  resolveAgentDefaultCommand,
 } from './acp-auth.mjs'
+import { resolveAcpAgentAdapter, resolveAcpAgentCommand, supportsAcpPermissionBridge } from './acp-adapters.mjs'
+import { cancelAcpNativeTurn, runAcpNativeTurn } from './acp-native.mjs'
+import {
+  acquireAcpTurnSlot,
+  getAcpTurnQueueEntry,
+  releaseAcpTurnSlot,
+  resetAcpScheduler,
+  resolveAcpTurnPriority,
+} from './acp-scheduler.mjs'
+import { captureWorkspaceSnapshot, diffWorkspaceSnapshots, discardWorkspaceSnapshot, revertWorkspaceSnapshot } from './workspace-snapshot.mjs'
+import { getWorkspaceDiff, markWorkspaceDiffReverted, recordWorkspaceDiff } from './workspace-diff-store.mjs'
+import {
+  ACP_TOOL_DECISION_ALLOW,
+  ACP_TOOL_DECISION_ASK,
+  classifyAcpToolRequest,
+  describeAcpToolRequest,
+  evaluateAcpToolPermission,
+} from './acp-permissions.mjs'
+import {
+  ACP_PERMISSION_MCP_SERVER_NAME,
+  ACP_PERMISSION_PROMPT_TOOL,
+  ACP_PERMISSION_TOKEN_ENV,
+  ACP_PERMISSION_URL_ENV,
+} from './acp-permission-mcp.mjs'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import {
+  buildAcpSessionSnapshot,
+  flushAcpSessionStore,
+  loadAcpSessionStore,
+  scheduleAcpSessionPersist,
+} from './acp-session-store.mjs'
 
 // ── Constants ──
 
@@ -40,7 +73,14 @@ const NO_OUTPUT_DIAGNOSTIC_EVENT_SCAN_LIMIT = Number(process.env.TRAPEZOHE_ACP_N
 const SESSION_TTL_MS = Number(process.env.TRAPEZOHE_ACP_SESSION_TTL_MS || 10 * 60 * 1000)
 /** GC sweep interval (default: 60 seconds). */
 const GC_INTERVAL_MS = Number(process.env.TRAPEZOHE_ACP_GC_INTERVAL_MS || 60_000)
+/** TTL for sessions interrupted by a companion restart (default: 24 hours). */
+const INTERRUPTED_SESSION_TTL_MS = Number(process.env.TRAPEZOHE_ACP_INTERRUPTED_SESSION_TTL_MS || 24 * 60 * 60 * 1000)
 const DEFAULT_SESSION_PROBE_HEARTBEATS = Number(process.env.TRAPEZOHE_ACP_SESSION_PROBE_HEARTBEATS || 2)
+/** Turns kept per session for transcript-replay forks, and how much of each. */
+const MAX_TRANSCRIPT_TURNS = 20
+const MAX_TRANSCRIPT_TEXT_CHARS = 4_000
+const MAX_FORK_PREAMBLE_CHARS = 16_000
+const PERMISSION_MCP_SCRIPT = fileURLToPath(new URL('../bin/acp-permission-mcp.mjs', import.meta.url))
 
 export { setAcpSessionTransitionHook }
 
@@ -50,6 +90,10 @@ const acpSessions = new Map()
 const acpEventBuffers = new Map()
 let nextAcpEventCursor = 1
 let sessionEventHook = null
+let permissionHandler = null
+// Set while the maps are being torn down so late child exit events cannot
+// overwrite the persisted sessions with an empty snapshot.
+let persistenceSuspended = false
 
 // ── ACP Event types (5 canonical types) ──
 // text_delta | tool_call | status | done | error
@@ -58,12 +102,30 @@ function now() {
   return Date.now()
 }
 
+function buildSnapshot() {
+  return buildAcpSessionSnapshot(acpSessions.values(), acpEventBuffers, nextAcpEventCursor)
+}
+
+function persistSoon() {
+  if (persistenceSuspended) return
+  scheduleAcpSessionPersist(buildSnapshot)
+}
+
 function clonePermissionPolicy(policy) {
   return policy && typeof policy === 'object'
     ? JSON.parse(JSON.stringify(policy))
     : null
 }
 
+function cloneWritePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return null
+  return {
+    mode: policy.mode === 'allowlist' ? 'allowlist' : 'read_only',
+    allowedPaths: Array.isArray(policy.allowedPaths) ? policy.allowedPaths.map(String) : null,
+    allowedCommandPrefixes: Array.isArray(policy.allowedCommandPrefixes) ? policy.allowedCommandPrefixes.map(String) : null,
+  }
+}
+
 function clampInt(value, fallback, min, max) {
   const parsed = Number.parseInt(value, 10)
   if (!Number.isFinite(parsed)) return fallback
@@ -217,6 +279,8 @@ function pushAcpEvent(sessionId, event) {
   if (buffer.length > MAX_EVENTS_PER_SESSION) {
     buffer.splice(0, buffer.length - MAX_EVENTS_PER_SESSION)
   }
+  recordTranscriptEvent(acpSessions.get(sessionId), full)
+  persistSoon()
   if (typeof sessionEventHook === 'function') {
     const session = acpSessions.get(sessionId)
     Promise.resolve(sessionEventHook({
@@ -232,22 +296,67 @@ function pushAcpEvent(sessionId, event) {
   return full
 }
 
+// ── Turn transcript ──
+
+function clipTranscriptText(text) {
+  const value = typeof text === 'string' ? text : ''
+  return value.length > MAX_TRANSCRIPT_TEXT_CHARS ? `${value.slice(0, MAX_TRANSCRIPT_TEXT_CHARS)}…` : value
+}
+
+function startTranscriptTurn(session, turnId, prompt) {
+  session.transcript.push({ turnId, prompt: clipTranscriptText(prompt), response: '', outcome: null, at: now() })
+  if (session.transcript.length > MAX_TRANSCRIPT_TURNS) {
+    session.transcript.splice(0, session.transcript.length - MAX_TRANSCRIPT_TURNS)
+  }
+}
+
+/** Fold a turn's reply text and outcome into its transcript entry. */
+function recordTranscriptEvent(session, event) {
+  const entry = session?.transcript?.[session.transcript.length - 1]
+  if (!entry || entry.outcome || event.turnId !== entry.turnId) return
+  if (event.type === 'text_delta' && typeof event.text === 'string') {
+    entry.response = clipTranscriptText(entry.response + event.text)
+  } else if (event.type === 'done' || event.type === 'error') {
+    if (!entry.response && typeof event.result === 'string') entry.response = clipTranscriptText(event.result)
+    entry.outcome = event.type === 'done' ? 'done' : (event.code || 'error')
+  }
+}
+
+/** The conversation up to a fork point, written for the first prompt of the fork. */
+function buildForkPreamble(turns) {
+  const lines = ['Earlier conversation in this session, for context:', '']
+  for (const turn of turns) {
+    lines.push(`User: ${turn.prompt}`)
+    lines.push(`Assistant: ${turn.response || (turn.outcome && turn.outcome !== 'done' ? `(no reply: ${turn.outcome})` : '(no reply)')}`)
+    lines.push('')
+  }
+  lines.push('Continue from there. New message:', '')
+  let preamble = lines.join('\n')
+  if (preamble.length > MAX_FORK_PREAMBLE_CHARS) {
+    preamble = `…${preamble.slice(preamble.length - MAX_FORK_PREAMBLE_CHARS)}`
+  }
+  return preamble
+}
+
 // ── Event normalization (P0.1) ──
 
 /**
  * Parse a single stdout line from an agent process and return
  * zero or more normalized ACP events.
  *
- * Dispatches to format-specific parsers based on session.agentType:
+ * Dispatches to the parser of the session's agent adapter (acp-adapters.mjs):
  *   'claude-api'  → raw Claude API streaming (content_block_delta etc.)
  *   'claude-code' → Claude Code CLI stream-json envelope
  *   'codex'       → Codex CLI --json JSONL envelope
+ *   'gemini'      → Gemini CLI stream-json envelope
+ *   'opencode'    → OpenCode `run --format json` events
+ *   'aider'       → plain text, every line is assistant text
  *   'raw'/'other' → tries claude-api first, falls through to status
  *
  * Non-JSON lines ALWAYS degrade to status (P0.1: never discard).
  */
 export function parseAgentLine(line, session) {
-  return parseAgentLineFromEvents(line, session)
+  return parseAgentLineFromEvents(line, session, resolveAcpAgentAdapter(session.agentType))
 }
 
 // ACP event normalization now lives in acp-events.mjs.
@@ -297,17 +406,15 @@ function enqueueOperation(session, op) {
 // ── Public API ──
 
 /**
- * Derive the default CLI command for a known agent type.
+ * Derive the default CLI command from the agent type's adapter.
  * Returns null for 'raw' (caller must provide command explicitly).
  */
 export function resolveDefaultCommand(agentType, prompt, agentSessionId, options = {}) {
-  return resolveAgentDefaultCommand(agentType, prompt, agentSessionId, options)
+  return resolveAcpAgentCommand(agentType, { ...options, prompt, agentSessionId })
 }
 
-export function createAcpSession(opts = {}) {
-  const sessionId = opts.sessionId || randomBytes(16).toString('hex')
-  const agentType = opts.agentType || 'raw'
-  const session = {
+function newSessionRecord(sessionId, agentType, opts = {}) {
+  return {
     sessionId,
     agentType,
     state: null,
@@ -317,12 +424,24 @@ export function createAcpSession(opts = {}) {
     inputProvenance: opts.inputProvenance && typeof opts.inputProvenance === 'object' ? JSON.parse(JSON.stringify(opts.inputProvenance)) : null,
     env: opts.env || undefined,
     permissionPolicy: clonePermissionPolicy(opts.permissionPolicy),
+    // Tool permissions go through the companion (acp-permissions.mjs) for
+    // every agent that supports it; only an explicit `false` skips them.
+    permissionBridge: opts.permissionBridge !== false && supportsAcpPermissionBridge(agentType),
+    writePolicy: cloneWritePolicy(opts.writePolicy),
+    permissionBridgeToken: null,
+    // Each turn's change to cwd is kept as a workspace diff artifact.
+    workspaceDiffs: opts.workspaceDiffs === true,
+    turnSnapshot: null,
+    workspaceDiffPending: null,
     timeoutMs: opts.timeoutMs ?? DEFAULT_TIMEOUT_MS,
     createdAt: now(),
     startedAt: undefined,
     finishedAt: undefined,
     currentTurnId: null,
     runId: opts.runId || null,
+    // Queue priority of the latest turn (acp-scheduler.mjs); queuedAt is set while it waits for a slot.
+    priority: null,
+    queuedAt: undefined,
     queue: Promise.resolve(),
     queueDepth: 0,
     cancelPromise: null,
@@ -343,23 +462,102 @@ export function createAcpSession(opts = {}) {
     lastNoOutputDiagnosticHeartbeat: 0,
     lastSessionProbeHeartbeat: 0,
     lastThinkingStatusAt: 0,
+    pendingTokenUsage: null,
     toolCallsById: new Map(),
     lastToolCallSummary: '',
     lastToolCallAt: 0,
     lastToolResultSummary: '',
     lastToolResultAt: 0,
     runtimeSessionId: null,
-    agentSessionId:
-      String(agentType || '').toLowerCase() === 'claude-code'
-        ? randomUUID()
-        : null,
+    agentSessionId: resolveAcpAgentAdapter(agentType).pinSessionId ? randomUUID() : null,
+    // Prompt and reply of recent turns, replayed into forks that cannot branch natively.
+    transcript: Array.isArray(opts.transcript) ? opts.transcript.slice(-MAX_TRANSCRIPT_TURNS) : [],
+    forkedFrom: opts.forkedFrom && typeof opts.forkedFrom === 'object' ? { ...opts.forkedFrom } : null,
+    // Prepended to the first prompt of a transcript-replay fork.
+    forkPreamble: typeof opts.forkPreamble === 'string' && opts.forkPreamble ? opts.forkPreamble : null,
+    // The first resume of a native fork branches off the source conversation.
+    forkSession: opts.forkSession === true,
+  }
+}
+
+export function createAcpSession(opts = {}) {
+  const sessionId = opts.sessionId || randomBytes(16).toString('hex')
+  const agentType = opts.agentType || 'raw'
+  if (opts.permissionBridge === true && !supportsAcpPermissionBridge(agentType)) {
+    throw new Error(`agentType "${agentType}" cannot route tool permissions through the companion.`)
   }
+  const session = newSessionRecord(sessionId, agentType, opts)
+  persistenceSuspended = false
   acpSessions.set(sessionId, session)
   acpEventBuffers.set(sessionId, [])
   applyAcpSessionState(session, 'idle', { reason: 'create' })
+  persistSoon()
   return getAcpSessionById(sessionId)
 }
 
+/**
+ * Reload sessions persisted by a previous companion process. Sessions that
+ * were still active are moved to `interrupted` (firing the transition hook,
+ * so their runs are finalized) and keep their event history readable.
+ * Sessions whose adapter supports resume remember the agent session to
+ * resume on their next prompt. Sessions already in memory are left alone.
+ * @returns {Promise<number>} number of sessions restored
+ */
+export async function restoreAcpSessions() {
+  const snapshot = await loadAcpSessionStore()
+  persistenceSuspended = false
+  let restored = 0
+  for (const persisted of snapshot.sessions) {
+    if (acpSessions.has(persisted.sessionId)) continue
+    const agentType = persisted.agentType || 'raw'
+    const session = newSessionRecord(persisted.sessionId, agentType, persisted)
+    const events = snapshot.events[persisted.sessionId] || []
+    Object.assign(session, {
+      state: persisted.state || 'idle',
+      createdAt: persisted.createdAt || now(),
+      startedAt: persisted.startedAt,
+      finishedAt: persisted.finishedAt,
+      currentTurnId: persisted.currentTurnId || null,
+      terminalEmitted: ACP_TERMINAL_STATES.has(persisted.state),
+      runtimeSessionId: persisted.runtimeSessionId || null,
+      agentSessionId: persisted.agentSessionId || session.agentSessionId,
+      interruptedAt: persisted.interruptedAt,
+      restored: true,
+    })
+    if (resolveAcpAgentAdapter(agentType).supportsResume) {
+      session.resumeSessionId = persisted.resumeSessionId || session.runtimeSessionId || session.agentSessionId || undefined
+    }
+    acpSessions.set(session.sessionId, session)
+    acpEventBuffers.set(session.sessionId, events)
+    const lastCursor = events.length > 0 ? Number(events[events.length - 1].cursor) : 0
+    nextAcpEventCursor = Math.max(nextAcpEventCursor, snapshot.nextCursor, lastCursor + 1)
+
+    if (!ACP_TERMINAL_STATES.has(session.state) && session.state !== 'interrupted') {
+      session.interruptedAt = now()
+      session.finishedAt = session.interruptedAt
+      pushAcpEvent(session.sessionId, {
+        type: 'status',
+        turnId: session.currentTurnId,
+        statusCode: 'interrupted',
+        text: `Session interrupted by a companion restart while ${session.state}.`,
+      })
+      applyAcpSessionState(session, 'interrupted', { reason: 'companion_restart' })
+    }
+    restored += 1
+  }
+  if (restored > 0) persistSoon()
+  return restored
+}
+
+/** Turn priority, plus queue position and wait while the turn waits for a slot. */
+function queueFields(session) {
+  const entry = session.state === 'queued' ? getAcpTurnQueueEntry(session.sessionId) : null
+  return {
+    ...(session.priority ? { priority: session.priority } : {}),
+    ...(entry ? { queuePosition: entry.position, queuedAt: entry.enqueuedAt, queueWaitMs: entry.waitMs } : {}),
+  }
+}
+
 export function getAcpSessionById(sessionId) {
   const session = acpSessions.get(sessionId)
   if (!session) return null
@@ -377,15 +575,31 @@ export function getAcpSessionById(sessionId) {
     currentTurnId: session.currentTurnId,
     runId: session.runId,
     queueDepth: session.queueDepth,
+    ...queueFields(session),
     terminalEmitted: session.terminalEmitted,
     runtimeSessionId: session.runtimeSessionId || null,
+    agentSessionId: session.agentSessionId || null,
+    permissionBridge: session.permissionBridge,
+    ...(session.writePolicy ? { writePolicy: { ...session.writePolicy } } : {}),
+    workspaceDiffs: session.workspaceDiffs,
+    ...(session.forkedFrom ? { forkedFrom: { ...session.forkedFrom } } : {}),
+    ...(session.restored ? { restored: true } : {}),
+    ...(session.interruptedAt ? { interruptedAt: session.interruptedAt } : {}),
+    ...(session.resumeSessionId ? { resumeSessionId: session.resumeSessionId } : {}),
   }
 }
 
+/** Values of the session's explicit env, so exports can scrub them. */
+export function getAcpSessionEnvValues(sessionId) {
+  const env = acpSessions.get(sessionId)?.env
+  return env && typeof env === 'object' ? Object.values(env).filter((value) => typeof value === 'string') : []
+}
+
 export function attachAcpSessionRunId(sessionId, runId) {
   const session = acpSessions.get(sessionId)
   if (!session) return null
   session.runId = runId || null
+  persistSoon()
   return getAcpSessionById(sessionId)
 }
 
@@ -398,6 +612,151 @@ export function setAcpSessionEventHook(hook) {
   }
 }
 
+/**
+ * Install the handler that decides tool uses the write policy leaves open
+ * ("ask") for sessions on the permission bridge:
+ * `(request) => Promise<{ allowed: boolean, reason?: string }>`, where
+ * `request` carries the session identity plus the classified `tool`
+ * (see classifyAcpToolRequest), a one-line `preview` and the rule's `reason`.
+ * Without a handler such tool uses are denied.
+ */
+export function setAcpPermissionHandler(handler) {
+  permissionHandler = typeof handler === 'function' ? handler : null
+  return () => {
+    if (permissionHandler === handler) {
+      permissionHandler = null
+    }
+  }
+}
+
+let permissionBridgeEndpoint = null
+
+/**
+ * Tell sessions where the companion serves `POST /api/acp/permission-bridge`;
+ * `getUrl` is called each time a claude-code turn starts on the bridge.
+ */
+export function setAcpPermissionBridgeEndpoint(getUrl) {
+  permissionBridgeEndpoint = typeof getUrl === 'function' ? getUrl : null
+  return () => {
+    if (permissionBridgeEndpoint === getUrl) {
+      permissionBridgeEndpoint = null
+    }
+  }
+}
+
+/** Session id for a permission-bridge bearer token, or null. */
+export function findAcpSessionIdByPermissionToken(token) {
+  if (typeof token !== 'string' || !token) return null
+  const presented = Buffer.from(token)
+  for (const session of acpSessions.values()) {
+    if (!session.permissionBridgeToken) continue
+    const expected = Buffer.from(session.permissionBridgeToken)
+    if (expected.length === presented.length && timingSafeEqual(expected, presented)) return session.sessionId
+  }
+  return null
+}
+
+/**
+ * Decide one tool use for a session: `rawRequest` is `{ toolCall }` from an
+ * ACP agent or `{ toolName, input }` from Claude Code. Sessions created with
+ * `permissionBridge: false` opted into unattended runs and are always allowed.
+ * @returns {Promise<{ allowed: boolean, reason: string }>}
+ */
+export async function requestAcpToolPermission(sessionId, rawRequest) {
+  const session = acpSessions.get(sessionId)
+  if (!session) throw new Error(`ACP session not found: ${sessionId}`)
+  const tool = classifyAcpToolRequest(rawRequest, { cwd: session.cwd })
+  const preview = describeAcpToolRequest(tool)
+  const turnId = session.currentTurnId
+  pushAcpEvent(session.sessionId, {
+    type: 'status',
+    turnId,
+    statusCode: 'permission_requested',
+    text: `[acp] permission requested: ${preview}`,
+  })
+
+  let verdict
+  if (!session.permissionBridge) {
+    verdict = { allowed: true, reason: 'The session opted out of the permission bridge.' }
+  } else {
+    const rule = evaluateAcpToolPermission(tool, session.writePolicy, { cwd: session.cwd })
+    if (rule.decision !== ACP_TOOL_DECISION_ASK) {
+      verdict = { allowed: rule.decision === ACP_TOOL_DECISION_ALLOW, reason: rule.reason }
+    } else if (!permissionHandler) {
+      verdict = { allowed: false, reason: 'No approval channel is available.' }
+    } else {
+      const result = await permissionHandler({
+        sessionId: session.sessionId,
+        turnId,
+        runId: session.runId || null,
+        agentType: session.agentType,
+        origin: session.origin || undefined,
+        inputProvenance: session.inputProvenance || undefined,
+        tool,
+        preview,
+        reason: rule.reason,
+      }).catch((err) => ({ allowed: false, reason: `Approval failed: ${err.message}` }))
+      verdict = { allowed: result?.allowed === true, reason: String(result?.reason || (result?.allowed ? 'Approved.' : 'Not approved.')) }
+    }
+  }
+
+  pushAcpEvent(session.sessionId, {
+    type: 'status',
+    turnId,
+    statusCode: verdict.allowed ? 'permission_granted' : 'permission_denied',
+    text: `[acp] permission ${verdict.allowed ? 'granted' : 'denied'}: ${preview} (${verdict.reason})`,
+  })
+  return verdict
+}
+
+// ACP `session/request_permission`: pick the option matching the verdict.
+async function requestAgentPermission(session, params) {
+  const verdict = await requestAcpToolPermission(session.sessionId, { toolCall: params.toolCall })
+  const options = Array.isArray(params.options) ? params.options : []
+  const kinds = verdict.allowed ? ['allow_once', 'allow_always'] : ['reject_once', 'reject_always']
+  for (const kind of kinds) {
+    const option = options.find((entry) => entry?.kind === kind)
+    if (option) return { outcome: 'selected', optionId: option.optionId }
+  }
+  return { outcome: 'cancelled' }
+}
+
+function permissionBridgeConfigPath(sessionId) {
+  return path.join(getConfigDir(), 'acp-permission-bridge', `${sessionId}.json`)
+}
+
+// The MCP config carries the session's bridge token, so it goes to a 0600
+// file rather than onto the agent's command line.
+function preparePermissionPromptTool(session) {
+  const url = permissionBridgeEndpoint ? permissionBridgeEndpoint() : null
+  if (!url) {
+    throw new Error('The companion permission bridge is not available; start the session through the companion server.')
+  }
+  if (!session.permissionBridgeToken) session.permissionBridgeToken = randomBytes(24).toString('hex')
+  const mcpConfigPath = permissionBridgeConfigPath(session.sessionId)
+  ensureConfigDir()
+  mkdirSync(path.dirname(mcpConfigPath), { recursive: true, mode: 0o700 })
+  writeFileSync(mcpConfigPath, `${JSON.stringify({
+    mcpServers: {
+      [ACP_PERMISSION_MCP_SERVER_NAME]: {
+        command: process.execPath,
+        args: [PERMISSION_MCP_SCRIPT],
+        env: {
+          [ACP_PERMISSION_URL_ENV]: url,
+          [ACP_PERMISSION_TOKEN_ENV]: session.permissionBridgeToken,
+        },
+      },
+    },
+  }, null, 2)}\n`, { mode: 0o600 })
+  return { toolName: ACP_PERMISSION_PROMPT_TOOL, mcpConfigPath }
+}
+
+function removePermissionBridgeConfig(session) {
+  if (!session.permissionBridgeToken) return
+  session.permissionBridgeToken = null
+  try { rmSync(permissionBridgeConfigPath(session.sessionId), { force: true }) } catch { /* ignore */ }
+}
+
 export function listAcpSessions(options = {}) {
   const state = options.state || undefined
   const limit = clampInt(options.limit, 50, 1, 500)
@@ -416,6 +775,7 @@ export function listAcpSessions(options = {}) {
     finishedAt: s.finishedAt,
     currentTurnId: s.currentTurnId,
     queueDepth: s.queueDepth,
+    ...queueFields(s),
     origin: s.origin || undefined,
     inputProvenance: s.inputProvenance || undefined,
     stallKind: typeof s.lastNoOutputDiagnosticKind === 'string' ? s.lastNoOutputDiagnosticKind : undefined,
@@ -433,15 +793,190 @@ export function listAcpSessions(options = {}) {
   }
 }
 
+// ── Workspace diffs ──
+
+/**
+ * Snapshot the turn's cwd before the agent starts. Waits for the previous
+ * turn's diff first so the two never interleave. A failed snapshot only
+ * costs this turn its diff.
+ */
+async function snapshotTurnWorkspace(session, cwd, turnId) {
+  await session.workspaceDiffPending
+  try {
+    session.turnSnapshot = await captureWorkspaceSnapshot(cwd)
+  } catch (err) {
+    session.turnSnapshot = null
+    pushAcpEvent(session.sessionId, {
+      type: 'status',
+      turnId,
+      statusCode: 'workspace_snapshot_failed',
+      text: `[workspace] snapshot failed: ${err.message}`,
+    })
+  }
+}
+
+/** Diff the finished turn against its pre-turn snapshot and store the artifact. */
+function settleTurnWorkspace(session) {
+  const before = session.turnSnapshot
+  if (!before) return
+  session.turnSnapshot = null
+  const turnId = session.currentTurnId
+  session.workspaceDiffPending = (async () => {
+    let after = null
+    let recording = false
+    try {
+      after = await captureWorkspaceSnapshot(before.cwd)
+      const result = await diffWorkspaceSnapshots(before, after)
+      if (result.files.length === 0) {
+        await discardWorkspaceSnapshot(before)
+        await discardWorkspaceSnapshot(after)
+        return
+      }
+      recording = true
+      const record = await recordWorkspaceDiff({
+        sessionId: session.sessionId,
+        runId: session.runId,
+        turnId,
+        agentType: session.agentType,
+        before,
+        after,
+        result,
+      })
+      pushAcpEvent(session.sessionId, {
+        type: 'status',
+        turnId,
+        statusCode: 'workspace_diff',
+        artifactId: record.artifactId,
+        text: `[workspace] ${record.files.length} file(s) changed (+${record.additions} -${record.deletions})`,
+      })
+    } catch (err) {
+      if (!recording) {
+        await discardWorkspaceSnapshot(before)
+        if (after) await discardWorkspaceSnapshot(after)
+      }
+      pushAcpEvent(session.sessionId, {
+        type: 'status',
+        turnId,
+        statusCode: 'workspace_diff_failed',
+        text: `[workspace] diff failed: ${err.message}`,
+      })
+    }
+  })()
+}
+
+/**
+ * Restore the files a turn changed to their pre-turn content. Refused while
+ * the session is running, and (without `force`) when any of those files
+ * changed again after the turn.
+ * @returns {Promise<{ artifactId: string, restored: string[], removed: string[], skipped: string[] }>}
+ */
+export async function revertAcpTurnDiff(artifactId, { force = false } = {}) {
+  const record = await getWorkspaceDiff(artifactId, { withSnapshots: true })
+  if (!record) {
+    const err = new Error(`Workspace diff not found: ${artifactId}`)
+    err.code = 'not_found'
+    throw err
+  }
+  const session = acpSessions.get(record.sessionId)
+  if (session?.state === 'running') {
+    const err = new Error(`ACP session "${record.sessionId}" is running; cancel or wait for the turn before reverting.`)
+    err.code = 'session_running'
+    throw err
+  }
+  await session?.workspaceDiffPending
+  const result = await revertWorkspaceSnapshot(record.before, record.after, record.files, { force })
+  await markWorkspaceDiffReverted(artifactId, result)
+  if (session) {
+    pushAcpEvent(session.sessionId, {
+      type: 'status',
+      turnId: record.turnId,
+      statusCode: 'workspace_reverted',
+      artifactId,
+      text: `[workspace] reverted turn: ${result.restored.length} restored, ${result.removed.length} removed`,
+    })
+  }
+  return { artifactId, ...result }
+}
+
+/**
+ * Put a finished session back to `idle` for another turn: clears the turn's
+ * timers and bookkeeping and keeps following the agent conversation.
+ */
+function reopenSession(session, previousState, reason) {
+  if (session.timeoutRef) {
+    clearTimeout(session.timeoutRef)
+    session.timeoutRef = undefined
+  }
+  clearNoOutputWatchdog(session)
+  applyAcpSessionState(session, 'idle', { reason, previousState })
+  session.startedAt = undefined
+  session.finishedAt = undefined
+  session.currentTurnId = null
+  session.terminalEmitted = false
+  session.cancelPromise = null
+  session.lastOutputAt = undefined
+  session.lastNoOutputHeartbeatAt = undefined
+  session.noOutputHeartbeatCount = 0
+  session.lastNoOutputDiagnosticKind = ''
+  session.lastNoOutputDiagnosticStatusCode = ''
+  session.lastNoOutputDiagnosticSummary = ''
+  session.lastNoOutputDiagnosticHeartbeat = 0
+  session.lastSessionProbeHeartbeat = 0
+  session.lastThinkingStatusAt = 0
+  session.toolCallsById = new Map()
+  session.lastToolCallSummary = ''
+  session.lastToolCallAt = 0
+  session.lastToolResultSummary = ''
+  session.lastToolResultAt = 0
+
+  // A resumed session keeps following the conversation the agent reported.
+  if (session.resumeSessionId && session.runtimeSessionId) {
+    session.resumeSessionId = session.runtimeSessionId
+  }
+
+  // If last turn did not complete cleanly, rotate the pinned agent session id.
+  // This avoids "Session ID ... is already in use" after cancel/timeout/error.
+  if (resolveAcpAgentAdapter(session.agentType).pinSessionId && previousState !== 'done') {
+    session.agentSessionId = randomUUID()
+  }
+}
+
+function queueTurn(session, turnId, position) {
+  session.currentTurnId = turnId
+  session.queuedAt = now()
+  applyAcpSessionState(session, 'queued', { reason: 'concurrency_limit', priority: session.priority })
+  pushAcpEvent(session.sessionId, {
+    type: 'status',
+    turnId,
+    statusCode: 'queued',
+    text: `Waiting for a concurrency slot (${session.priority}, position ${position}).`,
+  })
+  persistSoon()
+}
+
+/** A queued turn that failed before its agent started still ends with a terminal event. */
+function failQueuedTurn(session, err) {
+  releaseAcpTurnSlot(session.sessionId)
+  if (ACP_TERMINAL_STATES.has(session.state)) return
+  const termEvent = synthesizeTerminalEvent(session, { type: 'spawn_failed', message: err.message })
+  if (termEvent) pushAcpEvent(session.sessionId, termEvent)
+  applyAcpSessionState(session, 'error', { reason: 'spawn_failed' })
+  session.finishedAt = now()
+  persistSoon()
+}
+
 /**
  * Enqueue a prompt operation: spawns agent child with command and writes
- * prompt to stdin. Returns a promise that resolves when spawn completes.
+ * prompt to stdin. Returns a promise that resolves when spawn completes, or
+ * with `queued: true` once the turn is waiting for a concurrency slot.
  */
 export function enqueuePrompt(sessionId, opts = {}) {
   const session = acpSessions.get(sessionId)
   if (!session) throw new Error(`ACP session not found: ${sessionId}`)
 
-  const restartableTerminalStates = new Set(['done'])
+  // `interrupted` sessions were cut off by a companion restart; a new prompt
+  // resumes them (claude-code continues the stored agent session).
+  const restartableTerminalStates = new Set(['done', 'interrupted'])
   if (typeof opts.origin === 'string' && opts.origin.trim()) {
     session.origin = opts.origin.trim()
   }
@@ -463,49 +998,30 @@ export function enqueuePrompt(sessionId, opts = {}) {
   if (restartableTerminalStates.has(session.state)) {
     // Re-open the same session envelope for a follow-up turn.
     // This keeps sessionId stable for long-lived assistant workflows.
-    if (session.timeoutRef) {
-      clearTimeout(session.timeoutRef)
-      session.timeoutRef = undefined
-    }
-    clearNoOutputWatchdog(session)
-    applyAcpSessionState(session, 'idle', { reason: 'reuse_reset', previousState })
-    session.startedAt = undefined
-    session.finishedAt = undefined
-    session.currentTurnId = null
-    session.terminalEmitted = false
-    session.cancelPromise = null
-    session.lastOutputAt = undefined
-    session.lastNoOutputHeartbeatAt = undefined
-    session.noOutputHeartbeatCount = 0
-    session.lastNoOutputDiagnosticKind = ''
-    session.lastNoOutputDiagnosticStatusCode = ''
-    session.lastNoOutputDiagnosticSummary = ''
-    session.lastNoOutputDiagnosticHeartbeat = 0
-    session.lastSessionProbeHeartbeat = 0
-    session.lastThinkingStatusAt = 0
-    session.toolCallsById = new Map()
-    session.lastToolCallSummary = ''
-    session.lastToolCallAt = 0
-    session.lastToolResultSummary = ''
-    session.lastToolResultAt = 0
+    reopenSession(session, previousState, 'reuse_reset')
     acpEventBuffers.set(sessionId, [])
-
-    // If last turn did not complete cleanly, rotate Claude runtime session id.
-    // This avoids "Session ID ... is already in use" after cancel/timeout/error.
-    if (
-      String(session.agentType || '').toLowerCase() === 'claude-code'
-      && previousState !== 'done'
-    ) {
-      session.agentSessionId = randomUUID()
-    }
   }
 
   const turnId = opts.turnId || randomBytes(8).toString('hex')
-  return enqueueOperation(session, () => {
+  return enqueueOperation(session, async () => {
     // Resolve command: explicit > session-level > auto-derived from agentType
+    const adapter = resolveAcpAgentAdapter(session.agentType)
+    // The first turn of a transcript-replay fork carries the earlier conversation.
+    const prompt = session.forkPreamble && typeof opts.prompt === 'string'
+      ? `${session.forkPreamble}${opts.prompt}`
+      : opts.prompt
     const command = opts.command || session.command
-      || resolveDefaultCommand(session.agentType, opts.prompt, session.agentSessionId, {
+      || resolveDefaultCommand(session.agentType, prompt, session.agentSessionId, {
         permissionPolicy: session.permissionPolicy,
+        resumeSessionId: session.resumeSessionId,
+        forkSession: session.forkSession,
+        ...(session.permissionBridge && adapter.permissionBridge === 'mcp'
+          ? { permissionPromptTool: preparePermissionPromptTool(session) }
+          : {}),
+        ...(session.permissionBridge && adapter.permissionBridge === 'sandbox'
+          ? { sandbox: { writePolicy: session.writePolicy, cwd: session.cwd } }
+          : {}),
+        ...(session.permissionBridge ? {} : { skipPermissions: true }),
       })
     if (!command) {
       throw new Error(
@@ -514,53 +1030,119 @@ export function enqueuePrompt(sessionId, opts = {}) {
       )
     }
 
+    // ACP-native agents keep their process between turns and take prompts over JSON-RPC.
+    const nativeProtocol = adapter.protocol === 'acp'
+
+    if (session.state === 'queued') {
+      throw new Error(
+        `Session "${sessionId}" already has a turn waiting for a concurrency slot. ` +
+        'Cancel it or wait for it to start before sending another prompt.',
+      )
+    }
+
     // Prevent spawning a second child while one is still running
-    if (session.child && !session.child.killed && session.child.exitCode === null) {
+    if (nativeProtocol ? session.state === 'running' : (session.child && !session.child.killed && session.child.exitCode === null)) {
       throw new Error(
         `Session "${sessionId}" already has a running child process (pid=${session.child.pid}). ` +
         'Cancel or wait for it to exit before sending another prompt.',
       )
     }
 
-    session.currentTurnId = turnId
-    session.terminalEmitted = false
-    session.toolCallAccumulator = null
-    session.lastNoOutputHeartbeatAt = undefined
-    session.noOutputHeartbeatCount = 0
-    session.lastNoOutputDiagnosticKind = ''
-    session.lastNoOutputDiagnosticStatusCode = ''
-    session.lastNoOutputDiagnosticSummary = ''
-    session.lastNoOutputDiagnosticHeartbeat = 0
-    session.lastSessionProbeHeartbeat = 0
-    session.lastThinkingStatusAt = 0
-    session.toolCallsById = new Map()
-    session.lastToolCallSummary = ''
-    session.lastToolCallAt = 0
-    session.lastToolResultSummary = ''
-    session.lastToolResultAt = 0
-
-    // For agentType-derived commands that embed the prompt, don't pipe via stdin
-    const promptForStdin = (opts.command || session.command) ? opts.prompt : undefined
-
-    spawnAgentChildFromProcess(session, {
-      command,
-      cwd: opts.cwd || session.cwd,
-      env: opts.env || session.env,
-      timeoutMs: opts.timeoutMs ?? session.timeoutMs,
-      prompt: promptForStdin,
-    }, {
-      now,
-      applySessionState: (target, nextState, meta) => applyAcpSessionState(target, nextState, meta),
-      pushEvent: (sessionId, event) => pushAcpEvent(sessionId, event),
-      markOutputActivity,
-      startNoOutputWatchdog,
-      clearNoOutputWatchdog,
-      parseAgentLine: (line, target) => parseAgentLine(line, target),
-      synthesizeTerminalEvent: (target, reason) => synthesizeTerminalEvent(target, reason),
-      cancelKillDelayMs: CANCEL_KILL_DELAY_MS,
-      defaultTimeoutMs: DEFAULT_TIMEOUT_MS,
-      maxTimeoutMs: MAX_TIMEOUT_MS,
+    const priority = resolveAcpTurnPriority(opts.priority, session.origin)
+    session.priority = priority
+
+    const startTurn = async () => {
+      if (session.workspaceDiffs) {
+        await snapshotTurnWorkspace(session, opts.cwd || session.cwd, turnId)
+      }
+
+      session.currentTurnId = turnId
+      session.terminalEmitted = false
+      session.toolCallAccumulator = null
+      session.pendingTokenUsage = null
+      session.lastNoOutputHeartbeatAt = undefined
+      session.noOutputHeartbeatCount = 0
+      session.lastNoOutputDiagnosticKind = ''
+      session.lastNoOutputDiagnosticStatusCode = ''
+      session.lastNoOutputDiagnosticSummary = ''
+      session.lastNoOutputDiagnosticHeartbeat = 0
+      session.lastSessionProbeHeartbeat = 0
+      session.lastThinkingStatusAt = 0
+      session.toolCallsById = new Map()
+      session.lastToolCallSummary = ''
+      session.lastToolCallAt = 0
+      session.lastToolResultSummary = ''
+      session.lastToolResultAt = 0
+      session.forkPreamble = null
+      session.forkSession = false
+      startTranscriptTurn(session, turnId, opts.prompt)
+
+      const deps = {
+        now,
+        applySessionState: (target, nextState, meta) => {
+          applyAcpSessionState(target, nextState, meta)
+          if (ACP_TERMINAL_STATES.has(nextState)) {
+            releaseAcpTurnSlot(target.sessionId)
+            settleTurnWorkspace(target)
+          }
+          persistSoon()
+        },
+        pushEvent: (sessionId, event) => pushAcpEvent(sessionId, event),
+        markOutputActivity,
+        startNoOutputWatchdog,
+        clearNoOutputWatchdog,
+        cancelKillDelayMs: CANCEL_KILL_DELAY_MS,
+        defaultTimeoutMs: DEFAULT_TIMEOUT_MS,
+        maxTimeoutMs: MAX_TIMEOUT_MS,
+      }
+
+      if (nativeProtocol) {
+        runAcpNativeTurn(session, {
+          command,
+          cwd: opts.cwd || session.cwd,
+          env: opts.env || session.env,
+          timeoutMs: opts.timeoutMs ?? session.timeoutMs,
+          prompt,
+        }, { ...deps, requestPermission: requestAgentPermission })
+        return
+      }
+
+      // For agentType-derived commands that embed the prompt, don't pipe via stdin
+      const promptForStdin = (opts.command || session.command) ? prompt : undefined
+
+      spawnAgentChildFromProcess(session, {
+        command,
+        cwd: opts.cwd || session.cwd,
+        env: opts.env || session.env,
+        timeoutMs: opts.timeoutMs ?? session.timeoutMs,
+        prompt: promptForStdin,
+      }, {
+        ...deps,
+        parseAgentLine: (line, target) => parseAgentLine(line, target),
+        synthesizeTerminalEvent: (target, reason) => synthesizeTerminalEvent(target, reason),
+      })
+    }
+
+    // Past the concurrency cap the turn waits in `queued` and starts when a slot frees up.
+    const slot = acquireAcpTurnSlot({
+      sessionId,
+      agentType: session.agentType,
+      priority,
+      start: () => {
+        session.queuedAt = undefined
+        startTurn().catch((err) => failQueuedTurn(session, err))
+      },
     })
+    if (!slot.granted) {
+      queueTurn(session, turnId, slot.position)
+      return { ok: true, turnId, sessionId, queued: true, queuePosition: slot.position }
+    }
+    try {
+      await startTurn()
+    } catch (err) {
+      releaseAcpTurnSlot(sessionId)
+      throw err
+    }
     return { ok: true, turnId, sessionId }
   })
 }
@@ -574,6 +1156,9 @@ export function enqueueSteer(sessionId, opts = {}) {
   if (session.state !== 'running') {
     throw new Error(`Cannot steer: session state is "${session.state}", expected "running"`)
   }
+  if (resolveAcpAgentAdapter(session.agentType).protocol === 'acp') {
+    throw new Error('Cannot steer: ACP-native agents read JSON-RPC on stdin; send a new prompt instead.')
+  }
 
   return enqueueOperation(session, () => {
     if (!session.child?.stdin || session.child.stdin.destroyed || session.child.stdin.writableEnded) {
@@ -588,6 +1173,93 @@ export function enqueueSteer(sessionId, opts = {}) {
   })
 }
 
+/**
+ * Reopen a finished session (including one that failed, timed out or was
+ * cancelled) so it takes prompts again. The event history is kept; the next
+ * turn resumes the agent conversation where the adapter supports it.
+ */
+export function resetAcpSession(sessionId) {
+  const session = acpSessions.get(sessionId)
+  if (!session) {
+    const err = new Error(`ACP session not found: ${sessionId}`)
+    err.code = 'not_found'
+    throw err
+  }
+  const previousState = session.state
+  if (!ACP_TERMINAL_STATES.has(previousState) && previousState !== 'interrupted') {
+    const err = new Error(`ACP session "${sessionId}" is ${previousState}; only finished sessions can be reset.`)
+    err.code = previousState === 'running' || previousState === 'queued' ? 'session_running' : 'invalid_state'
+    throw err
+  }
+  reopenSession(session, previousState, 'reset')
+  pushAcpEvent(sessionId, {
+    type: 'status',
+    turnId: null,
+    statusCode: 'session_reset',
+    text: `Session reset from ${previousState}.`,
+  })
+  persistSoon()
+  return getAcpSessionById(sessionId)
+}
+
+/**
+ * Start a new session that continues this one's conversation as of `turnId`
+ * (default: the latest turn). Adapters that can branch a resumed
+ * conversation (`supportsFork`) resume the agent's own session when forking
+ * from the latest turn; otherwise the transcript up to the fork point is
+ * replayed ahead of the fork's first prompt.
+ * @returns {object} the new (idle) session, with `forkedFrom`
+ */
+export function forkAcpSession(sessionId, { turnId = '' } = {}) {
+  const source = acpSessions.get(sessionId)
+  if (!source) {
+    const err = new Error(`ACP session not found: ${sessionId}`)
+    err.code = 'not_found'
+    throw err
+  }
+  if (source.state === 'running' || source.state === 'queued') {
+    const err = new Error(`ACP session "${sessionId}" is ${source.state}; cancel or wait for the turn before forking.`)
+    err.code = 'session_running'
+    throw err
+  }
+  const turns = source.transcript
+  const index = turnId ? turns.findIndex((turn) => turn.turnId === turnId) : turns.length - 1
+  if (index < 0) {
+    const err = turnId
+      ? new Error(`Turn "${turnId}" is not in the transcript of ACP session "${sessionId}".`)
+      : new Error(`ACP session "${sessionId}" has no turns to fork from.`)
+    err.code = 'not_found'
+    throw err
+  }
+  const forkTurns = turns.slice(0, index + 1)
+  const conversationId = source.runtimeSessionId || source.resumeSessionId || source.agentSessionId
+  const native = resolveAcpAgentAdapter(source.agentType).supportsFork
+    && !source.command
+    && index === turns.length - 1
+    && Boolean(conversationId)
+
+  const fork = createAcpSession({
+    agentType: source.agentType,
+    cwd: source.cwd,
+    command: source.command,
+    env: source.env,
+    origin: source.origin,
+    timeoutMs: source.timeoutMs,
+    permissionPolicy: source.permissionPolicy,
+    permissionBridge: source.permissionBridge,
+    writePolicy: source.writePolicy,
+    workspaceDiffs: source.workspaceDiffs,
+    transcript: forkTurns,
+    forkedFrom: { sessionId, turnId: forkTurns[index].turnId, mode: native ? 'native' : 'replay' },
+    ...(native ? { forkSession: true } : { forkPreamble: buildForkPreamble(forkTurns) }),
+  })
+  if (native) {
+    acpSessions.get(fork.sessionId).resumeSessionId = conversationId
+    persistSoon()
+  }
+  return getAcpSessionById(fork.sessionId)
+}
+
 /**
  * Cancel an ACP session — bypasses actor queue (P0.3).
  * Sends SIGTERM immediately, escalates to SIGKILL after 3s.
@@ -626,8 +1298,14 @@ export function cancelAcpSession(sessionId) {
       pushAcpEvent(session.sessionId, termEvent)
     }
 
+    // Let an ACP-native agent stop its turn cleanly before the process is signalled.
+    cancelAcpNativeTurn(session)
     applyAcpSessionState(session, 'cancelled', { reason: 'cancel' })
+    releaseAcpTurnSlot(session.sessionId)
+    session.queuedAt = undefined
+    settleTurnWorkspace(session)
     session.finishedAt = session.finishedAt || now()
+    persistSoon()
 
     if (!session.child) {
       resolve({ ok: true, sessionId, state: 'cancelled' })
@@ -685,19 +1363,27 @@ export function listAcpEvents(sessionId, options = {}) {
 }
 
 /**
- * Cleanup all ACP sessions and event buffers (for testing).
+ * Cleanup all ACP sessions and event buffers (on shutdown and in tests).
+ * The current sessions are flushed to disk first so the next process can
+ * restore them.
  */
 export function cleanupAllAcpSessions() {
   if (gcTimer) { clearInterval(gcTimer); gcTimer = null }
+  if (!persistenceSuspended) {
+    void flushAcpSessionStore(buildSnapshot()).catch(() => undefined)
+    persistenceSuspended = true
+  }
   for (const [, session] of acpSessions) {
     if (session.timeoutRef) clearTimeout(session.timeoutRef)
     clearNoOutputWatchdog(session)
     if (session.child && session.child.exitCode === null) {
       try { signalChildProcessTree(session.child, 'SIGTERM') } catch { /* ignore */ }
     }
+    removePermissionBridgeConfig(session)
   }
   acpSessions.clear()
   acpEventBuffers.clear()
+  resetAcpScheduler()
   nextAcpEventCursor = 1
 }
 
@@ -708,16 +1394,27 @@ export function cleanupAllAcpSessions() {
 export function gcTerminalSessions() {
   const cutoff = now() - SESSION_TTL_MS
   let reaped = 0
+  const interruptedCutoff = now() - INTERRUPTED_SESSION_TTL_MS
   for (const [id, session] of acpSessions) {
-    if (!ACP_TERMINAL_STATES.has(session.state)) continue
-    if ((session.finishedAt || 0) > cutoff) continue
-    // Terminal and past TTL → remove
+    if (session.state === 'interrupted') {
+      if ((session.interruptedAt || 0) > interruptedCutoff) continue
+    } else if (!ACP_TERMINAL_STATES.has(session.state)) {
+      continue
+    } else if ((session.finishedAt || 0) > cutoff) {
+      continue
+    }
+    // Terminal and past TTL → remove (ACP-native agents idle between turns)
+    if (session.child && session.child.exitCode === null) {
+      try { signalChildProcessTree(session.child, 'SIGTERM') } catch { /* ignore */ }
+    }
+    removePermissionBridgeConfig(session)
     acpSessions.delete(id)
     acpEventBuffers.delete(id)
     reaped++
   }
   if (reaped > 0) {
     console.log(`[acp-session] GC reaped ${reaped} terminal session(s)`)
+    persistSoon()
   }
   return reaped
 }
@@ -1,4 +1,4 @@
-import test from 'node:test'
+import test, { after } from 'node:test'
 import assert from 'node:assert/strict'
 import { chmodSync, mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
 import { tmpdir } from 'node:os'
@@ -21,8 +21,23 @@ import {
   classifyNoOutputDiagnostic,
   setAcpSessionEventHook,
   listAcpSessions,
+  restoreAcpSessions,
+  resetAcpSession,
+  forkAcpSession,
 } from './acp-session.mjs'
 import { setAcpSessionTransitionHook } from './acp-lifecycle.mjs'
+import { configureAcpConcurrency, getAcpSchedulerStats } from './acp-scheduler.mjs'
+import { flushAcpSessionStore, loadAcpSessionStore } from './acp-session-store.mjs'
+
+// Sessions are persisted to acp-sessions.json; keep that out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'acp-session-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
 
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
@@ -287,10 +302,11 @@ test('non-JSON stdout lines become status events', async (t) => {
   assert.ok(statusEvents.some((e) => e.text.includes('plain text output')))
 })
 
-test('default claude-code command includes dangerously-skip-permissions flag', () => {
+test('default claude-code command skips permissions only when asked to', () => {
   const command = resolveDefaultCommand('claude-code', 'hello')
   assert.ok(Array.isArray(command))
-  assert.ok(command.includes('--dangerously-skip-permissions'))
+  assert.equal(command.includes('--dangerously-skip-permissions'), false)
+  assert.ok(resolveDefaultCommand('claude-code', 'hello', null, { skipPermissions: true }).includes('--dangerously-skip-permissions'))
   const disallowedIdx = command.indexOf('--disallowedTools')
   assert.ok(disallowedIdx >= 0)
   assert.equal(command[disallowedIdx + 1], 'AskUserQuestion')
@@ -395,6 +411,35 @@ test('default claude-code command can pin a stable claude session id', () => {
   assert.equal(command[idx + 1], sessionId)
 })
 
+test('default claude-code command resumes a stored claude session id', () => {
+  const sessionId = '123e4567-e89b-12d3-a456-426614174000'
+  const command = resolveDefaultCommand('claude-code', 'hello', sessionId, { resumeSessionId: sessionId })
+  const idx = command.indexOf('--resume')
+  assert.ok(idx >= 0)
+  assert.equal(command[idx + 1], sessionId)
+  assert.equal(command.includes('--session-id'), false)
+})
+
+test('default claude-code command branches a resumed session when forking', () => {
+  const command = resolveDefaultCommand('claude-code', 'hello', 'pinned-id', { resumeSessionId: 'source-id', forkSession: true })
+  const idx = command.indexOf('--resume')
+  assert.deepEqual(command.slice(idx, idx + 3), ['--resume', 'source-id', '--fork-session'])
+})
+
+test('default codex command resumes a stored codex thread', () => {
+  const command = resolveDefaultCommand('codex', 'hello', null, { resumeSessionId: 'thread-1' })
+  const idx = command.indexOf('resume')
+  assert.deepEqual(command.slice(idx), ['resume', 'thread-1', 'hello'])
+  assert.equal(resolveDefaultCommand('codex', 'hello', null).includes('resume'), false)
+})
+
+test('Codex thread.started records the thread id as the runtime session id', () => {
+  const session = { agentType: 'codex', currentTurnId: 'turn-1' }
+  const events = parseAgentLine(JSON.stringify({ type: 'thread.started', thread_id: 'thread-abc' }), session)
+  assert.equal(session.runtimeSessionId, 'thread-abc')
+  assert.equal(events[0].statusCode, 'runtime_session_id')
+})
+
 test('enqueuePrompt preserves explicit claude auth env after inherited sanitization', async (t) => {
   cleanupAllAcpSessions()
   t.after(() => cleanupAllAcpSessions())
@@ -1344,3 +1389,225 @@ test('cancel bypasses actor queue and terminates immediately', async (t) => {
   const terminalEvents = events.filter((e) => e.type === 'error' || e.type === 'done')
   assert.ok(terminalEvents.length >= 1, 'Expected terminal event after cancel')
 })
+
+test('restoreAcpSessions marks running sessions interrupted and keeps their events readable', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createAcpSession({
+    agentType: 'raw',
+    cwd: process.cwd(),
+    command: ['node', '-e', 'console.log("before restart"); setTimeout(() => {}, 30000)'],
+    timeoutMs: 0,
+  })
+  await enqueuePrompt(sessionId, { prompt: '' })
+  await waitForEventMatch(sessionId, (event) => /before restart/.test(event.text || ''))
+  const before = listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+
+  // Simulate a companion restart: shutdown persists the live state, then the
+  // in-memory registry is empty until the store is reloaded.
+  cleanupAllAcpSessions()
+  await flushAcpSessionStore()
+  assert.equal(getAcpSessionById(sessionId), null)
+  const stored = await loadAcpSessionStore()
+  assert.equal(stored.sessions.find((entry) => entry.sessionId === sessionId)?.state, 'running')
+
+  assert.equal(await restoreAcpSessions(), 1)
+  const restored = getAcpSessionById(sessionId)
+  assert.equal(restored.state, 'interrupted')
+  assert.equal(restored.restored, true)
+  assert.ok(restored.interruptedAt)
+
+  const restoredEvents = listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+  assert.deepEqual(restoredEvents.slice(0, before.length).map((event) => event.cursor), before.map((event) => event.cursor))
+  assert.ok(restoredEvents.some((event) => /before restart/.test(event.text || '')))
+  const interrupted = restoredEvents.find((event) => event.type === 'status' && event.statusCode === 'interrupted')
+  assert.ok(interrupted)
+  assert.ok(interrupted.cursor > before[before.length - 1].cursor)
+
+  // Restoring twice does not duplicate sessions that are already loaded.
+  assert.equal(await restoreAcpSessions(), 0)
+})
+
+test('restored claude-code sessions resume the stored agent session', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createAcpSession({ agentType: 'claude-code', cwd: process.cwd() })
+  const { agentSessionId } = getAcpSessionById(sessionId)
+  assert.ok(agentSessionId)
+
+  cleanupAllAcpSessions()
+  await flushAcpSessionStore()
+  await restoreAcpSessions()
+
+  const restored = getAcpSessionById(sessionId)
+  assert.equal(restored.state, 'interrupted')
+  assert.equal(restored.agentSessionId, agentSessionId)
+  assert.equal(restored.resumeSessionId, agentSessionId)
+})
+
+// Replies with the prompt it read on stdin, so tests can see what the agent was sent.
+const ECHO_AGENT_COMMAND = [
+  'node', '-e',
+  "let input = ''; process.stdin.on('data', (chunk) => { input += chunk; if (!input.includes('\\n')) return;"
+    + " console.log(JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'ECHO ' + input.trim() } }));"
+    + " console.log(JSON.stringify({ type: 'message_stop', message: { stop_reason: 'end_turn' } })); process.exit(0) })",
+]
+
+function collectText(sessionId) {
+  return listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+    .filter((event) => event.type === 'text_delta')
+    .map((event) => event.text)
+    .join('')
+}
+
+test('resetAcpSession reopens a cancelled session and keeps its history', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createAcpSession({
+    agentType: 'raw',
+    cwd: process.cwd(),
+    command: 'node -e "setInterval(() => process.stdout.write(\'\'), 1000)"',
+    timeoutMs: 8_000,
+  })
+  assert.throws(() => resetAcpSession(sessionId), (err) => err.code === 'invalid_state')
+  assert.throws(() => resetAcpSession('missing-session'), (err) => err.code === 'not_found')
+
+  await enqueuePrompt(sessionId, { prompt: 'first task' })
+  await waitForState(sessionId, 'running')
+  assert.throws(() => resetAcpSession(sessionId), (err) => err.code === 'session_running')
+  await cancelAcpSession(sessionId)
+  const cancelledEvents = listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+
+  const reset = resetAcpSession(sessionId)
+  assert.equal(reset.state, 'idle')
+  const events = listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+  assert.deepEqual(events.slice(0, cancelledEvents.length), cancelledEvents)
+  assert.equal(events[events.length - 1].statusCode, 'session_reset')
+
+  await enqueuePrompt(sessionId, { prompt: 'second task', command: ECHO_AGENT_COMMAND })
+  await waitForState(sessionId, 'done')
+  assert.match(collectText(sessionId), /ECHO second task/)
+})
+
+test('forkAcpSession replays the transcript up to the fork point', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const { sessionId } = createAcpSession({ agentType: 'raw', cwd: process.cwd(), command: ECHO_AGENT_COMMAND, timeoutMs: 8_000 })
+  const first = await enqueuePrompt(sessionId, { prompt: 'name a colour' })
+  await waitForState(sessionId, 'done')
+  await enqueuePrompt(sessionId, { prompt: 'name a fruit' })
+  await waitForState(sessionId, 'done')
+  assert.throws(() => forkAcpSession(sessionId, { turnId: 'no-such-turn' }), (err) => err.code === 'not_found')
+
+  const fork = forkAcpSession(sessionId, { turnId: first.turnId })
+  assert.notEqual(fork.sessionId, sessionId)
+  assert.equal(fork.state, 'idle')
+  assert.deepEqual(fork.forkedFrom, { sessionId, turnId: first.turnId, mode: 'replay' })
+
+  await enqueuePrompt(fork.sessionId, { prompt: 'name an animal' })
+  await waitForState(fork.sessionId, 'done')
+  const replayed = collectText(fork.sessionId)
+  assert.match(replayed, /User: name a colour/)
+  assert.match(replayed, /Assistant: ECHO name a colour/)
+  assert.doesNotMatch(replayed, /name a fruit/)
+  assert.match(replayed, /name an animal$/)
+
+  // Only the fork's first prompt carries the earlier conversation.
+  await enqueuePrompt(fork.sessionId, { prompt: 'name a tree' })
+  await waitForState(fork.sessionId, 'done')
+  assert.equal(collectText(fork.sessionId), 'ECHO name a tree')
+  assert.match(collectText(sessionId), /^ECHO name a fruit$/)
+})
+
+test('forkAcpSession branches claude-code sessions through --resume --fork-session', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+
+  const binDir = mkdtempSync(join(tmpdir(), 'acp-fork-bin-'))
+  t.after(() => rmSync(binDir, { recursive: true, force: true }))
+  const fakeClaude = join(binDir, 'claude')
+  writeFileSync(fakeClaude, [
+    '#!/usr/bin/env node',
+    'const args = process.argv.slice(2)',
+    "const resumed = args.includes('--resume') ? args[args.indexOf('--resume') + 1] : ''",
+    "const id = args.includes('--fork-session') ? 'conversation-fork' : (resumed || 'conversation-source')",
+    "console.log(JSON.stringify({ type: 'system', subtype: 'init', model: 'fake', session_id: id }))",
+    "console.log(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'ARGS ' + args.filter((arg) => arg.startsWith('--resume') || arg.startsWith('--fork') || arg.startsWith('conversation')).join(' ') }] } }))",
+    "console.log(JSON.stringify({ type: 'result', subtype: 'success', result: 'ok' }))",
+  ].join('\n'))
+  chmodSync(fakeClaude, 0o755)
+  const env = { PATH: `${binDir}${PATH_DELIMITER}${process.env.PATH || ''}` }
+
+  const { sessionId } = createAcpSession({ agentType: 'claude-code', cwd: process.cwd(), env, timeoutMs: 8_000, permissionBridge: false })
+  await enqueuePrompt(sessionId, { prompt: 'first task' })
+  await waitForState(sessionId, 'done')
+
+  const fork = forkAcpSession(sessionId)
+  assert.equal(fork.forkedFrom.mode, 'native')
+  assert.equal(fork.resumeSessionId, 'conversation-source')
+
+  await enqueuePrompt(fork.sessionId, { prompt: 'branch task' })
+  await waitForState(fork.sessionId, 'done')
+  assert.equal(collectText(fork.sessionId), 'ARGS --resume conversation-source --fork-session')
+
+  // Later turns follow the branched conversation, not the source.
+  await enqueuePrompt(fork.sessionId, { prompt: 'follow-up' })
+  await waitForState(fork.sessionId, 'done')
+  assert.equal(collectText(fork.sessionId), 'ARGS --resume conversation-fork')
+})
+
+test('turns past the concurrency cap wait in queued and start by priority', async (t) => {
+  cleanupAllAcpSessions()
+  configureAcpConcurrency({ maxConcurrent: 1 })
+  t.after(() => {
+    cleanupAllAcpSessions()
+    configureAcpConcurrency({})
+  })
+
+  const hold = createAcpSession({
+    agentType: 'raw',
+    cwd: process.cwd(),
+    command: 'node -e "setInterval(() => process.stdout.write(\'\'), 1000)"',
+    timeoutMs: 8_000,
+  })
+  const automation = createAcpSession({ agentType: 'raw', cwd: process.cwd(), command: ECHO_AGENT_COMMAND, timeoutMs: 8_000 })
+  const chat = createAcpSession({ agentType: 'raw', cwd: process.cwd(), command: ECHO_AGENT_COMMAND, timeoutMs: 8_000 })
+  const dropped = createAcpSession({ agentType: 'raw', cwd: process.cwd(), command: ECHO_AGENT_COMMAND, timeoutMs: 8_000 })
+
+  await enqueuePrompt(hold.sessionId, { prompt: 'hold the slot' })
+  await waitForState(hold.sessionId, 'running')
+  const automationAck = await enqueuePrompt(automation.sessionId, { prompt: 'nightly', origin: 'automation' })
+  assert.equal(automationAck.queued, true)
+  assert.equal(automationAck.queuePosition, 1)
+  await enqueuePrompt(chat.sessionId, { prompt: 'hello' })
+  await enqueuePrompt(dropped.sessionId, { prompt: 'never runs', priority: 'retry' })
+
+  const queued = listAcpSessions({ state: 'queued' }).sessions
+  assert.deepEqual(
+    queued.map((session) => [session.sessionId, session.priority, session.queuePosition]).sort((a, b) => a[2] - b[2]),
+    [[chat.sessionId, 'interactive', 1], [automation.sessionId, 'automation', 2], [dropped.sessionId, 'retry', 3]],
+  )
+  assert.equal(listAcpEvents(chat.sessionId, { after: 0, limit: 50 }).events[0].statusCode, 'queued')
+  await assert.rejects(enqueuePrompt(chat.sessionId, { prompt: 'again' }), /waiting for a concurrency slot/)
+  assert.throws(() => forkAcpSession(chat.sessionId), (err) => err.code === 'session_running')
+
+  await cancelAcpSession(dropped.sessionId)
+  assert.equal(getAcpSessionById(dropped.sessionId).state, 'cancelled')
+  assert.equal(getAcpSchedulerStats().queued, 2)
+
+  await cancelAcpSession(hold.sessionId)
+  await waitForState(chat.sessionId, 'done')
+  assert.match(collectText(chat.sessionId), /ECHO hello/)
+  await waitForState(automation.sessionId, 'done')
+  assert.ok(getAcpSessionById(chat.sessionId).startedAt <= getAcpSessionById(automation.sessionId).startedAt)
+
+  const stats = getAcpSchedulerStats()
+  assert.equal(stats.running, 0)
+  assert.equal(stats.queued, 0)
+  assert.equal(stats.recentWaits.count, 2)
+  assert.equal(listAcpEvents(dropped.sessionId, { after: 0, limit: 50 }).events.some((event) => event.text?.includes('ECHO')), false)
+})
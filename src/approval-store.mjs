@@ -41,6 +41,15 @@ function APPROVALS_FILE() {
 /** @type {{ approvals: ApprovalRecord[] }} */
 let store = { approvals: [] }
 let loaded = false
+/** @type {Map<string, Set<(record: ApprovalRecord) => void>>} */
+const resolutionWaiters = new Map()
+
+function notifyResolutionWaiters(record) {
+  const waiters = resolutionWaiters.get(record.requestId)
+  if (!waiters) return
+  resolutionWaiters.delete(record.requestId)
+  for (const waiter of waiters) waiter(clone(record))
+}
 
 function hasNonEmptyString(value) {
   return typeof value === 'string' && value.trim().length > 0
@@ -256,6 +265,7 @@ export async function resolveApproval(requestId, resolution, resolvedBy) {
     ...(resolvedBy ? { resolvedBy: String(resolvedBy).slice(0, 100) } : {}),
   }
   schedulePersist()
+  notifyResolutionWaiters(store.approvals[index])
   return clone(store.approvals[index])
 }
 
@@ -270,6 +280,17 @@ export async function getApprovalById(requestId) {
   return found ? clone(found) : null
 }
 
+/**
+ * Approvals tied to a run (`meta.runId`, or `meta.acpRunId` for ACP tool
+ * permissions), oldest first, in any status.
+ */
+export async function listApprovalsForRun(runId) {
+  await ensureLoaded()
+  const id = String(runId || '').trim()
+  if (!id) return []
+  return clone(store.approvals.filter((a) => a.meta?.runId === id || a.meta?.acpRunId === id || a.meta?.tracking?.runId === id))
+}
+
 export async function listPendingApprovals() {
   await ensureLoaded()
   const cutoff = now()
@@ -291,9 +312,48 @@ export async function expireOverdueApprovals() {
     }
   }
   if (changed) schedulePersist()
+  for (const record of expired) notifyResolutionWaiters(record)
   return expired
 }
 
+/**
+ * Wait in-process until an approval leaves `pending` (resolved through
+ * `resolveApproval` or expired at `expiresAt`). Resolves with the final
+ * record, or null if the approval is unknown or `signal` aborts first.
+ */
+export async function waitForApprovalResolution(requestId, { signal } = {}) {
+  const current = await getApprovalById(requestId)
+  if (!current) return null
+  if (current.status !== 'pending') return current
+  if (signal?.aborted) return null
+
+  return new Promise((resolve) => {
+    const id = current.requestId
+    let settled = false
+    let timer = null
+    const finish = (record) => {
+      if (settled) return
+      settled = true
+      if (timer) clearTimeout(timer)
+      resolutionWaiters.get(id)?.delete(onResolved)
+      signal?.removeEventListener('abort', onAbort)
+      resolve(record)
+    }
+    const onResolved = (record) => finish(record)
+    const onAbort = () => finish(null)
+
+    if (!resolutionWaiters.has(id)) resolutionWaiters.set(id, new Set())
+    resolutionWaiters.get(id).add(onResolved)
+    signal?.addEventListener('abort', onAbort, { once: true })
+    timer = setTimeout(() => {
+      void expireOverdueApprovals()
+        .then(() => getApprovalById(id))
+        .then((record) => finish(record))
+        .catch(() => finish(null))
+    }, Math.max(0, Number(current.expiresAt) - now()) + 10)
+  })
+}
+
 export async function clearApprovalStoreForTests() {
   await storage.flush()
   store = { approvals: [] }
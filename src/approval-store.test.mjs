@@ -6,6 +6,8 @@ import {
   createApproval,
   getApprovalById,
   listPendingApprovals,
+  resolveApproval,
+  waitForApprovalResolution,
 } from './approval-store.mjs'
 
 test('createApproval is idempotent for the same requestId and preserves the canonical run link', async (t) => {
@@ -146,3 +148,31 @@ test('createApproval mirrors the canonical approval request id into meta and pre
   assert.equal(retried.meta?.requestId, 'req-canonical-approval-3')
   assert.equal(retried.meta?.runId, 'run-canonical-approval-3')
 })
+
+test('waitForApprovalResolution settles on resolve, expiry, and abort', async (t) => {
+  await clearApprovalStoreForTests()
+  t.after(async () => {
+    await clearApprovalStoreForTests()
+  })
+
+  await createApproval({ requestId: 'wait-resolve', toolName: 'mcp:fs/write_file', expiresAt: Date.now() + 60_000 })
+  const waiting = waitForApprovalResolution('wait-resolve')
+  await resolveApproval('wait-resolve', 'approved', 'tester')
+  const resolved = await waiting
+  assert.equal(resolved.status, 'approved')
+  assert.equal(resolved.resolvedBy, 'tester')
+  assert.equal((await waitForApprovalResolution('wait-resolve')).status, 'approved')
+
+  await createApproval({ requestId: 'wait-expire', toolName: 'mcp:fs/write_file', expiresAt: Date.now() + 50 })
+  const expired = await waitForApprovalResolution('wait-expire')
+  assert.equal(expired.status, 'expired')
+
+  await createApproval({ requestId: 'wait-abort', toolName: 'mcp:fs/write_file', expiresAt: Date.now() + 60_000 })
+  const controller = new AbortController()
+  const aborted = waitForApprovalResolution('wait-abort', { signal: controller.signal })
+  controller.abort()
+  assert.equal(await aborted, null)
+  assert.equal((await getApprovalById('wait-abort')).status, 'pending')
+
+  assert.equal(await waitForApprovalResolution('missing'), null)
+})
@@ -1,3 +1,5 @@
+import { countContextInputTokens, normalizeTokenUsage } from './token-usage.mjs'
+
 const DEFAULT_BUDGET_LIMIT_BY_MODE = {
   default: 60_000,
   lean: 36_000,
@@ -97,9 +99,17 @@ export function deriveAutomationBudgetLedgerUpdate(input = {}) {
   if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return null
 
   const current = normalizeLedger(input.sessionBudget?.ledger)
+  // Usage the agent reported for the turn wins over the character estimates.
+  // Its input side is the whole context the turn sent, which supersedes the
+  // prompt estimate counted when the turn was queued (`estimatedPromptTokens`).
+  const usage = normalizeTokenUsage(input.usage)
+  const inputDelta = usage
+    ? countContextInputTokens(usage) - normalizeNonNegativeInt(input.estimatedPromptTokens)
+    : estimateAutomationTokens(input.promptText)
+  const outputDelta = usage ? usage.outputTokens : estimateAutomationTokens(input.outputText)
   const next = {
-    approxInputTokens: current.approxInputTokens + estimateAutomationTokens(input.promptText),
-    approxOutputTokens: current.approxOutputTokens + estimateAutomationTokens(input.outputText),
+    approxInputTokens: Math.max(0, current.approxInputTokens + inputDelta),
+    approxOutputTokens: current.approxOutputTokens + outputDelta,
     compactionCount: current.compactionCount + normalizeNonNegativeInt(input.compactionCountDelta),
     lastRollupAt: normalizeTimestamp(input.rollupAt) ?? current.lastRollupAt,
     health: current.health,
@@ -68,3 +68,16 @@ test('deriveAutomationBudgetLedgerUpdate marks the ledger critical once cumulati
   assert.equal(ledger.health, 'critical')
   assert.equal(ledger.lastRollupAt, null)
 })
+
+test('deriveAutomationBudgetLedgerUpdate prefers reported usage over character estimates', () => {
+  const ledger = deriveAutomationBudgetLedgerUpdate({
+    sessionBudget: createBudgetConfig({ policy: { maxContextBudget: 100_000 } }),
+    outputText: 'A long answer that would otherwise be estimated. '.repeat(20),
+    usage: { inputTokens: 200, outputTokens: 30, cacheReadTokens: 4_000, cacheWriteTokens: 100, turns: 1 },
+    estimatedPromptTokens: 8,
+  })
+
+  // 10 + (200 + 4000 + 100) - 8 queued-prompt estimate; 12 + 30 output.
+  assert.equal(ledger.approxInputTokens, 4_302)
+  assert.equal(ledger.approxOutputTokens, 42)
+})
@@ -112,7 +112,8 @@ test('executeAutomationJob starts isolated companion_acp runs without writing pe
     assert.deepEqual(attached, [{ sessionId: 'acp-1', runId: result.runId }])
     assert.equal(enqueued.length, 1)
     assert.match(enqueued[0].input.prompt, /^summarize/)
-    assert.match(enqueued[0].input.prompt, /Scheduled write policy: read_only\./)
+    assert.match(enqueued[0].input.prompt, /Scheduled write policy: read_only \(enforced by the agent sandbox\)\./)
+    assert.equal(createdSessions[0].permissionBridge, true)
 
     const runs = await runStore.listRuns({ type: 'cron', limit: 10, offset: 0 })
     assert.equal(runs.runs.length, 1)
@@ -183,6 +184,70 @@ test('executeAutomationJob preserves replay lineage metadata on companion runs',
   })
 })
 
+test('executeAutomationJob tags catch-up launches with the catchup run source', async () => {
+  await withFreshState(async ({ executor, runStore }) => {
+    const sessions = new Map()
+    const catchUp = { reason: 'startup', policy: 'run_once', scheduledFor: 1_700_000_000_000, missedCount: 2 }
+
+    const result = await executor.executeAutomationJob(createJob({
+      executor: 'companion_acp',
+      agentType: 'codex',
+      catchUp,
+    }), {
+      createAcpSession: () => {
+        const session = { sessionId: 'acp-catchup-1', state: 'idle' }
+        sessions.set(session.sessionId, session)
+        return session
+      },
+      getAcpSessionById: (sessionId) => sessions.get(sessionId) ?? null,
+      attachAcpSessionRunId: () => ({ ok: true }),
+      enqueuePrompt: async (sessionId, input) => ({ ok: true, sessionId, input, turnId: 'turn-catchup-1' }),
+    })
+
+    const run = await runStore.getRunById(result.runId)
+    assert.equal(run?.source, 'catchup')
+    assert.deepEqual(run?.meta?.catchUp, catchUp)
+  })
+})
+
+test('executeAutomationJob injects the trigger payload and tags the run with the trigger source', async () => {
+  await withFreshState(async ({ executor, runStore }) => {
+    const sessions = new Map()
+    const prompts = []
+    const trigger = {
+      kind: 'webhook',
+      firedAt: 1_700_000_000_000,
+      eventCount: 2,
+      events: [{ kind: 'webhook', at: 1_700_000_000_000, payload: { ref: 'refs/heads/main', commits: 3 } }],
+    }
+
+    const result = await executor.executeAutomationJob(createJob({
+      executor: 'companion_acp',
+      agentType: 'codex',
+      trigger,
+    }), {
+      createAcpSession: () => {
+        const session = { sessionId: 'acp-trigger-1', state: 'idle' }
+        sessions.set(session.sessionId, session)
+        return session
+      },
+      getAcpSessionById: (sessionId) => sessions.get(sessionId) ?? null,
+      attachAcpSessionRunId: () => ({ ok: true }),
+      enqueuePrompt: async (sessionId, input) => {
+        prompts.push(input.prompt)
+        return { ok: true, sessionId, input, turnId: 'turn-trigger-1' }
+      },
+    })
+
+    const run = await runStore.getRunById(result.runId)
+    assert.equal(run?.source, 'trigger')
+    assert.deepEqual(run?.meta?.trigger, trigger)
+    assert.match(prompts[0], /started by a webhook trigger at 2023-11-14T22:13:20\.000Z/)
+    assert.match(prompts[0], /"ref": "refs\/heads\/main"/)
+    assert.match(run?.meta?.automationPromptBase, /"eventCount": 2/)
+  })
+})
+
 test('executeAutomationJob seeds research_synthesis workflow state on companion runs', async () => {
   await withFreshState(async ({ executor, runStore }) => {
     const sessions = new Map()
@@ -435,8 +500,10 @@ test('deliverAutomationRunResult sends webhook deliveries directly and updates t
     const updated = await runStore.getRunById(run.runId)
     assert.deepEqual(updated?.deliveryState, {
       channel: 'webhook',
+      state: 'delivered',
       attempts: 1,
       lastAttemptAt: updated?.deliveryState?.lastAttemptAt,
+      deliveryId: delivery.deliveryId,
     })
   })
 })
@@ -668,6 +735,74 @@ test('deliverAutomationRunResult closes failed runs with a terminal stepState',
   })
 })
 
+test('deliverAutomationRunResult starts chained jobs with the upstream output as input', async () => {
+  await withFreshState(async ({ executor, runStore }) => {
+    const sessions = new Map()
+    const prompts = []
+    const jobs = [
+      createJob({ id: 'collect', name: 'Collect', executor: 'companion_acp', agentType: 'codex', onSuccess: ['report', 'notify'], onFailure: 'alert' }),
+      createJob({ id: 'report', name: 'Report', executor: 'companion_acp', agentType: 'codex', onSuccess: 'collect' }),
+      createJob({ id: 'notify', name: 'Notify' }),
+      createJob({ id: 'alert', name: 'Alert', executor: 'companion_acp', agentType: 'codex' }),
+    ]
+    const overrides = {
+      getJobs: () => jobs,
+      listAcpEvents: () => ({ events: [{ type: 'text_delta', text: 'Collected 3 new issues.' }] }),
+      createAcpSession: () => {
+        const session = { sessionId: `acp-chain-${sessions.size + 1}`, state: 'idle' }
+        sessions.set(session.sessionId, session)
+        return session
+      },
+      getAcpSessionById: (sessionId) => sessions.get(sessionId) ?? null,
+      attachAcpSessionRunId: () => ({ ok: true }),
+      enqueuePrompt: async (sessionId, input) => {
+        prompts.push(input.prompt)
+        return { ok: true, sessionId, input, turnId: 'turn-chain' }
+      },
+    }
+    await runStore.createRun({
+      runId: 'run-collect',
+      type: 'cron',
+      state: 'done',
+      meta: { taskId: 'collect', taskName: 'Collect', executionMode: 'companion_acp', deliveryMode: 'notification' },
+    })
+
+    await executor.deliverAutomationRunResult({ runId: 'run-collect', sessionId: 'acp-upstream', terminalState: 'done' }, overrides)
+
+    const upstream = await runStore.getRunById('run-collect')
+    assert.deepEqual(upstream.meta.chainedRuns.map(({ hook, jobId, mode, skipped }) => ({ hook, jobId, mode, skipped })), [
+      { hook: 'onSuccess', jobId: 'report', mode: 'companion_acp', skipped: undefined },
+      { hook: 'onSuccess', jobId: 'notify', mode: undefined, skipped: 'downstream_requires_companion_acp' },
+    ])
+    const downstream = await runStore.getRunById(upstream.meta.chainedRuns[0].runId)
+    assert.equal(downstream.parentRunId, 'run-collect')
+    assert.deepEqual(downstream.meta.chain.lineage, ['collect', 'report'])
+    assert.equal(downstream.meta.chain.hook, 'onSuccess')
+    assert.match(prompts[0], /on-success hook of "Collect" \(run run-collect, done\)/)
+    assert.match(prompts[0], /Collected 3 new issues\./)
+
+    // The downstream run finishing would loop back to its ancestor; the lineage stops it.
+    await runStore.updateRun(downstream.runId, { state: 'done' })
+    await executor.deliverAutomationRunResult({ runId: downstream.runId, sessionId: 'acp-chain-1', terminalState: 'done' }, overrides)
+    assert.deepEqual((await runStore.getRunById(downstream.runId)).meta.chainedRuns, [
+      { hook: 'onSuccess', jobId: 'collect', skipped: 'chain_cycle' },
+    ])
+
+    const tree = await runStore.getRunTree(downstream.runId)
+    assert.equal(tree.runId, 'run-collect')
+    assert.deepEqual(tree.children.map((child) => [child.runId, child.taskId, child.hook]), [[downstream.runId, 'report', 'onSuccess']])
+
+    await runStore.createRun({
+      runId: 'run-collect-failed',
+      type: 'cron',
+      state: 'failed',
+      meta: { taskId: 'collect', taskName: 'Collect', executionMode: 'companion_acp', deliveryMode: 'notification' },
+    })
+    await executor.deliverAutomationRunResult({ runId: 'run-collect-failed', sessionId: 'acp-upstream-2', terminalState: 'failed' }, overrides)
+    assert.deepEqual((await runStore.getRunById('run-collect-failed')).meta.chainedRuns.map((entry) => entry.jobId), ['alert'])
+  })
+})
+
 test('deliverAutomationRunResult queues remote channel deliveries with target metadata preserved', async () => {
   await withFreshState(async ({ executor, runStore }) => {
     const outbox = await import('./automation-outbox.mjs')
@@ -1225,6 +1360,81 @@ test('executeAutomationJob skips watcher escalation when observation hash is emp
   })
 })
 
+test('executeAutomationJob classifies companion-side watcher observations before starting a run', async () => {
+  await withFreshState(async ({ executor, runStore }) => {
+    const sessions = new Map()
+    const enqueued = []
+    const patchCalls = []
+    let observed = { kind: 'command', hash: 'hash-a', summary: 'v1', excerpt: 'v1', truncated: false }
+    const watcherState = {}
+    const overrides = {
+      observeWatcherJob: async () => {
+        if (observed instanceof Error) throw observed
+        return observed
+      },
+      patchJobWatcherState: async (taskId, patch) => {
+        patchCalls.push({ taskId, patch })
+        Object.assign(watcherState, patch)
+        return true
+      },
+      createAcpSession: (input) => {
+        const session = { sessionId: `acp-observe-${sessions.size + 1}`, state: 'idle', ...input }
+        sessions.set(session.sessionId, session)
+        return session
+      },
+      getAcpSessionById: (id) => sessions.get(id) ?? null,
+      attachAcpSessionRunId: () => ({}),
+      enqueuePrompt: async (sessionId, input) => {
+        enqueued.push({ sessionId, input })
+        return { ok: true, sessionId, turnId: 'turn-1' }
+      },
+    }
+    const fire = () => executor.executeAutomationJob(createJob({
+      executor: 'companion_acp',
+      agentType: 'codex',
+      watcher: {
+        policy: { mode: 'change_only', minNotifyIntervalMinutes: 30 },
+        state: { ...watcherState },
+        observation: { source: { kind: 'command', command: 'cat status.txt' } },
+      },
+    }), overrides)
+
+    assert.deepEqual(await fire(), { mode: 'watcher_skipped', classification: 'baseline', observationHash: 'hash-a' })
+    assert.equal(watcherState.lastObservationHash, 'hash-a')
+    assert.equal((await fire()).classification, 'unchanged')
+
+    observed = { ...observed, hash: 'hash-b', summary: 'v2', excerpt: 'v2 details' }
+    const alerted = await fire()
+    assert.equal(alerted.mode, 'companion_acp')
+    assert.match(enqueued[0].input.prompt, /v2 details/)
+    const run = await runStore.getRunById(alerted.runId)
+    assert.deepEqual(run?.meta?.watcherObservation, {
+      kind: 'command',
+      hash: 'hash-b',
+      summary: 'v2',
+      classification: 'alerted',
+      previousHash: 'hash-a',
+    })
+    assert.equal(watcherState.lastObservationHash, 'hash-b')
+    assert.equal(watcherState.lastClassifiedState, 'alerted')
+
+    // A further change inside minNotifyIntervalMinutes is held back.
+    observed = { ...observed, hash: 'hash-c' }
+    assert.equal((await fire()).classification, 'changed')
+    assert.equal(watcherState.lastObservationHash, 'hash-b')
+
+    observed = new Error('command exited with code 2')
+    const failed = await fire()
+    assert.equal(failed.mode, 'failed')
+    assert.equal(failed.reason, 'watcher_observation_failed')
+    assert.equal((await runStore.getRunById(failed.runId))?.meta?.stepState, 'observe')
+    assert.equal(watcherState.lastObservationError, 'command exited with code 2')
+
+    assert.equal(enqueued.length, 1)
+    assert.ok(patchCalls.every((call) => call.taskId === 'job-1'))
+  })
+})
+
 test('checkAndResumeRetryableRuns resumes run with expired nextRetryAt', async () => {
   await withFreshState(async ({ executor, runStore }) => {
     const enqueued = []
@@ -1340,3 +1550,83 @@ test('checkAndResumeRetryableRuns skips run with future nextRetryAt', async () =
     assert.equal(result.results.length, 0)
   })
 })
+
+test('executeAutomationJob runs sandboxed jobs in their sandbox and exports it once the run is done', async () => {
+  await withFreshState(async ({ executor, runStore }) => {
+    const createdSessions = []
+    const sandboxes = []
+    const exports = []
+
+    const result = await executor.executeAutomationJob(createJob({
+      executor: 'companion_acp',
+      agentType: 'codex',
+      workspaceIsolation: { mode: 'worktree', sourceDir: '/work/repo', export: 'branch', branch: 'agent/nightly' },
+    }), {
+      createAutomationSandbox: async (input) => {
+        sandboxes.push(input)
+        return { sandboxId: 'sbx-1', mode: input.mode, cwd: '/config/automation-sandboxes/sbx-1/workspace' }
+      },
+      createAcpSession: (input) => {
+        createdSessions.push(input)
+        return { sessionId: 'acp-1', state: 'idle', ...input }
+      },
+      getAcpSessionById: () => null,
+      attachAcpSessionRunId: (sessionId, runId) => ({ sessionId, runId }),
+      enqueuePrompt: async (sessionId) => ({ ok: true, sessionId, turnId: 'turn-1' }),
+    })
+
+    assert.equal(result.mode, 'companion_acp')
+    assert.equal(sandboxes[0].mode, 'worktree')
+    assert.equal(sandboxes[0].sourceDir, '/work/repo')
+    assert.equal(sandboxes[0].runId, result.runId)
+    assert.equal(sandboxes[0].jobId, 'job-1')
+    assert.equal(createdSessions[0].cwd, '/config/automation-sandboxes/sbx-1/workspace')
+    const started = await runStore.getRunById(result.runId)
+    assert.deepEqual(started.meta.workspaceSandbox, {
+      sandboxId: 'sbx-1',
+      mode: 'worktree',
+      cwd: '/config/automation-sandboxes/sbx-1/workspace',
+      exportFormat: 'branch',
+      branch: 'agent/nightly',
+    })
+
+    const exportSandbox = async (sandboxId, options) => {
+      exports.push({ sandboxId, options })
+      return { export: { format: 'branch', branch: options.branch, commit: 'abc123', changed: true, exportedAt: 1234 } }
+    }
+    assert.equal((await executor.settleAutomationWorkspaceSandbox({ runId: result.runId }, { exportAutomationSandbox: exportSandbox })).reason, 'run_active')
+
+    await runStore.updateRun(result.runId, { state: 'done', meta: { ...started.meta, taskState: 'done' } })
+    const settled = await executor.settleAutomationWorkspaceSandbox({ runId: result.runId }, { exportAutomationSandbox: exportSandbox })
+    assert.equal(settled.mode, 'exported')
+    assert.deepEqual(exports, [{ sandboxId: 'sbx-1', options: { format: 'branch', branch: 'agent/nightly' } }])
+    const finished = await runStore.getRunById(result.runId)
+    assert.deepEqual(finished.artifacts, [{ artifactId: 'sbx-1', kind: 'workspace_branch', createdAt: 1234 }])
+    assert.equal(finished.meta.workspaceSandbox.export.commit, 'abc123')
+    assert.equal((await executor.settleAutomationWorkspaceSandbox({ runId: result.runId }, { exportAutomationSandbox: exportSandbox })).reason, 'already_settled')
+  })
+})
+
+test('executeAutomationJob fails startup when the sandbox cannot be created', async () => {
+  await withFreshState(async ({ executor }) => {
+    let sessionCreated = false
+    const result = await executor.executeAutomationJob(createJob({
+      executor: 'companion_acp',
+      agentType: 'codex',
+      workspaceIsolation: 'worktree',
+    }), {
+      createAutomationSandbox: async () => {
+        throw new Error('workspaceIsolation "worktree" needs a git repository: /tmp/x')
+      },
+      createAcpSession: () => {
+        sessionCreated = true
+        return { sessionId: 'acp-1' }
+      },
+    })
+
+    assert.equal(result.mode, 'failed')
+    assert.equal(result.reason, 'startup_failed')
+    assert.match(result.error, /needs a git repository/)
+    assert.equal(sessionCreated, false)
+  })
+})
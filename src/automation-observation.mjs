@@ -0,0 +1,225 @@
+/**
+ * Companion-side watcher observations.
+ *
+ * Watcher jobs with `watcher.observation` are observed here instead of
+ * relying on the hash the extension syncs (see automation-watcher.mjs). A
+ * source produces text, which is normalised for change detection and hashed:
+ *
+ *   command    stdout of a shell command, run under the permission policy;
+ *              a command the policy would park for approval is an error
+ *   file       a file's content, or for a directory a sorted listing of
+ *              `relative/path <sha256>` lines (VCS and dependency
+ *              directories skipped, large files by size and mtime)
+ *   http_json  a JSON endpoint, narrowed with a JSONPath selector
+ *   mcp_tool   the text content of an MCP tool result, under the MCP policy
+ *
+ * `ignorePattern` removes regex matches and `ignoreWhitespace` drops all
+ * whitespace before hashing; the excerpt handed to the agent stays raw.
+ * Any failure throws, so a broken source never counts as "unchanged".
+ */
+
+import { createHash } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import { normalizeWatcherObservation, parseJsonPathSelector } from './automation-spec.mjs'
+import { COMMAND_DECISION_REQUIRE_APPROVAL } from './command-policy.mjs'
+import { isPathWithinRoots, normalizePermissionPolicy, PERMISSION_MODE_FULL } from './permission-policy.mjs'
+import { PermissionPolicyError, clampTimeout, enforceCommandPolicy, resolveCwd, runCommand } from './runtime.mjs'
+
+const DEFAULT_OBSERVATION_TIMEOUT_MS = 30_000
+const MAX_OBSERVATION_BYTES = 1024 * 1024
+const MAX_OBSERVATION_FILES = 2_000
+const OBSERVATION_SKIP_DIRS = new Set(['.git', '.hg', '.svn', 'node_modules'])
+const OBSERVATION_SUMMARY_CHARS = 200
+const OBSERVATION_EXCERPT_CHARS = 4_000
+
+let observationContext = {}
+
+/**
+ * Install what observations need from the running companion:
+ * `{ getPermissionPolicy, callMcpTool }`, where
+ * `callMcpTool({ server, tool, args })` applies the MCP policy and resolves
+ * to the MCP manager's `{ ok, content, error? }`. Without a permission policy
+ * observations run under workspace mode with no roots, i.e. commands and
+ * files are refused.
+ */
+export function setWatcherObservationContext(context = {}) {
+  observationContext = context
+  return () => {
+    if (observationContext === context) {
+      observationContext = {}
+    }
+  }
+}
+
+function hashContent(value) {
+  return createHash('sha256').update(value).digest('hex')
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+/** Text that is hashed for change detection. */
+export function normalizeObservationText(text, { ignoreWhitespace = false, ignorePattern = null } = {}) {
+  let value = String(text ?? '')
+  if (ignorePattern) value = value.replace(new RegExp(ignorePattern, 'g'), '')
+  if (ignoreWhitespace) value = value.replace(/\s+/g, '')
+  return value
+}
+
+/**
+ * Apply parsed JSONPath segments. Without a wildcard the single match is
+ * returned and a miss throws; with one, every match is returned as an array.
+ */
+export function selectJsonPath(value, segments) {
+  let matches = [value]
+  for (const segment of segments) {
+    const next = []
+    for (const item of matches) {
+      if (segment.wildcard) {
+        if (item && typeof item === 'object') next.push(...Object.values(item))
+      } else if (segment.index !== undefined) {
+        if (Array.isArray(item) && segment.index < item.length) next.push(item[segment.index])
+      } else if (item && typeof item === 'object' && !Array.isArray(item) && Object.hasOwn(item, segment.key)) {
+        next.push(item[segment.key])
+      }
+    }
+    matches = next
+  }
+  if (segments.some((segment) => segment.wildcard)) return matches
+  if (matches.length === 0) throw new Error('JSONPath selector matched nothing.')
+  return matches[0]
+}
+
+async function readCommandSource(source, permissionPolicy) {
+  const cwd = await resolveCwd(source.cwd, permissionPolicy)
+  const explanation = enforceCommandPolicy({ command: source.command, cwd, permissionPolicy })
+  if (explanation.decision === COMMAND_DECISION_REQUIRE_APPROVAL) {
+    throw new PermissionPolicyError('Observation command needs approval under the permission policy; watchers cannot wait for approval.')
+  }
+  const result = await runCommand({
+    command: source.command,
+    cwd,
+    timeoutMs: clampTimeout(source.timeoutMs ?? DEFAULT_OBSERVATION_TIMEOUT_MS),
+  })
+  if (result.timedOut) throw new Error('Observation command timed out.')
+  if (!result.ok) {
+    // The end of stderr usually carries the actual error.
+    const stderr = result.stderr.trim().slice(-OBSERVATION_SUMMARY_CHARS)
+    throw new Error(`Observation command exited with code ${result.exitCode}${stderr ? `: ${stderr}` : '.'}`)
+  }
+  return result.stdout
+}
+
+async function assertPathAllowed(target, permissionPolicy) {
+  if (permissionPolicy.mode === PERMISSION_MODE_FULL) return
+  // Resolve symlinks so a link inside a root cannot expose files outside it.
+  const realTarget = await fs.realpath(target).catch(() => target)
+  const roots = await Promise.all(permissionPolicy.workspaceRoots.map((root) => fs.realpath(root).catch(() => root)))
+  if (!isPathWithinRoots(realTarget, roots)) {
+    throw new PermissionPolicyError(`Observed path is outside allowed workspace roots: ${target}`)
+  }
+}
+
+async function describeDirectory(root) {
+  const lines = []
+  const pending = ['']
+  while (pending.length > 0) {
+    const relDir = pending.pop()
+    const entries = await fs.readdir(path.join(root, relDir), { withFileTypes: true })
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (!OBSERVATION_SKIP_DIRS.has(entry.name)) pending.push(relPath)
+        continue
+      }
+      if (!entry.isFile()) continue
+      if (lines.length >= MAX_OBSERVATION_FILES) {
+        throw new Error(`Observed directory has more than ${MAX_OBSERVATION_FILES} files.`)
+      }
+      const absPath = path.join(root, relPath)
+      const stat = await fs.stat(absPath)
+      lines.push(stat.size > MAX_OBSERVATION_BYTES
+        ? `${relPath} size:${stat.size}:${Math.floor(stat.mtimeMs)}`
+        : `${relPath} ${hashContent(await fs.readFile(absPath))}`)
+    }
+  }
+  return lines.sort().join('\n')
+}
+
+async function readFileSource(source, permissionPolicy) {
+  await assertPathAllowed(source.path, permissionPolicy)
+  const stat = await fs.stat(source.path)
+  if (stat.isDirectory()) return describeDirectory(source.path)
+  if (stat.size > MAX_OBSERVATION_BYTES) {
+    // Too large to read as text: its identity still changes with the content.
+    return `size:${stat.size}:${Math.floor(stat.mtimeMs)}`
+  }
+  return fs.readFile(source.path, 'utf8')
+}
+
+async function readHttpJsonSource(source, fetchImpl) {
+  const response = await fetchImpl(source.url, {
+    headers: { Accept: 'application/json', ...source.headers },
+    signal: AbortSignal.timeout(source.timeoutMs ?? DEFAULT_OBSERVATION_TIMEOUT_MS),
+  })
+  if (!response.ok) throw new Error(`Observation endpoint returned HTTP ${response.status}.`)
+  const body = await response.text()
+  if (body.length > MAX_OBSERVATION_BYTES) throw new Error('Observation endpoint response is too large.')
+  let data
+  try {
+    data = JSON.parse(body)
+  } catch {
+    throw new Error('Observation endpoint did not return JSON.')
+  }
+  const selected = selectJsonPath(data, parseJsonPathSelector(source.select))
+  return typeof selected === 'string' ? selected : stableStringify(selected)
+}
+
+async function readMcpToolSource(source, callMcpTool) {
+  if (typeof callMcpTool !== 'function') throw new Error('MCP tools are not available for watcher observations.')
+  const result = await callMcpTool({ server: source.server, tool: source.tool, args: source.arguments })
+  if (!result?.ok) {
+    throw new Error(`MCP tool "${source.tool}" on server "${source.server}" failed: ${result?.error || 'the tool returned an error'}`)
+  }
+  return (Array.isArray(result.content) ? result.content : [])
+    .map((part) => (part?.type === 'text' && typeof part.text === 'string' ? part.text : stableStringify(part)))
+    .join('\n')
+}
+
+function readObservationSource(source, options) {
+  const permissionPolicy = normalizePermissionPolicy(
+    options.getPermissionPolicy?.() ?? { mode: 'workspace' },
+  )
+  if (source.kind === 'command') return readCommandSource(source, permissionPolicy)
+  if (source.kind === 'file') return readFileSource(source, permissionPolicy)
+  if (source.kind === 'http_json') return readHttpJsonSource(source, options.fetchImpl || fetch)
+  return readMcpToolSource(source, options.callMcpTool)
+}
+
+/**
+ * Observe the source configured on `job.watcher.observation`. Resolves to
+ * `{ kind, hash, summary, excerpt, truncated }`, or null when the job has no
+ * (valid) observation; throws when the source cannot be read. `options`
+ * overrides the installed context (`getPermissionPolicy`, `callMcpTool`)
+ * and may pass `fetchImpl`.
+ */
+export async function observeWatcherJob(job, options = {}) {
+  const observation = normalizeWatcherObservation(job?.watcher?.observation)
+  if (!observation) return null
+  const text = String(await readObservationSource(observation.source, { ...observationContext, ...options }) ?? '')
+  const summary = text.split('\n').map((line) => line.trim()).find(Boolean)?.slice(0, OBSERVATION_SUMMARY_CHARS) || null
+  return {
+    kind: observation.source.kind,
+    hash: hashContent(normalizeObservationText(text, observation)),
+    summary,
+    excerpt: text.slice(0, OBSERVATION_EXCERPT_CHARS),
+    truncated: text.length > OBSERVATION_EXCERPT_CHARS,
+  }
+}
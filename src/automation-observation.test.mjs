@@ -0,0 +1,96 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import { normalizeObservationText, observeWatcherJob, setWatcherObservationContext } from './automation-observation.mjs'
+
+function watcherJob(observation) {
+  return { id: 'watch-1', watcher: { policy: { mode: 'change_only' }, observation } }
+}
+
+test('normalizeObservationText drops ignored matches and whitespace before hashing', () => {
+  const options = { ignoreWhitespace: true, ignorePattern: 'at \\d{2}:\\d{2}' }
+  assert.equal(normalizeObservationText('build ok\n  at 10:42\n', options), 'buildok')
+  assert.equal(normalizeObservationText('build  ok at 11:05', options), 'buildok')
+  assert.equal(normalizeObservationText(' a \n', {}), ' a \n')
+})
+
+test('file observations hash files and directory listings inside the workspace roots', async (t) => {
+  const workspace = mkdtempSync(join(tmpdir(), 'automation-observation-ws-'))
+  t.after(() => rmSync(workspace, { recursive: true, force: true }))
+  mkdirSync(join(workspace, 'reports', 'node_modules'), { recursive: true })
+  writeFileSync(join(workspace, 'reports', 'a.txt'), 'first')
+  writeFileSync(join(workspace, 'reports', 'node_modules', 'skip.js'), 'ignored')
+  const options = { getPermissionPolicy: () => ({ mode: 'workspace', workspaceRoots: [workspace] }) }
+  const observeDir = () => observeWatcherJob(watcherJob({ source: { kind: 'file', path: join(workspace, 'reports') } }), options)
+
+  const file = await observeWatcherJob(watcherJob({ source: { kind: 'file', path: join(workspace, 'reports', 'a.txt') } }), options)
+  assert.equal(file.kind, 'file')
+  assert.equal(file.excerpt, 'first')
+
+  const before = await observeDir()
+  assert.match(before.excerpt, /^a\.txt [0-9a-f]{64}$/)
+  writeFileSync(join(workspace, 'reports', 'node_modules', 'skip.js'), 'still ignored')
+  assert.equal((await observeDir()).hash, before.hash)
+  writeFileSync(join(workspace, 'reports', 'a.txt'), 'second')
+  assert.notEqual((await observeDir()).hash, before.hash)
+
+  await assert.rejects(
+    observeWatcherJob(watcherJob({ source: { kind: 'file', path: tmpdir() } }), options),
+    /outside allowed workspace roots/,
+  )
+  assert.equal(await observeWatcherJob({ id: 'plain' }, options), null)
+})
+
+test('command observations run under the permission policy and fail closed', async (t) => {
+  const workspace = mkdtempSync(join(tmpdir(), 'automation-observation-cmd-'))
+  t.after(() => rmSync(workspace, { recursive: true, force: true }))
+  const options = { getPermissionPolicy: () => ({ mode: 'workspace', workspaceRoots: [workspace] }) }
+  const observe = (command) => observeWatcherJob(watcherJob({
+    source: { kind: 'command', command },
+    ignorePattern: 'run \\d+',
+  }), options)
+
+  const first = await observe('echo "status green run 1"')
+  const second = await observe('echo "status green run 2"')
+  assert.equal(first.summary, 'status green run 1')
+  assert.equal(first.hash, second.hash)
+  await assert.rejects(observe('echo broken >&2; exit 3'), /exited with code 3:[\s\S]*broken/)
+})
+
+test('http_json observations select with JSONPath and MCP observations respect the installed caller', async (t) => {
+  const requests = []
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, headers: init.headers })
+    return new Response(JSON.stringify({ checkedAt: Date.now(), components: [{ name: 'api', status: 'ok' }, { name: 'db', status: 'degraded' }] }))
+  }
+  const observed = await observeWatcherJob(watcherJob({
+    source: { kind: 'http_json', url: 'https://status.example.test/api.json', select: '$.components[*].status', headers: { 'X-Api-Key': 'k' } },
+  }), { fetchImpl })
+  assert.equal(observed.excerpt, '["ok","degraded"]')
+  assert.equal(requests[0].headers['X-Api-Key'], 'k')
+  await assert.rejects(
+    observeWatcherJob(watcherJob({ source: { kind: 'http_json', url: 'https://status.example.test/api.json', select: '$.missing' } }), { fetchImpl }),
+    /matched nothing/,
+  )
+
+  const calls = []
+  const detach = setWatcherObservationContext({
+    callMcpTool: async (request) => {
+      calls.push(request)
+      return request.tool === 'list_issues'
+        ? { ok: true, content: [{ type: 'text', text: '3 open issues' }] }
+        : { ok: false, error: 'denied by the MCP policy' }
+    },
+  })
+  t.after(detach)
+  const mcp = await observeWatcherJob(watcherJob({ source: { kind: 'mcp_tool', server: 'github', tool: 'list_issues', arguments: { state: 'open' } } }))
+  assert.equal(mcp.summary, '3 open issues')
+  assert.deepEqual(calls[0], { server: 'github', tool: 'list_issues', args: { state: 'open' } })
+  await assert.rejects(
+    observeWatcherJob(watcherJob({ source: { kind: 'mcp_tool', server: 'github', tool: 'close_issue' } })),
+    /failed: denied by the MCP policy/,
+  )
+})
@@ -0,0 +1,377 @@
+/**
+ * Throwaway workspaces for isolated automation runs.
+ *
+ * A job with `workspaceIsolation` gets its own working directory per run so
+ * parallel jobs cannot trample each other's edits:
+ *
+ *   worktree  a detached `git worktree` of the source repository at HEAD.
+ *             Uncommitted changes in the source checkout are not carried over.
+ *   copy      a recursive copy of the source directory. A private baseline
+ *             repository (outside the copy) records the starting state so the
+ *             run's changes can be exported as a patch.
+ *
+ * The result can be exported as a patch (both modes) or as a branch of the
+ * source repository (worktree only). Sandboxes are removed by the automation
+ * session sweep once their run has finished and the retention has passed.
+ *   index:      <configDir>/automation-sandboxes.json (+ .bak / .tmp)
+ *   workspaces: <configDir>/automation-sandboxes/<sandboxId>/workspace
+ */
+
+import { randomBytes } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import { createFileBackedStore } from './file-backed-store.mjs'
+import { runGit as runHardenedGit } from './git-command.mjs'
+
+const STORE_FILE = 'automation-sandboxes.json'
+const STORE_BAK = 'automation-sandboxes.json.bak'
+const STORE_TMP = 'automation-sandboxes.json.tmp'
+const SANDBOX_DIR = 'automation-sandboxes'
+const GIT_TIMEOUT_MS = 120_000
+const HOUR_MS = 60 * 60 * 1000
+// Identity for commits the companion makes itself (copy baselines, and branch
+// exports when the repository has no user configured).
+const COMPANION_GIT_IDENTITY = ['-c', 'user.name=Trapezohe Companion', '-c', 'user.email=companion@trapezohe.local']
+// Runs in these states (or waiting for a workflow retry) still use their sandbox.
+const ACTIVE_RUN_STATES = new Set(['queued', 'idle', 'running', 'waiting_approval', 'retrying'])
+
+export const AUTOMATION_SANDBOX_MODES = ['worktree', 'copy']
+export const AUTOMATION_SANDBOX_EXPORT_FORMATS = ['patch', 'branch']
+export const DEFAULT_SANDBOX_RETENTION_HOURS = 24
+
+let store = { sandboxes: [] }
+let loaded = false
+let loadingPromise = null
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function sandboxError(message, code) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+function sandboxRoot() {
+  return path.join(getConfigDir(), SANDBOX_DIR)
+}
+
+function runGit(args, options = {}) {
+  return runHardenedGit(args, { ...options, timeoutMs: GIT_TIMEOUT_MS })
+}
+
+const storage = createFileBackedStore({
+  label: 'automation-sandbox-store',
+  primaryPath: () => path.join(getConfigDir(), STORE_FILE),
+  backupPath: () => path.join(getConfigDir(), STORE_BAK),
+  tmpPath: () => path.join(getConfigDir(), STORE_TMP),
+  fileMode: 0o600,
+  ensureDir: ensureConfigDir,
+  fallbackState: () => ({ sandboxes: [] }),
+  parse: (raw) => {
+    const parsed = JSON.parse(raw)
+    return {
+      sandboxes: Array.isArray(parsed?.sandboxes) ? parsed.sandboxes.filter((entry) => entry?.sandboxId) : [],
+    }
+  },
+  serialize: (snapshot) => JSON.stringify(snapshot, null, 2),
+  logger: console,
+})
+
+function saveStore() {
+  return storage.persistSnapshot(clone(store))
+}
+
+async function ensureLoaded() {
+  if (loaded) return
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      await ensureConfigDir()
+      const loadedStore = await storage.load()
+      store = loadedStore.state || { sandboxes: [] }
+      loaded = true
+    })().finally(() => {
+      loadingPromise = null
+    })
+  }
+  await loadingPromise
+}
+
+export async function loadAutomationSandboxStore() {
+  await ensureLoaded()
+}
+
+export async function flushAutomationSandboxStore() {
+  await storage.flush()
+}
+
+function findRecord(sandboxId) {
+  return store.sandboxes.find((entry) => entry.sandboxId === sandboxId) || null
+}
+
+function baselineGitArgs(record) {
+  return [`--git-dir=${path.join(record.root, 'baseline.git')}`, `--work-tree=${record.path}`]
+}
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child)
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))
+}
+
+async function createWorktree(record, sourceDir) {
+  let repoRoot
+  try {
+    repoRoot = (await runGit(['rev-parse', '--show-toplevel'], { cwd: sourceDir })).trim()
+  } catch {
+    throw sandboxError(`workspaceIsolation "worktree" needs a git repository: ${sourceDir}`, 'not_a_git_repository')
+  }
+  const baseCommit = (await runGit(['rev-parse', '--verify', 'HEAD'], { cwd: repoRoot })).trim()
+  await runGit(['worktree', 'add', '--detach', record.path, baseCommit], { cwd: repoRoot })
+  record.repoRoot = repoRoot
+  record.baseCommit = baseCommit
+  // Keep the job's position inside the repository.
+  record.cwd = path.join(record.path, path.relative(repoRoot, await fs.realpath(sourceDir)))
+}
+
+async function createCopy(record, sourceDir) {
+  // Never copy the sandboxes into themselves, nor the companion's config
+  // (token included) when the source contains it.
+  const configDir = path.resolve(getConfigDir())
+  const excluded = configDir !== sourceDir && isInside(sourceDir, configDir) ? configDir : sandboxRoot()
+  await fs.cp(sourceDir, record.path, {
+    recursive: true,
+    verbatimSymlinks: true,
+    filter: (source) => !isInside(excluded, path.resolve(source)),
+  })
+  record.cwd = record.path
+  try {
+    await runGit([...baselineGitArgs(record), 'init', '-q'])
+    await runGit([...baselineGitArgs(record), 'add', '-A', '--', '.'], { cwd: record.path })
+    await runGit([...COMPANION_GIT_IDENTITY, ...baselineGitArgs(record), 'commit', '-q', '--allow-empty', '--no-verify', '-m', 'baseline'], { cwd: record.path })
+    record.baseline = true
+  } catch {
+    // Without git the copy still isolates the run; it just cannot be exported.
+    record.baseline = false
+  }
+}
+
+/**
+ * Create the sandbox for one run.
+ * @param {object} input
+ * @param {'worktree'|'copy'} input.mode
+ * @param {string} input.sourceDir - directory the job would otherwise run in
+ * @param {string} [input.runId]
+ * @param {string} [input.jobId]
+ * @param {'patch'|'branch'|null} [input.exportFormat] - exported when the run finishes successfully
+ * @param {number} [input.retentionHours] - kept this long after the run finishes
+ * @returns {Promise<object>} the sandbox record; `cwd` is where the agent should run
+ */
+export async function createAutomationSandbox({
+  mode,
+  sourceDir,
+  runId = '',
+  jobId = '',
+  exportFormat = null,
+  retentionHours = DEFAULT_SANDBOX_RETENTION_HOURS,
+} = {}) {
+  if (!AUTOMATION_SANDBOX_MODES.includes(mode)) {
+    throw new Error(`workspaceIsolation must be one of: ${AUTOMATION_SANDBOX_MODES.join(', ')}`)
+  }
+  const resolvedSource = path.resolve(sourceDir || process.cwd())
+  const stat = await fs.stat(resolvedSource).catch(() => null)
+  if (!stat?.isDirectory()) throw new Error(`Workspace source is not a directory: ${resolvedSource}`)
+  await ensureLoaded()
+
+  const sandboxId = `sbx_${Date.now().toString(36)}_${randomBytes(4).toString('hex')}`
+  const root = path.join(sandboxRoot(), sandboxId)
+  await fs.mkdir(root, { recursive: true, mode: 0o700 })
+  const record = {
+    sandboxId,
+    mode,
+    runId: runId || null,
+    jobId: jobId || null,
+    sourceDir: resolvedSource,
+    root,
+    path: path.join(root, 'workspace'),
+    cwd: null,
+    exportFormat: AUTOMATION_SANDBOX_EXPORT_FORMATS.includes(exportFormat) ? exportFormat : null,
+    retentionHours: Number(retentionHours) > 0 ? Number(retentionHours) : DEFAULT_SANDBOX_RETENTION_HOURS,
+    createdAt: Date.now(),
+    exports: [],
+  }
+  try {
+    if (mode === 'worktree') await createWorktree(record, resolvedSource)
+    else await createCopy(record, resolvedSource)
+  } catch (err) {
+    await fs.rm(root, { recursive: true, force: true }).catch(() => undefined)
+    throw err
+  }
+  store.sandboxes.push(record)
+  await saveStore()
+  return clone(record)
+}
+
+export async function getAutomationSandbox(sandboxId) {
+  await ensureLoaded()
+  const record = findRecord(sandboxId)
+  return record ? clone(record) : null
+}
+
+/** Sandboxes, newest first, optionally narrowed to one run or job. */
+export async function listAutomationSandboxes({ runId = '', jobId = '' } = {}) {
+  await ensureLoaded()
+  return store.sandboxes
+    .filter((record) => (!runId || record.runId === runId) && (!jobId || record.jobId === jobId))
+    .slice()
+    .reverse()
+    .map(clone)
+}
+
+async function exportPatch(record) {
+  let gitArgs
+  let baseRef
+  if (record.mode === 'worktree') {
+    gitArgs = []
+    baseRef = record.baseCommit
+  } else {
+    if (!record.baseline) throw sandboxError('This copy sandbox has no baseline to diff against.', 'export_unavailable')
+    gitArgs = baselineGitArgs(record)
+    baseRef = 'HEAD'
+  }
+  // Staging covers untracked files; the diff against the base also covers
+  // anything the agent committed itself.
+  await runGit([...gitArgs, 'add', '-A', '--', '.'], { cwd: record.path })
+  const patch = await runGit([...gitArgs, 'diff', '--cached', '--binary', '--no-color', '--no-ext-diff', '--no-textconv', baseRef], { cwd: record.path })
+  const files = (await runGit([...gitArgs, 'diff', '--cached', '--name-only', baseRef], { cwd: record.path }))
+    .split('\n')
+    .filter(Boolean)
+  const patchPath = path.join(record.root, `export-${Date.now().toString(36)}.patch`)
+  await fs.writeFile(patchPath, patch, { mode: 0o600 })
+  return { summary: { format: 'patch', patchPath, files }, patch }
+}
+
+async function hasGitIdentity(cwd) {
+  try {
+    return Boolean((await runGit(['config', 'user.email'], { cwd })).trim())
+  } catch {
+    return false
+  }
+}
+
+async function exportBranch(record, branch) {
+  if (record.mode !== 'worktree') {
+    throw sandboxError('Branch export needs a worktree sandbox.', 'export_unavailable')
+  }
+  const name = typeof branch === 'string' && branch.trim()
+    ? branch.trim()
+    : `trapezohe/${record.jobId || 'automation'}/${record.sandboxId}`
+  try {
+    await runGit(['check-ref-format', '--branch', name], { cwd: record.path })
+  } catch {
+    throw sandboxError(`Invalid branch name: ${name}`, 'invalid_branch')
+  }
+  await runGit(['add', '-A', '--', '.'], { cwd: record.path })
+  const dirty = (await runGit(['diff', '--cached', '--name-only'], { cwd: record.path })).trim() !== ''
+  if (dirty) {
+    const identity = (await hasGitIdentity(record.path)) ? [] : COMPANION_GIT_IDENTITY
+    const message = `Automation run ${record.runId || record.sandboxId}${record.jobId ? ` (${record.jobId})` : ''}`
+    await runGit([...identity, 'commit', '-q', '--no-verify', '-m', message], { cwd: record.path })
+  }
+  const commit = (await runGit(['rev-parse', 'HEAD'], { cwd: record.path })).trim()
+  // Refs are shared between worktrees, so the branch lands in the source repository.
+  await runGit(['branch', name, commit], { cwd: record.path })
+  return { summary: { format: 'branch', branch: name, commit, changed: commit !== record.baseCommit } }
+}
+
+/**
+ * Export what the run changed in its sandbox.
+ * @param {string} sandboxId
+ * @param {{ format?: 'patch'|'branch', branch?: string }} [options]
+ *   `branch` names the branch to create (default `trapezohe/<jobId>/<sandboxId>`)
+ * @returns {Promise<{ export: object, patch?: string }>} `patch` is the patch text for patch exports
+ */
+export async function exportAutomationSandbox(sandboxId, { format = 'patch', branch = '' } = {}) {
+  await ensureLoaded()
+  const record = findRecord(sandboxId)
+  if (!record) throw sandboxError(`Sandbox not found: ${sandboxId}`, 'not_found')
+  if (!AUTOMATION_SANDBOX_EXPORT_FORMATS.includes(format)) {
+    throw sandboxError(`format must be one of: ${AUTOMATION_SANDBOX_EXPORT_FORMATS.join(', ')}`, 'invalid_format')
+  }
+  const result = format === 'branch' ? await exportBranch(record, branch) : await exportPatch(record)
+  const summary = { ...result.summary, exportedAt: Date.now() }
+  record.exports.push(summary)
+  await saveStore()
+  return { export: clone(summary), ...(result.patch !== undefined ? { patch: result.patch } : {}) }
+}
+
+async function removeSandboxFiles(record) {
+  if (record.mode === 'worktree' && record.repoRoot) {
+    await runGit(['worktree', 'remove', '--force', record.path], { cwd: record.repoRoot }).catch(() => undefined)
+  }
+  await fs.rm(record.root, { recursive: true, force: true }).catch(() => undefined)
+  if (record.mode === 'worktree' && record.repoRoot) {
+    await runGit(['worktree', 'prune'], { cwd: record.repoRoot }).catch(() => undefined)
+  }
+}
+
+/** Delete a sandbox and its files. Exported branches are kept. */
+export async function removeAutomationSandbox(sandboxId) {
+  await ensureLoaded()
+  const record = findRecord(sandboxId)
+  if (!record) return false
+  await removeSandboxFiles(record)
+  store.sandboxes = store.sandboxes.filter((entry) => entry.sandboxId !== sandboxId)
+  await saveStore()
+  return true
+}
+
+export function isAutomationSandboxRunActive(run) {
+  return Boolean(run) && (ACTIVE_RUN_STATES.has(run.state) || run.meta?.taskState === 'retrying')
+}
+
+/**
+ * Remove sandboxes whose run is gone, or finished more than the sandbox's
+ * retention ago. Called from sweepAutomationSessionBindings.
+ * @param {{ now?: number, runs?: object[] }} input - runs as listed by the run store
+ * @returns {Promise<{ scanned: number, removed: number, kept: number, removedSandboxes: object[] }>}
+ */
+export async function sweepAutomationSandboxes({ now = Date.now(), runs = [] } = {}) {
+  await ensureLoaded()
+  const runsById = new Map(runs.filter((run) => run?.runId).map((run) => [run.runId, run]))
+  const removedSandboxes = []
+  for (const record of store.sandboxes.slice()) {
+    const run = record.runId ? runsById.get(record.runId) : null
+    let reason = null
+    if (!(await fs.stat(record.path).catch(() => null))) {
+      reason = 'workspace_missing'
+    } else if (!run) {
+      // Runs older than the listed window count as finished at creation.
+      if (now - record.createdAt > record.retentionHours * HOUR_MS) reason = 'run_missing'
+    } else if (!isAutomationSandboxRunActive(run)) {
+      const finishedAt = Number(run.finishedAt || run.updatedAt || record.createdAt)
+      if (now - finishedAt > record.retentionHours * HOUR_MS) reason = 'retention_expired'
+    }
+    if (!reason) continue
+    await removeSandboxFiles(record)
+    store.sandboxes = store.sandboxes.filter((entry) => entry.sandboxId !== record.sandboxId)
+    removedSandboxes.push({ sandboxId: record.sandboxId, runId: record.runId, reason })
+  }
+  if (removedSandboxes.length > 0) await saveStore()
+  return {
+    scanned: store.sandboxes.length + removedSandboxes.length,
+    removed: removedSandboxes.length,
+    kept: store.sandboxes.length,
+    removedSandboxes,
+  }
+}
+
+export async function clearAutomationSandboxStoreForTests() {
+  await storage.flush()
+  storage.reset()
+  store = { sandboxes: [] }
+  loaded = true
+  loadingPromise = null
+  await saveStore()
+}
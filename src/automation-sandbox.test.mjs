@@ -0,0 +1,140 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  clearAutomationSandboxStoreForTests,
+  createAutomationSandbox,
+  exportAutomationSandbox,
+  listAutomationSandboxes,
+  removeAutomationSandbox,
+  sweepAutomationSandboxes,
+} from './automation-sandbox.mjs'
+
+// Sandboxes live under the config dir; keep them out of the real one.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'automation-sandbox-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+const sources = []
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+  for (const dir of sources) rmSync(dir, { recursive: true, force: true })
+})
+
+function makeSource(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'automation-sandbox-src-'))
+  sources.push(dir)
+  for (const [relPath, content] of Object.entries(files)) {
+    mkdirSync(join(dir, relPath, '..'), { recursive: true })
+    writeFileSync(join(dir, relPath), content)
+  }
+  return dir
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' },
+  })
+}
+
+test('worktree sandboxes isolate edits and export them as a patch or a branch', async () => {
+  await clearAutomationSandboxStoreForTests()
+  const repo = makeSource({ 'README.md': '# demo\n', 'app/index.js': 'console.log(1)\n' })
+  git(repo, 'init', '-q')
+  git(repo, 'add', '-A')
+  git(repo, 'commit', '-qm', 'init')
+
+  const sandbox = await createAutomationSandbox({ mode: 'worktree', sourceDir: join(repo, 'app'), runId: 'run-1', jobId: 'job-1' })
+  assert.equal(sandbox.cwd, join(sandbox.path, 'app'))
+  assert.equal(readFileSync(join(sandbox.cwd, 'index.js'), 'utf8'), 'console.log(1)\n')
+
+  writeFileSync(join(sandbox.cwd, 'index.js'), 'console.log(2)\n')
+  writeFileSync(join(sandbox.cwd, 'extra.js'), 'export {}\n')
+  assert.equal(readFileSync(join(repo, 'app/index.js'), 'utf8'), 'console.log(1)\n')
+
+  const { export: patchExport, patch } = await exportAutomationSandbox(sandbox.sandboxId, { format: 'patch' })
+  assert.deepEqual(patchExport.files, ['app/extra.js', 'app/index.js'])
+  assert.match(patch, /-console\.log\(1\)\n\+console\.log\(2\)/)
+  assert.equal(readFileSync(patchExport.patchPath, 'utf8'), patch)
+
+  const { export: branchExport } = await exportAutomationSandbox(sandbox.sandboxId, { format: 'branch' })
+  assert.equal(branchExport.branch, `trapezohe/job-1/${sandbox.sandboxId}`)
+  assert.equal(branchExport.changed, true)
+  assert.equal(git(repo, 'rev-parse', branchExport.branch).trim(), branchExport.commit)
+  assert.equal(git(repo, 'show', `${branchExport.branch}:app/index.js`), 'console.log(2)\n')
+  assert.equal(git(repo, 'status', '--porcelain'), '')
+  await assert.rejects(
+    exportAutomationSandbox(sandbox.sandboxId, { format: 'branch', branch: 'bad..name' }),
+    (err) => err.code === 'invalid_branch',
+  )
+
+  assert.equal(await removeAutomationSandbox(sandbox.sandboxId), true)
+  assert.equal(existsSync(sandbox.root), false)
+  assert.equal(git(repo, 'worktree', 'list', '--porcelain').match(/^worktree /gm).length, 1)
+  assert.ok(git(repo, 'branch', '--list', branchExport.branch).trim())
+
+  await assert.rejects(
+    createAutomationSandbox({ mode: 'worktree', sourceDir: makeSource({ 'a.txt': 'a' }) }),
+    (err) => err.code === 'not_a_git_repository',
+  )
+})
+
+test('copy sandboxes leave the source alone and export a patch against their baseline', async () => {
+  await clearAutomationSandboxStoreForTests()
+  const source = makeSource({ 'notes.txt': 'one\n', 'old.txt': 'bye\n' })
+  const sandbox = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-2' })
+  assert.equal(sandbox.cwd, sandbox.path)
+  assert.equal(sandbox.baseline, true)
+
+  writeFileSync(join(sandbox.cwd, 'notes.txt'), 'two\n')
+  rmSync(join(sandbox.cwd, 'old.txt'))
+  assert.equal(readFileSync(join(source, 'notes.txt'), 'utf8'), 'one\n')
+
+  const { export: exported, patch } = await exportAutomationSandbox(sandbox.sandboxId)
+  assert.deepEqual(exported.files, ['notes.txt', 'old.txt'])
+  assert.match(patch, /deleted file mode/)
+  await assert.rejects(
+    exportAutomationSandbox(sandbox.sandboxId, { format: 'branch' }),
+    (err) => err.code === 'export_unavailable',
+  )
+  assert.deepEqual((await listAutomationSandboxes({ runId: 'run-2' })).map((entry) => entry.exports.length), [1])
+})
+
+test('sweepAutomationSandboxes keeps sandboxes of active runs and drops expired ones', async () => {
+  await clearAutomationSandboxStoreForTests()
+  const source = makeSource({ 'a.txt': 'a\n' })
+  const active = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-active', retentionHours: 1 })
+  const retrying = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-retrying', retentionHours: 1 })
+  const finished = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-finished', retentionHours: 1 })
+  const recent = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-recent', retentionHours: 1 })
+  const orphan = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-gone', retentionHours: 1 })
+  const now = Date.now() + 2 * 60 * 60 * 1000
+
+  const summary = await sweepAutomationSandboxes({
+    now,
+    runs: [
+      { runId: 'run-active', state: 'running' },
+      { runId: 'run-retrying', state: 'failed', meta: { taskState: 'retrying' } },
+      { runId: 'run-finished', state: 'done', finishedAt: now - 90 * 60 * 1000 },
+      { runId: 'run-recent', state: 'done', finishedAt: now - 10 * 60 * 1000 },
+    ],
+  })
+
+  assert.deepEqual(
+    summary.removedSandboxes.map((entry) => [entry.sandboxId, entry.reason]),
+    [[finished.sandboxId, 'retention_expired'], [orphan.sandboxId, 'run_missing']],
+  )
+  assert.equal(summary.kept, 3)
+  assert.equal(existsSync(finished.root), false)
+  assert.deepEqual(
+    (await listAutomationSandboxes()).map((entry) => entry.sandboxId).sort(),
+    [active.sandboxId, retrying.sandboxId, recent.sandboxId].sort(),
+  )
+})
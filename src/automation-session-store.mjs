@@ -1,6 +1,7 @@
 import path from 'node:path'
 import { ensureConfigDir, getConfigDir } from './config.mjs'
 import { clearAutomationBudgetLedger } from './automation-budget-store.mjs'
+import { sweepAutomationSandboxes } from './automation-sandbox.mjs'
 import { createFileBackedStore } from './file-backed-store.mjs'
 
 const FILE_MODE = 0o600
@@ -31,6 +32,7 @@ let lastSweepSummary = {
     retention_max_runs: 0,
   },
   removedBindings: [],
+  sandboxes: { scanned: 0, removed: 0, kept: 0, removedSandboxes: [] },
 }
 
 function clone(value) {
@@ -299,6 +301,14 @@ export async function sweepAutomationSessionBindings(input = {}) {
     await persistStore()
   }
 
+  // Per-run automation sandboxes share the sweep so their retention follows the same run listing.
+  const sandboxes = await sweepAutomationSandboxes({ now: sweptAt, runs }).catch(() => ({
+    scanned: 0,
+    removed: 0,
+    kept: 0,
+    removedSandboxes: [],
+  }))
+
   lastSweepSummary = {
     sweptAt,
     scanned: Object.keys(store.bindings).length + removedBindings.length,
@@ -306,6 +316,7 @@ export async function sweepAutomationSessionBindings(input = {}) {
     kept: Object.keys(store.bindings).length,
     reasons,
     removedBindings,
+    sandboxes,
   }
 
   return clone(lastSweepSummary)
@@ -377,6 +388,7 @@ export async function clearAutomationSessionStoreForTests() {
       retention_max_runs: 0,
     },
     removedBindings: [],
+    sandboxes: { scanned: 0, removed: 0, kept: 0, removedSandboxes: [] },
   }
   loaded = true
   loadingPromise = null
@@ -231,6 +231,30 @@ test('sweepAutomationSessionBindings keeps bindings referenced only by top-level
   })
 })
 
+test('sweepAutomationSessionBindings also removes expired automation sandboxes', async () => {
+  await withFreshStore(async (store) => {
+    const { tempDir } = await getSharedModules()
+    const sandboxes = await import('./automation-sandbox.mjs')
+    await sandboxes.clearAutomationSandboxStoreForTests()
+    const source = await mkdtemp(path.join(tempDir, 'source-'))
+    await writeFile(path.join(source, 'a.txt'), 'a\n')
+    const sandbox = await sandboxes.createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'run-old', retentionHours: 1 })
+    const now = Date.now() + 2 * 60 * 60 * 1000
+
+    const summary = await store.sweepAutomationSessionBindings({
+      now,
+      listRuns: async () => ({ runs: [{ runId: 'run-old', state: 'done', finishedAt: now - 2 * 60 * 60 * 1000 }] }),
+    })
+
+    assert.equal(summary.removed, 0)
+    assert.deepEqual(summary.sandboxes.removedSandboxes, [
+      { sandboxId: sandbox.sandboxId, runId: 'run-old', reason: 'retention_expired' },
+    ])
+    assert.equal(store.getAutomationSessionSweepSummary().sandboxes.removed, 1)
+    assert.deepEqual(await sandboxes.listAutomationSandboxes(), [])
+  })
+})
+
 test('clearAutomationSessionStoreForTests prevents stale backup recovery after the primary file is corrupted', async () => {
   await withFreshStore(async (store) => {
     const configDir = process.env.TRAPEZOHE_CONFIG_DIR
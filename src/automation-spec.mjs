@@ -1,3 +1,8 @@
+import { getAcpAgentAdapter, isCommandCapableAcpAgentType, supportsAcpPermissionBridge } from './acp-adapters.mjs'
+import path from 'node:path'
+import { getWorkflowTemplate } from './automation-workflow-templates.mjs'
+import { isPathWithinRoots } from './permission-policy.mjs'
+
 const DEFAULT_EXECUTOR = 'extension_chat'
 const DEFAULT_SESSION_TARGET = 'main'
 const DEFAULT_DELIVERY_MODE = 'notification'
@@ -11,8 +16,9 @@ function normalizeExecutor(raw) {
   return raw === 'companion_acp' ? raw : DEFAULT_EXECUTOR
 }
 
+// Any registered ACP adapter that can build its own command (see acp-adapters.mjs).
 function normalizeAgentType(raw) {
-  return raw === 'codex' || raw === 'claude-code' ? raw : null
+  return typeof raw === 'string' && isCommandCapableAcpAgentType(raw) ? getAcpAgentAdapter(raw).type : null
 }
 
 function normalizeSessionTarget(raw, executor = DEFAULT_EXECUTOR) {
@@ -47,8 +53,19 @@ function normalizeScheduledWriteTool(raw) {
     : null
 }
 
-function normalizeScheduledWritePolicy(raw, executor) {
+// companion_acp agents on the permission bridge have their tool use checked
+// by the companion (acp-permissions.mjs); the rest only get prompt guidance.
+// A 'sandbox' bridge (codex) confines writes but never sees the commands, so
+// its command prefixes stay prompt_only.
+function resolveScheduledWriteEnforcement(executor, agentType) {
+  if (executor !== 'companion_acp') return 'extension_hard'
+  if (!agentType || !supportsAcpPermissionBridge(agentType)) return 'prompt_only'
+  return getAcpAgentAdapter(agentType).permissionBridge === 'sandbox' ? 'prompt_only' : 'companion_hard'
+}
+
+function normalizeScheduledWritePolicy(raw, executor, agentType) {
   if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+  const enforcement = resolveScheduledWriteEnforcement(executor, agentType)
   const mode = raw.mode === 'allowlist' ? 'allowlist' : 'read_only'
   const allowedTools = Array.isArray(raw.allowedTools)
     ? raw.allowedTools
@@ -61,7 +78,7 @@ function normalizeScheduledWritePolicy(raw, executor) {
       allowedTools: [],
       allowedPaths: null,
       allowedCommandPrefixes: null,
-      enforcement: executor === 'companion_acp' ? 'prompt_only' : 'extension_hard',
+      enforcement,
     }
   }
   return {
@@ -69,12 +86,17 @@ function normalizeScheduledWritePolicy(raw, executor) {
     allowedTools,
     allowedPaths: normalizeStringArray(raw.allowedPaths),
     allowedCommandPrefixes: normalizeStringArray(raw.allowedCommandPrefixes),
-    enforcement: executor === 'companion_acp' ? 'prompt_only' : 'extension_hard',
+    enforcement,
   }
 }
 
+// User-defined graph templates are selectable alongside the research templates.
+function isSelectableWorkflowTemplate(raw) {
+  return raw === 'research_synthesis' || raw === 'research_decision' || Boolean(getWorkflowTemplate(raw)?.graph)
+}
+
 function normalizeWorkflowTemplate(raw) {
-  return raw === 'research_synthesis' || raw === 'research_decision' ? raw : 'single_turn'
+  return typeof raw === 'string' && isSelectableWorkflowTemplate(raw) ? raw : 'single_turn'
 }
 
 function normalizeWorkflowPolicy(raw) {
@@ -125,7 +147,7 @@ function normalizeWorkflow(raw) {
 }
 
 function normalizeEscalationTemplate(raw) {
-  return raw === 'research_synthesis' || raw === 'research_decision' ? raw : null
+  return typeof raw === 'string' && isSelectableWorkflowTemplate(raw) ? raw : null
 }
 
 function normalizeWatcherPolicy(raw) {
@@ -160,14 +182,141 @@ function normalizeWatcherState(raw) {
     lastInvestigatedHash: typeof raw.lastInvestigatedHash === 'string' && raw.lastInvestigatedHash
       ? raw.lastInvestigatedHash
       : null,
+    lastObservedAt: Number.isFinite(raw.lastObservedAt) ? Number(raw.lastObservedAt) : null,
+    lastObservationError: typeof raw.lastObservationError === 'string' && raw.lastObservationError
+      ? raw.lastObservationError
+      : null,
+  }
+}
+
+export const WATCHER_OBSERVATION_KINDS = ['command', 'file', 'http_json', 'mcp_tool']
+const MAX_OBSERVATION_PATTERN_LENGTH = 500
+const MAX_OBSERVATION_TIMEOUT_MS = 5 * 60_000
+
+/**
+ * Parse the JSONPath subset accepted by http_json observations: `$`
+ * followed by `.key`, `['key']`, `[0]`, `[*]` or `.*` segments. Returns
+ * `[{ key } | { index } | { wildcard: true }]`; throws on anything else.
+ */
+export function parseJsonPathSelector(select) {
+  const text = typeof select === 'string' ? select.trim() : ''
+  if (!text.startsWith('$')) throw new Error('JSONPath selector must start with "$".')
+  const segments = []
+  let rest = text.slice(1)
+  while (rest) {
+    let match
+    if ((match = /^(?:\.\*|\[\*\])/.exec(rest))) segments.push({ wildcard: true })
+    else if ((match = /^\.([A-Za-z_$][\w$-]*)/.exec(rest))) segments.push({ key: match[1] })
+    else if ((match = /^\[(\d+)\]/.exec(rest))) segments.push({ index: Number(match[1]) })
+    else if ((match = /^\[(?:'([^']*)'|"([^"]*)")\]/.exec(rest))) segments.push({ key: match[1] ?? match[2] })
+    else throw new Error(`Unsupported JSONPath selector near "${rest}".`)
+    rest = rest.slice(match[0].length)
+  }
+  return segments
+}
+
+function normalizeObservationTimeout(raw, fail) {
+  if (raw === undefined || raw === null) return null
+  const value = Number(raw)
+  if (!Number.isInteger(value) || value < 1_000 || value > MAX_OBSERVATION_TIMEOUT_MS) {
+    return fail(`watcher.observation.source.timeoutMs must be an integer between 1000 and ${MAX_OBSERVATION_TIMEOUT_MS}.`)
+  }
+  return value
+}
+
+function normalizeObservationSource(raw, fail, workspaceRoots) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('watcher.observation.source must be an object.')
+  if (!WATCHER_OBSERVATION_KINDS.includes(raw.kind)) {
+    return fail(`watcher.observation.source.kind must be one of ${WATCHER_OBSERVATION_KINDS.join(', ')}.`)
+  }
+  const text = (value) => (typeof value === 'string' ? value.trim() : '')
+  const timeoutMs = normalizeObservationTimeout(raw.timeoutMs, fail)
+
+  if (raw.kind === 'command') {
+    const command = text(raw.command)
+    if (!command) return fail('watcher.observation.source.command is required.')
+    if (command.length > 10_000) return fail('watcher.observation.source.command exceeds max length (10000).')
+    return { kind: 'command', command, cwd: text(raw.cwd) || null, timeoutMs }
+  }
+  if (raw.kind === 'file') {
+    const target = text(raw.path)
+    if (!target || !path.isAbsolute(target)) return fail('watcher.observation.source.path must be an absolute path.')
+    const resolved = path.resolve(target)
+    if (Array.isArray(workspaceRoots) && !isPathWithinRoots(resolved, workspaceRoots)) {
+      return fail(`watcher.observation.source.path "${resolved}" is outside the workspace roots.`)
+    }
+    return { kind: 'file', path: resolved }
+  }
+  if (raw.kind === 'http_json') {
+    const url = text(raw.url)
+    if (!/^https?:\/\//i.test(url)) return fail('watcher.observation.source.url must be an http(s) URL.')
+    const select = text(raw.select) || '$'
+    try {
+      parseJsonPathSelector(select)
+    } catch (err) {
+      return fail(`watcher.observation.source.select: ${err.message}`)
+    }
+    const headers = {}
+    if (raw.headers && typeof raw.headers === 'object' && !Array.isArray(raw.headers)) {
+      for (const [name, value] of Object.entries(raw.headers)) {
+        if (typeof value === 'string') headers[name] = value
+      }
+    }
+    return { kind: 'http_json', url, select, headers, timeoutMs }
   }
+  const server = text(raw.server)
+  const tool = text(raw.tool)
+  if (!server || !tool) return fail('watcher.observation.source needs "server" and "tool" for mcp_tool.')
+  const args = raw.arguments && typeof raw.arguments === 'object' && !Array.isArray(raw.arguments) ? raw.arguments : {}
+  return { kind: 'mcp_tool', server, tool, arguments: args }
+}
+
+/**
+ * Companion-side observation for a watcher job (automation-observation.mjs):
+ * `{ source: { kind: 'command', command, cwd?, timeoutMs? }
+ *    | { kind: 'file', path } | { kind: 'http_json', url, select?, headers?, timeoutMs? }
+ *    | { kind: 'mcp_tool', server, tool, arguments? },
+ *    ignoreWhitespace?, ignorePattern? }`.
+ * When `workspaceRoots` is given, file sources must sit inside them.
+ * With `strict` the first problem throws; otherwise an invalid observation
+ * is dropped. Returns null when none is configured.
+ */
+export function normalizeWatcherObservation(raw, { workspaceRoots = null, strict = false } = {}) {
+  const fail = (message) => {
+    if (strict) throw new Error(message)
+    return null
+  }
+  if (raw === undefined || raw === null) return null
+  if (typeof raw !== 'object' || Array.isArray(raw)) return fail('watcher.observation must be an object.')
+  const source = normalizeObservationSource(raw.source, fail, workspaceRoots)
+  if (!source) return null
+
+  let ignorePattern = null
+  if (raw.ignorePattern !== undefined && raw.ignorePattern !== null && raw.ignorePattern !== '') {
+    if (typeof raw.ignorePattern !== 'string' || raw.ignorePattern.length > MAX_OBSERVATION_PATTERN_LENGTH) {
+      return fail(`watcher.observation.ignorePattern must be a regex of at most ${MAX_OBSERVATION_PATTERN_LENGTH} characters.`)
+    }
+    try {
+      new RegExp(raw.ignorePattern, 'g')
+    } catch (err) {
+      return fail(`watcher.observation.ignorePattern is not a valid regex: ${err.message}`)
+    }
+    ignorePattern = raw.ignorePattern
+  }
+  return { source, ignoreWhitespace: raw.ignoreWhitespace === true, ignorePattern }
 }
 
 function normalizeWatcher(raw) {
   if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+  const observation = normalizeWatcherObservation(raw.observation)
+  if (observation?.source.kind === 'http_json') {
+    // Header values stay on the job record; specs are returned by the API.
+    observation.source = { ...observation.source, headers: Object.keys(observation.source.headers) }
+  }
   return {
     policy: normalizeWatcherPolicy(raw.policy),
     state: normalizeWatcherState(raw.state),
+    ...(observation ? { observation } : {}),
   }
 }
 
@@ -206,6 +355,26 @@ function normalizeSessionBudget(raw) {
   }
 }
 
+export const MISFIRE_POLICY_MODES = ['skip', 'run_once', 'run_all']
+export const DEFAULT_MISFIRE_MAX_CATCH_UP = 5
+const MAX_MISFIRE_CATCH_UP = 50
+
+/**
+ * What to do with occurrences missed while the daemon was down or the
+ * machine slept. Accepts `'run_once'` shorthand or `{ mode, maxCatchUp }`.
+ * `maxCatchUp` only applies to `run_all`.
+ */
+export function normalizeMisfirePolicy(raw) {
+  const source = typeof raw === 'string' ? { mode: raw } : raw
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { mode: 'skip', maxCatchUp: null }
+  }
+  const mode = MISFIRE_POLICY_MODES.includes(source.mode) ? source.mode : 'skip'
+  if (mode !== 'run_all') return { mode, maxCatchUp: null }
+  const maxCatchUp = normalizePositiveCount(source.maxCatchUp) ?? DEFAULT_MISFIRE_MAX_CATCH_UP
+  return { mode, maxCatchUp: Math.min(maxCatchUp, MAX_MISFIRE_CATCH_UP) }
+}
+
 export function normalizeSessionRetention(raw) {
   if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
   const maxAgeDays = normalizePositiveCount(raw.maxAgeDays)
@@ -217,6 +386,197 @@ export function normalizeSessionRetention(raw) {
   }
 }
 
+const WORKSPACE_ISOLATION_MODES = ['worktree', 'copy']
+const DEFAULT_SANDBOX_RETENTION_HOURS = 24
+
+/**
+ * Per-run sandbox for companion_acp jobs (automation-sandbox.mjs). Accepts
+ * `'worktree'` / `'copy'` shorthand or
+ * `{ mode, sourceDir?, export?: 'patch'|'branch', branch?, retentionHours? }`.
+ */
+export function normalizeWorkspaceIsolation(raw) {
+  const source = typeof raw === 'string' ? { mode: raw } : raw
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return null
+  if (!WORKSPACE_ISOLATION_MODES.includes(source.mode)) return null
+  return {
+    mode: source.mode,
+    sourceDir: typeof source.sourceDir === 'string' && source.sourceDir.trim() ? source.sourceDir.trim() : null,
+    export: source.export === 'patch' || source.export === 'branch' ? source.export : null,
+    branch: typeof source.branch === 'string' && source.branch.trim() ? source.branch.trim() : null,
+    retentionHours: normalizePositiveCount(source.retentionHours) ?? DEFAULT_SANDBOX_RETENTION_HOURS,
+  }
+}
+
+export const DEFAULT_TRIGGER_DEBOUNCE_MS = 2_000
+const MAX_TRIGGER_DEBOUNCE_MS = 10 * 60_000
+export const DEFAULT_TRIGGER_MAX_PER_HOUR = 6
+const MAX_TRIGGER_MAX_PER_HOUR = 60
+const MAX_TRIGGER_WATCH_PATHS = 20
+const MIN_TRIGGER_SECRET_LENGTH = 16
+export const RUN_FINISHED_TRIGGER_STATES = ['done', 'failed', 'cancelled']
+
+function normalizeWebhookTrigger(raw, fail) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('triggers.webhook must be an object.')
+  const secret = typeof raw.secret === 'string' ? raw.secret.trim() : ''
+  const secretEnv = typeof raw.secretEnv === 'string' ? raw.secretEnv.trim() : ''
+  if (secret) {
+    if (secret.length < MIN_TRIGGER_SECRET_LENGTH) {
+      return fail(`triggers.webhook.secret must be at least ${MIN_TRIGGER_SECRET_LENGTH} characters.`)
+    }
+    return { secret }
+  }
+  if (secretEnv) return { secretEnv }
+  return fail('triggers.webhook needs a "secret" or "secretEnv".')
+}
+
+function normalizeFileWatchTrigger(raw, fail, workspaceRoots) {
+  const source = typeof raw === 'string' || Array.isArray(raw) ? { paths: raw } : raw
+  if (!source || typeof source !== 'object') return fail('triggers.fileWatch must be an object.')
+  const rawPaths = typeof source.paths === 'string' ? [source.paths] : source.paths
+  if (!Array.isArray(rawPaths) || rawPaths.length === 0) return fail('triggers.fileWatch.paths must list at least one path.')
+  if (rawPaths.length > MAX_TRIGGER_WATCH_PATHS) {
+    return fail(`triggers.fileWatch.paths accepts at most ${MAX_TRIGGER_WATCH_PATHS} paths.`)
+  }
+  if (Array.isArray(workspaceRoots) && workspaceRoots.length === 0) {
+    return fail('File watch triggers need workspace roots in the permission policy.')
+  }
+  const paths = []
+  for (const entry of rawPaths) {
+    if (typeof entry !== 'string' || !path.isAbsolute(entry.trim())) {
+      fail('triggers.fileWatch.paths must be absolute paths.')
+      continue
+    }
+    const resolved = path.resolve(entry.trim())
+    if (Array.isArray(workspaceRoots) && !isPathWithinRoots(resolved, workspaceRoots)) {
+      fail(`triggers.fileWatch path "${resolved}" is outside the workspace roots.`)
+      continue
+    }
+    if (!paths.includes(resolved)) paths.push(resolved)
+  }
+  if (paths.length === 0) return null
+  return { paths, recursive: source.recursive === true }
+}
+
+function normalizeRunFinishedTrigger(raw, fail) {
+  const source = typeof raw === 'string' || Array.isArray(raw) ? { jobIds: raw } : raw
+  if (!source || typeof source !== 'object') return fail('triggers.runFinished must be an object.')
+  const jobIds = normalizeStringArray(typeof source.jobIds === 'string' ? [source.jobIds] : source.jobIds)
+  if (!jobIds) return fail('triggers.runFinished.jobIds must name at least one job.')
+  let states = ['done']
+  if (source.states !== undefined) {
+    states = normalizeStringArray(source.states)?.filter((state) => RUN_FINISHED_TRIGGER_STATES.includes(state)) ?? []
+    if (states.length === 0) {
+      return fail(`triggers.runFinished.states must be one or more of ${RUN_FINISHED_TRIGGER_STATES.join(', ')}.`)
+    }
+  }
+  return { jobIds: [...new Set(jobIds)], states: [...new Set(states)] }
+}
+
+function normalizeBoundedInteger(raw, { name, fallback, min, max }, fail) {
+  if (raw === undefined || raw === null) return fallback
+  const value = Number(raw)
+  if (!Number.isInteger(value) || value < min || value > max) {
+    fail(`${name} must be an integer between ${min} and ${max}.`)
+    return fallback
+  }
+  return value
+}
+
+/**
+ * Event triggers for a job (automation-triggers.mjs):
+ * `{ webhook?: { secret | secretEnv }, fileWatch?: { paths, recursive? },
+ *    runFinished?: { jobIds, states? }, debounceMs?, maxPerHour? }`.
+ * When `workspaceRoots` is given, watched paths must sit inside them.
+ * With `strict` the first problem throws; otherwise bad entries are dropped.
+ * Returns null when no trigger is configured.
+ */
+export function normalizeAutomationTriggers(raw, { workspaceRoots = null, strict = false } = {}) {
+  const fail = (message) => {
+    if (strict) throw new Error(message)
+    return null
+  }
+  if (raw === undefined || raw === null) return null
+  if (typeof raw !== 'object' || Array.isArray(raw)) return fail('"triggers" must be an object.')
+
+  const webhook = raw.webhook === undefined || raw.webhook === null ? null : normalizeWebhookTrigger(raw.webhook, fail)
+  const fileWatch = raw.fileWatch === undefined || raw.fileWatch === null
+    ? null
+    : normalizeFileWatchTrigger(raw.fileWatch, fail, workspaceRoots)
+  const runFinished = raw.runFinished === undefined || raw.runFinished === null
+    ? null
+    : normalizeRunFinishedTrigger(raw.runFinished, fail)
+  const debounceMs = normalizeBoundedInteger(raw.debounceMs, {
+    name: 'triggers.debounceMs',
+    fallback: DEFAULT_TRIGGER_DEBOUNCE_MS,
+    min: 0,
+    max: MAX_TRIGGER_DEBOUNCE_MS,
+  }, fail)
+  const maxPerHour = normalizeBoundedInteger(raw.maxPerHour, {
+    name: 'triggers.maxPerHour',
+    fallback: DEFAULT_TRIGGER_MAX_PER_HOUR,
+    min: 1,
+    max: MAX_TRIGGER_MAX_PER_HOUR,
+  }, fail)
+  if (!webhook && !fileWatch && !runFinished) return null
+  return { webhook, fileWatch, runFinished, debounceMs, maxPerHour }
+}
+
+export const CHAIN_HOOKS = ['onSuccess', 'onFailure', 'onConditionMet']
+
+/**
+ * Follow-up jobs started when a companion run ends (automation-executor.mjs).
+ * Each hook on the job record is a job id or a list of job ids. Returns
+ * `{ onSuccess, onFailure, onConditionMet }` or null when none is set.
+ */
+export function normalizeAutomationChain(job) {
+  let configured = false
+  const chain = {}
+  for (const hook of CHAIN_HOOKS) {
+    const raw = job?.[hook]
+    const targets = normalizeStringArray(typeof raw === 'string' ? [raw] : raw) ?? []
+    chain[hook] = [...new Set(targets)]
+    if (targets.length > 0) configured = true
+  }
+  return configured ? chain : null
+}
+
+/**
+ * Find a cycle in the chain graph formed by the jobs' hooks. Returns the job
+ * ids along the first cycle found, ending with its first id repeated
+ * (e.g. `['a', 'b', 'a']`), or null. Hooks naming unknown jobs are ignored.
+ * The search starts at `from` when given, so a cycle through the job being
+ * saved is reported from that job.
+ */
+export function findAutomationChainCycle(jobs, { from = null } = {}) {
+  const edges = new Map()
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    if (typeof job?.id !== 'string' || !job.id) continue
+    const chain = normalizeAutomationChain(job)
+    edges.set(job.id, chain ? [...new Set(CHAIN_HOOKS.flatMap((hook) => chain[hook]))] : [])
+  }
+  const done = new Set()
+  const stack = []
+  const visit = (jobId) => {
+    const index = stack.indexOf(jobId)
+    if (index >= 0) return [...stack.slice(index), jobId]
+    if (done.has(jobId) || !edges.has(jobId)) return null
+    stack.push(jobId)
+    for (const next of edges.get(jobId)) {
+      const cycle = visit(next)
+      if (cycle) return cycle
+    }
+    stack.pop()
+    done.add(jobId)
+    return null
+  }
+  const order = edges.has(from) ? [from, ...[...edges.keys()].filter((jobId) => jobId !== from)] : [...edges.keys()]
+  for (const jobId of order) {
+    const cycle = visit(jobId)
+    if (cycle) return cycle
+  }
+  return null
+}
+
 function resolveDeliveryTransport(mode) {
   if (mode === 'chat' || mode === 'remote_channel') return 'outbox'
   if (mode === 'webhook') return 'direct'
@@ -229,10 +589,14 @@ export function normalizeAutomationSpec(job) {
   const sessionTarget = normalizeSessionTarget(job?.sessionTarget, executor)
   const deliveryMode = normalizeDeliveryMode(job?.delivery?.mode)
   const sessionRetention = normalizeSessionRetention(job?.sessionRetention)
-  const scheduledWritePolicy = normalizeScheduledWritePolicy(job?.scheduledWritePolicy, executor)
+  const scheduledWritePolicy = normalizeScheduledWritePolicy(job?.scheduledWritePolicy, executor, agentType)
   const workflow = normalizeWorkflow(job?.workflow)
   const watcher = normalizeWatcher(job?.watcher)
   const sessionBudget = normalizeSessionBudget(job?.sessionBudget)
+  const misfirePolicy = normalizeMisfirePolicy(job?.misfirePolicy)
+  const workspaceIsolation = executor === 'companion_acp' ? normalizeWorkspaceIsolation(job?.workspaceIsolation) : null
+  const triggers = normalizeAutomationTriggers(job?.triggers)
+  const chain = normalizeAutomationChain(job)
 
   let unsupportedReason = null
   if (workflow.template !== 'single_turn' && executor !== 'companion_acp') {
@@ -241,6 +605,10 @@ export function normalizeAutomationSpec(job) {
     unsupportedReason = 'agent_type_required'
   } else if (executor === 'companion_acp' && sessionTarget === 'main') {
     unsupportedReason = 'main_session_not_supported'
+  } else if (workspaceIsolation && sessionTarget !== 'isolated') {
+    unsupportedReason = 'workspace_isolation_requires_isolated_session'
+  } else if (workspaceIsolation?.export === 'branch' && workspaceIsolation.mode !== 'worktree') {
+    unsupportedReason = 'branch_export_requires_worktree'
   }
 
   return {
@@ -254,6 +622,12 @@ export function normalizeAutomationSpec(job) {
     workflow,
     watcher,
     sessionBudget,
+    misfirePolicy,
+    ...(executor === 'companion_acp' && job?.workspaceDiffs === true ? { workspaceDiffs: true } : {}),
+    ...(workspaceIsolation ? { workspaceIsolation } : {}),
+    // The webhook secret stays on the job record; specs are returned by the API.
+    ...(triggers ? { triggers: { ...triggers, webhook: triggers.webhook ? { secretEnv: triggers.webhook.secretEnv ?? null } : null } } : {}),
+    ...(chain ? { chain } : {}),
     lifecycleCapable: sessionTarget !== 'main',
     supported: unsupportedReason === null,
     unsupportedReason,
@@ -281,13 +655,21 @@ export function summarizeAutomationSpecs(jobs) {
         (spec) => spec.scheduledWritePolicy?.mode === 'allowlist'
           && spec.scheduledWritePolicy?.enforcement === 'prompt_only',
       ).length,
+      companionHard: specs.filter(
+        (spec) => spec.scheduledWritePolicy?.mode === 'allowlist'
+          && spec.scheduledWritePolicy?.enforcement === 'companion_hard',
+      ).length,
     },
     workflowCapableJobs: specs.filter(
       (spec) => spec.executor === 'companion_acp'
-        && (spec.workflow?.template === 'research_synthesis' || spec.workflow?.template === 'research_decision'),
+        && isSelectableWorkflowTemplate(spec.workflow?.template),
     ).length,
     watcherConfiguredJobs: specs.filter((spec) => spec.watcher?.policy?.mode === 'change_only').length,
+    observedWatcherJobs: specs.filter((spec) => spec.watcher?.policy?.mode === 'change_only' && spec.watcher.observation).length,
     budgetManagedJobs: specs.filter((spec) => Boolean(spec.sessionBudget?.policy)).length,
+    sandboxedJobs: specs.filter((spec) => Boolean(spec.workspaceIsolation)).length,
+    triggeredJobs: specs.filter((spec) => Boolean(spec.triggers)).length,
+    chainedJobs: specs.filter((spec) => Boolean(spec.chain)).length,
     unsupportedCompanionJobs: specs
       .filter((spec) => spec.executor === 'companion_acp' && !spec.supported)
       .map((spec) => ({
@@ -2,10 +2,17 @@ import test from 'node:test'
 import assert from 'node:assert/strict'
 
 import {
+  findAutomationChainCycle,
+  normalizeAutomationChain,
   normalizeAutomationSpec,
+  normalizeAutomationTriggers,
+  normalizeMisfirePolicy,
   normalizeSessionRetention,
+  normalizeWatcherObservation,
+  normalizeWorkspaceIsolation,
   summarizeAutomationSpecs,
 } from './automation-spec.mjs'
+import { configureWorkflowTemplates, registerWorkflowTemplate } from './automation-workflow-templates.mjs'
 
 function createJob(partial = {}) {
   return {
@@ -191,6 +198,49 @@ test('normalizeAutomationSpec carries next-phase contract fields and downgrades
   })
 })
 
+test('normalizeAutomationSpec marks companion allowlists as companion_hard for agents on the permission bridge', () => {
+  const spec = normalizeAutomationSpec(createJob({
+    executor: 'companion_acp',
+    agentType: 'claude-code',
+    scheduledWritePolicy: {
+      mode: 'allowlist',
+      allowedTools: ['write_file'],
+      allowedPaths: ['/tmp/reports'],
+      allowedCommandPrefixes: ['git status'],
+    },
+  }))
+
+  assert.equal(spec.scheduledWritePolicy.enforcement, 'companion_hard')
+  const summary = summarizeAutomationSpecs([createJob({
+    executor: 'companion_acp',
+    agentType: 'claude-code',
+    scheduledWritePolicy: { mode: 'allowlist' },
+  })])
+  assert.equal(summary.scheduledWriteEnforcements.companionHard, 1)
+})
+
+test('normalizeAutomationSpec keeps codex allowlists prompt_only because its sandbox cannot check command prefixes', () => {
+  const spec = normalizeAutomationSpec(createJob({
+    executor: 'companion_acp',
+    agentType: 'codex',
+    scheduledWritePolicy: {
+      mode: 'allowlist',
+      allowedTools: ['run_local_command'],
+      allowedPaths: ['/tmp/reports'],
+      allowedCommandPrefixes: ['git status'],
+    },
+  }))
+
+  assert.equal(spec.scheduledWritePolicy.enforcement, 'prompt_only')
+  const summary = summarizeAutomationSpecs([createJob({
+    executor: 'companion_acp',
+    agentType: 'codex',
+    scheduledWritePolicy: { mode: 'allowlist' },
+  })])
+  assert.equal(summary.scheduledWriteEnforcements.companionHard, 0)
+  assert.equal(summary.scheduledWriteEnforcements.promptOnly, 1)
+})
+
 test('normalizeAutomationSpec clears allowlist details when scheduled write mode is read_only', () => {
   const spec = normalizeAutomationSpec(createJob({
     scheduledWritePolicy: {
@@ -345,6 +395,22 @@ test('summarizeAutomationSpecs counts research_decision as workflow-capable', ()
   assert.equal(summary.workflowCapableJobs, 1)
 })
 
+test('normalizeAutomationSpec accepts registered user-defined workflow templates', (t) => {
+  t.after(() => configureWorkflowTemplates([]))
+  const job = createJob({
+    id: 'job-graph',
+    executor: 'companion_acp',
+    agentType: 'codex',
+    workflow: { template: 'triage_graph', state: null },
+  })
+  assert.equal(normalizeAutomationSpec(job).workflow.template, 'single_turn')
+
+  registerWorkflowTemplate({ id: 'triage_graph', steps: [{ id: 'collect', kind: 'research' }, { id: 'report', kind: 'write' }] })
+  assert.equal(normalizeAutomationSpec(job).workflow.template, 'triage_graph')
+  assert.equal(summarizeAutomationSpecs([job]).workflowCapableJobs, 1)
+  assert.equal(normalizeAutomationSpec(createJob({ workflow: { template: 'conditional_monitor' } })).workflow.template, 'single_turn')
+})
+
 test('summarizeAutomationSpecs exposes next-phase capability counts', () => {
   const summary = summarizeAutomationSpecs([
     createJob({
@@ -399,3 +465,138 @@ test('summarizeAutomationSpecs exposes next-phase capability counts', () => {
   assert.equal(summary.watcherConfiguredJobs, 1)
   assert.equal(summary.budgetManagedJobs, 1)
 })
+
+test('normalizeMisfirePolicy defaults to skip and caps run_all catch-up', () => {
+  assert.deepEqual(normalizeAutomationSpec(createJob()).misfirePolicy, { mode: 'skip', maxCatchUp: null })
+  assert.deepEqual(normalizeMisfirePolicy('run_once'), { mode: 'run_once', maxCatchUp: null })
+  assert.deepEqual(normalizeMisfirePolicy({ mode: 'run_all' }), { mode: 'run_all', maxCatchUp: 5 })
+  assert.deepEqual(normalizeMisfirePolicy({ mode: 'run_all', maxCatchUp: 500 }), { mode: 'run_all', maxCatchUp: 50 })
+  assert.deepEqual(normalizeMisfirePolicy({ mode: 'replay_everything' }), { mode: 'skip', maxCatchUp: null })
+})
+
+test('normalizeAutomationSpec projects workspaceIsolation for isolated companion jobs only', () => {
+  assert.deepEqual(normalizeWorkspaceIsolation('worktree'), {
+    mode: 'worktree',
+    sourceDir: null,
+    export: null,
+    branch: null,
+    retentionHours: 24,
+  })
+  assert.deepEqual(
+    normalizeWorkspaceIsolation({ mode: 'copy', sourceDir: ' /work/app ', export: 'patch', retentionHours: 6 }),
+    { mode: 'copy', sourceDir: '/work/app', export: 'patch', branch: null, retentionHours: 6 },
+  )
+  assert.equal(normalizeWorkspaceIsolation('container'), null)
+
+  const isolated = normalizeAutomationSpec(createJob({ executor: 'companion_acp', agentType: 'codex', workspaceIsolation: 'copy' }))
+  assert.equal(isolated.supported, true)
+  assert.equal(isolated.workspaceIsolation.mode, 'copy')
+  assert.equal(normalizeAutomationSpec(createJob({ workspaceIsolation: 'copy' })).workspaceIsolation, undefined)
+
+  const persistent = normalizeAutomationSpec(createJob({
+    executor: 'companion_acp',
+    agentType: 'codex',
+    sessionTarget: 'persistent:loop',
+    workspaceIsolation: 'worktree',
+  }))
+  assert.equal(persistent.unsupportedReason, 'workspace_isolation_requires_isolated_session')
+
+  const copyBranch = normalizeAutomationSpec(createJob({
+    executor: 'companion_acp',
+    agentType: 'codex',
+    workspaceIsolation: { mode: 'copy', export: 'branch' },
+  }))
+  assert.equal(copyBranch.unsupportedReason, 'branch_export_requires_worktree')
+  assert.equal(summarizeAutomationSpecs([createJob({ executor: 'companion_acp', agentType: 'codex', workspaceIsolation: 'copy' })]).sandboxedJobs, 1)
+})
+
+test('normalizeAutomationTriggers validates triggers and keeps watched paths inside workspace roots', () => {
+  assert.equal(normalizeAutomationTriggers(undefined), null)
+  assert.equal(normalizeAutomationTriggers({ debounceMs: 100 }), null)
+  assert.deepEqual(normalizeAutomationTriggers({ webhook: { secretEnv: 'HOOK_SECRET' }, runFinished: 'upstream' }), {
+    webhook: { secretEnv: 'HOOK_SECRET' },
+    fileWatch: null,
+    runFinished: { jobIds: ['upstream'], states: ['done'] },
+    debounceMs: 2_000,
+    maxPerHour: 6,
+  })
+
+  const roots = ['/work/repo']
+  const strict = (triggers) => normalizeAutomationTriggers(triggers, { workspaceRoots: roots, strict: true })
+  assert.deepEqual(strict({ fileWatch: { paths: ['/work/repo/src', '/work/repo/src/'], recursive: true } }).fileWatch, {
+    paths: ['/work/repo/src'],
+    recursive: true,
+  })
+  assert.throws(() => strict({ fileWatch: ['/etc'] }), /outside the workspace roots/)
+  assert.throws(() => strict({ fileWatch: ['relative/dir'] }), /absolute/)
+  assert.throws(() => normalizeAutomationTriggers({ fileWatch: ['/work/repo'] }, { workspaceRoots: [], strict: true }), /need workspace roots/)
+  assert.throws(() => strict({ webhook: { secret: 'short' } }), /at least 16 characters/)
+  assert.throws(() => strict({ runFinished: { jobIds: ['a'], states: ['running'] } }), /states/)
+  assert.throws(() => strict({ webhook: { secretEnv: 'X' }, maxPerHour: 0 }), /maxPerHour/)
+
+  // Lenient normalization drops what it cannot use.
+  assert.deepEqual(normalizeAutomationTriggers({ fileWatch: ['/etc', '/work/repo/a'], maxPerHour: 1_000 }, { workspaceRoots: roots }), {
+    webhook: null,
+    fileWatch: { paths: ['/work/repo/a'], recursive: false },
+    runFinished: null,
+    debounceMs: 2_000,
+    maxPerHour: 6,
+  })
+
+  const spec = normalizeAutomationSpec(createJob({ triggers: { webhook: { secret: 'a-very-long-shared-secret' } } }))
+  assert.deepEqual(spec.triggers.webhook, { secretEnv: null })
+  assert.equal(JSON.stringify(spec).includes('a-very-long-shared-secret'), false)
+  assert.equal(summarizeAutomationSpecs([createJob({ triggers: { runFinished: 'upstream' } }), createJob()]).triggeredJobs, 1)
+})
+
+test('normalizeAutomationChain reads hook job ids and findAutomationChainCycle reports loops', () => {
+  assert.equal(normalizeAutomationChain(createJob()), null)
+  assert.deepEqual(normalizeAutomationChain(createJob({ onSuccess: 'report', onFailure: ['alert', ' alert ', ''] })), {
+    onSuccess: ['report'],
+    onFailure: ['alert'],
+    onConditionMet: [],
+  })
+  assert.equal(normalizeAutomationSpec(createJob({ onConditionMet: 'escalate' })).chain.onConditionMet[0], 'escalate')
+  assert.equal(summarizeAutomationSpecs([createJob({ onSuccess: 'b' }), createJob()]).chainedJobs, 1)
+
+  assert.equal(findAutomationChainCycle([
+    createJob({ id: 'a', onSuccess: ['b', 'c'] }),
+    createJob({ id: 'b', onFailure: 'c' }),
+    createJob({ id: 'c', onSuccess: 'missing' }),
+  ]), null)
+  assert.deepEqual(findAutomationChainCycle([
+    createJob({ id: 'a', onSuccess: 'b' }),
+    createJob({ id: 'b', onConditionMet: 'a' }),
+  ]), ['a', 'b', 'a'])
+  assert.deepEqual(findAutomationChainCycle([createJob({ id: 'solo', onFailure: 'solo' })]), ['solo', 'solo'])
+})
+
+test('normalizeWatcherObservation validates sources and keeps header values out of the spec', () => {
+  assert.equal(normalizeWatcherObservation(undefined), null)
+  assert.deepEqual(normalizeWatcherObservation({ source: { kind: 'command', command: ' git status --short ' }, ignoreWhitespace: true }), {
+    source: { kind: 'command', command: 'git status --short', cwd: null, timeoutMs: null },
+    ignoreWhitespace: true,
+    ignorePattern: null,
+  })
+
+  const strict = (observation) => normalizeWatcherObservation(observation, { workspaceRoots: ['/work/repo'], strict: true })
+  assert.equal(strict({ source: { kind: 'file', path: '/work/repo/reports/' } }).source.path, '/work/repo/reports')
+  assert.throws(() => strict({ source: { kind: 'file', path: '/etc/hosts' } }), /outside the workspace roots/)
+  assert.throws(() => strict({ source: { kind: 'rss', url: 'https://example.test' } }), /kind must be one of/)
+  assert.throws(() => strict({ source: { kind: 'http_json', url: 'ftp://example.test' } }), /http\(s\) URL/)
+  assert.throws(() => strict({ source: { kind: 'http_json', url: 'https://example.test', select: '$..deep' } }), /Unsupported JSONPath/)
+  assert.throws(() => strict({ source: { kind: 'mcp_tool', server: 'github' } }), /"server" and "tool"/)
+  assert.throws(() => strict({ source: { kind: 'command', command: 'date' }, ignorePattern: '(' }), /not a valid regex/)
+
+  const spec = normalizeAutomationSpec(createJob({
+    executor: 'companion_acp',
+    agentType: 'codex',
+    watcher: {
+      policy: { mode: 'change_only' },
+      observation: { source: { kind: 'http_json', url: 'https://example.test/status', headers: { Authorization: 'Bearer secret-token' } } },
+    },
+  }))
+  assert.deepEqual(spec.watcher.observation.source, { kind: 'http_json', url: 'https://example.test/status', select: '$', headers: ['Authorization'], timeoutMs: null })
+  assert.equal(JSON.stringify(spec).includes('secret-token'), false)
+  assert.equal(summarizeAutomationSpecs([createJob({ watcher: spec.watcher }), createJob()]).observedWatcherJobs, 1)
+})
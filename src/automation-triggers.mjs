@@ -0,0 +1,331 @@
+/**
+ * Event triggers for automation jobs, declared on the same job records the
+ * cron scheduler reads (`job.triggers`, see normalizeAutomationTriggers):
+ *
+ * - webhook:     POST /api/automation/triggers/:jobId with the job's secret
+ * - fileWatch:   fs.watch on paths inside the permission policy's workspace roots
+ * - runFinished: a run of one of the named jobs reaches a terminal state
+ *
+ * Events for a job are coalesced for `debounceMs` (the window restarts on
+ * every event, up to DEBOUNCE_MAX_WAIT_FACTOR × debounceMs) and fire one run
+ * at most `maxPerHour` times per rolling hour; events beyond that are
+ * dropped and counted. A fire goes through dispatchAutomationJob with
+ * `job.trigger = { kind, firedAt, eventCount, events }`, which the executor
+ * injects into the prompt and records on the run (`source: 'trigger'`).
+ */
+
+import { watch } from 'node:fs'
+import { timingSafeEqual } from 'node:crypto'
+import { getJobs } from './cron-store.mjs'
+import { onRunFinished } from './run-store.mjs'
+import { dispatchAutomationJob } from './cron-scheduler.mjs'
+import { normalizeAutomationTriggers } from './automation-spec.mjs'
+import { normalizePermissionPolicy } from './permission-policy.mjs'
+
+export const TRIGGER_SECRET_HEADER = 'x-trapezohe-trigger-secret'
+
+const HOUR_MS = 60 * 60 * 1000
+const DEBOUNCE_MAX_WAIT_FACTOR = 5
+// Only the most recent events of a coalesced batch reach the prompt.
+const MAX_BATCH_EVENTS = 20
+const MAX_WEBHOOK_PAYLOAD_CHARS = 16_000
+
+/**
+ * @typedef {{
+ *   timer: ReturnType<typeof setTimeout>|null,
+ *   batch: { kind: string, firstEventAt: number, eventCount: number, events: object[] }|null,
+ *   fires: number[],
+ *   dropped: number,
+ *   lastFiredAt: number|null,
+ *   lastDroppedAt: number|null,
+ * }} TriggerJobState
+ */
+
+/** @type {Map<string, TriggerJobState>} */
+const jobStates = new Map()
+/** @type {Map<string, import('node:fs').FSWatcher[]>} */
+const fileWatchers = new Map()
+let triggerOptions = {}
+let started = false
+let detachRunFinished = null
+
+function now() {
+  return typeof triggerOptions.now === 'function' ? triggerOptions.now() : Date.now()
+}
+
+function getDispatcher() {
+  return typeof triggerOptions.dispatch === 'function' ? triggerOptions.dispatch : dispatchAutomationJob
+}
+
+function getWorkspaceRoots() {
+  if (typeof triggerOptions.getPermissionPolicy !== 'function') return []
+  return normalizePermissionPolicy(triggerOptions.getPermissionPolicy()).workspaceRoots
+}
+
+function findJob(jobId) {
+  return getJobs().find((job) => job.id === jobId) || null
+}
+
+function getJobState(jobId) {
+  let state = jobStates.get(jobId)
+  if (!state) {
+    state = { timer: null, batch: null, fires: [], dropped: 0, lastFiredAt: null, lastDroppedAt: null }
+    jobStates.set(jobId, state)
+  }
+  return state
+}
+
+function pruneFires(state, at) {
+  state.fires = state.fires.filter((firedAt) => at - firedAt < HOUR_MS)
+}
+
+function capWebhookPayload(payload) {
+  const serialized = JSON.stringify(payload ?? null)
+  if (serialized.length <= MAX_WEBHOOK_PAYLOAD_CHARS) return payload ?? null
+  return { truncated: true, preview: serialized.slice(0, MAX_WEBHOOK_PAYLOAD_CHARS) }
+}
+
+function addToBatch(state, kind, event, at) {
+  if (!state.batch) state.batch = { kind, firstEventAt: at, eventCount: 0, events: [] }
+  state.batch.eventCount += 1
+  // A watched file saved ten times in a burst is one change.
+  if (kind === 'fileWatch') {
+    state.batch.events = state.batch.events.filter(
+      (entry) => !(entry.kind === 'fileWatch' && entry.path === event.path && entry.filename === event.filename),
+    )
+  }
+  state.batch.events.push({ kind, at, ...event })
+  if (state.batch.events.length > MAX_BATCH_EVENTS) state.batch.events.shift()
+}
+
+async function flushJobTriggers(jobId) {
+  const state = jobStates.get(jobId)
+  if (!state?.batch) return null
+  const batch = state.batch
+  state.batch = null
+  state.timer = null
+
+  const job = findJob(jobId)
+  const triggers = job?.enabled ? normalizeAutomationTriggers(job.triggers) : null
+  if (!triggers) return null
+  const firedAt = now()
+  pruneFires(state, firedAt)
+  if (state.fires.length >= triggers.maxPerHour) {
+    state.dropped += batch.eventCount
+    state.lastDroppedAt = firedAt
+    console.warn(`[automation-triggers] Rate limit reached for "${job.name}" (${jobId}); dropped ${batch.eventCount} event(s)`)
+    return null
+  }
+  state.fires.push(firedAt)
+  state.lastFiredAt = firedAt
+
+  const trigger = {
+    kind: batch.kind,
+    firedAt,
+    eventCount: batch.eventCount,
+    events: batch.events,
+  }
+  try {
+    return await getDispatcher()({ ...job, trigger })
+  } catch (err) {
+    console.error(`[automation-triggers] Failed to dispatch "${job.name}" (${jobId}):`, err?.message || err)
+    return null
+  }
+}
+
+/**
+ * Record a trigger event for a job. Resolves the outcome without waiting for
+ * the run: `scheduled` (with the time the batch fires), `rate_limited` (with
+ * `retryAfterMs`) or `ignored` (with a `reason`).
+ *
+ * @param {string} jobId
+ * @param {'webhook'|'fileWatch'|'runFinished'} kind
+ * @param {object} [event]
+ */
+export function recordTriggerEvent(jobId, kind, event = {}) {
+  const job = findJob(jobId)
+  if (!job) return { status: 'ignored', reason: 'job_not_found' }
+  if (!job.enabled) return { status: 'ignored', reason: 'job_disabled' }
+  const triggers = normalizeAutomationTriggers(job.triggers)
+  if (!triggers?.[kind]) return { status: 'ignored', reason: 'trigger_not_configured' }
+
+  const state = getJobState(jobId)
+  const at = now()
+  pruneFires(state, at)
+  // With a batch already pending, the event joins it; otherwise a full window drops it.
+  if (!state.batch && state.fires.length >= triggers.maxPerHour) {
+    state.dropped += 1
+    state.lastDroppedAt = at
+    return { status: 'rate_limited', retryAfterMs: Math.max(0, state.fires[0] + HOUR_MS - at) }
+  }
+
+  addToBatch(state, kind, event, at)
+  const fireAt = Math.min(at + triggers.debounceMs, state.batch.firstEventAt + triggers.debounceMs * DEBOUNCE_MAX_WAIT_FACTOR)
+  if (state.timer) clearTimeout(state.timer)
+  state.timer = setTimeout(() => {
+    void flushJobTriggers(jobId)
+  }, Math.max(0, fireAt - at))
+  if (state.timer.unref) state.timer.unref()
+  return { status: 'scheduled', fireAt, eventCount: state.batch.eventCount }
+}
+
+/** Queue a webhook trigger event; `payload` is the request body. */
+export function recordWebhookTrigger(jobId, payload) {
+  return recordTriggerEvent(jobId, 'webhook', { payload: capWebhookPayload(payload) })
+}
+
+function resolveTriggerSecret(webhook) {
+  if (webhook.secret) return webhook.secret
+  const value = process.env[webhook.secretEnv]
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+/**
+ * A copy of `job` safe to return from the API: an inline webhook secret is
+ * replaced by `hasSecret`, so only its presence is visible.
+ */
+export function redactJobTriggerSecret(job) {
+  const webhook = job?.triggers?.webhook
+  if (!webhook || typeof webhook !== 'object' || !('secret' in webhook)) return job
+  const { secret, ...rest } = webhook
+  return { ...job, triggers: { ...job.triggers, webhook: { ...rest, hasSecret: Boolean(secret) } } }
+}
+
+/**
+ * Check a caller-provided secret against the job's webhook trigger secret.
+ * Unknown jobs, jobs without a webhook trigger and unset secret env vars
+ * all fail the same way.
+ */
+export function verifyTriggerSecret(jobId, provided) {
+  const job = findJob(jobId)
+  const webhook = normalizeAutomationTriggers(job?.triggers)?.webhook
+  const expected = webhook ? resolveTriggerSecret(webhook) : ''
+  if (!expected || typeof provided !== 'string' || !provided) return false
+  const a = Buffer.from(provided, 'utf8')
+  const b = Buffer.from(expected, 'utf8')
+  return a.length === b.length && timingSafeEqual(a, b)
+}
+
+function handleRunFinished(run) {
+  const taskId = typeof run?.meta?.taskId === 'string' ? run.meta.taskId : ''
+  if (!taskId) return
+  for (const job of getJobs()) {
+    // A job cannot retrigger itself; longer cycles are bounded by maxPerHour.
+    if (!job.enabled || job.id === taskId) continue
+    const runFinished = normalizeAutomationTriggers(job.triggers)?.runFinished
+    if (!runFinished?.jobIds.includes(taskId) || !runFinished.states.includes(run.state)) continue
+    recordTriggerEvent(job.id, 'runFinished', {
+      runId: run.runId,
+      taskId,
+      state: run.state,
+      ...(run.summary ? { summary: run.summary } : {}),
+      ...(run.error ? { error: run.error } : {}),
+    })
+  }
+}
+
+function closeFileWatchers(jobId) {
+  for (const watcher of fileWatchers.get(jobId) || []) {
+    try { watcher.close() } catch { /* already closed */ }
+  }
+  fileWatchers.delete(jobId)
+}
+
+function armFileWatchers(job) {
+  closeFileWatchers(job.id)
+  if (!started || !job.enabled || !job.triggers?.fileWatch) return 0
+  const fileWatch = normalizeAutomationTriggers(job.triggers, { workspaceRoots: getWorkspaceRoots() })?.fileWatch
+  if (!fileWatch) {
+    console.warn(`[automation-triggers] No watchable paths inside the workspace roots for "${job.name}" (${job.id})`)
+    return 0
+  }
+  const watchers = []
+  for (const watchedPath of fileWatch.paths) {
+    try {
+      const watcher = watch(watchedPath, { recursive: fileWatch.recursive, persistent: false }, (eventType, filename) => {
+        recordTriggerEvent(job.id, 'fileWatch', {
+          path: watchedPath,
+          event: eventType,
+          ...(filename ? { filename: filename.toString() } : {}),
+        })
+      })
+      watcher.on('error', (err) => {
+        console.warn(`[automation-triggers] Watch on ${watchedPath} for ${job.id} failed: ${err.message}`)
+        try { watcher.close() } catch { /* already closed */ }
+      })
+      watchers.push(watcher)
+    } catch (err) {
+      console.warn(`[automation-triggers] Cannot watch ${watchedPath} for ${job.id}: ${err.message}`)
+    }
+  }
+  if (watchers.length > 0) fileWatchers.set(job.id, watchers)
+  return watchers.length
+}
+
+/** Re-arm a job's file watchers after it was created or updated. */
+export function syncJobTriggers(job) {
+  if (!job?.id) return
+  const triggers = job.enabled ? normalizeAutomationTriggers(job.triggers) : null
+  if (!triggers) removeJobTriggers(job.id)
+  else armFileWatchers(job)
+}
+
+/** Drop a job's watchers and any pending batch. */
+export function removeJobTriggers(jobId) {
+  closeFileWatchers(jobId)
+  const state = jobStates.get(jobId)
+  if (state?.timer) clearTimeout(state.timer)
+  jobStates.delete(jobId)
+}
+
+/**
+ * Arm file watchers for every enabled job and start listening for finished
+ * runs. Webhook triggers are served by the HTTP server and need no setup.
+ * Options: `getPermissionPolicy` (workspace roots for file watches), and
+ * `dispatch` / `now` for tests.
+ */
+export function startAutomationTriggers(options = {}) {
+  triggerOptions = { ...options }
+  started = true
+  if (!detachRunFinished) detachRunFinished = onRunFinished(handleRunFinished)
+  let watched = 0
+  for (const job of getJobs()) {
+    if (job.enabled && job.triggers?.fileWatch) watched += armFileWatchers(job)
+  }
+  console.log(`[automation-triggers] Started with ${watched} watched path(s)`)
+  return watched
+}
+
+export function stopAutomationTriggers() {
+  for (const jobId of [...fileWatchers.keys()]) closeFileWatchers(jobId)
+  for (const state of jobStates.values()) {
+    if (state.timer) clearTimeout(state.timer)
+  }
+  jobStates.clear()
+  if (detachRunFinished) {
+    detachRunFinished()
+    detachRunFinished = null
+  }
+  started = false
+  triggerOptions = {}
+}
+
+export function getAutomationTriggerStats() {
+  const at = now()
+  const jobs = [...jobStates.entries()].map(([jobId, state]) => {
+    pruneFires(state, at)
+    return {
+      jobId,
+      pendingEvents: state.batch?.eventCount ?? 0,
+      firesLastHour: state.fires.length,
+      dropped: state.dropped,
+      lastFiredAt: state.lastFiredAt,
+      lastDroppedAt: state.lastDroppedAt,
+    }
+  })
+  return {
+    started,
+    watchedPaths: [...fileWatchers.values()].reduce((total, watchers) => total + watchers.length, 0),
+    jobs,
+  }
+}
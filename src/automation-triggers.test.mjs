@@ -0,0 +1,221 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  getAutomationTriggerStats,
+  recordTriggerEvent,
+  removeJobTriggers,
+  startAutomationTriggers,
+  stopAutomationTriggers,
+} from './automation-triggers.mjs'
+import { clearCronStoreForTests, upsertJob } from './cron-store.mjs'
+import { clearRunStoreForTests, createRun, flushRunStore, updateRun } from './run-store.mjs'
+import { createCompanionServer } from './server.mjs'
+
+// Jobs and runs are persisted; keep them out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'automation-triggers-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(async () => {
+  stopAutomationTriggers()
+  await clearCronStoreForTests()
+  await flushRunStore()
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
+
+beforeEach(async () => {
+  stopAutomationTriggers()
+  await clearCronStoreForTests()
+  await clearRunStoreForTests()
+})
+
+function createJob(overrides = {}) {
+  return {
+    id: 'job-1',
+    name: 'Triggered job',
+    enabled: true,
+    prompt: 'Look at what changed.',
+    schedule: { kind: 'interval', minutes: 30 },
+    ...overrides,
+  }
+}
+
+// Collects dispatched jobs; next() resolves with the following dispatch or rejects after a timeout.
+function createDispatchRecorder() {
+  const dispatched = []
+  const waiters = []
+  return {
+    dispatched,
+    dispatch: async (job) => {
+      dispatched.push(job)
+      waiters.shift()?.resolve(job)
+      return null
+    },
+    next(timeoutMs = 2_000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no dispatch')), timeoutMs)
+        waiters.push({ resolve: (job) => { clearTimeout(timer); resolve(job) } })
+      })
+    },
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('trigger events are debounced into one run and capped per hour', async () => {
+  const recorder = createDispatchRecorder()
+  startAutomationTriggers({ dispatch: recorder.dispatch })
+  await upsertJob(createJob({ triggers: { webhook: { secretEnv: 'UNUSED' }, debounceMs: 30, maxPerHour: 2 } }))
+
+  assert.deepEqual(recordTriggerEvent('missing', 'webhook'), { status: 'ignored', reason: 'job_not_found' })
+  assert.equal(recordTriggerEvent('job-1', 'fileWatch').reason, 'trigger_not_configured')
+
+  const firstFire = recorder.next()
+  for (const n of [1, 2, 3]) {
+    const result = recordTriggerEvent('job-1', 'webhook', { payload: { n } })
+    assert.equal(result.status, 'scheduled')
+    assert.equal(result.eventCount, n)
+  }
+  const first = await firstFire
+  assert.equal(recorder.dispatched.length, 1)
+  assert.equal(first.trigger.kind, 'webhook')
+  assert.equal(first.trigger.eventCount, 3)
+  assert.deepEqual(first.trigger.events.map((event) => event.payload.n), [1, 2, 3])
+
+  const secondFire = recorder.next()
+  recordTriggerEvent('job-1', 'webhook', { payload: { n: 4 } })
+  assert.equal((await secondFire).trigger.eventCount, 1)
+
+  const limited = recordTriggerEvent('job-1', 'webhook', { payload: { n: 5 } })
+  assert.equal(limited.status, 'rate_limited')
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 3_600_000)
+  await sleep(60)
+  assert.equal(recorder.dispatched.length, 2)
+  assert.deepEqual(getAutomationTriggerStats().jobs.map(({ jobId, firesLastHour, dropped }) => ({ jobId, firesLastHour, dropped })), [
+    { jobId: 'job-1', firesLastHour: 2, dropped: 1 },
+  ])
+})
+
+test('runFinished triggers fire on matching terminal states of other jobs', async () => {
+  const recorder = createDispatchRecorder()
+  startAutomationTriggers({ dispatch: recorder.dispatch })
+  await upsertJob(createJob({ id: 'upstream', name: 'Upstream' }))
+  await upsertJob(createJob({ id: 'downstream', triggers: { runFinished: { jobIds: ['upstream'], states: ['failed'] }, debounceMs: 0 } }))
+  await upsertJob(createJob({ id: 'self', triggers: { runFinished: 'self', debounceMs: 0 } }))
+
+  await createRun({ runId: 'up-ok', type: 'cron', state: 'done', meta: { taskId: 'upstream' } })
+  await createRun({ runId: 'self-run', type: 'cron', state: 'done', meta: { taskId: 'self' } })
+  await sleep(20)
+  assert.equal(recorder.dispatched.length, 0)
+
+  const fired = recorder.next()
+  await createRun({ runId: 'up-bad', type: 'cron', state: 'running', meta: { taskId: 'upstream' } })
+  await updateRun('up-bad', { state: 'failed', error: 'boom' })
+  const job = await fired
+  assert.equal(job.id, 'downstream')
+  assert.equal(job.trigger.kind, 'runFinished')
+  assert.deepEqual(
+    [job.trigger.events[0].runId, job.trigger.events[0].taskId, job.trigger.events[0].state, job.trigger.events[0].error],
+    ['up-bad', 'upstream', 'failed', 'boom'],
+  )
+
+  // Later updates to an already-finished run do not fire again.
+  await updateRun('up-bad', { state: 'failed', summary: 'still failed' })
+  await sleep(20)
+  assert.equal(recorder.dispatched.length, 1)
+})
+
+test('fileWatch triggers only watch paths inside the workspace roots', async (t) => {
+  const workspace = mkdtempSync(join(tmpdir(), 'automation-triggers-ws-'))
+  t.after(() => rmSync(workspace, { recursive: true, force: true }))
+  mkdirSync(join(workspace, 'inbox'))
+  await upsertJob(createJob({ id: 'watcher', triggers: { fileWatch: [join(workspace, 'inbox')], debounceMs: 0 } }))
+  await upsertJob(createJob({ id: 'outside', triggers: { fileWatch: [tmpdir()], debounceMs: 0 } }))
+
+  const recorder = createDispatchRecorder()
+  const watched = startAutomationTriggers({
+    dispatch: recorder.dispatch,
+    getPermissionPolicy: () => ({ mode: 'workspace', workspaceRoots: [workspace] }),
+  })
+  assert.equal(watched, 1)
+
+  const fired = recorder.next()
+  writeFileSync(join(workspace, 'inbox', 'report.txt'), 'new report')
+  const job = await fired
+  assert.equal(job.id, 'watcher')
+  assert.equal(job.trigger.kind, 'fileWatch')
+  assert.equal(job.trigger.events[0].path, join(workspace, 'inbox'))
+  assert.equal(job.trigger.events[0].filename, 'report.txt')
+
+  removeJobTriggers('watcher')
+  assert.equal(getAutomationTriggerStats().watchedPaths, 0)
+})
+
+test('POST /api/automation/triggers/:jobId checks the job secret and reports rate limiting', async (t) => {
+  const token = 'test-token'
+  const server = createCompanionServer({
+    token,
+    mcpManager: {
+      getConnectedCount: () => 0,
+      getAllTools: () => [],
+      getServers: () => [],
+      callTool: async () => ({ ok: true }),
+      restartServer: async () => {},
+    },
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise((resolve) => server.close(resolve)))
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const origin = 'chrome-extension://aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+  const fire = (jobId, headers = {}, body = { ref: 'main' }) => fetch(`${baseUrl}/api/automation/triggers/${jobId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  })
+
+  // The first request waits for store init; jobs are added after it.
+  const rejected = await fetch(`${baseUrl}/api/cron/jobs`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, Origin: origin, 'Content-Type': 'application/json' },
+    body: JSON.stringify(createJob({ triggers: { fileWatch: ['/tmp/inbox'] } })),
+  })
+  assert.equal(rejected.status, 400)
+  assert.match((await rejected.json()).error, /need workspace roots/)
+
+  const secret = 'trigger-secret-0123456789'
+  const recorder = createDispatchRecorder()
+  startAutomationTriggers({ dispatch: recorder.dispatch })
+  await upsertJob(createJob({ triggers: { webhook: { secret }, debounceMs: 0, maxPerHour: 1 } }))
+
+  // The listing only says that a secret is set.
+  const listing = await fetch(`${baseUrl}/api/cron/jobs`, { headers: { Authorization: `Bearer ${token}`, Origin: origin } })
+  const listed = (await listing.json()).jobs.find((entry) => entry.id === 'job-1')
+  assert.deepEqual(listed.triggers.webhook, { hasSecret: true })
+  assert.equal(JSON.stringify(listed).includes(secret), false)
+
+  assert.equal((await fire('job-1')).status, 401)
+  assert.equal((await fire('job-1', { 'X-Trapezohe-Trigger-Secret': 'wrong-secret-0123456789' })).status, 401)
+  assert.equal((await fire('other', { 'X-Trapezohe-Trigger-Secret': secret })).status, 401)
+
+  const fired = recorder.next()
+  const accepted = await fire('job-1', { 'X-Trapezohe-Trigger-Secret': secret })
+  assert.equal(accepted.status, 202)
+  assert.equal((await accepted.json()).status, 'scheduled')
+  const job = await fired
+  assert.deepEqual(job.trigger.events[0].payload, { ref: 'main' })
+
+  const limited = await fire('job-1', { Authorization: `Bearer ${secret}` })
+  assert.equal(limited.status, 429)
+  assert.ok(Number(limited.headers.get('retry-after')) > 0)
+  assert.equal((await limited.json()).status, 'rate_limited')
+
+  await upsertJob(createJob({ enabled: false, triggers: { webhook: { secret } } }))
+  const disabled = await fire('job-1', { 'X-Trapezohe-Trigger-Secret': secret })
+  assert.equal(disabled.status, 409)
+  assert.equal((await disabled.json()).reason, 'job_disabled')
+})
@@ -4,31 +4,38 @@
  * Decides whether a watcher-detected change should trigger a workflow
  * escalation investigation or just a standard notification delivery.
  *
- * ## Lag-one observation model
+ * ## Observation models
  *
- * Companion watcher escalation operates on a **lag-one** basis:
+ * Jobs with `watcher.observation` are observed **on the companion**
+ * (automation-observation.mjs): before a run is created, the executor runs
+ * the configured source (command stdout, file or directory content, HTTP
+ * JSON selection or MCP tool result), normalises and hashes it, and
+ * `classifyWatcherObservation` compares the hash against `watcher.state`:
  *
- * 1. **Extension-side** (cron-scheduler.ts) computes the current observation
- *    hash and persists it into `watcher.state.lastObservationHash` before
- *    syncing the job to the companion.
- * 2. **Companion-side** (this module) compares `lastObservationHash` against
- *    `lastInvestigatedHash`. If they differ and the hash is non-empty,
- *    escalation is triggered.
- * 3. When escalation fires, the executor persists `watcherStatePatch`
- *    (including updated `lastInvestigatedHash`) back to the companion
- *    job store **before** the ACP run begins, so the next timer fire
- *    sees the updated state and does not re-escalate for the same hash.
+ *   - first observation   → baseline recorded, no run
+ *   - same hash           → `unchanged`, no run
+ *   - new hash, but still inside `minNotifyIntervalMinutes` of the last
+ *     delivery            → `changed`, no run; the stored hash is kept so
+ *                           the change alerts once the interval has passed
+ *   - new hash otherwise  → `alerted`, the ACP run starts and escalation is
+ *                           evaluated against the fresh hash
  *
- * This means escalation reacts to the PREVIOUS observation — the one the
- * extension already computed — not the output of the current ACP run.
- * The trade-off is a one-cycle delay in exchange for a simpler execution
- * model that avoids mid-run workflow switching.
+ * The state patch is persisted before any ACP session is spent, so watchers
+ * keep working while the browser is closed.
  *
- * Extension-side (cron-scheduler.ts) handles:
- *   - hash comparison, baseline recording, interval checking
- *   - passing escalation intent via watcher policy in the job spec
+ * Jobs without an observation keep the **lag-one** model: the extension
+ * (cron-scheduler.ts) computes the hash, persists it into
+ * `watcher.state.lastObservationHash` and syncs the job, and escalation
+ * reacts to that PREVIOUS observation rather than the output of the current
+ * ACP run.
  *
- * This module handles companion-side:
+ * In both models, when escalation fires the executor persists
+ * `watcherStatePatch` (including `lastInvestigatedHash`) back to the job
+ * store before the ACP run begins, so the next fire does not re-escalate for
+ * the same hash.
+ *
+ * This module handles:
+ *   - classifying companion-side observations against watcher state
  *   - deciding escalate vs notify based on policy + state
  *   - tracking lastEscalationRunId / lastEscalationAt / lastInvestigatedHash
  */
@@ -96,3 +103,67 @@ export function evaluateWatcherEscalation({
     reason: 'change_detected',
   }
 }
+
+/**
+ * Classify a companion-side observation against the stored watcher state.
+ *
+ * @param {object} params
+ * @param {object|null} params.watcherPolicy - The watcher policy from the job spec
+ * @param {object|null} params.watcherState - Current watcher state
+ * @param {{ hash: string, summary?: string|null }} params.observation - Result of observeWatcherSource()
+ * @param {number} [params.now] - Current timestamp (for testing)
+ * @returns {{ classification: 'baseline'|'unchanged'|'changed'|'alerted', shouldRun: boolean, watcherStatePatch: object }}
+ */
+export function classifyWatcherObservation({
+  watcherPolicy = null,
+  watcherState = null,
+  observation,
+  now = Date.now(),
+} = {}) {
+  const hash = observation.hash
+  const summary = typeof observation.summary === 'string' && observation.summary ? observation.summary : null
+  const observed = { lastObservedAt: now, lastObservationError: null }
+  const previousHash = typeof watcherState?.lastObservationHash === 'string' ? watcherState.lastObservationHash : null
+
+  if (!previousHash) {
+    return {
+      classification: 'baseline',
+      shouldRun: false,
+      watcherStatePatch: {
+        ...observed,
+        lastObservationHash: hash,
+        lastObservationSummary: summary,
+        lastClassifiedState: 'unchanged',
+      },
+    }
+  }
+  if (previousHash === hash) {
+    return {
+      classification: 'unchanged',
+      shouldRun: false,
+      watcherStatePatch: { ...observed, lastClassifiedState: 'unchanged' },
+    }
+  }
+
+  const intervalMs = (Number(watcherPolicy?.minNotifyIntervalMinutes) || 0) * 60_000
+  const lastDeliveredAt = Number.isFinite(watcherState?.lastDeliveredAt) ? watcherState.lastDeliveredAt : null
+  if (intervalMs > 0 && lastDeliveredAt !== null && now - lastDeliveredAt < intervalMs) {
+    return {
+      classification: 'changed',
+      shouldRun: false,
+      watcherStatePatch: { ...observed, lastClassifiedState: 'changed' },
+    }
+  }
+
+  return {
+    classification: 'alerted',
+    shouldRun: true,
+    watcherStatePatch: {
+      ...observed,
+      lastObservationHash: hash,
+      lastObservationSummary: summary,
+      lastClassifiedState: 'alerted',
+      lastDeliveredAt: now,
+    },
+  }
+}
@@ -1,7 +1,7 @@
 import test from 'node:test'
 import assert from 'node:assert/strict'
 
-import { evaluateWatcherEscalation } from './automation-watcher.mjs'
+import { classifyWatcherObservation, evaluateWatcherEscalation } from './automation-watcher.mjs'
 
 test('evaluateWatcherEscalation returns no escalation when escalateWithWorkflow is false', () => {
   const result = evaluateWatcherEscalation({
@@ -99,3 +99,28 @@ test('evaluateWatcherEscalation re-escalates after a different hash arrives post
     lastInvestigatedHash: 'hash-brand-new',
   })
 })
+
+test('classifyWatcherObservation records a baseline, throttles changes and alerts', () => {
+  const policy = { mode: 'change_only', minNotifyIntervalMinutes: 10 }
+  const baseline = classifyWatcherObservation({ watcherPolicy: policy, watcherState: null, observation: { hash: 'h1', summary: 's1' }, now: 1_000 })
+  assert.equal(baseline.classification, 'baseline')
+  assert.equal(baseline.shouldRun, false)
+  assert.equal(baseline.watcherStatePatch.lastObservationHash, 'h1')
+
+  const state = { lastObservationHash: 'h1', lastDeliveredAt: 1_000 }
+  assert.equal(classifyWatcherObservation({ watcherPolicy: policy, watcherState: state, observation: { hash: 'h1' }, now: 2_000 }).classification, 'unchanged')
+  const held = classifyWatcherObservation({ watcherPolicy: policy, watcherState: state, observation: { hash: 'h2' }, now: 2_000 })
+  assert.equal(held.classification, 'changed')
+  assert.equal(held.watcherStatePatch.lastObservationHash, undefined)
+
+  const alerted = classifyWatcherObservation({ watcherPolicy: policy, watcherState: state, observation: { hash: 'h2', summary: 's2' }, now: 1_000 + 10 * 60_000 })
+  assert.equal(alerted.shouldRun, true)
+  assert.deepEqual(alerted.watcherStatePatch, {
+    lastObservedAt: 601_000,
+    lastObservationError: null,
+    lastObservationHash: 'h2',
+    lastObservationSummary: 's2',
+    lastClassifiedState: 'alerted',
+    lastDeliveredAt: 601_000,
+  })
+})
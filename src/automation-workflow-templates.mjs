@@ -1,10 +1,15 @@
 /**
  * Automation workflow template registry.
  *
- * Each template defines the ordered steps for a multi-turn workflow.
- * Templates are pure data — runtime behavior lives in automation-workflow.mjs.
+ * Each template defines the steps for a multi-turn workflow. The built-in
+ * templates are linear; user-defined templates (workflow-template-store.mjs)
+ * are step graphs with conditional edges, bounded loops and parallel
+ * branches that join. Templates are pure data — runtime behavior lives in
+ * automation-workflow.mjs.
  */
 
+import { createStrictFail, isPlainObject } from './normalize.mjs'
+
 const WORKFLOW_TEMPLATES = {
   research_synthesis: {
     id: 'research_synthesis',
@@ -39,18 +44,325 @@ const WORKFLOW_TEMPLATES = {
 Object.values(WORKFLOW_TEMPLATES).forEach((t) => Object.freeze(t.steps.forEach((s) => Object.freeze(s))) || Object.freeze(t))
 Object.freeze(WORKFLOW_TEMPLATES)
 
-const MULTI_TURN_TEMPLATES = new Set(Object.keys(WORKFLOW_TEMPLATES))
+// ── User-defined graph templates ──
+
+/** Edge target that ends the branch. */
+export const WORKFLOW_END = 'end'
+
+const FALLBACK_BEHAVIORS = ['run_first', 'skip_all']
+const TEMPLATE_ID_RE = /^[a-z][a-z0-9_-]{0,63}$/
+const STEP_KIND_RE = /^[a-z][a-z0-9_]{0,39}$/
+const MAX_GRAPH_STEPS = 50
+const MAX_EDGE_ITERATIONS = 20
+const MAX_INSTRUCTION_CHARS = 4_000
+const MAX_RECIPE_LINES = 20
+const CONDITION_RE = /^(!)?\s*((?:handoffData|steps|summary)(?:\.[A-Za-z0-9_-]+)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/
+
+const userTemplates = new Map()
+
+const fail = createStrictFail('workflow-templates')
+
+function parseConditionLiteral(raw) {
+  const text = raw.trim()
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text.replace(/^'(.*)'$/, '$1')
+  }
+}
+
+/**
+ * Parse an edge condition: `path`, `!path` or `path <op> literal`, where
+ * path starts at `handoffData`, `steps` or `summary` and op is one of
+ * == != > >= < <=. Returns null for anything else.
+ * @returns {{ negate: boolean, path: string[], op: string|null, value: unknown }|null}
+ */
+export function parseWorkflowCondition(raw) {
+  if (typeof raw !== 'string') return null
+  const match = raw.trim().match(CONDITION_RE)
+  if (!match) return null
+  const [, negate, path, op, literal] = match
+  if (negate && op) return null
+  return {
+    negate: Boolean(negate),
+    path: path.split('.'),
+    op: op || null,
+    value: op ? parseConditionLiteral(literal) : undefined,
+  }
+}
+
+function normalizeStringList(value, label, strict, max) {
+  if (value === undefined) return []
+  if (!Array.isArray(value) || value.length > max || value.some((item) => typeof item !== 'string' || !item.trim())) {
+    fail(strict, `${label} must be an array of at most ${max} non-empty strings.`)
+    return null
+  }
+  return value.map((item) => item.trim())
+}
+
+function normalizeEdges(raw, label, strict) {
+  const list = typeof raw === 'string' ? [{ to: raw }] : raw
+  if (!Array.isArray(list)) {
+    fail(strict, `${label} must be a step id or an array of edges.`)
+    return null
+  }
+  const edges = []
+  for (const [index, entry] of list.entries()) {
+    const edge = typeof entry === 'string' ? { to: entry } : entry
+    const edgeLabel = `${label}[${index}]`
+    if (!isPlainObject(edge) || typeof edge.to !== 'string' || !edge.to.trim()) {
+      fail(strict, `${edgeLabel} needs a "to" step id.`)
+      return null
+    }
+    const normalized = { to: edge.to.trim() }
+    if (edge.when !== undefined) {
+      if (!parseWorkflowCondition(edge.when)) {
+        fail(strict, `${edgeLabel}.when is not a valid condition.`)
+        return null
+      }
+      normalized.when = edge.when.trim()
+    }
+    if (edge.maxIterations !== undefined) {
+      const max = Number(edge.maxIterations)
+      if (!Number.isInteger(max) || max < 1 || max > MAX_EDGE_ITERATIONS) {
+        fail(strict, `${edgeLabel}.maxIterations must be an integer between 1 and ${MAX_EDGE_ITERATIONS}.`)
+        return null
+      }
+      normalized.maxIterations = max
+    }
+    edges.push(normalized)
+  }
+  return edges
+}
+
+function normalizeRecipe(raw, label, strict) {
+  if (raw === undefined) return undefined
+  if (!isPlainObject(raw)) {
+    fail(strict, `${label} must be an object with sections and/or guidance.`)
+    return null
+  }
+  const sections = normalizeStringList(raw.sections, `${label}.sections`, strict, MAX_RECIPE_LINES)
+  const guidance = normalizeStringList(raw.guidance, `${label}.guidance`, strict, MAX_RECIPE_LINES)
+  if (!sections || !guidance) return null
+  return { sections, guidance }
+}
+
+function normalizeGraphStep(raw, index, nextStepId, strict) {
+  const label = `steps[${index}]`
+  if (!isPlainObject(raw)) {
+    fail(strict, `${label} must be an object.`)
+    return null
+  }
+  const id = typeof raw.id === 'string' ? raw.id.trim() : ''
+  if (!TEMPLATE_ID_RE.test(id) || id === WORKFLOW_END) {
+    fail(strict, `${label}.id must match ${TEMPLATE_ID_RE} and not be "${WORKFLOW_END}".`)
+    return null
+  }
+  const kind = typeof raw.kind === 'string' ? raw.kind.trim() : ''
+  if (!STEP_KIND_RE.test(kind)) {
+    fail(strict, `${label}.kind must match ${STEP_KIND_RE}.`)
+    return null
+  }
+  const step = { id, kind }
+  if (typeof raw.title === 'string' && raw.title.trim()) step.title = raw.title.trim().slice(0, 120)
+  if (raw.instruction !== undefined) {
+    if (typeof raw.instruction !== 'string' || !raw.instruction.trim() || raw.instruction.length > MAX_INSTRUCTION_CHARS) {
+      fail(strict, `${label}.instruction must be a non-empty string of at most ${MAX_INSTRUCTION_CHARS} characters.`)
+      return null
+    }
+    step.instruction = raw.instruction.trim()
+  }
+  const recipe = normalizeRecipe(raw.recipe, `${label}.recipe`, strict)
+  if (recipe === null) return null
+  if (recipe) step.recipe = recipe
+
+  if (raw.parallel !== undefined) {
+    if (raw.next !== undefined) {
+      fail(strict, `${label} cannot have both "next" and "parallel".`)
+      return null
+    }
+    const parallel = normalizeStringList(raw.parallel, `${label}.parallel`, strict, MAX_GRAPH_STEPS)
+    if (!parallel) return null
+    if (parallel.length < 2) {
+      fail(strict, `${label}.parallel needs at least two branches.`)
+      return null
+    }
+    step.parallel = parallel
+    step.next = []
+  } else {
+    // Without `next` a step falls through to the one listed after it.
+    const edges = normalizeEdges(raw.next === undefined ? nextStepId : raw.next, `${label}.next`, strict)
+    if (!edges) return null
+    step.next = edges
+  }
+  if (raw.join !== undefined) {
+    const join = normalizeStringList(raw.join, `${label}.join`, strict, MAX_GRAPH_STEPS)
+    if (!join) return null
+    if (join.length > 0) step.join = join
+  }
+  return step
+}
+
+function stepTargets(step) {
+  return step.parallel ? step.parallel : step.next.map((edge) => edge.to).filter((to) => to !== WORKFLOW_END)
+}
+
+function checkGraph(steps, start) {
+  const byId = new Map(steps.map((step) => [step.id, step]))
+  for (const step of steps) {
+    for (const target of [...stepTargets(step), ...(step.join || [])]) {
+      if (!byId.has(target)) return `step "${step.id}" refers to unknown step "${target}".`
+    }
+  }
+  const reached = new Set([start])
+  const pending = [start]
+  while (pending.length > 0) {
+    for (const target of stepTargets(byId.get(pending.pop()))) {
+      if (!reached.has(target)) {
+        reached.add(target)
+        pending.push(target)
+      }
+    }
+  }
+  const unreachable = steps.filter((step) => !reached.has(step.id)).map((step) => step.id)
+  if (unreachable.length > 0) return `steps not reachable from "${start}": ${unreachable.join(', ')}.`
+
+  // Every cycle must pass an edge with maxIterations, so no run loops forever.
+  const unboundedTargets = (step) => step.parallel
+    ? step.parallel
+    : step.next.filter((edge) => !edge.maxIterations && edge.to !== WORKFLOW_END).map((edge) => edge.to)
+  const visiting = new Set()
+  const visited = new Set()
+  const findCycle = (id) => {
+    if (visiting.has(id)) return id
+    if (visited.has(id)) return null
+    visiting.add(id)
+    for (const target of unboundedTargets(byId.get(id))) {
+      const cycle = findCycle(target)
+      if (cycle) return cycle
+    }
+    visiting.delete(id)
+    visited.add(id)
+    return null
+  }
+  for (const step of steps) {
+    const cycle = findCycle(step.id)
+    if (cycle) return `the loop through "${cycle}" needs an edge with maxIterations.`
+  }
+  return null
+}
+
+/**
+ * Validate a user-defined graph template. With `strict`, invalid templates
+ * throw; otherwise they are reported with a warning and null is returned.
+ * @returns {object|null} `{ id, description?, fallbackBehavior, start, steps, graph: true }`
+ */
+export function normalizeWorkflowGraphTemplate(raw, { strict = false } = {}) {
+  if (!isPlainObject(raw)) {
+    fail(strict, 'A workflow template must be an object.')
+    return null
+  }
+  const id = typeof raw.id === 'string' ? raw.id.trim() : ''
+  if (!TEMPLATE_ID_RE.test(id) || id === 'single_turn') {
+    fail(strict, `Workflow template id must match ${TEMPLATE_ID_RE}.`)
+    return null
+  }
+  if (isBuiltinWorkflowTemplate(id)) {
+    fail(strict, `"${id}" is a built-in workflow template.`)
+    return null
+  }
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0 || raw.steps.length > MAX_GRAPH_STEPS) {
+    fail(strict, `Workflow template "${id}" needs between 1 and ${MAX_GRAPH_STEPS} steps.`)
+    return null
+  }
+  const steps = []
+  for (const [index, rawStep] of raw.steps.entries()) {
+    const nextStepId = typeof raw.steps[index + 1]?.id === 'string' ? raw.steps[index + 1].id.trim() : WORKFLOW_END
+    let step
+    try {
+      step = normalizeGraphStep(rawStep, index, nextStepId, strict)
+    } catch (err) {
+      throw new Error(`Workflow template "${id}": ${err.message}`)
+    }
+    if (!step) return null
+    if (steps.some((existing) => existing.id === step.id)) {
+      fail(strict, `Workflow template "${id}" has more than one step "${step.id}".`)
+      return null
+    }
+    steps.push(step)
+  }
+  const start = typeof raw.start === 'string' && raw.start.trim() ? raw.start.trim() : steps[0].id
+  if (!steps.some((step) => step.id === start)) {
+    fail(strict, `Workflow template "${id}": start step "${start}" does not exist.`)
+    return null
+  }
+  const problem = checkGraph(steps, start)
+  if (problem) {
+    fail(strict, `Workflow template "${id}": ${problem}`)
+    return null
+  }
+  const fallbackBehavior = FALLBACK_BEHAVIORS.includes(raw.fallbackBehavior) ? raw.fallbackBehavior : 'run_first'
+  return {
+    id,
+    ...(typeof raw.description === 'string' && raw.description.trim() ? { description: raw.description.trim() } : {}),
+    fallbackBehavior,
+    start,
+    steps,
+    graph: true,
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze)
+    Object.freeze(value)
+  }
+  return value
+}
+
+/**
+ * Add or replace a user-defined template (validated strictly).
+ * @returns {object} the normalized template
+ */
+export function registerWorkflowTemplate(raw) {
+  const template = normalizeWorkflowGraphTemplate(raw, { strict: true })
+  userTemplates.set(template.id, deepFreeze(template))
+  return template
+}
+
+export function unregisterWorkflowTemplate(templateName) {
+  return userTemplates.delete(templateName)
+}
+
+/**
+ * Replace every user-defined template. Invalid entries are skipped with a
+ * warning so a hand-edited file never stops the companion from starting.
+ * @returns {string[]} the registered template ids
+ */
+export function configureWorkflowTemplates(list = []) {
+  userTemplates.clear()
+  for (const raw of Array.isArray(list) ? list : []) {
+    const template = normalizeWorkflowGraphTemplate(raw)
+    if (template) userTemplates.set(template.id, deepFreeze(template))
+  }
+  return Array.from(userTemplates.keys())
+}
+
+export function isBuiltinWorkflowTemplate(templateName) {
+  return Object.hasOwn(WORKFLOW_TEMPLATES, templateName)
+}
 
 export function getWorkflowTemplate(templateName) {
-  return WORKFLOW_TEMPLATES[templateName] || null
+  if (isBuiltinWorkflowTemplate(templateName)) return WORKFLOW_TEMPLATES[templateName]
+  return userTemplates.get(templateName) || null
 }
 
 export function isMultiTurnTemplate(templateName) {
-  return MULTI_TURN_TEMPLATES.has(templateName)
+  return Boolean(getWorkflowTemplate(templateName))
 }
 
 export function listWorkflowTemplates() {
-  return Object.keys(WORKFLOW_TEMPLATES)
+  return [...Object.keys(WORKFLOW_TEMPLATES), ...userTemplates.keys()]
 }
 
 export function getTemplateFallbackBehavior(templateName) {
@@ -58,13 +370,35 @@ export function getTemplateFallbackBehavior(templateName) {
   return template?.fallbackBehavior || null
 }
 
+/**
+ * The step graph a workflow run follows: `{ start, steps }` with `next`
+ * edges on every step. User-defined templates return their own graph
+ * (runs keep a copy); built-in templates are chained in order.
+ */
+export function getWorkflowTemplateGraph(templateName) {
+  const template = getWorkflowTemplate(templateName)
+  if (!template) return null
+  if (template.graph) {
+    return JSON.parse(JSON.stringify({ start: template.start, steps: template.steps }))
+  }
+  return {
+    start: template.steps[0].id,
+    steps: template.steps.map((step, index) => ({
+      id: step.id,
+      kind: step.kind,
+      next: [{ to: template.steps[index + 1]?.id || WORKFLOW_END }],
+    })),
+  }
+}
+
 export function buildInitialSteps(templateName) {
   const template = getWorkflowTemplate(templateName)
   if (!template) return null
-  return template.steps.map((step, index) => ({
+  const startId = template.graph ? template.start : template.steps[0].id
+  return template.steps.map((step) => ({
     id: step.id,
     kind: step.kind,
-    state: index === 0 ? 'running' : 'queued',
+    state: step.id === startId ? 'running' : 'queued',
     runId: null,
     source: null,
     attemptId: null,
@@ -74,5 +408,6 @@ export function buildInitialSteps(templateName) {
     handoffSummary: null,
     handoffData: null,
     retry: null,
+    ...(template.graph ? { visits: step.id === startId ? 1 : 0 } : {}),
   }))
 }
@@ -6,6 +6,12 @@ import {
   isMultiTurnTemplate,
   listWorkflowTemplates,
   buildInitialSteps,
+  configureWorkflowTemplates,
+  getWorkflowTemplateGraph,
+  normalizeWorkflowGraphTemplate,
+  parseWorkflowCondition,
+  registerWorkflowTemplate,
+  unregisterWorkflowTemplate,
 } from './automation-workflow-templates.mjs'
 
 test('research_synthesis resolves to plan -> research -> synthesize', () => {
@@ -68,3 +74,66 @@ test('buildInitialSteps returns null for unknown templates', () => {
   assert.equal(buildInitialSteps('single_turn'), null)
   assert.equal(buildInitialSteps('unknown'), null)
 })
+
+test('parseWorkflowCondition accepts truthiness, negation and comparisons', () => {
+  assert.deepEqual(parseWorkflowCondition('handoffData.approved'), { negate: false, path: ['handoffData', 'approved'], op: null, value: undefined })
+  assert.deepEqual(parseWorkflowCondition('!steps.review.handoffData.ok').negate, true)
+  assert.deepEqual(parseWorkflowCondition('handoffData.score >= 0.8'), { negate: false, path: ['handoffData', 'score'], op: '>=', value: 0.8 })
+  assert.equal(parseWorkflowCondition("handoffData.verdict == 'ship'").value, 'ship')
+  assert.equal(parseWorkflowCondition('env.HOME'), null)
+  assert.equal(parseWorkflowCondition('!handoffData.score > 1'), null)
+})
+
+test('normalizeWorkflowGraphTemplate fills in fall-through edges and the start step', () => {
+  const template = normalizeWorkflowGraphTemplate({
+    id: 'triage',
+    steps: [
+      { id: 'collect', kind: 'research', recipe: { guidance: ['Cite sources'] } },
+      { id: 'summarize', kind: 'synthesize', title: 'Summary' },
+    ],
+  }, { strict: true })
+  assert.equal(template.start, 'collect')
+  assert.equal(template.fallbackBehavior, 'run_first')
+  assert.deepEqual(template.steps[0].next, [{ to: 'summarize' }])
+  assert.deepEqual(template.steps[0].recipe, { sections: [], guidance: ['Cite sources'] })
+  assert.deepEqual(template.steps[1].next, [{ to: 'end' }])
+})
+
+test('normalizeWorkflowGraphTemplate rejects broken graphs in strict mode', () => {
+  const strict = (raw) => () => normalizeWorkflowGraphTemplate(raw, { strict: true })
+  assert.throws(strict({ id: 'research_synthesis', steps: [{ id: 'a', kind: 'plan' }] }), /built-in/)
+  assert.throws(strict({ id: 'x', steps: [{ id: 'a', kind: 'plan', next: 'missing' }] }), /unknown step "missing"/)
+  assert.throws(strict({ id: 'x', steps: [{ id: 'a', kind: 'plan', next: 'end' }, { id: 'b', kind: 'plan' }] }), /not reachable/)
+  assert.throws(strict({
+    id: 'x',
+    steps: [{ id: 'a', kind: 'plan' }, { id: 'b', kind: 'plan', next: [{ to: 'a', when: 'handoffData.retry' }, 'end'] }],
+  }), /needs an edge with maxIterations/)
+  assert.throws(strict({ id: 'x', steps: [{ id: 'a', kind: 'plan', next: [{ to: 'end', when: 'process.exit' }] }] }), /not a valid condition/)
+  assert.throws(strict({ id: 'x', steps: [{ id: 'a', kind: 'plan', parallel: ['a'] }] }), /at least two branches/)
+  // Non-strict mode reports the problem and returns null.
+  assert.equal(normalizeWorkflowGraphTemplate({ id: 'x', steps: [] }), null)
+})
+
+test('user-defined templates register alongside the built-ins and expose their graph', (t) => {
+  t.after(() => configureWorkflowTemplates([]))
+  registerWorkflowTemplate({
+    id: 'review_loop',
+    steps: [
+      { id: 'draft', kind: 'write' },
+      { id: 'review', kind: 'review', next: [{ to: 'draft', when: '!handoffData.approved', maxIterations: 2 }, 'end'] },
+    ],
+  })
+  assert.equal(isMultiTurnTemplate('review_loop'), true)
+  assert.deepEqual(listWorkflowTemplates().slice(3), ['review_loop'])
+  assert.equal(Object.isFrozen(getWorkflowTemplate('review_loop').steps[1].next[0]), true)
+  assert.deepEqual(getWorkflowTemplateGraph('review_loop').steps[1].next[0], { to: 'draft', when: '!handoffData.approved', maxIterations: 2 })
+  assert.deepEqual(getWorkflowTemplateGraph('research_synthesis').steps.map((step) => step.next[0].to), ['research', 'synthesize', 'end'])
+
+  const steps = buildInitialSteps('review_loop')
+  assert.deepEqual(steps.map((step) => [step.state, step.visits]), [['running', 1], ['queued', 0]])
+
+  // Reloading skips invalid entries instead of throwing.
+  assert.deepEqual(configureWorkflowTemplates([{ id: 'broken', steps: [] }, { id: 'ok', steps: [{ id: 'a', kind: 'plan' }] }]), ['ok'])
+  assert.equal(isMultiTurnTemplate('review_loop'), false)
+  assert.equal(unregisterWorkflowTemplate('ok'), true)
+})
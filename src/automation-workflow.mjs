@@ -1,4 +1,10 @@
-import { isMultiTurnTemplate, buildInitialSteps } from './automation-workflow-templates.mjs'
+import {
+  WORKFLOW_END,
+  buildInitialSteps,
+  getWorkflowTemplateGraph,
+  isMultiTurnTemplate,
+  parseWorkflowCondition,
+} from './automation-workflow-templates.mjs'
 import { buildRecipeGuidance } from './automation-recipe-pack.mjs'
 
 function clone(value) {
@@ -11,11 +17,23 @@ function compactText(raw, maxLength = 320) {
   return text.length <= maxLength ? text : `${text.slice(0, Math.max(32, maxLength - 16)).trimEnd()}...[truncated]`
 }
 
-function normalizeTemplate(raw) {
-  if (typeof raw === 'string' && isMultiTurnTemplate(raw)) return raw
+const MAX_TRAIL_LENGTH = 200
+
+function isGraphState(state) {
+  return Boolean(state?.graph && Array.isArray(state.graph.steps))
+}
+
+// Runs of a user-defined template carry their graph, so they keep going
+// even if the template is edited or removed meanwhile.
+function normalizeTemplate(raw, state) {
+  if (typeof raw === 'string' && (isMultiTurnTemplate(raw) || isGraphState(state))) return raw
   return 'single_turn'
 }
 
+function isMultiTurnWorkflow(workflow) {
+  return workflow.template !== 'single_turn' && Boolean(workflow.state)
+}
+
 function findCurrentStepIndex(state) {
   if (!state || !Array.isArray(state.steps) || state.steps.length === 0) return -1
   const byCurrentId = typeof state.currentStepId === 'string'
@@ -38,10 +56,10 @@ function normalizePolicy(raw) {
 }
 
 export function initializeAutomationWorkflow(workflow) {
-  const template = normalizeTemplate(workflow?.template)
+  const template = normalizeTemplate(workflow?.template, workflow?.state)
   const policy = normalizePolicy(workflow?.policy)
 
-  if (!isMultiTurnTemplate(template)) {
+  if (template === 'single_turn') {
     return { template: 'single_turn', policy: null, state: null }
   }
 
@@ -50,15 +68,21 @@ export function initializeAutomationWorkflow(workflow) {
   }
 
   const steps = buildInitialSteps(template)
+  const graph = getWorkflowTemplateGraph(template)
+  const startId = steps.find((step) => step.state === 'running')?.id || null
   return {
     template,
     policy,
     state: {
-      currentStepId: steps[0]?.id || null,
+      currentStepId: startId,
       steps,
       lastWorkflowSummary: null,
       lastContinuationAt: null,
       terminalState: null,
+      // Graph runs: the template's graph, steps ready to start, loop edge counts, and started steps in order.
+      ...(steps.some((step) => 'visits' in step)
+        ? { graph, ready: [], edgeCounts: {}, trail: startId ? [startId] : [] }
+        : {}),
     },
   }
 }
@@ -76,6 +100,160 @@ function makeResult(template, policy, state, overrides) {
   }
 }
 
+// ── Step graphs ──
+
+function findGraphStep(state, stepId) {
+  return state.graph.steps.find((step) => step.id === stepId) || null
+}
+
+function graphTargets(step) {
+  if (!step) return []
+  return step.parallel || step.next.map((edge) => edge.to).filter((to) => to !== WORKFLOW_END)
+}
+
+function readPath(context, path) {
+  let value = context
+  for (const key of path) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined
+    value = value[key]
+  }
+  return value
+}
+
+/**
+ * Evaluate an edge condition (see parseWorkflowCondition) against the step
+ * that just finished: `handoffData` and `summary` are its own, `steps.<id>`
+ * holds every step's state, summary, handoffData and visits.
+ */
+export function evaluateWorkflowCondition(condition, context) {
+  const parsed = parseWorkflowCondition(condition)
+  if (!parsed) return false
+  const value = readPath(context, parsed.path)
+  if (!parsed.op) return parsed.negate ? !value : Boolean(value)
+  switch (parsed.op) {
+    case '==': return value === parsed.value
+    case '!=': return value !== parsed.value
+    case '>': return Number(value) > Number(parsed.value)
+    case '>=': return Number(value) >= Number(parsed.value)
+    case '<': return Number(value) < Number(parsed.value)
+    case '<=': return Number(value) <= Number(parsed.value)
+    default: return false
+  }
+}
+
+function buildConditionContext(state, currentStep) {
+  return {
+    handoffData: currentStep.handoffData || {},
+    summary: currentStep.summary || '',
+    steps: Object.fromEntries(state.steps.map((step) => [step.id, {
+      state: step.state,
+      summary: step.summary,
+      handoffData: step.handoffData || {},
+      visits: step.visits || 0,
+    }])),
+  }
+}
+
+/** The first edge whose condition holds and whose loop budget is not spent. */
+function selectGraphEdge(state, node, context) {
+  for (const edge of node?.next || []) {
+    if (edge.when && !evaluateWorkflowCondition(edge.when, context)) continue
+    if (edge.maxIterations) {
+      const key = `${node.id}->${edge.to}`
+      const count = state.edgeCounts[key] || 0
+      if (count >= edge.maxIterations) continue
+      state.edgeCounts[key] = count + 1
+    }
+    return edge.to === WORKFLOW_END ? [] : [edge.to]
+  }
+  return []
+}
+
+// A join waits while one of the steps it joins can still be reached from another ready step.
+function isJoinBlocked(state, stepId) {
+  const join = findGraphStep(state, stepId)?.join
+  if (!join) return false
+  const reachable = new Set()
+  const pending = state.ready.filter((id) => id !== stepId)
+  while (pending.length > 0) {
+    const id = pending.pop()
+    if (reachable.has(id) || id === stepId) continue
+    reachable.add(id)
+    pending.push(...graphTargets(findGraphStep(state, id)))
+  }
+  return join.some((id) => reachable.has(id))
+}
+
+function continueWorkflowGraph(template, policy, state, currentStep, { runId, now }) {
+  const node = findGraphStep(state, currentStep.id)
+  const targets = node?.parallel
+    ? [...node.parallel]
+    : selectGraphEdge(state, node, buildConditionContext(state, currentStep))
+  for (const target of targets) {
+    if (!state.ready.includes(target)) state.ready.push(target)
+  }
+
+  const readyIndex = state.ready.findIndex((id) => !isJoinBlocked(state, id))
+  if (state.ready.length === 0) {
+    for (const step of state.steps) {
+      if (step.state === 'queued') {
+        step.state = 'skipped'
+        step.summary = 'Not reached'
+      }
+    }
+    state.currentStepId = null
+    state.terminalState = 'done'
+    return makeResult(template, policy, state, {
+      currentStep: clone(currentStep),
+      failed: false,
+    })
+  }
+
+  const [nextId] = state.ready.splice(Math.max(readyIndex, 0), 1)
+  const nextStep = state.steps.find((step) => step.id === nextId)
+  nextStep.state = 'running'
+  nextStep.visits = (nextStep.visits || 0) + 1
+  nextStep.runId = typeof runId === 'string' && runId ? runId : nextStep.runId || null
+  nextStep.source = typeof runId === 'string' && runId ? `advance:${runId}` : null
+  nextStep.attemptId = `${nextStep.id}:${runId || 'unknown'}:${nextStep.visits}`
+  nextStep.startedAt = now
+  nextStep.finishedAt = null
+  nextStep.handoffData = null
+  nextStep.retry = null
+  state.currentStepId = nextStep.id
+  state.lastContinuationAt = now
+  state.trail = [...(state.trail || []), nextStep.id].slice(-MAX_TRAIL_LENGTH)
+  return makeResult(template, policy, state, {
+    currentStep: clone(currentStep),
+    nextStep: clone(nextStep),
+    continued: true,
+    completed: false,
+    failed: false,
+  })
+}
+
+/**
+ * Structured handoff of a graph step whose outgoing edges test
+ * `handoffData`: the last fenced ```json object in the agent's reply.
+ * Returns null for other steps and when no such block is present.
+ */
+export function extractWorkflowHandoffData(workflow, text) {
+  const state = workflow?.state
+  if (!isGraphState(state) || typeof text !== 'string') return null
+  const node = findGraphStep(state, state.currentStepId)
+  if (!node?.next.some((edge) => edge.when?.includes('handoffData'))) return null
+  const blocks = [...text.matchAll(/```json\s*\n([\s\S]*?)```/g)]
+  for (const block of blocks.reverse()) {
+    try {
+      const parsed = JSON.parse(block[1])
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+    } catch {
+      // keep looking at earlier blocks
+    }
+  }
+  return null
+}
+
 export function advanceAutomationWorkflow(workflow, {
   runId = null,
   terminalState = '',
@@ -86,7 +264,7 @@ export function advanceAutomationWorkflow(workflow, {
 } = {}) {
   const currentWorkflow = initializeAutomationWorkflow(workflow)
   const { template, policy } = currentWorkflow
-  if (!isMultiTurnTemplate(template) || !currentWorkflow.state) {
+  if (!isMultiTurnWorkflow(currentWorkflow)) {
     return makeResult(template, policy, currentWorkflow.state, {
       failed: Boolean(terminalState) && terminalState !== 'done',
     })
@@ -111,8 +289,8 @@ export function advanceAutomationWorkflow(workflow, {
   if (!currentStep.startedAt) currentStep.startedAt = now
   state.lastWorkflowSummary = normalizedSummary
 
-  // Handle condition result for next step routing
-  if (conditionResult) {
+  // Handle condition result for next step routing (graph runs route by their edges)
+  if (conditionResult && !isGraphState(state)) {
     const { met, onFalse } = conditionResult
     if (!met) {
       const nextIndex = currentIndex + 1
@@ -181,6 +359,7 @@ export function advanceAutomationWorkflow(workflow, {
     }
     state.currentStepId = null
     state.terminalState = 'failed'
+    if (isGraphState(state)) state.ready = []
     return makeResult(template, policy, state, {
       currentStep: clone(currentStep),
       failed: true,
@@ -195,6 +374,9 @@ export function advanceAutomationWorkflow(workflow, {
   if (handoffData && typeof handoffData === 'object' && !Array.isArray(handoffData)) {
     currentStep.handoffData = handoffData
   }
+  if (isGraphState(state)) {
+    return continueWorkflowGraph(template, policy, state, currentStep, { runId, now })
+  }
 
   const nextStep = state.steps[currentIndex + 1] || null
   if (!nextStep) {
@@ -224,7 +406,7 @@ export function advanceAutomationWorkflow(workflow, {
 
 export function resumeAutomationWorkflowRetry(workflow, { runId = null } = {}) {
   const currentWorkflow = initializeAutomationWorkflow(workflow)
-  if (!isMultiTurnTemplate(currentWorkflow.template) || !currentWorkflow.state) {
+  if (!isMultiTurnWorkflow(currentWorkflow)) {
     return { workflow: currentWorkflow, resumed: false, step: null }
   }
 
@@ -265,7 +447,7 @@ export function failAutomationWorkflowStep(workflow, {
   summary = '',
 } = {}) {
   const currentWorkflow = initializeAutomationWorkflow(workflow)
-  if (!isMultiTurnTemplate(currentWorkflow.template) || !currentWorkflow.state) {
+  if (!isMultiTurnWorkflow(currentWorkflow)) {
     return currentWorkflow
   }
 
@@ -287,12 +469,13 @@ export function failAutomationWorkflowStep(workflow, {
   state.currentStepId = null
   state.lastWorkflowSummary = step.summary
   state.terminalState = 'failed'
+  if (isGraphState(state)) state.ready = []
   return { template: currentWorkflow.template, policy: currentWorkflow.policy, state }
 }
 
 export function cancelAutomationWorkflow(workflow, { reason = '' } = {}) {
   const currentWorkflow = initializeAutomationWorkflow(workflow)
-  if (!isMultiTurnTemplate(currentWorkflow.template) || !currentWorkflow.state) {
+  if (!isMultiTurnWorkflow(currentWorkflow)) {
     return currentWorkflow
   }
 
@@ -312,6 +495,7 @@ export function cancelAutomationWorkflow(workflow, { reason = '' } = {}) {
 
   state.currentStepId = null
   state.terminalState = 'cancelled'
+  if (isGraphState(state)) state.ready = []
 
   return { template: currentWorkflow.template, policy: currentWorkflow.policy, state }
 }
@@ -329,19 +513,72 @@ function getWorkflowStepInstruction(stepKind) {
   return STEP_INSTRUCTIONS[stepKind] || STEP_INSTRUCTIONS.synthesize
 }
 
+function handoffDataKeys(node) {
+  const keys = new Set()
+  for (const edge of node?.next || []) {
+    const parsed = edge.when ? parseWorkflowCondition(edge.when) : null
+    if (parsed?.path[0] === 'handoffData' && parsed.path[1]) keys.add(parsed.path[1])
+  }
+  return Array.from(keys)
+}
+
+/**
+ * Prompt for a step of a graph run. It uses the step's own instruction and
+ * recipe when the template sets them, and hands over from the step that
+ * led here, or from every branch a join step joins.
+ */
+function buildGraphStepPrompt(workflow, currentStep, prompt) {
+  const { state } = workflow
+  const node = findGraphStep(state, currentStep.id)
+  const previousIds = node?.join || [state.trail?.[state.trail.length - 2]]
+  const previousSteps = previousIds
+    .map((id) => state.steps.find((step) => step.id === id && step.id !== currentStep.id))
+    .filter(Boolean)
+  const handoffLines = previousSteps.flatMap((step) => [
+    step.handoffSummary ? `Handoff from step ${step.id}: ${step.handoffSummary}` : null,
+    step.handoffData
+      ? `\n## Step ${step.id} Data (structured)\n\`\`\`json\n${JSON.stringify(step.handoffData, null, 2)}\n\`\`\``
+      : null,
+  ])
+
+  const recipe = node?.recipe || buildRecipeGuidance({ stepKind: currentStep.kind })
+  const dataKeys = handoffDataKeys(node)
+  const retryContext = currentStep.retry?.lastError
+    ? `This is retry attempt ${currentStep.retry.attempt}. Previous error: ${currentStep.retry.lastError}. Adjust your approach accordingly.`
+    : null
+
+  return [
+    `Workflow template: ${workflow.template}.`,
+    `Current workflow step: ${node?.title || currentStep.id} (${currentStep.kind})${currentStep.visits > 1 ? `, pass ${currentStep.visits}` : ''}.`,
+    node?.instruction || getWorkflowStepInstruction(currentStep.kind),
+    recipe?.sections?.length ? `Use section headings in this order: ${recipe.sections.join(', ')}.` : null,
+    ...(recipe?.guidance || []).map((line) => `- ${line}`),
+    ...handoffLines,
+    dataKeys.length > 0
+      ? `End your reply with a fenced \`\`\`json block holding an object with: ${dataKeys.join(', ')}.`
+      : null,
+    retryContext,
+    '',
+    prompt,
+  ].filter(Boolean).join('\n').trim()
+}
+
 export function buildAutomationWorkflowPrompt({
   workflow,
   basePrompt = '',
 } = {}) {
   const currentWorkflow = initializeAutomationWorkflow(workflow)
   const prompt = typeof basePrompt === 'string' ? basePrompt.trim() : ''
-  if (!isMultiTurnTemplate(currentWorkflow.template) || !currentWorkflow.state) {
+  if (!isMultiTurnWorkflow(currentWorkflow)) {
     return prompt
   }
 
   const currentIndex = findCurrentStepIndex(currentWorkflow.state)
   const currentStep = currentIndex >= 0 ? currentWorkflow.state.steps[currentIndex] : null
   if (!currentStep) return prompt
+  if (isGraphState(currentWorkflow.state)) {
+    return buildGraphStepPrompt(currentWorkflow, currentStep, prompt)
+  }
 
   // Include handoff from previous step if available
   const prevStep = currentIndex > 0 ? currentWorkflow.state.steps[currentIndex - 1] : null
@@ -379,3 +616,90 @@ export function buildAutomationWorkflowPrompt({
     prompt,
   ].filter(Boolean).join('\n').trim()
 }
+
+// ── Status view ──
+
+const MERMAID_STATE_STYLES = {
+  done: 'fill:#dcfce7,stroke:#16a34a',
+  running: 'fill:#dbeafe,stroke:#2563eb',
+  needs_retry: 'fill:#fef3c7,stroke:#d97706',
+  failed: 'fill:#fee2e2,stroke:#dc2626',
+  skipped: 'fill:#f3f4f6,stroke:#9ca3af,color:#6b7280',
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;')
+}
+
+function renderWorkflowMermaid(nodes, edges) {
+  const refs = new Map(nodes.map((node, index) => [node.id, `s${index}`]))
+  const lines = ['flowchart TD']
+  for (const node of nodes) {
+    lines.push(`  ${refs.get(node.id)}["${mermaidLabel(`${node.title || node.id} (${node.kind})`)}"]`)
+  }
+  if (edges.some((edge) => edge.to === WORKFLOW_END)) lines.push('  end_node(("end"))')
+  for (const edge of edges) {
+    const target = edge.to === WORKFLOW_END ? 'end_node' : refs.get(edge.to)
+    const label = [edge.when, edge.maxIterations ? `max ${edge.maxIterations}` : null].filter(Boolean).join(', ')
+    const arrow = edge.parallel ? '==>' : edge.maxIterations ? '-.->' : '-->'
+    lines.push(`  ${refs.get(edge.from)} ${arrow}${label ? `|"${mermaidLabel(label)}"|` : ''} ${target}`)
+  }
+  for (const [state, style] of Object.entries(MERMAID_STATE_STYLES)) {
+    const members = nodes.filter((node) => node.state === state).map((node) => refs.get(node.id))
+    if (members.length === 0) continue
+    lines.push(`  classDef ${state} ${style}`)
+    lines.push(`  class ${members.join(',')} ${state}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * A workflow run as a graph for status views. Nodes carry the step state,
+ * edges their condition and loop budget (`used` counts loop passes so far),
+ * and `mermaid` draws the same graph as a flowchart. Built-in templates
+ * come out as a chain.
+ */
+export function describeAutomationWorkflow(workflow) {
+  const currentWorkflow = initializeAutomationWorkflow(workflow)
+  if (!isMultiTurnWorkflow(currentWorkflow)) return null
+  const { state } = currentWorkflow
+  const steps = Array.isArray(state.steps) ? state.steps : []
+  const graph = isGraphState(state)
+    ? state.graph
+    : {
+        start: steps[0]?.id || null,
+        steps: steps.map((step, index) => ({ id: step.id, kind: step.kind, next: [{ to: steps[index + 1]?.id || WORKFLOW_END }] })),
+      }
+  const nodes = steps.map((step) => {
+    const node = graph.steps.find((entry) => entry.id === step.id)
+    return {
+      id: step.id,
+      kind: step.kind,
+      ...(node?.title ? { title: node.title } : {}),
+      state: step.state,
+      summary: step.summary,
+      ...(Number.isFinite(step.visits) ? { visits: step.visits } : {}),
+      ...(node?.join ? { join: [...node.join] } : {}),
+    }
+  })
+  const edges = graph.steps.flatMap((node) => node.parallel
+    ? node.parallel.map((to) => ({ from: node.id, to, parallel: true }))
+    : node.next.map((edge) => ({
+        from: node.id,
+        to: edge.to,
+        ...(edge.when ? { when: edge.when } : {}),
+        ...(edge.maxIterations
+          ? { maxIterations: edge.maxIterations, used: state.edgeCounts?.[`${node.id}->${edge.to}`] || 0 }
+          : {}),
+      })))
+  return {
+    template: currentWorkflow.template,
+    terminalState: state.terminalState,
+    currentStepId: state.currentStepId,
+    start: graph.start,
+    nodes,
+    edges,
+    ...(isGraphState(state) ? { ready: [...(state.ready || [])], trail: [...(state.trail || [])] } : {}),
+    mermaid: renderWorkflowMermaid(nodes, edges),
+  }
+}
@@ -7,7 +7,11 @@ import {
   resumeAutomationWorkflowRetry,
   cancelAutomationWorkflow,
   buildAutomationWorkflowPrompt,
+  describeAutomationWorkflow,
+  evaluateWorkflowCondition,
+  extractWorkflowHandoffData,
 } from './automation-workflow.mjs'
+import { configureWorkflowTemplates, registerWorkflowTemplate } from './automation-workflow-templates.mjs'
 
 test('initializeAutomationWorkflow seeds research_synthesis with plan -> research -> synthesize', () => {
   const workflow = initializeAutomationWorkflow({
@@ -605,3 +609,167 @@ test('initializeAutomationWorkflow seeds steps with handoffData as null', () =>
     assert.equal(step.handoffData, null)
   }
 })
+
+// --- graph templates ---
+
+function useGraphTemplate(t, raw) {
+  registerWorkflowTemplate(raw)
+  t.after(() => configureWorkflowTemplates([]))
+  return initializeAutomationWorkflow({ template: raw.id, state: null })
+}
+
+function finishStep(workflow, runId, handoffData = null) {
+  return advanceAutomationWorkflow(workflow, { runId, terminalState: 'done', stepSummary: `${runId} done`, handoffData })
+}
+
+test('evaluateWorkflowCondition reads handoffData, summary and other steps', () => {
+  const context = {
+    handoffData: { score: 7, verdict: 'ship' },
+    summary: 'looks good',
+    steps: { review: { state: 'done', visits: 2, handoffData: { approved: false } } },
+  }
+  assert.equal(evaluateWorkflowCondition('handoffData.score > 5', context), true)
+  assert.equal(evaluateWorkflowCondition("handoffData.verdict == 'ship'", context), true)
+  assert.equal(evaluateWorkflowCondition('steps.review.visits >= 3', context), false)
+  assert.equal(evaluateWorkflowCondition('!steps.review.handoffData.approved', context), true)
+  assert.equal(evaluateWorkflowCondition('handoffData.missing', context), false)
+  assert.equal(evaluateWorkflowCondition('summary', context), true)
+})
+
+test('graph workflows follow conditional edges and bound loops by maxIterations', (t) => {
+  let workflow = useGraphTemplate(t, {
+    id: 'draft_review',
+    steps: [
+      { id: 'draft', kind: 'write' },
+      {
+        id: 'review',
+        kind: 'review',
+        next: [
+          { to: 'draft', when: '!handoffData.approved', maxIterations: 2 },
+          { to: 'publish', when: 'handoffData.approved' },
+          { to: 'escalate' },
+        ],
+      },
+      { id: 'publish', kind: 'write', next: 'end' },
+      { id: 'escalate', kind: 'notify' },
+    ],
+  })
+  assert.equal(workflow.state.currentStepId, 'draft')
+  assert.deepEqual(workflow.state.trail, ['draft'])
+
+  // Two rejected reviews loop back to draft; the third falls through to escalate.
+  for (let pass = 1; pass <= 3; pass++) {
+    workflow = finishStep(workflow, `draft-${pass}`).workflow
+    assert.equal(workflow.state.currentStepId, 'review')
+    const result = finishStep(workflow, `review-${pass}`, { approved: false })
+    workflow = result.workflow
+    if (pass < 3) {
+      assert.equal(result.nextStep.id, 'draft')
+      assert.equal(result.nextStep.attemptId, `draft:review-${pass}:${pass + 1}`)
+      assert.equal(result.nextStep.handoffData, null)
+    }
+  }
+  assert.equal(workflow.state.currentStepId, 'escalate')
+  assert.deepEqual(workflow.state.edgeCounts, { 'review->draft': 2 })
+
+  const final = finishStep(workflow, 'escalate-1')
+  assert.equal(final.completed, true)
+  assert.equal(final.workflow.state.terminalState, 'done')
+  assert.deepEqual(
+    final.workflow.state.steps.map((step) => [step.id, step.state, step.visits]),
+    [['draft', 'done', 3], ['review', 'done', 3], ['publish', 'skipped', 0], ['escalate', 'done', 1]],
+  )
+  assert.deepEqual(final.workflow.state.trail, ['draft', 'review', 'draft', 'review', 'draft', 'review', 'escalate'])
+})
+
+test('graph workflows run parallel branches one at a time and wait for them at the join', (t) => {
+  let workflow = useGraphTemplate(t, {
+    id: 'fan_out',
+    steps: [
+      { id: 'plan', kind: 'plan', parallel: ['pricing', 'reviews'] },
+      { id: 'pricing', kind: 'research', next: 'merge' },
+      { id: 'reviews', kind: 'research', next: [{ to: 'deep_dive', when: 'handoffData.mixed' }, 'merge'] },
+      { id: 'deep_dive', kind: 'research', next: 'merge' },
+      { id: 'merge', kind: 'synthesize', join: ['pricing', 'reviews', 'deep_dive'], next: 'end' },
+    ],
+  })
+  const order = []
+  let result
+  for (const data of [null, null, { mixed: true }, null, null]) {
+    order.push(workflow.state.currentStepId)
+    result = finishStep(workflow, `run-${order.length}`, data)
+    workflow = result.workflow
+  }
+  assert.deepEqual(order, ['plan', 'pricing', 'reviews', 'deep_dive', 'merge'])
+  assert.equal(result.workflow.state.terminalState, 'done')
+  assert.deepEqual(result.workflow.state.ready, [])
+})
+
+test('graph step prompts use the node instruction, recipe, join handoffs and handoffData keys', (t) => {
+  let workflow = useGraphTemplate(t, {
+    id: 'gate',
+    steps: [
+      { id: 'a', kind: 'research', parallel: ['b', 'c'] },
+      { id: 'b', kind: 'research', next: 'merge' },
+      { id: 'c', kind: 'research', next: 'merge' },
+      {
+        id: 'merge',
+        kind: 'decide',
+        title: 'Go / no-go',
+        instruction: 'Decide whether to ship.',
+        recipe: { sections: ['Verdict', 'Why'], guidance: ['Be brief'] },
+        join: ['b', 'c'],
+        next: [{ to: 'end', when: "handoffData.verdict == 'ship'" }, { to: 'a', when: 'handoffData.confidence < 0.5', maxIterations: 1 }],
+      },
+    ],
+  })
+  workflow = advanceAutomationWorkflow(workflow, { runId: 'r1', terminalState: 'done', handoffSummary: 'Split the work' }).workflow
+  workflow = advanceAutomationWorkflow(workflow, { runId: 'r2', terminalState: 'done', handoffSummary: 'B found pricing' }).workflow
+  workflow = advanceAutomationWorkflow(workflow, { runId: 'r3', terminalState: 'done', handoffSummary: 'C found reviews' }).workflow
+  assert.equal(workflow.state.currentStepId, 'merge')
+
+  const prompt = buildAutomationWorkflowPrompt({ workflow, basePrompt: 'Track the launch.' })
+  assert.match(prompt, /Current workflow step: Go \/ no-go \(decide\)\./)
+  assert.match(prompt, /Decide whether to ship\./)
+  assert.match(prompt, /Use section headings in this order: Verdict, Why\./)
+  assert.match(prompt, /- Be brief/)
+  assert.match(prompt, /Handoff from step b: B found pricing/)
+  assert.match(prompt, /Handoff from step c: C found reviews/)
+  assert.match(prompt, /```json block holding an object with: verdict, confidence\./)
+  assert.ok(prompt.endsWith('Track the launch.'))
+
+  const reply = 'Done.\n```json\n{"draft": true}\n```\nFinal:\n```json\n{"verdict": "ship", "confidence": 0.9}\n```'
+  assert.deepEqual(extractWorkflowHandoffData(workflow, reply), { verdict: 'ship', confidence: 0.9 })
+  assert.equal(extractWorkflowHandoffData(workflow, 'no block'), null)
+  assert.equal(extractWorkflowHandoffData(initializeAutomationWorkflow({ template: 'research_synthesis' }), reply), null)
+})
+
+test('describeAutomationWorkflow renders graph runs and built-in chains with Mermaid', (t) => {
+  let workflow = useGraphTemplate(t, {
+    id: 'described',
+    steps: [
+      { id: 'check', kind: 'condition_check', title: 'Check "price"', next: [{ to: 'act', when: 'handoffData.conditionMet' }, 'end'] },
+      { id: 'act', kind: 'notify', next: [{ to: 'check', maxIterations: 3 }] },
+    ],
+  })
+  workflow = finishStep(workflow, 'r1', { conditionMet: true }).workflow
+  const view = describeAutomationWorkflow(workflow)
+  assert.equal(view.currentStepId, 'act')
+  assert.deepEqual(view.nodes.map((node) => [node.id, node.state, node.visits]), [['check', 'done', 1], ['act', 'running', 1]])
+  assert.deepEqual(view.edges, [
+    { from: 'check', to: 'act', when: 'handoffData.conditionMet' },
+    { from: 'check', to: 'end' },
+    { from: 'act', to: 'check', maxIterations: 3, used: 0 },
+  ])
+  assert.deepEqual(view.trail, ['check', 'act'])
+  assert.match(view.mermaid, /^flowchart TD\n/)
+  assert.match(view.mermaid, /s0\["Check #quot;price#quot; \(condition_check\)"\]/)
+  assert.match(view.mermaid, /s0 -->\|"handoffData.conditionMet"\| s1/)
+  assert.match(view.mermaid, /s1 -\.->\|"max 3"\| s0/)
+  assert.match(view.mermaid, /class s1 running/)
+
+  const chain = describeAutomationWorkflow(initializeAutomationWorkflow({ template: 'research_synthesis' }))
+  assert.deepEqual(chain.edges.map((edge) => `${edge.from}->${edge.to}`), ['plan->research', 'research->synthesize', 'synthesize->end'])
+  assert.equal(chain.trail, undefined)
+  assert.equal(describeAutomationWorkflow({ template: 'single_turn' }), null)
+})
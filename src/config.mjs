@@ -3,6 +3,9 @@ import path from 'node:path'
 import os from 'node:os'
 import { randomBytes } from 'node:crypto'
 import { normalizePermissionPolicy } from './permission-policy.mjs'
+import { normalizeMcpPolicy } from './mcp-policy.mjs'
+import { normalizeAcpAdapterConfig } from './acp-adapters.mjs'
+import { normalizeAcpConcurrencyConfig } from './acp-scheduler.mjs'
 
 const CONFIG_DIR_MODE = 0o700
 const CONFIG_FILE_MODE = 0o600
@@ -14,11 +17,13 @@ const MIN_MEMORY_SHADOW_REFRESH_SLA_HOURS = 1
 const MAX_MEMORY_SHADOW_REFRESH_SLA_HOURS = 24 * 30
 
 const DEFAULT_PERMISSION_POLICY = normalizePermissionPolicy({ mode: 'full' })
+export const MCP_SERVER_TRANSPORTS = ['stdio', 'http', 'sse']
 export const COMPANION_PROTOCOL_VERSION = '2026-03-07'
 export const COMPANION_SUPPORTED_FEATURES = {
   acp: true,
   mcp: true,
   cronReplay: true,
+  cronSchedules: '1.0.0',
   diagnostics: true,
   approvalStore: true,
   runLedger: true,
@@ -26,6 +31,29 @@ export const COMPANION_SUPPORTED_FEATURES = {
   automationOutbox: true,
   browserLedger: true,
   browserEvents: true,
+  eventStreams: true,
+  mcpRemoteTransports: true,
+  mcpResources: true,
+  mcpPrompts: true,
+  mcpToolPolicy: true,
+  ptySessions: true,
+  sessionLogSpool: true,
+  supervisedCommands: true,
+  acpSessionPersistence: true,
+  acpAgentAdapters: true,
+  acpNativeAgents: true,
+  acpPermissionBridge: true,
+  usageAccounting: true,
+  workspaceDiffs: true,
+  automationSandboxes: true,
+  acpSessionFork: true,
+  acpConcurrency: true,
+  runExport: true,
+  workflowGraphs: true,
+  webhookDelivery: true,
+  automationTriggers: true,
+  automationChains: true,
+  watcherObservations: true,
   browserDrilldown: true,
   mediaNormalization: true,
   memoryCheckpointShadow: true,
@@ -139,6 +167,9 @@ export async function loadConfig() {
         ? parsed.mcpServers
         : {},
       permissionPolicy: normalizePermissionPolicy(parsed.permissionPolicy),
+      ...(parsed.mcpPolicy !== undefined ? { mcpPolicy: normalizeMcpPolicy(parsed.mcpPolicy) } : {}),
+      ...(parsed.acpAdapters !== undefined ? { acpAdapters: normalizeAcpAdapterConfig(parsed.acpAdapters) } : {}),
+      ...(parsed.acpConcurrency !== undefined ? { acpConcurrency: normalizeAcpConcurrencyConfig(parsed.acpConcurrency) } : {}),
       ...(Array.isArray(parsed.extensionIds) && parsed.extensionIds.length > 0
         ? {
             extensionIds: parsed.extensionIds
@@ -167,6 +198,9 @@ export async function saveConfig(config) {
       ? config.mcpServers
       : {},
     permissionPolicy: normalizePermissionPolicy(config?.permissionPolicy),
+    ...(config?.mcpPolicy !== undefined ? { mcpPolicy: normalizeMcpPolicy(config.mcpPolicy) } : {}),
+    ...(config?.acpAdapters !== undefined ? { acpAdapters: normalizeAcpAdapterConfig(config.acpAdapters) } : {}),
+    ...(config?.acpConcurrency !== undefined ? { acpConcurrency: normalizeAcpConcurrencyConfig(config.acpConcurrency) } : {}),
   }
   // Preserve extensionIds for native messaging host registration
   if (Array.isArray(config?.extensionIds) && config.extensionIds.length > 0) {
@@ -182,6 +216,14 @@ function normalizeMcpServerConfig(input) {
   if (!input || typeof input !== 'object' || Array.isArray(input)) {
     throw new Error('MCP server config must be an object.')
   }
+  const transport = typeof input.transport === 'string' ? input.transport.trim().toLowerCase() : ''
+  if (transport && !MCP_SERVER_TRANSPORTS.includes(transport)) {
+    throw new Error(`MCP server config.transport must be one of: ${MCP_SERVER_TRANSPORTS.join(', ')}.`)
+  }
+  if (transport === 'http' || transport === 'sse') {
+    return normalizeRemoteMcpServerConfig(input, transport)
+  }
+
   const command = typeof input.command === 'string' ? input.command.trim() : ''
   if (!command) {
     throw new Error('MCP server config.command is required.')
@@ -221,6 +263,7 @@ function normalizeMcpServerConfig(input) {
   const requestTimeoutMs = parseOptionalMcpRequestTimeoutOverride(input.requestTimeoutMs)
 
   return {
+    ...(transport ? { transport } : {}),
     command,
     args,
     env,
@@ -231,6 +274,46 @@ function normalizeMcpServerConfig(input) {
   }
 }
 
+function normalizeRemoteMcpServerConfig(input, transport) {
+  const rawUrl = typeof input.url === 'string' ? input.url.trim() : ''
+  if (!rawUrl) {
+    throw new Error(`MCP server config.url is required for the ${transport} transport.`)
+  }
+  let url
+  try {
+    url = new URL(rawUrl)
+  } catch {
+    throw new Error(`MCP server config.url is not a valid URL: ${rawUrl}`)
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('MCP server config.url must use http or https.')
+  }
+
+  const headers = {}
+  if (input.headers !== undefined) {
+    if (!input.headers || typeof input.headers !== 'object' || Array.isArray(input.headers)) {
+      throw new Error('MCP server config.headers must be an object when provided.')
+    }
+    for (const [key, value] of Object.entries(input.headers)) {
+      if (typeof value !== 'string') {
+        throw new Error(`MCP server header "${key}" must be a string.`)
+      }
+      headers[key] = value
+    }
+  }
+
+  const requestTimeoutMs = parseOptionalMcpRequestTimeoutOverride(input.requestTimeoutMs)
+
+  return {
+    transport,
+    url: url.toString(),
+    headers,
+    ...(requestTimeoutMs !== undefined ? { requestTimeoutMs } : {}),
+    ...(typeof input.restartable === 'boolean' ? { restartable: input.restartable } : {}),
+    ...(typeof input.writeCapable === 'boolean' ? { writeCapable: input.writeCapable } : {}),
+  }
+}
+
 export async function updateMcpServerConfig(name, serverConfig) {
   const serverName = typeof name === 'string' ? name.trim() : ''
   if (!serverName) {
@@ -310,6 +393,9 @@ export async function repairConfigDefaults() {
       ? existing.mcpServers
       : {},
     permissionPolicy: normalizePermissionPolicy(existing?.permissionPolicy),
+    ...(existing?.mcpPolicy !== undefined ? { mcpPolicy: existing.mcpPolicy } : {}),
+    ...(existing?.acpAdapters !== undefined ? { acpAdapters: existing.acpAdapters } : {}),
+    ...(existing?.acpConcurrency !== undefined ? { acpConcurrency: existing.acpConcurrency } : {}),
     ...(Array.isArray(existing?.extensionIds) && existing.extensionIds.length > 0
       ? { extensionIds: existing.extensionIds.filter((id) => typeof id === 'string' && id.trim()) }
       : {}),
@@ -183,6 +183,60 @@ test('updateMcpServerConfig clears requestTimeoutMs override when the field is b
   })
 })
 
+test('updateMcpServerConfig stores remote http/sse servers without a command', async () => {
+  await withTempHome(async ({ mod }) => {
+    await mod.initConfig()
+    await mod.updateMcpServerConfig('hosted', {
+      transport: 'HTTP',
+      url: 'https://mcp.example.com/mcp',
+      headers: { Authorization: 'Bearer abc' },
+      requestTimeoutMs: 30_000,
+    })
+
+    const loaded = await mod.loadConfig()
+    assert.deepEqual(loaded.mcpServers.hosted, {
+      transport: 'http',
+      url: 'https://mcp.example.com/mcp',
+      headers: { Authorization: 'Bearer abc' },
+      requestTimeoutMs: 30_000,
+    })
+
+    await assert.rejects(
+      () => mod.updateMcpServerConfig('bad', { transport: 'sse' }),
+      /config\.url is required for the sse transport/,
+    )
+    await assert.rejects(
+      () => mod.updateMcpServerConfig('bad', { transport: 'http', url: 'file:///tmp/mcp' }),
+      /must use http or https/,
+    )
+    await assert.rejects(
+      () => mod.updateMcpServerConfig('bad', { transport: 'http', url: 'https://x.test', headers: { 'X-Key': 1 } }),
+      /header "X-Key" must be a string/,
+    )
+    await assert.rejects(
+      () => mod.updateMcpServerConfig('bad', { transport: 'websocket', url: 'https://x.test' }),
+      /config\.transport must be one of/,
+    )
+  })
+})
+
+test('saveConfig and loadConfig round-trip a normalized mcpPolicy', async () => {
+  await withTempHome(async ({ mod }) => {
+    await mod.initConfig()
+    await mod.saveConfig({
+      ...(await mod.loadConfig()),
+      mcpPolicy: { servers: { filesystem: { tools: { move_file: 'DENY' } } } },
+    })
+
+    const loaded = await mod.loadConfig()
+    assert.equal(loaded.mcpPolicy.defaultMode, 'allow')
+    assert.deepEqual(loaded.mcpPolicy.servers.filesystem.tools.move_file, { mode: 'deny', rules: [] })
+
+    await mod.repairConfigDefaults()
+    assert.equal((await mod.loadConfig()).mcpPolicy.servers.filesystem.tools.move_file.mode, 'deny')
+  })
+})
+
 test('self-check stays unhealthy when extension IDs are configured but native host registration is missing', async () => {
   await withTempHome(async ({ mod }) => {
     await mod.saveConfig({
@@ -0,0 +1,422 @@
+/**
+ * Schedule math for companion cron jobs.
+ *
+ * Supported schedule kinds:
+ * - interval: { kind: 'interval', minutes }
+ * - daily:    { kind: 'daily', hour, minute, tz? }
+ * - weekly:   { kind: 'weekly', daysOfWeek: [0-6 | 'mon'...], hour, minute, tz? }
+ * - cron:     { kind: 'cron', expression: '30 9 * * 1-5', tz? }
+ * - at:       { kind: 'at', at: ISO-8601 timestamp, tz? }  (one-shot)
+ *
+ * Wall-clock kinds are evaluated in their IANA timezone (default: the
+ * system zone). DST rules:
+ * - a wall time that does not exist (spring-forward gap) fires at the
+ *   first instant after the gap;
+ * - a wall time that occurs twice (fall-back overlap) fires once, on its
+ *   first occurrence.
+ */
+
+const MINUTE_MS = 60_000
+const DAY_MS = 24 * 60 * MINUTE_MS
+// Leap-day expressions (e.g. `0 0 29 2 1`) can take years to recur.
+const MAX_SEARCH_DAYS = 366 * 8
+export const MAX_SCHEDULE_PREVIEW_COUNT = 50
+
+export const CRON_SCHEDULE_KINDS = ['interval', 'daily', 'weekly', 'cron', 'at']
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+}
+
+const LOCAL_ISO_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/
+
+const formatterCache = new Map()
+
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+function getZonedFormatter(tz) {
+  let formatter = formatterCache.get(tz)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    })
+    formatterCache.set(tz, formatter)
+  }
+  return formatter
+}
+
+function normalizeTimeZone(tz) {
+  if (tz === undefined || tz === null || tz === '') return getSystemTimeZone()
+  if (typeof tz !== 'string') throw new Error('schedule.tz must be an IANA timezone string.')
+  try {
+    getZonedFormatter(tz.trim())
+  } catch {
+    throw new Error(`Unknown timezone: ${tz}`)
+  }
+  return tz.trim()
+}
+
+function getZonedParts(ms, tz) {
+  const parts = getZonedFormatter(tz).formatToParts(new Date(ms))
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0)
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour') % 24,
+    minute: get('minute'),
+    second: get('second'),
+  }
+}
+
+/** Offset (ms) of `tz` from UTC at instant `ms`, at minute precision. */
+function getTimeZoneOffset(ms, tz) {
+  const p = getZonedParts(ms, tz)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - Math.floor(ms / 1000) * 1000
+}
+
+/**
+ * Convert a wall-clock time in `tz` to a UTC instant, applying the DST
+ * rules from the module header.
+ */
+export function zonedWallTimeToUtc({ year, month, day, hour, minute, second = 0 }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second)
+  const offsetBefore = getTimeZoneOffset(wall - DAY_MS / 2, tz)
+  const offsetAfter = getTimeZoneOffset(wall + DAY_MS / 2, tz)
+  const candidates = [...new Set([wall - offsetBefore, wall - offsetAfter])]
+    .filter((ms) => getTimeZoneOffset(ms, tz) === wall - ms)
+    .sort((a, b) => a - b)
+  if (candidates.length > 0) return candidates[0]
+
+  // Gap: find the transition instant, which is the first moment whose wall
+  // clock is at or after the requested time.
+  let lo = wall - offsetAfter
+  let hi = wall - offsetBefore
+  while (hi - lo > MINUTE_MS) {
+    const mid = lo + Math.floor((hi - lo) / 2 / MINUTE_MS) * MINUTE_MS
+    if (getTimeZoneOffset(mid, tz) === offsetBefore) lo = mid
+    else hi = mid
+  }
+  return hi
+}
+
+function range(min, max) {
+  const values = []
+  for (let value = min; value <= max; value++) values.push(value)
+  return values
+}
+
+function parseFieldValue(raw, { min, max, names }) {
+  const lowered = raw.toLowerCase()
+  if (names) {
+    const idx = names.indexOf(lowered)
+    if (idx >= 0) return idx + min
+  }
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid value "${raw}"`)
+  const value = Number(raw)
+  if (value < min || value > max) throw new Error(`Value ${value} out of range ${min}-${max}`)
+  return value
+}
+
+function parseCronField(source, spec) {
+  const values = new Set()
+  for (const part of source.split(',')) {
+    if (!part) throw new Error('Empty list item')
+    const [rangePart, stepPart] = part.split('/')
+    const step = stepPart === undefined ? 1 : Number(stepPart)
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepPart}"`)
+
+    let start
+    let end
+    if (rangePart === '*') {
+      start = spec.min
+      end = spec.max
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-')
+      start = parseFieldValue(a, spec)
+      end = parseFieldValue(b, spec)
+      if (end < start) throw new Error(`Invalid range "${rangePart}"`)
+    } else {
+      start = parseFieldValue(rangePart, spec)
+      end = stepPart === undefined ? start : spec.max
+    }
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return values
+}
+
+function parseDayOfMonthField(source) {
+  const result = { days: new Set(), last: false }
+  const plain = []
+  for (const part of source.split(',')) {
+    if (part.toUpperCase() === 'L') result.last = true
+    else plain.push(part)
+  }
+  if (plain.length > 0) {
+    result.days = parseCronField(plain.join(','), { min: 1, max: 31 })
+  }
+  return result
+}
+
+function parseDayOfWeekField(source) {
+  const result = { days: new Set(), nth: [], last: new Set() }
+  const plain = []
+  for (const part of source.split(',')) {
+    const nthMatch = part.match(/^([a-z]+|\d)#([1-5])$/i)
+    const lastMatch = part.match(/^([a-z]+|\d)L$/i)
+    if (nthMatch) {
+      const day = parseFieldValue(nthMatch[1], { min: 0, max: 7, names: DAY_NAMES }) % 7
+      result.nth.push({ day, n: Number(nthMatch[2]) })
+    } else if (lastMatch) {
+      result.last.add(parseFieldValue(lastMatch[1], { min: 0, max: 7, names: DAY_NAMES }) % 7)
+    } else {
+      plain.push(part)
+    }
+  }
+  if (plain.length > 0) {
+    for (const value of parseCronField(plain.join(','), { min: 0, max: 7, names: DAY_NAMES })) {
+      result.days.add(value % 7)
+    }
+  }
+  return result
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month
+ * day-of-week). Supports lists, ranges, steps, month/day names, the
+ * `@daily`-style macros, `L` (last day of month), `5L` (last Friday) and
+ * `1#1` (first Monday). As in Vixie cron, when both day fields are
+ * restricted a day matches if either matches.
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required.')
+  }
+  const trimmed = expression.trim()
+  const expanded = CRON_MACROS[trimmed.toLowerCase()] || trimmed
+  const fields = expanded.split(/\s+/)
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (got ${fields.length}): ${trimmed}`)
+  }
+  const [minuteField, hourField, domField, monthField, dowField] = fields
+  const parse = (label, fn) => {
+    try {
+      return fn()
+    } catch (err) {
+      throw new Error(`Invalid cron ${label} field in "${trimmed}": ${err.message}`)
+    }
+  }
+  return {
+    minutes: [...parse('minute', () => parseCronField(minuteField, { min: 0, max: 59 }))].sort((a, b) => a - b),
+    hours: [...parse('hour', () => parseCronField(hourField, { min: 0, max: 23 }))].sort((a, b) => a - b),
+    dayOfMonth: parse('day-of-month', () => parseDayOfMonthField(domField)),
+    months: parse('month', () => parseCronField(monthField, { min: 1, max: 12, names: MONTH_NAMES })),
+    dayOfWeek: parse('day-of-week', () => parseDayOfWeekField(dowField)),
+    domRestricted: domField !== '*' && domField !== '?',
+    dowRestricted: dowField !== '*' && dowField !== '?',
+  }
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+function matchesDay(matcher, year, month, day) {
+  if (!matcher.months.has(month)) return false
+  const dim = daysInMonth(year, month)
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+  const domMatch = matcher.dayOfMonth.days.has(day) || (matcher.dayOfMonth.last && day === dim)
+  const dowMatch = matcher.dayOfWeek.days.has(weekday)
+    || matcher.dayOfWeek.nth.some((entry) => entry.day === weekday && Math.ceil(day / 7) === entry.n)
+    || (matcher.dayOfWeek.last.has(weekday) && day + 7 > dim)
+
+  if (matcher.domRestricted && matcher.dowRestricted) return domMatch || dowMatch
+  if (matcher.domRestricted) return domMatch
+  if (matcher.dowRestricted) return dowMatch
+  return true
+}
+
+function normalizeHourMinute(schedule) {
+  const hour = Number(schedule.hour ?? 9)
+  const minute = Number(schedule.minute ?? 0)
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error('schedule.hour must be an integer between 0 and 23.')
+  }
+  if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+    throw new Error('schedule.minute must be an integer between 0 and 59.')
+  }
+  return { hour, minute }
+}
+
+function normalizeDaysOfWeek(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('schedule.daysOfWeek must be a non-empty array.')
+  }
+  const days = new Set()
+  for (const value of input) {
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 7) {
+      days.add(value % 7)
+      continue
+    }
+    const idx = typeof value === 'string' ? DAY_NAMES.indexOf(value.trim().slice(0, 3).toLowerCase()) : -1
+    if (idx < 0) throw new Error(`Invalid day of week: ${JSON.stringify(value)}`)
+    days.add(idx)
+  }
+  return [...days].sort((a, b) => a - b)
+}
+
+function parseAtTimestamp(value, tz) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('schedule.at must be an ISO-8601 timestamp.')
+  }
+  const trimmed = value.trim()
+  const local = trimmed.match(LOCAL_ISO_RE)
+  if (local) {
+    // No offset given: interpret as wall-clock time in the schedule timezone.
+    return zonedWallTimeToUtc({
+      year: Number(local[1]),
+      month: Number(local[2]),
+      day: Number(local[3]),
+      hour: Number(local[4]),
+      minute: Number(local[5]),
+      second: Number(local[6] || 0),
+    }, tz)
+  }
+  const ms = Date.parse(trimmed)
+  if (!Number.isFinite(ms)) throw new Error(`Invalid schedule.at timestamp: ${trimmed}`)
+  return ms
+}
+
+/**
+ * Validate a job schedule and return its canonical form. Throws an Error
+ * with a user-facing message when the schedule is invalid.
+ */
+export function normalizeCronSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new Error('schedule must be an object.')
+  }
+  // Jobs saved before schedule kinds existed have none; they always ran daily.
+  const kind = schedule.kind === undefined || schedule.kind === null || schedule.kind === ''
+    ? 'daily'
+    : (typeof schedule.kind === 'string' ? schedule.kind.trim() : '')
+  if (!CRON_SCHEDULE_KINDS.includes(kind)) {
+    throw new Error(`Unsupported schedule kind: ${schedule.kind} (expected one of ${CRON_SCHEDULE_KINDS.join(', ')}).`)
+  }
+
+  if (kind === 'interval') {
+    const minutes = Number(schedule.minutes ?? 1)
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('schedule.minutes must be a positive number.')
+    }
+    return { kind, minutes }
+  }
+
+  const tz = normalizeTimeZone(schedule.tz)
+  if (kind === 'daily') {
+    return { kind, ...normalizeHourMinute(schedule), tz }
+  }
+  if (kind === 'weekly') {
+    return { kind, daysOfWeek: normalizeDaysOfWeek(schedule.daysOfWeek), ...normalizeHourMinute(schedule), tz }
+  }
+  if (kind === 'cron') {
+    const expression = typeof schedule.expression === 'string' ? schedule.expression.trim() : ''
+    parseCronExpression(expression)
+    return { kind, expression, tz }
+  }
+  return { kind, at: new Date(parseAtTimestamp(schedule.at, tz)).toISOString(), tz }
+}
+
+function buildMatcher(normalized) {
+  if (normalized.kind === 'cron') return parseCronExpression(normalized.expression)
+  const all = (min, max) => new Set(range(min, max))
+  return {
+    minutes: [normalized.minute],
+    hours: [normalized.hour],
+    dayOfMonth: { days: all(1, 31), last: false },
+    months: all(1, 12),
+    dayOfWeek: {
+      days: new Set(normalized.kind === 'weekly' ? normalized.daysOfWeek : range(0, 6)),
+      nth: [],
+      last: new Set(),
+    },
+    domRestricted: false,
+    dowRestricted: normalized.kind === 'weekly',
+  }
+}
+
+function findNextWallClockFire(matcher, tz, fromMs) {
+  const start = getZonedParts(fromMs, tz)
+  const startDay = Date.UTC(start.year, start.month - 1, start.day)
+  const startWallMinutes = start.hour * 60 + start.minute
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(startDay + offset * DAY_MS)
+    const year = date.getUTCFullYear()
+    const month = date.getUTCMonth() + 1
+    const day = date.getUTCDate()
+    if (!matchesDay(matcher, year, month, day)) continue
+
+    for (const hour of matcher.hours) {
+      for (const minute of matcher.minutes) {
+        // Skip wall times well before "now" on the first day; the margin
+        // keeps DST-shifted candidates in play.
+        if (offset === 0 && hour * 60 + minute < startWallMinutes - 120) continue
+        const candidate = zonedWallTimeToUtc({ year, month, day, hour, minute }, tz)
+        if (candidate > fromMs) return candidate
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Next fire instant strictly after `fromMs`, or null when the schedule will
+ * never fire again (an `at` schedule in the past).
+ */
+export function computeNextFireTime(schedule, fromMs = Date.now()) {
+  const normalized = normalizeCronSchedule(schedule)
+  if (normalized.kind === 'interval') {
+    return fromMs + Math.max(normalized.minutes, 1) * MINUTE_MS
+  }
+  if (normalized.kind === 'at') {
+    const at = Date.parse(normalized.at)
+    return at > fromMs ? at : null
+  }
+  return findNextWallClockFire(buildMatcher(normalized), normalized.tz, fromMs)
+}
+
+/**
+ * Preview the next `count` fire instants (epoch ms) after `from`.
+ */
+export function computeNextFireTimes(schedule, { from = Date.now(), count = 5 } = {}) {
+  const limit = Math.min(Math.max(Math.floor(Number(count) || 0), 1), MAX_SCHEDULE_PREVIEW_COUNT)
+  const times = []
+  let cursor = from
+  while (times.length < limit) {
+    const next = computeNextFireTime(schedule, cursor)
+    if (next === null) break
+    times.push(next)
+    cursor = next
+  }
+  return times
+}
@@ -0,0 +1,117 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  computeNextFireTime,
+  computeNextFireTimes,
+  normalizeCronSchedule,
+  parseCronExpression,
+  zonedWallTimeToUtc,
+} from './cron-schedule.mjs'
+
+const iso = (times) => times.map((ms) => new Date(ms).toISOString())
+
+test('cron expressions support weekday ranges, steps, and names', () => {
+  const from = Date.parse('2026-03-06T12:00:00Z') // Friday
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '30 9 * * MON-FRI', tz: 'UTC' }, { from, count: 3 })),
+    ['2026-03-09T09:30:00.000Z', '2026-03-10T09:30:00.000Z', '2026-03-11T09:30:00.000Z'],
+  )
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '*/20 13 * * *', tz: 'UTC' }, { from, count: 4 })),
+    ['2026-03-06T13:00:00.000Z', '2026-03-06T13:20:00.000Z', '2026-03-06T13:40:00.000Z', '2026-03-07T13:00:00.000Z'],
+  )
+})
+
+test('cron expressions support nth weekday, last day, and macros', () => {
+  const from = Date.parse('2026-03-07T00:00:00Z')
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '0 9 * * 1#1', tz: 'Europe/Berlin' }, { from, count: 2 })),
+    ['2026-04-06T07:00:00.000Z', '2026-05-04T07:00:00.000Z'],
+  )
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '0 18 L * *', tz: 'UTC' }, { from, count: 2 })),
+    ['2026-03-31T18:00:00.000Z', '2026-04-30T18:00:00.000Z'],
+  )
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '0 12 * * 5L', tz: 'UTC' }, { from, count: 1 })),
+    ['2026-03-27T12:00:00.000Z'],
+  )
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '@monthly', tz: 'UTC' }, { from, count: 1 })),
+    ['2026-04-01T00:00:00.000Z'],
+  )
+})
+
+test('cron expressions match either day field when both are restricted', () => {
+  const matcher = parseCronExpression('0 0 1 * 1')
+  assert.equal(matcher.domRestricted, true)
+  assert.equal(matcher.dowRestricted, true)
+  const from = Date.parse('2026-03-01T12:00:00Z') // Sunday the 1st
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '0 0 1 * 1', tz: 'UTC' }, { from, count: 2 })),
+    ['2026-03-02T00:00:00.000Z', '2026-03-09T00:00:00.000Z'],
+  )
+})
+
+test('wall-clock schedules fire after a spring-forward gap and once across fall-back', () => {
+  const tz = 'America/New_York'
+  // 2026-03-08 02:30 does not exist in New York; fire at the 03:00 EDT transition.
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'daily', hour: 2, minute: 30, tz }, {
+      from: Date.parse('2026-03-07T12:00:00Z'),
+      count: 2,
+    })),
+    ['2026-03-08T07:00:00.000Z', '2026-03-09T06:30:00.000Z'],
+  )
+  // 2026-11-01 01:30 happens twice; only the first (EDT) occurrence fires.
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'cron', expression: '30 1 * * *', tz }, {
+      from: Date.parse('2026-10-31T12:00:00Z'),
+      count: 2,
+    })),
+    ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z'],
+  )
+  assert.equal(
+    new Date(zonedWallTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9, minute: 0 }, tz)).toISOString(),
+    '2026-07-01T13:00:00.000Z',
+  )
+})
+
+test('weekly schedules accept day names and numbers in the schedule timezone', () => {
+  const schedule = normalizeCronSchedule({ kind: 'weekly', daysOfWeek: ['sat', 0, 'Sunday'], hour: 8, tz: 'Asia/Tokyo' })
+  assert.deepEqual(schedule.daysOfWeek, [0, 6])
+  assert.deepEqual(
+    iso(computeNextFireTimes(schedule, { from: Date.parse('2026-03-07T12:00:00Z'), count: 3 })),
+    ['2026-03-07T23:00:00.000Z', '2026-03-13T23:00:00.000Z', '2026-03-14T23:00:00.000Z'],
+  )
+})
+
+test('at schedules fire once and interpret offset-less timestamps in tz', () => {
+  const from = Date.parse('2026-03-07T12:00:00Z')
+  assert.deepEqual(
+    iso(computeNextFireTimes({ kind: 'at', at: '2026-03-10T09:00', tz: 'America/New_York' }, { from, count: 5 })),
+    ['2026-03-10T13:00:00.000Z'],
+  )
+  assert.equal(computeNextFireTime({ kind: 'at', at: '2026-03-01T00:00:00Z' }, from), null)
+})
+
+test('interval schedules keep the relative delay semantics', () => {
+  assert.equal(computeNextFireTime({ kind: 'interval', minutes: 15 }, 1_000), 1_000 + 15 * 60_000)
+})
+
+test('normalizeCronSchedule treats schedules without a kind as daily', () => {
+  assert.deepEqual(normalizeCronSchedule({ hour: 7, minute: 15, tz: 'UTC' }), { kind: 'daily', hour: 7, minute: 15, tz: 'UTC' })
+})
+
+test('normalizeCronSchedule rejects malformed schedules with clear errors', () => {
+  assert.throws(() => normalizeCronSchedule({ kind: 'yearly' }), /Unsupported schedule kind/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'cron', expression: '1 2 3' }), /5 fields/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'cron', expression: '61 * * * *' }), /minute field/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'weekly', daysOfWeek: [] }), /daysOfWeek/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'weekly', daysOfWeek: ['funday'] }), /Invalid day of week/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'daily', hour: 24 }), /schedule.hour/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'daily', tz: 'Mars/Olympus' }), /Unknown timezone/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'at', at: 'tomorrow' }), /schedule.at/)
+  assert.throws(() => normalizeCronSchedule({ kind: 'interval', minutes: 0 }), /schedule.minutes/)
+})
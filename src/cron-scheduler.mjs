@@ -4,63 +4,42 @@
  * When a timer fires:
  * - extension_chat jobs keep the legacy pending replay path
  * - companion_acp jobs execute immediately through the ACP runtime
+ *
+ * Occurrences missed while the daemon was down (detected on startup from the
+ * persisted lastFiredAt/nextRunAt) or while the machine slept (detected as a
+ * wall-clock jump against the monotonic clock) are handled according to the
+ * job's misfirePolicy. Catch-up runs are tagged `source: 'catchup'`.
+ *
+ * Event triggers (automation-triggers.mjs) start jobs through the same
+ * dispatch path; their runs are tagged `source: 'trigger'`.
  */
 
-import { getJobs, addPendingRun, upsertJob } from './cron-store.mjs'
+import { performance } from 'node:perf_hooks'
+import { getJobs, addPendingRun, upsertJob, recordJobFired } from './cron-store.mjs'
 import { createRun, updateRun } from './run-store.mjs'
 import { executeAutomationJob, checkAndResumeRetryableRuns } from './automation-executor.mjs'
 import { normalizeAutomationSpec } from './automation-spec.mjs'
+import { computeNextFireTime } from './cron-schedule.mjs'
 
 /** @type {Map<string, ReturnType<typeof setTimeout>>} */
 const timers = new Map()
 let schedulerOptions = {}
 let retryTimer = null
+let clockTimer = null
+let lastClockSample = null
 
-/**
- * Compute delay in ms until the next occurrence of a schedule.
- * @param {{ kind: string, minutes?: number, hour?: number, minute?: number, tz?: string }} schedule
- * @returns {number}
- */
-function computeDelay(schedule) {
-  if (schedule.kind === 'interval') {
-    return Math.max((schedule.minutes || 1), 1) * 60_000
-  }
-
-  // Daily: compute ms until next HH:MM in the given timezone
-  const now = new Date()
-  const tz = schedule.tz || Intl.DateTimeFormat().resolvedOptions().timeZone
-  const hour = schedule.hour ?? 9
-  const minute = schedule.minute ?? 0
-
-  // Get today's date in target timezone
-  const parts = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false,
-  }).formatToParts(now)
-
-  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0)
-  const nowHour = get('hour')
-  const nowMin = get('minute')
-  const nowSec = get('second')
-
-  // Current time in minutes since midnight (in target tz)
-  const nowMinutes = nowHour * 60 + nowMin
-  const targetMinutes = hour * 60 + minute
+// setTimeout overflows above 2^31-1 ms (~24.8 days); far-off fires re-arm in hops.
+const MAX_TIMER_DELAY_MS = 2_147_483_647
+const CLOCK_CHECK_INTERVAL_MS = 30_000
+const CLOCK_JUMP_THRESHOLD_MS = 60_000
+// Bounds the scan for missed occurrences (e.g. a per-minute job after a week offline).
+const MAX_MISSED_SCAN = 1_000
 
-  let delayMinutes = targetMinutes - nowMinutes
-  if (delayMinutes <= 0) {
-    // Already passed today, schedule for tomorrow
-    delayMinutes += 1440
+function getClock(options = schedulerOptions) {
+  return {
+    now: typeof options.now === 'function' ? options.now : () => Date.now(),
+    monotonicNow: typeof options.monotonicNow === 'function' ? options.monotonicNow : () => performance.now(),
   }
-
-  // Convert to ms and subtract current seconds
-  return delayMinutes * 60_000 - nowSec * 1000
 }
 
 function getAutomationExecutor(options = {}) {
@@ -86,9 +65,17 @@ function buildCronLifecycleMeta(job) {
     sessionTarget: spec.sessionTarget,
     ...(workflow ? { workflow } : {}),
     ...(retryPolicy ? { retryPolicy } : {}),
+    ...(job.catchUp ? { catchUp: cloneLifecycleObject(job.catchUp) } : {}),
+    ...(job.trigger ? { trigger: cloneLifecycleObject(job.trigger) } : {}),
   }
 }
 
+function resolveRunSource(job) {
+  if (job?.catchUp) return { source: 'catchup' }
+  if (job?.trigger) return { source: 'trigger' }
+  return {}
+}
+
 function buildAutomationSessionType(taskId) {
   const normalizedTaskId = typeof taskId === 'string' && taskId.trim()
     ? taskId.trim()
@@ -102,6 +89,7 @@ async function queuePendingRun(job) {
     type: 'cron',
     state: 'queued',
     ...(sessionType ? { sessionType } : {}),
+    ...resolveRunSource(job),
     summary: `Cron timer fired, queuing for extension: ${job.name}`,
     meta: buildCronLifecycleMeta(job),
   }).catch(() => null)
@@ -152,6 +140,7 @@ async function executeCompanionAutomation(job, options = {}) {
       state: 'failed',
       finishedAt: Date.now(),
       ...(sessionType ? { sessionType } : {}),
+      ...resolveRunSource(job),
       summary: `Companion automation failed before run startup: ${job.name}`,
       error: message,
       meta: {
@@ -163,37 +152,208 @@ async function executeCompanionAutomation(job, options = {}) {
   }
 }
 
+/**
+ * Start one run of `job` the way a timer fire does: companion_acp jobs
+ * execute through the ACP runtime, other jobs are marked pending for the
+ * extension. `job.catchUp` / `job.trigger` describe why it fired.
+ */
+export async function dispatchAutomationJob(job, options = schedulerOptions) {
+  const label = job.catchUp ? 'Catch-up' : job.trigger ? `Trigger (${job.trigger.kind})` : 'Timer'
+  if (job.executor === 'companion_acp') {
+    console.log(`[cron-companion] ${label} fired for "${job.name}" (${job.id}), executing via companion ACP`)
+    return executeCompanionAutomation(job, options)
+  }
+  console.log(`[cron-companion] ${label} fired for "${job.name}" (${job.id}), marking as pending`)
+  await queuePendingRun(job)
+  return null
+}
+
+// The fire is recorded before the run starts: a run can outlast the process
+// (or a clock-jump check can come in while it starts), and an occurrence
+// must never be replayed as missed once it was dispatched.
+async function fireJob(job, options, { scheduledFor, catchUp = null }) {
+  if (Number.isFinite(scheduledFor)) {
+    if (!Number.isFinite(job.lastFiredAt) || job.lastFiredAt < scheduledFor) job.lastFiredAt = scheduledFor
+    await recordJobFired(job.id, scheduledFor).catch(() => undefined)
+  }
+  await dispatchAutomationJob(catchUp ? { ...job, catchUp } : job, options)
+}
+
+/**
+ * Work out which occurrences of `job` were missed before `now`, starting
+ * after the persisted lastFiredAt (or the persisted nextRunAt when the job
+ * has never fired), and which of them the misfire policy wants replayed.
+ */
+export function planMissedFires(job, now = Date.now()) {
+  const policy = normalizeAutomationSpec(job).misfirePolicy
+  const empty = { policy, missed: [], missedCount: 0, truncated: false, replay: [] }
+  if (!job?.enabled || !job.schedule) return empty
+
+  const anchor = Number.isFinite(job.lastFiredAt)
+    ? job.lastFiredAt
+    : (Number.isFinite(job.nextRunAt) ? job.nextRunAt - 1 : null)
+  if (anchor === null || anchor >= now) return empty
+
+  const missed = []
+  let cursor = anchor
+  try {
+    while (missed.length < MAX_MISSED_SCAN) {
+      const next = computeNextFireTime(job.schedule, cursor)
+      if (next === null || next > now) break
+      missed.push(next)
+      cursor = next
+    }
+  } catch {
+    return empty
+  }
+  if (missed.length === 0) return empty
+
+  let replay = []
+  if (policy.mode === 'run_once') replay = [missed[missed.length - 1]]
+  else if (policy.mode === 'run_all') replay = missed.slice(0, policy.maxCatchUp)
+  return {
+    policy,
+    missed,
+    missedCount: missed.length,
+    truncated: missed.length >= MAX_MISSED_SCAN,
+    replay,
+  }
+}
+
+async function runMissedFires(job, plan, options, reason) {
+  if (plan.missedCount === 0) return 0
+  const lastMissedAt = plan.missed[plan.missed.length - 1]
+  if (plan.replay.length === 0) {
+    console.log(`[cron-companion] Skipping ${plan.missedCount} missed occurrence(s) of "${job.name}" (${reason})`)
+    if (!Number.isFinite(job.lastFiredAt) || job.lastFiredAt < lastMissedAt) job.lastFiredAt = lastMissedAt
+    await recordJobFired(job.id, lastMissedAt).catch(() => undefined)
+    return 0
+  }
+
+  for (const [index, scheduledFor] of plan.replay.entries()) {
+    await fireJob(job, options, {
+      scheduledFor,
+      catchUp: {
+        reason,
+        policy: plan.policy.mode,
+        scheduledFor,
+        index: index + 1,
+        replayCount: plan.replay.length,
+        missedCount: plan.missedCount,
+        ...(plan.truncated ? { truncated: true } : {}),
+      },
+    })
+  }
+  // Occurrences beyond the run_all cap are dropped, not deferred.
+  if (!Number.isFinite(job.lastFiredAt) || job.lastFiredAt < lastMissedAt) job.lastFiredAt = lastMissedAt
+  await recordJobFired(job.id, lastMissedAt).catch(() => undefined)
+  return plan.replay.length
+}
+
+async function catchUpJobs(plans, options, reason) {
+  let replayed = 0
+  for (const { job, plan } of plans) {
+    try {
+      replayed += await runMissedFires(job, plan, options, reason)
+    } catch (err) {
+      console.error(`[cron-companion] Catch-up failed for ${job.id}:`, err?.message || err)
+    }
+  }
+  return replayed
+}
+
+/**
+ * Compare wall-clock progress with the monotonic clock. A gap larger than
+ * CLOCK_JUMP_THRESHOLD_MS means the machine slept or the system time was
+ * changed: missed occurrences are caught up and every timer is re-armed from
+ * the new wall-clock time. Resolves to null when no jump was detected.
+ */
+export async function checkSchedulerClock(options = schedulerOptions) {
+  const clock = getClock(options)
+  const sample = { wall: clock.now(), mono: clock.monotonicNow() }
+  const previous = lastClockSample
+  lastClockSample = sample
+  if (!previous) return null
+
+  const jumpMs = (sample.wall - previous.wall) - (sample.mono - previous.mono)
+  if (Math.abs(jumpMs) < CLOCK_JUMP_THRESHOLD_MS) return null
+
+  console.warn(`[cron-companion] Wall-clock jump of ${Math.round(jumpMs / 1000)}s detected; re-arming timers`)
+  const jobs = getJobs().filter((job) => job.enabled)
+  const plans = jobs.map((job) => ({ job, plan: planMissedFires(job, sample.wall) }))
+  for (const job of jobs) {
+    unscheduleJob(job.id)
+  }
+  const replayed = await catchUpJobs(plans, options, 'clock_jump')
+  for (const job of jobs) {
+    if (!timers.has(job.id)) scheduleJob(job, options)
+  }
+  return { jumpMs, replayed }
+}
+
 function scheduleJob(job, options = schedulerOptions) {
   if (!job.enabled) return
 
-  const delay = computeDelay(job.schedule)
-  job.nextRunAt = Date.now() + delay
+  const now = getClock(options).now()
+  let nextRunAt
+  try {
+    nextRunAt = computeNextFireTime(job.schedule, now)
+  } catch (err) {
+    console.warn(`[cron-companion] Not scheduling "${job.name}" (${job.id}): ${err.message}`)
+    return
+  }
+  job.nextRunAt = nextRunAt
   void upsertJob(job).catch(() => undefined)
 
+  if (nextRunAt === null) {
+    console.log(`[cron-companion] "${job.name}" has no future occurrence; not scheduled`)
+    return
+  }
+
+  armJobTimer(job, nextRunAt, nextRunAt - now, options)
+  console.log(`[cron-companion] Scheduled "${job.name}" — next: ${new Date(nextRunAt).toLocaleString()}`)
+}
+
+function armJobTimer(job, fireAt, delay, options) {
+  // A clock-jump re-arm can race a timer that is mid-fire; keep one timer per job.
+  const existing = timers.get(job.id)
+  if (existing) clearTimeout(existing)
+
+  if (delay > MAX_TIMER_DELAY_MS) {
+    const hop = setTimeout(() => {
+      armJobTimer(job, fireAt, fireAt - Date.now(), options)
+    }, MAX_TIMER_DELAY_MS)
+    if (hop.unref) hop.unref()
+    timers.set(job.id, hop)
+    return
+  }
+
   const timer = setTimeout(async () => {
-    if (job.executor === 'companion_acp') {
-      console.log(`[cron-companion] Timer fired for "${job.name}" (${job.id}), executing via companion ACP`)
-      await executeCompanionAutomation(job, options)
-    } else {
-      console.log(`[cron-companion] Timer fired for "${job.name}" (${job.id}), marking as pending`)
-      await queuePendingRun(job)
-    }
+    await fireJob(job, options, { scheduledFor: fireAt })
     // Re-schedule for next occurrence
     scheduleJob(job, options)
-  }, delay)
+  }, Math.max(0, delay))
 
   // Prevent timer from keeping the process alive
   if (timer.unref) timer.unref()
 
   timers.set(job.id, timer)
-
-  const nextRun = new Date(Date.now() + delay)
-  console.log(`[cron-companion] Scheduled "${job.name}" — next: ${nextRun.toLocaleString()}`)
 }
 
+/**
+ * Arm timers for every enabled job and replay missed occurrences per each
+ * job's misfirePolicy. Returns a promise that settles once catch-up runs
+ * have been dispatched (callers may ignore it).
+ */
 export function startCronScheduler(options = {}) {
   schedulerOptions = { ...options }
   const jobs = getJobs()
+  const clock = getClock(schedulerOptions)
+  const now = clock.now()
+  // Plan before scheduling: scheduleJob overwrites the persisted nextRunAt.
+  const plans = jobs
+    .filter((job) => job.enabled)
+    .map((job) => ({ job, plan: planMissedFires(job, now) }))
   for (const job of jobs) {
     if (job.enabled) {
       scheduleJob(job, schedulerOptions)
@@ -201,6 +361,16 @@ export function startCronScheduler(options = {}) {
   }
   console.log(`[cron-companion] Scheduler started with ${jobs.filter((j) => j.enabled).length} job(s)`)
 
+  lastClockSample = { wall: now, mono: clock.monotonicNow() }
+  if (!clockTimer) {
+    clockTimer = setInterval(() => {
+      checkSchedulerClock().catch((err) => {
+        console.error('[cron-companion] Clock check failed:', err?.message || err)
+      })
+    }, CLOCK_CHECK_INTERVAL_MS)
+    if (clockTimer.unref) clockTimer.unref()
+  }
+
   if (!retryTimer) {
     retryTimer = setInterval(() => {
       checkAndResumeRetryableRuns().catch((err) => {
@@ -209,6 +379,8 @@ export function startCronScheduler(options = {}) {
     }, 60_000)
     if (retryTimer.unref) retryTimer.unref()
   }
+
+  return catchUpJobs(plans, schedulerOptions, 'startup')
 }
 
 export function stopCronScheduler() {
@@ -220,6 +392,11 @@ export function stopCronScheduler() {
     clearInterval(retryTimer)
     retryTimer = null
   }
+  if (clockTimer) {
+    clearInterval(clockTimer)
+    clockTimer = null
+  }
+  lastClockSample = null
   schedulerOptions = {}
   console.log('[cron-companion] Scheduler stopped')
 }
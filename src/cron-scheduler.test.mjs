@@ -3,7 +3,7 @@ import assert from 'node:assert/strict'
 import os from 'node:os'
 import path from 'node:path'
 import { rmSync } from 'node:fs'
-import { mkdir, mkdtemp, unlink } from 'node:fs/promises'
+import { mkdir, mkdtemp, unlink, writeFile } from 'node:fs/promises'
 
 let sharedModulesPromise = null
 
@@ -81,7 +81,7 @@ async function withTempHome(run) {
     await cronStore.clearCronStoreForTests()
     await runStore.clearRunStoreForTests()
     cronScheduler.stopCronScheduler()
-    await run({ tempHome, cronStore, cronScheduler, runStore, scheduled, cleared })
+    await run({ tempHome, configDir, cronStore, cronScheduler, runStore, scheduled, cleared })
   } finally {
     globalThis.setTimeout = originalSetTimeout
     globalThis.clearTimeout = originalClearTimeout
@@ -112,6 +112,25 @@ test('startCronScheduler only schedules enabled jobs', async () => {
   })
 })
 
+test('legacy jobs stored without a schedule kind keep firing daily', async () => {
+  await withTempHome(async ({ configDir, cronStore, cronScheduler, scheduled }) => {
+    await writeFile(path.join(configDir, 'cron-jobs.json'), JSON.stringify({
+      jobs: [{ id: 'job-legacy', name: 'Legacy daily', enabled: true, schedule: { hour: 9, minute: 0, tz: 'UTC' } }],
+      pending: [],
+    }))
+    await cronStore.loadCronStore()
+
+    cronScheduler.startCronScheduler()
+    assert.equal(scheduled.length, 1)
+    assert.ok(scheduled[0].delay > 0 && scheduled[0].delay <= 24 * 60 * 60_000)
+    const job = cronStore.getJobs().find((entry) => entry.id === 'job-legacy')
+    assert.equal(job.schedule.kind, 'daily')
+    assert.equal(new Date(job.nextRunAt).getUTCHours(), 9)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
+
 test('rescheduleJob clears existing timer before scheduling a new one', async () => {
   await withTempHome(async ({ cronScheduler, scheduled, cleared }) => {
     const job = {
@@ -136,7 +155,53 @@ test('rescheduleJob clears existing timer before scheduling a new one', async ()
   })
 })
 
+test('cron and at schedules arm timers for their next wall-clock fire', async () => {
+  await withTempHome(async ({ cronStore, cronScheduler, scheduled }) => {
+    const before = Date.now()
+    cronScheduler.rescheduleJob({
+      id: 'job-cron',
+      name: 'Cron Job',
+      enabled: true,
+      schedule: { kind: 'cron', expression: '*/5 * * * *', tz: 'UTC' },
+    })
+    assert.equal(scheduled.length, 1)
+    assert.ok(scheduled[0].delay > 0 && scheduled[0].delay <= 5 * 60_000)
+    const nextRunAt = cronStore.getJobs().find((job) => job.id === 'job-cron').nextRunAt
+    assert.equal(new Date(nextRunAt).getUTCMinutes() % 5, 0)
+    assert.ok(nextRunAt > before)
 
+    cronScheduler.rescheduleJob({
+      id: 'job-at-past',
+      name: 'Past one-shot',
+      enabled: true,
+      schedule: { kind: 'at', at: '2000-01-01T00:00:00Z' },
+    })
+    assert.equal(scheduled.length, 1)
+    assert.equal(cronStore.getJobs().find((job) => job.id === 'job-at-past').nextRunAt, null)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
+
+test('far-future schedules re-arm in bounded hops instead of overflowing setTimeout', async () => {
+  await withTempHome(async ({ cronScheduler, scheduled }) => {
+    const at = new Date(Date.now() + 60 * 24 * 60 * 60_000).toISOString()
+    cronScheduler.rescheduleJob({
+      id: 'job-far',
+      name: 'Far one-shot',
+      enabled: true,
+      schedule: { kind: 'at', at },
+    })
+    assert.equal(scheduled.length, 1)
+    assert.equal(scheduled[0].delay, 2_147_483_647)
+
+    await scheduled[0].fn()
+    assert.equal(scheduled.length, 2)
+    assert.ok(scheduled[1].delay <= 2_147_483_647)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
 
 test('timer firings keep extension_chat jobs on pending replay even when automation executor is available', async () => {
   await withTempHome(async ({ cronStore, cronScheduler, runStore, scheduled }) => {
@@ -197,7 +262,8 @@ test('timer firings route companion_acp jobs to automation executor instead of p
 
     cronScheduler.startCronScheduler({
       automationExecutor: async (job) => {
-        automationCalls.push(job.id)
+        // The occurrence is persisted before the run starts.
+        automationCalls.push({ id: job.id, lastFiredAt: cronStore.getJobs().find((entry) => entry.id === job.id)?.lastFiredAt })
         return { mode: 'companion_acp', sessionId: 'acp-1', runId: 'run-1' }
       },
     })
@@ -207,7 +273,9 @@ test('timer firings route companion_acp jobs to automation executor instead of p
 
     const pending = cronStore.getPendingRuns()
     assert.equal(pending.length, 0)
-    assert.deepEqual(automationCalls, ['job-companion-acp'])
+    assert.equal(automationCalls.length, 1)
+    assert.equal(automationCalls[0].id, 'job-companion-acp')
+    assert.ok(Number.isFinite(automationCalls[0].lastFiredAt))
   })
 })
 
@@ -247,3 +315,145 @@ test('timer firings retain occurrence-level pendingIds and record them in cron r
     cronScheduler.stopCronScheduler()
   })
 })
+
+test('startup catch-up replays missed occurrences up to the run_all cap', async () => {
+  await withTempHome(async ({ cronStore, cronScheduler, runStore }) => {
+    const now = Date.now()
+    await cronStore.upsertJob({
+      id: 'job-run-all',
+      name: 'Run all',
+      enabled: true,
+      schedule: { kind: 'interval', minutes: 60 },
+      misfirePolicy: { mode: 'run_all', maxCatchUp: 3 },
+      lastFiredAt: now - (5 * 60 + 30) * 60_000,
+    })
+
+    await cronScheduler.startCronScheduler()
+
+    const pending = cronStore.getPendingRuns()
+    assert.equal(pending.length, 3)
+    const runs = await runStore.listRuns({ type: 'cron', limit: 10, offset: 0 })
+    assert.equal(runs.runs.length, 3)
+    for (const run of runs.runs) {
+      assert.equal(run.source, 'catchup')
+      assert.equal(run.meta?.catchUp?.reason, 'startup')
+      assert.equal(run.meta?.catchUp?.policy, 'run_all')
+      assert.equal(run.meta?.catchUp?.missedCount, 5)
+    }
+    const job = cronStore.getJobs().find((item) => item.id === 'job-run-all')
+    assert.equal(job.lastFiredAt, now - (5 * 60 + 30) * 60_000 + 5 * 60 * 60_000)
+    assert.ok(job.nextRunAt > now)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
+
+test('startup catch-up honours run_once and skip policies', async () => {
+  await withTempHome(async ({ cronStore, cronScheduler, runStore }) => {
+    const now = Date.now()
+    const lastFiredAt = now - (3 * 60 + 10) * 60_000
+    await cronStore.upsertJob({
+      id: 'job-run-once',
+      name: 'Run once',
+      enabled: true,
+      schedule: { kind: 'interval', minutes: 60 },
+      misfirePolicy: 'run_once',
+      lastFiredAt,
+    })
+    await cronStore.upsertJob({
+      id: 'job-skip',
+      name: 'Skip',
+      enabled: true,
+      schedule: { kind: 'interval', minutes: 60 },
+      lastFiredAt,
+    })
+
+    await cronScheduler.startCronScheduler()
+
+    const runs = await runStore.listRuns({ type: 'cron', limit: 10, offset: 0 })
+    assert.equal(runs.runs.length, 1)
+    assert.equal(runs.runs[0].source, 'catchup')
+    assert.equal(runs.runs[0].meta?.taskId, 'job-run-once')
+    assert.equal(runs.runs[0].meta?.catchUp?.scheduledFor, lastFiredAt + 3 * 60 * 60_000)
+
+    // Skipped occurrences still advance lastFiredAt so they are not re-evaluated.
+    const skipped = cronStore.getJobs().find((item) => item.id === 'job-skip')
+    assert.equal(skipped.lastFiredAt, lastFiredAt + 3 * 60 * 60_000)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
+
+test('planMissedFires falls back to the persisted nextRunAt for jobs that never fired', async () => {
+  await withTempHome(async ({ cronScheduler }) => {
+    const now = Date.parse('2026-03-10T12:00:00Z')
+    const plan = cronScheduler.planMissedFires({
+      id: 'job-daily',
+      enabled: true,
+      schedule: { kind: 'daily', hour: 9, minute: 0, tz: 'UTC' },
+      misfirePolicy: { mode: 'run_all', maxCatchUp: 10 },
+      nextRunAt: Date.parse('2026-03-08T09:00:00Z'),
+    }, now)
+    assert.deepEqual(plan.missed.map((ms) => new Date(ms).toISOString()), [
+      '2026-03-08T09:00:00.000Z',
+      '2026-03-09T09:00:00.000Z',
+      '2026-03-10T09:00:00.000Z',
+    ])
+    assert.equal(plan.replay.length, 3)
+  })
+})
+
+test('wall-clock jumps trigger catch-up and re-arm timers from the new time', async () => {
+  await withTempHome(async ({ cronStore, cronScheduler, runStore, scheduled }) => {
+    let wall = Date.now()
+    let mono = 0
+    const start = wall
+    await cronStore.upsertJob({
+      id: 'job-sleepy',
+      name: 'Sleepy',
+      enabled: true,
+      executor: 'companion_acp',
+      agentType: 'codex',
+      sessionTarget: 'isolated',
+      schedule: { kind: 'interval', minutes: 60 },
+      misfirePolicy: 'run_once',
+      lastFiredAt: start - 60_000,
+    })
+
+    const executed = []
+    await cronScheduler.startCronScheduler({
+      now: () => wall,
+      monotonicNow: () => mono,
+      automationExecutor: async (job) => {
+        executed.push(job)
+        return { mode: 'companion_acp' }
+      },
+    })
+    assert.equal(executed.length, 0)
+    assert.equal(scheduled.length, 1)
+
+    // Small drift is ignored.
+    wall += 30_000
+    mono += 29_000
+    assert.equal(await cronScheduler.checkSchedulerClock(), null)
+
+    // The machine sleeps for three hours: wall advances, monotonic barely moves.
+    wall += 3 * 60 * 60_000
+    mono += 1_000
+    const result = await cronScheduler.checkSchedulerClock()
+    assert.ok(result.jumpMs > 2 * 60 * 60_000)
+    assert.equal(result.replayed, 1)
+    assert.equal(executed.length, 1)
+    assert.equal(executed[0].catchUp.reason, 'clock_jump')
+    assert.equal(executed[0].catchUp.missedCount, 3)
+
+    const job = cronStore.getJobs().find((item) => item.id === 'job-sleepy')
+    assert.equal(job.nextRunAt, wall + 60 * 60_000)
+    assert.equal(scheduled.at(-1).delay, 60 * 60_000)
+
+    const runs = await runStore.listRuns({ type: 'cron', limit: 10, offset: 0 })
+    assert.equal(runs.runs.length, 0)
+
+    cronScheduler.stopCronScheduler()
+  })
+})
@@ -10,6 +10,7 @@ import { randomUUID } from 'node:crypto'
 import path from 'node:path'
 import { getConfigDir, ensureConfigDir } from './config.mjs'
 import { createFileBackedStore } from './file-backed-store.mjs'
+import { normalizeCronSchedule } from './cron-schedule.mjs'
 
 const CRON_FILE = () => path.join(getConfigDir(), 'cron-jobs.json')
 const CRON_BACKUP_FILE = () => path.join(getConfigDir(), 'cron-jobs.json.bak')
@@ -109,8 +110,23 @@ export function getJobs() {
 
 export async function upsertJob(job) {
   if (!job || !job.id) return
+  if (job.schedule !== undefined && job.schedule !== null) {
+    // Throws with a user-facing message for unknown kinds or malformed fields.
+    const schedule = normalizeCronSchedule(job.schedule)
+    // Keep an unset tz following the system zone, but record the resolved kind
+    // and the instant a one-shot `at` resolved to.
+    job.schedule = {
+      ...job.schedule,
+      kind: schedule.kind,
+      ...(schedule.kind === 'at' ? { at: schedule.at } : {}),
+    }
+  }
   const idx = store.jobs.findIndex((j) => j.id === job.id)
   if (idx >= 0) {
+    // lastFiredAt is companion-owned; extension re-syncs must not reset it.
+    if (job.lastFiredAt === undefined && store.jobs[idx].lastFiredAt !== undefined) {
+      job.lastFiredAt = store.jobs[idx].lastFiredAt
+    }
     store.jobs[idx] = job
   } else {
     store.jobs.push(job)
@@ -195,6 +211,25 @@ export async function ackPendingRuns(input) {
   return removed
 }
 
+/**
+ * Persist the scheduled time of the most recent occurrence handled for a
+ * job. Misfire catch-up compares this against the schedule on startup and
+ * after wall-clock jumps.
+ *
+ * @param {string} taskId
+ * @param {number} firedAt
+ * @returns {Promise<boolean>}
+ */
+export async function recordJobFired(taskId, firedAt) {
+  const idx = store.jobs.findIndex((j) => j.id === taskId)
+  if (idx < 0 || !Number.isFinite(firedAt)) return false
+  const job = store.jobs[idx]
+  if (Number.isFinite(job.lastFiredAt) && job.lastFiredAt >= firedAt) return true
+  job.lastFiredAt = firedAt
+  await saveStore()
+  return true
+}
+
 /**
  * Merge a partial watcher state patch into a job's watcher.state.
  * Used by the executor to persist escalation decisions (lastInvestigatedHash,
@@ -197,6 +197,49 @@ test('upsertJob preserves nextRunAt metadata', async () => {
   })
 })
 
+test('upsertJob validates schedule kinds before persisting', async () => {
+  await withTempHome(async ({ mod }) => {
+    await assert.rejects(
+      mod.upsertJob({
+        id: 'job-bad-cron',
+        name: 'Bad cron',
+        enabled: true,
+        schedule: { kind: 'cron', expression: '99 * * * *' },
+      }),
+      /minute field/,
+    )
+    await mod.upsertJob({
+      id: 'job-weekly',
+      name: 'Weekly',
+      enabled: true,
+      schedule: { kind: 'weekly', daysOfWeek: ['mon', 'thu'], hour: 9, minute: 30, tz: 'UTC' },
+    })
+
+    assert.deepEqual(mod.getJobs().map((job) => job.id), ['job-weekly'])
+  })
+})
+
+test('upsertJob stores the resolved kind and at timestamp', async () => {
+  await withTempHome(async ({ mod }) => {
+    await mod.upsertJob({
+      id: 'job-legacy',
+      name: 'Legacy',
+      enabled: true,
+      schedule: { hour: 9, minute: 0 },
+    })
+    await mod.upsertJob({
+      id: 'job-at',
+      name: 'One-shot',
+      enabled: true,
+      schedule: { kind: 'at', at: ' 2030-05-01T10:00 ', tz: 'Asia/Tokyo' },
+    })
+
+    const [legacy, oneShot] = mod.getJobs()
+    assert.deepEqual(legacy.schedule, { hour: 9, minute: 0, kind: 'daily' })
+    assert.deepEqual(oneShot.schedule, { kind: 'at', at: '2030-05-01T01:00:00.000Z', tz: 'Asia/Tokyo' })
+  })
+})
+
 test('patchJobWatcherState merges state patch into existing job watcher state', async () => {
   await withTempHome(async ({ mod }) => {
     await mod.upsertJob({
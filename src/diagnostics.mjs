@@ -11,6 +11,7 @@ import { summarizeAutomationSpecs } from './automation-spec.mjs'
 import { listRuns } from './run-store.mjs'
 import { listPendingApprovals } from './approval-store.mjs'
 import { listAcpSessions } from './acp-session.mjs'
+import { getAcpSchedulerStats } from './acp-scheduler.mjs'
 import { getMemoryShadowStatus } from './memory-shadow-store.mjs'
 import { getBrowserLedgerDiagnostics } from './browser-ledger.mjs'
 import { normalizePermissionPolicy } from './permission-policy.mjs'
@@ -22,6 +23,8 @@ import {
   listAutomationSessionBindings,
 } from './automation-session-store.mjs'
 import { listAutomationOutboxItems } from './automation-outbox.mjs'
+import { getWebhookDeliveryStats } from './webhook-delivery.mjs'
+import { getAutomationTriggerStats } from './automation-triggers.mjs'
 import { listAutomationBudgetLedgers } from './automation-budget-store.mjs'
 import {
   NATIVE_HOST_NAMES,
@@ -461,6 +464,8 @@ async function buildAutomationExecutionSummary(acpSessions) {
     cleanedBindings: sweep.removed || 0,
     lastSweepAt: sweep.sweptAt,
     lastSweepReasons: sweep.reasons,
+    sandboxes: sweep.sandboxes?.kept || 0,
+    cleanedSandboxes: sweep.sandboxes?.removed || 0,
     activeAcpSessions: automationSessions.length,
     runningAcpSessions: automationSessions.filter((session) => session.state === 'running').length,
     recentBindings: bindings.slice(0, 10),
@@ -693,6 +698,7 @@ export async function buildDiagnosticsPayload(params) {
   const automationSummary = summarizeAutomationSpecs(automationJobs)
   const automationExecution = await buildAutomationExecutionSummary(acpSessions)
   const automationOutbox = await buildAutomationOutboxSummary()
+  const webhookDeliveries = await getWebhookDeliveryStats().catch(() => null)
   const automationLifecyclePhases = buildAutomationLifecyclePhaseSummary(runs)
   const automationBudgetHealth = await buildAutomationBudgetHealthSummary()
   const activeWorkflowRuns = countActiveWorkflowRuns(runs)
@@ -755,6 +761,8 @@ export async function buildDiagnosticsPayload(params) {
       budgetHealth: automationBudgetHealth,
       execution: automationExecution,
       outbox: automationOutbox,
+      webhooks: webhookDeliveries,
+      triggers: getAutomationTriggerStats(),
       recentLifecyclePhases: automationLifecyclePhases,
       recentFailures: automationFailures,
     },
@@ -770,6 +778,8 @@ export async function buildDiagnosticsPayload(params) {
       totalSessions: acpSessions.total,
       runningSessions: acpSessions.sessions.filter((session) => session.state === 'running').length,
       idleSessions: acpSessions.sessions.filter((session) => session.state === 'idle').length,
+      queuedSessions: acpSessions.sessions.filter((session) => session.state === 'queued').length,
+      concurrency: getAcpSchedulerStats(),
       stallSummary: acpStallSummary,
     },
     capabilitySummary,
@@ -812,11 +822,14 @@ export async function runCompanionSelfCheck(params) {
   const permissionPolicy = normalizePermissionPolicy(params.getPermissionPolicy?.() || config.permissionPolicy)
   const nativeHostRegistration = await checkNativeHostRegistration(config)
   const mcpExecutables = await Promise.all(
-    Object.entries(config.mcpServers || {}).map(async ([name, serverConfig]) => ({
-      name,
-      command: serverConfig?.command || '',
-      ok: await resolveExecutable(serverConfig?.command || ''),
-    })),
+    Object.entries(config.mcpServers || {})
+      // Remote (http/sse) servers have no local executable to resolve.
+      .filter(([, serverConfig]) => !serverConfig?.transport || serverConfig.transport === 'stdio')
+      .map(async ([name, serverConfig]) => ({
+        name,
+        command: serverConfig?.command || '',
+        ok: await resolveExecutable(serverConfig?.command || ''),
+      })),
   )
 
   const checks = {
@@ -0,0 +1,228 @@
+/**
+ * Server-Sent Events bridge for cursor-based event feeds.
+ *
+ * Every event list in the companion (runtime session events, ACP session
+ * events, browser ledger events) already pages by a monotonically increasing
+ * cursor. This module turns any of those `fetchPage(after)` functions into a
+ * long-lived `text/event-stream` response: each event is written with its
+ * cursor as the SSE `id`, so a reconnecting client resumes exactly where it
+ * stopped via `Last-Event-ID` (or `?after=`).
+ *
+ * Slow consumers are never buffered without bound: while the socket is not
+ * draining we stop polling, and a consumer that stays stalled past
+ * `stallTimeoutMs` or lets the write buffer exceed `maxBufferedBytes` is
+ * disconnected. It can reconnect with its last seen id and replay whatever
+ * is still retained upstream.
+ */
+
+export const DEFAULT_EVENT_STREAM_POLL_MS = 250
+export const DEFAULT_EVENT_STREAM_HEARTBEAT_MS = 15_000
+export const DEFAULT_EVENT_STREAM_MAX_BUFFERED_BYTES = 1024 * 1024
+export const DEFAULT_EVENT_STREAM_STALL_TIMEOUT_MS = 30_000
+const EVENT_STREAM_RETRY_MS = 2_000
+const EVENT_STREAM_PAGE_LIMIT = 200
+
+function clampInt(value, fallback, min, max) {
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) return fallback
+  return Math.min(Math.max(Math.floor(parsed), min), max)
+}
+
+/**
+ * Resolve the resume cursor for a stream request. `Last-Event-ID` (sent by
+ * EventSource on reconnect) wins over the `after` query parameter.
+ */
+export function resolveEventStreamCursor(req, url) {
+  const header = req?.headers?.['last-event-id']
+  const raw = typeof header === 'string' && header.trim()
+    ? header.trim()
+    : url?.searchParams?.get('after')
+  return clampInt(raw, 0, 0, Number.MAX_SAFE_INTEGER)
+}
+
+export function formatSseEvent({ id, event, data }) {
+  let frame = ''
+  if (id !== undefined && id !== null) frame += `id: ${id}\n`
+  if (event) frame += `event: ${event}\n`
+  const payload = typeof data === 'string' ? data : JSON.stringify(data)
+  for (const line of payload.split('\n')) {
+    frame += `data: ${line}\n`
+  }
+  return `${frame}\n`
+}
+
+/**
+ * Open an SSE response and pump events from `fetchPage` until the client
+ * disconnects, the stream is closed via the returned handle, or `isComplete`
+ * reports that the source will never produce more events.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {object} options
+ * @param {(after: number, limit: number) => Promise<{events: object[], nextCursor: number, hasMore: boolean}>|{events: object[], nextCursor: number, hasMore: boolean}} options.fetchPage
+ * @param {number} [options.after]
+ * @param {string} [options.eventName] SSE `event:` field for data frames.
+ * @param {() => boolean|Promise<boolean>} [options.isComplete]
+ * @param {Set<object>} [options.registry] Tracks open streams so the server can close them on shutdown.
+ */
+export function openEventStream(req, res, options = {}) {
+  const fetchPage = options.fetchPage
+  if (typeof fetchPage !== 'function') {
+    throw new Error('openEventStream requires fetchPage.')
+  }
+  const pollIntervalMs = clampInt(options.pollIntervalMs, DEFAULT_EVENT_STREAM_POLL_MS, 10, 60_000)
+  const heartbeatMs = clampInt(options.heartbeatMs, DEFAULT_EVENT_STREAM_HEARTBEAT_MS, 10, 600_000)
+  const maxBufferedBytes = clampInt(
+    options.maxBufferedBytes,
+    DEFAULT_EVENT_STREAM_MAX_BUFFERED_BYTES,
+    1024,
+    64 * 1024 * 1024,
+  )
+  const stallTimeoutMs = clampInt(options.stallTimeoutMs, DEFAULT_EVENT_STREAM_STALL_TIMEOUT_MS, 10, 600_000)
+  const eventName = typeof options.eventName === 'string' && options.eventName ? options.eventName : ''
+  const isComplete = typeof options.isComplete === 'function' ? options.isComplete : null
+  const registry = options.registry instanceof Set ? options.registry : null
+
+  let cursor = clampInt(options.after, 0, 0, Number.MAX_SAFE_INTEGER)
+  let closed = false
+  let paused = false
+  let pollTimer = null
+  let heartbeatTimer = null
+  let stallTimer = null
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  if (typeof res.flushHeaders === 'function') res.flushHeaders()
+  req.socket?.setKeepAlive?.(true)
+  req.socket?.setNoDelay?.(true)
+
+  const handle = {
+    get closed() { return closed },
+    get cursor() { return cursor },
+    close,
+  }
+
+  function close(reason = 'closed') {
+    if (closed) return
+    closed = true
+    if (pollTimer) clearTimeout(pollTimer)
+    if (heartbeatTimer) clearInterval(heartbeatTimer)
+    if (stallTimer) clearTimeout(stallTimer)
+    pollTimer = null
+    heartbeatTimer = null
+    stallTimer = null
+    registry?.delete(handle)
+    res.removeListener('drain', onDrain)
+    if (reason === 'slow_consumer') {
+      // The buffer is already saturated; writing a goodbye frame would only
+      // grow it. Drop the connection and let the client resume by id.
+      res.destroy()
+      return
+    }
+    if (!res.writableEnded && !res.destroyed) {
+      if (reason === 'complete' || reason === 'shutdown') {
+        res.write(formatSseEvent({ event: 'end', data: { reason, cursor } }))
+      }
+      res.end()
+    }
+  }
+
+  function write(chunk) {
+    if (closed || res.destroyed) return false
+    const flushed = res.write(chunk)
+    if (res.writableLength > maxBufferedBytes) {
+      close('slow_consumer')
+      return false
+    }
+    if (!flushed) pauseForDrain()
+    return flushed
+  }
+
+  function pauseForDrain() {
+    if (paused || closed) return
+    paused = true
+    res.once('drain', onDrain)
+    stallTimer = setTimeout(() => close('slow_consumer'), stallTimeoutMs)
+    if (stallTimer.unref) stallTimer.unref()
+  }
+
+  function onDrain() {
+    paused = false
+    if (stallTimer) clearTimeout(stallTimer)
+    stallTimer = null
+    schedulePoll(0)
+  }
+
+  function schedulePoll(delayMs) {
+    if (closed || paused || pollTimer) return
+    pollTimer = setTimeout(() => {
+      pollTimer = null
+      void pump()
+    }, delayMs)
+  }
+
+  async function pump() {
+    if (closed || paused) return
+    let page
+    try {
+      page = await fetchPage(cursor, EVENT_STREAM_PAGE_LIMIT)
+    } catch (err) {
+      write(formatSseEvent({ event: 'error', data: { error: err?.message || 'Event source failed.' } }))
+      close('error')
+      return
+    }
+    if (closed) return
+
+    const events = Array.isArray(page?.events) ? page.events : []
+    for (const event of events) {
+      const eventCursor = Number(event?.cursor)
+      if (Number.isFinite(eventCursor) && eventCursor <= cursor) continue
+      if (Number.isFinite(eventCursor)) cursor = eventCursor
+      write(formatSseEvent({
+        id: Number.isFinite(eventCursor) ? eventCursor : undefined,
+        event: eventName,
+        data: event,
+      }))
+      if (closed) return
+    }
+
+    if (events.length === 0 && isComplete) {
+      let complete = false
+      try { complete = Boolean(await isComplete()) } catch { complete = false }
+      if (complete) {
+        close('complete')
+        return
+      }
+    }
+
+    schedulePoll(page?.hasMore && events.length > 0 ? 0 : pollIntervalMs)
+  }
+
+  req.on('close', () => close('client_closed'))
+  res.on('error', () => close('client_closed'))
+
+  registry?.add(handle)
+  write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`)
+  heartbeatTimer = setInterval(() => {
+    if (!paused) write(`: heartbeat ${Date.now()}\n\n`)
+  }, heartbeatMs)
+  if (heartbeatTimer.unref) heartbeatTimer.unref()
+  schedulePoll(0)
+
+  return handle
+}
+
+/**
+ * Close every stream in a registry (used when the HTTP server shuts down so
+ * `server.close()` is not held open by long-lived connections).
+ */
+export function closeEventStreams(registry, reason = 'shutdown') {
+  if (!(registry instanceof Set)) return
+  for (const handle of [...registry]) {
+    handle.close(reason)
+  }
+}
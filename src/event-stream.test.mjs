@@ -0,0 +1,187 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer, request } from 'node:http'
+
+import {
+  closeEventStreams,
+  formatSseEvent,
+  openEventStream,
+  resolveEventStreamCursor,
+} from './event-stream.mjs'
+
+function createFeed() {
+  const events = []
+  let nextCursor = 1
+  return {
+    push(payload) {
+      events.push({ ...payload, cursor: nextCursor++ })
+    },
+    page(after, limit) {
+      const filtered = events.filter((event) => event.cursor > after).slice(0, limit)
+      const last = filtered.length > 0 ? filtered[filtered.length - 1].cursor : Math.max(after, nextCursor - 1)
+      return {
+        events: filtered,
+        nextCursor: last,
+        hasMore: events.some((event) => event.cursor > last),
+      }
+    },
+  }
+}
+
+async function startStreamServer(onRequest) {
+  const registry = new Set()
+  const server = createServer((req, res) => onRequest(req, res, registry))
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  return { server, registry, port: server.address().port }
+}
+
+async function stopStreamServer(ctx) {
+  closeEventStreams(ctx.registry)
+  await new Promise((resolve) => ctx.server.close(resolve))
+}
+
+function parseFrames(text) {
+  return text
+    .split('\n\n')
+    .filter((block) => block.trim() && !block.startsWith(':') && !block.startsWith('retry:'))
+    .map((block) => {
+      const frame = {}
+      for (const line of block.split('\n')) {
+        const idx = line.indexOf(': ')
+        if (idx === -1) continue
+        frame[line.slice(0, idx)] = line.slice(idx + 2)
+      }
+      return frame
+    })
+}
+
+function readStream(port, { path = '/', headers = {}, until, paused = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, path, headers }, (res) => {
+      let body = ''
+      const finish = () => resolve({ status: res.statusCode, headers: res.headers, body, res, req })
+      if (paused) return finish()
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => {
+        body += chunk
+        if (until && until(body)) {
+          req.destroy()
+          finish()
+        }
+      })
+      res.on('end', finish)
+      res.on('close', finish)
+    })
+    req.on('error', (err) => {
+      if (err.code === 'ECONNRESET') return
+      reject(err)
+    })
+    req.end()
+  })
+}
+
+test('resolveEventStreamCursor prefers Last-Event-ID over the after query', () => {
+  const url = new URL('http://localhost/stream?after=4')
+  assert.equal(resolveEventStreamCursor({ headers: {} }, url), 4)
+  assert.equal(resolveEventStreamCursor({ headers: { 'last-event-id': '9' } }, url), 9)
+  assert.equal(resolveEventStreamCursor({ headers: { 'last-event-id': 'junk' } }, new URL('http://localhost/')), 0)
+})
+
+test('formatSseEvent splits multi-line payloads into data lines', () => {
+  assert.equal(
+    formatSseEvent({ id: 3, event: 'session', data: 'a\nb' }),
+    'id: 3\nevent: session\ndata: a\ndata: b\n\n',
+  )
+})
+
+test('event stream replays from the resume cursor and follows new events', async (t) => {
+  const feed = createFeed()
+  feed.push({ type: 'one' })
+  feed.push({ type: 'two' })
+  const ctx = await startStreamServer((req, res, registry) => {
+    openEventStream(req, res, {
+      after: resolveEventStreamCursor(req, new URL(req.url, 'http://localhost')),
+      eventName: 'test',
+      registry,
+      pollIntervalMs: 20,
+      fetchPage: (after, limit) => feed.page(after, limit),
+    })
+  })
+  t.after(() => stopStreamServer(ctx))
+
+  setTimeout(() => feed.push({ type: 'three' }), 60)
+  const result = await readStream(ctx.port, {
+    headers: { 'Last-Event-ID': '1' },
+    until: (body) => body.includes('"three"'),
+  })
+
+  assert.equal(result.status, 200)
+  assert.match(result.headers['content-type'], /text\/event-stream/)
+  assert.match(result.body, /^retry: \d+/)
+  const frames = parseFrames(result.body)
+  assert.deepEqual(frames.map((frame) => frame.id), ['2', '3'])
+  assert.deepEqual(frames.map((frame) => frame.event), ['test', 'test'])
+  assert.deepEqual(frames.map((frame) => JSON.parse(frame.data).type), ['two', 'three'])
+})
+
+test('event stream emits heartbeat comments while idle', async (t) => {
+  const feed = createFeed()
+  const ctx = await startStreamServer((req, res, registry) => {
+    openEventStream(req, res, {
+      registry,
+      heartbeatMs: 20,
+      fetchPage: (after, limit) => feed.page(after, limit),
+    })
+  })
+  t.after(() => stopStreamServer(ctx))
+
+  const result = await readStream(ctx.port, { until: (body) => body.includes(': heartbeat') })
+  assert.match(result.body, /: heartbeat \d+/)
+})
+
+test('event stream ends with an end frame once the source reports completion', async (t) => {
+  const feed = createFeed()
+  feed.push({ type: 'final' })
+  const ctx = await startStreamServer((req, res, registry) => {
+    openEventStream(req, res, {
+      registry,
+      pollIntervalMs: 10,
+      fetchPage: (after, limit) => feed.page(after, limit),
+      isComplete: () => true,
+    })
+  })
+  t.after(() => stopStreamServer(ctx))
+
+  const result = await readStream(ctx.port)
+  const frames = parseFrames(result.body)
+  assert.equal(frames.length, 2)
+  assert.equal(JSON.parse(frames[0].data).type, 'final')
+  assert.equal(frames[1].event, 'end')
+  assert.deepEqual(JSON.parse(frames[1].data), { reason: 'complete', cursor: 1 })
+})
+
+test('event stream disconnects consumers that let the write buffer overflow', async (t) => {
+  const feed = createFeed()
+  const filler = 'x'.repeat(4096)
+  for (let i = 0; i < 2000; i++) feed.push({ type: 'bulk', filler })
+  let handle = null
+  const ctx = await startStreamServer((req, res, registry) => {
+    handle = openEventStream(req, res, {
+      registry,
+      pollIntervalMs: 10,
+      maxBufferedBytes: 64 * 1024,
+      fetchPage: (after, limit) => feed.page(after, limit),
+    })
+  })
+  t.after(() => stopStreamServer(ctx))
+
+  const result = await readStream(ctx.port, { paused: true })
+  const deadline = Date.now() + 5_000
+  while (!handle?.closed && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+  result.req.destroy()
+  assert.equal(handle.closed, true)
+  assert.ok(handle.cursor < 2000, 'slow consumer should not receive the whole backlog')
+  assert.equal(ctx.registry.size, 0)
+})
@@ -0,0 +1,67 @@
+/**
+ * The one way the companion runs git itself (workspace snapshots, automation
+ * sandboxes). Those commands run in repositories an agent may have written
+ * to, so no repository config may run code: no fsmonitor daemon, no hooks,
+ * and every configured filter driver is blanked out. Callers pass `--no-ext-diff`
+ * / `--no-textconv` to diffs whose output they read.
+ */
+
+import { execFile } from 'node:child_process'
+
+const DEFAULT_TIMEOUT_MS = 60_000
+const GIT_MAX_BUFFER = 64 * 1024 * 1024
+const GIT_HARDENING_ARGS = ['-c', 'core.fsmonitor=false', '-c', 'core.hooksPath=/dev/null']
+
+function gitSubcommand(args) {
+  return args.find((arg) => !arg.startsWith('-') && !arg.includes('=')) || ''
+}
+
+function execGit(args, { cwd, env = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', [...GIT_HARDENING_ARGS, ...args], {
+      cwd,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0', ...env },
+      timeout: timeoutMs,
+      maxBuffer: GIT_MAX_BUFFER,
+      windowsHide: true,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        const message = String(stderr || '').trim() || err.message
+        reject(new Error(`git ${gitSubcommand(args)} failed: ${message}`))
+        return
+      }
+      resolve(String(stdout))
+    })
+  })
+}
+
+// `-c` overrides that turn off every filter driver the repository, user or
+// system config defines. git has no switch for this outside hash-object.
+// `globalArgs` (`--git-dir=...` and the like) select the same repository.
+async function disableFilterArgs(globalArgs, options) {
+  // Exits 1 when nothing matches.
+  const output = await execGit([...globalArgs, 'config', '--name-only', '--get-regexp', '^filter\\.'], options).catch(() => '')
+  const drivers = new Set()
+  for (const line of output.split('\n')) {
+    const key = line.trim()
+    const name = key.slice('filter.'.length, key.lastIndexOf('.'))
+    if (name) drivers.add(name)
+  }
+  return Array.from(drivers).flatMap((name) => [
+    '-c', `filter.${name}.clean=`,
+    '-c', `filter.${name}.smudge=`,
+    '-c', `filter.${name}.process=`,
+    '-c', `filter.${name}.required=false`,
+  ])
+}
+
+/**
+ * Run git and resolve with its stdout; rejects with `git <subcommand> failed: <stderr>`.
+ * @param {string[]} args
+ * @param {{ cwd?: string, env?: object, timeoutMs?: number }} [options]
+ */
+export async function runGit(args, options = {}) {
+  const subcommandIndex = args.indexOf(gitSubcommand(args))
+  const globalArgs = subcommandIndex > 0 ? args.slice(0, subcommandIndex) : []
+  return execGit([...await disableFilterArgs(globalArgs, options), ...args], options)
+}
@@ -0,0 +1,53 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { chmodSync, mkdirSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import { runGit } from './git-command.mjs'
+
+const dirs = []
+after(() => {
+  for (const dir of dirs) rmSync(dir, { recursive: true, force: true })
+})
+
+function tempDir(prefix) {
+  const dir = mkdtempSync(join(tmpdir(), prefix))
+  dirs.push(dir)
+  return dir
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' },
+  })
+}
+
+test('runGit ignores filter drivers, fsmonitor and hooks from the selected repository', async () => {
+  const markers = tempDir('git-command-markers-')
+  const work = tempDir('git-command-work-')
+  const gitDir = join(tempDir('git-command-repo-'), 'repo.git')
+  const repo = [`--git-dir=${gitDir}`, `--work-tree=${work}`]
+  writeFileSync(join(work, 'notes.txt'), 'v1\n')
+  writeFileSync(join(work, '.gitattributes'), '*.txt filter=evil\n')
+  git(work, ...repo, 'init', '-q')
+  git(work, ...repo, 'config', 'filter.evil.clean', `touch ${join(markers, 'clean')}; cat`)
+  git(work, ...repo, 'config', 'filter.evil.required', 'true')
+  git(work, ...repo, 'config', 'core.fsmonitor', `touch ${join(markers, 'fsmonitor')}; true`)
+  mkdirSync(join(gitDir, 'hooks'), { recursive: true })
+  writeFileSync(join(gitDir, 'hooks', 'pre-commit'), `#!/bin/sh\ntouch ${join(markers, 'pre-commit')}\n`)
+  chmodSync(join(gitDir, 'hooks', 'pre-commit'), 0o755)
+
+  await runGit([...repo, 'add', '-A', '--', '.'], { cwd: work })
+  await runGit(['-c', 'user.name=t', '-c', 'user.email=t@t', ...repo, 'commit', '-qm', 'snapshot'], { cwd: work })
+  assert.equal(await runGit([...repo, 'show', 'HEAD:notes.txt'], { cwd: work }), 'v1\n')
+  assert.deepEqual(readdirSync(markers), [])
+})
+
+test('runGit names the subcommand when git fails', async () => {
+  const cwd = tempDir('git-command-plain-')
+  await assert.rejects(runGit(['-c', 'core.quotePath=false', 'rev-parse', '--verify', 'HEAD'], { cwd }), /^Error: git rev-parse failed: /)
+})
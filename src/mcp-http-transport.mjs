@@ -0,0 +1,430 @@
+/**
+ * JSON-RPC 2.0 over HTTP transports for remote MCP servers.
+ *
+ * - StreamableHttpTransport: the "Streamable HTTP" transport. Every message
+ *   is POSTed to one endpoint; the reply is either a JSON body or a short
+ *   SSE stream. A session id from `Mcp-Session-Id` is echoed back, and an
+ *   optional GET stream carries server-initiated notifications.
+ * - SseTransport: the older "HTTP+SSE" transport. A long-lived GET stream
+ *   announces a POST endpoint (`event: endpoint`) and carries every reply.
+ *
+ * Both expose the same surface as StdioTransport (request, notify,
+ * onNotification, close, closed, stderr, requestTimeoutMs) plus `connect()`,
+ * `startListening()` and `onClose()` so McpManager can treat them alike.
+ */
+
+import { getDefaultMcpRequestTimeoutMs, normalizeMcpRequestTimeoutMs } from './config.mjs'
+import { McpError } from './mcp-transport.mjs'
+
+/**
+ * Parse a fetch() response body as a stream of Server-Sent Events.
+ * @param {ReadableStream<Uint8Array>} body
+ */
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    let boundary = buffer.search(/\r?\n\r?\n/)
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '')
+      const event = parseSseBlock(block)
+      if (event) yield event
+      boundary = buffer.search(/\r?\n\r?\n/)
+    }
+  }
+  const tail = parseSseBlock(buffer)
+  if (tail) yield tail
+}
+
+function parseSseBlock(block) {
+  let event = 'message'
+  let id = null
+  const data = []
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue
+    const idx = line.indexOf(':')
+    const field = idx === -1 ? line : line.slice(0, idx)
+    const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '')
+    if (field === 'event') event = value
+    else if (field === 'data') data.push(value)
+    else if (field === 'id') id = value
+  }
+  if (data.length === 0) return null
+  return { event, id, data: data.join('\n') }
+}
+
+function isNetworkError(err) {
+  return err instanceof TypeError || err?.name === 'TypeError' || Boolean(err?.cause?.code)
+}
+
+async function readErrorSnippet(res) {
+  try {
+    const text = await res.text()
+    return text.trim().slice(0, 200)
+  } catch {
+    return ''
+  }
+}
+
+class RemoteJsonRpcTransport {
+  #nextId = 1
+  #pending = new Map() // id → { resolve, reject, timer, controller }
+  #closed = false
+  #notificationHandler = null
+  #closeHandler = null
+  #requestTimeoutMs
+  #controllers = new Set()
+
+  constructor(options = {}) {
+    const url = typeof options.url === 'string' ? options.url.trim() : ''
+    if (!url) throw new Error('MCP remote transport requires a url.')
+    this.url = new URL(url)
+    this.headers = options.headers && typeof options.headers === 'object' ? { ...options.headers } : {}
+    this.fetch = typeof options.fetchImpl === 'function' ? options.fetchImpl : globalThis.fetch
+    this.#requestTimeoutMs = normalizeMcpRequestTimeoutMs(
+      options.requestTimeoutMs,
+      getDefaultMcpRequestTimeoutMs(),
+    )
+  }
+
+  get stderr() {
+    return ''
+  }
+
+  get closed() {
+    return this.#closed
+  }
+
+  get requestTimeoutMs() {
+    return this.#requestTimeoutMs
+  }
+
+  onNotification(handler) {
+    this.#notificationHandler = handler
+  }
+
+  /** Called once if the connection is lost (not on an explicit close()). */
+  onClose(handler) {
+    this.#closeHandler = handler
+  }
+
+  async connect() {}
+
+  startListening() {}
+
+  createController() {
+    const controller = new AbortController()
+    this.#controllers.add(controller)
+    return controller
+  }
+
+  releaseController(controller) {
+    this.#controllers.delete(controller)
+  }
+
+  async request(method, params = {}) {
+    if (this.#closed) {
+      throw new Error('Transport is closed')
+    }
+
+    const id = this.#nextId++
+    const message = { jsonrpc: '2.0', id, method, params }
+    const controller = this.createController()
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#pending.delete(id)
+        controller.abort()
+        this.releaseController(controller)
+        reject(new Error(`MCP request timed out after ${this.#requestTimeoutMs}ms: ${method}`))
+      }, this.#requestTimeoutMs)
+
+      this.#pending.set(id, { resolve, reject, timer, controller })
+
+      this.sendMessage(message, controller.signal)
+        .catch((err) => {
+          const entry = this.#pending.get(id)
+          if (!entry) return
+          this.#pending.delete(id)
+          clearTimeout(entry.timer)
+          reject(err instanceof Error ? err : new Error(String(err)))
+          if (isNetworkError(err)) this.fail(err)
+        })
+        .finally(() => {
+          // Keep the controller while a reply is still expected over a stream.
+          if (!this.#pending.has(id)) this.releaseController(controller)
+        })
+    })
+  }
+
+  async notify(method, params = {}) {
+    if (this.#closed) return
+    const controller = this.createController()
+    try {
+      await this.sendMessage({ jsonrpc: '2.0', method, params }, controller.signal)
+    } finally {
+      this.releaseController(controller)
+    }
+  }
+
+  dispatch(msg) {
+    if (!msg || msg.jsonrpc !== '2.0') return
+
+    if (msg.id !== undefined && msg.id !== null) {
+      const entry = this.#pending.get(msg.id)
+      if (!entry) return
+      this.#pending.delete(msg.id)
+      clearTimeout(entry.timer)
+      this.releaseController(entry.controller)
+      if (msg.error) {
+        entry.reject(new McpError(msg.error.code, msg.error.message, msg.error.data))
+      } else {
+        entry.resolve(msg.result)
+      }
+      return
+    }
+
+    if (msg.method && this.#notificationHandler) {
+      this.#notificationHandler(msg.method, msg.params)
+    }
+  }
+
+  dispatchPayload(payload) {
+    for (const msg of Array.isArray(payload) ? payload : [payload]) {
+      this.dispatch(msg)
+    }
+  }
+
+  /** Connection lost: reject everything in flight and notify the manager. */
+  fail(err) {
+    if (this.#closed) return
+    this.#shutdown(err?.message ? `MCP remote transport disconnected: ${err.message}` : 'MCP remote transport disconnected')
+    const handler = this.#closeHandler
+    this.#closeHandler = null
+    if (typeof handler === 'function') handler(err)
+  }
+
+  close() {
+    if (this.#closed) return
+    this.#closeHandler = null
+    this.#shutdown('Transport closed')
+  }
+
+  #shutdown(reason) {
+    this.#closed = true
+    for (const [, entry] of this.#pending) {
+      clearTimeout(entry.timer)
+      entry.reject(new Error(reason))
+    }
+    this.#pending.clear()
+    for (const controller of this.#controllers) {
+      try { controller.abort() } catch { /* ignore */ }
+    }
+    this.#controllers.clear()
+    this.teardown()
+  }
+
+  // Subclass hooks
+  async sendMessage() {
+    throw new Error('sendMessage not implemented')
+  }
+
+  teardown() {}
+}
+
+export class StreamableHttpTransport extends RemoteJsonRpcTransport {
+  #sessionId = null
+  #listening = false
+
+  get sessionId() {
+    return this.#sessionId
+  }
+
+  #buildHeaders(extra = {}) {
+    return {
+      ...this.headers,
+      ...(this.#sessionId ? { 'Mcp-Session-Id': this.#sessionId } : {}),
+      ...extra,
+    }
+  }
+
+  async sendMessage(message, signal) {
+    const res = await this.fetch(this.url, {
+      method: 'POST',
+      headers: this.#buildHeaders({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      }),
+      body: JSON.stringify(message),
+      signal,
+    })
+
+    const sessionId = res.headers.get('mcp-session-id')
+    if (sessionId) this.#sessionId = sessionId
+
+    if (res.status === 202 || res.status === 204) return
+    if (!res.ok) {
+      const snippet = await readErrorSnippet(res)
+      const err = new Error(`MCP HTTP ${res.status}${snippet ? `: ${snippet}` : ''}`)
+      // The server forgot our session (e.g. it restarted); reconnect from scratch.
+      if (res.status === 404 && this.#sessionId) this.fail(err)
+      throw err
+    }
+
+    const contentType = String(res.headers.get('content-type') || '')
+    if (contentType.includes('text/event-stream')) {
+      for await (const event of readSseEvents(res.body)) {
+        if (event.event !== 'message') continue
+        try { this.dispatchPayload(JSON.parse(event.data)) } catch { /* ignore malformed frames */ }
+      }
+      return
+    }
+    const text = await res.text()
+    if (!text.trim()) return
+    this.dispatchPayload(JSON.parse(text))
+  }
+
+  /**
+   * Open the optional GET stream for server-initiated messages. Servers that
+   * do not offer one answer 405, which is fine.
+   */
+  startListening() {
+    if (this.#listening || this.closed) return
+    this.#listening = true
+    const controller = this.createController()
+    void (async () => {
+      try {
+        const res = await this.fetch(this.url, {
+          method: 'GET',
+          headers: this.#buildHeaders({ Accept: 'text/event-stream' }),
+          signal: controller.signal,
+        })
+        if (!res.ok || !String(res.headers.get('content-type') || '').includes('text/event-stream')) {
+          await res.body?.cancel().catch(() => undefined)
+          return
+        }
+        for await (const event of readSseEvents(res.body)) {
+          if (event.event !== 'message') continue
+          try { this.dispatchPayload(JSON.parse(event.data)) } catch { /* ignore malformed frames */ }
+        }
+      } catch {
+        // Best effort: requests still work without the notification stream.
+      } finally {
+        this.releaseController(controller)
+        this.#listening = false
+      }
+    })()
+  }
+
+  teardown() {
+    if (!this.#sessionId) return
+    // Politely end the server-side session; failures are irrelevant.
+    void this.fetch(this.url, {
+      method: 'DELETE',
+      headers: this.#buildHeaders(),
+    }).then((res) => res.body?.cancel()).catch(() => undefined)
+  }
+}
+
+export class SseTransport extends RemoteJsonRpcTransport {
+  #endpoint = null
+  #streamController = null
+
+  async connect() {
+    const controller = this.createController()
+    this.#streamController = controller
+    try {
+      await this.#openStream(controller)
+    } catch (err) {
+      // Do not leave the GET request and its reader open behind a failed connect.
+      try { controller.abort() } catch { /* ignore */ }
+      this.releaseController(controller)
+      this.#streamController = null
+      throw err
+    }
+  }
+
+  async #openStream(controller) {
+    const res = await this.fetch(this.url, {
+      method: 'GET',
+      headers: { ...this.headers, Accept: 'text/event-stream' },
+      signal: controller.signal,
+    })
+    if (!res.ok) {
+      const snippet = await readErrorSnippet(res)
+      throw new Error(`MCP SSE connect failed with HTTP ${res.status}${snippet ? `: ${snippet}` : ''}`)
+    }
+
+    const events = readSseEvents(res.body)
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`MCP SSE endpoint not announced within ${this.requestTimeoutMs}ms`))
+      }, this.requestTimeoutMs)
+      let announced = false
+
+      void (async () => {
+        try {
+          for await (const event of events) {
+            if (event.event === 'endpoint') {
+              // The POST target carries this.headers, so it is fixed at the
+              // first announcement and must stay on the stream's origin.
+              if (announced) continue
+              const endpoint = new URL(event.data.trim(), this.url)
+              if (endpoint.origin !== new URL(this.url).origin) {
+                throw new Error(`MCP SSE endpoint origin ${endpoint.origin} does not match the server origin`)
+              }
+              this.#endpoint = endpoint
+              announced = true
+              clearTimeout(timer)
+              resolve()
+              continue
+            }
+            if (event.event !== 'message') continue
+            try { this.dispatchPayload(JSON.parse(event.data)) } catch { /* ignore malformed frames */ }
+          }
+          throw new Error('MCP SSE stream ended')
+        } catch (err) {
+          if (!announced) {
+            clearTimeout(timer)
+            reject(err)
+            return
+          }
+          if (!this.closed) this.fail(err)
+        }
+      })()
+    })
+  }
+
+  async sendMessage(message, signal) {
+    if (!this.#endpoint) throw new Error('MCP SSE transport is not connected')
+    const res = await this.fetch(this.#endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal,
+    })
+    if (!res.ok) {
+      const snippet = await readErrorSnippet(res)
+      throw new Error(`MCP SSE POST failed with HTTP ${res.status}${snippet ? `: ${snippet}` : ''}`)
+    }
+    // Replies arrive on the event stream.
+    await res.body?.cancel().catch(() => undefined)
+  }
+
+  teardown() {
+    try { this.#streamController?.abort() } catch { /* ignore */ }
+  }
+}
+
+export function createRemoteMcpTransport(config, options = {}) {
+  const transportOptions = {
+    url: config.url,
+    headers: config.headers,
+    requestTimeoutMs: options.requestTimeoutMs,
+    fetchImpl: options.fetchImpl,
+  }
+  if (config.transport === 'sse') return new SseTransport(transportOptions)
+  return new StreamableHttpTransport(transportOptions)
+}
@@ -0,0 +1,315 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+
+import { readSseEvents, SseTransport, StreamableHttpTransport } from './mcp-http-transport.mjs'
+import { McpManager } from './mcp-manager.mjs'
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const value = await check()
+    if (value) return value
+    await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+  throw new Error('Timed out waiting for condition.')
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => resolve(body))
+  })
+}
+
+function handleRpc(message, state) {
+  if (message.method === 'initialize') {
+    return { capabilities: { tools: {} }, serverInfo: { name: 'remote-fake', version: '1.0.0' } }
+  }
+  if (message.method === 'tools/list') {
+    return {
+      tools: [{ name: 'echo', description: 'Echo text back', inputSchema: { type: 'object' } }],
+    }
+  }
+  if (message.method === 'tools/call') {
+    state.calls.push(message.params)
+    return { content: [{ type: 'text', text: `echo:${message.params?.arguments?.text ?? ''}` }] }
+  }
+  return null
+}
+
+/**
+ * Stand-in remote MCP server speaking both Streamable HTTP (`/mcp`) and the
+ * legacy HTTP+SSE transport (`/sse` + `/messages`).
+ */
+async function startRemoteMcpServer({ token = 'remote-secret', sseEndpoint = null } = {}) {
+  const state = {
+    calls: [],
+    notifications: [],
+    deletes: 0,
+    sessions: new Set(),
+    sseStreams: new Set(),
+    sseConnects: 0,
+  }
+  const server = createServer(async (req, res) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: 'unauthorized' }))
+      return
+    }
+    const url = new URL(req.url, 'http://localhost')
+
+    if (url.pathname === '/mcp') {
+      if (req.method === 'GET') {
+        res.writeHead(405)
+        res.end()
+        return
+      }
+      if (req.method === 'DELETE') {
+        state.deletes += 1
+        state.sessions.delete(req.headers['mcp-session-id'])
+        res.writeHead(200)
+        res.end()
+        return
+      }
+      const message = JSON.parse(await readBody(req))
+      if (message.method === 'initialize') {
+        const sessionId = `session-${state.sessions.size + 1}`
+        state.sessions.add(sessionId)
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId })
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: handleRpc(message, state) }))
+        return
+      }
+      if (!state.sessions.has(req.headers['mcp-session-id'])) {
+        res.writeHead(404)
+        res.end('unknown session')
+        return
+      }
+      if (message.id === undefined) {
+        state.notifications.push(message.method)
+        res.writeHead(202)
+        res.end()
+        return
+      }
+      const reply = JSON.stringify({ jsonrpc: '2.0', id: message.id, result: handleRpc(message, state) })
+      if (message.method === 'tools/list') {
+        // Exercise the SSE-framed response path.
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        res.end(`event: message\ndata: ${reply}\n\n`)
+        return
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(reply)
+      return
+    }
+
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      state.sseConnects += 1
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' })
+      res.write(': connected\n\n')
+      if (sseEndpoint !== false) res.write(`event: endpoint\ndata: ${sseEndpoint || `/messages?sessionId=${state.sseConnects}`}\n\n`)
+      state.sseStreams.add(res)
+      req.on('close', () => state.sseStreams.delete(res))
+      return
+    }
+
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      const message = JSON.parse(await readBody(req))
+      res.writeHead(202)
+      res.end()
+      if (message.id === undefined) {
+        state.notifications.push(message.method)
+        return
+      }
+      const reply = JSON.stringify({ jsonrpc: '2.0', id: message.id, result: handleRpc(message, state) })
+      for (const stream of state.sseStreams) stream.write(`event: message\ndata: ${reply}\n\n`)
+      return
+    }
+
+    res.writeHead(404)
+    res.end()
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  return {
+    state,
+    baseUrl,
+    headers: { Authorization: `Bearer ${token}` },
+    dropSseStreams() {
+      for (const stream of state.sseStreams) stream.destroy()
+      state.sseStreams.clear()
+    },
+    async close() {
+      for (const stream of state.sseStreams) stream.destroy()
+      server.closeAllConnections?.()
+      await new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+test('readSseEvents parses multi-line data, comments, and CRLF framing', async () => {
+  const body = new ReadableStream({
+    start(controller) {
+      const encoder = new TextEncoder()
+      controller.enqueue(encoder.encode(': ping\r\n\r\nevent: endpoint\r\ndata: /messages\r\n\r\nid: 4\ndata: {"a":'))
+      controller.enqueue(encoder.encode('\ndata: 1}\n\n'))
+      controller.close()
+    },
+  })
+  const events = []
+  for await (const event of readSseEvents(body)) events.push(event)
+  assert.deepEqual(events, [
+    { event: 'endpoint', id: null, data: '/messages' },
+    { event: 'message', id: '4', data: '{"a":\n1}' },
+  ])
+})
+
+test('StreamableHttpTransport tracks the session id and accepts JSON and SSE replies', async (t) => {
+  const remote = await startRemoteMcpServer()
+  t.after(() => remote.close())
+
+  const transport = new StreamableHttpTransport({ url: `${remote.baseUrl}/mcp`, headers: remote.headers })
+  const init = await transport.request('initialize', {})
+  assert.equal(init.serverInfo.name, 'remote-fake')
+  assert.equal(transport.sessionId, 'session-1')
+
+  await transport.notify('notifications/initialized')
+  const listed = await transport.request('tools/list', {})
+  assert.deepEqual(listed.tools.map((tool) => tool.name), ['echo'])
+  assert.deepEqual(remote.state.notifications, ['notifications/initialized'])
+
+  transport.close()
+  assert.equal(transport.closed, true)
+  await waitFor(() => remote.state.deletes === 1)
+})
+
+test('StreamableHttpTransport surfaces HTTP errors without leaking pending requests', async (t) => {
+  const remote = await startRemoteMcpServer()
+  t.after(() => remote.close())
+
+  const transport = new StreamableHttpTransport({ url: `${remote.baseUrl}/mcp`, headers: { Authorization: 'Bearer wrong' } })
+  await assert.rejects(() => transport.request('initialize', {}), /MCP HTTP 401/)
+  transport.close()
+})
+
+test('SseTransport waits for the endpoint event and reads replies from the stream', async (t) => {
+  const remote = await startRemoteMcpServer()
+  t.after(() => remote.close())
+
+  const transport = new SseTransport({ url: `${remote.baseUrl}/sse`, headers: remote.headers })
+  await transport.connect()
+  const result = await transport.request('tools/call', { name: 'echo', arguments: { text: 'hi' } })
+  assert.equal(result.content[0].text, 'echo:hi')
+  transport.close()
+})
+
+test('SseTransport rejects an endpoint on another origin and ignores later announcements', async (t) => {
+  const hostile = await startRemoteMcpServer({ sseEndpoint: 'http://attacker.invalid/messages' })
+  t.after(() => hostile.close())
+
+  const rejected = new SseTransport({ url: `${hostile.baseUrl}/sse`, headers: hostile.headers })
+  await assert.rejects(() => rejected.connect(), /endpoint origin http:\/\/attacker\.invalid does not match/)
+  rejected.close()
+
+  const remote = await startRemoteMcpServer()
+  t.after(() => remote.close())
+
+  const transport = new SseTransport({ url: `${remote.baseUrl}/sse`, headers: remote.headers })
+  await transport.connect()
+  for (const stream of remote.state.sseStreams) stream.write('event: endpoint\ndata: http://attacker.invalid/messages\n\n')
+  const result = await transport.request('tools/call', { name: 'echo', arguments: { text: 'still here' } })
+  assert.equal(result.content[0].text, 'echo:still here')
+  transport.close()
+})
+
+test('SseTransport closes the event stream when the endpoint is never announced', async (t) => {
+  const remote = await startRemoteMcpServer({ sseEndpoint: false })
+  t.after(() => remote.close())
+
+  const transport = new SseTransport({ url: `${remote.baseUrl}/sse`, headers: remote.headers, requestTimeoutMs: 200 })
+  await assert.rejects(() => transport.connect(), /endpoint not announced within 200ms/)
+  await waitFor(() => remote.state.sseConnects === 1 && remote.state.sseStreams.size === 0)
+  transport.close()
+})
+
+test('McpManager connects to remote http and sse servers and routes tool calls', async (t) => {
+  const remote = await startRemoteMcpServer()
+  const manager = new McpManager({
+    hosted: { transport: 'http', url: `${remote.baseUrl}/mcp`, headers: remote.headers, requestTimeoutMs: 2000 },
+    legacy: { transport: 'sse', url: `${remote.baseUrl}/sse`, headers: remote.headers },
+    local: { command: process.execPath, args: ['-e', ''] },
+  })
+  t.after(async () => {
+    await manager.stopAll()
+    await remote.close()
+  })
+
+  await manager.startServer('hosted')
+  await manager.startServer('legacy')
+
+  const servers = manager.getServers()
+  const hosted = servers.find((item) => item.name === 'hosted')
+  assert.equal(hosted.status, 'connected')
+  assert.equal(hosted.transport, 'http')
+  assert.equal(hosted.url, `${remote.baseUrl}/mcp`)
+  assert.equal(hosted.toolCount, 1)
+  assert.equal(hosted.requestTimeoutMs, 2000)
+  assert.equal('headers' in hosted, false)
+  assert.equal(servers.find((item) => item.name === 'legacy').transport, 'sse')
+  assert.equal(servers.find((item) => item.name === 'local').transport, 'stdio')
+
+  const viaHttp = await manager.callTool('hosted', 'echo', { text: 'one' })
+  assert.equal(viaHttp.ok, true)
+  assert.equal(viaHttp.content[0].text, 'echo:one')
+  const viaSse = await manager.callTool('legacy', 'echo', { text: 'two' })
+  assert.equal(viaSse.content[0].text, 'echo:two')
+  assert.equal(remote.state.notifications.filter((name) => name === 'notifications/initialized').length, 2)
+})
+
+test('remote servers that drop their connection reconnect through the restart backoff', async (t) => {
+  const prevBase = process.env.TRAPEZOHE_MCP_RESTART_BASE_BACKOFF_MS
+  const prevMax = process.env.TRAPEZOHE_MCP_RESTART_MAX_BACKOFF_MS
+  process.env.TRAPEZOHE_MCP_RESTART_BASE_BACKOFF_MS = '40'
+  process.env.TRAPEZOHE_MCP_RESTART_MAX_BACKOFF_MS = '40'
+  const remote = await startRemoteMcpServer()
+  const cacheBust = `${Date.now()}-${Math.random()}`
+  const { McpManager: RestartingMcpManager } = await import(`./mcp-manager.mjs?bust=${cacheBust}`)
+  const manager = new RestartingMcpManager({
+    legacy: { transport: 'sse', url: `${remote.baseUrl}/sse`, headers: remote.headers },
+  })
+  t.after(async () => {
+    await manager.stopAll()
+    await remote.close()
+    if (prevBase === undefined) delete process.env.TRAPEZOHE_MCP_RESTART_BASE_BACKOFF_MS
+    else process.env.TRAPEZOHE_MCP_RESTART_BASE_BACKOFF_MS = prevBase
+    if (prevMax === undefined) delete process.env.TRAPEZOHE_MCP_RESTART_MAX_BACKOFF_MS
+    else process.env.TRAPEZOHE_MCP_RESTART_MAX_BACKOFF_MS = prevMax
+  })
+
+  await manager.startServer('legacy')
+  remote.dropSseStreams()
+
+  const disconnected = await waitFor(() => {
+    const status = manager.getServers().find((item) => item.name === 'legacy')
+    return status?.status === 'disconnected' ? status : null
+  })
+  assert.equal(disconnected.restartPending, true)
+  assert.match(disconnected.error, /Remote MCP connection lost/)
+
+  await waitFor(() => manager.getServers().find((item) => item.name === 'legacy')?.status === 'connected')
+  assert.equal(remote.state.sseConnects, 2)
+})
+
+test('upsertServer requires a url for remote transports', async () => {
+  const manager = new McpManager({})
+  await assert.rejects(
+    () => manager.upsertServer('remote', { transport: 'http' }, { start: false }),
+    /config\.url is required for the http transport/,
+  )
+  await manager.upsertServer('remote', { transport: 'http', url: 'http://127.0.0.1:1/mcp' }, { start: false })
+  const status = manager.getServers().find((item) => item.name === 'remote')
+  assert.equal(status.transport, 'http')
+  assert.equal(status.status, 'stopped')
+})
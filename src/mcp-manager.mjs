@@ -1,13 +1,16 @@
 /**
  * MCP Server lifecycle manager.
  *
- * Spawns MCP server child processes, connects via stdio transport,
- * discovers tools, and routes tool calls to the appropriate server.
+ * Spawns MCP server child processes (stdio transport) or connects to remote
+ * servers over Streamable HTTP / legacy SSE, discovers and caches tools,
+ * resources and prompts (refreshed on the `list_changed` notifications), and
+ * routes tool calls, resource reads and prompt lookups to the right server.
  */
 
 import { spawn } from 'node:child_process'
 import { dirname } from 'node:path'
 import { formatMcpProcessExitMessage, StdioTransport } from './mcp-transport.mjs'
+import { createRemoteMcpTransport } from './mcp-http-transport.mjs'
 import { COMPANION_VERSION } from './version.mjs'
 import { getDefaultMcpRequestTimeoutMs, normalizeMcpRequestTimeoutMs } from './config.mjs'
 import { buildToolchainPath, shouldPreferManagedNodeToolchain } from './toolchain-path.mjs'
@@ -22,6 +25,8 @@ const MCP_RESTART_BASE_BACKOFF_MS = Number(process.env.TRAPEZOHE_MCP_RESTART_BAS
 const MCP_RESTART_MAX_BACKOFF_MS = Number(process.env.TRAPEZOHE_MCP_RESTART_MAX_BACKOFF_MS || 30_000)
 const MCP_MAX_STARTING = Math.max(0, Number(process.env.TRAPEZOHE_MCP_MAX_STARTING || 4))
 const MCP_MAX_CONNECTED = Math.max(0, Number(process.env.TRAPEZOHE_MCP_MAX_CONNECTED || 32))
+// Upper bound on cursor pages followed for one `.../list` call.
+const MCP_LIST_MAX_PAGES = 20
 const DEVTOOLS_SELECTED_PAGE_CLOSED_RE = /the selected page has been closed/i
 export function buildMcpSpawnPath(basePath, opts = {}) {
   return buildToolchainPath(basePath, {
@@ -158,12 +163,89 @@ function resolveWriteCapable(config, tools = []) {
   return tools.some((tool) => isWriteCapableToolName(tool?.name))
 }
 
+function clearServerCatalog(entry) {
+  entry.tools = []
+  entry.resources = []
+  entry.resourceTemplates = []
+  entry.prompts = []
+}
+
+function normalizeMcpTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description || '',
+    inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+  }
+}
+
+function normalizeMcpResource(resource) {
+  return {
+    uri: resource.uri,
+    name: resource.name || resource.uri,
+    description: resource.description || '',
+    ...(resource.mimeType ? { mimeType: resource.mimeType } : {}),
+  }
+}
+
+function normalizeMcpResourceTemplate(template) {
+  return {
+    uriTemplate: template.uriTemplate,
+    name: template.name || template.uriTemplate,
+    description: template.description || '',
+    ...(template.mimeType ? { mimeType: template.mimeType } : {}),
+  }
+}
+
+function normalizeMcpPrompt(prompt) {
+  return {
+    name: prompt.name,
+    description: prompt.description || '',
+    arguments: Array.isArray(prompt.arguments)
+      ? prompt.arguments
+        .filter((arg) => arg && typeof arg.name === 'string')
+        .map((arg) => ({
+          name: arg.name,
+          description: arg.description || '',
+          required: Boolean(arg.required),
+        }))
+      : [],
+  }
+}
+
 function resolveServerRequestTimeoutMs(config) {
   return normalizeMcpRequestTimeoutMs(config?.requestTimeoutMs, getDefaultMcpRequestTimeoutMs())
 }
 
+function normalizeTransportKind(value) {
+  const kind = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return kind === 'http' || kind === 'sse' ? kind : 'stdio'
+}
+
+function isRemoteServerConfig(config) {
+  return normalizeTransportKind(config?.transport) !== 'stdio'
+}
+
+function normalizeStringMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {}
+  return Object.fromEntries(Object.entries(value).filter(([, item]) => typeof item === 'string'))
+}
+
 function normalizeManagerServerConfig(config) {
+  const transport = normalizeTransportKind(config.transport)
+  if (transport !== 'stdio') {
+    return {
+      transport,
+      url: typeof config.url === 'string' ? config.url.trim() : '',
+      headers: normalizeStringMap(config.headers),
+      ...(config.requestTimeoutMs !== undefined
+        ? { requestTimeoutMs: resolveServerRequestTimeoutMs(config) }
+        : {}),
+      ...(typeof config.restartable === 'boolean' ? { restartable: config.restartable } : {}),
+      ...(typeof config.writeCapable === 'boolean' ? { writeCapable: config.writeCapable } : {}),
+    }
+  }
   return {
+    transport,
     command: config.command,
     args: Array.isArray(config.args)
       ? config.args.filter((item) => typeof item === 'string')
@@ -256,8 +338,8 @@ export class McpManager {
     if (!configs || typeof configs !== 'object') return
 
     for (const [name, config] of Object.entries(configs)) {
-      if (!config.command) {
-        console.warn(`[MCP] Skipping server "${name}": no command specified`)
+      if (isRemoteServerConfig(config) ? !config.url : !config.command) {
+        console.warn(`[MCP] Skipping server "${name}": no ${isRemoteServerConfig(config) ? 'url' : 'command'} specified`)
         continue
       }
       const normalizedConfig = normalizeManagerServerConfig(config)
@@ -267,6 +349,9 @@ export class McpManager {
         status: 'stopped',
         transport: null,
         tools: [],
+        resources: [],
+        resourceTemplates: [],
+        prompts: [],
         capabilities: null,
         error: null,
         startedAt: null,
@@ -301,6 +386,91 @@ export class McpManager {
     }
   }
 
+  async #spawnStdioTransport(name, entry, startToken) {
+    const { command, args = [], env = {}, cwd } = entry.config
+    const childEnv = { ...process.env, ...env }
+    childEnv.PATH = buildMcpSpawnPath(childEnv.PATH, {
+      preferNodeToolchain: shouldPreferManagedNodeToolchain(command),
+    })
+
+    // Use a promise to detect early spawn failure
+    const proc = spawn(command, args, {
+      cwd: cwd || undefined,
+      env: childEnv,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    })
+
+    // Wait briefly for spawn errors (e.g. ENOENT) before proceeding
+    await new Promise((resolve, reject) => {
+      const onError = (err) => {
+        proc.removeListener('spawn', onSpawn)
+        reject(err)
+      }
+      const onSpawn = () => {
+        proc.removeListener('error', onError)
+        resolve()
+      }
+      proc.once('error', onError)
+      proc.once('spawn', onSpawn)
+    })
+
+    // Register close handler after confirmed spawn
+    proc.on('close', (code) => {
+      if (entry.startToken !== startToken) return
+      if (entry.status !== 'stopped') {
+        entry.status = 'disconnected'
+        entry.transport = null
+        clearServerCatalog(entry) // Clear cached tools/resources/prompts when server disconnects
+        entry.error = formatMcpProcessExitMessage(
+          `Process exited with code ${code}`,
+          transport.stderr,
+        )
+        entry.startedAt = null
+        console.warn(`[MCP] "${name}" exited with code ${code}`)
+        this.#scheduleRestart(name, entry)
+      }
+    })
+
+    // Register late error handler (after spawn succeeded)
+    proc.on('error', (err) => {
+      if (entry.startToken !== startToken) return
+      if (entry.status !== 'stopped') {
+        entry.status = 'error'
+        entry.transport = null
+        clearServerCatalog(entry)
+        entry.error = `Process error: ${err.message}`
+        entry.startedAt = null
+        console.error(`[MCP] "${name}" error:`, err.message)
+        this.#scheduleRestart(name, entry)
+      }
+    })
+
+    const transport = new StdioTransport(proc, {
+      requestTimeoutMs: resolveServerRequestTimeoutMs(entry.config),
+    })
+    return transport
+  }
+
+  #createRemoteTransport(name, entry, startToken) {
+    const transport = createRemoteMcpTransport(entry.config, {
+      requestTimeoutMs: resolveServerRequestTimeoutMs(entry.config),
+    })
+    // A lost connection is the remote equivalent of the child process exiting.
+    transport.onClose((err) => {
+      if (entry.startToken !== startToken) return
+      if (entry.status !== 'stopped') {
+        entry.status = 'disconnected'
+        entry.transport = null
+        clearServerCatalog(entry)
+        entry.error = `Remote MCP connection lost${err?.message ? `: ${err.message}` : ''}`
+        entry.startedAt = null
+        console.warn(`[MCP] "${name}" disconnected: ${entry.error}`)
+        this.#scheduleRestart(name, entry)
+      }
+    })
+    return transport
+  }
+
   async startServer(name) {
     const entry = this.#servers.get(name)
     if (!entry) throw new Error(`Unknown MCP server: ${name}`)
@@ -331,75 +501,19 @@ export class McpManager {
       this.#clearScheduledRestart(entry)
       entry.status = 'starting'
       entry.error = null
-      entry.tools = []
+      clearServerCatalog(entry)
       entry.startedAt = null
 
       const startToken = Symbol(`mcp-start:${name}`)
       entry.startToken = startToken
-      const { command, args = [], env = {}, cwd } = entry.config
-      const childEnv = { ...process.env, ...env }
-      childEnv.PATH = buildMcpSpawnPath(childEnv.PATH, {
-        preferNodeToolchain: shouldPreferManagedNodeToolchain(command),
-      })
-
-      // Use a promise to detect early spawn failure
-      const proc = spawn(command, args, {
-        cwd: cwd || undefined,
-        env: childEnv,
-        stdio: ['pipe', 'pipe', 'pipe'],
-      })
-
-      // Wait briefly for spawn errors (e.g. ENOENT) before proceeding
-      await new Promise((resolve, reject) => {
-        const onError = (err) => {
-          proc.removeListener('spawn', onSpawn)
-          reject(err)
-        }
-        const onSpawn = () => {
-          proc.removeListener('error', onError)
-          resolve()
-        }
-        proc.once('error', onError)
-        proc.once('spawn', onSpawn)
-      })
-
-      // Register close handler after confirmed spawn
-      proc.on('close', (code) => {
-        if (entry.startToken !== startToken) return
-        if (entry.status !== 'stopped') {
-          entry.status = 'disconnected'
-          entry.transport = null
-          entry.tools = [] // Clear tools when server disconnects
-          entry.error = formatMcpProcessExitMessage(
-            `Process exited with code ${code}`,
-            transport.stderr,
-          )
-          entry.startedAt = null
-          console.warn(`[MCP] "${name}" exited with code ${code}`)
-          this.#scheduleRestart(name, entry)
-        }
-      })
-
-      // Register late error handler (after spawn succeeded)
-      proc.on('error', (err) => {
-        if (entry.startToken !== startToken) return
-        if (entry.status !== 'stopped') {
-          entry.status = 'error'
-          entry.transport = null
-          entry.tools = []
-          entry.error = `Process error: ${err.message}`
-          entry.startedAt = null
-          console.error(`[MCP] "${name}" error:`, err.message)
-          this.#scheduleRestart(name, entry)
-        }
-      })
-
-      const transport = new StdioTransport(proc, {
-        requestTimeoutMs: resolveServerRequestTimeoutMs(entry.config),
-      })
+      const transport = isRemoteServerConfig(entry.config)
+        ? this.#createRemoteTransport(name, entry, startToken)
+        : await this.#spawnStdioTransport(name, entry, startToken)
       entry.transport = transport
       entry.startedAt = Date.now()
 
+      await transport.connect?.()
+
       // Initialize MCP connection
       const initResult = await transport.request('initialize', {
         protocolVersion: MCP_PROTOCOL_VERSION,
@@ -411,34 +525,26 @@ export class McpManager {
 
       // Send initialized notification
       try {
-        proc.stdin.write(JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'notifications/initialized',
-          params: {},
-        }) + '\n')
+        await transport.notify('notifications/initialized')
       } catch { /* ignore */ }
+      transport.startListening?.()
 
-      // Discover tools
-      if (entry.capabilities.tools) {
-        try {
-          const toolsResult = await transport.request('tools/list', {})
-          entry.tools = (toolsResult.tools || []).map((t) => ({
-            name: t.name,
-            description: t.description || '',
-            inputSchema: t.inputSchema || { type: 'object', properties: {} },
-          }))
-          entry.writeCapable = resolveWriteCapable(entry.config, entry.tools)
-        } catch (err) {
-          console.warn(`[MCP] "${name}" tools/list failed:`, err.message)
-        }
-      }
+      transport.onNotification((method) => {
+        if (entry.transport !== transport) return
+        void this.#handleListChanged(entry, method)
+      })
+
+      // Discover tools, resources and prompts
+      await this.#refreshTools(entry)
+      await this.#refreshResources(entry)
+      await this.#refreshPrompts(entry)
 
       entry.status = 'connected'
       entry.failureCount = 0
       entry.lastFailureAt = null
       entry.nextRetryAt = null
       entry.restartPending = false
-      console.log(`[MCP] "${name}" connected — ${entry.tools.length} tool(s)`)
+      console.log(`[MCP] "${name}" connected — ${entry.tools.length} tool(s), ${entry.resources.length} resource(s), ${entry.prompts.length} prompt(s)`)
       return { name, tools: entry.tools.length }
     } catch (err) {
       entry.status = 'error'
@@ -448,7 +554,7 @@ export class McpManager {
         entry.transport?.stderr,
       )
       entry.error = failureMessage
-      entry.tools = []
+      clearServerCatalog(entry)
       this.#setNextRetry(entry, now)
       // Cleanup transport if it was created
       if (entry.transport) {
@@ -465,6 +571,65 @@ export class McpManager {
     }
   }
 
+  /** Follow `nextCursor` pagination for a `.../list` method and collect `key`. */
+  async #listAll(entry, method, key) {
+    const items = []
+    let cursor
+    for (let page = 0; page < MCP_LIST_MAX_PAGES; page++) {
+      const result = await entry.transport.request(method, cursor ? { cursor } : {})
+      if (Array.isArray(result?.[key])) items.push(...result[key])
+      cursor = typeof result?.nextCursor === 'string' && result.nextCursor ? result.nextCursor : undefined
+      if (!cursor) break
+    }
+    return items
+  }
+
+  async #refreshTools(entry) {
+    if (!entry.capabilities?.tools) return
+    try {
+      const tools = await this.#listAll(entry, 'tools/list', 'tools')
+      entry.tools = tools.filter((t) => t && typeof t.name === 'string').map(normalizeMcpTool)
+      entry.writeCapable = resolveWriteCapable(entry.config, entry.tools)
+    } catch (err) {
+      console.warn(`[MCP] "${entry.name}" tools/list failed:`, err.message)
+    }
+  }
+
+  async #refreshResources(entry) {
+    if (!entry.capabilities?.resources) return
+    try {
+      const resources = await this.#listAll(entry, 'resources/list', 'resources')
+      entry.resources = resources.filter((r) => r && typeof r.uri === 'string').map(normalizeMcpResource)
+    } catch (err) {
+      console.warn(`[MCP] "${entry.name}" resources/list failed:`, err.message)
+    }
+    try {
+      const templates = await this.#listAll(entry, 'resources/templates/list', 'resourceTemplates')
+      entry.resourceTemplates = templates
+        .filter((r) => r && typeof r.uriTemplate === 'string')
+        .map(normalizeMcpResourceTemplate)
+    } catch {
+      // Templates are optional; servers without any commonly reject the method.
+      entry.resourceTemplates = []
+    }
+  }
+
+  async #refreshPrompts(entry) {
+    if (!entry.capabilities?.prompts) return
+    try {
+      const prompts = await this.#listAll(entry, 'prompts/list', 'prompts')
+      entry.prompts = prompts.filter((p) => p && typeof p.name === 'string').map(normalizeMcpPrompt)
+    } catch (err) {
+      console.warn(`[MCP] "${entry.name}" prompts/list failed:`, err.message)
+    }
+  }
+
+  async #handleListChanged(entry, method) {
+    if (method === 'notifications/tools/list_changed') return this.#refreshTools(entry)
+    if (method === 'notifications/resources/list_changed') return this.#refreshResources(entry)
+    if (method === 'notifications/prompts/list_changed') return this.#refreshPrompts(entry)
+  }
+
   async stopServer(name) {
     const entry = this.#servers.get(name)
     if (!entry) return
@@ -478,7 +643,7 @@ export class McpManager {
       entry.transport = null
     }
 
-    entry.tools = []
+    clearServerCatalog(entry)
     entry.error = null
     entry.startedAt = null
     entry.nextRetryAt = null
@@ -496,10 +661,14 @@ export class McpManager {
         name: entry.name,
         status: entry.status,
         toolCount: entry.tools.length,
+        resourceCount: entry.resources.length,
+        promptCount: entry.prompts.length,
         error: entry.error,
         startedAt: entry.startedAt,
-        command: entry.config.command,
-        args: entry.config.args || [],
+        transport: entry.config.transport || 'stdio',
+        ...(isRemoteServerConfig(entry.config)
+          ? { url: entry.config.url }
+          : { command: entry.config.command, args: entry.config.args || [] }),
         requestTimeoutMs: entry.transport?.requestTimeoutMs ?? resolveServerRequestTimeoutMs(entry.config),
         failureCount: entry.failureCount || 0,
         lastFailureAt: entry.lastFailureAt,
@@ -528,6 +697,95 @@ export class McpManager {
     return tools
   }
 
+  getAllResources() {
+    const resources = []
+    const resourceTemplates = []
+    for (const [, entry] of this.#servers) {
+      if (entry.status !== 'connected') continue
+      for (const resource of entry.resources) {
+        resources.push({ server: entry.name, ...resource })
+      }
+      for (const template of entry.resourceTemplates) {
+        resourceTemplates.push({ server: entry.name, ...template })
+      }
+    }
+    return { resources, resourceTemplates }
+  }
+
+  getAllPrompts() {
+    const prompts = []
+    for (const [, entry] of this.#servers) {
+      if (entry.status !== 'connected') continue
+      for (const prompt of entry.prompts) {
+        prompts.push({ server: entry.name, ...prompt })
+      }
+    }
+    return prompts
+  }
+
+  #resolveConnectedEntry(serverName) {
+    const entry = this.#resolveServerEntry(serverName)
+    if (!entry) {
+      const available = this.getServers().map((item) => item.name).filter(Boolean)
+      const hint = available.length > 0 ? ` Available servers: ${available.join(', ')}` : ''
+      return { error: `Unknown MCP server: ${serverName}.${hint}` }
+    }
+    if (entry.status !== 'connected' || !entry.transport || entry.transport.closed) {
+      return { error: `MCP server "${entry.name}" is not connected (status: ${entry.status})` }
+    }
+    return { entry }
+  }
+
+  async readResource(serverName, uri) {
+    const { entry, error } = this.#resolveConnectedEntry(serverName)
+    if (error) return { ok: false, error }
+    if (!entry.capabilities?.resources) {
+      return { ok: false, error: `MCP server "${entry.name}" does not expose resources` }
+    }
+    const resourceUri = typeof uri === 'string' ? uri.trim() : ''
+    if (!resourceUri) return { ok: false, error: 'Resource "uri" is required.' }
+
+    try {
+      const result = await entry.transport.request('resources/read', { uri: resourceUri })
+      return { ok: true, server: entry.name, uri: resourceUri, contents: result?.contents || [] }
+    } catch (err) {
+      return { ok: false, error: err.message }
+    }
+  }
+
+  async getPrompt(serverName, promptName, args = {}) {
+    const { entry, error } = this.#resolveConnectedEntry(serverName)
+    if (error) return { ok: false, error }
+
+    const prompt = entry.prompts.find((p) => p.name === promptName)
+    if (!prompt) {
+      return { ok: false, error: `Prompt "${promptName}" not found on server "${entry.name}"` }
+    }
+    // MCP prompt arguments are string-valued.
+    const promptArgs = {}
+    for (const [key, value] of Object.entries(args && typeof args === 'object' ? args : {})) {
+      if (value === undefined || value === null) continue
+      promptArgs[key] = typeof value === 'string' ? value : JSON.stringify(value)
+    }
+    const missing = prompt.arguments.filter((arg) => arg.required && !(arg.name in promptArgs))
+    if (missing.length > 0) {
+      return { ok: false, error: `Prompt "${promptName}" requires argument(s): ${missing.map((arg) => arg.name).join(', ')}` }
+    }
+
+    try {
+      const result = await entry.transport.request('prompts/get', { name: promptName, arguments: promptArgs })
+      return {
+        ok: true,
+        server: entry.name,
+        name: promptName,
+        description: result?.description || prompt.description,
+        messages: result?.messages || [],
+      }
+    } catch (err) {
+      return { ok: false, error: err.message }
+    }
+  }
+
   async #callToolRaw(entry, toolName, args = {}) {
     return entry.transport.request('tools/call', {
       name: toolName,
@@ -625,6 +883,11 @@ export class McpManager {
     }
   }
 
+  /** Canonical configured name for `serverName` (resolving `-mcp` aliases), or null. */
+  resolveServerName(serverName) {
+    return this.#resolveServerEntry(serverName)?.name ?? null
+  }
+
   #resolveServerEntry(serverName) {
     const requested = typeof serverName === 'string' ? serverName.trim() : ''
     if (!requested) return null
@@ -672,12 +935,19 @@ export class McpManager {
     if (!config || typeof config !== 'object' || Array.isArray(config)) {
       throw new Error('MCP server config must be an object.')
     }
-    const command = typeof config.command === 'string' ? config.command.trim() : ''
-    if (!command) throw new Error('MCP server config.command is required.')
-    const normalizedConfig = normalizeManagerServerConfig({
-      ...config,
-      command,
-    })
+    let normalizedConfig
+    if (isRemoteServerConfig(config)) {
+      const url = typeof config.url === 'string' ? config.url.trim() : ''
+      if (!url) throw new Error(`MCP server config.url is required for the ${normalizeTransportKind(config.transport)} transport.`)
+      normalizedConfig = normalizeManagerServerConfig({ ...config, url })
+    } else {
+      const command = typeof config.command === 'string' ? config.command.trim() : ''
+      if (!command) throw new Error('MCP server config.command is required.')
+      normalizedConfig = normalizeManagerServerConfig({
+        ...config,
+        command,
+      })
+    }
 
     const existing = this.#servers.get(serverName)
     if (existing) {
@@ -693,6 +963,9 @@ export class McpManager {
         status: 'stopped',
         transport: null,
         tools: [],
+        resources: [],
+        resourceTemplates: [],
+        prompts: [],
         capabilities: null,
         error: null,
         startedAt: null,
@@ -297,6 +297,63 @@ function handle(message) {
   return { scriptPath, startCountPath, selectionPath, snapshotCountPath }
 }
 
+async function createResourcePromptServer(tempDir) {
+  const scriptPath = path.join(tempDir, 'resource-prompt-mcp-server.mjs')
+  const source = `
+const resources = [
+  { uri: 'file:///notes/a.md', name: 'a.md', mimeType: 'text/markdown' },
+  { uri: 'file:///notes/b.md', name: 'b.md' },
+]
+let buffer = ''
+process.stdin.setEncoding('utf8')
+process.stdin.on('data', (chunk) => {
+  buffer += chunk
+  let newlineIndex = buffer.indexOf('\\n')
+  while (newlineIndex >= 0) {
+    const line = buffer.slice(0, newlineIndex).trim()
+    buffer = buffer.slice(newlineIndex + 1)
+    if (line) handle(JSON.parse(line))
+    newlineIndex = buffer.indexOf('\\n')
+  }
+})
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\\n')
+}
+
+function handle(message) {
+  const { id, method, params = {} } = message
+  if (method === 'initialize') {
+    send({ id, result: { capabilities: { tools: {}, resources: { listChanged: true }, prompts: {} } } })
+  } else if (method === 'tools/list') {
+    send({ id, result: { tools: [{ name: 'add_note' }] } })
+  } else if (method === 'tools/call') {
+    resources.push({ uri: 'file:///notes/c.md', name: 'c.md' })
+    send({ id, result: { content: [{ type: 'text', text: 'added' }] } })
+    send({ method: 'notifications/resources/list_changed' })
+  } else if (method === 'resources/list') {
+    // Two pages to exercise cursor pagination.
+    const offset = params.cursor === 'page-2' ? 1 : 0
+    const page = offset === 0 ? resources.slice(0, 1) : resources.slice(1)
+    send({ id, result: { resources: page, ...(offset === 0 ? { nextCursor: 'page-2' } : {}) } })
+  } else if (method === 'resources/templates/list') {
+    send({ id, result: { resourceTemplates: [{ uriTemplate: 'file:///notes/{name}', name: 'note' }] } })
+  } else if (method === 'resources/read') {
+    send({ id, result: { contents: [{ uri: params.uri, mimeType: 'text/markdown', text: 'body of ' + params.uri }] } })
+  } else if (method === 'prompts/list') {
+    send({ id, result: { prompts: [{ name: 'summarize', description: 'Summarize a note', arguments: [{ name: 'uri', required: true }] }] } })
+  } else if (method === 'prompts/get') {
+    send({ id, result: { messages: [{ role: 'user', content: { type: 'text', text: 'Summarize ' + params.arguments.uri } }] } })
+  } else if (id !== undefined) {
+    send({ id, error: { code: -32601, message: 'Method not found' } })
+  }
+}
+`
+
+  await writeFile(scriptPath, source, 'utf8')
+  return { scriptPath }
+}
+
 test('buildMcpSpawnPath appends common executable directories and nvm bins', async () => {
   const tempHome = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-mcp-path-'))
   try {
@@ -709,3 +766,56 @@ test('servers marked restartable false do not auto-restart after disconnect', as
     await rm(tempDir, { recursive: true, force: true })
   }
 })
+
+test('connect discovers resources, templates and prompts and refreshes on list_changed', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-mcp-resources-'))
+  try {
+    const { scriptPath } = await createResourcePromptServer(tempDir)
+    const manager = new McpManager({
+      notes: { command: process.execPath, args: [scriptPath] },
+    })
+    await manager.startServer('notes')
+
+    const status = manager.getServers().find((item) => item.name === 'notes')
+    assert.equal(status.resourceCount, 2)
+    assert.equal(status.promptCount, 1)
+
+    const listed = manager.getAllResources()
+    assert.deepEqual(listed.resources.map((item) => item.uri), ['file:///notes/a.md', 'file:///notes/b.md'])
+    assert.equal(listed.resources[0].server, 'notes')
+    assert.equal(listed.resources[0].mimeType, 'text/markdown')
+    assert.deepEqual(listed.resourceTemplates, [{
+      server: 'notes',
+      uriTemplate: 'file:///notes/{name}',
+      name: 'note',
+      description: '',
+    }])
+    assert.deepEqual(manager.getAllPrompts(), [{
+      server: 'notes',
+      name: 'summarize',
+      description: 'Summarize a note',
+      arguments: [{ name: 'uri', description: '', required: true }],
+    }])
+
+    const read = await manager.readResource('notes', 'file:///notes/a.md')
+    assert.equal(read.ok, true)
+    assert.equal(read.contents[0].text, 'body of file:///notes/a.md')
+
+    const missingArg = await manager.getPrompt('notes', 'summarize', {})
+    assert.equal(missingArg.ok, false)
+    assert.match(missingArg.error, /requires argument\(s\): uri/)
+    const prompt = await manager.getPrompt('notes', 'summarize', { uri: 'file:///notes/b.md' })
+    assert.equal(prompt.ok, true)
+    assert.equal(prompt.messages[0].content.text, 'Summarize file:///notes/b.md')
+    assert.equal((await manager.getPrompt('notes', 'nope')).ok, false)
+
+    await manager.callTool('notes', 'add_note', {})
+    await waitFor(() => manager.getAllResources().resources.length === 3)
+
+    await manager.stopServer('notes')
+    assert.deepEqual(manager.getAllResources(), { resources: [], resourceTemplates: [] })
+    assert.equal((await manager.readResource('notes', 'file:///notes/a.md')).ok, false)
+  } finally {
+    await rm(tempDir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,272 @@
+/**
+ * Per-server / per-tool MCP permission policy.
+ *
+ * Lives under `mcpPolicy` in companion.json:
+ *
+ *   {
+ *     "defaultMode": "allow",
+ *     "approvalTimeoutMs": 120000,
+ *     "servers": {
+ *       "filesystem": {
+ *         "mode": "require_approval",
+ *         "tools": {
+ *           "read_file": "allow",
+ *           "delete_file": "deny",
+ *           "write_file": {
+ *             "mode": "require_approval",
+ *             "rules": [{ "args": { "path": "~/workspace/**" }, "mode": "allow" }]
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Resolution order for one call: the first tool rule whose argument matchers
+ * all match, then the tool mode, then the server mode, then `defaultMode`.
+ * Tool and server keys may be `*` to act as a wildcard.
+ */
+
+import os from 'node:os'
+import path from 'node:path'
+import { createStrictFail, findMatchingGlob, isPlainObject, normalizeBoundedMs } from './normalize.mjs'
+
+export const MCP_POLICY_MODE_ALLOW = 'allow'
+export const MCP_POLICY_MODE_DENY = 'deny'
+export const MCP_POLICY_MODE_REQUIRE_APPROVAL = 'require_approval'
+export const MCP_POLICY_MODES = [
+  MCP_POLICY_MODE_ALLOW,
+  MCP_POLICY_MODE_DENY,
+  MCP_POLICY_MODE_REQUIRE_APPROVAL,
+]
+export const DEFAULT_MCP_APPROVAL_TIMEOUT_MS = 120_000
+const MIN_MCP_APPROVAL_TIMEOUT_MS = 5_000
+const MAX_MCP_APPROVAL_TIMEOUT_MS = 24 * 60 * 60 * 1000
+const WILDCARD = '*'
+
+const fail = createStrictFail('mcp-policy')
+
+function normalizeMode(value, label, strict) {
+  if (value === undefined || value === null || value === '') return undefined
+  const mode = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  if (MCP_POLICY_MODES.includes(mode)) return mode
+  fail(strict, `Invalid ${label} "${value}". Expected one of: ${MCP_POLICY_MODES.join(', ')}.`)
+  return undefined
+}
+
+function normalizeArgMatchers(input, label, strict) {
+  if (!isPlainObject(input)) {
+    fail(strict, `${label}.args must be an object of argument globs.`)
+    return null
+  }
+  const matchers = {}
+  for (const [key, raw] of Object.entries(input)) {
+    const globs = (Array.isArray(raw) ? raw : [raw])
+      .filter((item) => typeof item === 'string' && item.trim())
+      .map((item) => item.trim())
+    if (!key.trim() || globs.length === 0) {
+      fail(strict, `${label}.args.${key} must be a glob string or an array of glob strings.`)
+      return null
+    }
+    matchers[key.trim()] = globs
+  }
+  if (Object.keys(matchers).length === 0) {
+    fail(strict, `${label}.args must match at least one argument.`)
+    return null
+  }
+  return matchers
+}
+
+function normalizeToolPolicy(input, label, strict) {
+  if (typeof input === 'string') {
+    const mode = normalizeMode(input, `${label} mode`, strict)
+    return mode ? { mode, rules: [] } : null
+  }
+  if (!isPlainObject(input)) {
+    fail(strict, `${label} must be a mode string or an object.`)
+    return null
+  }
+  const mode = normalizeMode(input.mode, `${label}.mode`, strict)
+  const rules = []
+  if (input.rules !== undefined) {
+    if (!Array.isArray(input.rules)) {
+      fail(strict, `${label}.rules must be an array.`)
+    } else {
+      input.rules.forEach((rawRule, index) => {
+        const ruleLabel = `${label}.rules[${index}]`
+        if (!isPlainObject(rawRule)) {
+          fail(strict, `${ruleLabel} must be an object.`)
+          return
+        }
+        const ruleMode = normalizeMode(rawRule.mode, `${ruleLabel}.mode`, strict)
+        if (!ruleMode) {
+          if (rawRule.mode === undefined) fail(strict, `${ruleLabel}.mode is required.`)
+          return
+        }
+        const args = normalizeArgMatchers(rawRule.args, ruleLabel, strict)
+        if (!args) return
+        rules.push({ mode: ruleMode, args })
+      })
+    }
+  }
+  return { ...(mode ? { mode } : {}), rules }
+}
+
+/**
+ * Normalize a raw `mcpPolicy` object. With `strict`, invalid entries throw
+ * (used by the HTTP update route); otherwise they are dropped with a warning
+ * so a hand-edited config never stops the companion from starting.
+ */
+export function normalizeMcpPolicy(input = {}, { strict = false } = {}) {
+  const raw = isPlainObject(input) ? input : {}
+  if (!isPlainObject(input) && input !== undefined && input !== null) {
+    fail(strict, 'mcpPolicy must be an object.')
+  }
+
+  const servers = {}
+  if (raw.servers !== undefined) {
+    if (!isPlainObject(raw.servers)) {
+      fail(strict, 'mcpPolicy.servers must be an object.')
+    } else {
+      for (const [rawName, rawServer] of Object.entries(raw.servers)) {
+        const name = rawName.trim()
+        const label = `mcpPolicy.servers.${name}`
+        if (!name) continue
+        if (typeof rawServer === 'string') {
+          const mode = normalizeMode(rawServer, `${label} mode`, strict)
+          if (mode) servers[name] = { mode, tools: {} }
+          continue
+        }
+        if (!isPlainObject(rawServer)) {
+          fail(strict, `${label} must be a mode string or an object.`)
+          continue
+        }
+        const mode = normalizeMode(rawServer.mode, `${label}.mode`, strict)
+        const tools = {}
+        if (rawServer.tools !== undefined) {
+          if (!isPlainObject(rawServer.tools)) {
+            fail(strict, `${label}.tools must be an object.`)
+          } else {
+            for (const [rawTool, rawToolPolicy] of Object.entries(rawServer.tools)) {
+              const toolName = rawTool.trim()
+              if (!toolName) continue
+              const toolPolicy = normalizeToolPolicy(rawToolPolicy, `${label}.tools.${toolName}`, strict)
+              if (toolPolicy) tools[toolName] = toolPolicy
+            }
+          }
+        }
+        servers[name] = { ...(mode ? { mode } : {}), tools }
+      }
+    }
+  }
+
+  return {
+    defaultMode: normalizeMode(raw.defaultMode, 'mcpPolicy.defaultMode', strict) || MCP_POLICY_MODE_ALLOW,
+    approvalTimeoutMs: normalizeBoundedMs(raw.approvalTimeoutMs, {
+      label: 'mcpPolicy.approvalTimeoutMs',
+      min: MIN_MCP_APPROVAL_TIMEOUT_MS,
+      max: MAX_MCP_APPROVAL_TIMEOUT_MS,
+      fallback: DEFAULT_MCP_APPROVAL_TIMEOUT_MS,
+      strict,
+      logPrefix: 'mcp-policy',
+    }),
+    servers,
+  }
+}
+
+function expandHome(value) {
+  if (value === '~') return os.homedir()
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2))
+  return value
+}
+
+/**
+ * Match one argument value against a glob. Absolute paths (and `~/` paths) are
+ * resolved first so `..` segments cannot escape an allowed directory.
+ */
+export function matchMcpArgGlob(glob, value) {
+  return matchesAnyArgGlob([glob], value)
+}
+
+function matchesAnyArgGlob(globs, value) {
+  if (typeof value !== 'string') return false
+  let candidate = expandHome(value)
+  if (path.isAbsolute(candidate)) {
+    candidate = path.resolve(candidate)
+  }
+  return findMatchingGlob(globs.map(expandHome), candidate, { pathSegments: true }) !== undefined
+}
+
+function readArg(args, key) {
+  if (!isPlainObject(args)) return undefined
+  if (key in args) return args[key]
+  let current = args
+  for (const part of key.split('.')) {
+    if (!isPlainObject(current) || !(part in current)) return undefined
+    current = current[part]
+  }
+  return current
+}
+
+function ruleMatches(rule, args) {
+  return Object.entries(rule.args).every(([key, globs]) => {
+    const value = readArg(args, key)
+    const values = Array.isArray(value) ? value : [value]
+    if (values.length === 0) return false
+    return values.every((item) => matchesAnyArgGlob(globs, item))
+  })
+}
+
+function stripMcpSuffix(name) {
+  const normalized = name.trim().toLowerCase()
+  return normalized.endsWith('-mcp') ? normalized.slice(0, -4) : normalized
+}
+
+function findServerPolicy(policy, serverName) {
+  const servers = policy.servers || {}
+  if (servers[serverName]) return { key: serverName, entry: servers[serverName] }
+  const base = stripMcpSuffix(serverName)
+  for (const [key, entry] of Object.entries(servers)) {
+    if (key !== WILDCARD && stripMcpSuffix(key) === base) return { key, entry }
+  }
+  if (servers[WILDCARD]) return { key: WILDCARD, entry: servers[WILDCARD] }
+  return null
+}
+
+/**
+ * Decide how a tool call should be handled.
+ * @returns {{ mode: string, source: 'rule'|'tool'|'server'|'default', server: string, tool: string, policyServer?: string, policyTool?: string, ruleIndex?: number }}
+ */
+export function evaluateMcpToolPolicy(policy, { server, tool, args } = {}) {
+  const normalized = policy?.defaultMode ? policy : normalizeMcpPolicy(policy)
+  const serverName = String(server || '')
+  const toolName = String(tool || '')
+  const decision = { server: serverName, tool: toolName }
+
+  const serverPolicy = findServerPolicy(normalized, serverName)
+  if (serverPolicy) {
+    const tools = serverPolicy.entry.tools || {}
+    const toolKey = tools[toolName] ? toolName : (tools[WILDCARD] ? WILDCARD : null)
+    const toolPolicy = toolKey ? tools[toolKey] : null
+    if (toolPolicy) {
+      const ruleIndex = toolPolicy.rules.findIndex((rule) => ruleMatches(rule, args))
+      if (ruleIndex >= 0) {
+        return {
+          ...decision,
+          mode: toolPolicy.rules[ruleIndex].mode,
+          source: 'rule',
+          policyServer: serverPolicy.key,
+          policyTool: toolKey,
+          ruleIndex,
+        }
+      }
+      if (toolPolicy.mode) {
+        return { ...decision, mode: toolPolicy.mode, source: 'tool', policyServer: serverPolicy.key, policyTool: toolKey }
+      }
+    }
+    if (serverPolicy.entry.mode) {
+      return { ...decision, mode: serverPolicy.entry.mode, source: 'server', policyServer: serverPolicy.key }
+    }
+  }
+
+  return { ...decision, mode: normalized.defaultMode, source: 'default' }
+}
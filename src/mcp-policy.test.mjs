@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+import path from 'node:path'
+
+import { evaluateMcpToolPolicy, matchMcpArgGlob, normalizeMcpPolicy } from './mcp-policy.mjs'
+
+const policy = normalizeMcpPolicy({
+  defaultMode: 'allow',
+  servers: {
+    filesystem: {
+      mode: 'require_approval',
+      tools: {
+        read_file: 'allow',
+        move_file: 'deny',
+        write_file: {
+          mode: 'require_approval',
+          rules: [
+            { args: { path: '/work/**' }, mode: 'allow' },
+            { args: { path: ['/etc/**', '~/.ssh/**'] }, mode: 'deny' },
+          ],
+        },
+        read_multiple_files: { rules: [{ args: { paths: '/work/**' }, mode: 'allow' }] },
+      },
+    },
+    '*': { tools: { '*': 'allow', shutdown: 'deny' } },
+  },
+})
+
+test('evaluateMcpToolPolicy applies rule, tool, server, and default precedence', () => {
+  const decide = (server, tool, args = {}) => evaluateMcpToolPolicy(policy, { server, tool, args })
+
+  assert.deepEqual(
+    [decide('filesystem', 'read_file').mode, decide('filesystem', 'read_file').source],
+    ['allow', 'tool'],
+  )
+  assert.equal(decide('filesystem', 'move_file').mode, 'deny')
+  assert.equal(decide('filesystem', 'list_directory').source, 'server')
+  assert.equal(decide('filesystem', 'list_directory').mode, 'require_approval')
+
+  const inside = decide('filesystem', 'write_file', { path: '/work/repo/a.txt' })
+  assert.equal(inside.mode, 'allow')
+  assert.equal(inside.source, 'rule')
+  assert.equal(inside.ruleIndex, 0)
+  assert.equal(decide('filesystem', 'write_file', { path: '/etc/hosts' }).mode, 'deny')
+  assert.equal(decide('filesystem', 'write_file', { path: '/tmp/x' }).source, 'tool')
+  assert.equal(decide('filesystem', 'write_file', { path: 'relative.txt' }).mode, 'require_approval')
+
+  // Array arguments must match entirely; rules without a match fall back to the server mode.
+  assert.equal(decide('filesystem', 'read_multiple_files', { paths: ['/work/a', '/work/b'] }).mode, 'allow')
+  assert.equal(decide('filesystem', 'read_multiple_files', { paths: ['/work/a', '/etc/passwd'] }).source, 'server')
+
+  // `-mcp` aliases resolve to the configured server key; `*` covers everything else.
+  assert.equal(decide('filesystem-mcp', 'move_file').policyServer, 'filesystem')
+  assert.equal(decide('github', 'shutdown').mode, 'deny')
+  assert.equal(decide('github', 'search').mode, 'allow')
+  assert.equal(evaluateMcpToolPolicy(normalizeMcpPolicy({}), { server: 'x', tool: 'y' }).source, 'default')
+})
+
+test('matchMcpArgGlob resolves traversal and home-relative paths before matching', () => {
+  assert.equal(matchMcpArgGlob('/work/**', '/work/../etc/passwd'), false)
+  assert.equal(matchMcpArgGlob('/work/**', '/work/./a/../b.txt'), true)
+  assert.equal(matchMcpArgGlob('/work/*.md', '/work/notes/a.md'), false)
+  assert.equal(matchMcpArgGlob('/work/**/*.md', '/work/a.md'), true)
+  assert.equal(matchMcpArgGlob('/work/file?.txt', '/work/file1.txt'), true)
+  assert.equal(matchMcpArgGlob('~/.ssh/**', path.join(os.homedir(), '.ssh', 'id_rsa')), true)
+  assert.equal(matchMcpArgGlob('/work/**', 42), false)
+})
+
+test('normalizeMcpPolicy rejects malformed entries in strict mode', () => {
+  assert.throws(() => normalizeMcpPolicy({ defaultMode: 'maybe' }, { strict: true }), /defaultMode/)
+  assert.throws(
+    () => normalizeMcpPolicy({ servers: { fs: { tools: { write: { rules: [{ mode: 'allow' }] } } } } }, { strict: true }),
+    /rules\[0\]\.args must be an object/,
+  )
+  assert.throws(
+    () => normalizeMcpPolicy({ servers: { fs: { tools: { write: { rules: [{ args: { path: '/a' } }] } } } } }, { strict: true }),
+    /rules\[0\]\.mode is required/,
+  )
+  assert.throws(() => normalizeMcpPolicy({ approvalTimeoutMs: 10 }, { strict: true }), /approvalTimeoutMs/)
+
+  const lenient = normalizeMcpPolicy({ servers: { fs: { mode: 'nope', tools: { a: 'allow', b: 7 } } } })
+  assert.deepEqual(lenient.servers.fs, { tools: { a: { mode: 'allow', rules: [] } } })
+})
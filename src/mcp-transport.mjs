@@ -108,6 +108,13 @@ export class StdioTransport {
     })
   }
 
+  async notify(method, params = {}) {
+    if (this.#closed) return
+    try {
+      this.#proc.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n')
+    } catch { /* ignore */ }
+  }
+
   onNotification(handler) {
     this.#notificationHandler = handler
   }
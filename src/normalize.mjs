@@ -0,0 +1,79 @@
+/**
+ * Small helpers shared by the modules that normalize hand-edited config and
+ * policy objects (mcp-policy, command-policy, permission-policy, adapters,
+ * scheduler limits, workflow templates, webhook targets).
+ */
+
+export function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * A `fail(strict, message)` for one module's normalizers: it throws with
+ * `strict` (HTTP update routes), otherwise warns under `[logPrefix]` so the
+ * caller can drop the bad entry and keep starting up.
+ */
+export function createStrictFail(logPrefix) {
+  return (strict, message) => {
+    if (strict) throw new Error(message)
+    console.warn(`[${logPrefix}] ${message} Ignoring.`)
+  }
+}
+
+/**
+ * Normalize a millisecond setting that must fall within `[min, max]`. Blank
+ * values take `fallback`. Out-of-range values throw with `strict` (HTTP
+ * update routes); otherwise they are logged under `logPrefix` and replaced by
+ * `fallback`, so a hand-edited config never stops the companion from starting.
+ */
+export function normalizeBoundedMs(value, { label, min, max, fallback, strict = false, logPrefix }) {
+  if (value === undefined || value === null || value === '') return fallback
+  const numeric = Number(value)
+  if (!Number.isFinite(numeric) || numeric < min || numeric > max) {
+    createStrictFail(logPrefix)(strict, `${label} must be between ${min} and ${max}.`)
+    return fallback
+  }
+  return Math.floor(numeric)
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Compile a `*` / `?` glob. With `pathSegments`, both stay within one `/`
+ * segment and `**` crosses segments (a `**` followed by `/` also matches zero
+ * directories); otherwise `*` matches anything.
+ */
+function globToRegExp(glob, { pathSegments = false, caseInsensitive = false } = {}) {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*') {
+      if (!pathSegments) {
+        pattern += '.*'
+      } else if (glob[i + 1] === '*') {
+        if (glob[i + 2] === '/') {
+          pattern += '(?:.*/)?'
+          i += 2
+        } else {
+          pattern += '.*'
+          i += 1
+        }
+      } else {
+        pattern += '[^/]*'
+      }
+    } else if (char === '?') {
+      pattern += pathSegments ? '[^/]' : '.'
+    } else {
+      pattern += escapeRegex(char)
+    }
+  }
+  return new RegExp(`^${pattern}$`, caseInsensitive ? 'i' : '')
+}
+
+/** The first glob in `globs` that matches `value`, or undefined. */
+export function findMatchingGlob(globs, value, options) {
+  if (typeof value !== 'string') return undefined
+  return globs.find((glob) => globToRegExp(glob, options).test(value))
+}
@@ -0,0 +1,38 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createStrictFail, findMatchingGlob, isPlainObject, normalizeBoundedMs } from './normalize.mjs'
+
+test('isPlainObject accepts objects only', () => {
+  assert.equal(isPlainObject({}), true)
+  assert.equal(isPlainObject([]), false)
+  assert.equal(isPlainObject(null), false)
+  assert.equal(isPlainObject('x'), false)
+})
+
+test('createStrictFail throws when strict and otherwise warns under the module prefix', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {})
+  const fail = createStrictFail('example')
+  assert.throws(() => fail(true, 'bad value.'), /^Error: bad value\.$/)
+  fail(false, 'bad value.')
+  assert.deepEqual(warn.mock.calls.map((call) => call.arguments[0]), ['[example] bad value. Ignoring.'])
+})
+
+test('normalizeBoundedMs falls back on blank or out-of-range values and throws when strict', (t) => {
+  const bounds = { label: 'x.timeoutMs', min: 10, max: 100, fallback: 50, logPrefix: 'test' }
+  assert.equal(normalizeBoundedMs(undefined, bounds), 50)
+  assert.equal(normalizeBoundedMs('', bounds), 50)
+  assert.equal(normalizeBoundedMs(42.7, bounds), 42)
+  t.mock.method(console, 'warn', () => {})
+  assert.equal(normalizeBoundedMs(5, bounds), 50)
+  assert.throws(() => normalizeBoundedMs(500, { ...bounds, strict: true }), /x\.timeoutMs must be between 10 and 100\./)
+})
+
+test('findMatchingGlob keeps wildcards inside path segments only when asked', () => {
+  assert.equal(findMatchingGlob(['/work/*'], '/work/a/b.txt'), '/work/*')
+  assert.equal(findMatchingGlob(['/work/*'], '/work/a/b.txt', { pathSegments: true }), undefined)
+  assert.equal(findMatchingGlob(['/work/**/*.md'], '/work/a.md', { pathSegments: true }), '/work/**/*.md')
+  assert.equal(findMatchingGlob(['AWS_*', 'GH_?'], 'gh_1', { caseInsensitive: true }), 'GH_?')
+  assert.equal(findMatchingGlob(['a.b'], 'axb'), undefined)
+  assert.equal(findMatchingGlob(['*'], 42), undefined)
+})
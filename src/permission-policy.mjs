@@ -1,10 +1,18 @@
 import path from 'node:path'
 import os from 'node:os'
+import { normalizeCommandRules } from './command-policy.mjs'
+import { normalizeBoundedMs } from './normalize.mjs'
 
 export const PERMISSION_MODE_WORKSPACE = 'workspace'
 export const PERMISSION_MODE_FULL = 'full'
+// Commands outside the safe allowlist or the workspace roots are parked on an
+// approval record instead of running (see command-policy.mjs).
+export const PERMISSION_MODE_SUPERVISED = 'supervised'
+export const DEFAULT_COMMAND_APPROVAL_TIMEOUT_MS = 10 * 60 * 1000
+const MIN_COMMAND_APPROVAL_TIMEOUT_MS = 5_000
+const MAX_COMMAND_APPROVAL_TIMEOUT_MS = 24 * 60 * 60 * 1000
 
-const VALID_MODES = new Set([PERMISSION_MODE_WORKSPACE, PERMISSION_MODE_FULL])
+const VALID_MODES = new Set([PERMISSION_MODE_WORKSPACE, PERMISSION_MODE_FULL, PERMISSION_MODE_SUPERVISED])
 
 function normalizeWorkspaceRoots(rawRoots) {
   const roots = Array.isArray(rawRoots)
@@ -30,7 +38,7 @@ export function normalizePermissionPolicy(input = {}, { strict = false } = {}) {
 
   if (!VALID_MODES.has(rawMode)) {
     if (strict) {
-      throw new Error(`Invalid permission mode: "${input.mode}". Expected "full" or "workspace".`)
+      throw new Error(`Invalid permission mode: "${input.mode}". Expected "full", "workspace" or "supervised".`)
     }
     // Default to workspace (more restrictive) rather than full when mode is unrecognized
     console.warn(`[permission-policy] Unrecognized mode "${input.mode}", defaulting to "workspace".`)
@@ -40,14 +48,25 @@ export function normalizePermissionPolicy(input = {}, { strict = false } = {}) {
   const workspaceRoots = normalizeWorkspaceRoots(input.workspaceRoots)
   const policyReason = normalizedMode === PERMISSION_MODE_FULL
     ? 'policy_mode:full'
-    : workspaceRoots.length > 0
-      ? 'policy_mode:workspace'
-      : 'policy_mode:workspace_unscoped'
+    : normalizedMode === PERMISSION_MODE_SUPERVISED
+      ? 'policy_mode:supervised'
+      : workspaceRoots.length > 0
+        ? 'policy_mode:workspace'
+        : 'policy_mode:workspace_unscoped'
 
   return {
     mode: normalizedMode,
-    workspaceRoots: normalizedMode === PERMISSION_MODE_WORKSPACE ? workspaceRoots : [],
+    workspaceRoots: normalizedMode === PERMISSION_MODE_FULL ? [] : workspaceRoots,
     policyReason,
+    approvalTimeoutMs: normalizeBoundedMs(input.approvalTimeoutMs, {
+      label: 'permissionPolicy.approvalTimeoutMs',
+      min: MIN_COMMAND_APPROVAL_TIMEOUT_MS,
+      max: MAX_COMMAND_APPROVAL_TIMEOUT_MS,
+      fallback: DEFAULT_COMMAND_APPROVAL_TIMEOUT_MS,
+      strict,
+      logPrefix: 'permission-policy',
+    }),
+    commandRules: normalizeCommandRules(input.commandRules, { strict }),
   }
 }
 
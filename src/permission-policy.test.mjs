@@ -7,6 +7,7 @@ import {
   normalizePermissionPolicy,
   isPathWithinRoots,
   PERMISSION_MODE_FULL,
+  PERMISSION_MODE_SUPERVISED,
   PERMISSION_MODE_WORKSPACE,
 } from './permission-policy.mjs'
 
@@ -49,3 +50,20 @@ test('normalizePermissionPolicy adds stable policyReason vocabulary', () => {
   assert.equal(workspace.policyReason, 'policy_mode:workspace')
   assert.equal(workspaceUnscoped.policyReason, 'policy_mode:workspace_unscoped')
 })
+
+test('normalizePermissionPolicy accepts supervised mode with roots and an approval timeout', () => {
+  const policy = normalizePermissionPolicy({
+    mode: PERMISSION_MODE_SUPERVISED,
+    workspaceRoots: ['/tmp/example-root'],
+    approvalTimeoutMs: 30_000,
+  })
+  assert.equal(policy.mode, PERMISSION_MODE_SUPERVISED)
+  assert.deepEqual(policy.workspaceRoots, [path.resolve('/tmp/example-root')])
+  assert.equal(policy.policyReason, 'policy_mode:supervised')
+  assert.equal(policy.approvalTimeoutMs, 30_000)
+  assert.equal(normalizePermissionPolicy({ mode: 'full', workspaceRoots: ['/tmp/x'] }).workspaceRoots.length, 0)
+  assert.throws(
+    () => normalizePermissionPolicy({ mode: PERMISSION_MODE_SUPERVISED, approvalTimeoutMs: 10 }, { strict: true }),
+    /approvalTimeoutMs must be between/,
+  )
+})
@@ -1,9 +1,11 @@
+import { normalizeTokenUsage } from './token-usage.mjs'
+
 export const LEGACY_RUN_CONTRACT_VERSION = 1
 export const RUN_CONTRACT_VERSION = 2
 
-export const RUN_TYPES = new Set(['exec', 'session', 'cron', 'heartbeat', 'acp', 'approval'])
+export const RUN_TYPES = new Set(['exec', 'session', 'cron', 'heartbeat', 'acp', 'approval', 'mcp'])
 export const RUN_STATES = new Set(['queued', 'idle', 'running', 'waiting_approval', 'retrying', 'done', 'failed', 'cancelled'])
-export const RUN_SOURCES = new Set(['chat', 'cron', 'heartbeat', 'remote', 'replay'])
+export const RUN_SOURCES = new Set(['chat', 'cron', 'heartbeat', 'remote', 'replay', 'catchup', 'trigger'])
 
 function cloneJson(value) {
   return JSON.parse(JSON.stringify(value))
@@ -77,10 +79,17 @@ export function normalizeDeliveryState(input) {
   if (!channel && attempts === undefined && lastAttemptAt === undefined) {
     return undefined
   }
+  // Webhook deliveries also report their retry state (webhook-delivery.mjs).
+  const state = normalizeOptionalId(input.state)
+  const nextAttemptAt = normalizeTimestamp(input.nextAttemptAt)
+  const deliveryId = normalizeOptionalId(input.deliveryId)
   return {
     ...(channel ? { channel } : {}),
+    ...(state ? { state } : {}),
     ...(attempts !== undefined ? { attempts } : {}),
     ...(lastAttemptAt !== undefined ? { lastAttemptAt } : {}),
+    ...(nextAttemptAt !== undefined ? { nextAttemptAt } : {}),
+    ...(deliveryId ? { deliveryId } : {}),
   }
 }
 
@@ -97,6 +106,27 @@ function normalizeRunMeta(input, sessionId, sessionType) {
   return Object.keys(base).length > 0 ? base : undefined
 }
 
+export const MAX_RUN_ARTIFACTS = 50
+
+/** Artifact links on a run: `{ artifactId, kind, turnId?, createdAt? }`, oldest first. */
+export function normalizeRunArtifacts(input) {
+  if (!Array.isArray(input)) return undefined
+  const artifacts = input
+    .filter((entry) => entry && typeof entry === 'object' && !Array.isArray(entry))
+    .map((entry) => {
+      const artifactId = normalizeOptionalId(entry.artifactId)
+      const kind = normalizeOptionalId(entry.kind)
+      const turnId = normalizeOptionalId(entry.turnId)
+      const createdAt = normalizeTimestamp(entry.createdAt)
+      return artifactId && kind
+        ? { artifactId, kind, ...(turnId ? { turnId } : {}), ...(createdAt !== undefined ? { createdAt } : {}) }
+        : null
+    })
+    .filter(Boolean)
+    .slice(-MAX_RUN_ARTIFACTS)
+  return artifacts.length > 0 ? artifacts : undefined
+}
+
 function hasExplicitV2Fields(input) {
   return Boolean(
     normalizeOptionalId(input.sessionId)
@@ -145,6 +175,8 @@ export function normalizeRun(input) {
   const deliveryState = normalizeDeliveryState(input.deliveryState)
   const summary = normalizeOptionalText(input.summary, 500)
   const error = normalizeOptionalText(input.error, 500)
+  const usage = normalizeTokenUsage(input.usage)
+  const artifacts = normalizeRunArtifacts(input.artifacts)
 
   return {
     runId,
@@ -164,6 +196,8 @@ export function normalizeRun(input) {
     ...(laneId ? { laneId } : {}),
     ...(source ? { source } : {}),
     ...(parentRunId ? { parentRunId } : {}),
+    ...(usage ? { usage } : {}),
+    ...(artifacts ? { artifacts } : {}),
     contractVersion,
   }
 }
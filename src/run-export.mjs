@@ -0,0 +1,349 @@
+/**
+ * Run export bundles.
+ *
+ * Gathers everything the companion knows about one run into a single bundle
+ * for debugging outside the companion:
+ *
+ *   run         the run envelope
+ *   session     the linked ACP session, or the runtime session with the tail of its output
+ *   events      the ACP session's retained events (the latest turn of a reused session)
+ *   toolCalls   `tool_call` events, and `toolResults` the tool outcome statuses
+ *   approvals   approval records tied to the run
+ *   workflow    the workflow template state and its steps
+ *   delivery    the run's delivery state and any outbox items still waiting
+ *
+ * The bundle is redacted before it leaves this module: explicit session env
+ * values, the companion token, secret-looking env of the companion process,
+ * values under secret-named keys and well-known credential formats are
+ * replaced with `[redacted]`. It renders as a Markdown transcript or as JSONL
+ * (one `{ kind, data }` record per line).
+ */
+
+import { getAcpSessionById, getAcpSessionEnvValues, listAcpEvents } from './acp-session.mjs'
+import { listApprovalsForRun } from './approval-store.mjs'
+import { listAutomationOutboxItems } from './automation-outbox.mjs'
+import { getRunById } from './run-store.mjs'
+import { getSessionById, getSessionLog } from './runtime.mjs'
+
+export const RUN_EXPORT_VERSION = 1
+export const RUN_EXPORT_FORMATS = ['json', 'markdown', 'jsonl']
+
+const REDACTED = '[redacted]'
+const MIN_SECRET_LENGTH = 8
+const MAX_LOG_TAIL_CHARS = 64 * 1024
+const SECRET_KEY_RE = /(token|secret|password|passwd|api[_-]?key|authorization|cookie|credentials?)$/i
+const SECRET_ENV_NAME_RE = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|AUTH|CREDENTIALS?|PRIVATE_KEY)/
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/g, `$1 ${REDACTED}`],
+  [/\b(?:sk|rk|pk)-[A-Za-z0-9_-]{16,}/g, REDACTED],
+  [/\bgh[pousr]_[A-Za-z0-9]{20,}/g, REDACTED],
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, REDACTED],
+  [/\bAKIA[0-9A-Z]{16}\b/g, REDACTED],
+  [/\b([A-Z][A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|API_KEY|APIKEY))=("[^"]*"|'[^']*'|[^\s"']+)/g, `$1=${REDACTED}`],
+]
+// Statuses that only say the agent is still busy; kept in JSONL, left out of the transcript.
+const QUIET_STATUS_CODES = new Set(['model_thinking', 'waiting_for_output', 'session_probe'])
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Build a deep redactor.
+ * @param {{ secrets?: string[] }} [options] literal values to scrub wherever they appear
+ * @returns {(value: unknown) => unknown}
+ */
+export function createRunExportRedactor({ secrets = [] } = {}) {
+  const literals = Array.from(new Set(
+    secrets.filter((secret) => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH),
+  )).sort((a, b) => b.length - a.length)
+  const literalRe = literals.length > 0 ? new RegExp(literals.map(escapeRegExp).join('|'), 'g') : null
+
+  const redactText = (text) => {
+    let result = literalRe ? text.replace(literalRe, REDACTED) : text
+    for (const [pattern, replacement] of SECRET_PATTERNS) result = result.replace(pattern, replacement)
+    return result
+  }
+
+  const redact = (value, key = '') => {
+    if (typeof value === 'string') {
+      return SECRET_KEY_RE.test(key) && value ? REDACTED : redactText(value)
+    }
+    if (Array.isArray(value)) return value.map((item) => redact(item))
+    if (value && typeof value === 'object') {
+      const out = {}
+      for (const [childKey, child] of Object.entries(value)) {
+        out[childKey] = childKey === 'env' && child && typeof child === 'object' && !Array.isArray(child)
+          ? Object.fromEntries(Object.keys(child).map((name) => [name, REDACTED]))
+          : redact(child, childKey)
+      }
+      return out
+    }
+    return value
+  }
+  return (value) => redact(value)
+}
+
+function collectProcessSecrets() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_NAME_RE.test(name) && typeof value === 'string')
+    .map(([, value]) => value)
+}
+
+function listAllAcpEvents(sessionId) {
+  const events = []
+  let after = 0
+  for (;;) {
+    const page = listAcpEvents(sessionId, { after, limit: 500 })
+    events.push(...page.events)
+    if (!page.hasMore || page.events.length === 0) return events
+    after = page.nextCursor
+  }
+}
+
+function readLogTail(sessionId, stream) {
+  const head = getSessionLog(sessionId, { stream, limit: 1, ansi: 'strip' })
+  const total = Number(head?.total) || 0
+  const offset = Math.max(Number(head?.firstOffset) || 0, total - MAX_LOG_TAIL_CHARS)
+  const slice = getSessionLog(sessionId, { stream, offset, limit: MAX_LOG_TAIL_CHARS, ansi: 'strip' })
+  return { output: slice?.output || '', total, truncated: offset > 0 }
+}
+
+function resolveRunSessionId(run) {
+  const id = run.sessionId || run.meta?.sessionId
+  return typeof id === 'string' && id ? id : ''
+}
+
+function buildSessionSection(run) {
+  const sessionId = resolveRunSessionId(run)
+  if (!sessionId) return { session: null, events: [], secrets: [] }
+  if (run.type === 'acp' || run.sessionType?.startsWith('acp/')) {
+    const session = getAcpSessionById(sessionId)
+    if (!session) return { session: { kind: 'acp', sessionId, missing: true }, events: [], secrets: [] }
+    return {
+      session: { kind: 'acp', ...session },
+      events: listAllAcpEvents(sessionId),
+      secrets: getAcpSessionEnvValues(sessionId),
+    }
+  }
+  if (run.type === 'session') {
+    const session = getSessionById(sessionId)
+    if (!session) return { session: { kind: 'runtime', sessionId, missing: true }, events: [], secrets: [] }
+    return {
+      session: {
+        kind: 'runtime',
+        sessionId,
+        status: session.status,
+        command: session.command,
+        cwd: session.cwd,
+        exitCode: typeof session.exitCode === 'number' ? session.exitCode : undefined,
+        startedAt: session.startedAt,
+        finishedAt: session.finishedAt || undefined,
+        stdout: readLogTail(sessionId, 'stdout'),
+        stderr: readLogTail(sessionId, 'stderr'),
+      },
+      events: [],
+      secrets: [],
+    }
+  }
+  return { session: null, events: [], secrets: [] }
+}
+
+function buildWorkflowSection(run) {
+  const workflow = run.meta?.workflow
+  if (!workflow || typeof workflow !== 'object' || !workflow.state) return null
+  return {
+    template: workflow.template,
+    terminalState: workflow.state.terminalState || null,
+    currentStepId: workflow.state.currentStepId || null,
+    steps: Array.isArray(workflow.state.steps) ? workflow.state.steps : [],
+  }
+}
+
+async function listPendingDeliveries(runId) {
+  const pending = []
+  let offset = 0
+  for (;;) {
+    const page = await listAutomationOutboxItems({ limit: 200, offset })
+    pending.push(...page.items.filter((item) => item.runId === runId))
+    if (!page.hasMore) return pending
+    offset += page.items.length
+  }
+}
+
+/**
+ * Assemble the redacted export bundle of a run.
+ * @param {string} runId
+ * @param {{ token?: string, now?: number }} [options] `token` is the companion access token, scrubbed from the bundle
+ * @returns {Promise<object|null>} null when the run does not exist
+ */
+export async function buildRunExport(runId, { token = '', now = Date.now() } = {}) {
+  const run = await getRunById(runId)
+  if (!run) return null
+  const { session, events, secrets } = buildSessionSection(run)
+  const bundle = {
+    exportVersion: RUN_EXPORT_VERSION,
+    exportedAt: now,
+    runId: run.runId,
+    run,
+    session,
+    events,
+    toolCalls: events.filter((event) => event.type === 'tool_call'),
+    toolResults: events.filter((event) => event.type === 'status' && /^tool_/.test(event.statusCode || '')),
+    approvals: await listApprovalsForRun(run.runId),
+    workflow: buildWorkflowSection(run),
+    delivery: {
+      state: run.deliveryState || null,
+      pending: await listPendingDeliveries(run.runId),
+    },
+  }
+  const redact = createRunExportRedactor({ secrets: [token, ...secrets, ...collectProcessSecrets()] })
+  return redact(bundle)
+}
+
+/** One `{ kind, data }` record per line: export, run, session, event, approval, workflow_step, delivery. */
+export function renderRunExportJsonl(bundle) {
+  const records = [
+    { kind: 'export', data: { exportVersion: bundle.exportVersion, exportedAt: bundle.exportedAt, runId: bundle.runId } },
+    { kind: 'run', data: bundle.run },
+    ...(bundle.session ? [{ kind: 'session', data: bundle.session }] : []),
+    ...bundle.events.map((event) => ({ kind: 'event', data: event })),
+    ...bundle.approvals.map((approval) => ({ kind: 'approval', data: approval })),
+    ...(bundle.workflow?.steps || []).map((step) => ({ kind: 'workflow_step', data: step })),
+    { kind: 'delivery', data: bundle.delivery },
+  ]
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('')
+}
+
+function formatTime(value) {
+  return Number.isFinite(value) && value > 0 ? new Date(value).toISOString() : '—'
+}
+
+function tableCell(value) {
+  return String(value ?? '—').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')
+}
+
+function fence(text, info = '') {
+  const body = String(text ?? '')
+  const ticks = '`'.repeat(Math.max(3, ...Array.from(body.matchAll(/`+/g), (match) => match[0].length + 1)))
+  return `${ticks}${info}\n${body.replace(/\n$/, '')}\n${ticks}`
+}
+
+function formatUsage(usage) {
+  if (!usage) return null
+  const parts = [`${usage.inputTokens} in`, `${usage.outputTokens} out`]
+  if (usage.cacheReadTokens) parts.push(`${usage.cacheReadTokens} cache read`)
+  if (usage.costUsd !== undefined) parts.push(`$${usage.costUsd}`)
+  return parts.join(', ')
+}
+
+function renderTranscript(events) {
+  const lines = []
+  let turnId
+  let text = ''
+  const flushText = () => {
+    if (text.trim()) lines.push('**Assistant**', '', text.trim(), '')
+    text = ''
+  }
+  for (const event of events) {
+    if ((event.turnId || null) !== turnId) {
+      flushText()
+      turnId = event.turnId || null
+      lines.push(`### Turn ${turnId || '(none)'}`, '')
+    }
+    if (event.type === 'text_delta') {
+      text += event.text || ''
+      continue
+    }
+    flushText()
+    if (event.type === 'tool_call') {
+      lines.push(`- Tool call \`${event.tool || 'tool'}\`${event.toolCallId ? ` (${event.toolCallId})` : ''}`, '')
+      if (event.input && event.input !== '{}') lines.push(fence(event.input, 'json'), '')
+    } else if (event.type === 'status') {
+      if (QUIET_STATUS_CODES.has(event.statusCode)) continue
+      const label = /^tool_/.test(event.statusCode || '') ? 'Tool result' : 'Status'
+      lines.push(`- ${label}${event.statusCode ? ` \`${event.statusCode}\`` : ''}: ${event.text || ''}`)
+    } else if (event.type === 'error') {
+      lines.push(`- **Error** \`${event.code || 'error'}\`: ${event.message || ''}`)
+    } else if (event.type === 'done') {
+      lines.push(`- Done (${event.stopReason || 'end_turn'})`)
+    }
+  }
+  flushText()
+  return lines
+}
+
+/** A readable Markdown transcript of the bundle. */
+export function renderRunExportMarkdown(bundle) {
+  const { run, session, workflow, delivery } = bundle
+  const lines = [`# Run ${run.runId}`, '', `Exported ${formatTime(bundle.exportedAt)}.`, '']
+  lines.push('| Field | Value |', '| --- | --- |')
+  for (const [label, value] of [
+    ['Type', run.type],
+    ['State', run.state],
+    ['Source', run.source],
+    ['Session', run.sessionType || run.sessionId],
+    ['Created', formatTime(run.createdAt)],
+    ['Started', formatTime(run.startedAt)],
+    ['Finished', formatTime(run.finishedAt)],
+    ['Summary', run.summary],
+    ['Error', run.error],
+    ['Usage', formatUsage(run.usage)],
+  ]) {
+    if (value !== undefined && value !== null && value !== '') lines.push(`| ${label} | ${tableCell(value)} |`)
+  }
+  lines.push('')
+
+  if (session) {
+    lines.push('## Session', '')
+    if (session.missing) {
+      lines.push(`Session \`${session.sessionId}\` is no longer held by the companion.`, '')
+    } else if (session.kind === 'acp') {
+      lines.push(`- ACP session \`${session.sessionId}\` (${session.agentType}), state ${session.state}`)
+      lines.push(`- cwd: \`${session.cwd}\``)
+      if (session.forkedFrom) lines.push(`- forked from \`${session.forkedFrom.sessionId}\` at turn \`${session.forkedFrom.turnId}\``)
+      lines.push('')
+    } else {
+      lines.push(`- Runtime session \`${session.sessionId}\`, status ${session.status}${session.exitCode !== undefined ? `, exit code ${session.exitCode}` : ''}`)
+      lines.push(`- cwd: \`${session.cwd}\``, '', fence(session.command, 'sh'), '')
+      for (const stream of ['stdout', 'stderr']) {
+        if (!session[stream]?.output) continue
+        lines.push(`### ${stream}${session[stream].truncated ? ' (tail)' : ''}`, '', fence(session[stream].output), '')
+      }
+    }
+  }
+
+  if (bundle.events.length > 0) {
+    lines.push('## Transcript', '', ...renderTranscript(bundle.events), '')
+  }
+
+  if (bundle.approvals.length > 0) {
+    lines.push('## Approvals', '', '| Request | Tool | Risk | Status | Resolved by |', '| --- | --- | --- | --- | --- |')
+    for (const approval of bundle.approvals) {
+      lines.push(`| ${tableCell(approval.requestId)} | ${tableCell(approval.toolName)} | ${tableCell(approval.riskLevel)} | ${tableCell(approval.status)} | ${tableCell(approval.resolvedBy)} |`)
+    }
+    lines.push('')
+  }
+
+  if (workflow) {
+    lines.push('## Workflow', '', `Template \`${workflow.template}\`${workflow.terminalState ? `, ended ${workflow.terminalState}` : ''}.`, '')
+    lines.push('| Step | Kind | State | Summary |', '| --- | --- | --- | --- |')
+    for (const step of workflow.steps) {
+      lines.push(`| ${tableCell(step.id)} | ${tableCell(step.kind)} | ${tableCell(step.state)} | ${tableCell(step.summary)} |`)
+    }
+    lines.push('')
+  }
+
+  if (delivery.state || delivery.pending.length > 0) {
+    lines.push('## Delivery', '')
+    if (delivery.state) {
+      lines.push(`- Channel ${delivery.state.channel || '—'}, ${delivery.state.attempts ?? 0} attempt(s), last at ${formatTime(delivery.state.lastAttemptAt)}`)
+    }
+    for (const item of delivery.pending) {
+      lines.push(`- Waiting in the outbox (${item.mode}) since ${formatTime(item.createdAt)}`)
+    }
+    lines.push('')
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd()}\n`
+}
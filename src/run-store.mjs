@@ -41,7 +41,7 @@ function RUNS_BACKUP_FILE() {
  *   summary?: string,
  *   error?: string,
  *   meta?: Record<string, unknown>,
- *   deliveryState?: { channel?: string, attempts?: number, lastAttemptAt?: number }
+ *   deliveryState?: { channel?: string, state?: string, attempts?: number, lastAttemptAt?: number, nextAttemptAt?: number, deliveryId?: string }
  *   sessionId?: string,
  *   sessionType?: string,
  * }} RunEnvelope
@@ -64,6 +64,33 @@ function RUNS_BACKUP_FILE() {
 let store = { runs: [], sessionLinks: {}, actionLinks: {} }
 let loaded = false
 
+const TERMINAL_RUN_STATES = new Set(['done', 'failed', 'cancelled'])
+/** @type {Set<(run: RunEnvelope) => void>} */
+const runFinishedListeners = new Set()
+
+/**
+ * Subscribe to runs entering a terminal state (done, failed, cancelled).
+ * Listeners get a copy of the run and must not throw. Returns an
+ * unsubscribe function.
+ */
+export function onRunFinished(listener) {
+  if (typeof listener !== 'function') return () => {}
+  runFinishedListeners.add(listener)
+  return () => {
+    runFinishedListeners.delete(listener)
+  }
+}
+
+function notifyRunFinished(run) {
+  for (const listener of runFinishedListeners) {
+    try {
+      listener(clone(run))
+    } catch (err) {
+      console.error('[run-store] Run finished listener failed:', err?.message || err)
+    }
+  }
+}
+
 function now() {
   return Date.now()
 }
@@ -245,6 +272,7 @@ export async function createRun(input) {
   store.runs.push(normalized)
   trimStoreRuns()
   schedulePersist()
+  if (TERMINAL_RUN_STATES.has(normalized.state)) notifyRunFinished(normalized)
   return clone(normalized)
 }
 
@@ -283,6 +311,7 @@ export async function updateRun(runId, patch = {}) {
 
   store.runs[index] = final
   schedulePersist()
+  if (TERMINAL_RUN_STATES.has(final.state) && !TERMINAL_RUN_STATES.has(current.state)) notifyRunFinished(final)
   return clone(final)
 }
 
@@ -333,6 +362,52 @@ export async function getRunById(runId) {
   return clone(withComputedDuration(found))
 }
 
+function toRunTreeNode(run, childrenByParent, seen) {
+  seen.add(run.runId)
+  const children = (childrenByParent.get(run.runId) || [])
+    .filter((child) => !seen.has(child.runId))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((child) => toRunTreeNode(child, childrenByParent, seen))
+  return {
+    runId: run.runId,
+    type: run.type,
+    state: run.state,
+    ...(run.source ? { source: run.source } : {}),
+    ...(typeof run.meta?.taskId === 'string' ? { taskId: run.meta.taskId } : {}),
+    ...(typeof run.meta?.taskName === 'string' ? { taskName: run.meta.taskName } : {}),
+    ...(typeof run.meta?.chain?.hook === 'string' ? { hook: run.meta.chain.hook } : {}),
+    ...(run.summary ? { summary: run.summary } : {}),
+    createdAt: run.createdAt,
+    ...(run.finishedAt !== undefined ? { finishedAt: run.finishedAt } : {}),
+    children,
+  }
+}
+
+/**
+ * The `parentRunId` lineage a run belongs to, as a tree rooted at its
+ * oldest known ancestor. Runs trimmed from the store end the walk.
+ * Resolves to null for unknown runs.
+ */
+export async function getRunTree(runId) {
+  await ensureLoaded()
+  const normalizedId = typeof runId === 'string' ? runId.trim() : ''
+  const byId = new Map(store.runs.map((run) => [run.runId, run]))
+  let root = byId.get(normalizedId)
+  if (!root) return null
+  const visited = new Set([root.runId])
+  while (root.parentRunId && byId.has(root.parentRunId) && !visited.has(root.parentRunId)) {
+    root = byId.get(root.parentRunId)
+    visited.add(root.runId)
+  }
+  const childrenByParent = new Map()
+  for (const run of store.runs) {
+    if (!run.parentRunId) continue
+    if (!childrenByParent.has(run.parentRunId)) childrenByParent.set(run.parentRunId, [])
+    childrenByParent.get(run.parentRunId).push(run)
+  }
+  return clone(toRunTreeNode(root, childrenByParent, new Set()))
+}
+
 function percentile(values, p) {
   if (values.length === 0) return null
   const sorted = values.slice().sort((a, b) => a - b)
@@ -341,21 +416,30 @@ function percentile(values, p) {
   return sorted[index]
 }
 
-function summarizeByType(runs) {
+function summarizeByKey(runs, keyOf) {
   /** @type {Record<string, { total: number, done: number, failed: number, active: number }> } */
   const out = {}
   for (const run of runs) {
-    if (!out[run.type]) {
-      out[run.type] = { total: 0, done: 0, failed: 0, active: 0 }
+    const key = keyOf(run)
+    if (!out[key]) {
+      out[key] = { total: 0, done: 0, failed: 0, active: 0 }
     }
-    out[run.type].total += 1
-    if (run.state === 'done') out[run.type].done += 1
-    else if (run.state === 'failed') out[run.type].failed += 1
-    else out[run.type].active += 1
+    out[key].total += 1
+    if (run.state === 'done') out[key].done += 1
+    else if (run.state === 'failed') out[key].failed += 1
+    else out[key].active += 1
   }
   return out
 }
 
+function summarizeByType(runs) {
+  return summarizeByKey(runs, (run) => run.type)
+}
+
+function summarizeBySource(runs) {
+  return summarizeByKey(runs, (run) => run.source || 'unspecified')
+}
+
 function summarizeTimeWindow(runs, windowMs) {
   const cutoff = now() - windowMs
   const inWindow = runs.filter((r) => (r.finishedAt || r.updatedAt || r.createdAt) >= cutoff)
@@ -420,6 +504,7 @@ export async function getRunDiagnostics(options = {}) {
       : null,
     p95DurationMs: percentile(durations, 95),
     byType: summarizeByType(sorted),
+    bySource: summarizeBySource(sorted),
     windows: {
       '1h': summarizeTimeWindow(sorted, 3_600_000),
       '6h': summarizeTimeWindow(sorted, 21_600_000),
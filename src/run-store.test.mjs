@@ -89,6 +89,18 @@ test('run store supports create -> update -> list -> get -> diagnostics', async
   })
 })
 
+test('run diagnostics break runs down by source including catch-up runs', async () => {
+  await withTempHome(async ({ mod }) => {
+    await mod.createRun({ type: 'cron', state: 'done', source: 'catchup' })
+    await mod.createRun({ type: 'cron', state: 'queued', source: 'catchup' })
+    await mod.createRun({ type: 'exec', state: 'failed' })
+
+    const diagnostics = await mod.getRunDiagnostics({ limit: 20 })
+    assert.deepEqual(diagnostics.bySource.catchup, { total: 2, done: 1, failed: 0, active: 1 })
+    assert.equal(diagnostics.bySource.unspecified.failed, 1)
+  })
+})
+
 test('run store keeps only max configured runs', async () => {
   await withTempHome(async ({ mod }) => {
     for (let index = 0; index < 6; index += 1) {
@@ -1,17 +1,37 @@
-import test from 'node:test'
+import test, { after } from 'node:test'
 import assert from 'node:assert/strict'
+import { mkdtemp, readdir, readFile, rm, stat } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
 
 import {
   startCommandSession,
   getSessionById,
+  makeSessionSnapshot,
   listSessions,
   getSessionLog,
   signalChildProcessTree,
   writeToSession,
   sendKeysToSession,
+  resizeSession,
+  getSessionScreen,
   listSessionEvents,
   cleanupAllSessions,
+  linkSessionRun,
+  restorePersistedSessions,
 } from './runtime.mjs'
+import { createSessionLogSpool, flushSessionLogSpools, openSessionLogSpool } from './session-log-store.mjs'
+
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-runtime-session-test-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+
+after(async () => {
+  cleanupAllSessions()
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  await rm(testConfigDir, { recursive: true, force: true }).catch(() => undefined)
+})
 
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
@@ -165,6 +185,196 @@ test('sendKeysToSession ctrl-c exits running process', async (t) => {
   assert.equal(exited.status, 'exited')
 })
 
+test('sendKeysToSession writes encoded key sequences to pipe sessions', async (t) => {
+  cleanupAllSessions()
+  t.after(() => cleanupAllSessions())
+
+  const sessionId = `runtime-test-key-seq-${Date.now()}`
+  startCommandSession({
+    id: sessionId,
+    command: 'node -e "process.stdin.on(\'data\', (b) => { process.stdout.write(\'IN:\' + JSON.stringify(String(b)) + \'\\n\'); process.exit(0) })"',
+    cwd: process.cwd(),
+    timeoutMs: 20_000,
+  })
+
+  assert.throws(() => sendKeysToSession(sessionId, 'warp-drive'), /Unsupported key "warp-drive"/)
+  const sent = sendKeysToSession(sessionId, ['up', 'f2', 'ctrl-x', 'enter'])
+  assert.equal(sent.action, 'write')
+  assert.deepEqual(sent.keys, ['up', 'f2', 'ctrl-x', 'enter'])
+  await waitForStdoutContains(sessionId, 'IN:"\\u001b[A\\u001bOQ\\u0018\\n"', 15_000)
+})
+
+test('pty sessions run on a terminal that can be resized and driven with raw keys', async (t) => {
+  if (process.platform === 'win32') return
+  cleanupAllSessions()
+  t.after(() => cleanupAllSessions())
+
+  const nodeScript = [
+    "console.log('TTY', process.stdout.isTTY, process.stdout.columns + 'x' + process.stdout.rows)",
+    "process.stdout.on('resize', () => console.log('RESIZE', process.stdout.columns + 'x' + process.stdout.rows))",
+    'process.stdin.setRawMode(true)',
+    "process.stdin.on('data', (b) => { const s = String(b); console.log('\\u001b[32mKEY\\u001b[0m', JSON.stringify(s)); if (s === 'q') process.exit(5) })",
+  ].join('; ')
+  const sessionId = `runtime-test-pty-${Date.now()}`
+  const session = startCommandSession({
+    id: sessionId,
+    command: `node -e "${nodeScript}"`,
+    cwd: process.cwd(),
+    timeoutMs: 20_000,
+    pty: true,
+    cols: 90,
+    rows: 20,
+  })
+  assert.equal(session.pty, true)
+  await waitForStdoutContains(sessionId, 'TTY true 90x20', 15_000)
+
+  const resized = await resizeSession(sessionId, { cols: 100, rows: 30 })
+  assert.deepEqual(resized, { ok: true, sessionId, cols: 100, rows: 30 })
+  // The TTY path is recorded in the private config dir, not the shared tmpdir.
+  const ttyDir = path.join(testConfigDir, 'pty')
+  assert.equal((await stat(ttyDir)).mode & 0o777, 0o700)
+  assert.ok((await stat(path.join(ttyDir, `${sessionId}.tty`))).isFile())
+  await waitForStdoutContains(sessionId, 'RESIZE 100x30')
+
+  sendKeysToSession(sessionId, 'up ctrl-a f5')
+  await waitForStdoutContains(sessionId, '"\\u001b[A\\u0001\\u001b[15~"')
+  sendKeysToSession(sessionId, 'q')
+  const exited = await waitForSessionExit(sessionId, 10_000)
+  assert.equal(exited.exitCode, 5)
+
+  // Page through the log one byte at a time: no page may start or end inside an escape.
+  let offset = 0
+  let replayed = ''
+  for (;;) {
+    const page = getSessionLog(sessionId, { stream: 'stdout', offset, limit: 3 })
+    assert.doesNotMatch(page.output, /\u001b(?:\[[0-9;]*)?$/)
+    replayed += page.output
+    if (!page.hasMore) break
+    offset = page.nextOffset
+  }
+  assert.equal(replayed, getSessionById(sessionId).stdout)
+  const stripped = getSessionLog(sessionId, { stream: 'stdout', ansi: 'strip', limit: 100_000 })
+  assert.match(stripped.output, /KEY "/)
+  assert.doesNotMatch(stripped.output, /\u001b\[32m/)
+
+  const screen = getSessionScreen(sessionId)
+  assert.equal(screen.cols, 100)
+  assert.ok(screen.lines.some((line) => line.startsWith('KEY "q"')))
+  assert.throws(() => getSessionLog(sessionId, { ansi: 'html' }), /ansi must be one of/)
+})
+
+test('session output is spooled to disk and paged by byte offset beyond the in-memory tail', async (t) => {
+  cleanupAllSessions()
+  t.after(() => cleanupAllSessions())
+
+  const sessionId = `runtime-test-spool-${Date.now()}`
+  startCommandSession({
+    id: sessionId,
+    command: 'node -e "for (let i = 0; i < 30000; i++) process.stdout.write(String(i % 10).repeat(9) + \'\\n\'); process.stdout.write(\'é END\')"',
+    cwd: process.cwd(),
+    timeoutMs: 20_000,
+    runId: 'run-spool-1',
+  })
+  const exited = await waitForSessionExit(sessionId, 15_000)
+  assert.ok(exited.stdout.length <= 200_000)
+
+  const expectedTotal = 30000 * 10 + Buffer.byteLength('é END')
+  const first = getSessionLog(sessionId, { stream: 'stdout', offset: 0, limit: 10 })
+  assert.equal(first.output, '000000000\n')
+  assert.equal(first.total, expectedTotal)
+  assert.equal(first.firstOffset, 0)
+
+  // Cut inside the two-byte "é": the page ends before it instead of splitting it.
+  const tailStart = expectedTotal - Buffer.byteLength('é END')
+  const cut = getSessionLog(sessionId, { stream: 'stdout', offset: tailStart - 2, limit: 3 })
+  assert.equal(cut.output, '9\n')
+  assert.equal(cut.nextOffset, tailStart)
+  const rest = getSessionLog(sessionId, { stream: 'stdout', offset: cut.nextOffset, limit: 100 })
+  assert.equal(rest.output, 'é END')
+  assert.equal(rest.hasMore, false)
+
+  const files = await readdir(path.join(testConfigDir, 'session-logs', sessionId))
+  assert.ok(files.includes('session.json'))
+  assert.equal(openSessionLogSpool(sessionId).meta.runId, 'run-spool-1')
+  assert.equal(openSessionLogSpool(sessionId).meta.exitCode, 0)
+})
+
+test('session log spool rotates segments and keeps offsets stable under the size cap', () => {
+  const spool = createSessionLogSpool(`spool-unit-${Date.now()}`, { status: 'running' }, { segmentBytes: 10, maxBytes: 30 })
+  assert.ok(spool)
+  for (let i = 0; i < 8; i += 1) spool.append('stdout', `line-${i}:\x1b[1m!`)
+  spool.close()
+  const { firstOffset, total } = spool.bounds('stdout')
+  assert.equal(total, 8 * 12)
+  assert.ok(firstOffset > 0)
+  assert.ok(total - firstOffset <= 30 + 12)
+
+  const stale = spool.readSlice('stdout', { offset: 0, limit: 12 })
+  assert.equal(stale.offset, firstOffset)
+  // "line-7:\x1b[1m!" — a limit ending inside the escape stops before it.
+  const page = spool.readSlice('stdout', { offset: total - 12, limit: 9 })
+  assert.equal(page.output, 'line-7:')
+  assert.equal(page.nextOffset, total - 5)
+})
+
+test('session log spool buffers appends and writes them asynchronously', async () => {
+  const sessionId = `spool-async-${Date.now()}`
+  const spool = createSessionLogSpool(sessionId, { status: 'running' })
+  const segment = path.join(testConfigDir, 'session-logs', sessionId, 'stdout.0000000000000000.log')
+  spool.append('stdout', 'first ')
+  spool.append('stdout', 'second')
+  // Reads see buffered bytes before the flush has written them.
+  assert.equal(spool.readSlice('stdout', { offset: 0, limit: 100 }).output, 'first second')
+
+  await spool.close()
+  assert.equal(await readFile(segment, 'utf8'), 'first second')
+  spool.append('stdout', '!')
+  await flushSessionLogSpools()
+  assert.equal(openSessionLogSpool(sessionId).readSlice('stdout', { offset: 0, limit: 100 }).output, 'first second!')
+})
+
+test('exited and interrupted sessions are restored from disk with their run link', async (t) => {
+  cleanupAllSessions()
+  t.after(() => cleanupAllSessions())
+
+  const finishedId = `runtime-test-restore-${Date.now()}`
+  startCommandSession({
+    id: finishedId,
+    command: 'node -e "process.stdout.write(\'persisted-output\')"',
+    cwd: process.cwd(),
+    timeoutMs: 10_000,
+  })
+  assert.equal(linkSessionRun(finishedId, 'run-restore-1'), true)
+  await waitForSessionExit(finishedId, 10_000)
+
+  // A spool left behind by a companion that died mid-session.
+  const orphanId = `runtime-test-orphan-${Date.now()}`
+  const orphan = createSessionLogSpool(orphanId, { command: 'sleep 100', status: 'running', startedAt: Date.now() })
+  orphan.append('stdout', 'partial')
+  await orphan.close()
+
+  cleanupAllSessions()
+  await flushSessionLogSpools()
+  assert.equal(getSessionById(finishedId), null)
+  const result = restorePersistedSessions()
+  assert.ok(result.restored >= 2)
+  assert.ok(result.interrupted >= 1)
+
+  const listed = listSessions({ status: 'exited', limit: 500 }).sessions
+  const restored = listed.find((item) => item.sessionId === finishedId)
+  assert.equal(restored.restored, true)
+  assert.equal(restored.runId, 'run-restore-1')
+  assert.equal(restored.exitCode, 0)
+  assert.equal(getSessionLog(finishedId, { stream: 'stdout' }).output, 'persisted-output')
+  assert.equal(makeSessionSnapshot(getSessionById(finishedId)).stdout, 'persisted-output')
+
+  const interrupted = listed.find((item) => item.sessionId === orphanId)
+  assert.equal(interrupted.interrupted, true)
+  assert.equal(interrupted.exitCode, -1)
+  assert.match(getSessionLog(orphanId, { stream: 'stderr' }).output, /companion restarted/)
+  assert.equal(openSessionLogSpool(orphanId).meta.status, 'exited')
+})
+
 test('signalChildProcessTree targets the detached process group on POSIX', () => {
   if (process.platform === 'win32') return
 
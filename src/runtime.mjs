@@ -1,13 +1,29 @@
-import { spawn, execFileSync } from 'node:child_process'
-import { promises as fs } from 'node:fs'
+import { spawn, execFile, execFileSync } from 'node:child_process'
+import { promises as fs, mkdirSync } from 'node:fs'
 import path from 'node:path'
-import os from 'node:os'
 import {
   normalizePermissionPolicy,
   isPathWithinRoots,
+  PERMISSION_MODE_FULL,
   PERMISSION_MODE_WORKSPACE,
 } from './permission-policy.mjs'
 import { getConfigDir } from './config.mjs'
+import { explainCommandPolicy } from './command-policy.mjs'
+import {
+  encodeKeySequence,
+  normalizeTerminalSize,
+  renderTerminalScreen,
+  snapAnsiBoundary,
+  ansiSequenceEnd,
+  stripAnsi,
+} from './terminal.mjs'
+import {
+  SESSION_LOG_RETENTION_MS,
+  MAX_PERSISTED_SESSION_COUNT,
+  createSessionLogSpool,
+  listPersistedSessionLogs,
+  removeSessionLog,
+} from './session-log-store.mjs'
 
 const MAX_OUTPUT_CHARS = Number(process.env.TRAPEZOHE_MAX_OUTPUT || 200_000)
 const DEFAULT_TIMEOUT_MS = Number(process.env.TRAPEZOHE_TIMEOUT_MS || 60_000)
@@ -27,16 +43,6 @@ const sessionExitListeners = new Set()
 let nextSessionEventCursor = 1
 let pruneIntervalRef = null
 
-const WORKSPACE_BLOCKED_COMMANDS = [
-  { pattern: /\bsudo\b/i, reason: 'sudo is disabled in workspace mode' },
-  { pattern: /\bsu\b/i, reason: 'user switching is disabled in workspace mode' },
-  { pattern: /\bshutdown\b/i, reason: 'system shutdown commands are disabled in workspace mode' },
-  { pattern: /\breboot\b/i, reason: 'system reboot commands are disabled in workspace mode' },
-  { pattern: /\bhalt\b/i, reason: 'system halt commands are disabled in workspace mode' },
-  { pattern: /\bpoweroff\b/i, reason: 'poweroff commands are disabled in workspace mode' },
-  { pattern: /\brm\s+-rf\s+\/(?![\w.-])/i, reason: 'destructive root deletes are blocked in workspace mode' },
-]
-
 export class PermissionPolicyError extends Error {
   constructor(message) {
     super(message)
@@ -96,18 +102,62 @@ function notifySessionExited(session) {
 function finalizeSessionExit(session, options = {}) {
   if (!session || session.status === 'exited') return false
   if (session.timeoutRef) clearTimeout(session.timeoutRef)
+  if (session.ttyFile) fs.unlink(session.ttyFile).catch(() => undefined)
 
   if (options.stderrAppend) {
     session.stderr = trimOutput(`${session.stderr}\n${options.stderrAppend}`.trim())
+    session.spool?.append('stderr', `\n${options.stderrAppend}`)
   }
   session.status = 'exited'
   session.exitCode = typeof options.exitCode === 'number' ? options.exitCode : -1
   session.finishedAt = now()
+  if (session.spool) {
+    session.spool.updateMeta(makeSessionLogMeta(session))
+    session.spool.close()
+  }
   emitSessionExited(session)
   notifySessionExited(session)
   return true
 }
 
+function makeSessionLogMeta(session) {
+  return {
+    command: session.command,
+    cwd: session.cwd,
+    timeoutMs: session.timeoutMs,
+    pty: Boolean(session.pty),
+    ...(session.pty ? { cols: session.cols, rows: session.rows } : {}),
+    ...(session.runId ? { runId: session.runId } : {}),
+    status: session.status,
+    exitCode: typeof session.exitCode === 'number' ? session.exitCode : undefined,
+    timedOut: Boolean(session.timedOut),
+    ...(session.interrupted ? { interrupted: true } : {}),
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt || undefined,
+  }
+}
+
+/**
+ * Reload in-memory output for a session whose buffers were released by the
+ * pruner or that was restored from disk after a restart.
+ */
+function hydrateSessionOutput(session) {
+  if (!session.outputReleased || !session.spool) return
+  try {
+    session.stdout = session.spool.readTail('stdout', MAX_OUTPUT_CHARS)
+    session.stderr = session.spool.readTail('stderr', MAX_OUTPUT_CHARS)
+  } catch {
+    // Spool files vanished; keep whatever is in memory.
+  }
+  session.outputReleased = false
+}
+
+function releaseSessionOutput(session) {
+  session.stdout = ''
+  session.stderr = ''
+  session.outputReleased = true
+}
+
 export function addSessionExitListener(listener) {
   if (typeof listener !== 'function') return () => {}
   sessionExitListeners.add(listener)
@@ -138,6 +188,60 @@ function spawnShellProcess(shell, options) {
   })
 }
 
+// Runs inside script(1) on the new TTY: size it, record its device path for
+// later resizes, then hand over to the user's shell. The command travels in
+// the environment so it never needs re-quoting.
+const PTY_BOOTSTRAP = [
+  'stty cols "$TRAPEZOHE_PTY_COLS" rows "$TRAPEZOHE_PTY_ROWS" 2>/dev/null',
+  'tty > "$TRAPEZOHE_PTY_TTY_FILE" 2>/dev/null',
+  'cmd="$TRAPEZOHE_PTY_COMMAND"',
+  'SHELL="$TRAPEZOHE_PTY_SHELL"',
+  'export SHELL',
+  'unset TRAPEZOHE_PTY_COLS TRAPEZOHE_PTY_ROWS TRAPEZOHE_PTY_TTY_FILE TRAPEZOHE_PTY_COMMAND TRAPEZOHE_PTY_SHELL',
+  'exec "$SHELL" -lc "$cmd"',
+].join('; ')
+
+// Kept in the private config dir rather than the shared tmpdir: the
+// bootstrap's redirect follows symlinks and resizes trust the path read back.
+function ptyTtyFilePath(sessionId) {
+  const dir = path.join(getConfigDir(), 'pty')
+  mkdirSync(dir, { recursive: true, mode: 0o700 })
+  return path.join(dir, `${sessionId}.tty`)
+}
+
+/**
+ * Spawn `command` attached to a pseudo-terminal. Uses the system script(1)
+ * utility so no native addon is needed; output from the TTY arrives merged
+ * on the child's stdout and keystrokes are written to its stdin.
+ */
+function spawnPtyProcess({ id, command, cwd, env, cols, rows }) {
+  if (process.platform === 'win32') {
+    throw new Error('PTY sessions are not supported on Windows.')
+  }
+  const shell = shellCommandForPlatform(command)
+  const ttyFile = ptyTtyFilePath(id)
+  const ptyEnv = {
+    ...env,
+    TERM: env.TERM && env.TERM !== 'dumb' ? env.TERM : 'xterm-256color',
+    SHELL: '/bin/sh',
+    TRAPEZOHE_PTY_COLS: String(cols),
+    TRAPEZOHE_PTY_ROWS: String(rows),
+    TRAPEZOHE_PTY_TTY_FILE: ttyFile,
+    TRAPEZOHE_PTY_COMMAND: command,
+    TRAPEZOHE_PTY_SHELL: shell.bin,
+  }
+  // util-linux takes the command via -c; BSD/macOS takes it as trailing argv.
+  const args = process.platform === 'linux'
+    ? ['-qfec', PTY_BOOTSTRAP, '/dev/null']
+    : ['-q', '/dev/null', '/bin/sh', '-c', PTY_BOOTSTRAP]
+  const child = spawnShellProcess({ bin: 'script', args }, {
+    cwd,
+    env: ptyEnv,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  })
+  return { child, ttyFile }
+}
+
 export function signalChildProcessTree(child, signal) {
   if (!child) return false
 
@@ -175,7 +279,7 @@ export async function resolveCwd(inputCwd, permissionPolicy) {
 
   if (inputCwd && typeof inputCwd === 'string' && inputCwd.trim()) {
     cwd = path.resolve(inputCwd.trim())
-  } else if (policy.mode === PERMISSION_MODE_WORKSPACE && policy.workspaceRoots[0]) {
+  } else if (policy.mode !== PERMISSION_MODE_FULL && policy.workspaceRoots[0]) {
     cwd = policy.workspaceRoots[0]
   } else {
     // In full mode, default to Companion home so relative paths like
@@ -218,95 +322,20 @@ export async function resolveCwd(inputCwd, permissionPolicy) {
   return cwd
 }
 
-function shellTokenize(command) {
-  return command.match(/"[^"]*"|'[^']*'|\S+/g) || []
-}
-
-function stripQuotes(token) {
-  if (!token) return token
-  if ((token.startsWith('"') && token.endsWith('"')) || (token.startsWith("'") && token.endsWith("'"))) {
-    return token.slice(1, -1)
-  }
-  return token
-}
-
-function maybePathCandidates(token) {
-  const clean = stripQuotes(token)
-  if (!clean) return []
-  if (clean.includes('://')) return []
-
-  const candidates = []
-  const eqIdx = clean.indexOf('=')
-  if (eqIdx > 0 && eqIdx < clean.length - 1) {
-    candidates.push(clean.slice(eqIdx + 1))
-  }
-  candidates.push(clean)
-  return candidates
-}
-
-function looksLikePath(value) {
-  if (!value) return false
-  if (value.startsWith('-')) return false
-  if (value === '.' || value === '..') return true
-  if (value.startsWith('./') || value.startsWith('../')) return true
-  if (value.startsWith('~/')) return true
-  if (value.startsWith('/')) return true
-  if (/^[A-Za-z]:[\\/]/.test(value)) return true
-  return value.includes('/') || value.includes('\\')
-}
-
-function normalizeCandidateToAbsolute(candidate, cwd) {
-  if (!looksLikePath(candidate)) return null
-  if (candidate.startsWith('~/')) return path.resolve(os.homedir(), candidate.slice(2))
-  if (path.isAbsolute(candidate) || /^[A-Za-z]:[\\/]/.test(candidate)) {
-    return path.resolve(candidate)
-  }
-  return path.resolve(cwd, candidate)
-}
-
-// Shell metacharacters that could bypass path-based policy checks via
-// command substitution, process substitution, or globbing.
-const DANGEROUS_SHELL_PATTERNS = [
-  { pattern: /\$\(/, reason: 'command substitution $(...) is not allowed in workspace mode' },
-  { pattern: /`[^`]*`/, reason: 'backtick command substitution is not allowed in workspace mode' },
-  { pattern: /\$\{/, reason: 'parameter expansion ${...} is not allowed in workspace mode' },
-  { pattern: /(^|[^\\])\$[A-Za-z_][A-Za-z0-9_]*/, reason: 'environment variable expansion is not allowed in workspace mode' },
-  { pattern: /<\(/, reason: 'process substitution <(...) is not allowed in workspace mode' },
-  { pattern: />\(/, reason: 'process substitution >(...) is not allowed in workspace mode' },
-  { pattern: /(^|[\s="'])~(?=\/|[\s"']|$)/, reason: 'home-directory expansion is not allowed in workspace mode' },
-]
-
-export function enforceCommandPolicy({ command, cwd, permissionPolicy }) {
+/**
+ * Throw PermissionPolicyError when the permission policy rejects `command`
+ * in `cwd`. See command-policy.mjs for the rule semantics and
+ * `explainCommandPolicy` for a non-throwing dry run. In supervised mode the
+ * returned explanation may have `decision: 'require_approval'`; callers must
+ * park the command instead of running it.
+ */
+export function enforceCommandPolicy({ command, cwd, permissionPolicy, env }) {
   const policy = normalizePermissionPolicy(permissionPolicy)
-  if (policy.mode !== PERMISSION_MODE_WORKSPACE) return
-
-  for (const rule of WORKSPACE_BLOCKED_COMMANDS) {
-    if (rule.pattern.test(command)) {
-      throw new PermissionPolicyError(`Command blocked by workspace policy: ${rule.reason}.`)
-    }
-  }
-
-  // Block shell metacharacters that can bypass path analysis
-  for (const rule of DANGEROUS_SHELL_PATTERNS) {
-    if (rule.pattern.test(command)) {
-      throw new PermissionPolicyError(`Command blocked by workspace policy: ${rule.reason}.`)
-    }
-  }
-
-  // Split by pipe / semicolon / && / || and analyze each sub-command
-  const subCommands = command.split(/\s*(?:\|{1,2}|&&|;)\s*/)
-  for (const sub of subCommands) {
-    const tokens = shellTokenize(sub)
-    for (const token of tokens) {
-      for (const candidate of maybePathCandidates(token)) {
-        const absPath = normalizeCandidateToAbsolute(candidate, cwd)
-        if (!absPath) continue
-        if (!isPathWithinRoots(absPath, policy.workspaceRoots)) {
-          throw new PermissionPolicyError(`Path escapes workspace boundary: ${candidate}`)
-        }
-      }
-    }
+  const explanation = explainCommandPolicy({ command, cwd, env, permissionPolicy: policy })
+  if (explanation.decision === 'deny') {
+    throw new PermissionPolicyError(explanation.message)
   }
+  return explanation
 }
 
 export function clampTimeout(input) {
@@ -376,6 +405,7 @@ export async function runCommand({ command, cwd, timeoutMs, env }) {
 }
 
 export function makeSessionSnapshot(session) {
+  hydrateSessionOutput(session)
   const finishedAt = session.finishedAt || undefined
   return {
     ok: true,
@@ -390,6 +420,16 @@ export function makeSessionSnapshot(session) {
     startedAt: session.startedAt,
     finishedAt,
     durationMs: (finishedAt || now()) - session.startedAt,
+    ...makeTerminalFields(session),
+  }
+}
+
+function makeTerminalFields(session) {
+  return {
+    ...(session.pty ? { pty: true, cols: session.cols, rows: session.rows } : { pty: false }),
+    ...(session.runId ? { runId: session.runId } : {}),
+    ...(session.restored ? { restored: true } : {}),
+    ...(session.interrupted ? { interrupted: true } : {}),
   }
 }
 
@@ -405,6 +445,7 @@ function makeSessionListItem(session) {
     timedOut: Boolean(session.timedOut),
     exitCode: typeof session.exitCode === 'number' ? session.exitCode : undefined,
     durationMs: (finishedAt || now()) - session.startedAt,
+    ...makeTerminalFields(session),
   }
 }
 
@@ -442,12 +483,27 @@ export function listSessions(options = {}) {
   }
 }
 
-function makeLogSlice(text, offset, limit) {
+function normalizeAnsiMode(value) {
+  const mode = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'raw'
+  if (mode !== 'raw' && mode !== 'strip') {
+    throw new Error('ansi must be one of: raw, strip')
+  }
+  return mode
+}
+
+// Slice boundaries never split an escape sequence, so paging through a PTY
+// log with nextOffset replays exactly the original byte stream.
+function makeLogSlice(text, offset, limit, ansi = 'raw') {
   const total = text.length
-  const start = Math.min(Math.max(offset, 0), total)
-  const end = Math.min(start + limit, total)
+  const start = snapAnsiBoundary(text, Math.min(Math.max(offset, 0), total))
+  let end = snapAnsiBoundary(text, Math.min(start + limit, total))
+  if (end <= start && start < total) {
+    // A single sequence longer than the limit is returned whole.
+    end = Math.max(ansiSequenceEnd(text, start), start + 1)
+  }
+  const output = text.slice(start, end)
   return {
-    output: text.slice(start, end),
+    output: ansi === 'strip' ? stripAnsi(output) : output,
     total,
     offset: start,
     limit,
@@ -456,6 +512,20 @@ function makeLogSlice(text, offset, limit) {
   }
 }
 
+// Spooled sessions page through the full on-disk history by byte offset;
+// sessions without a spool fall back to the in-memory tail.
+function readSessionLogSlice(session, stream, offset, limit, ansi) {
+  if (session.spool && !session.spool.failed) {
+    try {
+      const page = session.spool.readSlice(stream, { offset, limit })
+      return { ...page, output: ansi === 'strip' ? stripAnsi(page.output) : page.output }
+    } catch {
+      // Fall through to the in-memory tail if the spool became unreadable.
+    }
+  }
+  return makeLogSlice(session[stream] || '', offset, limit, ansi)
+}
+
 export function getSessionLog(sessionId, options = {}) {
   const session = getSessionById(sessionId)
   if (!session) return null
@@ -477,6 +547,8 @@ export function getSessionLog(sessionId, options = {}) {
     min: 1,
     max: MAX_OUTPUT_CHARS,
   })
+  const ansi = normalizeAnsiMode(options.ansi)
+  const slice = (name) => readSessionLogSlice(session, name, offset, limit, ansi)
 
   if (stream === 'stdout' || stream === 'stderr') {
     return {
@@ -484,7 +556,8 @@ export function getSessionLog(sessionId, options = {}) {
       sessionId: session.id,
       status: session.status,
       stream,
-      ...makeLogSlice(session[stream] || '', offset, limit),
+      ansi,
+      ...slice(stream),
     }
   }
 
@@ -493,24 +566,49 @@ export function getSessionLog(sessionId, options = {}) {
     sessionId: session.id,
     status: session.status,
     stream,
+    ansi,
     offset,
     limit,
-    stdout: makeLogSlice(session.stdout || '', offset, limit),
-    stderr: makeLogSlice(session.stderr || '', offset, limit),
+    stdout: slice('stdout'),
+    stderr: slice('stderr'),
   }
 }
 
-export function startCommandSession({ id, command, cwd, timeoutMs, env }) {
+/**
+ * Render the current terminal screen of a PTY session from its buffered
+ * output. Output trimmed from the head of the buffer is lost, so very old
+ * screens may be incomplete; anything still on screen is reproduced.
+ */
+export function getSessionScreen(sessionId) {
+  const session = getSessionById(sessionId)
+  if (!session) return null
+  if (!session.pty) throw new Error('Session is not a PTY session.')
+  hydrateSessionOutput(session)
+  return {
+    ok: true,
+    sessionId: session.id,
+    status: session.status,
+    ...renderTerminalScreen(session.stdout || '', { cols: session.cols, rows: session.rows }),
+  }
+}
+
+export function startCommandSession({ id, command, cwd, timeoutMs, env, pty = false, cols, rows, runId }) {
   const startedAt = now()
-  const shell = shellCommandForPlatform(command)
   const mergedEnv = env && typeof env === 'object' && Object.keys(env).length > 0
     ? { ...process.env, ...env }
     : process.env
-  const child = spawnShellProcess(shell, {
-    cwd,
-    env: mergedEnv,
-    stdio: ['pipe', 'pipe', 'pipe'],
-  })
+  const terminal = pty ? normalizeTerminalSize({ cols, rows }) : null
+  let child
+  let ttyFile
+  if (terminal) {
+    ({ child, ttyFile } = spawnPtyProcess({ id, command, cwd, env: mergedEnv, ...terminal }))
+  } else {
+    child = spawnShellProcess(shellCommandForPlatform(command), {
+      cwd,
+      env: mergedEnv,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    })
+  }
 
   const session = {
     id,
@@ -518,6 +616,10 @@ export function startCommandSession({ id, command, cwd, timeoutMs, env }) {
     cwd,
     timeoutMs,
     child,
+    pty: Boolean(terminal),
+    cols: terminal?.cols,
+    rows: terminal?.rows,
+    ttyFile,
     status: 'running',
     stdout: '',
     stderr: '',
@@ -526,14 +628,24 @@ export function startCommandSession({ id, command, cwd, timeoutMs, env }) {
     startedAt,
     finishedAt: undefined,
     timeoutRef: undefined,
+    runId: typeof runId === 'string' && runId ? runId : undefined,
+    outputReleased: false,
   }
+  session.spool = createSessionLogSpool(id, makeSessionLogMeta(session))
+
+  // Full-screen programs emit multi-byte glyphs that may straddle chunks.
+  if (terminal) child.stdout.setEncoding('utf8')
 
   child.stdout.on('data', (chunk) => {
+    hydrateSessionOutput(session)
     session.stdout = trimOutput(session.stdout + String(chunk))
+    session.spool?.append('stdout', chunk)
   })
 
   child.stderr.on('data', (chunk) => {
+    hydrateSessionOutput(session)
     session.stderr = trimOutput(session.stderr + String(chunk))
+    session.spool?.append('stderr', chunk)
   })
 
   session.timeoutRef = setTimeout(() => {
@@ -567,16 +679,44 @@ export function getSessionById(sessionId) {
   return sessions.get(sessionId) || null
 }
 
+/**
+ * Attach a run-ledger id to a session after it started; persisted with the
+ * spool so the link survives restarts.
+ */
+export function linkSessionRun(sessionId, runId) {
+  const session = getSessionById(sessionId)
+  if (!session || typeof runId !== 'string' || !runId) return false
+  session.runId = runId
+  session.spool?.updateMeta({ runId })
+  return true
+}
+
+function dropSession(session) {
+  sessions.delete(session.id)
+  if (session.spool) removeSessionLog(session.id)
+}
+
+/**
+ * Exited sessions keep their metadata and on-disk log for
+ * SESSION_LOG_RETENTION_MS; after SESSION_TTL_MS only the in-memory output
+ * buffers are released. Sessions without a spool are dropped at the TTL.
+ */
 export function pruneSessions() {
-  const cutoff = now() - SESSION_TTL_MS
+  const ttlCutoff = now() - SESSION_TTL_MS
+  const retentionCutoff = now() - SESSION_LOG_RETENTION_MS
 
   for (const [id, session] of sessions) {
-    if (session.status === 'exited' && (session.finishedAt || 0) < cutoff) {
-      sessions.delete(id)
+    if (session.status !== 'exited') continue
+    const finishedAt = session.finishedAt || 0
+    if (finishedAt < retentionCutoff || (!session.spool && finishedAt < ttlCutoff)) {
+      dropSession(session)
+    } else if (finishedAt < ttlCutoff && !session.outputReleased) {
+      releaseSessionOutput(sessions.get(id))
     }
   }
 
-  if (sessions.size <= MAX_SESSION_COUNT) return
+  const maxCount = Math.min(MAX_SESSION_COUNT, MAX_PERSISTED_SESSION_COUNT)
+  if (sessions.size <= maxCount) return
 
   const sorted = Array.from(sessions.values()).sort((a, b) => {
     const aTime = a.finishedAt || a.startedAt
@@ -584,11 +724,11 @@ export function pruneSessions() {
     return aTime - bTime
   })
 
-  const removeCount = Math.max(0, sessions.size - MAX_SESSION_COUNT)
+  const removeCount = Math.max(0, sessions.size - maxCount)
   for (let i = 0; i < removeCount; i += 1) {
     const target = sorted[i]
     if (!target) continue
-    sessions.delete(target.id)
+    dropSession(target)
     if (target.status === 'running') {
       if (target.timeoutRef) clearTimeout(target.timeoutRef)
       try { signalChildProcessTree(target.child, 'SIGTERM') } catch { /* ignore */ }
@@ -596,6 +736,64 @@ export function pruneSessions() {
   }
 }
 
+/**
+ * Load sessions persisted by a previous companion process so they stay
+ * listable and their logs readable. Sessions that were still running when
+ * that process stopped cannot be reattached and are marked interrupted.
+ * @returns {{ restored: number, interrupted: number }}
+ */
+export function restorePersistedSessions() {
+  let restored = 0
+  let interrupted = 0
+  const retentionCutoff = now() - SESSION_LOG_RETENTION_MS
+  for (const spool of listPersistedSessionLogs()) {
+    const meta = spool.meta
+    if (sessions.has(meta.sessionId)) continue
+    if (restored >= MAX_PERSISTED_SESSION_COUNT) {
+      removeSessionLog(meta.sessionId)
+      continue
+    }
+    const wasRunning = meta.status !== 'exited'
+    const finishedAt = wasRunning ? (meta.updatedAt || meta.startedAt || now()) : meta.finishedAt
+    if ((finishedAt || 0) < retentionCutoff) {
+      removeSessionLog(meta.sessionId)
+      continue
+    }
+    const session = {
+      id: meta.sessionId,
+      command: String(meta.command || ''),
+      cwd: String(meta.cwd || ''),
+      timeoutMs: meta.timeoutMs,
+      child: null,
+      pty: Boolean(meta.pty),
+      cols: meta.cols,
+      rows: meta.rows,
+      status: 'exited',
+      stdout: '',
+      stderr: '',
+      timedOut: Boolean(meta.timedOut),
+      exitCode: wasRunning ? -1 : (typeof meta.exitCode === 'number' ? meta.exitCode : -1),
+      startedAt: meta.startedAt || finishedAt,
+      finishedAt,
+      timeoutRef: undefined,
+      runId: typeof meta.runId === 'string' ? meta.runId : undefined,
+      interrupted: wasRunning || Boolean(meta.interrupted),
+      restored: true,
+      outputReleased: true,
+      spool,
+    }
+    if (wasRunning) {
+      spool.append('stderr', '\n[companion restarted while this session was running]')
+      spool.updateMeta(makeSessionLogMeta(session))
+      spool.close()
+      interrupted += 1
+    }
+    sessions.set(session.id, session)
+    restored += 1
+  }
+  return { restored, interrupted }
+}
+
 const PRUNE_INTERVAL_MS = 60_000
 
 export function startSessionPruner() {
@@ -644,11 +842,19 @@ export function writeToSession(sessionId, text, submit = false) {
   }
 
   const normalizedText = typeof text === 'string' ? text : String(text ?? '')
-  const payload = submit ? `${normalizedText}\n` : normalizedText
+  // A terminal's Enter key sends CR; the TTY line discipline turns it into LF.
+  const payload = submit ? `${normalizedText}${session.pty ? '\r' : '\n'}` : normalizedText
   session.child.stdin.write(payload)
   return { ok: true, written: Buffer.byteLength(payload) }
 }
 
+/**
+ * Send key presses to a session. `keys` is a key name, a space-separated
+ * sequence (`"ctrl-a up enter"`) or an array of names; see terminal.mjs for
+ * the supported names. On pipe sessions a lone ctrl-c / ctrl-z is delivered
+ * as a signal and ctrl-d closes stdin, since there is no TTY to interpret
+ * them; PTY sessions always receive the raw bytes.
+ */
 export function sendKeysToSession(sessionId, keys) {
   const session = getSessionById(sessionId)
   if (!session) {
@@ -658,30 +864,81 @@ export function sendKeysToSession(sessionId, keys) {
     throw new Error('Session is not running.')
   }
 
-  const normalized = String(keys || '').trim().toLowerCase()
-  switch (normalized) {
-    case 'ctrl-c':
-      signalChildProcessTree(session.child, 'SIGINT')
-      return { ok: true, action: 'signal', key: normalized }
-    case 'ctrl-z':
-      signalChildProcessTree(session.child, 'SIGTSTP')
-      return { ok: true, action: 'signal', key: normalized }
-    case 'ctrl-d':
-      if (!session.child?.stdin || session.child.stdin.destroyed || session.child.stdin.writableEnded) {
-        throw new Error('Session stdin is not writable.')
+  const single = typeof keys === 'string' ? keys.trim().toLowerCase() : ''
+  if (!session.pty) {
+    switch (single) {
+      case 'ctrl-c':
+        signalChildProcessTree(session.child, 'SIGINT')
+        return { ok: true, action: 'signal', key: single }
+      case 'ctrl-z':
+        signalChildProcessTree(session.child, 'SIGTSTP')
+        return { ok: true, action: 'signal', key: single }
+      case 'ctrl-d':
+        if (!session.child?.stdin || session.child.stdin.destroyed || session.child.stdin.writableEnded) {
+          throw new Error('Session stdin is not writable.')
+        }
+        session.child.stdin.end()
+        return { ok: true, action: 'stdin', key: single }
+      default:
+        break
+    }
+  }
+
+  const encoded = encodeKeySequence(keys, { enter: session.pty ? '\r' : '\n' })
+  const result = writeToSession(sessionId, encoded.data, false)
+  return {
+    ...result,
+    action: 'write',
+    keys: encoded.keys,
+    ...(encoded.keys.length === 1 ? { key: encoded.keys[0] } : {}),
+  }
+}
+
+async function readSessionTtyPath(session) {
+  if (session.ttyPath) return session.ttyPath
+  const deadline = now() + 2_000
+  while (now() < deadline && session.status === 'running') {
+    try {
+      const ttyPath = (await fs.readFile(session.ttyFile, 'utf8')).trim()
+      if (ttyPath.startsWith('/dev/')) {
+        session.ttyPath = ttyPath
+        return ttyPath
       }
-      session.child.stdin.end()
-      return { ok: true, action: 'stdin', key: normalized }
-    case 'enter':
-      return writeToSession(sessionId, '', true)
-    case 'tab':
-      return writeToSession(sessionId, '\t', false)
-    case 'escape':
-    case 'esc':
-      return writeToSession(sessionId, '\u001b', false)
-    default:
-      throw new Error('Unsupported key. Use one of: ctrl-c, ctrl-d, ctrl-z, enter, tab, escape')
+    } catch {
+      // The bootstrap has not written the file yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25))
   }
+  throw new Error('Session terminal is not ready.')
+}
+
+/**
+ * Change the window size of a PTY session. The kernel delivers SIGWINCH to
+ * the foreground process group, so full-screen programs redraw themselves.
+ */
+export async function resizeSession(sessionId, size = {}) {
+  const session = getSessionById(sessionId)
+  if (!session) {
+    throw new Error('Session not found.')
+  }
+  if (!session.pty) {
+    throw new Error('Session is not a PTY session.')
+  }
+  if (session.status !== 'running') {
+    throw new Error('Session is not running.')
+  }
+  const { cols, rows } = normalizeTerminalSize(size, { cols: session.cols, rows: session.rows })
+  const ttyPath = await readSessionTtyPath(session)
+  const deviceFlag = process.platform === 'linux' ? '-F' : '-f'
+  await new Promise((resolve, reject) => {
+    execFile('stty', [deviceFlag, ttyPath, 'cols', String(cols), 'rows', String(rows)], (err) => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+  session.cols = cols
+  session.rows = rows
+  return { ok: true, sessionId: session.id, cols, rows }
 }
 
 export function listSessionEvents(options = {}) {
@@ -7,6 +7,7 @@ import { mkdtemp, rm, writeFile } from 'node:fs/promises'
 import { createCompanionServer } from './server.mjs'
 import { addPendingRun, clearCronStoreForTests } from './cron-store.mjs'
 import { cleanupAllSessions } from './runtime.mjs'
+import { configureAcpConcurrency } from './acp-scheduler.mjs'
 import { clearRunStoreForTests, listRuns } from './run-store.mjs'
 import { clearBrowserLedgerForTests } from './browser-ledger.mjs'
 import {
@@ -18,6 +19,7 @@ import {
 import { clearMemoryShadowStoreForTests } from './memory-shadow-store.mjs'
 import { clearMemoryShadowRefreshStateForTests } from './memory-shadow-publisher.mjs'
 import { clearCheckpointJobStoreForTests } from './checkpoint-job-runner.mjs'
+import { clearAcpSessionStoreForTests } from './acp-session-store.mjs'
 
 const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
 const testConfigDir = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-server-runtime-test-'))
@@ -30,6 +32,7 @@ after(async () => {
   await clearMemoryShadowStoreForTests().catch(() => undefined)
   await clearMemoryShadowRefreshStateForTests().catch(() => undefined)
   await clearCheckpointJobStoreForTests().catch(() => undefined)
+  await clearAcpSessionStoreForTests().catch(() => undefined)
   if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
   else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
   await rm(testConfigDir, { recursive: true, force: true }).catch(() => undefined)
@@ -166,6 +169,7 @@ async function startTestServer(options = {}) {
     await clearMemoryShadowRefreshStateForTests()
     await clearCheckpointJobStoreForTests()
     await clearBrowserLedgerForTests()
+    await clearAcpSessionStoreForTests()
   }
   const token = 'test-token'
   const mcpManager = options.mcpManager || createMcpManagerStub()
@@ -184,6 +188,18 @@ async function startTestServer(options = {}) {
     ...(typeof options.removeMcpServerConfig === 'function'
       ? { removeMcpServerConfig: options.removeMcpServerConfig }
       : {}),
+    ...(typeof options.getMcpPolicy === 'function'
+      ? { getMcpPolicy: options.getMcpPolicy }
+      : {}),
+    ...(typeof options.setMcpPolicy === 'function'
+      ? { setMcpPolicy: options.setMcpPolicy }
+      : {}),
+    ...(typeof options.getPermissionPolicy === 'function'
+      ? { getPermissionPolicy: options.getPermissionPolicy }
+      : {}),
+    ...(typeof options.setPermissionPolicy === 'function'
+      ? { setPermissionPolicy: options.setPermissionPolicy }
+      : {}),
     ...(typeof options.normalizeMediaImage === 'function'
       ? { normalizeMediaImage: options.normalizeMediaImage }
       : {}),
@@ -587,6 +603,194 @@ test('checkpoint job status exposes in-flight completed steps for restart-safe p
   assert.deepEqual(completed.payload.completedSteps, ['publish_artifacts'])
 })
 
+test('MCP resource and prompt routes proxy to the manager', async (t) => {
+  const calls = []
+  const ctx = await startTestServer({
+    mcpManager: {
+      ...createMcpManagerStub(),
+      getAllResources: () => ({
+        resources: [{ server: 'notes', uri: 'file:///a.md', name: 'a.md', description: '' }],
+        resourceTemplates: [],
+      }),
+      getAllPrompts: () => [{ server: 'notes', name: 'summarize', description: '', arguments: [] }],
+      readResource: async (server, uri) => {
+        calls.push(['read', server, uri])
+        return { ok: true, server, uri, contents: [{ uri, text: 'hello' }] }
+      },
+      getPrompt: async (server, name, args) => {
+        calls.push(['prompt', server, name, args])
+        return { ok: true, server, name, messages: [] }
+      },
+    },
+  })
+  t.after(() => stopTestServer(ctx.server))
+
+  const resources = await requestJson(ctx, '/api/mcp/resources')
+  assert.equal(resources.status, 200)
+  assert.equal(resources.payload.resources[0].uri, 'file:///a.md')
+  assert.deepEqual(resources.payload.resourceTemplates, [])
+
+  const prompts = await requestJson(ctx, '/api/mcp/prompts')
+  assert.equal(prompts.payload.prompts[0].name, 'summarize')
+
+  const read = await requestJson(ctx, '/api/mcp/resources/read', {
+    method: 'POST',
+    body: { server: 'notes', uri: 'file:///a.md' },
+  })
+  assert.equal(read.status, 200)
+  assert.equal(read.payload.contents[0].text, 'hello')
+
+  const missing = await requestJson(ctx, '/api/mcp/resources/read', { method: 'POST', body: { server: 'notes' } })
+  assert.equal(missing.status, 400)
+
+  const prompt = await requestJson(ctx, '/api/mcp/prompts/get', {
+    method: 'POST',
+    body: { server: 'notes', name: 'summarize', arguments: { uri: 'file:///a.md' } },
+  })
+  assert.equal(prompt.status, 200)
+  assert.deepEqual(calls, [
+    ['read', 'notes', 'file:///a.md'],
+    ['prompt', 'notes', 'summarize', { uri: 'file:///a.md' }],
+  ])
+})
+
+test('MCP tool calls honor allow, deny, and require_approval policy with run ledger stamps', async (t) => {
+  const calls = []
+  let mcpPolicy = {
+    servers: {
+      filesystem: {
+        mode: 'require_approval',
+        tools: {
+          read_file: 'allow',
+          move_file: 'deny',
+          write_file: { rules: [{ args: { path: '/work/**' }, mode: 'allow' }] },
+        },
+      },
+    },
+  }
+  const ctx = await startTestServer({
+    mcpManager: {
+      ...createMcpManagerStub(),
+      resolveServerName: (name) => (name === 'filesystem-mcp' ? 'filesystem' : name),
+      getAllTools: () => [
+        { server: 'filesystem', name: 'read_file' },
+        { server: 'filesystem', name: 'write_file' },
+      ],
+      callTool: async (server, tool, args) => {
+        calls.push([server, tool, args])
+        return { ok: true, content: [{ type: 'text', text: `${tool} ok` }], isError: false }
+      },
+    },
+    getMcpPolicy: () => mcpPolicy,
+    setMcpPolicy: async (next) => { mcpPolicy = next },
+  })
+  t.after(() => stopTestServer(ctx.server))
+
+  const tools = await requestJson(ctx, '/api/mcp/tools')
+  assert.deepEqual(tools.payload.tools.map((tool) => tool.policy), ['allow', 'require_approval'])
+
+  const allowed = await requestJson(ctx, '/api/mcp/tools/call', {
+    method: 'POST',
+    body: { server: 'filesystem', tool: 'write_file', arguments: { path: '/work/a.txt' } },
+  })
+  assert.equal(allowed.status, 200)
+  assert.equal(allowed.payload.ok, true)
+  assert.deepEqual(allowed.payload.policy, { mode: 'allow', source: 'rule' })
+  const allowedRun = await requestJson(ctx, `/api/runtime/runs/${allowed.payload.runId}`)
+  assert.equal(allowedRun.payload.run.type, 'mcp')
+  assert.equal(allowedRun.payload.run.state, 'done')
+  assert.equal(allowedRun.payload.run.meta.policyDecision.mode, 'allow')
+
+  const denied = await requestJson(ctx, '/api/mcp/tools/call', {
+    method: 'POST',
+    body: { server: 'filesystem-mcp', tool: 'move_file', arguments: {} },
+  })
+  assert.equal(denied.status, 403)
+  assert.match(denied.payload.error, /denied by policy/)
+  const deniedRun = await requestJson(ctx, `/api/runtime/runs/${denied.payload.runId}`)
+  assert.equal(deniedRun.payload.run.state, 'cancelled')
+  assert.equal(deniedRun.payload.run.meta.policyDecision.source, 'tool')
+
+  const pendingCall = requestJson(ctx, '/api/mcp/tools/call', {
+    method: 'POST',
+    body: { server: 'filesystem', tool: 'write_file', arguments: { path: '/etc/hosts' } },
+  })
+  const approval = await (async () => {
+    const deadline = Date.now() + 5_000
+    while (Date.now() < deadline) {
+      const pending = await requestJson(ctx, '/api/runtime/approvals/pending')
+      const found = pending.payload.approvals.find((item) => item.meta?.kind === 'mcp_tool_call')
+      if (found) return found
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+    throw new Error('approval was not created')
+  })()
+  assert.equal(approval.toolName, 'mcp:filesystem/write_file')
+  assert.equal(calls.length, 1, 'tool must not run before approval')
+
+  const resolved = await requestJson(ctx, `/api/runtime/approvals/${approval.requestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'approved', resolvedBy: 'tester' },
+  })
+  assert.equal(resolved.status, 200)
+  const approvedCall = await pendingCall
+  assert.equal(approvedCall.status, 200)
+  assert.equal(approvedCall.payload.approvalStatus, undefined)
+  assert.deepEqual(calls[1], ['filesystem', 'write_file', { path: '/etc/hosts' }])
+  const approvedRun = await requestJson(ctx, `/api/runtime/runs/${approvedCall.payload.runId}`)
+  assert.equal(approvedRun.payload.run.state, 'done')
+  assert.equal(approvedRun.payload.run.meta.approvalStatus, 'approved')
+  assert.equal(approvedRun.payload.run.meta.approvalRequestId, approval.requestId)
+
+  const rejectedCall = requestJson(ctx, '/api/mcp/tools/call', {
+    method: 'POST',
+    body: { server: 'filesystem', tool: 'list_directory', arguments: {} },
+  })
+  let rejectedApproval = null
+  while (!rejectedApproval) {
+    const pending = await requestJson(ctx, '/api/runtime/approvals/pending')
+    rejectedApproval = pending.payload.approvals.find((item) => item.meta?.tool === 'list_directory') || null
+    if (!rejectedApproval) await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+  await requestJson(ctx, `/api/runtime/approvals/${rejectedApproval.requestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'rejected' },
+  })
+  const rejected = await rejectedCall
+  assert.equal(rejected.status, 403)
+  assert.equal(rejected.payload.approvalStatus, 'rejected')
+  assert.equal(calls.length, 2)
+
+  const revokedCall = requestJson(ctx, '/api/mcp/tools/call', {
+    method: 'POST',
+    body: { server: 'filesystem', tool: 'delete_file', arguments: { path: '/work/a.txt' } },
+  })
+  let revokedApproval = null
+  while (!revokedApproval) {
+    const pending = await requestJson(ctx, '/api/runtime/approvals/pending')
+    revokedApproval = pending.payload.approvals.find((item) => item.meta?.tool === 'delete_file') || null
+    if (!revokedApproval) await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+  mcpPolicy.servers.filesystem.tools.delete_file = 'deny'
+  await requestJson(ctx, `/api/runtime/approvals/${revokedApproval.requestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'approved' },
+  })
+  const revoked = await revokedCall
+  assert.equal(revoked.status, 403)
+  assert.match(revoked.payload.error, /denied by policy/)
+  assert.equal(calls.length, 2, 'a tool denied while awaiting approval must not run')
+  const revokedRun = await requestJson(ctx, `/api/runtime/runs/${revoked.payload.runId}`)
+  assert.equal(revokedRun.payload.run.state, 'cancelled')
+  assert.equal(revokedRun.payload.run.meta.approvalStatus, 'approved')
+
+  const badPolicy = await requestJson(ctx, '/api/mcp/policy', { method: 'POST', body: { defaultMode: 'sometimes' } })
+  assert.equal(badPolicy.status, 400)
+  const updated = await requestJson(ctx, '/api/mcp/policy', { method: 'POST', body: { policy: { defaultMode: 'deny' } } })
+  assert.equal(updated.status, 200)
+  assert.equal((await requestJson(ctx, '/api/mcp/policy')).payload.policy.defaultMode, 'deny')
+})
+
 test('diagnostics and self-check endpoints return structured companion health details', async (t) => {
   const ctx = await startTestServer({
     getMediaSupport: async () => ({ available: true, engine: 'test-engine' }),
@@ -1248,6 +1452,49 @@ async function waitForRuns(ctx, predicate, timeoutMs = 5000) {
   throw new Error('Timed out waiting for expected run data.')
 }
 
+test('run export endpoint returns redacted JSON, Markdown and JSONL bundles', async (t) => {
+  cleanupAllSessions()
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+  })
+
+  const started = await requestJson(ctx, '/api/runtime/session/start', {
+    method: 'POST',
+    body: { command: `node -e "console.log('exported output ${ctx.token}')"`, timeoutMs: 5_000 },
+  })
+  assert.equal(started.status, 200)
+  const runs = await waitForRuns(ctx, (items) => items.some((run) => (
+    run.sessionId === started.payload.sessionId && (run.state === 'done' || run.state === 'failed')
+  )))
+  const run = runs.find((item) => item.sessionId === started.payload.sessionId)
+
+  const bundle = await requestJson(ctx, `/api/runtime/runs/${run.runId}/export`)
+  assert.equal(bundle.status, 200)
+  assert.equal(bundle.payload.session.kind, 'runtime')
+  assert.match(bundle.payload.session.stdout.output, /exported output \[redacted\]/)
+  assert.equal(JSON.stringify(bundle.payload).includes(ctx.token), false)
+
+  const markdown = await fetch(`${ctx.baseUrl}/api/runtime/runs/${run.runId}/export?format=markdown`, {
+    headers: { Authorization: `Bearer ${ctx.token}` },
+  })
+  assert.equal(markdown.status, 200)
+  assert.match(markdown.headers.get('content-type'), /text\/markdown/)
+  const text = await markdown.text()
+  assert.match(text, new RegExp(`^# Run ${run.runId}`))
+  assert.match(text, /### stdout\n\n```\nexported output \[redacted\]/)
+
+  const jsonl = await fetch(`${ctx.baseUrl}/api/local-runtime/runs/${run.runId}/export?format=jsonl`, {
+    headers: { Authorization: `Bearer ${ctx.token}` },
+  })
+  const kinds = (await jsonl.text()).trimEnd().split('\n').map((line) => JSON.parse(line).kind)
+  assert.deepEqual(kinds, ['export', 'run', 'session', 'delivery'])
+
+  assert.equal((await requestJson(ctx, `/api/runtime/runs/${run.runId}/export?format=xml`)).status, 400)
+  assert.equal((await requestJson(ctx, '/api/runtime/runs/missing-run/export')).status, 404)
+})
+
 test('runtime session list endpoints support new and legacy paths', async (t) => {
   cleanupAllSessions()
   const ctx = await startTestServer()
@@ -1394,6 +1641,209 @@ test('runtime session send-keys endpoint can interrupt running process', async (
   await waitForSessionExit(ctx, sessionId, 10_000)
 })
 
+test('runtime pty sessions expose resize, screen, and validate terminal options', async (t) => {
+  if (process.platform === 'win32') return
+  cleanupAllSessions()
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+  })
+
+  const invalid = await requestJson(ctx, '/api/runtime/session/start', {
+    method: 'POST',
+    body: { command: 'true', pty: true, cols: 3 },
+  })
+  assert.equal(invalid.status, 400)
+  assert.match(invalid.payload.error, /cols must be an integer/)
+
+  const started = await requestJson(ctx, '/api/runtime/session/start', {
+    method: 'POST',
+    body: {
+      command: `node -e "process.stdout.on('resize', () => console.log('SIZE', process.stdout.columns)); console.log('READY', process.stdout.isTTY); setInterval(() => {}, 1000)"`,
+      pty: true,
+      cols: 40,
+      rows: 10,
+      timeoutMs: 20_000,
+    },
+  })
+  assert.equal(started.status, 200)
+  assert.equal(started.payload.pty, true)
+  assert.equal(started.payload.cols, 40)
+  assert.match(started.payload.runId, /\S/)
+  const { sessionId } = started.payload
+  await waitForSessionStdout(ctx, sessionId, 'READY true', 15_000)
+
+  const resized = await requestJson(ctx, `/api/runtime/session/${sessionId}/resize`, {
+    method: 'POST',
+    body: { cols: 60, rows: 12 },
+  })
+  assert.equal(resized.status, 200)
+  assert.equal(resized.payload.cols, 60)
+  await waitForSessionStdout(ctx, sessionId, 'SIZE 60')
+
+  const screen = await requestJson(ctx, `/api/runtime/session/${sessionId}/screen`)
+  assert.equal(screen.status, 200)
+  assert.equal(screen.payload.rows, 12)
+  assert.ok(screen.payload.lines.includes('SIZE 60'))
+
+  const stripped = await requestJson(ctx, `/api/runtime/sessions/${sessionId}/log?stream=stdout&ansi=strip`)
+  assert.equal(stripped.status, 200)
+  assert.equal(stripped.payload.ansi, 'strip')
+
+  const interrupt = await requestJson(ctx, `/api/runtime/session/${sessionId}/send-keys`, {
+    method: 'POST',
+    body: { keys: ['ctrl-c'] },
+  })
+  assert.equal(interrupt.status, 200)
+  assert.equal(interrupt.payload.action, 'write')
+  await waitForSessionExit(ctx, sessionId, 10_000)
+
+  const missing = await requestJson(ctx, '/api/runtime/session/nope/resize', { method: 'POST', body: { cols: 80 } })
+  assert.equal(missing.status, 404)
+})
+
+test('security policy endpoints keep command rules on partial updates and explain decisions', async (t) => {
+  const workspace = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-policy-explain-'))
+  let stored = {
+    mode: 'workspace',
+    workspaceRoots: [workspace],
+    commandRules: {
+      rules: [{ id: 'no-force-push', action: 'deny', executables: ['git'], args: ['push', ['--force', '-f']] }],
+    },
+  }
+  const ctx = await startTestServer({
+    getPermissionPolicy: () => stored,
+    setPermissionPolicy: async (policy) => { stored = policy },
+  })
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    await rm(workspace, { recursive: true, force: true })
+  })
+
+  const updated = await requestJson(ctx, '/api/security/policy', {
+    method: 'POST',
+    body: { mode: 'workspace', workspaceRoots: [workspace] },
+  })
+  assert.equal(updated.status, 200)
+  assert.equal(updated.payload.policy.commandRules.rules[0].id, 'no-force-push')
+
+  const invalid = await requestJson(ctx, '/api/security/policy', {
+    method: 'POST',
+    body: { mode: 'workspace', workspaceRoots: [workspace], commandRules: { rules: [{ action: 'maybe', executables: ['git'] }] } },
+  })
+  assert.equal(invalid.status, 400)
+  assert.match(invalid.payload.error, /action/)
+
+  const denied = await requestJson(ctx, '/api/security/policy/explain', {
+    method: 'POST',
+    body: { command: 'git status && git push -f origin main', cwd: workspace },
+  })
+  assert.equal(denied.status, 200)
+  assert.equal(denied.payload.decision, 'deny')
+  assert.equal(denied.payload.invocations.length, 2)
+  assert.equal(denied.payload.invocations[1].ruleId, 'no-force-push')
+  assert.match(denied.payload.message, /no-force-push/)
+
+  const preview = await requestJson(ctx, '/api/security/policy/explain', {
+    method: 'POST',
+    body: { command: 'git push -f origin main', cwd: workspace, policy: { mode: 'workspace', workspaceRoots: [workspace] } },
+  })
+  assert.equal(preview.payload.decision, 'allow')
+
+  const outside = await requestJson(ctx, '/api/security/policy/explain', {
+    method: 'POST',
+    body: { command: 'ls', cwd: '/' },
+  })
+  assert.equal(outside.payload.decision, 'deny')
+  assert.equal(outside.payload.denied.source, 'cwd')
+
+  const exec = await requestJson(ctx, '/api/runtime/exec', {
+    method: 'POST',
+    body: { command: 'git push --force', cwd: workspace },
+  })
+  assert.equal(exec.status, 403)
+  assert.match(exec.payload.error, /no-force-push/)
+})
+
+test('supervised mode parks exec and session commands until their approval resolves', async (t) => {
+  cleanupAllSessions()
+  const workspace = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-supervised-'))
+  const policy = { mode: 'supervised', workspaceRoots: [workspace], approvalTimeoutMs: 5_000 }
+  const ctx = await startTestServer({ getPermissionPolicy: () => policy })
+  t.after(async () => {
+    cleanupAllSessions()
+    await stopTestServer(ctx.server)
+    await rm(workspace, { recursive: true, force: true })
+  })
+
+  const safe = await requestJson(ctx, '/api/runtime/exec', { method: 'POST', body: { command: 'pwd' } })
+  assert.equal(safe.status, 200)
+  assert.equal(safe.payload.cwd, workspace)
+
+  const parked = await requestJson(ctx, '/api/runtime/exec', {
+    method: 'POST',
+    body: { command: 'node -e "console.log(\'parked-ok\')"' },
+  })
+  assert.equal(parked.status, 202)
+  assert.equal(parked.payload.state, 'waiting_approval')
+  assert.equal(parked.payload.policy.decision, 'require_approval')
+  assert.match(parked.payload.policy.message, /node is not on the supervised allowlist/)
+
+  const pending = await requestJson(ctx, '/api/runtime/approvals/pending')
+  const approval = pending.payload.approvals.find((entry) => entry.requestId === parked.payload.approvalRequestId)
+  assert.equal(approval?.toolName, 'runtime:exec')
+  assert.equal(approval.meta.commandRunId, parked.payload.runId)
+  await waitForRuns(ctx, (runs) => runs.some((run) => run.runId === parked.payload.runId && run.state === 'waiting_approval'))
+
+  const approved = await requestJson(ctx, `/api/runtime/approvals/${parked.payload.approvalRequestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'approved', resolvedBy: 'tester' },
+  })
+  assert.equal(approved.status, 200)
+  const [doneRun] = (await waitForRuns(ctx, (runs) => runs.some(
+    (run) => run.runId === parked.payload.runId && run.state === 'done',
+  ), 15_000)).filter((run) => run.runId === parked.payload.runId)
+  assert.match(doneRun.meta.stdoutTail, /parked-ok/)
+  assert.equal(doneRun.meta.approvalStatus, 'approved')
+
+  const session = await requestJson(ctx, '/api/runtime/session/start', {
+    method: 'POST',
+    body: { command: 'sleep 5' },
+  })
+  assert.equal(session.status, 202)
+  assert.ok(session.payload.sessionId)
+  await requestJson(ctx, `/api/runtime/approvals/${session.payload.approvalRequestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'rejected' },
+  })
+  await waitForRuns(ctx, (runs) => runs.some(
+    (run) => run.runId === session.payload.runId && run.state === 'cancelled' && /rejected/.test(run.error || ''),
+  ))
+  assert.equal((await requestJson(ctx, `/api/runtime/session/${session.payload.sessionId}`)).status, 404)
+
+  const expiring = await requestJson(ctx, '/api/runtime/exec', { method: 'POST', body: { command: 'touch never-created' } })
+  assert.equal(expiring.status, 202)
+  const [expiredRun] = (await waitForRuns(ctx, (runs) => runs.some(
+    (run) => run.runId === expiring.payload.runId && run.state === 'failed',
+  ), 15_000)).filter((run) => run.runId === expiring.payload.runId)
+  assert.match(expiredRun.error, /expired after 5s without a decision; the command was not run/)
+  assert.equal(expiredRun.meta.approvalStatus, 'expired')
+
+  // A policy change while the command waits is honoured when it is approved.
+  const revoked = await requestJson(ctx, '/api/runtime/exec', { method: 'POST', body: { command: 'touch revoked-file' } })
+  assert.equal(revoked.status, 202)
+  policy.commandRules = { rules: [{ id: 'no-touch', action: 'deny', executables: ['touch'] }] }
+  await requestJson(ctx, `/api/runtime/approvals/${revoked.payload.approvalRequestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'approved' },
+  })
+  const [revokedRun] = (await waitForRuns(ctx, (runs) => runs.some(
+    (run) => run.runId === revoked.payload.runId && run.state === 'failed',
+  ))).filter((run) => run.runId === revoked.payload.runId)
+  assert.match(revokedRun.error, /rule "no-touch".*The command was not run/)
+})
+
 test('runtime session-events endpoint returns exited events with cursor paging', async (t) => {
   cleanupAllSessions()
   const ctx = await startTestServer()
@@ -1429,6 +1879,129 @@ test('runtime session-events endpoint returns exited events with cursor paging',
   assert.equal(typeof events.payload.nextCursor, 'number')
 })
 
+test('runtime session-events stream endpoint requires auth and streams cursor-tagged events', async (t) => {
+  cleanupAllSessions()
+  const ctx = await startTestServer()
+  t.after(() => cleanupAllSessions())
+
+  const unauthorized = await fetch(`${ctx.baseUrl}/api/runtime/session-events/stream`)
+  assert.equal(unauthorized.status, 401)
+  await unauthorized.body?.cancel()
+
+  const baseline = await requestJson(ctx, '/api/runtime/session-events?after=0&limit=1')
+  const startCursor = Number(baseline.payload.nextCursor || 0)
+
+  const started = await requestJson(ctx, '/api/runtime/session/start', {
+    method: 'POST',
+    body: {
+      command: 'node -e "setTimeout(() => process.exit(3), 50)"',
+      timeoutMs: 5_000,
+    },
+  })
+  assert.equal(started.status, 200)
+  const { sessionId } = started.payload
+
+  const streamed = await fetch(`${ctx.baseUrl}/api/runtime/session-events/stream`, {
+    headers: {
+      Authorization: `Bearer ${ctx.token}`,
+      'Last-Event-ID': String(startCursor),
+    },
+  })
+  assert.equal(streamed.status, 200)
+  assert.match(streamed.headers.get('content-type'), /text\/event-stream/)
+
+  const reader = streamed.body.getReader()
+  const decoder = new TextDecoder()
+  let text = ''
+  const deadline = Date.now() + 10_000
+  while (!text.includes(sessionId) && Date.now() < deadline) {
+    const { value, done } = await reader.read()
+    if (done) break
+    text += decoder.decode(value, { stream: true })
+  }
+  const frame = text.split('\n\n').find((block) => block.includes(sessionId))
+  assert.ok(frame, 'expected an SSE frame for the exited session')
+  assert.match(frame, /^id: \d+$/m)
+  assert.match(frame, /^event: session$/m)
+  const id = Number(frame.match(/^id: (\d+)$/m)[1])
+  assert.ok(id > startCursor)
+  const payload = JSON.parse(frame.match(/^data: (.*)$/m)[1])
+  assert.equal(payload.type, 'session_exited')
+  assert.equal(payload.cursor, id)
+
+  // Server shutdown must end the still-open stream rather than hang on it.
+  await stopTestServer(ctx.server)
+  let tail = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    tail += decoder.decode(value, { stream: true })
+  }
+  assert.match(tail, /event: end/)
+})
+
+test('cron endpoints preview schedules and expose next fire times on jobs', async (t) => {
+  await clearCronStoreForTests()
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    await clearCronStoreForTests()
+  })
+
+  const preview = await requestJson(ctx, '/api/cron/preview', {
+    method: 'POST',
+    body: {
+      schedule: { kind: 'cron', expression: '30 9 * * 1-5', tz: 'UTC' },
+      from: Date.parse('2026-03-06T12:00:00Z'),
+      count: 2,
+    },
+  })
+  assert.equal(preview.status, 200)
+  assert.deepEqual(preview.payload.nextFireTimes, [
+    Date.parse('2026-03-09T09:30:00Z'),
+    Date.parse('2026-03-10T09:30:00Z'),
+  ])
+
+  const invalid = await requestJson(ctx, '/api/cron/preview', {
+    method: 'POST',
+    body: { schedule: { kind: 'cron', expression: 'not a cron' } },
+  })
+  assert.equal(invalid.status, 400)
+  assert.match(invalid.payload.error, /5 fields/)
+
+  const rejected = await requestJson(ctx, '/api/cron/jobs', {
+    method: 'POST',
+    body: { id: 'job-invalid', name: 'Invalid', enabled: false, schedule: { kind: 'weekly', daysOfWeek: [] } },
+  })
+  assert.equal(rejected.status, 400)
+
+  const saved = await requestJson(ctx, '/api/cron/jobs', {
+    method: 'POST',
+    body: {
+      id: 'job-weekly-preview',
+      name: 'Weekly preview',
+      enabled: true,
+      schedule: { kind: 'weekly', daysOfWeek: ['mon'], hour: 9, minute: 0, tz: 'UTC' },
+    },
+  })
+  assert.equal(saved.status, 200)
+
+  const jobs = await requestJson(ctx, '/api/cron/jobs?preview=3')
+  assert.equal(jobs.status, 200)
+  assert.deepEqual(jobs.payload.jobs.map((job) => job.id), ['job-weekly-preview'])
+  const fireTimes = jobs.payload.jobs[0].nextFireTimes
+  assert.equal(fireTimes.length, 3)
+  for (const fireAt of fireTimes) {
+    const date = new Date(fireAt)
+    assert.equal(date.getUTCDay(), 1)
+    assert.equal(date.getUTCHours(), 9)
+  }
+  assert.equal(jobs.payload.jobs[0].nextRunAt, fireTimes[0])
+
+  const removed = await requestJson(ctx, '/api/cron/jobs/job-weekly-preview', { method: 'DELETE' })
+  assert.equal(removed.payload.removed, true)
+})
+
 test('runtime runs endpoints expose exec/session lifecycle and diagnostics', async (t) => {
   cleanupAllSessions()
   const ctx = await startTestServer()
@@ -2138,6 +2711,290 @@ test('ACP permission waits create approval records tied to the existing ACP run'
   assert.equal(cancelled.status, 200)
 })
 
+test('ACP reset and fork routes reopen sessions and branch them into new runs', async (t) => {
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+  })
+
+  const waitForSessionState = async (sessionId, state) => {
+    const deadline = Date.now() + 5_000
+    while (Date.now() < deadline) {
+      const res = await requestJson(ctx, `/api/acp/sessions/${sessionId}`)
+      if (res.payload.state === state) return res.payload
+      await delay(25)
+    }
+    throw new Error(`ACP session ${sessionId} did not reach ${state}`)
+  }
+
+  const created = await requestJson(ctx, '/api/acp/sessions', {
+    method: 'POST',
+    body: {
+      agentType: 'raw',
+      cwd: process.cwd(),
+      command: [
+        'node',
+        '-e',
+        'process.stdin.once("data", () => { console.log(JSON.stringify({ type: "message_stop", message: { stop_reason: "end_turn" } })); process.exit(0) })',
+      ],
+      timeoutMs: 5_000,
+    },
+  })
+  const sessionId = created.payload.sessionId
+  const prompted = await requestJson(ctx, `/api/acp/sessions/${sessionId}/prompt`, { method: 'POST', body: { prompt: 'first' } })
+  await waitForSessionState(sessionId, 'done')
+
+  const missingTurn = await requestJson(ctx, `/api/acp/sessions/${sessionId}/fork`, { method: 'POST', body: { turnId: 'nope' } })
+  assert.equal(missingTurn.status, 404)
+  const missingSession = await requestJson(ctx, '/api/acp/sessions/nope/reset', { method: 'POST', body: {} })
+  assert.equal(missingSession.status, 404)
+
+  const fork = await requestJson(ctx, `/api/acp/sessions/${sessionId}/fork`, {
+    method: 'POST',
+    body: { turnId: prompted.payload.turnId, prompt: 'branch' },
+  })
+  assert.equal(fork.status, 200)
+  assert.notEqual(fork.payload.sessionId, sessionId)
+  assert.deepEqual(fork.payload.forkedFrom, { sessionId, turnId: prompted.payload.turnId, mode: 'replay' })
+  assert.ok(fork.payload.turnId)
+  assert.ok(fork.payload.runId)
+  assert.notEqual(fork.payload.runId, created.payload.runId)
+  await waitForSessionState(fork.payload.sessionId, 'done')
+
+  const reset = await requestJson(ctx, `/api/acp/sessions/${fork.payload.sessionId}/reset`, { method: 'POST', body: {} })
+  assert.equal(reset.status, 200)
+  assert.equal(reset.payload.state, 'idle')
+  const again = await requestJson(ctx, `/api/acp/sessions/${fork.payload.sessionId}/reset`, { method: 'POST', body: {} })
+  assert.equal(again.status, 409)
+  assert.equal(again.payload.code, 'invalid_state')
+})
+
+test('ACP prompts past the concurrency cap queue their runs and show in diagnostics', async (t) => {
+  const ctx = await startTestServer()
+  configureAcpConcurrency({ maxConcurrent: 1 })
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+    configureAcpConcurrency({})
+  })
+
+  const createSession = async (command) => (await requestJson(ctx, '/api/acp/sessions', {
+    method: 'POST',
+    body: { agentType: 'raw', cwd: process.cwd(), command, timeoutMs: 5_000 },
+  })).payload
+  const holder = await createSession(['node', '-e', 'setInterval(() => {}, 1000)'])
+  const waiting = await createSession([
+    'node',
+    '-e',
+    'process.stdin.once("data", () => { console.log(JSON.stringify({ type: "message_stop", message: { stop_reason: "end_turn" } })); process.exit(0) })',
+  ])
+
+  await requestJson(ctx, `/api/acp/sessions/${holder.sessionId}/prompt`, { method: 'POST', body: { prompt: 'hold' } })
+  const queued = await requestJson(ctx, `/api/acp/sessions/${waiting.sessionId}/prompt`, {
+    method: 'POST',
+    body: { prompt: 'wait', priority: 'automation' },
+  })
+  assert.equal(queued.status, 200)
+  assert.equal(queued.payload.queued, true)
+  assert.equal(queued.payload.queuePosition, 1)
+  await waitForRuns(ctx, (runs) => runs.some((run) => run.runId === waiting.runId && run.state === 'queued'))
+
+  const listed = await requestJson(ctx, '/api/acp/sessions?state=queued')
+  assert.deepEqual(listed.payload.sessions.map((session) => [session.sessionId, session.priority]), [[waiting.sessionId, 'automation']])
+  const diagnostics = await requestJson(ctx, '/api/system/diagnostics')
+  assert.equal(diagnostics.payload.acp.queuedSessions, 1)
+  assert.equal(diagnostics.payload.acp.concurrency.maxConcurrent, 1)
+  assert.equal(diagnostics.payload.acp.concurrency.running, 1)
+  assert.deepEqual(diagnostics.payload.acp.concurrency.queuedByPriority, { interactive: 0, automation: 1, retry: 0 })
+
+  await requestJson(ctx, `/api/acp/sessions/${holder.sessionId}/cancel`, { method: 'POST', body: {} })
+  await waitForRuns(ctx, (runs) => runs.some((run) => run.runId === waiting.runId && run.state === 'done'))
+})
+
+test('bridged ACP agent tool permissions wait on approval records and follow the resolution', async (t) => {
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+  })
+
+  // ACP agent that asks to run a command on every prompt and reports the outcome.
+  const agentPath = path.join(testConfigDir, 'bridge-agent.cjs')
+  await writeFile(agentPath, `
+const rl = require('node:readline').createInterface({ input: process.stdin })
+const send = (m) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...m }) + '\\n')
+let prompt = null
+rl.on('line', (line) => {
+  const m = JSON.parse(line)
+  if (m.method === 'initialize') return send({ id: m.id, result: { protocolVersion: 1, agentCapabilities: {} } })
+  if (m.method === 'session/new') return send({ id: m.id, result: { sessionId: 'bridge-agent' } })
+  if (m.method === 'session/prompt') {
+    prompt = m.id
+    return send({ id: 900, method: 'session/request_permission', params: {
+      sessionId: 'bridge-agent',
+      toolCall: { toolCallId: 't1', title: 'Run', kind: 'execute', rawInput: { command: 'rm -rf build' } },
+      options: [{ optionId: 'yes', name: 'Yes', kind: 'allow_once' }, { optionId: 'no', name: 'No', kind: 'reject_once' }],
+    } })
+  }
+  if (m.id === 900) {
+    send({ method: 'session/update', params: { sessionId: 'bridge-agent', update: { sessionUpdate: 'agent_message_chunk', content: { type: 'text', text: 'picked ' + m.result.outcome.optionId } } } })
+    send({ id: prompt, result: { stopReason: 'end_turn' } })
+  }
+})
+`)
+
+  const denied = await requestJson(ctx, '/api/acp/permission-bridge', { method: 'POST', body: { toolName: 'Bash' } })
+  assert.equal(denied.status, 401)
+
+  const created = await requestJson(ctx, '/api/acp/sessions', {
+    method: 'POST',
+    body: {
+      agentType: 'acp-native',
+      cwd: process.cwd(),
+      command: [process.execPath, agentPath],
+      permissionBridge: true,
+      writePolicy: { mode: 'allowlist', allowedPaths: [process.cwd()], allowedCommandPrefixes: null },
+      timeoutMs: 8_000,
+    },
+  })
+  assert.equal(created.status, 200)
+  assert.equal(created.payload.permissionBridge, true)
+  const { sessionId, runId } = created.payload
+
+  const promptRes = await requestJson(ctx, `/api/acp/sessions/${sessionId}/prompt`, {
+    method: 'POST',
+    body: { prompt: 'clean the build' },
+  })
+  assert.equal(promptRes.status, 200)
+
+  let approval = null
+  const approvalDeadline = Date.now() + 5_000
+  while (!approval && Date.now() < approvalDeadline) {
+    const pending = await requestJson(ctx, '/api/runtime/approvals/pending')
+    approval = (pending.payload.approvals || []).find((item) => item.meta?.sessionId === sessionId) || null
+    if (!approval) await delay(25)
+  }
+  assert.ok(approval)
+  assert.equal(approval.toolName, 'acp_tool:execute')
+  assert.equal(approval.toolPreview, 'Run: rm -rf build')
+  assert.equal(approval.meta.kind, 'acp_tool_permission')
+  assert.equal(approval.meta.acpRunId, runId)
+  assert.equal(approval.meta.runId, undefined)
+  const waitingRun = (await listRuns({ limit: 100, offset: 0 })).runs.find((run) => run.runId === runId)
+  assert.equal(waitingRun.state, 'waiting_approval')
+
+  const resolved = await requestJson(ctx, `/api/runtime/approvals/${approval.requestId}/resolve`, {
+    method: 'POST',
+    body: { resolution: 'rejected', resolvedBy: 'test' },
+  })
+  assert.equal(resolved.status, 200)
+
+  let events = []
+  const doneDeadline = Date.now() + 5_000
+  while (Date.now() < doneDeadline) {
+    const res = await requestJson(ctx, `/api/acp/sessions/${sessionId}/events?after=0&limit=500`)
+    events = res.payload.events || []
+    if (events.some((event) => event.type === 'done')) break
+    await delay(25)
+  }
+  assert.ok(events.some((event) => event.type === 'text_delta' && event.text === 'picked no'))
+  assert.ok(events.some((event) => event.statusCode === 'permission_denied'))
+
+  const finalRun = (await listRuns({ limit: 100, offset: 0 })).runs.find((run) => run.runId === runId)
+  assert.equal(finalRun.meta?.approvalStatus, 'rejected')
+})
+
+test('ACP turn usage lands on the run and in the /api/runtime/usage report', async (t) => {
+  const ctx = await startTestServer()
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+    cleanupAllSessions()
+  })
+
+  const agentPath = path.join(testConfigDir, 'usage-agent.cjs')
+  await writeFile(agentPath, `
+const rl = require('node:readline').createInterface({ input: process.stdin })
+const send = (m) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...m }) + '\\n')
+rl.on('line', (line) => {
+  const m = JSON.parse(line)
+  if (m.method === 'initialize') return send({ id: m.id, result: { protocolVersion: 1, agentCapabilities: {} } })
+  if (m.method === 'session/new') return send({ id: m.id, result: { sessionId: 'usage-agent' } })
+  if (m.method === 'session/prompt') return send({ id: m.id, result: { stopReason: 'end_turn', usage: { inputTokens: 120, outputTokens: 30, cachedReadTokens: 500 } } })
+})
+`)
+
+  const created = await requestJson(ctx, '/api/acp/sessions', {
+    method: 'POST',
+    body: { agentType: 'acp-native', cwd: process.cwd(), command: [process.execPath, agentPath], timeoutMs: 8_000 },
+  })
+  assert.equal(created.status, 200)
+  const { sessionId, runId } = created.payload
+  for (const prompt of ['one', 'two']) {
+    const promptRes = await requestJson(ctx, `/api/acp/sessions/${sessionId}/prompt`, { method: 'POST', body: { prompt } })
+    assert.equal(promptRes.status, 200)
+    const deadline = Date.now() + 5_000
+    while (Date.now() < deadline) {
+      const run = (await requestJson(ctx, `/api/runtime/runs/${runId}`)).payload.run
+      if (run?.usage?.turns === (prompt === 'one' ? 1 : 2)) break
+      await delay(25)
+    }
+  }
+
+  const run = (await requestJson(ctx, `/api/runtime/runs/${runId}`)).payload.run
+  assert.deepEqual(run.usage, { inputTokens: 240, outputTokens: 60, cacheReadTokens: 1_000, cacheWriteTokens: 0, turns: 2 })
+
+  const today = new Date().toISOString().slice(0, 10)
+  const report = await requestJson(ctx, `/api/runtime/usage?from=${today}&to=${today}`)
+  assert.equal(report.status, 200)
+  const agentGroup = report.payload.byAgent.find((group) => group.key === 'acp-native')
+  assert.equal(agentGroup.usage.turns >= 2, true)
+  assert.equal(report.payload.byDay[0].key, today)
+
+  assert.equal((await requestJson(ctx, '/api/runtime/usage?from=2026-13-01')).status, 400)
+  assert.equal((await requestJson(ctx, '/api/runtime/usage?from=2026-03-02&to=2026-03-01')).status, 400)
+  assert.equal((await requestJson(ctx, '/api/runtime/usage?from=1999-01-01&to=1999-01-02')).payload.totals, null)
+})
+
+test('automation sandbox routes list, export and remove sandboxes', async (t) => {
+  const { createRun, flushRunStore } = await import('./run-store.mjs')
+  const { clearAutomationSandboxStoreForTests, createAutomationSandbox, flushAutomationSandboxStore } = await import('./automation-sandbox.mjs')
+  await clearRunStoreForTests()
+  await clearAutomationSandboxStoreForTests()
+  const source = await mkdtemp(path.join(os.tmpdir(), 'sandbox-route-src-'))
+  t.after(() => rm(source, { recursive: true, force: true }))
+  await writeFile(path.join(source, 'notes.txt'), 'one\n')
+  await createRun({ runId: 'sandbox-run', type: 'cron', state: 'running', meta: {} })
+  const sandbox = await createAutomationSandbox({ mode: 'copy', sourceDir: source, runId: 'sandbox-run', jobId: 'job-sbx' })
+  await writeFile(path.join(sandbox.cwd, 'notes.txt'), 'two\n')
+  await flushRunStore()
+  await flushAutomationSandboxStore()
+
+  const ctx = await startTestServer({ preserveStores: true })
+  t.after(async () => {
+    await stopTestServer(ctx.server)
+  })
+
+  const listed = await requestJson(ctx, '/api/automation/sandboxes?jobId=job-sbx')
+  assert.equal(listed.status, 200)
+  assert.deepEqual(listed.payload.sandboxes.map((entry) => entry.sandboxId), [sandbox.sandboxId])
+  assert.equal((await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}`)).payload.sandbox.mode, 'copy')
+
+  const exported = await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}/export`, { method: 'POST', body: { format: 'patch' } })
+  assert.equal(exported.status, 200)
+  assert.deepEqual(exported.payload.export.files, ['notes.txt'])
+  assert.match(exported.payload.patch, /-one\n\+two/)
+  const branch = await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}/export`, { method: 'POST', body: { format: 'branch' } })
+  assert.equal(branch.status, 409)
+  assert.equal(branch.payload.code, 'export_unavailable')
+
+  const busy = await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}`, { method: 'DELETE' })
+  assert.equal(busy.status, 409)
+  await clearRunStoreForTests()
+  assert.equal((await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}`, { method: 'DELETE' })).payload.removed, true)
+  assert.equal((await requestJson(ctx, `/api/automation/sandboxes/${sandbox.sandboxId}`)).status, 404)
+})
+
 test('startup recovery marks orphaned session and ACP runs as failed after companion restart', async (t) => {
   const { createRun, flushRunStore, getRunById } = await import('./run-store.mjs')
   const { flushApprovalStore } = await import('./approval-store.mjs')
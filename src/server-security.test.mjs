@@ -78,7 +78,7 @@ test('allowed extension origin receives echoed ACAO header', () => {
 
   assert.equal(headers['Access-Control-Allow-Origin'], 'chrome-extension://abc123')
   assert.equal(headers.Vary, 'Origin')
-  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization')
+  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization, Last-Event-ID')
   assert.equal(headers['Access-Control-Allow-Methods'], 'GET, POST, DELETE, OPTIONS')
 })
 
@@ -90,7 +90,7 @@ test('untrusted browser origin does not receive wildcard CORS access', () => {
 
   assert.equal(headers['Access-Control-Allow-Origin'], undefined)
   assert.equal(headers.Vary, undefined)
-  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization')
+  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization, Last-Event-ID')
   assert.equal(headers['Access-Control-Allow-Methods'], 'GET, POST, DELETE, OPTIONS')
 })
 
@@ -102,7 +102,7 @@ test('requests without Origin keep base CORS headers only', () => {
 
   assert.equal(headers['Access-Control-Allow-Origin'], undefined)
   assert.equal(headers.Vary, undefined)
-  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization')
+  assert.equal(headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization, Last-Event-ID')
   assert.equal(headers['Access-Control-Allow-Methods'], 'GET, POST, DELETE, OPTIONS')
 })
 
@@ -30,12 +30,24 @@ import {
   stopSession,
   writeToSession,
   sendKeysToSession,
+  resizeSession,
+  getSessionScreen,
   listSessionEvents,
   cleanupAllSessions,
   startSessionPruner,
   stopSessionPruner,
+  restorePersistedSessions,
 } from './runtime.mjs'
-import { normalizePermissionPolicy } from './permission-policy.mjs'
+import { flushSessionLogSpools } from './session-log-store.mjs'
+import { normalizePermissionPolicy, PERMISSION_MODE_FULL } from './permission-policy.mjs'
+import { COMMAND_DECISION_REQUIRE_APPROVAL, COMMAND_RULE_ACTION_DENY, explainCommandPolicy } from './command-policy.mjs'
+import { normalizeTerminalSize } from './terminal.mjs'
+import {
+  evaluateMcpToolPolicy,
+  MCP_POLICY_MODE_DENY,
+  MCP_POLICY_MODE_REQUIRE_APPROVAL,
+  normalizeMcpPolicy,
+} from './mcp-policy.mjs'
 import {
   getJobs,
   upsertJob,
@@ -44,7 +56,22 @@ import {
   ackPendingRuns,
 } from './cron-store.mjs'
 import { rescheduleJob, unscheduleJob } from './cron-scheduler.mjs'
-import { normalizeAutomationSpec } from './automation-spec.mjs'
+import { computeNextFireTimes, normalizeCronSchedule } from './cron-schedule.mjs'
+import {
+  findAutomationChainCycle,
+  normalizeAutomationSpec,
+  normalizeAutomationTriggers,
+  normalizeWatcherObservation,
+} from './automation-spec.mjs'
+import { setWatcherObservationContext } from './automation-observation.mjs'
+import {
+  TRIGGER_SECRET_HEADER,
+  recordWebhookTrigger,
+  redactJobTriggerSecret,
+  removeJobTriggers,
+  syncJobTriggers,
+  verifyTriggerSecret,
+} from './automation-triggers.mjs'
 import {
   ackAutomationOutboxItems,
   listAutomationOutboxItems,
@@ -56,6 +83,7 @@ import {
   clearSessionRunLink,
   getRunById,
   getRunDiagnostics,
+  getRunTree,
   getSessionRunLink,
   listRuns,
   listSessionRunLinks,
@@ -77,16 +105,22 @@ import {
   loadApprovalStore,
   flushApprovalStore,
   relinkApprovalRun,
+  waitForApprovalResolution,
 } from './approval-store.mjs'
 import { handleAcpRequest } from './acp-routes.mjs'
 import { handleBrowserRequest } from './browser-routes.mjs'
+import { closeEventStreams, openEventStream, resolveEventStreamCursor } from './event-stream.mjs'
 import { flushBrowserLedger, loadBrowserLedger } from './browser-ledger.mjs'
 import {
   cleanupAllAcpSessions,
+  getAcpSessionById,
   listAcpSessions,
+  setAcpPermissionBridgeEndpoint,
+  setAcpPermissionHandler,
   setAcpSessionEventHook,
   setAcpSessionTransitionHook,
   listAcpEvents,
+  restoreAcpSessions,
 } from './acp-session.mjs'
 import { buildDiagnosticsPayload, runCompanionSelfCheck } from './diagnostics.mjs'
 import {
@@ -102,8 +136,35 @@ import {
 import { createMemoryCheckpointJobRunner } from './checkpoint-job-runner.mjs'
 import { getMediaNormalizationSupport, normalizeImagePayload } from './media-normalize.mjs'
 import { isChromeExtensionOrigin, normalizeExtensionOrigin } from './native-host.mjs'
-import { deliverAutomationRunResult } from './automation-executor.mjs'
-import { cancelAutomationWorkflow } from './automation-workflow.mjs'
+import { deliverAutomationRunResult, settleAutomationWorkspaceSandbox } from './automation-executor.mjs'
+import {
+  exportAutomationSandbox,
+  flushAutomationSandboxStore,
+  getAutomationSandbox,
+  isAutomationSandboxRunActive,
+  listAutomationSandboxes,
+  removeAutomationSandbox,
+} from './automation-sandbox.mjs'
+import { sweepAutomationSessionBindings } from './automation-session-store.mjs'
+import { addTokenUsage } from './token-usage.mjs'
+import { buildUsageReport, flushUsageStore, normalizeUsageDate, recordTokenUsage } from './usage-store.mjs'
+import { RUN_EXPORT_FORMATS, buildRunExport, renderRunExportJsonl, renderRunExportMarkdown } from './run-export.mjs'
+import { flushWorkspaceDiffStore } from './workspace-diff-store.mjs'
+import { cancelAutomationWorkflow, describeAutomationWorkflow } from './automation-workflow.mjs'
+import { getWorkflowTemplate, isBuiltinWorkflowTemplate, listWorkflowTemplates } from './automation-workflow-templates.mjs'
+import { deleteWorkflowTemplate, loadWorkflowTemplates, saveWorkflowTemplate } from './workflow-template-store.mjs'
+import {
+  discardWebhookDeadLetter,
+  flushWebhookDeliveryStore,
+  getWebhookDeadLetter,
+  listWebhookDeadLetters,
+  listWebhookDeliveries,
+  loadWebhookDeliveryStore,
+  processDueWebhookDeliveries,
+  redriveWebhookDeadLetter,
+  startWebhookDeliveryWorker,
+  stopWebhookDeliveryWorker,
+} from './webhook-delivery.mjs'
 
 // ── Auth rate limiter ──
 
@@ -127,7 +188,7 @@ function recordAuthFailure() {
 // ── Helpers ──
 
 const BASE_CORS_HEADERS = {
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
   'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
 }
 
@@ -336,8 +397,10 @@ async function restoreSessionRunStateOnStartup(sessionRunIndex) {
       .map((session) => String(session.sessionId || '').trim())
       .filter(Boolean),
   )
+  // Interrupted sessions were restored from disk; no agent is attached.
   const liveAcpSessions = new Set(
     listAcpSessions({ limit: 500, offset: 0 }).sessions
+      .filter((session) => session.state !== 'interrupted')
       .map((session) => String(session.sessionId || '').trim())
       .filter(Boolean),
   )
@@ -410,6 +473,33 @@ async function restoreSessionRunStateOnStartup(sessionRunIndex) {
   }
 }
 
+/**
+ * Commands parked for approval only live in memory until they run, so after
+ * a restart their runs are failed and their approvals expired rather than
+ * left for someone to approve a command that can no longer start.
+ */
+async function failParkedCommandRunsOnStartup() {
+  const snapshot = await listRuns({ state: 'waiting_approval', limit: 500, offset: 0 }).catch(() => ({ runs: [] }))
+  for (const run of snapshot.runs) {
+    if (run.type !== 'exec' && run.type !== 'session') continue
+    const approvalRequestId = String(run.meta?.approvalRequestId || '').trim()
+    if (approvalRequestId) {
+      await resolveApproval(approvalRequestId, 'expired', 'companion_restart').catch(() => undefined)
+    }
+    await updateRun(run.runId, {
+      state: 'failed',
+      finishedAt: Date.now(),
+      summary: 'Command approval lost after companion restart',
+      error: 'companion_restart_recovery',
+      meta: mergeRunMeta(run, {
+        recoveredAfterRestart: true,
+        recoveryReason: 'parked_command',
+        ...(approvalRequestId ? { approvalStatus: 'expired' } : {}),
+      }),
+    }).catch(() => undefined)
+  }
+}
+
 async function runCompanionRepairAction(input, context) {
   const action = String(input?.action || '').trim()
   if (action === 'repair_config') {
@@ -522,35 +612,217 @@ function authorize(req, token) {
   return { ok: true }
 }
 
-// ── Command execution handler ──
+// Inbound automation triggers authenticate with the job's own secret, not the companion token.
+function authorizeTrigger(req, jobId) {
+  if (!isLoopback(req.socket.remoteAddress)) {
+    return { ok: false, error: 'Only loopback clients are allowed.' }
+  }
+  if (isAuthRateLimited()) {
+    return { ok: false, error: 'Too many failed authentication attempts. Try again later.' }
+  }
+  const auth = String(req.headers.authorization || '')
+  const provided = String(req.headers[TRIGGER_SECRET_HEADER] || '').trim()
+    || (auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : '')
+  if (!verifyTriggerSecret(jobId, provided)) {
+    recordAuthFailure()
+    return { ok: false, error: 'Unauthorized: invalid trigger secret.' }
+  }
+  return { ok: true }
+}
 
-async function handleExec(req, res, getPermissionPolicy) {
-  const body = await readJsonBody(req)
-  const command = typeof body.command === 'string' ? body.command.trim() : ''
-  if (!command) return sendJson(res, 400, { error: 'command is required.' })
-  if (command.length > 10_000) return sendJson(res, 400, { error: 'command exceeds max length (10000).' })
+// ── MCP tool call handler ──
 
-  const permissionPolicy = normalizePermissionPolicy(getPermissionPolicy())
-  const cwd = await resolveCwd(body.cwd, permissionPolicy)
-  enforceCommandPolicy({ command, cwd, permissionPolicy })
-  const timeoutMs = clampTimeout(body.timeoutMs)
-  const env = body.env && typeof body.env === 'object' ? body.env : undefined
+function previewToolArgs(args) {
+  try {
+    return JSON.stringify(args ?? {}).slice(0, 500)
+  } catch {
+    return ''
+  }
+}
 
-  const run = await createRun({
-    type: 'exec',
-    state: 'running',
+/**
+ * Run an MCP tool call through the configured `mcpPolicy`. Every call gets a
+ * run-ledger entry stamped with the policy decision; `require_approval` parks
+ * the request on an approval record until it is resolved or expires.
+ */
+async function handleMcpToolCall(req, res, mcpManager, getMcpPolicy) {
+  const body = await readJsonBody(req)
+  const { server, tool, arguments: toolArgs } = body
+  if (!server || !tool) {
+    return sendJson(res, 400, { error: '"server" and "tool" are required.' })
+  }
+  const args = toolArgs || {}
+  const serverName = mcpManager.resolveServerName?.(server) || String(server)
+  const policy = normalizeMcpPolicy(getMcpPolicy())
+  const decision = evaluateMcpToolPolicy(policy, { server: serverName, tool, args })
+  const argsPreview = previewToolArgs(args)
+
+  let run = await createRun({
+    type: 'mcp',
+    state: decision.mode === MCP_POLICY_MODE_REQUIRE_APPROVAL ? 'waiting_approval' : 'running',
     startedAt: Date.now(),
-    laneId: 'remote:exec',
+    laneId: 'remote:mcp',
     source: 'remote',
     contractVersion: RUN_CONTRACT_VERSION,
-    summary: 'Executing local command',
+    summary: `MCP ${serverName}/${tool}`,
     meta: {
-      command: command.slice(0, 500),
-      cwd,
-      timeoutMs,
+      server: serverName,
+      tool: String(tool),
+      argsPreview,
+      policyDecision: decision,
     },
   }).catch(() => null)
+  const patchRun = async (patch, metaExtra = {}) => {
+    if (!run) return
+    run = await updateRun(run.runId, {
+      ...patch,
+      meta: mergeRunMeta(run, metaExtra),
+    }).catch(() => null) || run
+  }
+  const policyPayload = { mode: decision.mode, source: decision.source }
+
+  if (decision.mode === MCP_POLICY_MODE_DENY) {
+    await patchRun({ state: 'cancelled', finishedAt: Date.now(), summary: 'MCP tool call denied by policy' })
+    return sendJson(res, 403, {
+      ok: false,
+      error: `MCP tool "${tool}" on server "${serverName}" is denied by policy.`,
+      policy: policyPayload,
+      ...(run ? { runId: run.runId } : {}),
+    })
+  }
 
+  if (decision.mode === MCP_POLICY_MODE_REQUIRE_APPROVAL) {
+    const approval = await createApproval({
+      toolName: `mcp:${serverName}/${tool}`,
+      toolPreview: argsPreview,
+      riskLevel: 'high',
+      channels: ['sidepanel'],
+      expiresAt: Date.now() + policy.approvalTimeoutMs,
+      meta: {
+        kind: 'mcp_tool_call',
+        server: serverName,
+        tool: String(tool),
+        // Not `runId`: the resolve route would otherwise finalize this run
+        // as a plain approval before the tool has actually executed.
+        ...(run ? { mcpRunId: run.runId } : {}),
+      },
+    })
+    await patchRun({ summary: 'Awaiting approval for MCP tool call' }, { approvalRequestId: approval.requestId })
+
+    const abort = new AbortController()
+    const onClose = () => {
+      if (!res.writableEnded) abort.abort()
+    }
+    res.on('close', onClose)
+    let resolved
+    try {
+      resolved = await waitForApprovalResolution(approval.requestId, { signal: abort.signal })
+    } finally {
+      res.removeListener('close', onClose)
+    }
+    if (!resolved) {
+      // The caller went away; nobody is left to receive the tool result.
+      resolved = await resolveApproval(approval.requestId, 'expired', 'client_disconnected').catch(() => null)
+    }
+    const approvalStatus = resolved?.status === 'pending' ? 'expired' : (resolved?.status || 'expired')
+    const approvalMeta = {
+      approvalStatus,
+      ...(resolved?.resolvedBy ? { resolvedBy: resolved.resolvedBy } : {}),
+    }
+    if (approvalStatus !== 'approved') {
+      await patchRun({
+        state: 'cancelled',
+        finishedAt: Date.now(),
+        summary: approvalStatus === 'expired' ? 'MCP tool approval expired' : 'MCP tool approval rejected',
+      }, approvalMeta)
+      if (abort.signal.aborted) return
+      return sendJson(res, 403, {
+        ok: false,
+        error: `MCP tool call was not approved (${approvalStatus}).`,
+        policy: policyPayload,
+        approvalRequestId: approval.requestId,
+        approvalStatus,
+        ...(run ? { runId: run.runId } : {}),
+      })
+    }
+    // The policy may have changed while the call waited; a tool denied since then must not run.
+    const recheck = evaluateMcpToolPolicy(normalizeMcpPolicy(getMcpPolicy()), { server: serverName, tool, args })
+    if (recheck.mode === MCP_POLICY_MODE_DENY) {
+      await patchRun({
+        state: 'cancelled',
+        finishedAt: Date.now(),
+        summary: 'Approved MCP tool call denied by policy',
+      }, { ...approvalMeta, policyRecheck: recheck })
+      if (abort.signal.aborted) return
+      return sendJson(res, 403, {
+        ok: false,
+        error: `MCP tool "${tool}" on server "${serverName}" is denied by policy.`,
+        policy: { mode: recheck.mode, source: recheck.source },
+        approvalRequestId: approval.requestId,
+        approvalStatus,
+        ...(run ? { runId: run.runId } : {}),
+      })
+    }
+    await patchRun({ state: 'running', summary: `MCP ${serverName}/${tool}` }, approvalMeta)
+  }
+
+  const result = await mcpManager.callTool(server, tool, args)
+  await patchRun({
+    state: result?.ok ? 'done' : 'failed',
+    finishedAt: Date.now(),
+    summary: result?.ok ? 'MCP tool call completed' : 'MCP tool call failed',
+    ...(result?.ok ? {} : { error: String(result?.error || 'MCP tool returned an error').slice(0, 500) }),
+  })
+  return sendJson(res, 200, {
+    ...result,
+    policy: policyPayload,
+    ...(run ? { runId: run.runId } : {}),
+  })
+}
+
+// ── Command execution handler ──
+
+async function handlePolicyExplain(req, res, getPermissionPolicy) {
+  const body = await readJsonBody(req)
+  const command = typeof body.command === 'string' ? body.command.trim() : ''
+  if (!command) return sendJson(res, 400, { ok: false, error: 'command is required.' })
+  if (command.length > 10_000) return sendJson(res, 400, { ok: false, error: 'command exceeds max length (10000).' })
+  // An optional candidate policy lets the UI preview rules before saving them.
+  const permissionPolicy = body.policy
+    ? normalizePermissionPolicy(body.policy, { strict: true })
+    : normalizePermissionPolicy(getPermissionPolicy())
+  const env = body.env && typeof body.env === 'object' ? body.env : undefined
+
+  let cwd
+  try {
+    cwd = await resolveCwd(body.cwd, permissionPolicy)
+  } catch (err) {
+    if (!(err instanceof PermissionPolicyError)) throw err
+    const denied = { source: 'cwd', message: err.message }
+    return sendJson(res, 200, {
+      ok: true,
+      decision: 'deny',
+      mode: permissionPolicy.mode,
+      cwd: typeof body.cwd === 'string' ? body.cwd : null,
+      root: null,
+      message: err.message,
+      denied,
+      denials: [denied],
+      invocations: [],
+      env: [],
+    })
+  }
+  sendJson(res, 200, explainCommandPolicy({ command, cwd, env, permissionPolicy }))
+}
+
+const PARKED_OUTPUT_TAIL_CHARS = 4_000
+
+/**
+ * Run an exec command and record the outcome on its run. Parked commands
+ * keep a tail of their output on the run, since nobody is waiting on the
+ * HTTP response by the time they execute.
+ */
+async function executeExecRun({ run, command, cwd, timeoutMs, env, retainOutput = false }) {
   let result
   try {
     result = await runCommand({ command, cwd, timeoutMs, env })
@@ -572,16 +844,283 @@ async function handleExec(req, res, getPermissionPolicy) {
       finishedAt: Date.now(),
       summary: result.ok ? 'Local command completed' : 'Local command failed',
       error: result.ok ? undefined : result.stderr,
-      meta: {
+      meta: mergeRunMeta(run, {
         command: command.slice(0, 500),
         cwd,
         timeoutMs,
         exitCode: result.exitCode,
         timedOut: result.timedOut,
         durationMs: result.durationMs,
-      },
+        ...(retainOutput
+          ? {
+              stdoutTail: String(result.stdout || '').slice(-PARKED_OUTPUT_TAIL_CHARS),
+              stderrTail: String(result.stderr || '').slice(-PARKED_OUTPUT_TAIL_CHARS),
+            }
+          : {}),
+      }),
     }).catch(() => undefined)
   }
+  return result
+}
+
+/**
+ * Park a command that supervised mode will not run unattended. The run is
+ * already in `waiting_approval`; this adds the approval record and starts
+ * the command once it is approved. Rejected approvals cancel the run and
+ * expired ones fail it. The policy is checked again on approval, so a
+ * command denied by a policy change in the meantime never runs. Returns the
+ * 202 payload for the caller.
+ */
+async function parkCommandForApproval({ kind, command, cwd, env, run, explanation, permissionPolicy, getPermissionPolicy, start }) {
+  const approval = await createApproval({
+    toolName: kind === 'session' ? 'runtime:session' : 'runtime:exec',
+    toolPreview: command,
+    riskLevel: 'high',
+    channels: ['sidepanel'],
+    expiresAt: Date.now() + permissionPolicy.approvalTimeoutMs,
+    meta: {
+      kind: 'runtime_command',
+      commandKind: kind,
+      cwd,
+      reasons: explanation.approvals.map((entry) => entry.message),
+      // Not `runId`: the resolve route would otherwise finalize this run as
+      // a plain approval before the command has actually executed.
+      ...(run ? { commandRunId: run.runId } : {}),
+    },
+  })
+  let current = run
+  const patchRun = async (patch, metaExtra = {}) => {
+    if (!current) return
+    current = await updateRun(current.runId, {
+      ...patch,
+      meta: mergeRunMeta(current, metaExtra),
+    }).catch(() => null) || current
+  }
+  await patchRun({}, { approvalRequestId: approval.requestId })
+
+  void waitForApprovalResolution(approval.requestId)
+    .then(async (resolved) => {
+      const approvalStatus = resolved?.status === 'approved' || resolved?.status === 'rejected'
+        ? resolved.status
+        : 'expired'
+      const approvalMeta = {
+        approvalStatus,
+        ...(resolved?.resolvedBy ? { resolvedBy: resolved.resolvedBy } : {}),
+      }
+      if (approvalStatus === 'expired') {
+        const seconds = Math.round(permissionPolicy.approvalTimeoutMs / 1000)
+        return patchRun({
+          state: 'failed',
+          finishedAt: Date.now(),
+          summary: 'Command approval expired',
+          error: `Approval ${approval.requestId} expired after ${seconds}s without a decision; the command was not run.`,
+        }, approvalMeta)
+      }
+      if (approvalStatus === 'rejected') {
+        return patchRun({
+          state: 'cancelled',
+          finishedAt: Date.now(),
+          summary: 'Command approval rejected',
+          error: `Approval ${approval.requestId} was rejected; the command was not run.`,
+        }, approvalMeta)
+      }
+      const recheck = explainCommandPolicy({
+        command,
+        cwd,
+        env,
+        permissionPolicy: normalizePermissionPolicy(getPermissionPolicy()),
+      })
+      if (recheck.decision === COMMAND_RULE_ACTION_DENY) {
+        return patchRun({
+          state: 'failed',
+          finishedAt: Date.now(),
+          summary: 'Approved command denied by permission policy',
+          error: `${recheck.message} The command was not run.`,
+        }, approvalMeta)
+      }
+      await patchRun({ state: 'running', startedAt: Date.now(), summary: kind === 'session' ? 'Session started' : 'Executing local command' }, approvalMeta)
+      await start(current)
+    })
+    .catch((err) => patchRun({
+      state: 'failed',
+      finishedAt: Date.now(),
+      summary: 'Approved command failed to start',
+      error: err instanceof Error ? err.message : String(err),
+    }))
+
+  return {
+    ok: true,
+    state: 'waiting_approval',
+    approvalRequestId: approval.requestId,
+    expiresAt: approval.expiresAt,
+    ...(run ? { runId: run.runId } : {}),
+    command,
+    cwd,
+    policy: { decision: explanation.decision, message: explanation.message, approvals: explanation.approvals },
+  }
+}
+
+/**
+ * Hold a bridged ACP agent's tool use on an approval record until the
+ * extension resolves it. The linked run shows `waiting_approval` meanwhile
+ * and returns to `running` if the turn is still going afterwards.
+ */
+async function requestAcpToolApproval(request, { approvalTimeoutMs, sessionRunIndex }) {
+  const runId = String(request.runId || sessionRunIndex.get(request.sessionId) || '').trim()
+  let currentRun = runId ? await getRunById(runId).catch(() => null) : null
+  const approval = await createApproval({
+    conversationId: String(currentRun?.meta?.conversationId || request.inputProvenance?.conversationId || ''),
+    toolName: `acp_tool:${request.tool.kind}`,
+    toolPreview: trimApprovalText(request.preview),
+    riskLevel: 'high',
+    channels: ['sidepanel'],
+    expiresAt: Date.now() + approvalTimeoutMs,
+    meta: {
+      kind: 'acp_tool_permission',
+      sessionId: request.sessionId,
+      ...(request.turnId ? { turnId: request.turnId } : {}),
+      agentType: request.agentType,
+      toolKind: request.tool.kind,
+      toolTitle: request.tool.title,
+      ...(request.tool.paths.length > 0 ? { paths: request.tool.paths } : {}),
+      ...(request.tool.command ? { command: request.tool.command } : {}),
+      reason: request.reason,
+      approvalSource: 'acp',
+      // Not `runId`: the resolve route would otherwise finalize the run
+      // while the agent's turn is still going.
+      ...(runId ? { acpRunId: runId } : {}),
+    },
+  })
+  const patchRun = async (patch, metaExtra) => {
+    if (!currentRun) return
+    currentRun = await updateRun(currentRun.runId, {
+      ...patch,
+      meta: mergeRunMeta(currentRun, metaExtra),
+    }).catch(() => null) || currentRun
+  }
+  await patchRun({ state: 'waiting_approval', summary: 'ACP tool awaiting approval' }, {
+    ...buildApprovalLineage(approval.requestId),
+    approvalStatus: approval.status,
+    approvalSource: 'acp',
+  })
+
+  const resolved = await waitForApprovalResolution(approval.requestId)
+  const approvalStatus = resolved?.status === 'approved' || resolved?.status === 'rejected'
+    ? resolved.status
+    : 'expired'
+  if (getAcpSessionById(request.sessionId)?.state === 'running') {
+    await patchRun({ state: 'running', summary: `ACP tool ${approvalStatus}` }, {
+      approvalStatus,
+      ...(resolved?.resolvedBy ? { resolvedBy: resolved.resolvedBy } : {}),
+    })
+  }
+  return {
+    allowed: approvalStatus === 'approved',
+    reason: approvalStatus === 'approved' ? 'Approved.' : `Approval ${approvalStatus}.`,
+  }
+}
+
+/**
+ * Sweep persistent automation session bindings (with each job's session
+ * retention) and expired per-run sandboxes.
+ */
+async function sweepAutomationSessions() {
+  const retentionByKey = {}
+  for (const job of getJobs()) {
+    const spec = normalizeAutomationSpec(job)
+    if (spec.sessionTarget.startsWith('persistent:') && spec.sessionRetention) {
+      retentionByKey[spec.sessionTarget] = spec.sessionRetention
+    }
+  }
+  return sweepAutomationSessionBindings({
+    retentionByKey,
+    getSessionById: getAcpSessionById,
+    listRuns: () => listRuns({ limit: 500, offset: 0 }),
+  })
+}
+
+/**
+ * Add the usage an ACP agent reported for a finished turn to the turn's run
+ * and to the usage ledger, attributed to the run's automation job and
+ * persistent session.
+ */
+async function recordAcpTurnUsage(event, { sessionRunIndex }) {
+  const runId = String(event.runId || sessionRunIndex.get(event.sessionId) || '').trim()
+  const run = runId ? await getRunById(runId).catch(() => null) : null
+  if (run) {
+    await updateRun(runId, { usage: addTokenUsage(run.usage, event.tokenUsage) }).catch(() => undefined)
+  }
+  await recordTokenUsage({
+    usage: event.tokenUsage,
+    at: event.emittedAt,
+    agentType: event.agentType || run?.meta?.agentType || '',
+    jobId: typeof run?.meta?.taskId === 'string' ? run.meta.taskId : '',
+    sessionKey: typeof run?.meta?.sessionTarget === 'string' ? run.meta.sessionTarget : '',
+  })
+}
+
+async function handleUsageReport(url, res) {
+  const from = normalizeUsageDate(url.searchParams.get('from'))
+  const to = normalizeUsageDate(url.searchParams.get('to'))
+  if (from === null || to === null) {
+    return sendJson(res, 400, { error: 'from and to must be YYYY-MM-DD dates.' })
+  }
+  if (from && to && from > to) {
+    return sendJson(res, 400, { error: 'from must not be after to.' })
+  }
+  const report = await buildUsageReport({
+    from,
+    to,
+    jobId: String(url.searchParams.get('jobId') || '').trim(),
+    sessionKey: String(url.searchParams.get('sessionKey') || '').trim(),
+  })
+  sendJson(res, 200, { ok: true, ...report })
+}
+
+async function handleExec(req, res, getPermissionPolicy) {
+  const body = await readJsonBody(req)
+  const command = typeof body.command === 'string' ? body.command.trim() : ''
+  if (!command) return sendJson(res, 400, { error: 'command is required.' })
+  if (command.length > 10_000) return sendJson(res, 400, { error: 'command exceeds max length (10000).' })
+
+  const permissionPolicy = normalizePermissionPolicy(getPermissionPolicy())
+  const cwd = await resolveCwd(body.cwd, permissionPolicy)
+  const timeoutMs = clampTimeout(body.timeoutMs)
+  const env = body.env && typeof body.env === 'object' ? body.env : undefined
+  const explanation = enforceCommandPolicy({ command, cwd, permissionPolicy, env })
+  const parked = explanation.decision === COMMAND_DECISION_REQUIRE_APPROVAL
+
+  const run = await createRun({
+    type: 'exec',
+    state: parked ? 'waiting_approval' : 'running',
+    startedAt: Date.now(),
+    laneId: 'remote:exec',
+    source: 'remote',
+    contractVersion: RUN_CONTRACT_VERSION,
+    summary: parked ? 'Awaiting approval for local command' : 'Executing local command',
+    meta: {
+      command: command.slice(0, 500),
+      cwd,
+      timeoutMs,
+    },
+  }).catch(() => null)
+
+  if (parked) {
+    const payload = await parkCommandForApproval({
+      kind: 'exec',
+      command,
+      cwd,
+      env,
+      run,
+      explanation,
+      permissionPolicy,
+      getPermissionPolicy,
+      start: (current) => executeExecRun({ run: current, command, cwd, timeoutMs, env, retainOutput: true }),
+    })
+    return sendJson(res, 202, payload)
+  }
+
+  const result = await executeExecRun({ run, command, cwd, timeoutMs, env })
   sendJson(res, 200, { ...result, command, cwd })
 }
 
@@ -593,17 +1132,40 @@ async function handleSessionStart(req, res, getPermissionPolicy, registerSession
 
   const permissionPolicy = normalizePermissionPolicy(getPermissionPolicy())
   const cwd = await resolveCwd(body.cwd, permissionPolicy)
-  enforceCommandPolicy({ command, cwd, permissionPolicy })
   const timeoutMs = clampTimeout(body.timeoutMs)
   const env = body.env && typeof body.env === 'object' ? body.env : undefined
+  const explanation = enforceCommandPolicy({ command, cwd, permissionPolicy, env })
+  const pty = body.pty === true
+  const terminal = pty ? normalizeTerminalSize({ cols: body.cols, rows: body.rows }) : {}
   pruneSessions()
   const id = randomBytes(16).toString('hex')
 
+  if (explanation.decision === COMMAND_DECISION_REQUIRE_APPROVAL) {
+    const runId = await registerSessionRun({ id, command, cwd, timeoutMs }, {
+      state: 'waiting_approval',
+      summary: 'Awaiting approval for session',
+    })
+    const payload = await parkCommandForApproval({
+      kind: 'session',
+      command,
+      cwd,
+      env,
+      run: runId ? await getRunById(runId).catch(() => null) : null,
+      explanation,
+      permissionPolicy,
+      getPermissionPolicy,
+      start: () => {
+        startCommandSession({ id, command, cwd, timeoutMs, env, pty, ...terminal, runId })
+      },
+    })
+    return sendJson(res, 202, { ...payload, sessionId: id })
+  }
+
   // Pre-register run BEFORE starting the session so that the exit listener
   // can always find the runId, even if the process exits immediately.
-  await registerSessionRun({ id, command, cwd, timeoutMs })
+  const runId = await registerSessionRun({ id, command, cwd, timeoutMs })
 
-  const session = startCommandSession({ id, command, cwd, timeoutMs, env })
+  const session = startCommandSession({ id, command, cwd, timeoutMs, env, pty, ...terminal, runId })
   sendJson(res, 200, makeSessionSnapshot(session))
 }
 
@@ -633,14 +1195,29 @@ async function handleSessionWrite(sessionId, req, res) {
 
 async function handleSessionSendKeys(sessionId, req, res) {
   const body = await readJsonBody(req)
-  const keys = typeof body.keys === 'string' ? body.keys.trim() : ''
-  if (!keys) {
+  const keys = Array.isArray(body.keys)
+    ? body.keys
+    : (typeof body.keys === 'string' ? body.keys.trim() : '')
+  if (keys.length === 0) {
     return sendJson(res, 400, { error: 'keys is required.' })
   }
   const result = sendKeysToSession(sessionId, keys)
   sendJson(res, 200, result)
 }
 
+async function handleSessionResize(sessionId, req, res) {
+  const body = await readJsonBody(req)
+  if (!getSessionById(sessionId)) return sendJson(res, 404, { error: 'Session not found.' })
+  const result = await resizeSession(sessionId, { cols: body.cols, rows: body.rows })
+  sendJson(res, 200, result)
+}
+
+function handleSessionScreen(sessionId, res) {
+  const result = getSessionScreen(sessionId)
+  if (!result) return sendJson(res, 404, { error: 'Session not found.' })
+  sendJson(res, 200, result)
+}
+
 function parseSessionStatusFilter(rawStatus) {
   if (typeof rawStatus !== 'string' || !rawStatus.trim()) return undefined
   const status = rawStatus.trim().toLowerCase()
@@ -665,6 +1242,7 @@ function handleSessionLog(sessionId, url, res) {
     stream: url.searchParams.get('stream') || 'both',
     limit: url.searchParams.get('limit'),
     offset: url.searchParams.get('offset'),
+    ansi: url.searchParams.get('ansi'),
   })
   if (!result) return sendJson(res, 404, { error: 'Session not found.' })
   sendJson(res, 200, result)
@@ -678,6 +1256,32 @@ function handleSessionEvents(url, res) {
   sendJson(res, 200, result)
 }
 
+function handleSessionEventsStream(req, url, res, eventStreams) {
+  openEventStream(req, res, {
+    after: resolveEventStreamCursor(req, url),
+    eventName: 'session',
+    registry: eventStreams,
+    fetchPage: (after, limit) => listSessionEvents({ after, limit }),
+  })
+}
+
+const DEFAULT_CRON_PREVIEW_COUNT = 5
+
+function withNextFireTimes(job, rawCount) {
+  const count = rawCount === null || rawCount === undefined || rawCount === ''
+    ? DEFAULT_CRON_PREVIEW_COUNT
+    : Number(rawCount)
+  let nextFireTimes = []
+  if (job?.enabled !== false && job?.schedule && count > 0) {
+    try {
+      nextFireTimes = computeNextFireTimes(job.schedule, { count })
+    } catch {
+      nextFireTimes = []
+    }
+  }
+  return { ...job, nextFireTimes }
+}
+
 function parseRunType(rawType) {
   if (typeof rawType !== 'string' || !rawType.trim()) return undefined
   const normalized = rawType.trim().toLowerCase()
@@ -730,6 +1334,23 @@ async function handleRunById(runId, res) {
   sendJson(res, 200, { ok: true, run })
 }
 
+async function handleRunExport(runId, url, res, token) {
+  const format = url.searchParams.get('format') || 'json'
+  if (!RUN_EXPORT_FORMATS.includes(format)) {
+    return sendJson(res, 400, { error: `format must be one of: ${RUN_EXPORT_FORMATS.join(', ')}` })
+  }
+  const bundle = await buildRunExport(runId, { token })
+  if (!bundle) {
+    return sendJson(res, 404, { error: 'Run not found.' })
+  }
+  if (format === 'json') return sendJson(res, 200, bundle)
+  res.writeHead(200, {
+    'Content-Type': format === 'markdown' ? 'text/markdown; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+  })
+  res.end(format === 'markdown' ? renderRunExportMarkdown(bundle) : renderRunExportJsonl(bundle))
+}
+
 async function handleRunDiagnostics(url, res) {
   const diagnostics = await getRunDiagnostics({
     limit: url.searchParams.get('limit'),
@@ -753,6 +1374,10 @@ export function createCompanionServer({
   removeMcpServerConfig = async () => {
     throw new Error('MCP server config removal is not enabled.')
   },
+  getMcpPolicy = () => normalizeMcpPolicy({}),
+  setMcpPolicy = async () => {
+    throw new Error('MCP policy updates are not enabled.')
+  },
   shutdownFn = null,
   cleanupFn = null,
   publishMemoryShadowRefresh = null,
@@ -762,6 +1387,7 @@ export function createCompanionServer({
   memoryShadowRefreshSlaHours = getDefaultMemoryShadowRefreshSlaHours(),
 }) {
   const sessionRunIndex = new Map()
+  const eventStreams = new Set()
   let lastKnownOriginPolicy = {
     allowedOrigins: [],
     allowUnpairedExtensionOrigin: false,
@@ -785,9 +1411,18 @@ export function createCompanionServer({
     loadMemoryShadowStore().catch(() => undefined),
     loadBrowserLedger().catch(() => undefined),
     loadAutomationOutboxStore().catch(() => undefined),
+    loadWorkflowTemplates().catch(() => undefined),
+    loadWebhookDeliveryStore().catch(() => undefined),
   ]).then(async () => {
+    try { restorePersistedSessions() } catch { /* logs stay on disk for the next start */ }
+    await failParkedCommandRunsOnStartup().catch(() => undefined)
+    await restoreAcpSessions().catch(() => undefined)
     await restoreSessionRunStateOnStartup(sessionRunIndex).catch(() => undefined)
     await checkpointJobRunner.resumePendingJobs().catch(() => undefined)
+    await sweepAutomationSessions().catch(() => undefined)
+    // Webhook deliveries whose retry came due while the companion was down go out now.
+    void processDueWebhookDeliveries().catch(() => undefined)
+    startWebhookDeliveryWorker()
   })
   const detachAcpTransitionHook = setAcpSessionTransitionHook(async (event) => {
     const runId = event.runId || sessionRunIndex.get(event.sessionId)
@@ -796,18 +1431,20 @@ export function createCompanionServer({
     const mappedState =
       event.toState === 'idle'
         ? 'idle'
-        : event.toState === 'running'
-          ? 'running'
-          : event.toState === 'done'
-            ? 'done'
-            : event.toState === 'cancelled'
-              ? 'cancelled'
-              : 'failed'
+        : event.toState === 'queued'
+          ? 'queued'
+          : event.toState === 'running'
+            ? 'running'
+            : event.toState === 'done'
+              ? 'done'
+              : event.toState === 'cancelled'
+                ? 'cancelled'
+                : 'failed'
     await updateRun(runId, {
       state: mappedState,
       ...(mappedState === 'running'
         ? { startedAt: Date.now() }
-        : { finishedAt: Date.now() }),
+        : mappedState === 'queued' ? {} : { finishedAt: Date.now() }),
       summary: `ACP session ${event.toState}`,
       ...(mappedState === 'failed' ? { error: String(event.meta?.reason || 'acp_error') } : {}),
       meta: mergeRunMeta(currentRun, {
@@ -835,11 +1472,31 @@ export function createCompanionServer({
       }, {
         listAcpEvents,
       }).catch(() => undefined)
+      if (currentRun?.type === 'cron') {
+        await settleAutomationWorkspaceSandbox({ runId }).catch(() => undefined)
+        await sweepAutomationSessions().catch(() => undefined)
+      }
       await clearSessionRunLink(event.sessionId).catch(() => undefined)
       sessionRunIndex.delete(event.sessionId)
     }
   })
   const detachAcpEventHook = setAcpSessionEventHook(async (event) => {
+    if (event.type === 'done' && event.tokenUsage) {
+      await recordAcpTurnUsage(event, { sessionRunIndex }).catch(() => undefined)
+      return
+    }
+    if (event.type === 'status' && event.statusCode === 'workspace_diff' && event.artifactId) {
+      const runId = String(event.runId || sessionRunIndex.get(event.sessionId) || '').trim()
+      const run = runId ? await getRunById(runId).catch(() => null) : null
+      if (!run) return
+      await updateRun(runId, {
+        artifacts: [
+          ...(run.artifacts || []),
+          { artifactId: event.artifactId, kind: 'workspace_diff', turnId: event.turnId, createdAt: event.emittedAt },
+        ],
+      }).catch(() => undefined)
+      return
+    }
     if (event.type !== 'status' || event.statusCode !== 'awaiting_approval') return
     const runId = String(event.runId || sessionRunIndex.get(event.sessionId) || '').trim()
     if (!runId) return
@@ -884,6 +1541,10 @@ export function createCompanionServer({
       }),
     }).catch(() => undefined)
   })
+  const detachAcpPermissionHandler = setAcpPermissionHandler((request) => requestAcpToolApproval(request, {
+    approvalTimeoutMs: normalizePermissionPolicy(getPermissionPolicy()).approvalTimeoutMs,
+    sessionRunIndex,
+  }))
   const detachSessionExitListener = addSessionExitListener((session) => {
     const runId = sessionRunIndex.get(session.sessionId || '')
     if (!runId) return
@@ -911,17 +1572,17 @@ export function createCompanionServer({
   /** Register a run for a session. Must be awaited before the session starts
    *  so that sessionRunIndex is populated before a fast-exiting process can
    *  trigger the exit listener. */
-  const registerSessionRun = async (session) => {
+  const registerSessionRun = async (session, { state = 'running', summary = 'Session started' } = {}) => {
     try {
       const run = await createRun({
         type: 'session',
-        state: 'running',
+        state,
         startedAt: Date.now(),
         sessionId: session.id,
         laneId: 'remote:session',
         source: 'remote',
         contractVersion: RUN_CONTRACT_VERSION,
-        summary: 'Session started',
+        summary,
         meta: {
           sessionId: session.id,
           command: session.command?.slice(0, 500),
@@ -931,8 +1592,10 @@ export function createCompanionServer({
       })
       sessionRunIndex.set(session.id, run.runId)
       await setSessionRunLink(session.id, run.runId, { type: 'session' }).catch(() => undefined)
+      return run.runId
     } catch {
       // createRun failure is non-fatal — session still runs, just no run record.
+      return undefined
     }
   }
 
@@ -1306,6 +1969,28 @@ export function createCompanionServer({
       catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
     }
 
+    // Session resize — POST /api/(local-runtime|runtime)/session/:id/resize
+    const sessionResizeMatch = pathname.match(
+      /^\/api\/(?:local-runtime|runtime)\/session\/([^/]+)\/resize$/,
+    )
+    if (req.method === 'POST' && sessionResizeMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try { return await handleSessionResize(decodeURIComponent(sessionResizeMatch[1]), req, res) }
+      catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
+    }
+
+    // Session screen — GET /api/(local-runtime|runtime)/session/:id/screen
+    const sessionScreenMatch = pathname.match(
+      /^\/api\/(?:local-runtime|runtime)\/session\/([^/]+)\/screen$/,
+    )
+    if (req.method === 'GET' && sessionScreenMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try { return handleSessionScreen(decodeURIComponent(sessionScreenMatch[1]), res) }
+      catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
+    }
+
     // Session events — GET /api/(local-runtime|runtime)/session-events
     const isSessionEvents = (
       req.method === 'GET'
@@ -1318,6 +2003,17 @@ export function createCompanionServer({
       catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
     }
 
+    // Session events stream — GET /api/(local-runtime|runtime)/session-events/stream (SSE)
+    const isSessionEventsStream = (
+      req.method === 'GET'
+      && (pathname === '/api/local-runtime/session-events/stream' || pathname === '/api/runtime/session-events/stream')
+    )
+    if (isSessionEventsStream) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      return handleSessionEventsStream(req, url, res, eventStreams)
+    }
+
     // Runs diagnostics — GET /api/(local-runtime|runtime)/runs/diagnostics
     const isRunDiagnostics = (
       req.method === 'GET'
@@ -1342,6 +2038,14 @@ export function createCompanionServer({
       catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
     }
 
+    // Token usage report — GET /api/runtime/usage?from=&to=&jobId=&sessionKey=
+    if (req.method === 'GET' && pathname === '/api/runtime/usage') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try { return await handleUsageReport(url, res) }
+      catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
+    }
+
     // Run by id — GET /api/(local-runtime|runtime)/runs/:id
     const runByIdMatch = pathname.match(/^\/api\/(?:local-runtime|runtime)\/runs\/([^/]+)$/)
     if (req.method === 'GET' && runByIdMatch) {
@@ -1351,6 +2055,15 @@ export function createCompanionServer({
       catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
     }
 
+    // Run export bundle — GET /api/(local-runtime|runtime)/runs/:id/export?format=json|markdown|jsonl
+    const runExportMatch = pathname.match(/^\/api\/(?:local-runtime|runtime)\/runs\/([^/]+)\/export$/)
+    if (req.method === 'GET' && runExportMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try { return await handleRunExport(decodeURIComponent(runExportMatch[1]), url, res, token) }
+      catch (err) { return sendJson(res, 400, { error: err.message || 'Invalid request.' }) }
+    }
+
     // ── Approval endpoints (Phase B SoT) ──
 
     // Create approval — POST /api/runtime/approvals
@@ -1558,6 +2271,7 @@ export function createCompanionServer({
       sendJson,
       readJsonBody,
       supportedFeatures: COMPANION_SUPPORTED_FEATURES,
+      eventStreams,
     })
     if (browserHandled) return
 
@@ -1570,24 +2284,92 @@ export function createCompanionServer({
       return sendJson(res, 200, { servers: mcpManager.getServers() })
     }
 
-    // List all MCP tools
+    // List all MCP tools with their argument-independent policy mode
     if (req.method === 'GET' && pathname === '/api/mcp/tools') {
       const auth = authorize(req, token)
       if (!auth.ok) return sendJson(res, 401, { error: auth.error })
-      return sendJson(res, 200, { tools: mcpManager.getAllTools() })
+      const policy = normalizeMcpPolicy(getMcpPolicy())
+      const tools = mcpManager.getAllTools().map((tool) => {
+        const decision = evaluateMcpToolPolicy(policy, { server: tool.server, tool: tool.name, args: {} })
+        return { ...tool, policy: decision.mode }
+      })
+      return sendJson(res, 200, { tools })
     }
 
-    // Call an MCP tool
+    // Call an MCP tool (subject to mcpPolicy)
     if (req.method === 'POST' && pathname === '/api/mcp/tools/call') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try {
+        return await handleMcpToolCall(req, res, mcpManager, getMcpPolicy)
+      } catch (err) {
+        return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+      }
+    }
+
+    // Get MCP tool policy
+    if (req.method === 'GET' && pathname === '/api/mcp/policy') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      return sendJson(res, 200, { policy: normalizeMcpPolicy(getMcpPolicy()) })
+    }
+
+    // Update MCP tool policy
+    if (req.method === 'POST' && pathname === '/api/mcp/policy') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try {
+        const body = await readJsonBody(req)
+        const nextPolicy = normalizeMcpPolicy(body.policy || body, { strict: true })
+        await setMcpPolicy(nextPolicy)
+        return sendJson(res, 200, { ok: true, policy: nextPolicy })
+      } catch (err) {
+        return sendJson(res, 400, { ok: false, error: err.message || 'Invalid request.' })
+      }
+    }
+
+    // List cached MCP resources and resource templates
+    if (req.method === 'GET' && pathname === '/api/mcp/resources') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      return sendJson(res, 200, mcpManager.getAllResources())
+    }
+
+    // Read an MCP resource
+    if (req.method === 'POST' && pathname === '/api/mcp/resources/read') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try {
+        const body = await readJsonBody(req)
+        const { server, uri } = body
+        if (!server || !uri) {
+          return sendJson(res, 400, { error: '"server" and "uri" are required.' })
+        }
+        const result = await mcpManager.readResource(server, uri)
+        return sendJson(res, 200, result)
+      } catch (err) {
+        return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+      }
+    }
+
+    // List cached MCP prompts
+    if (req.method === 'GET' && pathname === '/api/mcp/prompts') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      return sendJson(res, 200, { prompts: mcpManager.getAllPrompts() })
+    }
+
+    // Render an MCP prompt
+    if (req.method === 'POST' && pathname === '/api/mcp/prompts/get') {
       const auth = authorize(req, token)
       if (!auth.ok) return sendJson(res, 401, { error: auth.error })
       try {
         const body = await readJsonBody(req)
-        const { server, tool, arguments: toolArgs } = body
-        if (!server || !tool) {
-          return sendJson(res, 400, { error: '"server" and "tool" are required.' })
+        const { server, name, arguments: promptArgs } = body
+        if (!server || !name) {
+          return sendJson(res, 400, { error: '"server" and "name" are required.' })
         }
-        const result = await mcpManager.callTool(server, tool, toolArgs || {})
+        const result = await mcpManager.getPrompt(server, name, promptArgs || {})
         return sendJson(res, 200, result)
       } catch (err) {
         return sendJson(res, 400, { error: err.message || 'Invalid request.' })
@@ -1658,7 +2440,20 @@ export function createCompanionServer({
       if (!auth.ok) return sendJson(res, 401, { error: auth.error })
       try {
         const body = await readJsonBody(req)
-        const nextPolicy = normalizePermissionPolicy(body.policy || body, { strict: true })
+        const input = body.policy || body
+        // Clients that only know mode/workspaceRoots must not wipe command
+        // rules or the supervised approval timeout.
+        const current = normalizePermissionPolicy(getPermissionPolicy())
+        const nextPolicy = normalizePermissionPolicy(
+          input && typeof input === 'object'
+            ? {
+                ...input,
+                ...('commandRules' in input ? {} : { commandRules: current.commandRules }),
+                ...('approvalTimeoutMs' in input ? {} : { approvalTimeoutMs: current.approvalTimeoutMs }),
+              }
+            : input,
+          { strict: true },
+        )
         await setPermissionPolicy(nextPolicy)
         return sendJson(res, 200, { ok: true, policy: nextPolicy })
       } catch (err) {
@@ -1666,13 +2461,46 @@ export function createCompanionServer({
       }
     }
 
+    // Dry-run a command against the permission policy
+    if (req.method === 'POST' && pathname === '/api/security/policy/explain') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try {
+        return await handlePolicyExplain(req, res, getPermissionPolicy)
+      } catch (err) {
+        return sendJson(res, 400, { ok: false, error: err.message || 'Invalid request.' })
+      }
+    }
+
     // ── Cron endpoints ──
 
     // List all cron jobs
     if (req.method === 'GET' && pathname === '/api/cron/jobs') {
       const auth = authorize(req, token)
       if (!auth.ok) return sendJson(res, 401, { error: auth.error })
-      return sendJson(res, 200, { jobs: getJobs() })
+      const previewCount = url.searchParams.get('preview')
+      return sendJson(res, 200, {
+        jobs: getJobs().map((job) => withNextFireTimes(redactJobTriggerSecret(job), previewCount)),
+      })
+    }
+
+    // Preview a schedule before saving it
+    if (req.method === 'POST' && pathname === '/api/cron/preview') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      try {
+        const body = await readJsonBody(req)
+        const schedule = normalizeCronSchedule(body.schedule)
+        const from = body.from === undefined || body.from === null ? Date.now() : Number(body.from)
+        if (!Number.isFinite(from)) throw new Error('"from" must be an epoch-millisecond timestamp.')
+        const nextFireTimes = computeNextFireTimes(schedule, {
+          from,
+          count: body.count ?? DEFAULT_CRON_PREVIEW_COUNT,
+        })
+        return sendJson(res, 200, { ok: true, schedule, nextFireTimes })
+      } catch (err) {
+        return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+      }
     }
 
     // Upsert a cron job (sync from extension)
@@ -1683,8 +2511,20 @@ export function createCompanionServer({
         const body = await readJsonBody(req)
         if (!body.id) return sendJson(res, 400, { error: '"id" is required.' })
         const automation = normalizeAutomationSpec(body)
+        const permissionPolicy = normalizePermissionPolicy(getPermissionPolicy())
+        normalizeAutomationTriggers(body.triggers, {
+          workspaceRoots: permissionPolicy.workspaceRoots,
+          strict: true,
+        })
+        normalizeWatcherObservation(body.watcher?.observation, {
+          workspaceRoots: permissionPolicy.mode === PERMISSION_MODE_FULL ? null : permissionPolicy.workspaceRoots,
+          strict: true,
+        })
+        const cycle = findAutomationChainCycle([...getJobs().filter((job) => job.id !== body.id), body], { from: body.id })
+        if (cycle) return sendJson(res, 400, { error: `Job chain cycle: ${cycle.join(' → ')}.`, cycle })
         await upsertJob(body)
         rescheduleJob(body)
+        syncJobTriggers(body)
         return sendJson(res, 200, { ok: true, id: body.id, automation })
       } catch (err) {
         return sendJson(res, 400, { error: err.message || 'Invalid request.' })
@@ -1698,6 +2538,7 @@ export function createCompanionServer({
       if (!auth.ok) return sendJson(res, 401, { error: auth.error })
       const taskId = decodeURIComponent(cronJobDeleteMatch[1])
       unscheduleJob(taskId)
+      removeJobTriggers(taskId)
       const removed = await removeJob(taskId)
       return sendJson(res, 200, { ok: true, removed })
     }
@@ -1747,6 +2588,170 @@ export function createCompanionServer({
       }
     }
 
+    if (req.method === 'GET' && pathname === '/api/automation/webhooks/pending') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      return sendJson(res, 200, { deliveries: await listWebhookDeliveries() })
+    }
+
+    if (req.method === 'GET' && pathname === '/api/automation/webhooks/dead-letters') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const limit = Number(url.searchParams.get('limit'))
+      const offset = Number(url.searchParams.get('offset'))
+      const payload = await listWebhookDeadLetters({
+        ...(Number.isFinite(limit) ? { limit } : {}),
+        ...(Number.isFinite(offset) ? { offset } : {}),
+      })
+      return sendJson(res, 200, payload)
+    }
+
+    const deadLetterMatch = pathname.match(/^\/api\/automation\/webhooks\/dead-letters\/([^/]+)(\/redrive)?$/)
+    if (deadLetterMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const deliveryId = decodeURIComponent(deadLetterMatch[1])
+      if (req.method === 'GET' && !deadLetterMatch[2]) {
+        const delivery = await getWebhookDeadLetter(deliveryId)
+        if (!delivery) return sendJson(res, 404, { error: `Dead letter not found: ${deliveryId}` })
+        return sendJson(res, 200, { delivery })
+      }
+      if (req.method === 'POST' && deadLetterMatch[2]) {
+        try {
+          const result = await redriveWebhookDeadLetter(deliveryId)
+          return sendJson(res, 200, { ok: true, ...result })
+        } catch (err) {
+          if (err?.code === 'not_found') return sendJson(res, 404, { error: err.message })
+          return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+        }
+      }
+      if (req.method === 'DELETE' && !deadLetterMatch[2]) {
+        if (!(await discardWebhookDeadLetter(deliveryId))) {
+          return sendJson(res, 404, { error: `Dead letter not found: ${deliveryId}` })
+        }
+        return sendJson(res, 200, { ok: true, discarded: deliveryId })
+      }
+    }
+
+    // Inbound event trigger for an automation job (job.triggers.webhook)
+    const triggerMatch = pathname.match(/^\/api\/automation\/triggers\/([^/]+)$/)
+    if (req.method === 'POST' && triggerMatch) {
+      const jobId = decodeURIComponent(triggerMatch[1])
+      const auth = authorizeTrigger(req, jobId)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      let body
+      try {
+        body = await readJsonBody(req)
+      } catch (err) {
+        return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+      }
+      const result = recordWebhookTrigger(jobId, body)
+      if (result.status === 'rate_limited') {
+        res.setHeader('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)))
+        return sendJson(res, 429, { error: 'Trigger rate limit reached for this job.', ...result })
+      }
+      if (result.status === 'ignored') {
+        return sendJson(res, 409, { error: `Trigger ignored: ${result.reason}`, ...result })
+      }
+      return sendJson(res, 202, { ok: true, jobId, ...result })
+    }
+
+    if (req.method === 'GET' && pathname === '/api/automation/sandboxes') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const sandboxes = await listAutomationSandboxes({
+        runId: url.searchParams.get('runId') || '',
+        jobId: url.searchParams.get('jobId') || '',
+      })
+      return sendJson(res, 200, { sandboxes })
+    }
+
+    const sandboxMatch = pathname.match(/^\/api\/automation\/sandboxes\/([^/]+)(\/export)?$/)
+    if (sandboxMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const sandboxId = decodeURIComponent(sandboxMatch[1])
+      if (req.method === 'GET' && !sandboxMatch[2]) {
+        const sandbox = await getAutomationSandbox(sandboxId)
+        if (!sandbox) return sendJson(res, 404, { error: `Sandbox not found: ${sandboxId}` })
+        return sendJson(res, 200, { sandbox })
+      }
+      if (req.method === 'POST' && sandboxMatch[2]) {
+        try {
+          const body = await readJsonBody(req)
+          const result = await exportAutomationSandbox(sandboxId, {
+            format: body?.format || 'patch',
+            branch: typeof body?.branch === 'string' ? body.branch : '',
+          })
+          return sendJson(res, 200, { ok: true, ...result })
+        } catch (err) {
+          if (err?.code === 'not_found') return sendJson(res, 404, { error: err.message })
+          if (err?.code === 'export_unavailable') return sendJson(res, 409, { error: err.message, code: err.code })
+          return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+        }
+      }
+      if (req.method === 'DELETE' && !sandboxMatch[2]) {
+        const sandbox = await getAutomationSandbox(sandboxId)
+        if (!sandbox) return sendJson(res, 404, { error: `Sandbox not found: ${sandboxId}` })
+        const run = sandbox.runId ? await getRunById(sandbox.runId).catch(() => null) : null
+        if (isAutomationSandboxRunActive(run)) {
+          return sendJson(res, 409, { error: 'The sandbox run is still active.', code: 'run_active' })
+        }
+        return sendJson(res, 200, { ok: true, removed: await removeAutomationSandbox(sandboxId) })
+      }
+    }
+
+    // GET /api/workflow/templates
+    if (req.method === 'GET' && pathname === '/api/workflow/templates') {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const templates = listWorkflowTemplates().map((id) => {
+        const template = getWorkflowTemplate(id)
+        return {
+          id,
+          builtin: isBuiltinWorkflowTemplate(id),
+          ...(template.description ? { description: template.description } : {}),
+          fallbackBehavior: template.fallbackBehavior,
+          steps: template.steps.map((step) => step.id),
+        }
+      })
+      return sendJson(res, 200, { templates })
+    }
+
+    // GET|PUT|DELETE /api/workflow/templates/:id
+    const workflowTemplateMatch = pathname.match(/^\/api\/workflow\/templates\/([^/]+)$/)
+    if (workflowTemplateMatch) {
+      const auth = authorize(req, token)
+      if (!auth.ok) return sendJson(res, 401, { error: auth.error })
+      const templateId = decodeURIComponent(workflowTemplateMatch[1])
+      if (req.method === 'GET') {
+        const template = getWorkflowTemplate(templateId)
+        if (!template) return sendJson(res, 404, { error: `Workflow template not found: ${templateId}` })
+        return sendJson(res, 200, { template: { ...template, builtin: isBuiltinWorkflowTemplate(templateId) } })
+      }
+      if (req.method === 'PUT') {
+        try {
+          const body = await readJsonBody(req)
+          if (body?.id !== undefined && body.id !== templateId) {
+            return sendJson(res, 400, { error: 'Template id does not match the URL.' })
+          }
+          const template = await saveWorkflowTemplate({ ...body, id: templateId })
+          return sendJson(res, 200, { ok: true, template })
+        } catch (err) {
+          return sendJson(res, 400, { error: err.message || 'Invalid request.' })
+        }
+      }
+      if (req.method === 'DELETE') {
+        if (isBuiltinWorkflowTemplate(templateId)) {
+          return sendJson(res, 400, { error: `"${templateId}" is a built-in workflow template.` })
+        }
+        if (!(await deleteWorkflowTemplate(templateId))) {
+          return sendJson(res, 404, { error: `Workflow template not found: ${templateId}` })
+        }
+        return sendJson(res, 200, { ok: true, removed: templateId })
+      }
+    }
+
     // GET /api/workflow/status?runId=xxx
     if (req.method === 'GET' && pathname === '/api/workflow/status') {
       const auth = authorize(req, token)
@@ -1760,7 +2765,9 @@ export function createCompanionServer({
         if (!run) {
           return sendJson(res, 404, { error: `Run not found: ${runId}` })
         }
-        const workflow = run.automationSpec?.workflow
+        const workflow = run.meta?.workflow ?? run.automationSpec?.workflow
+        const view = workflow ? describeAutomationWorkflow(workflow) : null
+        const chainTree = await getRunTree(runId)
         return sendJson(res, 200, {
           runId,
           state: run.state,
@@ -1774,7 +2781,13 @@ export function createCompanionServer({
               state: s.state,
               summary: s.summary,
             })),
+            ...(view ? { graph: { start: view.start, nodes: view.nodes, edges: view.edges }, mermaid: view.mermaid } : {}),
+            ...(view?.trail ? { trail: view.trail } : {}),
           } : null,
+          // Job chains (parentRunId lineage) as one tree from the root run.
+          chain: chainTree && (chainTree.runId !== runId || chainTree.children.length > 0)
+            ? { rootRunId: chainTree.runId, tree: chainTree }
+            : null,
           updatedAt: run.updatedAt,
         })
       } catch (err) {
@@ -1921,27 +2934,69 @@ export function createCompanionServer({
       readJsonBody,
       createAcpRun,
       syncAcpRunIngress,
+      eventStreams,
     })
     if (acpHandled) return
 
     sendJson(res, 404, { error: `Not found: ${pathname}` })
   })
 
+  // Bridged claude-code sessions reach this server from their permission-prompt MCP tool.
+  const detachAcpPermissionBridgeEndpoint = setAcpPermissionBridgeEndpoint(() => {
+    const address = server.address()
+    return address && typeof address === 'object'
+      ? `http://127.0.0.1:${address.port}/api/acp/permission-bridge`
+      : null
+  })
+  const detachWatcherObservationContext = setWatcherObservationContext({
+    getPermissionPolicy,
+    // Watcher observations cannot wait on an approval record, so only tools
+    // the MCP policy allows outright are called.
+    callMcpTool: async ({ server: requestedServer, tool, args }) => {
+      const serverName = mcpManager.resolveServerName?.(requestedServer) || String(requestedServer)
+      const decision = evaluateMcpToolPolicy(normalizeMcpPolicy(getMcpPolicy()), { server: serverName, tool, args })
+      if (decision.mode === MCP_POLICY_MODE_DENY) {
+        return { ok: false, error: 'denied by the MCP policy' }
+      }
+      if (decision.mode === MCP_POLICY_MODE_REQUIRE_APPROVAL) {
+        return { ok: false, error: 'the MCP policy requires approval' }
+      }
+      return mcpManager.callTool(serverName, tool, args)
+    },
+  })
+
   // Start periodic session pruning
   startSessionPruner()
 
+  // SSE connections never go idle, so close them before the listener stops;
+  // otherwise server.close() would wait on them indefinitely.
+  const closeServer = server.close.bind(server)
+  server.close = (callback) => {
+    closeEventStreams(eventStreams)
+    return closeServer(callback)
+  }
+
   // Cleanup on server close
   server.on('close', () => {
     detachSessionExitListener()
     detachAcpTransitionHook()
     detachAcpEventHook()
+    detachAcpPermissionHandler()
+    detachAcpPermissionBridgeEndpoint()
+    detachWatcherObservationContext()
     sessionRunIndex.clear()
     stopSessionPruner()
     cleanupAllSessions()
     cleanupAllAcpSessions()
+    void flushSessionLogSpools().catch(() => undefined)
     void flushRunStore().catch(() => undefined)
     void flushApprovalStore().catch(() => undefined)
     void flushBrowserLedger().catch(() => undefined)
+    void flushUsageStore().catch(() => undefined)
+    void flushWorkspaceDiffStore().catch(() => undefined)
+    void flushAutomationSandboxStore().catch(() => undefined)
+    stopWebhookDeliveryWorker()
+    void flushWebhookDeliveryStore().catch(() => undefined)
   })
 
   return server
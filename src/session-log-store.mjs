@@ -0,0 +1,352 @@
+/**
+ * On-disk spool for runtime session output.
+ *
+ * Each session gets a directory under `<configDir>/session-logs/<sessionId>/`
+ * holding `session.json` (metadata) and, per stream, rotating segment files
+ * named by the absolute byte offset they start at:
+ *
+ *   stdout.0000000000000000.log
+ *   stdout.0000000004194304.log
+ *   stderr.0000000000000000.log
+ *
+ * Offsets are stable for the life of the session, so a reader can page with
+ * `nextOffset` even while old segments are rotated away to honour the
+ * per-stream size cap. Appends are buffered per segment and written by one
+ * async flush at a time, so a chatty session never blocks the event loop;
+ * reads are synchronous and serve the buffered tail from memory.
+ */
+
+import fs from 'node:fs'
+import fsp from 'node:fs/promises'
+import path from 'node:path'
+import { getConfigDir } from './config.mjs'
+import { ansiSequenceEnd, snapAnsiBoundary } from './terminal.mjs'
+
+export const SESSION_LOG_STREAMS = ['stdout', 'stderr']
+export const DEFAULT_SESSION_LOG_SEGMENT_BYTES = Number(process.env.TRAPEZOHE_SESSION_LOG_SEGMENT_BYTES || 4 * 1024 * 1024)
+export const DEFAULT_SESSION_LOG_MAX_BYTES = Number(process.env.TRAPEZOHE_SESSION_LOG_MAX_BYTES || 64 * 1024 * 1024)
+export const SESSION_LOG_RETENTION_MS = Number(process.env.TRAPEZOHE_SESSION_LOG_RETENTION_MS || 7 * 24 * 60 * 60 * 1000)
+export const MAX_PERSISTED_SESSION_COUNT = Number(process.env.TRAPEZOHE_SESSION_LOG_MAX_SESSIONS || 200)
+
+const META_FILENAME = 'session.json'
+const SEGMENT_PATTERN = /^(stdout|stderr)\.(\d{16})\.log$/
+// Extra bytes read around a requested slice so its edges can be snapped to
+// escape-sequence and UTF-8 boundaries.
+const SLICE_MARGIN_BYTES = 4_096
+
+let warnedSpoolFailure = false
+const activeFlushes = new Set()
+
+function warnSpoolFailure(error) {
+  if (warnedSpoolFailure) return
+  warnedSpoolFailure = true
+  console.warn(`[session-log-store] Disabling output spool: ${error?.message || error}`)
+}
+
+function isSafeSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[A-Za-z0-9._-]{1,128}$/.test(sessionId) && !sessionId.startsWith('.')
+}
+
+export function getSessionLogRoot() {
+  return path.join(getConfigDir(), 'session-logs')
+}
+
+export function getSessionLogDir(sessionId) {
+  if (!isSafeSessionId(sessionId)) throw new Error('Invalid session id.')
+  return path.join(getSessionLogRoot(), sessionId)
+}
+
+function segmentFileName(stream, start) {
+  return `${stream}.${String(start).padStart(16, '0')}.log`
+}
+
+function scanSegments(dir) {
+  const streams = { stdout: [], stderr: [] }
+  let entries = []
+  try {
+    entries = fs.readdirSync(dir)
+  } catch {
+    return streams
+  }
+  for (const name of entries.sort()) {
+    const match = name.match(SEGMENT_PATTERN)
+    if (!match) continue
+    try {
+      const { size } = fs.statSync(path.join(dir, name))
+      streams[match[1]].push({ start: Number(match[2]), size, flushed: size, pending: [], file: path.join(dir, name) })
+    } catch {
+      // Rotated away between readdir and stat.
+    }
+  }
+  return streams
+}
+
+function writeMetaFile(dir, meta) {
+  const target = path.join(dir, META_FILENAME)
+  const tmp = `${target}.tmp`
+  fs.writeFileSync(tmp, `${JSON.stringify(meta, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 })
+  fs.renameSync(tmp, target)
+}
+
+function readMetaFile(dir) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dir, META_FILENAME), 'utf8'))
+    return parsed && typeof parsed === 'object' && isSafeSessionId(parsed.sessionId) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+function readRange(segments, offset, length) {
+  const chunks = []
+  const end = offset + length
+  for (const segment of segments) {
+    const segmentEnd = segment.start + segment.size
+    if (segmentEnd <= offset || segment.start >= end) continue
+    const from = Math.max(offset, segment.start)
+    const to = Math.min(end, segmentEnd)
+    // Bytes up to `flushed` are on disk; the rest still sit in `pending`.
+    const flushedEnd = segment.start + segment.flushed
+    if (from < flushedEnd) {
+      const buffer = Buffer.alloc(Math.min(to, flushedEnd) - from)
+      const fd = fs.openSync(segment.file, 'r')
+      try {
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, from - segment.start)
+        chunks.push(bytesRead === buffer.length ? buffer : buffer.subarray(0, bytesRead))
+      } finally {
+        fs.closeSync(fd)
+      }
+    }
+    if (to > flushedEnd) {
+      const pending = Buffer.concat(segment.pending)
+      chunks.push(pending.subarray(Math.max(from, flushedEnd) - flushedEnd, to - flushedEnd))
+    }
+  }
+  return Buffer.concat(chunks)
+}
+
+function snapUtf8Backward(buffer, index) {
+  let boundary = index
+  for (let steps = 0; steps < 3 && boundary > 0 && boundary < buffer.length && (buffer[boundary] & 0xc0) === 0x80; steps += 1) {
+    boundary -= 1
+  }
+  return boundary
+}
+
+function snapUtf8Forward(buffer, index) {
+  let boundary = index
+  while (boundary < buffer.length && (buffer[boundary] & 0xc0) === 0x80) boundary += 1
+  return boundary
+}
+
+function createSpool(dir, meta, streams, options = {}) {
+  const segmentBytes = Math.max(1, Number(options.segmentBytes) || DEFAULT_SESSION_LOG_SEGMENT_BYTES)
+  const maxBytes = Math.max(segmentBytes, Number(options.maxBytes) || DEFAULT_SESSION_LOG_MAX_BYTES)
+  let currentMeta = { ...meta }
+  let failed = false
+  let flushing = null
+  // Rotated-away segment files, deleted by the flush after their last write.
+  const removals = []
+
+  function fail(error) {
+    failed = true
+    for (const stream of SESSION_LOG_STREAMS) {
+      for (const segment of streams[stream]) segment.pending = []
+    }
+    warnSpoolFailure(error)
+  }
+
+  function enforceCap(stream) {
+    const segments = streams[stream]
+    const total = () => {
+      const last = segments[segments.length - 1]
+      return last.start + last.size - segments[0].start
+    }
+    while (segments.length > 1 && total() > maxBytes) {
+      const dropped = segments.shift()
+      dropped.pending = []
+      removals.push(dropped.file)
+    }
+  }
+
+  function hasPendingWork() {
+    return removals.length > 0
+      || SESSION_LOG_STREAMS.some((stream) => streams[stream].some((segment) => segment.pending.length > 0))
+  }
+
+  async function writePending() {
+    for (const stream of SESSION_LOG_STREAMS) {
+      for (const segment of [...streams[stream]]) {
+        const count = segment.pending.length
+        if (count === 0) continue
+        const data = Buffer.concat(segment.pending.slice(0, count))
+        await fsp.appendFile(segment.file, data, { mode: 0o600 })
+        segment.pending.splice(0, count)
+        segment.flushed += data.length
+      }
+    }
+    while (removals.length > 0) await fsp.rm(removals.shift(), { force: true })
+  }
+
+  /** Write everything buffered so far; chunks appended meanwhile join the same flush. */
+  function flush() {
+    if (flushing) return flushing
+    if (failed || !hasPendingWork()) return Promise.resolve()
+    flushing = (async () => {
+      try {
+        while (!failed && hasPendingWork()) await writePending()
+      } catch (error) {
+        fail(error)
+      } finally {
+        activeFlushes.delete(flushing)
+        flushing = null
+      }
+    })()
+    activeFlushes.add(flushing)
+    return flushing
+  }
+
+  function bounds(stream) {
+    const segments = streams[stream] || []
+    if (segments.length === 0) return { firstOffset: 0, total: 0 }
+    const last = segments[segments.length - 1]
+    return { firstOffset: segments[0].start, total: last.start + last.size }
+  }
+
+  return {
+    dir,
+    get sessionId() { return currentMeta.sessionId },
+    get meta() { return { ...currentMeta } },
+    get failed() { return failed },
+
+    append(stream, chunk) {
+      if (failed || !SESSION_LOG_STREAMS.includes(stream)) return
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk ?? ''), 'utf8')
+      if (buffer.length === 0) return
+      const segments = streams[stream]
+      let last = segments[segments.length - 1]
+      if (!last || last.size >= segmentBytes) {
+        const start = last ? last.start + last.size : 0
+        last = { start, size: 0, flushed: 0, pending: [], file: path.join(dir, segmentFileName(stream, start)) }
+        segments.push(last)
+      }
+      last.pending.push(buffer)
+      last.size += buffer.length
+      enforceCap(stream)
+      void flush()
+    },
+
+    updateMeta(patch = {}) {
+      currentMeta = { ...currentMeta, ...patch, updatedAt: Date.now() }
+      if (failed) return
+      try {
+        writeMetaFile(dir, currentMeta)
+      } catch (error) {
+        fail(error)
+      }
+    },
+
+    /** Resolves once buffered output is on disk; appends after close still work. */
+    close() {
+      return flush()
+    },
+
+    bounds,
+
+    /**
+     * Read one page of a stream by byte offset. Page edges never split an
+     * escape sequence or a UTF-8 character; offsets before the oldest
+     * retained segment are moved up to `firstOffset`.
+     */
+    readSlice(stream, { offset = 0, limit }) {
+      const segments = streams[stream] || []
+      const { firstOffset, total } = bounds(stream)
+      const requested = Math.min(Math.max(offset, firstOffset), total)
+      const windowStart = Math.max(firstOffset, requested - SLICE_MARGIN_BYTES)
+      const windowEnd = Math.min(total, requested + limit + SLICE_MARGIN_BYTES)
+      const buffer = readRange(segments, windowStart, windowEnd - windowStart)
+      // latin1 maps byte i to char i, so the ANSI scanner works on byte offsets.
+      const bytes = buffer.toString('latin1')
+
+      const start = snapUtf8Backward(buffer, snapAnsiBoundary(bytes, requested - windowStart))
+      let end = Math.min(requested + limit, total) - windowStart
+      end = snapUtf8Backward(buffer, snapAnsiBoundary(bytes, end))
+      if (end <= start && start < buffer.length) {
+        end = snapUtf8Forward(buffer, Math.max(ansiSequenceEnd(bytes, start), start + 1))
+      }
+      const nextOffset = windowStart + end
+      return {
+        output: buffer.subarray(start, end).toString('utf8'),
+        total,
+        firstOffset,
+        offset: windowStart + start,
+        limit,
+        nextOffset,
+        hasMore: nextOffset < total,
+      }
+    },
+
+    /** Last `maxBytes` of a stream, decoded; used to rehydrate in-memory buffers. */
+    readTail(stream, maxBytes) {
+      const { firstOffset, total } = bounds(stream)
+      const from = Math.max(firstOffset, total - maxBytes)
+      const buffer = readRange(streams[stream] || [], from, total - from)
+      return buffer.subarray(snapUtf8Forward(buffer, 0)).toString('utf8')
+    },
+  }
+}
+
+/**
+ * Start spooling a new session. Returns null (and logs once) when the log
+ * directory cannot be created, so sessions still run without persistence.
+ */
+export function createSessionLogSpool(sessionId, meta = {}, options = {}) {
+  try {
+    const dir = getSessionLogDir(sessionId)
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 })
+    const spool = createSpool(dir, { version: 1, ...meta, sessionId }, { stdout: [], stderr: [] }, options)
+    spool.updateMeta()
+    return spool
+  } catch (error) {
+    warnSpoolFailure(error)
+    return null
+  }
+}
+
+/** Wait until every spool's buffered output has been written (shutdown, tests). */
+export async function flushSessionLogSpools() {
+  await Promise.all([...activeFlushes])
+}
+
+/** Re-open a persisted session's spool read-only (appends still work). */
+export function openSessionLogSpool(sessionId, options = {}) {
+  if (!isSafeSessionId(sessionId)) return null
+  const dir = getSessionLogDir(sessionId)
+  const meta = readMetaFile(dir)
+  if (!meta) return null
+  return createSpool(dir, meta, scanSegments(dir), options)
+}
+
+/** All persisted sessions, newest first. */
+export function listPersistedSessionLogs() {
+  let entries = []
+  try {
+    entries = fs.readdirSync(getSessionLogRoot(), { withFileTypes: true })
+  } catch {
+    return []
+  }
+  return entries
+    .filter((entry) => entry.isDirectory() && isSafeSessionId(entry.name))
+    .map((entry) => openSessionLogSpool(entry.name))
+    .filter(Boolean)
+    .sort((a, b) => (b.meta.finishedAt || b.meta.startedAt || 0) - (a.meta.finishedAt || a.meta.startedAt || 0))
+}
+
+export function removeSessionLog(sessionId) {
+  if (!isSafeSessionId(sessionId)) return
+  try {
+    fs.rmSync(getSessionLogDir(sessionId), { recursive: true, force: true })
+  } catch {
+    // Best effort: a leftover directory is pruned on the next pass.
+  }
+}
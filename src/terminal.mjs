@@ -0,0 +1,411 @@
+/**
+ * Terminal helpers for runtime sessions: key-name encoding for send-keys,
+ * ANSI escape scanning for log slicing, and a small screen renderer that
+ * replays PTY output onto a cols x rows grid.
+ */
+
+export const DEFAULT_TERMINAL_COLS = 120
+export const DEFAULT_TERMINAL_ROWS = 32
+const MIN_TERMINAL_COLS = 10
+const MAX_TERMINAL_COLS = 500
+const MIN_TERMINAL_ROWS = 2
+const MAX_TERMINAL_ROWS = 200
+const MAX_KEYS_PER_REQUEST = 256
+// OSC/DCS payloads (titles, hyperlinks) are short; bound the backwards scan.
+const MAX_ESCAPE_LOOKBEHIND = 4_096
+
+const ESC = '\u001b'
+const BEL = '\u0007'
+
+const NAMED_KEYS = {
+  enter: '\r',
+  return: '\r',
+  tab: '\t',
+  'shift-tab': `${ESC}[Z`,
+  escape: ESC,
+  esc: ESC,
+  space: ' ',
+  backspace: '\u007f',
+  bs: '\u007f',
+  delete: `${ESC}[3~`,
+  del: `${ESC}[3~`,
+  insert: `${ESC}[2~`,
+  up: `${ESC}[A`,
+  down: `${ESC}[B`,
+  right: `${ESC}[C`,
+  left: `${ESC}[D`,
+  home: `${ESC}[H`,
+  end: `${ESC}[F`,
+  pageup: `${ESC}[5~`,
+  pagedown: `${ESC}[6~`,
+  f1: `${ESC}OP`,
+  f2: `${ESC}OQ`,
+  f3: `${ESC}OR`,
+  f4: `${ESC}OS`,
+  f5: `${ESC}[15~`,
+  f6: `${ESC}[17~`,
+  f7: `${ESC}[18~`,
+  f8: `${ESC}[19~`,
+  f9: `${ESC}[20~`,
+  f10: `${ESC}[21~`,
+  f11: `${ESC}[23~`,
+  f12: `${ESC}[24~`,
+}
+
+const KEY_ALIASES = {
+  arrowup: 'up',
+  arrowdown: 'down',
+  arrowleft: 'left',
+  arrowright: 'right',
+  pgup: 'pageup',
+  pgdn: 'pagedown',
+  'page-up': 'pageup',
+  'page-down': 'pagedown',
+}
+
+const UNSUPPORTED_KEY_HINT = 'Use key names such as enter, tab, escape, up, down, left, right, home, end, '
+  + 'pageup, pagedown, backspace, delete, f1-f12, ctrl-<letter>, alt-<key>, or a single character.'
+
+function clampTerminalDimension(value, { label, min, max, fallback }) {
+  if (value === undefined || value === null || value === '') return fallback
+  const numeric = Number(value)
+  if (!Number.isInteger(numeric) || numeric < min || numeric > max) {
+    throw new Error(`${label} must be an integer between ${min} and ${max}.`)
+  }
+  return numeric
+}
+
+/**
+ * Validate a requested terminal size, falling back to defaults when omitted.
+ * @returns {{ cols: number, rows: number }}
+ */
+export function normalizeTerminalSize(input = {}, fallback = {}) {
+  return {
+    cols: clampTerminalDimension(input.cols, {
+      label: 'cols',
+      min: MIN_TERMINAL_COLS,
+      max: MAX_TERMINAL_COLS,
+      fallback: fallback.cols ?? DEFAULT_TERMINAL_COLS,
+    }),
+    rows: clampTerminalDimension(input.rows, {
+      label: 'rows',
+      min: MIN_TERMINAL_ROWS,
+      max: MAX_TERMINAL_ROWS,
+      fallback: fallback.rows ?? DEFAULT_TERMINAL_ROWS,
+    }),
+  }
+}
+
+function encodeCtrl(char) {
+  if (char === 'space' || char === '@' || char === '2') return '\u0000'
+  if (char.length !== 1) return null
+  if (char === '?') return '\u007f'
+  const code = char.toUpperCase().charCodeAt(0)
+  // ctrl-a .. ctrl-z plus ctrl-[ ctrl-\ ctrl-] ctrl-^ ctrl-_
+  if (code >= 0x40 && code <= 0x5f) return String.fromCharCode(code & 0x1f)
+  return null
+}
+
+function encodeKey(token, options) {
+  // A single character is sent verbatim (and keeps its case: "Y" vs "y").
+  if ([...token].length === 1) return token
+  const name = token.toLowerCase()
+  const resolved = KEY_ALIASES[name] || name
+  if (resolved === 'enter' || resolved === 'return') return options.enter
+  if (NAMED_KEYS[resolved] !== undefined) return NAMED_KEYS[resolved]
+
+  const ctrlMatch = resolved.match(/^(?:ctrl|control|c)[-+](.+)$/)
+  if (ctrlMatch) return encodeCtrl(ctrlMatch[1])
+
+  const altMatch = token.match(/^(?:alt|meta|m)[-+](.+)$/i)
+  if (altMatch) {
+    const inner = encodeKey(altMatch[1], options)
+    return inner === null ? null : `${ESC}${inner}`
+  }
+  return null
+}
+
+/**
+ * Split a send-keys payload into key tokens. Strings are split on whitespace
+ * and commas (`"ctrl-a up up enter"`); arrays are taken as-is so literal
+ * spaces or commas can still be sent.
+ */
+export function parseKeySequence(keys) {
+  const tokens = Array.isArray(keys)
+    ? keys.map((key) => (typeof key === 'string' ? key : String(key ?? ''))).filter((key) => key.length > 0)
+    : String(keys ?? '').split(/[\s,]+/).filter(Boolean)
+  if (tokens.length === 0) throw new Error('keys is required.')
+  if (tokens.length > MAX_KEYS_PER_REQUEST) {
+    throw new Error(`keys exceeds max length (${MAX_KEYS_PER_REQUEST}).`)
+  }
+  return tokens
+}
+
+/**
+ * Encode key names into the byte sequence an xterm-compatible terminal
+ * would send.
+ * @param {string|string[]} keys
+ * @param {{ enter?: string }} [options] `enter` defaults to CR as on a real TTY.
+ * @returns {{ keys: string[], data: string }}
+ */
+export function encodeKeySequence(keys, options = {}) {
+  const settings = { enter: options.enter ?? '\r' }
+  const tokens = parseKeySequence(keys)
+  let data = ''
+  for (const token of tokens) {
+    const encoded = encodeKey(token, settings)
+    if (encoded === null) throw new Error(`Unsupported key "${token}". ${UNSUPPORTED_KEY_HINT}`)
+    data += encoded
+  }
+  return { keys: tokens, data }
+}
+
+function isStringTerminatedIntroducer(char) {
+  // OSC, DCS, SOS, PM, APC all run until BEL or ST (ESC \).
+  return char === ']' || char === 'P' || char === 'X' || char === '^' || char === '_'
+}
+
+/**
+ * Return the index just past the escape sequence starting at `index`, or
+ * `text.length` when the sequence is still incomplete.
+ */
+export function ansiSequenceEnd(text, index) {
+  if (text[index] !== ESC) return index
+  const introducer = text[index + 1]
+  if (introducer === undefined) return text.length
+  if (introducer === '[') {
+    for (let i = index + 2; i < text.length; i += 1) {
+      const code = text.charCodeAt(i)
+      if (code >= 0x40 && code <= 0x7e) return i + 1
+    }
+    return text.length
+  }
+  if (isStringTerminatedIntroducer(introducer)) {
+    for (let i = index + 2; i < text.length; i += 1) {
+      if (text[i] === BEL) return i + 1
+      if (text[i] === ESC && text[i + 1] === '\\') return i + 2
+    }
+    return text.length
+  }
+  // Charset designation (ESC ( B) and friends carry one extra byte.
+  if ('()*+#%'.includes(introducer)) return Math.min(index + 3, text.length)
+  return index + 2
+}
+
+/**
+ * Move `index` back so it never lands inside an escape sequence or between
+ * the halves of a surrogate pair. Slices cut at the returned offset render
+ * the same as the original stream when concatenated.
+ */
+export function snapAnsiBoundary(text, index) {
+  let boundary = Math.min(Math.max(index, 0), text.length)
+  if (boundary === 0 || boundary === text.length) return boundary
+
+  const floor = Math.max(0, boundary - MAX_ESCAPE_LOOKBEHIND)
+  const escapeStart = text.lastIndexOf(ESC, boundary - 1)
+  if (escapeStart >= floor && escapeStart < boundary && ansiSequenceEnd(text, escapeStart) > boundary) {
+    boundary = escapeStart
+  }
+
+  const code = text.charCodeAt(boundary)
+  const previous = text.charCodeAt(boundary - 1)
+  if (code >= 0xdc00 && code <= 0xdfff && previous >= 0xd800 && previous <= 0xdbff) {
+    boundary -= 1
+  }
+  return boundary
+}
+
+/** Remove escape sequences, leaving printable text and plain control characters. */
+export function stripAnsi(text) {
+  const value = String(text ?? '')
+  if (!value.includes(ESC)) return value
+  let output = ''
+  let index = 0
+  while (index < value.length) {
+    const escapeStart = value.indexOf(ESC, index)
+    if (escapeStart < 0) {
+      output += value.slice(index)
+      break
+    }
+    output += value.slice(index, escapeStart)
+    index = ansiSequenceEnd(value, escapeStart)
+  }
+  return output
+}
+
+function blankRow(cols) {
+  return new Array(cols).fill(' ')
+}
+
+function parseCsiParams(raw) {
+  return raw.split(';').map((part) => {
+    const value = Number.parseInt(part, 10)
+    return Number.isFinite(value) ? value : 0
+  })
+}
+
+/**
+ * Replay terminal output onto a fixed-size grid. Supports the cursor
+ * movement, erase, insert/delete and alternate-screen sequences that
+ * full-screen tools rely on; colours and other SGR attributes are dropped.
+ * @returns {{ cols: number, rows: number, lines: string[], cursor: { row: number, col: number }, alternateScreen: boolean }}
+ */
+export function renderTerminalScreen(text, { cols = DEFAULT_TERMINAL_COLS, rows = DEFAULT_TERMINAL_ROWS } = {}) {
+  let grid = Array.from({ length: rows }, () => blankRow(cols))
+  let row = 0
+  let col = 0
+  let saved = { row: 0, col: 0 }
+  let mainScreen = null
+
+  const clampCursor = () => {
+    row = Math.min(Math.max(row, 0), rows - 1)
+    col = Math.min(Math.max(col, 0), cols - 1)
+  }
+  const lineFeed = () => {
+    if (row === rows - 1) {
+      grid.shift()
+      grid.push(blankRow(cols))
+    } else {
+      row += 1
+    }
+  }
+  const eraseCells = (targetRow, from, to) => {
+    for (let i = Math.max(from, 0); i < Math.min(to, cols); i += 1) grid[targetRow][i] = ' '
+  }
+  const switchScreen = (alternate) => {
+    if (alternate && !mainScreen) {
+      mainScreen = { grid, row, col }
+      grid = Array.from({ length: rows }, () => blankRow(cols))
+      row = 0
+      col = 0
+    } else if (!alternate && mainScreen) {
+      ;({ grid, row, col } = mainScreen)
+      mainScreen = null
+    }
+  }
+
+  const applyCsi = (params, final) => {
+    const isPrivate = params.startsWith('?')
+    const values = parseCsiParams(isPrivate ? params.slice(1) : params)
+    const n = Math.max(values[0] || 1, 1)
+    if (isPrivate) {
+      if (final === 'h' || final === 'l') {
+        if (values.some((value) => value === 1049 || value === 1047 || value === 47)) switchScreen(final === 'h')
+      }
+      return
+    }
+    switch (final) {
+      case 'A': row -= n; break
+      case 'B': case 'e': row += n; break
+      case 'C': case 'a': col += n; break
+      case 'D': col -= n; break
+      case 'E': row += n; col = 0; break
+      case 'F': row -= n; col = 0; break
+      case 'G': case '`': col = n - 1; break
+      case 'd': row = n - 1; break
+      case 'H': case 'f':
+        row = Math.max(values[0] || 1, 1) - 1
+        col = Math.max(values[1] || 1, 1) - 1
+        break
+      case 'J': {
+        const mode = values[0] || 0
+        if (mode === 0) {
+          eraseCells(row, col, cols)
+          for (let r = row + 1; r < rows; r += 1) grid[r] = blankRow(cols)
+        } else if (mode === 1) {
+          eraseCells(row, 0, col + 1)
+          for (let r = 0; r < row; r += 1) grid[r] = blankRow(cols)
+        } else {
+          grid = Array.from({ length: rows }, () => blankRow(cols))
+        }
+        break
+      }
+      case 'K': {
+        const mode = values[0] || 0
+        if (mode === 0) eraseCells(row, col, cols)
+        else if (mode === 1) eraseCells(row, 0, col + 1)
+        else grid[row] = blankRow(cols)
+        break
+      }
+      case 'X': eraseCells(row, col, col + n); break
+      case 'P': grid[row].splice(col, n); grid[row].push(...blankRow(Math.min(n, cols - col))); grid[row].length = cols; break
+      case '@': grid[row].splice(col, 0, ...blankRow(n)); grid[row].length = cols; break
+      case 'L':
+        grid.splice(row, 0, ...Array.from({ length: n }, () => blankRow(cols)))
+        grid.length = rows
+        break
+      case 'M':
+        grid.splice(row, n)
+        while (grid.length < rows) grid.push(blankRow(cols))
+        break
+      case 's': saved = { row, col }; break
+      case 'u': ({ row, col } = saved); break
+      default:
+        // SGR (m), scroll regions and modes do not affect the text grid.
+        break
+    }
+    clampCursor()
+  }
+
+  const value = String(text ?? '')
+  let index = 0
+  // Deferred wrap: writing the last column parks the cursor until the next glyph.
+  let pendingWrap = false
+  while (index < value.length) {
+    const char = value[index]
+    if (char === ESC) {
+      const end = ansiSequenceEnd(value, index)
+      const introducer = value[index + 1]
+      const finalCode = value.charCodeAt(end - 1)
+      if (introducer === '[' && end > index + 2 && finalCode >= 0x40 && finalCode <= 0x7e) {
+        applyCsi(value.slice(index + 2, end - 1), value[end - 1])
+      } else if (introducer === '7') {
+        saved = { row, col }
+      } else if (introducer === '8') {
+        ({ row, col } = saved)
+      } else if (introducer === 'c') {
+        grid = Array.from({ length: rows }, () => blankRow(cols))
+        row = 0
+        col = 0
+      }
+      pendingWrap = false
+      index = end
+      continue
+    }
+    const code = char.charCodeAt(0)
+    if (char === '\r') {
+      col = 0
+      pendingWrap = false
+    } else if (char === '\n' || char === '\u000b' || char === '\u000c') {
+      lineFeed()
+      pendingWrap = false
+    } else if (char === '\b') {
+      col = Math.max(col - 1, 0)
+      pendingWrap = false
+    } else if (char === '\t') {
+      col = Math.min((Math.floor(col / 8) + 1) * 8, cols - 1)
+    } else if (code >= 0x20 && code !== 0x7f) {
+      if (pendingWrap) {
+        col = 0
+        lineFeed()
+        pendingWrap = false
+      }
+      const codePoint = value.codePointAt(index)
+      const glyph = String.fromCodePoint(codePoint)
+      grid[row][col] = glyph
+      if (col === cols - 1) pendingWrap = true
+      else col += 1
+      index += glyph.length
+      continue
+    }
+    index += 1
+  }
+
+  return {
+    cols,
+    rows,
+    lines: grid.map((cells) => cells.join('').replace(/\s+$/, '')),
+    cursor: { row, col },
+    alternateScreen: Boolean(mainScreen),
+  }
+}
@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  encodeKeySequence,
+  normalizeTerminalSize,
+  renderTerminalScreen,
+  snapAnsiBoundary,
+  stripAnsi,
+} from './terminal.mjs'
+
+test('encodeKeySequence encodes arrows, function keys, ctrl and alt combinations', () => {
+  assert.deepEqual(encodeKeySequence('up down left right'), {
+    keys: ['up', 'down', 'left', 'right'],
+    data: '\u001b[A\u001b[B\u001b[D\u001b[C',
+  })
+  assert.equal(encodeKeySequence('f1 f5 f12').data, '\u001bOP\u001b[15~\u001b[24~')
+  assert.equal(encodeKeySequence('ctrl-a ctrl-C ctrl-[').data, '\u0001\u0003\u001b')
+  assert.equal(encodeKeySequence(['alt-x', 'alt-enter']).data, '\u001bx\u001b\r')
+  assert.equal(encodeKeySequence(['Y', ' ', ',', 'enter'], { enter: '\n' }).data, 'Y ,\n')
+  assert.equal(encodeKeySequence('pgup shift-tab backspace').data, '\u001b[5~\u001b[Z\u007f')
+})
+
+test('encodeKeySequence rejects unknown keys and empty input', () => {
+  assert.throws(() => encodeKeySequence('hyper-x'), /Unsupported key "hyper-x"/)
+  assert.throws(() => encodeKeySequence('ctrl-1'), /Unsupported key/)
+  assert.throws(() => encodeKeySequence('   '), /keys is required/)
+})
+
+test('normalizeTerminalSize applies defaults and validates bounds', () => {
+  assert.deepEqual(normalizeTerminalSize({}), { cols: 120, rows: 32 })
+  assert.deepEqual(normalizeTerminalSize({ cols: 80 }, { rows: 24 }), { cols: 80, rows: 24 })
+  assert.throws(() => normalizeTerminalSize({ cols: 5 }), /cols must be an integer/)
+  assert.throws(() => normalizeTerminalSize({ rows: 'tall' }), /rows must be an integer/)
+})
+
+test('snapAnsiBoundary never splits escape sequences or surrogate pairs', () => {
+  const text = 'ab\u001b[31mred\u001b[0m\u001b]0;title\u0007😀'
+  assert.equal(snapAnsiBoundary(text, 4), 2)
+  assert.equal(snapAnsiBoundary(text, 7), 7)
+  assert.equal(snapAnsiBoundary(text, text.indexOf('title')), text.indexOf('\u001b]'))
+  assert.equal(snapAnsiBoundary(text, text.length - 1), text.length - 2)
+  assert.equal(stripAnsi(text), 'abred😀')
+})
+
+test('renderTerminalScreen replays cursor movement, erases and the alternate screen', () => {
+  const output = [
+    'hello world\r\n',
+    'second line',
+    '\u001b[1;7HWORLD',
+    '\u001b[2;1H\u001b[2K\u001b[32mreplaced\u001b[0m',
+    '\r\nprogress 10%\rprogress 99%',
+  ].join('')
+  const screen = renderTerminalScreen(output, { cols: 20, rows: 4 })
+  assert.deepEqual(screen.lines, ['hello WORLD', 'replaced', 'progress 99%', ''])
+  assert.deepEqual(screen.cursor, { row: 2, col: 12 })
+
+  const fullScreen = renderTerminalScreen('shell$ \u001b[?1049h\u001b[2J\u001b[Htop view', { cols: 20, rows: 3 })
+  assert.equal(fullScreen.alternateScreen, true)
+  assert.deepEqual(fullScreen.lines, ['top view', '', ''])
+  const restored = renderTerminalScreen('shell$ \u001b[?1049hview\u001b[?1049l', { cols: 20, rows: 3 })
+  assert.deepEqual(restored.lines, ['shell$', '', ''])
+
+  const wrapped = renderTerminalScreen('1234567890abc\r\nx\r\ny\r\nz', { cols: 10, rows: 3 })
+  assert.deepEqual(wrapped.lines, ['x', 'y', 'z'])
+})
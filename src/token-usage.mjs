@@ -0,0 +1,143 @@
+/**
+ * Token usage and cost accounting for agent turns.
+ *
+ * Agents report usage in their own shapes; everything here is reduced to one
+ * record:
+ *
+ *   { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd?, turns }
+ *
+ * `inputTokens` excludes cached input (providers that fold cache reads into
+ * their input count have them subtracted), `outputTokens` includes reasoning
+ * tokens, and `costUsd` is present only when the agent reported a cost.
+ * `turns` counts the agent turns summed into the record.
+ */
+
+export const TOKEN_USAGE_FORMATS = new Set(['anthropic', 'openai', 'gemini', 'opencode', 'acp'])
+
+function toCount(value) {
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed) || parsed < 0) return 0
+  return Math.floor(parsed)
+}
+
+function toCost(value) {
+  const parsed = Number(value)
+  if (value === null || value === undefined || value === '' || !Number.isFinite(parsed) || parsed < 0) return undefined
+  return parsed
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6
+}
+
+function buildUsage({ inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd, turns = 1 }) {
+  const usage = {
+    inputTokens: toCount(inputTokens),
+    outputTokens: toCount(outputTokens),
+    cacheReadTokens: toCount(cacheReadTokens),
+    cacheWriteTokens: toCount(cacheWriteTokens),
+    turns: toCount(turns),
+  }
+  const cost = toCost(costUsd)
+  if (cost !== undefined) usage.costUsd = roundCost(cost)
+  const empty = usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens === 0
+  return empty && cost === undefined ? null : usage
+}
+
+/**
+ * Normalize an already-canonical usage record (e.g. read back from a run).
+ * @returns {object|null} null when the record carries no tokens and no cost
+ */
+export function normalizeTokenUsage(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null
+  return buildUsage(input)
+}
+
+/**
+ * Reduce an agent-reported usage payload to the canonical record.
+ * @param {object} raw - provider payload
+ * @param {'anthropic'|'openai'|'gemini'|'opencode'|'acp'} format
+ *   anthropic: Claude `usage` (input_tokens, cache_read_input_tokens, cache_creation_input_tokens)
+ *   openai:    Codex `usage` (input_tokens includes cached_input_tokens)
+ *   gemini:    Gemini CLI `stats` (input_tokens/output_tokens/cached, or prompt/candidates)
+ *   opencode:  OpenCode step `tokens` ({ input, output, reasoning, cache: { read, write } })
+ *   acp:       ACP prompt `usage` (inputTokens, outputTokens, thoughtTokens, cachedReadTokens, cachedWriteTokens)
+ * @param {{ costUsd?: number }} [extra] - cost reported next to the usage payload
+ * @returns {object|null}
+ */
+export function extractAgentTokenUsage(raw, format, { costUsd } = {}) {
+  const payload = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {}
+  switch (format) {
+    case 'anthropic':
+      return buildUsage({
+        inputTokens: payload.input_tokens,
+        outputTokens: payload.output_tokens,
+        cacheReadTokens: payload.cache_read_input_tokens,
+        cacheWriteTokens: payload.cache_creation_input_tokens,
+        costUsd,
+      })
+    case 'openai': {
+      const cached = toCount(payload.cached_input_tokens ?? payload.input_tokens_details?.cached_tokens)
+      return buildUsage({
+        inputTokens: Math.max(0, toCount(payload.input_tokens) - cached),
+        outputTokens: payload.output_tokens,
+        cacheReadTokens: cached,
+        costUsd,
+      })
+    }
+    case 'gemini': {
+      const cached = toCount(payload.cached ?? payload.cached_tokens)
+      return buildUsage({
+        inputTokens: Math.max(0, toCount(payload.input_tokens ?? payload.prompt) - cached),
+        outputTokens: toCount(payload.output_tokens ?? payload.candidates) + toCount(payload.thoughts),
+        cacheReadTokens: cached,
+        costUsd,
+      })
+    }
+    case 'opencode':
+      return buildUsage({
+        inputTokens: payload.input,
+        outputTokens: toCount(payload.output) + toCount(payload.reasoning),
+        cacheReadTokens: payload.cache?.read,
+        cacheWriteTokens: payload.cache?.write,
+        costUsd,
+      })
+    case 'acp':
+      return buildUsage({
+        inputTokens: payload.inputTokens,
+        outputTokens: toCount(payload.outputTokens) + toCount(payload.thoughtTokens),
+        cacheReadTokens: payload.cachedReadTokens,
+        cacheWriteTokens: payload.cachedWriteTokens,
+        costUsd,
+      })
+    default:
+      return null
+  }
+}
+
+/**
+ * Sum two usage records. Either side may be null; cost is kept when either
+ * side reported one.
+ */
+export function addTokenUsage(left, right) {
+  const a = normalizeTokenUsage(left)
+  const b = normalizeTokenUsage(right)
+  if (!a) return b
+  if (!b) return a
+  const hasCost = a.costUsd !== undefined || b.costUsd !== undefined
+  return buildUsage({
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cacheReadTokens: a.cacheReadTokens + b.cacheReadTokens,
+    cacheWriteTokens: a.cacheWriteTokens + b.cacheWriteTokens,
+    turns: a.turns + b.turns,
+    costUsd: hasCost ? (a.costUsd || 0) + (b.costUsd || 0) : undefined,
+  })
+}
+
+/** Tokens a turn put through the model's context: all input, cached or not. */
+export function countContextInputTokens(usage) {
+  const normalized = normalizeTokenUsage(usage)
+  if (!normalized) return 0
+  return normalized.inputTokens + normalized.cacheReadTokens + normalized.cacheWriteTokens
+}
@@ -0,0 +1,87 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseAgentLine } from './acp-events.mjs'
+import { getAcpAgentAdapter } from './acp-adapters.mjs'
+import {
+  addTokenUsage,
+  countContextInputTokens,
+  extractAgentTokenUsage,
+  normalizeTokenUsage,
+} from './token-usage.mjs'
+
+function fakeSession(agentType) {
+  return { agentType, currentTurnId: 'turn-1', toolCallsById: new Map(), pendingTokenUsage: null }
+}
+
+test('extractAgentTokenUsage maps each provider shape onto the canonical record', () => {
+  assert.deepEqual(
+    extractAgentTokenUsage(
+      { input_tokens: 12, output_tokens: 40, cache_read_input_tokens: 900, cache_creation_input_tokens: 50 },
+      'anthropic',
+      { costUsd: 0.0123 },
+    ),
+    { inputTokens: 12, outputTokens: 40, cacheReadTokens: 900, cacheWriteTokens: 50, turns: 1, costUsd: 0.0123 },
+  )
+  // Codex folds cached input into input_tokens.
+  assert.deepEqual(
+    extractAgentTokenUsage({ input_tokens: 1000, cached_input_tokens: 800, output_tokens: 25 }, 'openai'),
+    { inputTokens: 200, outputTokens: 25, cacheReadTokens: 800, cacheWriteTokens: 0, turns: 1 },
+  )
+  assert.equal(extractAgentTokenUsage({ input_tokens: 30, output_tokens: 5, cached: 10 }, 'gemini').inputTokens, 20)
+  assert.deepEqual(
+    extractAgentTokenUsage({ input: 7, output: 3, reasoning: 2, cache: { read: 100, write: 4 } }, 'opencode', { costUsd: 0 }),
+    { inputTokens: 7, outputTokens: 5, cacheReadTokens: 100, cacheWriteTokens: 4, turns: 1, costUsd: 0 },
+  )
+  assert.equal(extractAgentTokenUsage({ inputTokens: 3, outputTokens: 4, thoughtTokens: 6 }, 'acp').outputTokens, 10)
+  assert.equal(extractAgentTokenUsage({ total_tokens: 10 }, 'gemini'), null)
+  assert.equal(extractAgentTokenUsage(null, 'anthropic'), null)
+})
+
+test('addTokenUsage sums counts, turns and any reported cost', () => {
+  const a = normalizeTokenUsage({ inputTokens: 10, outputTokens: 1, turns: 1 })
+  const b = normalizeTokenUsage({ inputTokens: 5, outputTokens: 2, cacheReadTokens: 100, costUsd: 0.5, turns: 1 })
+  assert.deepEqual(addTokenUsage(a, b), {
+    inputTokens: 15,
+    outputTokens: 3,
+    cacheReadTokens: 100,
+    cacheWriteTokens: 0,
+    turns: 2,
+    costUsd: 0.5,
+  })
+  assert.deepEqual(addTokenUsage(null, a), a)
+  assert.equal(addTokenUsage(null, undefined), null)
+  assert.equal(countContextInputTokens(b), 105)
+})
+
+test('agent done events carry tokenUsage for claude-code, codex and opencode turns', () => {
+  const [claudeDone] = parseAgentLine(
+    JSON.stringify({ type: 'result', subtype: 'success', result: 'ok', total_cost_usd: 0.02, usage: { input_tokens: 3, output_tokens: 9, cache_read_input_tokens: 40 } }),
+    fakeSession('claude-code'),
+    getAcpAgentAdapter('claude-code'),
+  )
+  assert.deepEqual(claudeDone.tokenUsage, { inputTokens: 3, outputTokens: 9, cacheReadTokens: 40, cacheWriteTokens: 0, turns: 1, costUsd: 0.02 })
+
+  const [codexDone] = parseAgentLine(
+    JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 50, cached_input_tokens: 20, output_tokens: 8 } }),
+    fakeSession('codex'),
+    getAcpAgentAdapter('codex'),
+  )
+  assert.equal(codexDone.tokenUsage.inputTokens, 30)
+  assert.deepEqual(codexDone.usage, { input_tokens: 50, cached_input_tokens: 20, output_tokens: 8 })
+
+  const opencodeSession = fakeSession('opencode')
+  const opencode = getAcpAgentAdapter('opencode')
+  assert.deepEqual(parseAgentLine(
+    JSON.stringify({ type: 'step_finish', part: { reason: 'tool-calls', cost: 0.01, tokens: { input: 10, output: 2, reasoning: 0, cache: { read: 0, write: 0 } } } }),
+    opencodeSession,
+    opencode,
+  ), [])
+  const [opencodeDone] = parseAgentLine(
+    JSON.stringify({ type: 'step_finish', part: { reason: 'stop', cost: 0.02, tokens: { input: 5, output: 1, reasoning: 1, cache: { read: 30, write: 0 } } } }),
+    opencodeSession,
+    opencode,
+  )
+  assert.deepEqual(opencodeDone.tokenUsage, { inputTokens: 15, outputTokens: 4, cacheReadTokens: 30, cacheWriteTokens: 0, turns: 1, costUsd: 0.03 })
+  assert.equal(opencodeSession.pendingTokenUsage, null)
+})
@@ -0,0 +1,186 @@
+/**
+ * Token usage ledger.
+ *
+ * Agent-reported turn usage (token-usage.mjs) summed into day buckets keyed
+ * by `YYYY-MM-DD|agentType|jobId|sessionKey`, so reports can be cut per day,
+ * per automation job, per persistent session and per agent over any date
+ * range. Days are UTC, matching the persistent-session day rollups.
+ * File layout mirrors automation-rollup-store.mjs:
+ *   primary:  <configDir>/usage-ledger.json
+ *   backup:   <configDir>/usage-ledger.json.bak
+ *   temp:     <configDir>/usage-ledger.json.tmp
+ */
+
+import path from 'node:path'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import { createFileBackedStore } from './file-backed-store.mjs'
+import { addTokenUsage, normalizeTokenUsage } from './token-usage.mjs'
+
+const STORE_FILE = 'usage-ledger.json'
+const STORE_BAK = 'usage-ledger.json.bak'
+const STORE_TMP = 'usage-ledger.json.tmp'
+
+export const USAGE_RETENTION_DAYS = 400
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+let store = { buckets: {} }
+let loaded = false
+let loadingPromise = null
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function normalizeKeyPart(value) {
+  return typeof value === 'string' ? value.trim().replace(/\|/g, '_') : ''
+}
+
+function normalizePersistentKey(value) {
+  const key = normalizeKeyPart(value)
+  return key.startsWith('persistent:') && key.length > 'persistent:'.length ? key : ''
+}
+
+export function toUsageDate(timestamp) {
+  const parsed = Number(timestamp)
+  return new Date(Number.isFinite(parsed) && parsed > 0 ? parsed : Date.now()).toISOString().slice(0, 10)
+}
+
+/** Validate a `YYYY-MM-DD` report bound; returns '' when absent, null when malformed. */
+export function normalizeUsageDate(value) {
+  if (value === undefined || value === null || value === '') return ''
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null
+  return Number.isNaN(Date.parse(`${value}T00:00:00Z`)) ? null : value
+}
+
+const storage = createFileBackedStore({
+  label: 'usage-store',
+  primaryPath: () => path.join(getConfigDir(), STORE_FILE),
+  backupPath: () => path.join(getConfigDir(), STORE_BAK),
+  tmpPath: () => path.join(getConfigDir(), STORE_TMP),
+  fileMode: 0o600,
+  ensureDir: ensureConfigDir,
+  fallbackState: () => ({ buckets: {} }),
+  parse: (raw) => {
+    const parsed = JSON.parse(raw)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return { buckets: parsed.buckets && typeof parsed.buckets === 'object' ? parsed.buckets : {} }
+    }
+    return { buckets: {} }
+  },
+  serialize: (snapshot) => JSON.stringify(snapshot, null, 2),
+  logger: console,
+})
+
+function saveStore() {
+  return storage.persistSnapshot(clone(store))
+}
+
+async function ensureLoaded() {
+  if (loaded) return
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      await ensureConfigDir()
+      const loadedStore = await storage.load()
+      store = loadedStore.state || { buckets: {} }
+      loaded = true
+    })().finally(() => {
+      loadingPromise = null
+    })
+  }
+  await loadingPromise
+}
+
+function sweepExpiredBuckets(today) {
+  const cutoff = new Date(Date.parse(`${today}T00:00:00Z`) - USAGE_RETENTION_DAYS * 86_400_000)
+    .toISOString()
+    .slice(0, 10)
+  for (const [key, bucket] of Object.entries(store.buckets)) {
+    if (!bucket || typeof bucket.date !== 'string' || bucket.date < cutoff) delete store.buckets[key]
+  }
+}
+
+export async function loadUsageStore() {
+  await ensureLoaded()
+}
+
+export async function flushUsageStore() {
+  await storage.flush()
+}
+
+/**
+ * Add one turn's usage to its day bucket.
+ * @param {object} entry
+ * @param {object} entry.usage - canonical usage (token-usage.mjs)
+ * @param {number} [entry.at] - when the turn finished
+ * @param {string} [entry.agentType]
+ * @param {string} [entry.jobId] - automation job id, if the run came from one
+ * @param {string} [entry.sessionKey] - `persistent:<id>` session target, if any
+ * @returns {Promise<object|null>} the updated bucket
+ */
+export async function recordTokenUsage({ usage, at = Date.now(), agentType = '', jobId = '', sessionKey = '' } = {}) {
+  const normalizedUsage = normalizeTokenUsage(usage)
+  if (!normalizedUsage) return null
+  await ensureLoaded()
+  const date = toUsageDate(at)
+  const bucket = {
+    date,
+    agentType: normalizeKeyPart(agentType),
+    jobId: normalizeKeyPart(jobId),
+    sessionKey: normalizePersistentKey(sessionKey),
+  }
+  const key = [bucket.date, bucket.agentType, bucket.jobId, bucket.sessionKey].join('|')
+  store.buckets[key] = {
+    ...bucket,
+    usage: addTokenUsage(store.buckets[key]?.usage, normalizedUsage),
+  }
+  sweepExpiredBuckets(date)
+  await saveStore()
+  return clone(store.buckets[key])
+}
+
+function groupBuckets(buckets, pick) {
+  const groups = new Map()
+  for (const bucket of buckets) {
+    const key = pick(bucket)
+    if (!key) continue
+    groups.set(key, addTokenUsage(groups.get(key), bucket.usage))
+  }
+  return Array.from(groups.entries())
+    .map(([key, usage]) => ({ key, usage }))
+    .sort((a, b) => a.key.localeCompare(b.key))
+}
+
+/**
+ * Usage between `from` and `to` (inclusive `YYYY-MM-DD`, either may be
+ * empty), optionally narrowed to one job or persistent session.
+ * @returns {Promise<{ from: string|null, to: string|null, totals: object|null,
+ *   byDay: object[], byJob: object[], bySession: object[], byAgent: object[] }>}
+ */
+export async function buildUsageReport({ from = '', to = '', jobId = '', sessionKey = '' } = {}) {
+  await ensureLoaded()
+  const buckets = Object.values(store.buckets).filter((bucket) => (
+    bucket
+    && (!from || bucket.date >= from)
+    && (!to || bucket.date <= to)
+    && (!jobId || bucket.jobId === jobId)
+    && (!sessionKey || bucket.sessionKey === sessionKey)
+  ))
+  return {
+    from: from || null,
+    to: to || null,
+    totals: buckets.reduce((total, bucket) => addTokenUsage(total, bucket.usage), null),
+    byDay: groupBuckets(buckets, (bucket) => bucket.date),
+    byJob: groupBuckets(buckets, (bucket) => bucket.jobId),
+    bySession: groupBuckets(buckets, (bucket) => bucket.sessionKey),
+    byAgent: groupBuckets(buckets, (bucket) => bucket.agentType),
+  }
+}
+
+export async function clearUsageStoreForTests() {
+  await storage.flush()
+  storage.reset()
+  store = { buckets: {} }
+  loaded = true
+  loadingPromise = null
+  await saveStore()
+}
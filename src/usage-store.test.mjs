@@ -0,0 +1,85 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtemp, rm } from 'node:fs/promises'
+
+async function withTempConfig(run) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-usage-store-'))
+  const prevDir = process.env.TRAPEZOHE_CONFIG_DIR
+  process.env.TRAPEZOHE_CONFIG_DIR = dir
+  try {
+    const mod = await import(`./usage-store.mjs?bust=${Date.now()}-${Math.random()}`)
+    await mod.clearUsageStoreForTests()
+    await run(mod, dir)
+    await mod.flushUsageStore()
+  } finally {
+    if (prevDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+    else process.env.TRAPEZOHE_CONFIG_DIR = prevDir
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+const DAY1 = Date.parse('2026-03-01T10:00:00Z')
+const DAY2 = Date.parse('2026-03-02T23:30:00Z')
+
+test('usage store sums turns into day buckets and reports by day, job, session and agent', async () => {
+  await withTempConfig(async (store) => {
+    await store.recordTokenUsage({
+      at: DAY1,
+      agentType: 'claude-code',
+      jobId: 'job-a',
+      sessionKey: 'persistent:research',
+      usage: { inputTokens: 10, outputTokens: 5, cacheReadTokens: 100, turns: 1, costUsd: 0.01 },
+    })
+    await store.recordTokenUsage({
+      at: DAY1 + 60_000,
+      agentType: 'claude-code',
+      jobId: 'job-a',
+      sessionKey: 'persistent:research',
+      usage: { inputTokens: 20, outputTokens: 5, turns: 1, costUsd: 0.02 },
+    })
+    await store.recordTokenUsage({
+      at: DAY2,
+      agentType: 'codex',
+      sessionKey: 'isolated',
+      usage: { inputTokens: 7, outputTokens: 3, turns: 1 },
+    })
+    assert.equal(await store.recordTokenUsage({ at: DAY2, usage: {} }), null)
+
+    const report = await store.buildUsageReport()
+    assert.deepEqual(report.totals, {
+      inputTokens: 37,
+      outputTokens: 13,
+      cacheReadTokens: 100,
+      cacheWriteTokens: 0,
+      turns: 3,
+      costUsd: 0.03,
+    })
+    assert.deepEqual(report.byDay.map((group) => [group.key, group.usage.turns]), [['2026-03-01', 2], ['2026-03-02', 1]])
+    assert.deepEqual(report.byJob.map((group) => group.key), ['job-a'])
+    // Only persistent session targets are attributed to a session.
+    assert.deepEqual(report.bySession.map((group) => group.key), ['persistent:research'])
+    assert.deepEqual(report.byAgent.map((group) => [group.key, group.usage.inputTokens]), [['claude-code', 30], ['codex', 7]])
+
+    const ranged = await store.buildUsageReport({ from: '2026-03-02', to: '2026-03-02' })
+    assert.equal(ranged.totals.turns, 1)
+    assert.equal(ranged.from, '2026-03-02')
+    assert.equal((await store.buildUsageReport({ jobId: 'job-a' })).totals.turns, 2)
+    assert.equal((await store.buildUsageReport({ from: '2026-04-01' })).totals, null)
+  })
+})
+
+test('usage store persists across reimport and validates report dates', async () => {
+  await withTempConfig(async (store) => {
+    await store.recordTokenUsage({ at: DAY1, agentType: 'gemini', usage: { inputTokens: 4, outputTokens: 2, turns: 1 } })
+    await store.flushUsageStore()
+    const reloaded = await import(`./usage-store.mjs?bust=${Date.now()}-${Math.random()}`)
+    assert.equal((await reloaded.buildUsageReport()).totals.inputTokens, 4)
+
+    assert.equal(store.normalizeUsageDate('2026-03-01'), '2026-03-01')
+    assert.equal(store.normalizeUsageDate(''), '')
+    assert.equal(store.normalizeUsageDate('2026-3-1'), null)
+    assert.equal(store.normalizeUsageDate('2026-02-31x'), null)
+  })
+})
@@ -0,0 +1,499 @@
+/**
+ * Durable webhook delivery for automation results.
+ *
+ * A delivery is stored before its first attempt and retried with exponential
+ * backoff until it succeeds or runs out of attempts; pending deliveries
+ * survive restarts and are picked up by the delivery worker. Deliveries that
+ * are exhausted, or get a non-retryable response (4xx other than 408, 425
+ * and 429), move to a dead-letter list where they can be inspected,
+ * redriven or discarded.
+ *
+ * Webhook target (the job's `delivery.target`):
+ *   url              http(s) endpoint (required)
+ *   headers          extra request headers
+ *   secret           HMAC-SHA256 signing secret, or
+ *   secretEnv        the name of an env var holding it
+ *   payloadTemplate  JSON body with {{placeholders}} (default: the plain result)
+ *   idempotencyKey   Idempotency-Key template (default: the run id)
+ *   maxAttempts      1-20 (default 6)
+ *
+ * Signed requests carry `X-Trapezohe-Timestamp` (unix seconds) and
+ * `X-Trapezohe-Signature: sha256=<hex>`, the HMAC of `<timestamp>.<body>`.
+ *
+ *   store: <configDir>/webhook-deliveries.json (+ .bak / .tmp)
+ */
+
+import { createHmac, randomBytes } from 'node:crypto'
+import path from 'node:path'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import { createFileBackedStore } from './file-backed-store.mjs'
+import { isPlainObject } from './normalize.mjs'
+import { getRunById, updateRun } from './run-store.mjs'
+
+const STORE_FILE = 'webhook-deliveries.json'
+const STORE_BAK = 'webhook-deliveries.json.bak'
+const STORE_TMP = 'webhook-deliveries.json.tmp'
+const DEFAULT_MAX_ATTEMPTS = 6
+const MAX_ATTEMPTS_LIMIT = 20
+const BASE_BACKOFF_MS = 30_000
+const MAX_BACKOFF_MS = 60 * 60_000
+const REQUEST_TIMEOUT_MS = 15_000
+const WORKER_INTERVAL_MS = 15_000
+const MAX_DEAD_LETTERS = 500
+const MAX_ERROR_CHARS = 500
+const RETRYABLE_STATUSES = new Set([408, 425, 429])
+const HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Trapezohe-Signature'
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-Trapezohe-Timestamp'
+
+// Set by the companion for every request; a target cannot override them.
+const RESERVED_HEADERS = new Set([
+  'content-type',
+  'content-length',
+  'host',
+  'idempotency-key',
+  'x-trapezohe-delivery',
+  'x-trapezohe-attempt',
+  WEBHOOK_SIGNATURE_HEADER.toLowerCase(),
+  WEBHOOK_TIMESTAMP_HEADER.toLowerCase(),
+])
+
+let store = { deliveries: [], deadLetters: [] }
+let loaded = false
+let loadingPromise = null
+let workerTimer = null
+let processing = null
+const inFlight = new Set()
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function deliveryError(message, code) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+const storage = createFileBackedStore({
+  label: 'webhook-delivery-store',
+  primaryPath: () => path.join(getConfigDir(), STORE_FILE),
+  backupPath: () => path.join(getConfigDir(), STORE_BAK),
+  tmpPath: () => path.join(getConfigDir(), STORE_TMP),
+  fileMode: 0o600,
+  ensureDir: ensureConfigDir,
+  fallbackState: () => ({ deliveries: [], deadLetters: [] }),
+  parse: (raw) => {
+    const parsed = JSON.parse(raw)
+    return {
+      deliveries: Array.isArray(parsed?.deliveries) ? parsed.deliveries.filter((entry) => entry?.id && entry.url) : [],
+      deadLetters: Array.isArray(parsed?.deadLetters) ? parsed.deadLetters.filter((entry) => entry?.id && entry.url) : [],
+    }
+  },
+  serialize: (snapshot) => JSON.stringify(snapshot, null, 2),
+  logger: console,
+})
+
+function saveStore() {
+  return storage.persistSnapshot(clone(store))
+}
+
+export async function loadWebhookDeliveryStore() {
+  const loadedStore = await storage.load()
+  store = loadedStore.state || { deliveries: [], deadLetters: [] }
+  loaded = true
+  return { pending: store.deliveries.length, deadLetters: store.deadLetters.length }
+}
+
+async function ensureLoaded() {
+  if (loaded) return
+  if (!loadingPromise) {
+    loadingPromise = loadWebhookDeliveryStore().finally(() => {
+      loadingPromise = null
+    })
+  }
+  await loadingPromise
+}
+
+// ── Targets and requests ──
+
+/**
+ * Validate a webhook delivery target. Throws with a message naming the bad
+ * field.
+ */
+export function normalizeWebhookTarget(target) {
+  if (!isPlainObject(target)) throw deliveryError('webhook_target_missing', 'invalid_target')
+  const url = typeof target.url === 'string' ? target.url.trim() : ''
+  if (!url) throw deliveryError('webhook_target_missing', 'invalid_target')
+  let parsedUrl
+  try {
+    parsedUrl = new URL(url)
+  } catch {
+    throw deliveryError('webhook target url is not a valid URL.', 'invalid_target')
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    throw deliveryError('webhook target url must use http or https.', 'invalid_target')
+  }
+
+  const headers = {}
+  if (target.headers !== undefined) {
+    if (!isPlainObject(target.headers)) throw deliveryError('webhook target headers must be an object.', 'invalid_target')
+    for (const [name, value] of Object.entries(target.headers)) {
+      if (!HEADER_NAME_RE.test(name) || typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw deliveryError(`webhook target header "${name}" is not a valid header.`, 'invalid_target')
+      }
+      if (RESERVED_HEADERS.has(name.toLowerCase())) {
+        throw deliveryError(`webhook target header "${name}" is set by the companion.`, 'invalid_target')
+      }
+      headers[name] = value
+    }
+  }
+
+  const maxAttempts = target.maxAttempts === undefined ? DEFAULT_MAX_ATTEMPTS : Number(target.maxAttempts)
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    throw deliveryError(`webhook target maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}.`, 'invalid_target')
+  }
+  for (const key of ['secret', 'secretEnv', 'idempotencyKey']) {
+    if (target[key] !== undefined && (typeof target[key] !== 'string' || !target[key].trim())) {
+      throw deliveryError(`webhook target ${key} must be a non-empty string.`, 'invalid_target')
+    }
+  }
+
+  return {
+    url: parsedUrl.toString(),
+    headers,
+    ...(target.secret ? { secret: target.secret } : {}),
+    ...(target.secretEnv ? { secretEnv: target.secretEnv.trim() } : {}),
+    ...(target.payloadTemplate !== undefined ? { payloadTemplate: clone(target.payloadTemplate) } : {}),
+    ...(target.idempotencyKey ? { idempotencyKey: target.idempotencyKey.trim() } : {}),
+    maxAttempts,
+  }
+}
+
+function fillPlaceholders(text, variables) {
+  return text.replace(/\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g, (_, name) => {
+    const value = variables[name]
+    return value === undefined || value === null ? '' : String(value)
+  })
+}
+
+/**
+ * Render a payload template. Strings have their `{{name}}` placeholders
+ * filled in; a string that is a single placeholder takes the variable's
+ * value as-is, so numbers stay numbers.
+ */
+export function renderWebhookPayload(template, variables) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}$/)
+    if (whole) return variables[whole[1]] ?? null
+    return fillPlaceholders(template, variables)
+  }
+  if (Array.isArray(template)) return template.map((item) => renderWebhookPayload(item, variables))
+  if (isPlainObject(template)) {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderWebhookPayload(value, variables)]))
+  }
+  return template
+}
+
+/** `sha256=<hex>` HMAC of `<timestamp>.<body>`. */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+function resolveSecret(delivery) {
+  if (delivery.secret) return delivery.secret
+  if (delivery.secretEnv) {
+    const value = process.env[delivery.secretEnv]
+    if (!value) throw deliveryError(`webhook_secret_missing:${delivery.secretEnv}`, 'secret_missing')
+    return value
+  }
+  return null
+}
+
+function buildRequest(delivery, now) {
+  const headers = {
+    ...delivery.headers,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Idempotency-Key': delivery.idempotencyKey,
+    'X-Trapezohe-Delivery': delivery.id,
+    'X-Trapezohe-Attempt': String(delivery.attempts + 1),
+  }
+  const secret = resolveSecret(delivery)
+  if (secret) {
+    const timestamp = String(Math.floor(now / 1000))
+    headers[WEBHOOK_TIMESTAMP_HEADER] = timestamp
+    headers[WEBHOOK_SIGNATURE_HEADER] = signWebhookPayload(secret, timestamp, delivery.body)
+  }
+  return { method: 'POST', headers, body: delivery.body }
+}
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MS)
+}
+
+function retryAfterMs(response) {
+  const raw = response?.headers?.get?.('retry-after')
+  if (!raw) return null
+  const seconds = Number(raw)
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(raw) - Date.now()
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_BACKOFF_MS) : null
+}
+
+function compactError(message) {
+  const text = String(message || 'unknown error')
+  return text.length > MAX_ERROR_CHARS ? `${text.slice(0, MAX_ERROR_CHARS)}…` : text
+}
+
+// ── Run ledger ──
+
+async function recordRunDeliveryState(delivery, state) {
+  const run = await getRunById(delivery.runId).catch(() => null)
+  if (!run) return
+  await updateRun(delivery.runId, {
+    deliveryState: {
+      channel: 'webhook',
+      state,
+      attempts: delivery.attempts,
+      lastAttemptAt: delivery.lastAttemptAt,
+      ...(state === 'retrying' ? { nextAttemptAt: delivery.nextAttemptAt } : {}),
+      deliveryId: delivery.id,
+    },
+    meta: {
+      ...(run.meta || {}),
+      deliveryError: state === 'delivered' ? null : delivery.lastError,
+    },
+  }).catch(() => undefined)
+}
+
+// ── Attempts ──
+
+function toDeadLetter(delivery, now) {
+  store.deliveries = store.deliveries.filter((entry) => entry.id !== delivery.id)
+  delivery.state = 'dead'
+  delivery.nextAttemptAt = null
+  delivery.deadAt = now
+  store.deadLetters.unshift(delivery)
+  if (store.deadLetters.length > MAX_DEAD_LETTERS) store.deadLetters = store.deadLetters.slice(0, MAX_DEAD_LETTERS)
+}
+
+async function attemptDelivery(delivery, { fetchImpl = fetch } = {}) {
+  inFlight.add(delivery.id)
+  const now = Date.now()
+  let retryable = true
+  let retryAfter = null
+  let outcome = 'retrying'
+  delivery.lastAttemptAt = now
+  try {
+    const request = buildRequest(delivery, now)
+    delivery.attempts += 1
+    const response = await fetchImpl(delivery.url, { ...request, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+    delivery.lastStatus = response?.status ?? null
+    if (response?.ok) {
+      outcome = 'delivered'
+    } else {
+      const status = response?.status ?? 0
+      retryable = status >= 500 || RETRYABLE_STATUSES.has(status)
+      retryAfter = retryAfterMs(response)
+      delivery.lastError = `webhook_delivery_failed:${status || 'unknown'}`
+    }
+  } catch (err) {
+    // Without its secret a delivery cannot be signed; retrying will not help.
+    if (err?.code === 'secret_missing') retryable = false
+    delivery.lastStatus = null
+    delivery.lastError = compactError(err?.name === 'TimeoutError' ? 'webhook_delivery_timeout' : err?.message)
+  } finally {
+    inFlight.delete(delivery.id)
+  }
+
+  if (outcome === 'delivered') {
+    delivery.lastError = null
+    delivery.state = 'delivered'
+    store.deliveries = store.deliveries.filter((entry) => entry.id !== delivery.id)
+  } else if (!retryable || delivery.attempts >= delivery.maxAttempts) {
+    outcome = 'dead'
+    toDeadLetter(delivery, now)
+  } else {
+    delivery.nextAttemptAt = now + Math.max(backoffMs(delivery.attempts), retryAfter || 0)
+  }
+  await saveStore()
+  await recordRunDeliveryState(delivery, outcome === 'dead' ? 'dead_letter' : outcome)
+  return { outcome, delivery: toPublicDelivery(delivery) }
+}
+
+/** A delivery as returned by the API: the body stays, the secret does not. */
+function toPublicDelivery(delivery) {
+  const { secret, ...rest } = delivery
+  return { ...clone(rest), signed: Boolean(secret || delivery.secretEnv) }
+}
+
+/**
+ * Store a webhook delivery for an automation run and make the first attempt.
+ * @param {{ runId: string, taskId?: string, taskName?: string, sessionId?: string, text: string, target: object, createdAt?: number }} input
+ * @returns {Promise<{ outcome: 'delivered'|'retrying'|'dead', delivery: object }>}
+ */
+export async function enqueueWebhookDelivery(input, { fetchImpl } = {}) {
+  await ensureLoaded()
+  const target = normalizeWebhookTarget(input?.target)
+  const createdAt = Number.isFinite(input?.createdAt) ? input.createdAt : Date.now()
+  const variables = {
+    id: input.runId,
+    runId: input.runId,
+    taskId: input.taskId || '',
+    taskName: input.taskName || '',
+    sessionId: input.sessionId || '',
+    text: input.text,
+    createdAt,
+  }
+  const payload = target.payloadTemplate !== undefined
+    ? renderWebhookPayload(target.payloadTemplate, variables)
+    : variables
+  const delivery = {
+    id: `whd_${randomBytes(8).toString('hex')}`,
+    runId: input.runId,
+    taskId: variables.taskId,
+    taskName: variables.taskName,
+    url: target.url,
+    headers: target.headers,
+    ...(target.secret ? { secret: target.secret } : {}),
+    ...(target.secretEnv ? { secretEnv: target.secretEnv } : {}),
+    idempotencyKey: target.idempotencyKey ? fillPlaceholders(target.idempotencyKey, variables) : input.runId,
+    body: JSON.stringify(payload),
+    state: 'pending',
+    attempts: 0,
+    maxAttempts: target.maxAttempts,
+    createdAt,
+    lastAttemptAt: null,
+    nextAttemptAt: Date.now(),
+    lastStatus: null,
+    lastError: null,
+  }
+  store.deliveries.push(delivery)
+  await saveStore()
+  return attemptDelivery(delivery, { fetchImpl })
+}
+
+/**
+ * Attempt every pending delivery whose retry time has come. Overlapping
+ * calls share one pass.
+ * @returns {Promise<{ attempted: number, delivered: number, dead: number }>}
+ */
+export function processDueWebhookDeliveries({ fetchImpl, now = Date.now() } = {}) {
+  if (processing) return processing
+  processing = (async () => {
+    await ensureLoaded()
+    const due = store.deliveries.filter((entry) => !inFlight.has(entry.id) && (entry.nextAttemptAt || 0) <= now)
+    const counts = { attempted: 0, delivered: 0, dead: 0 }
+    for (const delivery of due) {
+      const { outcome } = await attemptDelivery(delivery, { fetchImpl })
+      counts.attempted += 1
+      if (outcome === 'delivered') counts.delivered += 1
+      if (outcome === 'dead') counts.dead += 1
+    }
+    return counts
+  })().finally(() => {
+    processing = null
+  })
+  return processing
+}
+
+export function startWebhookDeliveryWorker() {
+  if (workerTimer) return
+  workerTimer = setInterval(() => {
+    void processDueWebhookDeliveries().catch((err) => {
+      console.warn(`[webhook-delivery] Retry pass failed: ${err.message}`)
+    })
+  }, WORKER_INTERVAL_MS)
+  if (workerTimer.unref) workerTimer.unref()
+}
+
+export function stopWebhookDeliveryWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer)
+    workerTimer = null
+  }
+}
+
+// ── Inspection and dead letters ──
+
+export async function listWebhookDeliveries() {
+  await ensureLoaded()
+  return store.deliveries.map(toPublicDelivery)
+}
+
+export async function listWebhookDeadLetters({ limit = 100, offset = 0 } = {}) {
+  await ensureLoaded()
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 100)))
+  const safeOffset = Math.max(0, Math.floor(Number(offset) || 0))
+  const items = store.deadLetters.slice(safeOffset, safeOffset + safeLimit)
+  return {
+    items: items.map(toPublicDelivery),
+    total: store.deadLetters.length,
+    limit: safeLimit,
+    offset: safeOffset,
+    hasMore: safeOffset + items.length < store.deadLetters.length,
+  }
+}
+
+export async function getWebhookDeadLetter(deliveryId) {
+  await ensureLoaded()
+  const delivery = store.deadLetters.find((entry) => entry.id === deliveryId)
+  return delivery ? toPublicDelivery(delivery) : null
+}
+
+/**
+ * Send a dead letter again with a fresh attempt budget. It keeps its id,
+ * body and idempotency key.
+ */
+export async function redriveWebhookDeadLetter(deliveryId, { fetchImpl } = {}) {
+  await ensureLoaded()
+  const delivery = store.deadLetters.find((entry) => entry.id === deliveryId)
+  if (!delivery) throw deliveryError(`Dead letter not found: ${deliveryId}`, 'not_found')
+  store.deadLetters = store.deadLetters.filter((entry) => entry.id !== deliveryId)
+  delete delivery.deadAt
+  delivery.state = 'pending'
+  delivery.redriveCount = (delivery.redriveCount || 0) + 1
+  delivery.attempts = 0
+  delivery.nextAttemptAt = Date.now()
+  store.deliveries.push(delivery)
+  await saveStore()
+  return attemptDelivery(delivery, { fetchImpl })
+}
+
+/** Drop a dead letter. Returns false when there is none by that id. */
+export async function discardWebhookDeadLetter(deliveryId) {
+  await ensureLoaded()
+  const before = store.deadLetters.length
+  store.deadLetters = store.deadLetters.filter((entry) => entry.id !== deliveryId)
+  if (store.deadLetters.length === before) return false
+  await saveStore()
+  return true
+}
+
+/** Pending and dead-letter counts for diagnostics. */
+export async function getWebhookDeliveryStats() {
+  await ensureLoaded()
+  const nextAttemptAt = store.deliveries
+    .map((entry) => entry.nextAttemptAt)
+    .filter(Number.isFinite)
+  return {
+    pending: store.deliveries.length,
+    deadLetters: store.deadLetters.length,
+    nextAttemptAt: nextAttemptAt.length > 0 ? Math.min(...nextAttemptAt) : null,
+  }
+}
+
+export async function flushWebhookDeliveryStore() {
+  await storage.flush()
+}
+
+export async function clearWebhookDeliveryStoreForTests() {
+  stopWebhookDeliveryWorker()
+  await storage.flush()
+  storage.reset()
+  store = { deliveries: [], deadLetters: [] }
+  loaded = true
+  loadingPromise = null
+  inFlight.clear()
+  await storage.persistSnapshot(clone(store))
+}
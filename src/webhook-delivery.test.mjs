@@ -0,0 +1,237 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createHmac } from 'node:crypto'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  clearWebhookDeliveryStoreForTests,
+  discardWebhookDeadLetter,
+  enqueueWebhookDelivery,
+  flushWebhookDeliveryStore,
+  getWebhookDeliveryStats,
+  listWebhookDeadLetters,
+  listWebhookDeliveries,
+  loadWebhookDeliveryStore,
+  normalizeWebhookTarget,
+  processDueWebhookDeliveries,
+  redriveWebhookDeadLetter,
+  renderWebhookPayload,
+} from './webhook-delivery.mjs'
+import { clearRunStoreForTests, createRun, flushRunStore, getRunById } from './run-store.mjs'
+import { createCompanionServer } from './server.mjs'
+
+// Deliveries and runs are persisted; keep them out of the real config dir.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'webhook-delivery-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+after(async () => {
+  await clearWebhookDeliveryStoreForTests()
+  await flushRunStore()
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+})
+
+async function freshRun(runId) {
+  await clearWebhookDeliveryStoreForTests()
+  await clearRunStoreForTests()
+  return createRun({ runId, type: 'cron', state: 'done', meta: { taskId: 'task-1', taskName: 'Nightly' } })
+}
+
+function respondWith(statuses, calls = []) {
+  return async (url, init) => {
+    calls.push({ url, init })
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)]
+    return new Response('{}', { status })
+  }
+}
+
+test('normalizeWebhookTarget validates urls, headers, secrets and attempt budgets', () => {
+  assert.deepEqual(normalizeWebhookTarget({ url: 'https://hooks.example.com/x', headers: { 'X-Team': 'ops' } }), {
+    url: 'https://hooks.example.com/x',
+    headers: { 'X-Team': 'ops' },
+    maxAttempts: 6,
+  })
+  assert.throws(() => normalizeWebhookTarget(null), /webhook_target_missing/)
+  assert.throws(() => normalizeWebhookTarget({ url: 'ftp://example.com' }), /http or https/)
+  assert.throws(() => normalizeWebhookTarget({ url: 'https://x.test', headers: { 'Idempotency-Key': 'a' } }), /set by the companion/)
+  assert.throws(() => normalizeWebhookTarget({ url: 'https://x.test', headers: { 'X-Bad': 'a\r\nb' } }), /not a valid header/)
+  assert.throws(() => normalizeWebhookTarget({ url: 'https://x.test', maxAttempts: 0 }), /maxAttempts/)
+  assert.throws(() => normalizeWebhookTarget({ url: 'https://x.test', secret: '' }), /secret must be/)
+})
+
+test('renderWebhookPayload fills placeholders and keeps whole-value types', () => {
+  const rendered = renderWebhookPayload(
+    { text: '{{taskName}}: {{text}}', at: '{{createdAt}}', tags: ['{{runId}}', 'fixed'], missing: '{{nope}}', n: 3 },
+    { taskName: 'Nightly', text: 'All green', createdAt: 1700000000000, runId: 'run-1' },
+  )
+  assert.deepEqual(rendered, { text: 'Nightly: All green', at: 1700000000000, tags: ['run-1', 'fixed'], missing: null, n: 3 })
+})
+
+test('enqueueWebhookDelivery signs the request and sends the templated payload with an idempotency key', async () => {
+  await freshRun('run-signed')
+  process.env.TEST_WEBHOOK_SECRET = 'from-env'
+  const calls = []
+  const { outcome, delivery } = await enqueueWebhookDelivery({
+    runId: 'run-signed',
+    taskId: 'task-1',
+    taskName: 'Nightly',
+    text: 'All green',
+    target: {
+      url: 'https://hooks.example.com/in',
+      headers: { 'X-Team': 'ops' },
+      secretEnv: 'TEST_WEBHOOK_SECRET',
+      payloadTemplate: { content: '{{taskName}}: {{text}}' },
+      idempotencyKey: 'nightly-{{runId}}',
+    },
+  }, { fetchImpl: respondWith([200], calls) })
+  delete process.env.TEST_WEBHOOK_SECRET
+
+  assert.equal(outcome, 'delivered')
+  assert.equal(delivery.signed, true)
+  assert.equal('secret' in delivery, false)
+  const { headers, body } = calls[0].init
+  assert.equal(body, '{"content":"Nightly: All green"}')
+  assert.equal(headers['X-Team'], 'ops')
+  assert.equal(headers['Idempotency-Key'], 'nightly-run-signed')
+  assert.equal(headers['X-Trapezohe-Attempt'], '1')
+  const timestamp = headers['X-Trapezohe-Timestamp']
+  assert.match(timestamp, /^\d+$/)
+  const expected = createHmac('sha256', 'from-env').update(`${timestamp}.${body}`).digest('hex')
+  assert.equal(headers['X-Trapezohe-Signature'], `sha256=${expected}`)
+
+  const run = await getRunById('run-signed')
+  assert.equal(run.deliveryState.state, 'delivered')
+  assert.equal(run.deliveryState.deliveryId, delivery.id)
+  assert.equal(run.meta.deliveryError, null)
+  assert.deepEqual(await listWebhookDeliveries(), [])
+})
+
+test('failed deliveries back off, survive a reload and end up as dead letters', async () => {
+  await freshRun('run-retry')
+  const calls = []
+  const fetchImpl = respondWith([503, 503, 503], calls)
+  const first = await enqueueWebhookDelivery({
+    runId: 'run-retry',
+    text: 'Report',
+    target: { url: 'https://hooks.example.com/in', maxAttempts: 3 },
+  }, { fetchImpl })
+  assert.equal(first.outcome, 'retrying')
+  assert.ok(first.delivery.nextAttemptAt - Date.now() > 25_000)
+  assert.equal((await getRunById('run-retry')).deliveryState.state, 'retrying')
+
+  // Not due yet.
+  assert.equal((await processDueWebhookDeliveries({ fetchImpl })).attempted, 0)
+
+  // The pending delivery is on disk and comes back after a restart.
+  await flushWebhookDeliveryStore()
+  assert.deepEqual(await loadWebhookDeliveryStore(), { pending: 1, deadLetters: 0 })
+
+  assert.deepEqual(await processDueWebhookDeliveries({ fetchImpl, now: Date.now() + 31_000 }), { attempted: 1, delivered: 0, dead: 0 })
+  const [pending] = await listWebhookDeliveries()
+  assert.equal(pending.attempts, 2)
+  assert.ok(pending.nextAttemptAt - Date.now() > 55_000)
+  assert.deepEqual(await processDueWebhookDeliveries({ fetchImpl, now: Date.now() + 61_000 }), { attempted: 1, delivered: 0, dead: 1 })
+
+  assert.equal(calls.length, 3)
+  assert.deepEqual(calls.map((call) => call.init.headers['Idempotency-Key']), ['run-retry', 'run-retry', 'run-retry'])
+  const dead = await listWebhookDeadLetters()
+  assert.equal(dead.total, 1)
+  assert.equal(dead.items[0].lastError, 'webhook_delivery_failed:503')
+  assert.deepEqual(await getWebhookDeliveryStats(), { pending: 0, deadLetters: 1, nextAttemptAt: null })
+  const run = await getRunById('run-retry')
+  assert.equal(run.deliveryState.state, 'dead_letter')
+  assert.equal(run.deliveryState.attempts, 3)
+  assert.equal(run.meta.deliveryError, 'webhook_delivery_failed:503')
+})
+
+test('non-retryable responses dead-letter at once, and dead letters can be redriven or discarded', async () => {
+  await freshRun('run-dead')
+  const rejected = await enqueueWebhookDelivery({
+    runId: 'run-dead',
+    text: 'Report',
+    target: { url: 'https://hooks.example.com/in' },
+  }, { fetchImpl: respondWith([400]) })
+  assert.equal(rejected.outcome, 'dead')
+  assert.equal(rejected.delivery.attempts, 1)
+
+  const unsigned = await enqueueWebhookDelivery({
+    runId: 'run-dead',
+    text: 'Report',
+    target: { url: 'https://hooks.example.com/in', secretEnv: 'TEST_WEBHOOK_SECRET_UNSET' },
+  }, { fetchImpl: respondWith([200]) })
+  assert.equal(unsigned.outcome, 'dead')
+  assert.equal(unsigned.delivery.lastError, 'webhook_secret_missing:TEST_WEBHOOK_SECRET_UNSET')
+
+  const calls = []
+  const redriven = await redriveWebhookDeadLetter(rejected.delivery.id, { fetchImpl: respondWith([200], calls) })
+  assert.equal(redriven.outcome, 'delivered')
+  assert.equal(redriven.delivery.redriveCount, 1)
+  assert.equal(calls[0].init.headers['X-Trapezohe-Delivery'], rejected.delivery.id)
+  assert.equal((await getRunById('run-dead')).deliveryState.state, 'delivered')
+
+  await assert.rejects(redriveWebhookDeadLetter('missing'), /Dead letter not found/)
+  assert.equal(await discardWebhookDeadLetter(unsigned.delivery.id), true)
+  assert.equal(await discardWebhookDeadLetter(unsigned.delivery.id), false)
+  assert.equal((await listWebhookDeadLetters()).total, 0)
+})
+
+test('dead-letter routes list, redrive and discard deliveries', async (t) => {
+  await freshRun('run-routes')
+  const received = []
+  const receiver = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      received.push({ headers: req.headers, body })
+      res.writeHead(received.length === 1 ? 410 : 204)
+      res.end()
+    })
+  })
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise((resolve) => receiver.close(resolve)))
+  const hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`
+
+  const token = 'test-token'
+  const server = createCompanionServer({
+    token,
+    mcpManager: { getConnectedCount: () => 0, getAllTools: () => [], getServers: () => [], callTool: async () => ({}), restartServer: async () => {} },
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise((resolve) => server.close(resolve)))
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const api = async (endpoint, method = 'GET') => {
+    const res = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, Origin: 'chrome-extension://aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' },
+    })
+    return { status: res.status, body: await res.json() }
+  }
+
+  // The first request waits for the server to finish loading its stores.
+  assert.deepEqual((await api('/api/automation/webhooks/pending')).body, { deliveries: [] })
+  const { delivery } = await enqueueWebhookDelivery({ runId: 'run-routes', text: 'Report', target: { url: hookUrl, secret: 'shh' } })
+  assert.equal(delivery.state, 'dead')
+
+  const listed = await api('/api/automation/webhooks/dead-letters')
+  assert.equal(listed.status, 200)
+  assert.equal(listed.body.total, 1)
+  assert.equal(listed.body.items[0].lastStatus, 410)
+  assert.equal(JSON.stringify(listed.body).includes('shh'), false)
+  assert.equal((await api(`/api/automation/webhooks/dead-letters/${delivery.id}`)).body.delivery.id, delivery.id)
+
+  const redriven = await api(`/api/automation/webhooks/dead-letters/${delivery.id}/redrive`, 'POST')
+  assert.equal(redriven.status, 200)
+  assert.equal(redriven.body.outcome, 'delivered')
+  assert.equal(received.length, 2)
+  assert.match(received[1].headers['x-trapezohe-signature'], /^sha256=[0-9a-f]{64}$/)
+  assert.equal(JSON.parse(received[1].body).runId, 'run-routes')
+
+  assert.equal((await api(`/api/automation/webhooks/dead-letters/${delivery.id}/redrive`, 'POST')).status, 404)
+  assert.equal((await api(`/api/automation/webhooks/dead-letters/${delivery.id}`, 'DELETE')).status, 404)
+  const unauthorized = await fetch(`${baseUrl}/api/automation/webhooks/dead-letters`)
+  assert.equal(unauthorized.status, 401)
+})
@@ -2,7 +2,7 @@ import test, { after } from 'node:test'
 import assert from 'node:assert/strict'
 import os from 'node:os'
 import path from 'node:path'
-import { mkdtemp, rm } from 'node:fs/promises'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
 
 import { createCompanionServer } from './server.mjs'
 import { clearRunStoreForTests, createRun, loadRunStore } from './run-store.mjs'
@@ -12,6 +12,9 @@ import { clearBrowserLedgerForTests } from './browser-ledger.mjs'
 import { clearMemoryShadowStoreForTests } from './memory-shadow-store.mjs'
 import { clearMemoryShadowRefreshStateForTests } from './memory-shadow-publisher.mjs'
 import { clearCheckpointJobStoreForTests } from './checkpoint-job-runner.mjs'
+import { configureWorkflowTemplates, isMultiTurnTemplate } from './automation-workflow-templates.mjs'
+import { initializeAutomationWorkflow } from './automation-workflow.mjs'
+import { loadWorkflowTemplates } from './workflow-template-store.mjs'
 
 const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
 const testConfigDir = await mkdtemp(path.join(os.tmpdir(), 'trapezohe-workflow-status-test-'))
@@ -24,6 +27,7 @@ after(async () => {
   await clearMemoryShadowStoreForTests().catch(() => undefined)
   await clearMemoryShadowRefreshStateForTests().catch(() => undefined)
   await clearCheckpointJobStoreForTests().catch(() => undefined)
+  configureWorkflowTemplates([])
   if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
   else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
   await rm(testConfigDir, { recursive: true, force: true }).catch(() => undefined)
@@ -78,6 +82,27 @@ async function fetchStatus(ctx, params = '') {
   })
 }
 
+async function api(ctx, endpoint, { method = 'GET', body } = {}) {
+  const res = await fetch(`${ctx.baseUrl}${endpoint}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${ctx.token}`,
+      Origin: 'chrome-extension://aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+const REVIEW_TEMPLATE = {
+  description: 'Draft until the reviewer approves',
+  steps: [
+    { id: 'draft', kind: 'write' },
+    { id: 'review', kind: 'review', next: [{ to: 'draft', when: '!handoffData.approved', maxIterations: 2 }, 'end'] },
+  ],
+}
+
 test('GET /api/workflow/status returns 401 without auth', async () => {
   const ctx = await startServer()
   try {
@@ -132,3 +157,107 @@ test('GET /api/workflow/status returns run with workflow: null when no automatio
     await stopServer(ctx.server)
   }
 })
+
+test('workflow template routes store, list, reload and delete user-defined templates', async (t) => {
+  t.after(() => configureWorkflowTemplates([]))
+  const ctx = await startServer()
+  try {
+    const invalid = await api(ctx, '/api/workflow/templates/loop', {
+      method: 'PUT',
+      body: { steps: [{ id: 'a', kind: 'plan', next: 'a' }] },
+    })
+    assert.equal(invalid.status, 400)
+    assert.match(invalid.body.error, /maxIterations/)
+    assert.equal((await api(ctx, '/api/workflow/templates/research_synthesis', { method: 'PUT', body: REVIEW_TEMPLATE })).status, 400)
+    assert.equal((await api(ctx, '/api/workflow/templates/other', { method: 'PUT', body: { ...REVIEW_TEMPLATE, id: 'mismatch' } })).status, 400)
+
+    const saved = await api(ctx, '/api/workflow/templates/review_loop', { method: 'PUT', body: REVIEW_TEMPLATE })
+    assert.equal(saved.status, 200)
+    assert.equal(saved.body.template.start, 'draft')
+    const stored = JSON.parse(await readFile(path.join(testConfigDir, 'workflow-templates', 'review_loop.json'), 'utf8'))
+    assert.equal(stored.id, 'review_loop')
+
+    const list = await api(ctx, '/api/workflow/templates')
+    assert.deepEqual(list.body.templates.at(-1), {
+      id: 'review_loop',
+      builtin: false,
+      description: 'Draft until the reviewer approves',
+      fallbackBehavior: 'run_first',
+      steps: ['draft', 'review'],
+    })
+    assert.equal(list.body.templates[0].builtin, true)
+    assert.equal((await api(ctx, '/api/workflow/templates/review_loop')).body.template.steps[1].next[0].maxIterations, 2)
+
+    // Template files are picked up again on the next start.
+    configureWorkflowTemplates([])
+    assert.deepEqual(await loadWorkflowTemplates(), ['review_loop'])
+
+    assert.equal((await api(ctx, '/api/workflow/templates/research_synthesis', { method: 'DELETE' })).status, 400)
+    assert.equal((await api(ctx, '/api/workflow/templates/review_loop', { method: 'DELETE' })).status, 200)
+    assert.equal((await api(ctx, '/api/workflow/templates/review_loop', { method: 'DELETE' })).status, 404)
+    assert.equal((await api(ctx, '/api/workflow/templates/review_loop')).status, 404)
+    assert.equal(isMultiTurnTemplate('review_loop'), false)
+  } finally {
+    await stopServer(ctx.server)
+  }
+})
+
+test('GET /api/workflow/status reads the run workflow and renders its graph', async (t) => {
+  t.after(() => configureWorkflowTemplates([]))
+  const ctx = await startServer()
+  try {
+    await loadRunStore()
+    assert.equal((await api(ctx, '/api/workflow/templates/review_loop', { method: 'PUT', body: REVIEW_TEMPLATE })).status, 200)
+    const workflow = initializeAutomationWorkflow({ template: 'review_loop' })
+    const run = await createRun({ runId: 'wf-graph-1', state: 'running', meta: { workflow } })
+
+    const { status, body } = await api(ctx, `/api/workflow/status?runId=${run.runId}`)
+    assert.equal(status, 200)
+    assert.equal(body.workflow.template, 'review_loop')
+    assert.equal(body.workflow.currentStepId, 'draft')
+    assert.deepEqual(body.workflow.steps.map((step) => [step.id, step.state]), [['draft', 'running'], ['review', 'queued']])
+    assert.equal(body.workflow.graph.start, 'draft')
+    assert.equal(body.workflow.graph.edges.length, 3)
+    assert.deepEqual(body.workflow.trail, ['draft'])
+    assert.match(body.workflow.mermaid, /^flowchart TD/)
+  } finally {
+    await stopServer(ctx.server)
+  }
+})
+
+test('job chains are checked for cycles on save and shown as one tree in workflow status', async () => {
+  const ctx = await startServer()
+  try {
+    await loadRunStore()
+    const job = (id, partial = {}) => ({
+      id,
+      name: id,
+      enabled: true,
+      prompt: 'go',
+      schedule: { kind: 'interval', minutes: 30 },
+      executor: 'companion_acp',
+      agentType: 'codex',
+      ...partial,
+    })
+    assert.equal((await api(ctx, '/api/cron/jobs', { method: 'POST', body: job('collect', { onSuccess: 'report' }) })).status, 200)
+    assert.equal((await api(ctx, '/api/cron/jobs', { method: 'POST', body: job('report', { onFailure: ['alert'] }) })).status, 200)
+    const cyclic = await api(ctx, '/api/cron/jobs', { method: 'POST', body: job('alert', { onConditionMet: 'collect' }) })
+    assert.equal(cyclic.status, 400)
+    assert.deepEqual(cyclic.body.cycle, ['alert', 'collect', 'report', 'alert'])
+    assert.match(cyclic.body.error, /Job chain cycle: alert → collect → report → alert/)
+
+    await createRun({ runId: 'chain-root', type: 'cron', state: 'done', meta: { taskId: 'collect', taskName: 'collect' } })
+    await createRun({ runId: 'chain-child', type: 'cron', state: 'failed', parentRunId: 'chain-root', meta: { taskId: 'report', chain: { hook: 'onSuccess' } } })
+    await createRun({ runId: 'chain-grandchild', type: 'cron', state: 'running', parentRunId: 'chain-child', meta: { taskId: 'alert', chain: { hook: 'onFailure' } } })
+
+    const { status, body } = await api(ctx, '/api/workflow/status?runId=chain-grandchild')
+    assert.equal(status, 200)
+    assert.equal(body.chain.rootRunId, 'chain-root')
+    const child = body.chain.tree.children[0]
+    assert.deepEqual([child.runId, child.state, child.hook], ['chain-child', 'failed', 'onSuccess'])
+    assert.deepEqual([child.children[0].runId, child.children[0].taskId, child.children[0].hook], ['chain-grandchild', 'alert', 'onFailure'])
+    assert.equal((await api(ctx, '/api/workflow/status?runId=wf-test-1')).body.chain, null)
+  } finally {
+    await stopServer(ctx.server)
+  }
+})
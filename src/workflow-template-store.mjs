@@ -0,0 +1,71 @@
+/**
+ * User-defined workflow templates on disk, one JSON file per template:
+ *   <configDir>/workflow-templates/<id>.json
+ *
+ * Files are read at startup and can be hand-edited (invalid ones are
+ * skipped with a warning). Templates uploaded through the API are
+ * validated strictly before they are written.
+ */
+
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import { getConfigDir } from './config.mjs'
+import {
+  configureWorkflowTemplates,
+  getWorkflowTemplate,
+  isBuiltinWorkflowTemplate,
+  normalizeWorkflowGraphTemplate,
+  registerWorkflowTemplate,
+  unregisterWorkflowTemplate,
+} from './automation-workflow-templates.mjs'
+
+const TEMPLATE_DIR = 'workflow-templates'
+
+function templateDir() {
+  return path.join(getConfigDir(), TEMPLATE_DIR)
+}
+
+function templatePath(templateId) {
+  return path.join(templateDir(), `${templateId}.json`)
+}
+
+/**
+ * (Re)load every template file. A file's template id defaults to its file
+ * name.
+ * @returns {Promise<string[]>} the registered template ids
+ */
+export async function loadWorkflowTemplates() {
+  const entries = await fs.readdir(templateDir()).catch(() => [])
+  const templates = []
+  for (const name of entries.filter((entry) => entry.endsWith('.json')).sort()) {
+    try {
+      const parsed = JSON.parse(await fs.readFile(path.join(templateDir(), name), 'utf8'))
+      templates.push({ id: path.basename(name, '.json'), ...parsed })
+    } catch (err) {
+      console.warn(`[workflow-templates] Skipping ${name}: ${err.message}`)
+    }
+  }
+  return configureWorkflowTemplates(templates)
+}
+
+/**
+ * Validate, store and register a template. Throws on invalid templates and
+ * on built-in template ids.
+ * @returns {Promise<object>} the normalized template
+ */
+export async function saveWorkflowTemplate(raw) {
+  const template = normalizeWorkflowGraphTemplate(raw, { strict: true })
+  const target = templatePath(template.id)
+  const tmp = `${target}.tmp`
+  await fs.mkdir(templateDir(), { recursive: true, mode: 0o700 })
+  await fs.writeFile(tmp, `${JSON.stringify(raw, null, 2)}\n`, { mode: 0o600 })
+  await fs.rename(tmp, target)
+  return registerWorkflowTemplate(raw)
+}
+
+/** Remove a user-defined template. Returns false when there is none by that id. */
+export async function deleteWorkflowTemplate(templateId) {
+  if (isBuiltinWorkflowTemplate(templateId) || !getWorkflowTemplate(templateId)) return false
+  await fs.rm(templatePath(templateId), { force: true })
+  return unregisterWorkflowTemplate(templateId)
+}
@@ -0,0 +1,187 @@
+/**
+ * Workspace diff artifacts of ACP agent turns.
+ *
+ * Each record describes one turn's change to its session's cwd: the pre- and
+ * post-turn snapshots (workspace-snapshot.mjs), the changed files and line
+ * counts. The unified diff text is kept beside the index, one file per
+ * artifact. Only the newest MAX_WORKSPACE_DIFFS records are kept; pruning a
+ * record drops its diff and the snapshot data nothing else (another record or
+ * a turn still running) references.
+ *   index:  <configDir>/workspace-diffs.json (+ .bak / .tmp)
+ *   diffs:  <configDir>/workspace-diffs/<artifactId>.diff
+ */
+
+import { randomBytes } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import { createFileBackedStore } from './file-backed-store.mjs'
+import { discardWorkspaceSnapshot, pruneWorkspaceSnapshotData, releaseWorkspaceSnapshot } from './workspace-snapshot.mjs'
+
+const STORE_FILE = 'workspace-diffs.json'
+const STORE_BAK = 'workspace-diffs.json.bak'
+const STORE_TMP = 'workspace-diffs.json.tmp'
+const DIFF_DIR = 'workspace-diffs'
+
+export const MAX_WORKSPACE_DIFFS = Math.max(
+  10,
+  Number(process.env.TRAPEZOHE_MAX_WORKSPACE_DIFFS || 200) || 200,
+)
+
+let store = { diffs: [] }
+let loaded = false
+let loadingPromise = null
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+function diffTextPath(artifactId) {
+  return path.join(getConfigDir(), DIFF_DIR, `${artifactId}.diff`)
+}
+
+const storage = createFileBackedStore({
+  label: 'workspace-diff-store',
+  primaryPath: () => path.join(getConfigDir(), STORE_FILE),
+  backupPath: () => path.join(getConfigDir(), STORE_BAK),
+  tmpPath: () => path.join(getConfigDir(), STORE_TMP),
+  fileMode: 0o600,
+  ensureDir: ensureConfigDir,
+  fallbackState: () => ({ diffs: [] }),
+  parse: (raw) => {
+    const parsed = JSON.parse(raw)
+    return { diffs: Array.isArray(parsed?.diffs) ? parsed.diffs.filter((entry) => entry?.artifactId) : [] }
+  },
+  serialize: (snapshot) => JSON.stringify(snapshot, null, 2),
+  logger: console,
+})
+
+function saveStore() {
+  return storage.persistSnapshot(clone(store))
+}
+
+async function ensureLoaded() {
+  if (loaded) return
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      await ensureConfigDir()
+      const loadedStore = await storage.load()
+      store = loadedStore.state || { diffs: [] }
+      loaded = true
+    })().finally(() => {
+      loadingPromise = null
+    })
+  }
+  await loadingPromise
+}
+
+async function pruneOverflow() {
+  if (store.diffs.length <= MAX_WORKSPACE_DIFFS) return
+  const dropped = store.diffs.splice(0, store.diffs.length - MAX_WORKSPACE_DIFFS)
+  for (const record of dropped) {
+    await fs.rm(diffTextPath(record.artifactId), { force: true }).catch(() => undefined)
+    await discardWorkspaceSnapshot(record.before)
+    await discardWorkspaceSnapshot(record.after)
+  }
+  await pruneWorkspaceSnapshotData(store.diffs.flatMap((record) => [record.before, record.after]))
+}
+
+export async function loadWorkspaceDiffStore() {
+  await ensureLoaded()
+}
+
+export async function flushWorkspaceDiffStore() {
+  await storage.flush()
+}
+
+/**
+ * Store a turn's diff.
+ * @param {object} input
+ * @param {string} input.sessionId
+ * @param {string|null} [input.runId]
+ * @param {string|null} [input.turnId]
+ * @param {string} [input.agentType]
+ * @param {object} input.before - pre-turn snapshot
+ * @param {object} input.after - post-turn snapshot
+ * @param {{ diff: string, files: object[], additions: number, deletions: number, truncated?: boolean }} input.result
+ * @returns {Promise<object>} the record (without the diff text)
+ */
+export async function recordWorkspaceDiff({ sessionId, runId = null, turnId = null, agentType = '', before, after, result }) {
+  await ensureLoaded()
+  const artifactId = `wsdiff_${Date.now().toString(36)}_${randomBytes(4).toString('hex')}`
+  const target = diffTextPath(artifactId)
+  await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 })
+  await fs.writeFile(target, result.diff, { mode: 0o600 })
+  const record = {
+    artifactId,
+    kind: 'workspace_diff',
+    sessionId,
+    runId: runId || null,
+    turnId: turnId || null,
+    agentType,
+    cwd: before.cwd,
+    mode: before.mode,
+    createdAt: Date.now(),
+    files: result.files,
+    additions: result.additions,
+    deletions: result.deletions,
+    byteLength: Buffer.byteLength(result.diff),
+    ...(result.truncated ? { truncated: true } : {}),
+    before,
+    after,
+    revertedAt: null,
+  }
+  store.diffs.push(record)
+  releaseWorkspaceSnapshot(before)
+  releaseWorkspaceSnapshot(after)
+  await pruneOverflow()
+  await saveStore()
+  return clone(record)
+}
+
+function summarize(record) {
+  const { before, after, ...rest } = record
+  return clone(rest)
+}
+
+/** Diff records, newest first, filtered by run and/or session. */
+export async function listWorkspaceDiffs({ runId = '', sessionId = '', limit = 50 } = {}) {
+  await ensureLoaded()
+  const max = Math.min(Math.max(Number(limit) || 50, 1), MAX_WORKSPACE_DIFFS)
+  return store.diffs
+    .filter((record) => (!runId || record.runId === runId) && (!sessionId || record.sessionId === sessionId))
+    .slice(-max)
+    .reverse()
+    .map(summarize)
+}
+
+/**
+ * One diff record with its diff text, or null.
+ * @param {{ withSnapshots?: boolean }} [options] include the snapshot descriptors (for revert)
+ */
+export async function getWorkspaceDiff(artifactId, { withSnapshots = false } = {}) {
+  await ensureLoaded()
+  const record = store.diffs.find((entry) => entry.artifactId === artifactId)
+  if (!record) return null
+  const diff = await fs.readFile(diffTextPath(artifactId), 'utf8').catch(() => '')
+  return { ...(withSnapshots ? clone(record) : summarize(record)), diff }
+}
+
+export async function markWorkspaceDiffReverted(artifactId, revert) {
+  await ensureLoaded()
+  const record = store.diffs.find((entry) => entry.artifactId === artifactId)
+  if (!record) return null
+  record.revertedAt = Date.now()
+  record.revert = clone(revert)
+  await saveStore()
+  return summarize(record)
+}
+
+export async function clearWorkspaceDiffStoreForTests() {
+  await storage.flush()
+  storage.reset()
+  store = { diffs: [] }
+  loaded = true
+  loadingPromise = null
+  await saveStore()
+}
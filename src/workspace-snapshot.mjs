@@ -0,0 +1,600 @@
+/**
+ * Working-tree snapshots for ACP agent turns.
+ *
+ * Before a turn the session runner snapshots its `cwd`; afterwards a second
+ * snapshot gives the turn's unified diff, and the first one can put the
+ * turn's files back.
+ *
+ *   git       cwd is inside a git work tree. The tree (tracked and untracked,
+ *             minus ignored files) is written with a private index and a
+ *             companion-owned object directory that borrows the repository's
+ *             objects as an alternate, so the repository's index, refs and
+ *             object store are never written.
+ *   manifest  anything else. Files are hashed into a manifest and their
+ *             contents kept in a content-addressed blob store; large trees,
+ *             large files and VCS/dependency directories are skipped.
+ *
+ * Everything lives under <configDir>/workspace-snapshots/.
+ */
+
+import { createHash, randomBytes } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+import { ensureConfigDir, getConfigDir } from './config.mjs'
+import { runGit } from './git-command.mjs'
+
+const SNAPSHOT_DIR = 'workspace-snapshots'
+const MANIFEST_MAX_FILES = 5_000
+const MANIFEST_MAX_FILE_BYTES = 1024 * 1024
+const MANIFEST_SKIP_DIRS = new Set(['.git', '.hg', '.svn', 'node_modules'])
+const MAX_DIFF_CHARS = 2 * 1024 * 1024
+const MAX_DIFF_EDIT_DISTANCE = 2_000
+const DIFF_CONTEXT_LINES = 3
+
+// Snapshots captured but not yet stored with a diff record or discarded (a
+// turn's pre-turn snapshot while the agent runs). Pruning keeps their data,
+// and sweeps nothing while a capture is still writing blobs or objects.
+const liveSnapshots = new Map()
+let capturesInFlight = 0
+
+function snapshotRoot() {
+  return path.join(getConfigDir(), SNAPSHOT_DIR)
+}
+
+function createSnapshotId() {
+  return `snap_${Date.now().toString(36)}_${randomBytes(4).toString('hex')}`
+}
+
+async function resolveGitContext(cwd) {
+  try {
+    const output = await runGit(['rev-parse', '--is-inside-work-tree', '--show-toplevel', '--git-path', 'index', '--git-path', 'objects'], { cwd })
+    const [inside, root, indexPath, objectsPath] = output.split('\n').map((line) => line.trim())
+    if (inside !== 'true' || !root) return null
+    const objectsDir = path.resolve(cwd, objectsPath)
+    return {
+      root,
+      indexPath: path.resolve(cwd, indexPath),
+      objectsDir,
+      // One private object directory per repository.
+      storeKey: createHash('sha256').update(objectsDir).digest('hex').slice(0, 16),
+    }
+  } catch {
+    return null
+  }
+}
+
+async function gitSnapshotEnv(snapshot, indexFile) {
+  const objectDir = path.join(snapshotRoot(), 'git', snapshot.storeKey)
+  await fs.mkdir(objectDir, { recursive: true, mode: 0o700 })
+  return {
+    GIT_INDEX_FILE: indexFile,
+    GIT_OBJECT_DIRECTORY: objectDir,
+    GIT_ALTERNATE_OBJECT_DIRECTORIES: snapshot.objectsDir,
+  }
+}
+
+async function withScratchIndex(seedPath, run) {
+  const scratchDir = path.join(snapshotRoot(), 'tmp')
+  await fs.mkdir(scratchDir, { recursive: true, mode: 0o700 })
+  const indexFile = path.join(scratchDir, `index-${randomBytes(6).toString('hex')}`)
+  if (seedPath) {
+    // Seeding from the real index lets git reuse its stat cache.
+    await fs.copyFile(seedPath, indexFile).catch(() => undefined)
+  }
+  try {
+    return await run(indexFile)
+  } finally {
+    await fs.rm(indexFile, { force: true }).catch(() => undefined)
+  }
+}
+
+async function captureGitTree(snapshot) {
+  return withScratchIndex(snapshot.indexPath, async (indexFile) => {
+    const env = await gitSnapshotEnv(snapshot, indexFile)
+    await runGit(['add', '-A', '--', '.'], { cwd: snapshot.cwd, env })
+    return (await runGit(['write-tree'], { cwd: snapshot.cwd, env })).trim()
+  })
+}
+
+function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex')
+}
+
+function blobPath(hash) {
+  return path.join(snapshotRoot(), 'blobs', hash.slice(0, 2), hash)
+}
+
+function manifestPath(snapshotId) {
+  return path.join(snapshotRoot(), 'manifests', `${snapshotId}.json`)
+}
+
+async function storeBlob(hash, buffer) {
+  const target = blobPath(hash)
+  try {
+    await fs.access(target)
+    return
+  } catch {
+    // not stored yet
+  }
+  await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 })
+  const tmp = `${target}.${randomBytes(4).toString('hex')}.tmp`
+  await fs.writeFile(tmp, buffer, { mode: 0o600 })
+  await fs.rename(tmp, target)
+}
+
+async function walkManifest(cwd) {
+  const files = {}
+  let count = 0
+  let truncated = false
+  const pending = ['']
+  while (pending.length > 0) {
+    const relDir = pending.pop()
+    let entries
+    try {
+      entries = await fs.readdir(path.join(cwd, relDir), { withFileTypes: true })
+    } catch {
+      continue
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (!MANIFEST_SKIP_DIRS.has(entry.name)) pending.push(relPath)
+        continue
+      }
+      if (!entry.isFile()) continue
+      if (count >= MANIFEST_MAX_FILES) {
+        truncated = true
+        continue
+      }
+      count += 1
+      const absPath = path.join(cwd, relPath)
+      const stat = await fs.stat(absPath).catch(() => null)
+      if (!stat) continue
+      const mode = stat.mode & 0o777
+      if (stat.size > MANIFEST_MAX_FILE_BYTES) {
+        // Too large to keep: record identity only, so changes are still noticed.
+        files[relPath] = { hash: `size:${stat.size}:${Math.floor(stat.mtimeMs)}`, size: stat.size, mode, stored: false }
+        continue
+      }
+      const buffer = await fs.readFile(absPath).catch(() => null)
+      if (!buffer) continue
+      const hash = hashContent(buffer)
+      await storeBlob(hash, buffer)
+      files[relPath] = { hash, size: buffer.length, mode, stored: true }
+    }
+  }
+  return { files, truncated }
+}
+
+async function readManifest(snapshot) {
+  const raw = await fs.readFile(manifestPath(snapshot.snapshotId), 'utf8')
+  return JSON.parse(raw).files || {}
+}
+
+/**
+ * Snapshot `cwd`. The returned descriptor is plain JSON and is all that is
+ * needed later to diff against or restore from.
+ * @returns {Promise<{ snapshotId: string, mode: 'git'|'manifest', cwd: string, createdAt: number }>}
+ */
+export async function captureWorkspaceSnapshot(cwd) {
+  capturesInFlight += 1
+  try {
+    const snapshot = await captureSnapshot(cwd)
+    liveSnapshots.set(snapshot.snapshotId, snapshot)
+    return snapshot
+  } finally {
+    capturesInFlight -= 1
+  }
+}
+
+/** Stop protecting a snapshot from pruning once a diff record references it. */
+export function releaseWorkspaceSnapshot(snapshot) {
+  if (snapshot?.snapshotId) liveSnapshots.delete(snapshot.snapshotId)
+}
+
+async function captureSnapshot(cwd) {
+  const resolvedCwd = path.resolve(cwd || process.cwd())
+  const stat = await fs.stat(resolvedCwd).catch(() => null)
+  if (!stat?.isDirectory()) throw new Error(`Workspace is not a directory: ${resolvedCwd}`)
+  await ensureConfigDir()
+  const snapshotId = createSnapshotId()
+  const createdAt = Date.now()
+
+  const git = await resolveGitContext(resolvedCwd)
+  if (git) {
+    const snapshot = {
+      snapshotId,
+      mode: 'git',
+      cwd: resolvedCwd,
+      createdAt,
+      root: git.root,
+      indexPath: git.indexPath,
+      objectsDir: git.objectsDir,
+      storeKey: git.storeKey,
+    }
+    snapshot.tree = await captureGitTree(snapshot)
+    return snapshot
+  }
+
+  const { files, truncated } = await walkManifest(resolvedCwd)
+  const target = manifestPath(snapshotId)
+  await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 })
+  await fs.writeFile(target, JSON.stringify({ snapshotId, cwd: resolvedCwd, createdAt, files }), { mode: 0o600 })
+  return {
+    snapshotId,
+    mode: 'manifest',
+    cwd: resolvedCwd,
+    createdAt,
+    fileCount: Object.keys(files).length,
+    ...(truncated ? { truncated: true } : {}),
+  }
+}
+
+/** Drop the stored manifest of a snapshot. Git trees and blobs are left to pruneWorkspaceSnapshotData. */
+export async function discardWorkspaceSnapshot(snapshot) {
+  releaseWorkspaceSnapshot(snapshot)
+  if (snapshot?.mode === 'manifest' && snapshot.snapshotId) {
+    await fs.rm(manifestPath(snapshot.snapshotId), { force: true }).catch(() => undefined)
+  }
+}
+
+/**
+ * Delete loose objects in a private object directory that none of `trees`
+ * reaches. Objects borrowed from the repository are listed but never stored
+ * here. Leaves the directory alone when the trees cannot be walked.
+ */
+async function collectGitObjects(objectDir, snapshots) {
+  const trees = Array.from(new Set(snapshots.map((entry) => entry.tree).filter(Boolean)))
+  if (trees.length === 0) return
+  let reachable
+  try {
+    const output = await runGit(['rev-list', '--objects', '--no-object-names', ...trees], {
+      cwd: snapshots[0].root,
+      env: { GIT_OBJECT_DIRECTORY: objectDir, GIT_ALTERNATE_OBJECT_DIRECTORIES: snapshots[0].objectsDir },
+    })
+    reachable = new Set(output.split('\n').map((line) => line.trim()).filter(Boolean))
+  } catch {
+    return
+  }
+  for (const prefix of await fs.readdir(objectDir).catch(() => [])) {
+    if (!/^[0-9a-f]{2}$/.test(prefix)) continue
+    const names = await fs.readdir(path.join(objectDir, prefix)).catch(() => [])
+    let remaining = names.length
+    for (const name of names) {
+      if (reachable.has(`${prefix}${name}`)) continue
+      await fs.rm(path.join(objectDir, prefix, name), { force: true }).catch(() => undefined)
+      remaining -= 1
+    }
+    if (remaining === 0) await fs.rmdir(path.join(objectDir, prefix)).catch(() => undefined)
+  }
+}
+
+/**
+ * Remove blobs no remaining manifest references, private git object
+ * directories no kept snapshot points at, and objects in the remaining
+ * directories that no kept tree reaches. Snapshots still in use by a running
+ * turn count as kept.
+ * @param {object[]} keptSnapshots - every snapshot still referenced
+ */
+export async function pruneWorkspaceSnapshotData(keptSnapshots = []) {
+  if (capturesInFlight > 0) return
+  const kept = [...keptSnapshots, ...liveSnapshots.values()].filter(Boolean)
+  const gitStores = new Map()
+  for (const snapshot of kept) {
+    if (snapshot.mode !== 'git') continue
+    if (!gitStores.has(snapshot.storeKey)) gitStores.set(snapshot.storeKey, [])
+    gitStores.get(snapshot.storeKey).push(snapshot)
+  }
+  const gitDir = path.join(snapshotRoot(), 'git')
+  for (const name of await fs.readdir(gitDir).catch(() => [])) {
+    if (gitStores.has(name)) {
+      await collectGitObjects(path.join(gitDir, name), gitStores.get(name))
+    } else {
+      await fs.rm(path.join(gitDir, name), { recursive: true, force: true }).catch(() => undefined)
+    }
+  }
+
+  const referenced = new Set()
+  for (const snapshot of kept) {
+    if (snapshot.mode !== 'manifest') continue
+    const files = await readManifest(snapshot).catch(() => ({}))
+    for (const entry of Object.values(files)) {
+      if (entry?.stored) referenced.add(entry.hash)
+    }
+  }
+  const blobsDir = path.join(snapshotRoot(), 'blobs')
+  for (const prefix of await fs.readdir(blobsDir).catch(() => [])) {
+    for (const name of await fs.readdir(path.join(blobsDir, prefix)).catch(() => [])) {
+      if (!referenced.has(name)) await fs.rm(path.join(blobsDir, prefix, name), { force: true }).catch(() => undefined)
+    }
+  }
+}
+
+// ── Unified diff for manifest snapshots ──
+
+function splitLines(text) {
+  if (text === '') return { lines: [], trailingNewline: true }
+  const trailingNewline = text.endsWith('\n')
+  const lines = (trailingNewline ? text.slice(0, -1) : text).split('\n')
+  return { lines, trailingNewline }
+}
+
+/** Myers line diff; null when the edit distance is too large to trace. */
+function diffLineArrays(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_DIFF_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(v.slice(offset - d, offset + d + 1))
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1
+        y += 1
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) return backtrackEdits(trace, a, b)
+    }
+  }
+  return null
+}
+
+function backtrackEdits(trace, a, b) {
+  const edits = []
+  let x = a.length
+  let y = b.length
+  for (let d = trace.length - 1; d > 0; d -= 1) {
+    const previous = trace[d]
+    const at = (k) => previous[k + d]
+    const k = x - y
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      edits.push({ op: ' ', line: a[x - 1] })
+      x -= 1
+      y -= 1
+    }
+    if (x === prevX) edits.push({ op: '+', line: b[y - 1] })
+    else edits.push({ op: '-', line: a[x - 1] })
+    x = prevX
+    y = prevY
+  }
+  while (x > 0 && y > 0) {
+    edits.push({ op: ' ', line: a[x - 1] })
+    x -= 1
+    y -= 1
+  }
+  return edits.reverse()
+}
+
+function formatHunks(edits, oldMeta, newMeta) {
+  const changed = edits.map((edit, index) => (edit.op === ' ' ? -1 : index)).filter((index) => index >= 0)
+  if (changed.length === 0) return []
+  const ranges = []
+  for (const index of changed) {
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES)
+    const end = Math.min(edits.length, index + DIFF_CONTEXT_LINES + 1)
+    const last = ranges[ranges.length - 1]
+    if (last && start <= last.end) last.end = Math.max(last.end, end)
+    else ranges.push({ start, end })
+  }
+
+  const out = []
+  let oldLine = 0
+  let newLine = 0
+  let cursor = 0
+  for (const range of ranges) {
+    for (; cursor < range.start; cursor += 1) {
+      if (edits[cursor].op !== '+') oldLine += 1
+      if (edits[cursor].op !== '-') newLine += 1
+    }
+    const body = []
+    let oldCount = 0
+    let newCount = 0
+    const oldStart = oldLine
+    const newStart = newLine
+    for (; cursor < range.end; cursor += 1) {
+      const edit = edits[cursor]
+      body.push(`${edit.op}${edit.line}`)
+      if (edit.op !== '+') {
+        oldLine += 1
+        oldCount += 1
+        if (oldLine === oldMeta.length && !oldMeta.trailingNewline) body.push('\\ No newline at end of file')
+      }
+      if (edit.op !== '-') {
+        newLine += 1
+        newCount += 1
+        if (edit.op === '+' && newLine === newMeta.length && !newMeta.trailingNewline) body.push('\\ No newline at end of file')
+      }
+    }
+    const oldHeader = oldCount === 0 ? `${oldStart},0` : (oldCount === 1 ? `${oldStart + 1}` : `${oldStart + 1},${oldCount}`)
+    const newHeader = newCount === 0 ? `${newStart},0` : (newCount === 1 ? `${newStart + 1}` : `${newStart + 1},${newCount}`)
+    out.push(`@@ -${oldHeader} +${newHeader} @@`, ...body)
+  }
+  return out
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0)
+}
+
+async function readBlob(entry) {
+  if (!entry) return Buffer.alloc(0)
+  if (!entry.stored) return null
+  return fs.readFile(blobPath(entry.hash)).catch(() => null)
+}
+
+async function diffManifestEntry(relPath, before, after) {
+  const header = [`diff --git a/${relPath} b/${relPath}`]
+  if (!before) header.push(`new file mode 100${(after.mode || 0o644).toString(8)}`)
+  else if (!after) header.push(`deleted file mode 100${(before.mode || 0o644).toString(8)}`)
+  else if (before.mode !== after.mode) header.push(`old mode 100${before.mode.toString(8)}`, `new mode 100${after.mode.toString(8)}`)
+  const [oldBuffer, newBuffer] = await Promise.all([readBlob(before), readBlob(after)])
+  if (before && after && before.hash === after.hash) return header.join('\n')
+  const oldName = before ? `a/${relPath}` : '/dev/null'
+  const newName = after ? `b/${relPath}` : '/dev/null'
+  if (!oldBuffer || !newBuffer || isBinary(oldBuffer) || isBinary(newBuffer)) {
+    return [...header, `Binary files ${oldName} and ${newName} differ`].join('\n')
+  }
+  const oldMeta = splitLines(oldBuffer.toString('utf8'))
+  const newMeta = splitLines(newBuffer.toString('utf8'))
+  const edits = diffLineArrays(oldMeta.lines, newMeta.lines) || [
+    ...oldMeta.lines.map((line) => ({ op: '-', line })),
+    ...newMeta.lines.map((line) => ({ op: '+', line })),
+  ]
+  oldMeta.length = oldMeta.lines.length
+  newMeta.length = newMeta.lines.length
+  return [...header, `--- ${oldName}`, `+++ ${newName}`, ...formatHunks(edits, oldMeta, newMeta)].join('\n')
+}
+
+function countDiffLines(diff) {
+  let additions = 0
+  let deletions = 0
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) additions += 1
+    else if (line.startsWith('-') && !line.startsWith('---')) deletions += 1
+  }
+  return { additions, deletions }
+}
+
+function finishDiff(diff, files) {
+  const { additions, deletions } = countDiffLines(diff)
+  const truncated = diff.length > MAX_DIFF_CHARS
+  return {
+    diff: truncated ? `${diff.slice(0, MAX_DIFF_CHARS)}\n[diff truncated]\n` : diff,
+    files,
+    additions,
+    deletions,
+    ...(truncated ? { truncated: true } : {}),
+  }
+}
+
+const GIT_STATUS_NAMES = { A: 'added', D: 'deleted', M: 'modified', T: 'modified' }
+
+async function listGitChanges(before, after, env, pathspec = ['.']) {
+  const output = await runGit(['diff', '--no-renames', '--relative', '--name-status', '-z', before, after, '--', ...pathspec], { cwd: env.cwd, env: env.vars })
+  const parts = output.split('\0').filter(Boolean)
+  const files = []
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    files.push({ path: parts[i + 1], status: GIT_STATUS_NAMES[parts[i][0]] || 'modified' })
+  }
+  return files
+}
+
+async function withGitEnv(snapshot, run) {
+  return withScratchIndex(null, async (indexFile) => run({ cwd: snapshot.cwd, vars: await gitSnapshotEnv(snapshot, indexFile) }))
+}
+
+/**
+ * Unified diff from `before` to `after` (two snapshots of the same cwd).
+ * @returns {Promise<{ diff: string, files: { path: string, status: 'added'|'modified'|'deleted' }[],
+ *   additions: number, deletions: number, truncated?: boolean }>}
+ */
+export async function diffWorkspaceSnapshots(before, after) {
+  if (before.mode !== after.mode || before.cwd !== after.cwd) {
+    throw new Error('Snapshots are of different workspaces.')
+  }
+  if (before.mode === 'git') {
+    return withGitEnv(before, async (env) => {
+      const files = await listGitChanges(before.tree, after.tree, env)
+      const diff = files.length > 0
+        ? await runGit(['diff', '--no-color', '--no-ext-diff', '--no-textconv', '--no-renames', '--relative', before.tree, after.tree, '--', '.'], { cwd: env.cwd, env: env.vars })
+        : ''
+      return finishDiff(diff, files)
+    })
+  }
+
+  const [oldFiles, newFiles] = await Promise.all([readManifest(before), readManifest(after)])
+  const paths = Array.from(new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])).sort()
+  const files = []
+  const chunks = []
+  for (const relPath of paths) {
+    const oldEntry = oldFiles[relPath]
+    const newEntry = newFiles[relPath]
+    if (oldEntry && newEntry && oldEntry.hash === newEntry.hash && oldEntry.mode === newEntry.mode) continue
+    files.push({ path: relPath, status: !oldEntry ? 'added' : (!newEntry ? 'deleted' : 'modified') })
+    chunks.push(await diffManifestEntry(relPath, oldEntry, newEntry))
+  }
+  return finishDiff(chunks.length > 0 ? `${chunks.join('\n')}\n` : '', files)
+}
+
+/**
+ * Put the files a turn changed back to their `before` state. Paths that
+ * changed again since `after` are reported as conflicts and nothing is
+ * written, unless `force` is set.
+ * @param {object} before - pre-turn snapshot
+ * @param {object} after - post-turn snapshot
+ * @param {{ path: string, status: string }[]} files - the turn's changed files
+ * @returns {Promise<{ restored: string[], removed: string[], skipped: string[] }>}
+ */
+export async function revertWorkspaceSnapshot(before, after, files, { force = false } = {}) {
+  const current = await captureWorkspaceSnapshot(before.cwd)
+  try {
+    const paths = files.map((file) => file.path)
+    if (paths.length === 0) return { restored: [], removed: [], skipped: [] }
+
+    if (!force) {
+      const drift = before.mode === 'git'
+        ? await withGitEnv(before, (env) => listGitChanges(after.tree, current.tree, env, paths))
+        : (await diffWorkspaceSnapshots(after, current)).files.filter((file) => paths.includes(file.path))
+      if (drift.length > 0) {
+        const err = new Error(`Files changed after the turn: ${drift.map((file) => file.path).join(', ')}`)
+        err.code = 'workspace_conflict'
+        err.paths = drift.map((file) => file.path)
+        throw err
+      }
+    }
+
+    const removed = []
+    const restored = []
+    const skipped = []
+    const removeFile = async (relPath) => {
+      await fs.rm(path.join(before.cwd, relPath), { force: true })
+      removed.push(relPath)
+    }
+
+    if (before.mode === 'git') {
+      const toRestore = files.filter((file) => file.status !== 'added').map((file) => file.path)
+      for (const file of files.filter((entry) => entry.status === 'added')) await removeFile(file.path)
+      if (toRestore.length > 0) {
+        await withGitEnv(before, async (env) => {
+          const prefix = path.relative(before.root, before.cwd).split(path.sep).join('/')
+          await runGit(['read-tree', before.tree], { cwd: before.root, env: env.vars })
+          await runGit(['checkout-index', '-f', '--', ...toRestore.map((relPath) => (prefix ? `${prefix}/${relPath}` : relPath))], { cwd: before.root, env: env.vars })
+        })
+        restored.push(...toRestore)
+      }
+      return { restored, removed, skipped }
+    }
+
+    const oldFiles = await readManifest(before)
+    for (const file of files) {
+      const entry = oldFiles[file.path]
+      if (!entry) {
+        await removeFile(file.path)
+        continue
+      }
+      const buffer = await readBlob(entry)
+      if (!buffer) {
+        skipped.push(file.path)
+        continue
+      }
+      const target = path.join(before.cwd, file.path)
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      await fs.writeFile(target, buffer)
+      await fs.chmod(target, entry.mode).catch(() => undefined)
+      restored.push(file.path)
+    }
+    return { restored, removed, skipped }
+  } finally {
+    await discardWorkspaceSnapshot(current)
+  }
+}
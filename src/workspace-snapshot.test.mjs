@@ -0,0 +1,224 @@
+import test, { after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync, existsSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  captureWorkspaceSnapshot,
+  diffWorkspaceSnapshots,
+  discardWorkspaceSnapshot,
+  pruneWorkspaceSnapshotData,
+  releaseWorkspaceSnapshot,
+  revertWorkspaceSnapshot,
+} from './workspace-snapshot.mjs'
+import {
+  cleanupAllAcpSessions,
+  createAcpSession,
+  enqueuePrompt,
+  getAcpSessionById,
+  listAcpEvents,
+  revertAcpTurnDiff,
+} from './acp-session.mjs'
+import { getWorkspaceDiff, listWorkspaceDiffs } from './workspace-diff-store.mjs'
+
+// Snapshots and diff artifacts live under the config dir; keep them out of the real one.
+const previousConfigDir = process.env.TRAPEZOHE_CONFIG_DIR
+const testConfigDir = mkdtempSync(join(tmpdir(), 'workspace-snapshot-config-'))
+process.env.TRAPEZOHE_CONFIG_DIR = testConfigDir
+const workspaces = []
+after(() => {
+  if (previousConfigDir === undefined) delete process.env.TRAPEZOHE_CONFIG_DIR
+  else process.env.TRAPEZOHE_CONFIG_DIR = previousConfigDir
+  rmSync(testConfigDir, { recursive: true, force: true })
+  for (const dir of workspaces) rmSync(dir, { recursive: true, force: true })
+})
+
+function makeWorkspace(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'workspace-snapshot-ws-'))
+  workspaces.push(dir)
+  for (const [relPath, content] of Object.entries(files)) {
+    mkdirSync(join(dir, relPath, '..'), { recursive: true })
+    writeFileSync(join(dir, relPath), content)
+  }
+  return dir
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' },
+  })
+}
+
+test('manifest snapshots diff and revert a non-git workspace', async () => {
+  const cwd = makeWorkspace({
+    'notes.txt': 'one\ntwo\nthree\n',
+    'src/keep.js': 'export const x = 1\n',
+    'old.txt': 'bye\n',
+    'node_modules/dep/index.js': 'ignored\n',
+  })
+  const before = await captureWorkspaceSnapshot(cwd)
+  assert.equal(before.mode, 'manifest')
+  assert.equal(before.fileCount, 3)
+
+  writeFileSync(join(cwd, 'notes.txt'), 'one\n2\nthree\n')
+  writeFileSync(join(cwd, 'new.txt'), 'hello')
+  rmSync(join(cwd, 'old.txt'))
+  writeFileSync(join(cwd, 'node_modules/dep/index.js'), 'changed\n')
+  const afterTurn = await captureWorkspaceSnapshot(cwd)
+
+  const result = await diffWorkspaceSnapshots(before, afterTurn)
+  assert.deepEqual(result.files, [
+    { path: 'new.txt', status: 'added' },
+    { path: 'notes.txt', status: 'modified' },
+    { path: 'old.txt', status: 'deleted' },
+  ])
+  assert.match(result.diff, /--- a\/notes\.txt\n\+\+\+ b\/notes\.txt\n@@ -1,3 \+1,3 @@\n one\n-two\n\+2\n three/)
+  assert.match(result.diff, /--- \/dev\/null\n\+\+\+ b\/new\.txt\n@@ -0,0 \+1 @@\n\+hello\n\\ No newline at end of file/)
+  assert.match(result.diff, /deleted file mode 100\d+\n--- a\/old\.txt\n\+\+\+ \/dev\/null/)
+  assert.deepEqual([result.additions, result.deletions], [2, 2])
+
+  // A file edited again after the turn blocks the revert unless forced.
+  writeFileSync(join(cwd, 'notes.txt'), 'edited later\n')
+  await assert.rejects(
+    revertWorkspaceSnapshot(before, afterTurn, result.files),
+    (err) => err.code === 'workspace_conflict' && err.paths.includes('notes.txt'),
+  )
+  const reverted = await revertWorkspaceSnapshot(before, afterTurn, result.files, { force: true })
+  assert.deepEqual(reverted, { restored: ['notes.txt', 'old.txt'], removed: ['new.txt'], skipped: [] })
+  assert.equal(readFileSync(join(cwd, 'notes.txt'), 'utf8'), 'one\ntwo\nthree\n')
+  assert.equal(readFileSync(join(cwd, 'old.txt'), 'utf8'), 'bye\n')
+  assert.equal(existsSync(join(cwd, 'new.txt')), false)
+})
+
+test('git snapshots include untracked files without touching the repository index or objects', async () => {
+  const cwd = makeWorkspace({ 'README.md': '# demo\n', '.gitignore': 'build/\n' })
+  git(cwd, 'init', '-q')
+  git(cwd, 'add', '-A')
+  git(cwd, 'commit', '-qm', 'init')
+  writeFileSync(join(cwd, 'README.md'), '# demo\nstaged\n')
+  git(cwd, 'add', 'README.md')
+  const statusBefore = git(cwd, 'status', '--porcelain')
+  const objectsBefore = git(cwd, 'count-objects', '-v')
+
+  const before = await captureWorkspaceSnapshot(cwd)
+  assert.equal(before.mode, 'git')
+  writeFileSync(join(cwd, 'README.md'), '# demo\nstaged\nby agent\n')
+  writeFileSync(join(cwd, 'added.txt'), 'new\n')
+  mkdirSync(join(cwd, 'build'))
+  writeFileSync(join(cwd, 'build/out.js'), 'ignored\n')
+  const afterTurn = await captureWorkspaceSnapshot(cwd)
+
+  const result = await diffWorkspaceSnapshots(before, afterTurn)
+  assert.deepEqual(result.files, [
+    { path: 'README.md', status: 'modified' },
+    { path: 'added.txt', status: 'added' },
+  ])
+  assert.match(result.diff, /\+by agent/)
+  assert.equal(git(cwd, 'count-objects', '-v'), objectsBefore)
+
+  const reverted = await revertWorkspaceSnapshot(before, afterTurn, result.files)
+  assert.deepEqual(reverted, { restored: ['README.md'], removed: ['added.txt'], skipped: [] })
+  assert.equal(readFileSync(join(cwd, 'README.md'), 'utf8'), '# demo\nstaged\n')
+  assert.equal(git(cwd, 'status', '--porcelain'), statusBefore)
+})
+
+test('git snapshots never run repository filters, textconv drivers, fsmonitor or hooks', async () => {
+  const cwd = makeWorkspace({ 'notes.txt': 'v1\n', '.gitattributes': '*.txt filter=evil diff=evil\n' })
+  const markers = mkdtempSync(join(tmpdir(), 'workspace-snapshot-markers-'))
+  workspaces.push(markers)
+  git(cwd, 'init', '-q')
+  git(cwd, 'add', '-A')
+  git(cwd, 'commit', '-qm', 'init')
+  for (const [key, name] of [
+    ['filter.evil.clean', 'clean'],
+    ['filter.evil.smudge', 'smudge'],
+    ['diff.evil.textconv', 'textconv'],
+    ['core.fsmonitor', 'fsmonitor'],
+  ]) {
+    git(cwd, 'config', key, `touch ${join(markers, name)}; cat`)
+  }
+  git(cwd, 'config', 'filter.evil.required', 'true')
+  git(cwd, 'config', 'core.hooksPath', markers)
+
+  const before = await captureWorkspaceSnapshot(cwd)
+  writeFileSync(join(cwd, 'notes.txt'), 'v2\n')
+  const afterTurn = await captureWorkspaceSnapshot(cwd)
+  const result = await diffWorkspaceSnapshots(before, afterTurn)
+  assert.match(result.diff, /-v1\n\+v2/)
+  await revertWorkspaceSnapshot(before, afterTurn, result.files)
+  assert.equal(readFileSync(join(cwd, 'notes.txt'), 'utf8'), 'v1\n')
+  assert.deepEqual(readdirSync(markers), [])
+})
+
+test('pruning keeps snapshots of running turns and drops git objects no kept tree reaches', async () => {
+  const cwd = makeWorkspace({ 'notes.txt': 'v1\n' })
+  git(cwd, 'init', '-q')
+  const objectPath = (content) => {
+    const id = execFileSync('git', ['hash-object', '--stdin'], { cwd, input: content, encoding: 'utf8' }).trim()
+    return join(testConfigDir, 'workspace-snapshots', 'git', first.storeKey, id.slice(0, 2), id.slice(2))
+  }
+
+  const first = await captureWorkspaceSnapshot(cwd)
+  writeFileSync(join(cwd, 'notes.txt'), 'v2\n')
+  const second = await captureWorkspaceSnapshot(cwd)
+  assert.ok(existsSync(objectPath('v1\n')))
+
+  // `first` is still live (its turn has not been recorded), so nothing goes.
+  releaseWorkspaceSnapshot(second)
+  await pruneWorkspaceSnapshotData([second])
+  assert.ok(existsSync(objectPath('v1\n')))
+
+  await discardWorkspaceSnapshot(first)
+  await pruneWorkspaceSnapshotData([second])
+  assert.ok(!existsSync(objectPath('v1\n')))
+  assert.ok(existsSync(objectPath('v2\n')))
+  writeFileSync(join(cwd, 'notes.txt'), 'v3\n')
+  const third = await captureWorkspaceSnapshot(cwd)
+  assert.match((await diffWorkspaceSnapshots(second, third)).diff, /-v2\n\+v3/)
+
+  await discardWorkspaceSnapshot(second)
+  await discardWorkspaceSnapshot(third)
+  await pruneWorkspaceSnapshotData([])
+  assert.ok(!existsSync(join(testConfigDir, 'workspace-snapshots', 'git', first.storeKey)))
+})
+
+test('ACP sessions with workspaceDiffs record a diff artifact per turn and revert it', async (t) => {
+  cleanupAllAcpSessions()
+  t.after(() => cleanupAllAcpSessions())
+  const cwd = makeWorkspace({ 'data.txt': 'before\n' })
+
+  const { sessionId } = createAcpSession({
+    agentType: 'raw',
+    cwd,
+    workspaceDiffs: true,
+    command: [process.execPath, '-e', "require('fs').writeFileSync('data.txt', 'after\\n')"],
+    timeoutMs: 8_000,
+  })
+  assert.equal(getAcpSessionById(sessionId).workspaceDiffs, true)
+  await enqueuePrompt(sessionId, { prompt: 'edit' })
+
+  let diffEvent = null
+  const deadline = Date.now() + 8_000
+  while (!diffEvent && Date.now() < deadline) {
+    diffEvent = listAcpEvents(sessionId, { after: 0, limit: 500 }).events
+      .find((event) => event.statusCode === 'workspace_diff') || null
+    if (!diffEvent) await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+  assert.ok(diffEvent)
+
+  const [listed] = await listWorkspaceDiffs({ sessionId })
+  assert.equal(listed.artifactId, diffEvent.artifactId)
+  assert.equal(listed.before, undefined)
+  const record = await getWorkspaceDiff(diffEvent.artifactId)
+  assert.match(record.diff, /-before\n\+after/)
+
+  const reverted = await revertAcpTurnDiff(diffEvent.artifactId)
+  assert.deepEqual(reverted.restored, ['data.txt'])
+  assert.equal(readFileSync(join(cwd, 'data.txt'), 'utf8'), 'before\n')
+  assert.ok((await getWorkspaceDiff(diffEvent.artifactId)).revertedAt)
+  await assert.rejects(revertAcpTurnDiff('wsdiff_missing'), (err) => err.code === 'not_found')
+})